@@ -0,0 +1,309 @@
+/**
+ * ClientOutcomeChart Component
+ *
+ * Outcomes tab of the therapist's session details: PHQ-9/GAD-7 score
+ * trajectory with reliable-change indicators, the client's average
+ * check-in mood between held sessions, and the measurement schedule.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Chip,
+  Alert,
+  Button,
+  CircularProgress,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  ToggleButton,
+  ToggleButtonGroup
+} from '@mui/material';
+import {
+  LineChart,
+  Line,
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip as RechartsTooltip,
+  ReferenceLine,
+  ResponsiveContainer
+} from 'recharts';
+import axios from 'axios';
+import API_BASE_URL from '../config/api';
+
+const INSTRUMENTS = [
+  { code: 'PHQ9', label: 'PHQ-9' },
+  { code: 'GAD7', label: 'GAD-7' }
+];
+
+const INDICATOR_CHIPS = {
+  baseline: { label: 'Baseline', color: 'default' },
+  reliable_improvement: { label: 'Reliable improvement', color: 'success' },
+  reliable_deterioration: { label: 'Reliable deterioration', color: 'error' },
+  no_reliable_change: { label: 'No reliable change', color: 'default' }
+};
+
+const toDay = (date) => new Date(date).toISOString().split('T')[0];
+
+const formatShortDate = (date) =>
+  new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+// Average check-in mood from each held session up to the next one
+const averageMoodBetweenSessions = (sessions, checkIns) =>
+  sessions.map((session, idx) => {
+    const from = toDay(session.sessionDate);
+    const to = idx + 1 < sessions.length ? toDay(sessions[idx + 1].sessionDate) : null;
+    const moods = checkIns
+      .filter(c => c.date >= from && (to === null || c.date < to))
+      .map(c => c.mood);
+
+    return {
+      label: to ? `${formatShortDate(from)} – ${formatShortDate(to)}` : `Since ${formatShortDate(from)}`,
+      checkIns: moods.length,
+      averageMood: moods.length > 0
+        ? Math.round((moods.reduce((sum, m) => sum + m, 0) / moods.length) * 10) / 10
+        : null
+    };
+  });
+
+const ClientOutcomeChart = ({ clientId }) => {
+  const [instrument, setInstrument] = useState('PHQ9');
+  const [trend, setTrend] = useState(null);
+  const [moodWindows, setMoodWindows] = useState([]);
+  const [plans, setPlans] = useState([]);
+  const [everyNSessions, setEveryNSessions] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchOutcomes = useCallback(async () => {
+    if (!clientId) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+      const token = localStorage.getItem('token');
+      const config = { headers: { 'x-auth-token': token } };
+
+      const [trendRes, plansRes] = await Promise.all([
+        axios.get(`${API_BASE_URL}/api/outcomes/clients/${clientId}/trend?instrument=${instrument}`, config),
+        axios.get(`${API_BASE_URL}/api/outcomes/plans?clientId=${clientId}`, config)
+      ]);
+      setTrend(trendRes.data);
+      setPlans(plansRes.data.plans || []);
+
+      const heldSessions = trendRes.data.sessions || [];
+      if (heldSessions.length > 0) {
+        const params = new URLSearchParams({
+          clientId,
+          startDate: toDay(heldSessions[0].sessionDate),
+          endDate: toDay(new Date())
+        });
+        const checkInRes = await axios.get(`${API_BASE_URL}/api/checkins/range?${params.toString()}`, config);
+        setMoodWindows(averageMoodBetweenSessions(heldSessions, checkInRes.data.checkIns || []));
+      } else {
+        setMoodWindows([]);
+      }
+    } catch (err) {
+      console.error('Error fetching client outcomes:', err);
+      setError(err.response?.data?.error || 'Failed to load outcomes');
+    } finally {
+      setLoading(false);
+    }
+  }, [clientId, instrument]);
+
+  useEffect(() => {
+    fetchOutcomes();
+  }, [fetchOutcomes]);
+
+  const activePlan = plans.find(p => p.instrumentCode === instrument);
+
+  const handleSchedule = async () => {
+    try {
+      setSaving(true);
+      const token = localStorage.getItem('token');
+      await axios.post(
+        `${API_BASE_URL}/api/outcomes/plans`,
+        { clientId, instrumentCode: instrument, everyNSessions },
+        { headers: { 'x-auth-token': token } }
+      );
+      await fetchOutcomes();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to schedule outcome measure');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleStop = async () => {
+    try {
+      setSaving(true);
+      const token = localStorage.getItem('token');
+      await axios.delete(`${API_BASE_URL}/api/outcomes/plans/${activePlan._id}`, {
+        headers: { 'x-auth-token': token }
+      });
+      await fetchOutcomes();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to stop outcome measure');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const chartData = (trend?.points || []).map(point => ({
+    label: formatShortDate(point.sessionDate || point.completedAt),
+    score: point.totalScore
+  }));
+  const summary = trend?.summary;
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <ToggleButtonGroup
+          value={instrument}
+          exclusive
+          size="small"
+          onChange={(e, value) => value && setInstrument(value)}
+        >
+          {INSTRUMENTS.map(i => (
+            <ToggleButton key={i.code} value={i.code}>{i.label}</ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+
+        {activePlan ? (
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <Typography variant="body2" color="text.secondary">
+              Measured before every {activePlan.everyNSessions === 1 ? 'session' : `${activePlan.everyNSessions} sessions`}
+            </Typography>
+            <Button size="small" onClick={handleStop} disabled={saving}>
+              Stop
+            </Button>
+          </Box>
+        ) : (
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <FormControl size="small" sx={{ minWidth: 150 }}>
+              <InputLabel>Measure before</InputLabel>
+              <Select
+                value={everyNSessions}
+                label="Measure before"
+                onChange={(e) => setEveryNSessions(e.target.value)}
+              >
+                {[1, 2, 3, 4, 6].map(n => (
+                  <MenuItem key={n} value={n}>
+                    {n === 1 ? 'Every session' : `Every ${n} sessions`}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <Button size="small" variant="contained" onClick={handleSchedule} disabled={saving}>
+              Schedule
+            </Button>
+          </Box>
+        )}
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+          <CircularProgress />
+        </Box>
+      ) : (
+        <>
+          <Paper sx={{ p: 2, mb: 2 }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1, flexWrap: 'wrap' }}>
+              <Typography variant="subtitle1">
+                {trend?.instrument?.title || 'Score trajectory'}
+              </Typography>
+              {summary && (
+                <>
+                  <Chip
+                    size="small"
+                    label={INDICATOR_CHIPS[summary.indicator].label}
+                    color={INDICATOR_CHIPS[summary.indicator].color}
+                  />
+                  {summary.reliablyRecovered && <Chip size="small" label="Reliable recovery" color="success" variant="outlined" />}
+                  <Typography variant="body2" color="text.secondary">
+                    {summary.baselineScore} → {summary.latestScore} ({summary.change > 0 ? '+' : ''}{summary.change})
+                  </Typography>
+                </>
+              )}
+            </Box>
+
+            {chartData.length > 0 ? (
+              <ResponsiveContainer width="100%" height={260}>
+                <LineChart data={chartData}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="label" tick={{ fontSize: 12 }} />
+                  <YAxis domain={[0, trend.instrument.maxScore]} tick={{ fontSize: 12 }} />
+                  <RechartsTooltip formatter={(value) => [value, 'Score']} />
+                  <ReferenceLine
+                    y={trend.instrument.clinicalCutoff}
+                    stroke="#ff9800"
+                    strokeDasharray="4 4"
+                    label={{ value: 'Clinical cutoff', position: 'insideTopRight', fontSize: 11 }}
+                  />
+                  <Line type="monotone" dataKey="score" stroke="#1976d2" strokeWidth={2} dot={{ r: 4 }} />
+                </LineChart>
+              </ResponsiveContainer>
+            ) : (
+              <Typography color="text.secondary">
+                No {INSTRUMENTS.find(i => i.code === instrument).label} results yet
+              </Typography>
+            )}
+
+            {trend?.points?.length > 1 && (
+              <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mt: 1 }}>
+                {trend.points.slice(1).map(point => (
+                  <Chip
+                    key={point.resultId}
+                    size="small"
+                    variant="outlined"
+                    color={INDICATOR_CHIPS[point.indicator].color}
+                    label={`${formatShortDate(point.sessionDate || point.completedAt)}: ${point.change > 0 ? '+' : ''}${point.change}`}
+                  />
+                ))}
+              </Box>
+            )}
+            {trend?.instrument && (
+              <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+                A change of {trend.instrument.reliableChange} or more points from baseline is reliable.
+              </Typography>
+            )}
+          </Paper>
+
+          <Paper sx={{ p: 2 }}>
+            <Typography variant="subtitle1" gutterBottom>
+              Average Check-in Mood Between Sessions
+            </Typography>
+            {moodWindows.some(w => w.checkIns > 0) ? (
+              <ResponsiveContainer width="100%" height={200}>
+                <BarChart data={moodWindows}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="label" tick={{ fontSize: 11 }} />
+                  <YAxis domain={[0, 10]} tick={{ fontSize: 12 }} />
+                  <RechartsTooltip
+                    formatter={(value, name, item) => [`${value} (${item.payload.checkIns} check-ins)`, 'Mood']}
+                  />
+                  <Bar dataKey="averageMood" fill="#4caf50" />
+                </BarChart>
+              </ResponsiveContainer>
+            ) : (
+              <Typography color="text.secondary">
+                No check-ins recorded since the first session
+              </Typography>
+            )}
+          </Paper>
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default ClientOutcomeChart;
@@ -231,7 +231,7 @@ const ClientSessionHistory = () => {
       
       if (response.data.success) {
         // Open recording in new tab
-        window.open(response.data.recording.accessUrl, '_blank');
+        window.open(`${API_BASE_URL}${response.data.recording.accessUrl}`, '_blank');
         setSnackbar({ open: true, message: 'Recording access granted', severity: 'success' });
       }
     } catch (err) {
@@ -0,0 +1,88 @@
+/**
+ * CrisisSupportDialog Component
+ *
+ * Shown straight after a submission that raised a risk alert
+ * (intake form, daily check-in or assessment). Lists crisis-line
+ * contacts returned by the server as tap-to-call links.
+ */
+
+import React from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Typography,
+  Alert,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  Link
+} from '@mui/material';
+import {
+  Phone as PhoneIcon,
+  Favorite as FavoriteIcon
+} from '@mui/icons-material';
+
+const CrisisSupportDialog = ({ open, crisisSupport, onClose }) => {
+  if (!crisisSupport) return null;
+
+  const isHigh = crisisSupport.level === 'high';
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        <FavoriteIcon color="error" />
+        Support Is Available Now
+      </DialogTitle>
+
+      <DialogContent>
+        <Alert severity={isHigh ? 'error' : 'warning'} sx={{ mb: 2 }}>
+          {crisisSupport.message}
+        </Alert>
+
+        <Typography variant="subtitle2" gutterBottom>
+          Crisis lines
+        </Typography>
+        <List dense>
+          {crisisSupport.resources.map((resource) => (
+            <ListItem key={resource.name}>
+              <ListItemIcon>
+                <PhoneIcon color="primary" />
+              </ListItemIcon>
+              <ListItemText
+                primary={
+                  <>
+                    {resource.name}:{' '}
+                    <Link href={`tel:${resource.phone.replace(/\s/g, '')}`} underline="hover">
+                      {resource.phone}
+                    </Link>
+                    {resource.alternatePhone && (
+                      <>
+                        {' / '}
+                        <Link href={`tel:${resource.alternatePhone}`} underline="hover">
+                          {resource.alternatePhone}
+                        </Link>
+                      </>
+                    )}
+                  </>
+                }
+                secondary={resource.available}
+              />
+            </ListItem>
+          ))}
+        </List>
+      </DialogContent>
+
+      <DialogActions sx={{ px: 3, pb: 2 }}>
+        <Button onClick={onClose} variant="contained">
+          I understand
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default CrisisSupportDialog;
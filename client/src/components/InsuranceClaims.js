@@ -0,0 +1,332 @@
+/**
+ * Insurance Claims Component
+ *
+ * Shows a client which completed sessions they can claim from their
+ * insurer, lets them download superbills and record each claim's progress,
+ * and keeps their insurer details up to date.
+ */
+
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import API_BASE_URL from '../config/api';
+import {
+  Paper,
+  Box,
+  Typography,
+  Button,
+  Chip,
+  Alert,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+  CircularProgress,
+  Tooltip
+} from '@mui/material';
+import { HealthAndSafety as InsuranceIcon, Download as DownloadIcon } from '@mui/icons-material';
+
+const CLAIM_CHIPS = {
+  submitted: { label: 'Submitted', color: 'info' },
+  paid: { label: 'Reimbursed', color: 'success' },
+  rejected: { label: 'Rejected', color: 'error' }
+};
+
+const EMPTY_DETAILS = {
+  provider: '',
+  planName: '',
+  memberNumber: '',
+  groupNumber: '',
+  policyHolderRelationship: 'self',
+  policyHolderName: '',
+  policyHolderDateOfBirth: ''
+};
+
+const authConfig = (extra = {}) => ({
+  headers: { 'x-auth-token': localStorage.getItem('token') },
+  ...extra
+});
+
+const downloadPdf = async (url, filename) => {
+  const res = await axios.get(url, authConfig({ responseType: 'blob' }));
+  const link = document.createElement('a');
+  link.href = window.URL.createObjectURL(new Blob([res.data], { type: 'application/pdf' }));
+  link.download = filename;
+  link.click();
+  window.URL.revokeObjectURL(link.href);
+};
+
+const InsuranceClaims = () => {
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [data, setData] = useState({ hasInsurance: false, summary: null, claims: [] });
+
+  const [detailsOpen, setDetailsOpen] = useState(false);
+  const [details, setDetails] = useState(EMPTY_DETAILS);
+
+  const [claimDialog, setClaimDialog] = useState(null); // { claim, status }
+  const [claimForm, setClaimForm] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  const fetchClaims = async () => {
+    try {
+      const res = await axios.get(`${API_BASE_URL}/api/insurance/claims`, authConfig());
+      setData(res.data);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not load insurance claims');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchClaims();
+  }, []);
+
+  const openDetails = async () => {
+    try {
+      const res = await axios.get(`${API_BASE_URL}/api/insurance/details`, authConfig());
+      setDetails({ ...EMPTY_DETAILS, ...(res.data.insurance || {}) });
+    } catch (err) {
+      setDetails(EMPTY_DETAILS);
+    }
+    setDetailsOpen(true);
+  };
+
+  const saveDetails = async () => {
+    try {
+      setSaving(true);
+      await axios.put(`${API_BASE_URL}/api/insurance/details`, details, authConfig());
+      setDetailsOpen(false);
+      await fetchClaims();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not save insurance details');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const saveClaim = async () => {
+    try {
+      setSaving(true);
+      await axios.put(
+        `${API_BASE_URL}/api/insurance/sessions/${claimDialog.claim.sessionId}/claim`,
+        { status: claimDialog.status, ...claimForm },
+        authConfig()
+      );
+      setClaimDialog(null);
+      await fetchClaims();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not update the claim');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const openClaimDialog = (claim, status) => {
+    setClaimForm(status === 'submitted' ? { claimReference: '', amountClaimed: claim.amountPaid } : {});
+    setClaimDialog({ claim, status });
+  };
+
+  const downloadSuperbill = (claim) => {
+    downloadPdf(
+      `${API_BASE_URL}/api/insurance/sessions/${claim.sessionId}/superbill`,
+      `superbill-${claim.bookingReference || claim.sessionId}.pdf`
+    ).catch(() => setError('Could not download the superbill'));
+  };
+
+  const downloadMonthly = (month) => {
+    downloadPdf(`${API_BASE_URL}/api/insurance/superbills/${month}`, `superbill-${month}.pdf`)
+      .catch(() => setError('No reimbursable sessions that month'));
+  };
+
+  const claimActions = (claim) => {
+    if (!claim.claim) {
+      return claim.reimbursable && (
+        <Button size="small" onClick={() => openClaimDialog(claim, 'submitted')}>Mark submitted</Button>
+      );
+    }
+    if (claim.claim.status === 'submitted') {
+      return (
+        <>
+          <Button size="small" color="success" onClick={() => openClaimDialog(claim, 'paid')}>Paid</Button>
+          <Button size="small" color="error" onClick={() => openClaimDialog(claim, 'rejected')}>Rejected</Button>
+        </>
+      );
+    }
+    if (claim.claim.status === 'rejected') {
+      return <Button size="small" onClick={() => openClaimDialog(claim, 'submitted')}>Resubmit</Button>;
+    }
+    return null;
+  };
+
+  const months = [...new Set(
+    data.claims.filter(c => c.reimbursable).map(c => new Date(c.sessionDate).toISOString().slice(0, 7))
+  )];
+
+  return (
+    <Paper sx={{ p: 3 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+        <InsuranceIcon color="primary" />
+        <Typography variant="h6" component="h2" sx={{ flexGrow: 1 }}>Insurance Claims</Typography>
+        <Button size="small" variant="outlined" onClick={openDetails}>
+          {data.hasInsurance ? 'Edit insurance details' : 'Add insurance details'}
+        </Button>
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>{error}</Alert>}
+
+      {loading ? (
+        <CircularProgress size={24} />
+      ) : (
+        <>
+          {data.summary && (
+            <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 2 }}>
+              <Chip label={`${data.summary.reimbursable} ready to claim`} color="primary" variant="outlined" />
+              <Chip label={`${data.summary.submitted} submitted`} variant="outlined" />
+              <Chip label={`${data.summary.paid} reimbursed (KES ${data.summary.amountReimbursed.toLocaleString()})`} color="success" variant="outlined" />
+              {data.summary.rejected > 0 && <Chip label={`${data.summary.rejected} rejected`} color="error" variant="outlined" />}
+            </Box>
+          )}
+
+          {months.length > 0 && (
+            <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 2 }}>
+              {months.map(month => (
+                <Button key={month} size="small" startIcon={<DownloadIcon />} onClick={() => downloadMonthly(month)}>
+                  {month} superbill
+                </Button>
+              ))}
+            </Box>
+          )}
+
+          {data.claims.length > 0 ? (
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell><strong>Date</strong></TableCell>
+                    <TableCell><strong>Therapist</strong></TableCell>
+                    <TableCell align="right"><strong>Paid</strong></TableCell>
+                    <TableCell><strong>Claim</strong></TableCell>
+                    <TableCell align="right"><strong>Actions</strong></TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {data.claims.map(claim => (
+                    <TableRow key={claim.sessionId} hover>
+                      <TableCell>{new Date(claim.sessionDate).toLocaleDateString()}</TableCell>
+                      <TableCell>{claim.therapistName || 'Therapist'}</TableCell>
+                      <TableCell align="right">KES {claim.amountPaid.toLocaleString()}</TableCell>
+                      <TableCell>
+                        {claim.claim ? (
+                          <Chip size="small" {...CLAIM_CHIPS[claim.claim.status]} />
+                        ) : claim.reimbursable ? (
+                          <Chip size="small" label="Ready to claim" color="primary" variant="outlined" />
+                        ) : (
+                          <Tooltip title={`Missing: ${claim.missing.join(', ')}`}>
+                            <Chip size="small" label="Not claimable yet" variant="outlined" />
+                          </Tooltip>
+                        )}
+                      </TableCell>
+                      <TableCell align="right">
+                        {claim.reimbursable && (
+                          <Button size="small" startIcon={<DownloadIcon />} onClick={() => downloadSuperbill(claim)}>
+                            Superbill
+                          </Button>
+                        )}
+                        {claimActions(claim)}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          ) : (
+            <Typography variant="body2" color="text.secondary">
+              Completed sessions you can claim from your insurer will appear here.
+            </Typography>
+          )}
+        </>
+      )}
+
+      <Dialog open={detailsOpen} onClose={() => setDetailsOpen(false)} fullWidth maxWidth="sm">
+        <DialogTitle>Insurance Details</DialogTitle>
+        <DialogContent>
+          <TextField fullWidth margin="dense" label="Insurer" value={details.provider}
+            onChange={(e) => setDetails({ ...details, provider: e.target.value })} />
+          <TextField fullWidth margin="dense" label="Plan name" value={details.planName}
+            onChange={(e) => setDetails({ ...details, planName: e.target.value })} />
+          <TextField fullWidth margin="dense" label="Member number" value={details.memberNumber}
+            onChange={(e) => setDetails({ ...details, memberNumber: e.target.value })} />
+          <TextField fullWidth margin="dense" label="Group number" value={details.groupNumber}
+            onChange={(e) => setDetails({ ...details, groupNumber: e.target.value })} />
+          <TextField select fullWidth margin="dense" label="Your relationship to the policy holder"
+            value={details.policyHolderRelationship}
+            onChange={(e) => setDetails({ ...details, policyHolderRelationship: e.target.value })}>
+            <MenuItem value="self">I am the policy holder</MenuItem>
+            <MenuItem value="spouse">Spouse</MenuItem>
+            <MenuItem value="child">Child</MenuItem>
+            <MenuItem value="other">Other</MenuItem>
+          </TextField>
+          {details.policyHolderRelationship !== 'self' && (
+            <>
+              <TextField fullWidth margin="dense" label="Policy holder name" value={details.policyHolderName}
+                onChange={(e) => setDetails({ ...details, policyHolderName: e.target.value })} />
+              <TextField fullWidth margin="dense" label="Policy holder date of birth" type="date"
+                InputLabelProps={{ shrink: true }} value={details.policyHolderDateOfBirth}
+                onChange={(e) => setDetails({ ...details, policyHolderDateOfBirth: e.target.value })} />
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDetailsOpen(false)}>Cancel</Button>
+          <Button variant="contained" onClick={saveDetails} disabled={saving}>Save</Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={!!claimDialog} onClose={() => setClaimDialog(null)} fullWidth maxWidth="xs">
+        <DialogTitle>
+          {claimDialog?.status === 'submitted' && 'Claim Submitted'}
+          {claimDialog?.status === 'paid' && 'Claim Reimbursed'}
+          {claimDialog?.status === 'rejected' && 'Claim Rejected'}
+        </DialogTitle>
+        <DialogContent>
+          {claimDialog?.status === 'submitted' && (
+            <>
+              <TextField fullWidth margin="dense" label="Insurer claim reference (optional)"
+                value={claimForm.claimReference || ''}
+                onChange={(e) => setClaimForm({ ...claimForm, claimReference: e.target.value })} />
+              <TextField fullWidth margin="dense" label="Amount claimed (KES)" type="number"
+                value={claimForm.amountClaimed ?? ''}
+                onChange={(e) => setClaimForm({ ...claimForm, amountClaimed: e.target.value })} />
+            </>
+          )}
+          {claimDialog?.status === 'paid' && (
+            <TextField fullWidth margin="dense" label="Amount reimbursed (KES)" type="number"
+              value={claimForm.amountReimbursed ?? ''}
+              onChange={(e) => setClaimForm({ ...claimForm, amountReimbursed: e.target.value })} />
+          )}
+          {claimDialog?.status === 'rejected' && (
+            <TextField fullWidth margin="dense" label="Reason given by the insurer" multiline rows={2}
+              value={claimForm.rejectionReason || ''}
+              onChange={(e) => setClaimForm({ ...claimForm, rejectionReason: e.target.value })} />
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setClaimDialog(null)}>Cancel</Button>
+          <Button variant="contained" onClick={saveClaim} disabled={saving}>Save</Button>
+        </DialogActions>
+      </Dialog>
+    </Paper>
+  );
+};
+
+export default InsuranceClaims;
@@ -19,6 +19,7 @@ import {
 import { Save, Send, ArrowBack, ArrowForward } from '@mui/icons-material';
 import axios from 'axios';
 import API_URL from '../config/api';
+import CrisisSupportDialog from './CrisisSupportDialog';
 
 const IntakeFormWizard = ({ sessionId, onComplete }) => {
   const [template, setTemplate] = useState(null);
@@ -29,6 +30,7 @@ const IntakeFormWizard = ({ sessionId, onComplete }) => {
   const [submitting, setSubmitting] = useState(false);
   const [error, setError] = useState('');
   const [savedFormId, setSavedFormId] = useState(null);
+  const [crisisSupport, setCrisisSupport] = useState(null);
 
   useEffect(() => {
     fetchTemplate();
@@ -96,18 +98,24 @@ const IntakeFormWizard = ({ sessionId, onComplete }) => {
     setError('');
     try {
       const token = localStorage.getItem('token');
+      let response;
       if (savedFormId) {
-        await axios.put(`${API_URL}/api/intake-forms/${savedFormId}`, 
+        response = await axios.put(`${API_URL}/api/intake-forms/${savedFormId}`, 
           { ...formData, isComplete: true },
           { headers: { Authorization: `Bearer ${token}` } }
         );
       } else {
-        await axios.post(`${API_URL}/api/intake-forms`,
+        response = await axios.post(`${API_URL}/api/intake-forms`,
           { sessionId, ...formData },
           { headers: { Authorization: `Bearer ${token}` } }
         );
       }
-      if (onComplete) onComplete();
+      // Crisis resources come first; completion continues once they are dismissed
+      if (response.data.crisisSupport) {
+        setCrisisSupport(response.data.crisisSupport);
+      } else if (onComplete) {
+        onComplete();
+      }
     } catch (err) {
       setError(err.response?.data?.message || 'Failed to submit form');
     } finally {
@@ -207,6 +215,14 @@ const IntakeFormWizard = ({ sessionId, onComplete }) => {
           )}
         </Box>
       </Box>
+      <CrisisSupportDialog
+        open={!!crisisSupport}
+        crisisSupport={crisisSupport}
+        onClose={() => {
+          setCrisisSupport(null);
+          if (onComplete) onComplete();
+        }}
+      />
     </Paper>
   );
 };
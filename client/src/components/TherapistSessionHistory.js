@@ -55,6 +55,7 @@ import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
 import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
 import axios from 'axios';
 import API_BASE_URL from '../config/api';
+import ClientOutcomeChart from './ClientOutcomeChart';
 
 
 /**
@@ -593,6 +594,7 @@ const TherapistSessionHistory = () => {
               <Tab label="Intake Form" />
               <Tab label="Session Notes" />
               <Tab label="History" />
+              <Tab label="Outcomes" />
             </Tabs>
             
             {/* Session Info Tab */}
@@ -837,6 +839,11 @@ const TherapistSessionHistory = () => {
                 )}
               </Box>
             )}
+
+            {/* Outcomes Tab */}
+            {detailsTab === 4 && (
+              <ClientOutcomeChart clientId={sessionDetails.client?._id} />
+            )}
           </>
         ) : (
           <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
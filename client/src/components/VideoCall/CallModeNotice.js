@@ -0,0 +1,62 @@
+import React from 'react';
+import { Box, Chip, Alert, AlertTitle, Button, Typography } from '@mui/material';
+import {
+  SignalCellularAlt as SignalIcon,
+  Phone as PhoneIcon
+} from '@mui/icons-material';
+import { CALL_MODES } from '../../utils/connectionDegradation';
+
+const MODE_MESSAGES = {
+  low_resolution: 'Video quality lowered for a weak connection',
+  video_off: 'Video paused for a weak connection',
+  audio_only: 'Audio only for a weak connection'
+};
+
+/**
+ * Shows the mode the call has been moved to on a poor network. On the
+ * phone bridge everyone gets the dial-in details (also sent by SMS), and
+ * the therapist can try video again once things improve.
+ */
+const CallModeNotice = ({ callMode, isHost, onRestore }) => {
+  if (!callMode || callMode.mode === 'full') return null;
+
+  if (callMode.mode === 'phone_bridge') {
+    return (
+      <Alert
+        severity="warning"
+        icon={<PhoneIcon />}
+        action={isHost && (
+          <Button color="inherit" size="small" onClick={onRestore}>
+            Try video again
+          </Button>
+        )}
+        sx={{ position: 'absolute', bottom: 130, left: '50%', transform: 'translateX(-50%)', zIndex: 1000, minWidth: 360 }}
+      >
+        <AlertTitle>Continue by phone</AlertTitle>
+        {callMode.phoneBridge?.number ? (
+          <Typography variant="body2">
+            The connection is too weak for the call. Dial {callMode.phoneBridge.number} and enter
+            PIN {callMode.phoneBridge.pin}# - we have also sent this to you by SMS.
+          </Typography>
+        ) : (
+          <Typography variant="body2">
+            The connection is too weak for the call. Dial-in details have been sent to you by SMS.
+          </Typography>
+        )}
+      </Alert>
+    );
+  }
+
+  return (
+    <Box sx={{ position: 'absolute', bottom: 130, left: '50%', transform: 'translateX(-50%)', zIndex: 1000 }}>
+      <Chip
+        icon={<SignalIcon />}
+        label={MODE_MESSAGES[callMode.mode] || CALL_MODES[callMode.mode]?.label}
+        size="small"
+        sx={{ bgcolor: 'rgba(0,0,0,0.7)', color: 'white', '& .MuiChip-icon': { color: 'warning.main' } }}
+      />
+    </Box>
+  );
+};
+
+export default CallModeNotice;
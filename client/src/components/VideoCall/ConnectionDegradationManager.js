@@ -53,6 +53,8 @@ const ConnectionDegradationManager = ({
   onQualityChange,
   onStreamChange,
   onReconnectNeeded,
+  // The server's call mode ladder adjusts quality; only suggest changes
+  managedByServer = false,
   enabled = true
 }) => {
   const [degradationState, setDegradationState] = useState({
@@ -142,13 +144,13 @@ const ConnectionDegradationManager = ({
     }
 
     // Auto-apply degradation if enabled and conditions are met
-    if (degradationState.autoMode && shouldApplyDegradation(analysis)) {
+    if (!managedByServer && degradationState.autoMode && shouldApplyDegradation(analysis)) {
       await handleAutoDegradation(analysis);
     } else if (analysis.suggestions.length > 0) {
       // Show manual suggestions
       showDegradationSuggestions(analysis);
     }
-  }, [networkStats, currentStream, currentQuality, degradationState.autoMode]);
+  }, [networkStats, currentStream, currentQuality, degradationState.autoMode, managedByServer]);
 
   const shouldApplyDegradation = (analysis) => {
     // Don't auto-degrade if we recently applied one
@@ -510,23 +512,29 @@ const ConnectionDegradationManager = ({
       >
         <DialogTitle>Connection Management Settings</DialogTitle>
         <DialogContent>
-          <Box sx={{ mb: 3 }}>
-            <FormControlLabel
-              control={
-                <Switch
-                  checked={degradationState.autoMode}
-                  onChange={(e) => setDegradationState(prev => ({ 
-                    ...prev, 
-                    autoMode: e.target.checked 
-                  }))}
-                />
-              }
-              label="Automatic Quality Optimization"
-            />
-            <Typography variant="caption" color="text.secondary" display="block">
-              Automatically adjust video quality when connection issues are detected
+          {managedByServer ? (
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+              Video quality is adjusted for everyone in the call when connection issues are detected
             </Typography>
-          </Box>
+          ) : (
+            <Box sx={{ mb: 3 }}>
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={degradationState.autoMode}
+                    onChange={(e) => setDegradationState(prev => ({ 
+                      ...prev, 
+                      autoMode: e.target.checked 
+                    }))}
+                  />
+                }
+                label="Automatic Quality Optimization"
+              />
+              <Typography variant="caption" color="text.secondary" display="block">
+                Automatically adjust video quality when connection issues are detected
+              </Typography>
+            </Box>
+          )}
 
           {degradationState.currentAnalysis?.suggestions && (
             <Box sx={{ mb: 3 }}>
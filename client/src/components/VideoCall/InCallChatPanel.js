@@ -0,0 +1,246 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  TextField,
+  Button,
+  IconButton,
+  Link,
+  Alert,
+  Tooltip
+} from '@mui/material';
+import {
+  Close as CloseIcon,
+  AttachFile as AttachIcon,
+  InsertDriveFile as FileIcon,
+  LibraryAdd as ShareResourceIcon,
+  CheckCircle as SharedIcon
+} from '@mui/icons-material';
+import axios from 'axios';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+
+// Mirrors the server's file scan so obviously unsuitable files aren't sent
+const ACCEPTED_FILES = '.pdf,.png,.jpg,.jpeg,.docx,.txt';
+const MAX_FILE_BYTES = 10 * 1024 * 1024;
+const URL_PATTERN = /(https?:\/\/[^\s]+)/g;
+
+const formatSize = (bytes) =>
+  bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
+// Message text with any links made clickable
+const renderText = (text) =>
+  text.split(URL_PATTERN).map((part, index) =>
+    index % 2 === 1 ? (
+      <Link key={index} href={part} target="_blank" rel="noopener noreferrer" color="inherit" sx={{ wordBreak: 'break-all' }}>
+        {part}
+      </Link>
+    ) : (
+      part
+    )
+  );
+
+/**
+ * Chat alongside the video: text, links and shared files. The therapist
+ * can share a file with the client as a resource they keep after the call.
+ */
+const InCallChatPanel = ({
+  messages,
+  self,
+  sessionId,
+  error,
+  onSend,
+  onSendFile,
+  onMessageUpdated,
+  onDismissError,
+  onClose
+}) => {
+  const [text, setText] = useState('');
+  const [localError, setLocalError] = useState(null);
+  const fileInputRef = useRef();
+  const endRef = useRef();
+
+  useEffect(() => {
+    endRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [messages]);
+
+  const headers = () => ({ 'x-auth-token': localStorage.getItem('token') });
+
+  const send = () => {
+    if (!text.trim()) return;
+    onSend(text.trim());
+    setText('');
+  };
+
+  const handleFileSelected = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    if (file.size > MAX_FILE_BYTES) {
+      setLocalError('Files must be under 10 MB');
+      return;
+    }
+    setLocalError(null);
+    onSendFile(file, text.trim());
+    setText('');
+  };
+
+  const downloadAttachment = async (message) => {
+    try {
+      const res = await axios.get(`${API_URL}/api/call-chat/session/${sessionId}/attachments/${message.id}`, {
+        headers: headers(),
+        responseType: 'blob'
+      });
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = message.attachment.fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Failed to download attachment:', err);
+      setLocalError('Could not download the file');
+    }
+  };
+
+  const shareAsResource = async (message) => {
+    try {
+      const res = await axios.post(
+        `${API_URL}/api/call-chat/session/${sessionId}/attachments/${message.id}/resource`,
+        {},
+        { headers: headers() }
+      );
+      onMessageUpdated({ ...message, resource: res.data.resource._id });
+    } catch (err) {
+      console.error('Failed to share file as resource:', err);
+      setLocalError(err.response?.data?.error || 'Could not share the file');
+    }
+  };
+
+  const shownError = localError || error;
+
+  return (
+    <Paper
+      sx={{
+        position: 'absolute',
+        // Below the self-view
+        top: 220,
+        right: 20,
+        bottom: 140,
+        width: 340,
+        display: 'flex',
+        flexDirection: 'column',
+        bgcolor: 'rgba(30,30,30,0.95)',
+        color: 'white',
+        borderRadius: 2,
+        zIndex: 1000
+      }}
+    >
+      <Box sx={{ p: 1.5, borderBottom: '1px solid #444', display: 'flex', alignItems: 'center' }}>
+        <Typography variant="subtitle1" sx={{ flex: 1 }}>Chat</Typography>
+        <IconButton size="small" onClick={onClose} sx={{ color: 'white' }}>
+          <CloseIcon fontSize="small" />
+        </IconButton>
+      </Box>
+
+      <Box sx={{ flex: 1, p: 1, overflowY: 'auto' }}>
+        {messages.length === 0 && (
+          <Typography variant="body2" color="grey.500" sx={{ textAlign: 'center', mt: 2 }}>
+            Messages and files are only visible to people in this session
+          </Typography>
+        )}
+        {messages.map(message => {
+          const isMine = String(message.sender) === String(self?.userId);
+          return (
+            <Box
+              key={message.id}
+              sx={{ mb: 1, p: 1, bgcolor: isMine ? '#1976d2' : '#444', borderRadius: 1, ml: isMine ? 4 : 0, mr: isMine ? 0 : 4 }}
+            >
+              <Typography variant="caption" color="grey.300">
+                {isMine ? 'You' : message.senderName} · {new Date(message.sentAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+              </Typography>
+              {message.text && (
+                <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap' }}>
+                  {renderText(message.text)}
+                </Typography>
+              )}
+              {message.attachment && (
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5, mt: 0.5 }}>
+                  <Button
+                    size="small"
+                    color="inherit"
+                    startIcon={<FileIcon />}
+                    onClick={() => downloadAttachment(message)}
+                    sx={{ textTransform: 'none', justifyContent: 'flex-start', flex: 1, minWidth: 0 }}
+                  >
+                    <Box component="span" sx={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                      {message.attachment.fileName} ({formatSize(message.attachment.size)})
+                    </Box>
+                  </Button>
+                  {self?.isHost && (
+                    message.resource ? (
+                      <Tooltip title="Shared with client as a resource">
+                        <SharedIcon fontSize="small" color="success" />
+                      </Tooltip>
+                    ) : (
+                      <Tooltip title="Share with client as a resource">
+                        <IconButton size="small" onClick={() => shareAsResource(message)} sx={{ color: 'white' }}>
+                          <ShareResourceIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    )
+                  )}
+                </Box>
+              )}
+            </Box>
+          );
+        })}
+        <div ref={endRef} />
+      </Box>
+
+      {shownError && (
+        <Alert
+          severity="error"
+          onClose={() => {
+            setLocalError(null);
+            onDismissError();
+          }}
+          sx={{ mx: 1, mb: 1 }}
+        >
+          {shownError}
+        </Alert>
+      )}
+
+      <Box sx={{ p: 1.5, borderTop: '1px solid #444', display: 'flex', gap: 1, alignItems: 'center' }}>
+        <input ref={fileInputRef} type="file" accept={ACCEPTED_FILES} hidden onChange={handleFileSelected} />
+        <Tooltip title="Share a file (PDF, image, Word or text, up to 10 MB)">
+          <IconButton size="small" onClick={() => fileInputRef.current?.click()} sx={{ color: 'white' }}>
+            <AttachIcon />
+          </IconButton>
+        </Tooltip>
+        <TextField
+          fullWidth
+          size="small"
+          placeholder="Type a message..."
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onKeyPress={(e) => e.key === 'Enter' && send()}
+          inputProps={{ maxLength: 2000 }}
+          sx={{
+            '& .MuiOutlinedInput-root': {
+              color: 'white',
+              '& fieldset': { borderColor: '#444' }
+            }
+          }}
+        />
+        <Button variant="contained" size="small" onClick={send}>
+          Send
+        </Button>
+      </Box>
+    </Paper>
+  );
+};
+
+export default InCallChatPanel;
@@ -29,7 +29,7 @@ import {
   Speed as SpeedIcon
 } from '@mui/icons-material';
 
-const NetworkQualityIndicator = ({ peerConnection, onQualityChange }) => {
+const NetworkQualityIndicator = ({ peerConnection, onQualityChange, onStats }) => {
   const [quality, setQuality] = useState('unknown');
   const [stats, setStats] = useState({});
   const [anchorEl, setAnchorEl] = useState(null);
@@ -78,6 +78,7 @@ const NetworkQualityIndicator = ({ peerConnection, onQualityChange }) => {
       const stats = await peerConnection._pc.getStats();
       const parsedStats = parseRTCStats(stats);
       setStats(parsedStats);
+      if (onStats) onStats(parsedStats);
       
       const newQuality = calculateQuality(parsedStats);
       
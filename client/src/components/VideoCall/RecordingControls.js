@@ -0,0 +1,220 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  Alert
+} from '@mui/material';
+import {
+  FiberManualRecord as RecordIcon,
+  Stop as StopIcon
+} from '@mui/icons-material';
+import axios from 'axios';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+
+// How often the recorder hands over a chunk for upload
+const CHUNK_INTERVAL_MS = 10000;
+const ACTIVE_STATUSES = ['consent_pending', 'recording', 'processing'];
+
+const getSupportedMimeType = () =>
+  ['video/webm;codecs=vp8,opus', 'video/webm'].find(type => window.MediaRecorder.isTypeSupported(type));
+
+// The other participant's video with both sides' audio mixed together
+const createRecordingStream = (localStream, remoteStream) => {
+  const audioContext = new window.AudioContext();
+  const destination = audioContext.createMediaStreamDestination();
+  [localStream, remoteStream].forEach(stream => {
+    if (stream && stream.getAudioTracks().length > 0) {
+      audioContext.createMediaStreamSource(stream).connect(destination);
+    }
+  });
+
+  const stream = new MediaStream([
+    ...remoteStream.getVideoTracks(),
+    ...destination.stream.getAudioTracks()
+  ]);
+  return { stream, audioContext };
+};
+
+/**
+ * Session recording in the call: the therapist asks to record, everyone
+ * else is asked for consent, and once all have agreed the therapist's
+ * browser records and uploads the call in chunks. Anyone can withdraw,
+ * which discards the recording.
+ */
+const RecordingControls = ({
+  recording,
+  self,
+  sessionId,
+  localStream,
+  remoteStream,
+  onRequest,
+  onConsent,
+  onWithdraw,
+  onStop
+}) => {
+  const [uploadError, setUploadError] = useState(null);
+  const recorderRef = useRef(null);
+  const uploadsRef = useRef([]);
+  const stopRequestedRef = useRef(false);
+  // Carries on across recorder restarts (e.g. after a reconnect)
+  const sequenceRef = useRef(0);
+
+  const status = recording?.status;
+  const isRecorder = !!recording && !!self && String(recording.requestedBy) === String(self.userId);
+  const needsMyConsent = status === 'consent_pending' && !!self &&
+    recording.pendingConsents.some(userId => String(userId) === String(self.userId));
+
+  const uploadChunk = (data, sequence) => {
+    const formData = new FormData();
+    formData.append('chunk', data, `chunk-${sequence}.webm`);
+    formData.append('sequence', sequence);
+
+    return axios.post(`${API_URL}/api/recordings/session/${sessionId}/chunks`, formData, {
+      headers: { 'x-auth-token': localStorage.getItem('token') }
+    }).catch(err => {
+      console.error(`Failed to upload recording chunk ${sequence}:`, err);
+      setUploadError(err.response?.data?.error || 'Part of the recording could not be uploaded');
+    });
+  };
+
+  useEffect(() => {
+    sequenceRef.current = 0;
+  }, [recording?.id]);
+
+  // Record while everyone has consented; stop as soon as that changes
+  useEffect(() => {
+    if (status !== 'recording' || !isRecorder || !remoteStream || !window.MediaRecorder) return undefined;
+
+    const { stream, audioContext } = createRecordingStream(localStream, remoteStream);
+    const recorder = new window.MediaRecorder(stream, { mimeType: getSupportedMimeType() });
+    recorder.ondataavailable = ({ data }) => {
+      if (data && data.size > 0) {
+        uploadsRef.current.push(uploadChunk(data, sequenceRef.current++));
+      }
+    };
+    recorder.onstop = async () => {
+      audioContext.close();
+      await Promise.all(uploadsRef.current);
+      uploadsRef.current = [];
+      // Only tell the server to assemble once the last chunk is in
+      if (stopRequestedRef.current) {
+        stopRequestedRef.current = false;
+        onStop();
+      }
+    };
+
+    recorder.start(CHUNK_INTERVAL_MS);
+    recorderRef.current = recorder;
+    console.log('⏺️ Recording started');
+
+    return () => {
+      if (recorder.state !== 'inactive') recorder.stop();
+      recorderRef.current = null;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [status, isRecorder, remoteStream]);
+
+  const stopRecording = () => {
+    if (recorderRef.current && recorderRef.current.state !== 'inactive') {
+      stopRequestedRef.current = true;
+      recorderRef.current.stop();
+    } else {
+      onStop();
+    }
+  };
+
+  const renderStatus = () => {
+    if (status === 'recording') {
+      return <Chip icon={<RecordIcon />} label="Recording" color="error" size="small" />;
+    }
+    if (status === 'consent_pending') {
+      return <Chip label="Waiting for consent to record" size="small" sx={{ bgcolor: 'rgba(0,0,0,0.7)', color: 'white' }} />;
+    }
+    if (status === 'processing') {
+      return <Chip label="Saving recording..." size="small" sx={{ bgcolor: 'rgba(0,0,0,0.7)', color: 'white' }} />;
+    }
+    return null;
+  };
+
+  const renderAction = () => {
+    if (!ACTIVE_STATUSES.includes(status)) {
+      if (!self?.isHost) return null;
+      return (
+        <Button size="small" variant="contained" color="error" startIcon={<RecordIcon />} onClick={onRequest}>
+          Record
+        </Button>
+      );
+    }
+    if (status === 'recording' && isRecorder) {
+      return (
+        <Button size="small" variant="contained" color="error" startIcon={<StopIcon />} onClick={stopRecording}>
+          Stop
+        </Button>
+      );
+    }
+    if (status === 'recording' || (status === 'consent_pending' && !needsMyConsent)) {
+      return (
+        <Button size="small" variant="outlined" color="inherit" onClick={onWithdraw}>
+          {status === 'recording' ? 'Withdraw consent' : 'Cancel'}
+        </Button>
+      );
+    }
+    return null;
+  };
+
+  return (
+    <>
+      <Box
+        sx={{
+          position: 'absolute',
+          top: 20,
+          left: '50%',
+          transform: 'translateX(-50%)',
+          display: 'flex',
+          alignItems: 'center',
+          gap: 1,
+          color: 'white',
+          zIndex: 1000
+        }}
+      >
+        {renderStatus()}
+        {renderAction()}
+      </Box>
+
+      {uploadError && (
+        <Alert
+          severity="warning"
+          onClose={() => setUploadError(null)}
+          sx={{ position: 'absolute', top: 60, left: '50%', transform: 'translateX(-50%)', zIndex: 1000 }}
+        >
+          {uploadError}
+        </Alert>
+      )}
+
+      <Dialog open={needsMyConsent}>
+        <DialogTitle>Record this session?</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            Your therapist would like to record this session. The recording is encrypted, only
+            you, your therapist and authorised staff can view it, and it is deleted automatically
+            after the retention period. You can withdraw consent at any time during the call,
+            which discards the recording.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={onWithdraw}>Decline</Button>
+          <Button onClick={onConsent} variant="contained">Allow recording</Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
+
+export default RecordingControls;
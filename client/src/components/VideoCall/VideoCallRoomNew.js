@@ -1,8 +1,8 @@
 import React, { useEffect, useRef, useState } from 'react';
-import { Box, IconButton, Typography, Paper, CircularProgress, Alert, Chip } from '@mui/material';
+import { Box, IconButton, Typography, Paper, CircularProgress, Alert, Chip, Badge } from '@mui/material';
 import {
   Videocam, VideocamOff, Mic, MicOff, CallEnd, 
-  ScreenShare, StopScreenShare
+  ScreenShare, StopScreenShare, Chat as ChatIcon
 } from '@mui/icons-material';
 import io from 'socket.io-client';
 import Peer from 'simple-peer';
@@ -13,15 +13,26 @@ import NetworkQualityIndicator from './NetworkQualityIndicator';
 import QuickHelpPanel from './QuickHelpPanel';
 import TroubleshootingGuide from './TroubleshootingGuide';
 import ConnectionDegradationManager from './ConnectionDegradationManager';
+import WaitingRoomLobby from './WaitingRoomLobby';
+import WaitingRoomPanel from './WaitingRoomPanel';
+import RecordingControls from './RecordingControls';
+import InCallChatPanel from './InCallChatPanel';
+import CallModeNotice from './CallModeNotice';
 import { logError } from '../../utils/videoCallErrors';
 import { 
   getMediaConstraints, 
   createReconnectionStrategy,
+  buildQualityReport,
+  applyCallMode,
+  CALL_MODES,
   QUALITY_LEVELS 
 } from '../../utils/connectionDegradation';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
 
+// How often connection quality is reported to the server's call mode ladder
+const QUALITY_REPORT_INTERVAL_MS = 5000;
+
 const VideoCallRoomNew = ({ sessionId, onCallEnd }) => {
   // State management
   const [localStream, setLocalStream] = useState(null);
@@ -43,6 +54,15 @@ const VideoCallRoomNew = ({ sessionId, onCallEnd }) => {
   const [reconnectionAttempts, setReconnectionAttempts] = useState(0);
   const [isReconnecting, setIsReconnecting] = useState(false);
   const [degradationEnabled, setDegradationEnabled] = useState(true);
+  const [lobby, setLobby] = useState(null); // { sessionDate, timing, hostPresent } while waiting to be admitted
+  const [waitingList, setWaitingList] = useState([]); // clients waiting for the therapist to admit them
+  const [self, setSelf] = useState(null); // { userId, isHost } once in the call
+  const [recording, setRecording] = useState(null); // current session recording and its consents
+  const [showChat, setShowChat] = useState(false);
+  const [chatMessages, setChatMessages] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [chatError, setChatError] = useState(null);
+  const [callMode, setCallMode] = useState(null); // { mode, phoneBridge, reason } set by the server on poor networks
   
   // Refs
   const localVideoRef = useRef();
@@ -52,12 +72,29 @@ const VideoCallRoomNew = ({ sessionId, onCallEnd }) => {
   const callStartTimeRef = useRef();
   const durationIntervalRef = useRef();
   const screenStreamRef = useRef();
+  const showChatRef = useRef(false);
+  const latestStatsRef = useRef(null);
 
   useEffect(() => {
     initializeCall();
     return () => cleanup();
   }, [sessionId]);
 
+  // Report connection quality while in the call; the server moves the
+  // whole call down (or back up) the degradation ladder
+  useEffect(() => {
+    if (connectionStatus !== 'connected' || !roomData) return undefined;
+    
+    const interval = setInterval(() => {
+      const metrics = latestStatsRef.current && buildQualityReport(latestStatsRef.current);
+      if (metrics) {
+        socketRef.current?.emit('quality-report', { roomId: roomData.roomId, metrics });
+      }
+    }, QUALITY_REPORT_INTERVAL_MS);
+    
+    return () => clearInterval(interval);
+  }, [connectionStatus, roomData]);
+
   const initializeCall = async () => {
     try {
       setConnectionStatus('connecting');
@@ -65,8 +102,10 @@ const VideoCallRoomNew = ({ sessionId, onCallEnd }) => {
       // Get WebRTC config and room info
       const token = localStorage.getItem('token');
       const [configRes, roomRes] = await Promise.all([
+        // Passing the session gets TURN relay credentials for this call
         axios.get(`${API_URL}/api/video-calls/config`, {
-          headers: { 'x-auth-token': token }
+          headers: { 'x-auth-token': token },
+          params: { sessionId }
         }),
         axios.post(`${API_URL}/api/video-calls/generate-room/${sessionId}`, {}, {
           headers: { 'x-auth-token': token }
@@ -132,21 +171,10 @@ const VideoCallRoomNew = ({ sessionId, onCallEnd }) => {
       
       console.log('📹 Local stream acquired');
       
-      // Connect to signaling server
+      // Connect to signaling server (the call starts once we are in the room,
+      // which for clients is after the therapist admits them)
       connectToSignalingServer(roomRes.data.roomId, stream, configRes.data.iceServers);
       
-      // Start call timer
-      callStartTimeRef.current = Date.now();
-      durationIntervalRef.current = setInterval(() => {
-        const elapsed = Math.floor((Date.now() - callStartTimeRef.current) / 1000);
-        setCallDuration(elapsed);
-      }, 1000);
-      
-      // Notify backend that call started
-      await axios.post(`${API_URL}/api/video-calls/start/${sessionId}`, {}, {
-        headers: { 'x-auth-token': token }
-      });
-      
       console.log('✅ Call initialized successfully');
       
     } catch (err) {
@@ -175,6 +203,72 @@ const VideoCallRoomNew = ({ sessionId, onCallEnd }) => {
     }
   };
 
+  const startCall = async () => {
+    if (durationIntervalRef.current) return;
+    
+    // Start call timer
+    callStartTimeRef.current = Date.now();
+    durationIntervalRef.current = setInterval(() => {
+      const elapsed = Math.floor((Date.now() - callStartTimeRef.current) / 1000);
+      setCallDuration(elapsed);
+    }, 1000);
+    
+    try {
+      // Notify backend that call started
+      await axios.post(`${API_URL}/api/video-calls/start/${sessionId}`, {}, {
+        headers: { 'x-auth-token': localStorage.getItem('token') }
+      });
+    } catch (err) {
+      console.error('Failed to record call start:', err);
+      logError(err, {
+        action: 'start-call',
+        sessionId
+      });
+    }
+  };
+
+  const emitRecordingAction = (event) => {
+    socketRef.current?.emit(event, { roomId: roomData?.roomId });
+  };
+
+  const restoreCallMode = () => {
+    socketRef.current?.emit('call-mode-restore', { roomId: roomData?.roomId });
+  };
+
+  const toggleChat = () => {
+    showChatRef.current = !showChat;
+    setShowChat(!showChat);
+    setUnreadCount(0);
+  };
+
+  const sendChatMessage = (text) => {
+    setChatError(null);
+    socketRef.current?.emit('chat-message', { roomId: roomData?.roomId, text });
+  };
+
+  const sendChatFile = async (file, text) => {
+    setChatError(null);
+    const data = await file.arrayBuffer();
+    socketRef.current?.emit('chat-file', {
+      roomId: roomData?.roomId,
+      fileName: file.name,
+      mimeType: file.type,
+      data,
+      text
+    });
+  };
+
+  const updateChatMessage = (updated) => {
+    setChatMessages(current => current.map(message => (message.id === updated.id ? updated : message)));
+  };
+
+  const admitParticipant = (userId) => {
+    socketRef.current?.emit('admit-participant', {
+      roomId: roomData?.roomId,
+      userId
+    });
+  };
+
   const connectToSignalingServer = (roomId, stream, servers) => {
     // Enhanced Socket.io connection with security
     const socket = io(API_URL, {
@@ -208,9 +302,76 @@ const VideoCallRoomNew = ({ sessionId, onCallEnd }) => {
     });
     
     // Handle successful join
-    socket.on('join-success', ({ participantCount, secureConnection }) => {
+    socket.on('join-success', ({ participantCount, secureConnection, userId, isHost }) => {
       console.log(`✅ Successfully joined room. Participants: ${participantCount}, Secure: ${secureConnection}`);
+      setLobby(null);
+      setSelf({ userId, isHost });
       setConnectionStatus('connected');
+      startCall();
+    });
+    
+    // Clients wait in the lobby until the therapist admits them
+    socket.on('waiting-room', ({ sessionDate, timing, hostPresent }) => {
+      console.log('⏳ Waiting to be admitted');
+      setLobby({ sessionDate, timing, hostPresent });
+      setConnectionStatus('waiting-room');
+    });
+    
+    socket.on('waiting-room-status', ({ hostPresent }) => {
+      setLobby(current => current && { ...current, hostPresent });
+    });
+    
+    socket.on('admitted', ({ admittedBy }) => {
+      console.log(`✅ Admitted by ${admittedBy}`);
+      setLobby(null);
+      setConnectionStatus('connecting');
+    });
+    
+    // Therapist: who is in the lobby
+    socket.on('waiting-room-updated', ({ waiting }) => {
+      setWaitingList(waiting);
+    });
+    
+    socket.on('admit-error', ({ error }) => {
+      console.warn('Could not admit participant:', error);
+    });
+    
+    // Session recording consent and status
+    socket.on('recording-status', (status) => {
+      setRecording(status);
+    });
+    
+    socket.on('recording-error', ({ error }) => {
+      console.warn('Recording error:', error);
+    });
+    
+    // In-call chat
+    socket.on('chat-history', ({ messages }) => {
+      setChatMessages(messages);
+    });
+    
+    socket.on('chat-message', (message) => {
+      setChatMessages(current => (current.some(m => m.id === message.id) ? current : [...current, message]));
+      if (!showChatRef.current) {
+        setUnreadCount(count => count + 1);
+      }
+    });
+    
+    socket.on('chat-error', ({ error }) => {
+      console.warn('Chat error:', error);
+      setChatError(error);
+    });
+    
+    // Call mode chosen by the server from everyone's connection quality
+    socket.on('call-mode-changed', async ({ mode, phoneBridge, reason }) => {
+      console.log(`📶 Call mode: ${mode}${reason ? ` (${reason})` : ''}`);
+      setCallMode({ mode, phoneBridge, reason });
+      
+      const result = await applyCallMode(stream, mode, peerRef.current);
+      if (result.success) {
+        setCurrentVideoQuality(result.quality);
+        setIsVideoEnabled(result.videoEnabled);
+      }
     });
     
     // Handle join errors
@@ -550,6 +711,7 @@ const VideoCallRoomNew = ({ sessionId, onCallEnd }) => {
     }
     if (durationIntervalRef.current) {
       clearInterval(durationIntervalRef.current);
+      durationIntervalRef.current = null;
     }
   };
 
@@ -564,6 +726,7 @@ const VideoCallRoomNew = ({ sessionId, onCallEnd }) => {
     switch (connectionStatus) {
       case 'connecting': return 'Connecting...';
       case 'waiting': return 'Waiting for other participant...';
+      case 'waiting-room': return 'In the waiting room';
       case 'connected': return 'Connected';
       case 'disconnected': return 'Participant disconnected';
       case 'failed': return 'Connection failed';
@@ -690,6 +853,22 @@ const VideoCallRoomNew = ({ sessionId, onCallEnd }) => {
               backgroundColor: '#000'
             }}
           />
+        ) : lobby ? (
+          <Box sx={{ 
+            display: 'flex', 
+            alignItems: 'center', 
+            justifyContent: 'center', 
+            height: '100%',
+            p: 2
+          }}>
+            <WaitingRoomLobby
+              sessionDate={lobby.sessionDate}
+              timing={lobby.timing}
+              hostPresent={lobby.hostPresent}
+              localStream={localStream}
+              socketConnected={!!socketRef.current?.connected}
+            />
+          </Box>
         ) : (
           <Box sx={{ 
             display: 'flex', 
@@ -835,6 +1014,7 @@ const VideoCallRoomNew = ({ sessionId, onCallEnd }) => {
               <NetworkQualityIndicator
                 peerConnection={peerRef.current}
                 onQualityChange={handleNetworkQualityChange}
+                onStats={(stats) => { latestStatsRef.current = stats; }}
               />
               {networkQuality !== 'unknown' && networkQuality !== 'excellent' && (
                 <Chip
@@ -866,6 +1046,39 @@ const VideoCallRoomNew = ({ sessionId, onCallEnd }) => {
         )}
       </Paper>
 
+      {/* Waiting Room (therapist) */}
+      <WaitingRoomPanel waiting={waitingList} onAdmit={admitParticipant} />
+
+      {/* In-call Chat */}
+      {showChat && (
+        <InCallChatPanel
+          messages={chatMessages}
+          self={self}
+          sessionId={sessionId}
+          error={chatError}
+          onSend={sendChatMessage}
+          onSendFile={sendChatFile}
+          onMessageUpdated={updateChatMessage}
+          onDismissError={() => setChatError(null)}
+          onClose={toggleChat}
+        />
+      )}
+
+      {/* Session Recording */}
+      {self && (
+        <RecordingControls
+          recording={recording}
+          self={self}
+          sessionId={sessionId}
+          localStream={localStream}
+          remoteStream={remoteStream}
+          onRequest={() => emitRecordingAction('recording-request')}
+          onConsent={() => emitRecordingAction('recording-consent')}
+          onWithdraw={() => emitRecordingAction('recording-withdraw')}
+          onStop={() => emitRecordingAction('recording-stop')}
+        />
+      )}
+
       {/* Controls */}
       <Box
         sx={{
@@ -883,6 +1096,7 @@ const VideoCallRoomNew = ({ sessionId, onCallEnd }) => {
       >
         <IconButton
           onClick={toggleVideo}
+          disabled={!!callMode && !CALL_MODES[callMode.mode]?.sendVideo}
           sx={{ 
             bgcolor: isVideoEnabled ? 'primary.main' : 'error.main',
             color: 'white',
@@ -909,6 +1123,7 @@ const VideoCallRoomNew = ({ sessionId, onCallEnd }) => {
 
         <IconButton
           onClick={toggleScreenShare}
+          disabled={!!callMode && !CALL_MODES[callMode.mode]?.sendVideo}
           sx={{ 
             bgcolor: isScreenSharing ? 'success.main' : 'primary.main',
             color: 'white',
@@ -920,6 +1135,22 @@ const VideoCallRoomNew = ({ sessionId, onCallEnd }) => {
           {isScreenSharing ? <StopScreenShare /> : <ScreenShare />}
         </IconButton>
 
+        <IconButton
+          onClick={toggleChat}
+          disabled={!self}
+          sx={{ 
+            bgcolor: showChat ? 'success.main' : 'primary.main',
+            color: 'white',
+            '&:hover': { bgcolor: showChat ? 'success.dark' : 'primary.dark' },
+            width: 56,
+            height: 56
+          }}
+        >
+          <Badge badgeContent={unreadCount} color="error">
+            <ChatIcon />
+          </Badge>
+        </IconButton>
+
         <IconButton
           onClick={endCall}
           sx={{ 
@@ -1016,9 +1247,13 @@ const VideoCallRoomNew = ({ sessionId, onCallEnd }) => {
         onQualityChange={handleQualityChange}
         onStreamChange={handleStreamChange}
         onReconnectNeeded={handleReconnectionNeeded}
+        managedByServer
         enabled={degradationEnabled && connectionStatus === 'connected'}
       />
 
+      {/* Call mode on poor networks */}
+      <CallModeNotice callMode={callMode} isHost={self?.isHost} onRestore={restoreCallMode} />
+
       {/* Reconnection Indicator */}
       {isReconnecting && (
         <Box
@@ -0,0 +1,137 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  LinearProgress,
+  CircularProgress
+} from '@mui/material';
+import {
+  CheckCircle as PassIcon,
+  Error as FailIcon
+} from '@mui/icons-material';
+
+const formatCountdown = (ms) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+};
+
+// Whether a stream has a live track of the given kind
+const hasLiveTrack = (stream, kind) =>
+  !!stream && stream.getTracks().some(track => track.kind === kind && track.readyState === 'live');
+
+/**
+ * Lobby shown to clients until the therapist admits them: a countdown to
+ * the scheduled start and a check of camera, microphone and connection
+ */
+const WaitingRoomLobby = ({ sessionDate, timing, hostPresent, localStream, socketConnected }) => {
+  const [now, setNow] = useState(Date.now());
+  const [micLevel, setMicLevel] = useState(0);
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  // Live microphone level so the client can see they are being heard
+  useEffect(() => {
+    if (!hasLiveTrack(localStream, 'audio') || !window.AudioContext) return undefined;
+
+    const audioContext = new window.AudioContext();
+    const analyser = audioContext.createAnalyser();
+    analyser.fftSize = 256;
+    audioContext.createMediaStreamSource(localStream).connect(analyser);
+
+    const samples = new Uint8Array(analyser.frequencyBinCount);
+    const interval = setInterval(() => {
+      analyser.getByteFrequencyData(samples);
+      const average = samples.reduce((sum, value) => sum + value, 0) / samples.length;
+      setMicLevel(Math.min(100, Math.round((average / 128) * 100)));
+    }, 200);
+
+    return () => {
+      clearInterval(interval);
+      audioContext.close();
+    };
+  }, [localStream]);
+
+  const msUntilStart = new Date(sessionDate).getTime() - now;
+
+  const checks = [
+    { label: 'Camera', passed: hasLiveTrack(localStream, 'video'), detail: 'You can see yourself in the preview' },
+    { label: 'Microphone', passed: hasLiveTrack(localStream, 'audio'), detail: 'Speak to see the level move', level: micLevel },
+    { label: 'Connection', passed: socketConnected, detail: 'Connected to the session server' }
+  ];
+
+  const getStartMessage = () => {
+    if (msUntilStart > 0) return 'Your session starts in';
+    if (timing?.status === 'late_join') return 'Your session has started';
+    return 'Your session is starting';
+  };
+
+  return (
+    <Paper
+      sx={{
+        p: 4,
+        maxWidth: 420,
+        width: '100%',
+        bgcolor: 'rgba(0,0,0,0.85)',
+        color: 'white',
+        borderRadius: 3,
+        textAlign: 'center'
+      }}
+    >
+      <Typography variant="h5" sx={{ mb: 1 }}>
+        Waiting Room
+      </Typography>
+      <Typography variant="body2" color="grey.400">
+        {getStartMessage()}
+      </Typography>
+      {msUntilStart > 0 && (
+        <Typography variant="h3" sx={{ my: 2, fontVariantNumeric: 'tabular-nums' }}>
+          {formatCountdown(msUntilStart)}
+        </Typography>
+      )}
+
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 1, my: 2 }}>
+        <CircularProgress size={16} color="inherit" />
+        <Typography variant="body2">
+          {hostPresent
+            ? 'Your therapist knows you are here and will let you in shortly'
+            : 'Your therapist has not joined yet'}
+        </Typography>
+      </Box>
+
+      <List dense sx={{ textAlign: 'left' }}>
+        {checks.map(check => (
+          <ListItem key={check.label} disableGutters>
+            <ListItemIcon sx={{ minWidth: 36 }}>
+              {check.passed ? <PassIcon color="success" /> : <FailIcon color="error" />}
+            </ListItemIcon>
+            <ListItemText
+              primary={check.label}
+              secondary={check.passed ? check.detail : `${check.label} not available`}
+              secondaryTypographyProps={{ color: 'grey.400' }}
+            />
+            {check.level !== undefined && check.passed && (
+              <LinearProgress
+                variant="determinate"
+                value={check.level}
+                color="success"
+                sx={{ width: 80, ml: 1 }}
+              />
+            )}
+          </ListItem>
+        ))}
+      </List>
+    </Paper>
+  );
+};
+
+export default WaitingRoomLobby;
@@ -0,0 +1,68 @@
+import React from 'react';
+import {
+  Paper,
+  Typography,
+  List,
+  ListItem,
+  ListItemText,
+  Button
+} from '@mui/material';
+import { PersonAdd as AdmitIcon } from '@mui/icons-material';
+
+const describeTiming = (timing) => {
+  if (timing?.status === 'late_join') return `${timing.minutesLate} min late`;
+  if (timing?.minutesEarly) return `${timing.minutesEarly} min early`;
+  return 'On time';
+};
+
+/**
+ * Therapist's view of clients in the waiting room, each with an admit button
+ */
+const WaitingRoomPanel = ({ waiting, onAdmit }) => {
+  if (!waiting || waiting.length === 0) return null;
+
+  return (
+    <Paper
+      sx={{
+        position: 'absolute',
+        top: 140,
+        left: 20,
+        width: 280,
+        bgcolor: 'rgba(0,0,0,0.85)',
+        color: 'white',
+        borderRadius: 2,
+        zIndex: 1000
+      }}
+    >
+      <Typography variant="subtitle2" sx={{ px: 2, pt: 1.5 }}>
+        Waiting Room ({waiting.length})
+      </Typography>
+      <List dense>
+        {waiting.map(entry => (
+          <ListItem
+            key={entry.userId}
+            secondaryAction={
+              <Button
+                size="small"
+                variant="contained"
+                color="success"
+                startIcon={<AdmitIcon />}
+                onClick={() => onAdmit(entry.userId)}
+              >
+                Admit
+              </Button>
+            }
+          >
+            <ListItemText
+              primary={entry.userName}
+              secondary={describeTiming(entry.timing)}
+              secondaryTypographyProps={{ color: 'grey.400' }}
+            />
+          </ListItem>
+        ))}
+      </List>
+    </Paper>
+  );
+};
+
+export default WaitingRoomPanel;
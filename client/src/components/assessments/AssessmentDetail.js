@@ -3,6 +3,7 @@ import { useParams, useNavigate } from 'react-router-dom';
 import axios from 'axios';
 import { AuthContext } from '../../context/AuthContext';
 import { Container, Typography, Paper, Box, Radio, RadioGroup, FormControlLabel, FormControl, FormLabel, Button, CircularProgress, Stepper, Step, StepLabel, Alert } from '@mui/material';
+import CrisisSupportDialog from '../CrisisSupportDialog';
 
 const AssessmentDetail = () => {
   const { id } = useParams();
@@ -15,6 +16,7 @@ const AssessmentDetail = () => {
   const [answers, setAnswers] = useState([]);
   const [currentAnswer, setCurrentAnswer] = useState('');
   const [submitting, setSubmitting] = useState(false);
+  const [crisisSupport, setCrisisSupport] = useState(null);
 
   useEffect(() => {
     const fetchAssessment = async () => {
@@ -85,12 +87,18 @@ const AssessmentDetail = () => {
         optionId: finalAnswers[index],
       }));
 
-      await axios.post(
+      const res = await axios.post(
         `http://localhost:5000/api/assessments/${id}/submit`,
         { answers: formattedAnswers },
         config
       );
 
+      // Show crisis resources before leaving the page
+      if (res.data.crisisSupport) {
+        setCrisisSupport(res.data.crisisSupport);
+        return;
+      }
+
       // Redirect to results page
       navigate('/assessment-results');
     } catch (err) {
@@ -185,6 +193,11 @@ const AssessmentDetail = () => {
           </Button>
         </Box>
       </Paper>
+      <CrisisSupportDialog
+        open={!!crisisSupport}
+        crisisSupport={crisisSupport}
+        onClose={() => navigate('/assessment-results')}
+      />
     </Container>
   );
 };
@@ -11,6 +11,7 @@ import CompactProfile from '../CompactProfile';
 import PaymentNotification from '../PaymentNotification';
 import MpesaPayment from '../MpesaPayment';
 import SessionHistory from '../SessionHistory';
+import InsuranceClaims from '../InsuranceClaims';
 import Logo from '../Logo';
 
 const ClientDashboard = () => {
@@ -1148,6 +1149,11 @@ Thank you for your payment!
               </Paper>
             </Grid>
 
+            {/* Insurance reimbursement */}
+            <Grid item xs={12}>
+              <InsuranceClaims />
+            </Grid>
+
             {/* Call History and Duration Display */}
             <Grid item xs={12}>
               <Paper sx={{ p: 3 }}>
@@ -25,7 +25,11 @@ import {
   Rating,
   Fade,
   Grid,
-  Tooltip
+  TextField,
+  MenuItem,
+  Tooltip,
+  FormControlLabel,
+  Checkbox
 } from '@mui/material';
 import {
   Person as PersonIcon,
@@ -59,6 +63,20 @@ const BookingPageNew = () => {
   const [currentRates, setCurrentRates] = useState({});
   const [loadingRates, setLoadingRates] = useState(false);
 
+  // Currency the client sees prices and pays in
+  const [currencies, setCurrencies] = useState(['KES']);
+  const [currency, setCurrency] = useState('KES');
+
+  // Promo code state
+  const [promoInput, setPromoInput] = useState('');
+  const [appliedPromo, setAppliedPromo] = useState(null);
+  const [promoError, setPromoError] = useState('');
+  const [checkingPromo, setCheckingPromo] = useState(false);
+
+  // Employer assistance programme cover
+  const [eapCoverage, setEapCoverage] = useState(null);
+  const [billToEmployer, setBillToEmployer] = useState(false);
+
   const steps = [
     'Select Psychologist',
     'Choose Session Type',
@@ -95,26 +113,74 @@ const BookingPageNew = () => {
 
   useEffect(() => {
     fetchPsychologists();
+    fetchEapCoverage();
+    fetchCurrencies();
   }, []);
 
+  const fetchCurrencies = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const res = await axios.get(`${API_BASE_URL}/api/currency/currencies`, {
+        headers: { 'x-auth-token': token }
+      });
+      setCurrencies(res.data.currencies);
+    } catch (err) {
+      // Prices stay in KES
+      setCurrencies(['KES']);
+    }
+  };
+
+  const formatPrice = (amount) => (currency === 'KES'
+    ? `KSh ${amount.toLocaleString()}`
+    : `${currency} ${amount.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`);
+
+  // Promo previews are priced in KES; show them in the chosen currency
+  const formatKesPrice = (kesAmount) => {
+    const rate = currentRates[selectedSessionType];
+    if (currency === 'KES' || !rate?.kesAmount) return formatPrice(kesAmount);
+    return formatPrice(Math.round(kesAmount * rate.amount / rate.kesAmount * 100) / 100);
+  };
+
+  const fetchEapCoverage = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const res = await axios.get(`${API_BASE_URL}/api/company/eap/coverage`, {
+        headers: { 'x-auth-token': token }
+      });
+      setEapCoverage(res.data.coverage);
+    } catch (err) {
+      // Not enrolled or unavailable: book as a paying client
+      setEapCoverage(null);
+    }
+  };
+
+  // Employers are billed in KES
+  const employerCoversSelection = !!eapCoverage &&
+    currency === 'KES' &&
+    eapCoverage.sessionsRemaining > 0 &&
+    eapCoverage.sessionTypes.includes(selectedSessionType);
+
   // Fetch current rates when psychologist is selected (Requirements 14.3, 14.4)
   useEffect(() => {
     if (selectedPsychologist) {
       fetchCurrentRates(selectedPsychologist.id);
     }
-  }, [selectedPsychologist]);
+  }, [selectedPsychologist, currency]);
 
   const fetchCurrentRates = async (psychologistId) => {
     setLoadingRates(true);
     setError('');
     try {
-      const res = await axios.get(`${API_BASE_URL}/api/therapist/${psychologistId}/rates`);
+      const res = await axios.get(`${API_BASE_URL}/api/therapist/${psychologistId}/rates`, {
+        params: currency === 'KES' ? {} : { currency }
+      });
       if (res.data.success) {
         // Convert rates array to object for easier lookup
         const ratesObj = {};
         res.data.rates.forEach(rate => {
           ratesObj[rate.sessionType] = {
             amount: rate.amount,
+            kesAmount: rate.kesAmount || rate.amount,
             duration: rate.duration,
             isDefault: rate.isDefault || false,
             effectiveFrom: rate.effectiveFrom
@@ -125,6 +191,11 @@ const BookingPageNew = () => {
       }
     } catch (err) {
       console.error('❌ Error fetching current rates:', err);
+      if (currency !== 'KES') {
+        setError(err.response?.data?.message || `Prices in ${currency} are not available right now`);
+        setCurrency('KES');
+        return;
+      }
       // Fallback to default rates if API fails
       setCurrentRates({
         Individual: { amount: 2000, duration: 60, isDefault: true },
@@ -170,16 +241,47 @@ const BookingPageNew = () => {
     }
   };
 
+  const clearPromo = () => {
+    setAppliedPromo(null);
+    setPromoError('');
+  };
+
   const handleSelectPsychologist = (psychologist) => {
     setSelectedPsychologist(psychologist);
+    clearPromo();
     setActiveStep(1);
   };
 
   const handleSelectSessionType = (type) => {
     setSelectedSessionType(type);
+    clearPromo();
+    setBillToEmployer(false);
     setActiveStep(2);
   };
 
+  // Check a promo code against the selected therapist and session type
+  const handleApplyPromo = async () => {
+    const code = promoInput.trim();
+    if (!code) return;
+
+    try {
+      setCheckingPromo(true);
+      setPromoError('');
+      const token = localStorage.getItem('token');
+      const res = await axios.post(`${API_BASE_URL}/api/promo-codes/validate`, {
+        code,
+        psychologistId: selectedPsychologist.id || selectedPsychologist._id,
+        sessionType: selectedSessionType
+      }, { headers: { 'x-auth-token': token } });
+      setAppliedPromo({ code: res.data.pricing.promoCode, pricing: res.data.pricing });
+    } catch (err) {
+      setAppliedPromo(null);
+      setPromoError(err.response?.data?.error || 'Could not check this promo code');
+    } finally {
+      setCheckingPromo(false);
+    }
+  };
+
   const handleDateSelect = (date) => {
     setStartDate(date);
   };
@@ -202,7 +304,11 @@ const BookingPageNew = () => {
       sessionType: selectedSessionType,
       sessionDate: startDate,
       sessionRate: currentRate.amount, // Use current dynamic rate
-      price: currentRate.amount // Use current dynamic rate
+      price: currentRate.amount, // Use current dynamic rate
+      ...(billToEmployer && employerCoversSelection
+        ? { billToEmployer: true }
+        : appliedPromo && { promoCode: appliedPromo.code }),
+      ...(currency !== 'KES' && { currency })
     };
 
     try {
@@ -478,6 +584,24 @@ const BookingPageNew = () => {
             <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
               Select the type of therapy session with Dr. {selectedPsychologist.name}
             </Typography>
+
+            {currencies.length > 1 && (
+              <TextField
+                select
+                label="Show prices in"
+                size="small"
+                value={currency}
+                onChange={(e) => {
+                  setCurrency(e.target.value);
+                  clearPromo();
+                }}
+                sx={{ mb: 3, minWidth: 160 }}
+              >
+                {currencies.map((code) => (
+                  <MenuItem key={code} value={code}>{code}</MenuItem>
+                ))}
+              </TextField>
+            )}
             
             {loadingRates && (
               <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', py: 4 }}>
@@ -521,7 +645,7 @@ const BookingPageNew = () => {
                           {type}
                         </Typography>
                         <Typography variant="h5" color="primary" sx={{ fontWeight: 'bold', mb: 1 }}>
-                          KSh {rate.amount.toLocaleString()}
+                          {formatPrice(rate.amount)}
                         </Typography>
                         <Chip
                           label={`${rate.duration} minutes`}
@@ -716,10 +840,10 @@ const BookingPageNew = () => {
                       Session Fee:
                     </Typography>
                     <Typography variant="h4" color="primary" sx={{ fontWeight: 'bold' }}>
-                      KSh {(currentRates[selectedSessionType]?.amount || 
+                      {formatPrice(currentRates[selectedSessionType]?.amount || 
                             (sessionTypeConfig[selectedSessionType]?.defaultDuration === 60 ? 2000 : 
                              sessionTypeConfig[selectedSessionType]?.defaultDuration === 75 ? 3500 : 
-                             sessionTypeConfig[selectedSessionType]?.defaultDuration === 90 && selectedSessionType === 'Group' ? 1500 : 4500)).toLocaleString()}
+                             sessionTypeConfig[selectedSessionType]?.defaultDuration === 90 && selectedSessionType === 'Group' ? 1500 : 4500))}
                     </Typography>
                   </Box>
                   {currentRates[selectedSessionType]?.isDefault && (
@@ -727,6 +851,78 @@ const BookingPageNew = () => {
                       * Using default rate
                     </Typography>
                   )}
+                  {currency !== 'KES' && (
+                    <Typography variant="caption" color="text.secondary" sx={{ mt: 1, display: 'block' }}>
+                      Charged by card in {currency} at the exchange rate on the day you book
+                      (about KSh {(currentRates[selectedSessionType]?.kesAmount || 0).toLocaleString()}).
+                    </Typography>
+                  )}
+
+                  {employerCoversSelection && (
+                    <Box sx={{ mt: 2 }}>
+                      <FormControlLabel
+                        control={
+                          <Checkbox
+                            checked={billToEmployer}
+                            onChange={(e) => {
+                              setBillToEmployer(e.target.checked);
+                              clearPromo();
+                            }}
+                          />
+                        }
+                        label={`Bill to ${eapCoverage.company.name} (${eapCoverage.sessionsRemaining} of ${eapCoverage.sessionsPerYear} covered sessions left)`}
+                      />
+                      <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+                        Your employer only sees anonymous totals, never who booked or what was discussed.
+                      </Typography>
+                    </Box>
+                  )}
+
+                  {!billToEmployer && (
+                    <Box sx={{ display: 'flex', gap: 1, mt: 2 }}>
+                      <TextField
+                        label="Promo code"
+                        size="small"
+                        value={promoInput}
+                        onChange={(e) => {
+                          setPromoInput(e.target.value.toUpperCase());
+                          clearPromo();
+                        }}
+                        error={!!promoError}
+                        helperText={promoError}
+                        disabled={checkingPromo}
+                        sx={{ flexGrow: 1 }}
+                      />
+                      <Button
+                        variant="outlined"
+                        onClick={handleApplyPromo}
+                        disabled={checkingPromo || !promoInput.trim()}
+                        sx={{ alignSelf: 'flex-start', height: 40 }}
+                      >
+                        {checkingPromo ? <CircularProgress size={20} /> : 'Apply'}
+                      </Button>
+                    </Box>
+                  )}
+                  {appliedPromo && !billToEmployer && (
+                    <Box sx={{ mt: 2 }}>
+                      <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+                        <Typography variant="body2" color="success.main">
+                          Promo {appliedPromo.code}
+                        </Typography>
+                        <Typography variant="body2" color="success.main">
+                          - {formatKesPrice(appliedPromo.pricing.promoDiscount)}
+                        </Typography>
+                      </Box>
+                      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mt: 1 }}>
+                        <Typography variant="h6" sx={{ fontWeight: 'bold' }}>
+                          You Pay:
+                        </Typography>
+                        <Typography variant="h5" color="primary" sx={{ fontWeight: 'bold' }}>
+                          {formatKesPrice(appliedPromo.pricing.clientAmount)}
+                        </Typography>
+                      </Box>
+                    </Box>
+                  )}
                 </Card>
               </Grid>
 
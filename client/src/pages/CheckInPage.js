@@ -31,6 +31,7 @@ import {
     SelfImprovement,
     CheckCircle
 } from '@mui/icons-material';
+import CrisisSupportDialog from '../components/CrisisSupportDialog';
 
 const CheckInPage = () => {
     const [checkInData, setCheckInData] = useState({
@@ -49,6 +50,7 @@ const CheckInPage = () => {
     const [loading, setLoading] = useState(false);
     const [success, setSuccess] = useState(false);
     const [todayCheckedIn, setTodayCheckedIn] = useState(false);
+    const [crisisSupport, setCrisisSupport] = useState(null);
 
     const moodLabels = {
         1: 'Very Low',
@@ -172,6 +174,8 @@ const CheckInPage = () => {
             });
 
             if (response.ok) {
+                const data = await response.json();
+                setCrisisSupport(data.crisisSupport || null);
                 setSuccess(true);
                 setTodayCheckedIn(true);
                 setTimeout(() => setSuccess(false), 3000);
@@ -205,6 +209,11 @@ const CheckInPage = () => {
                         View Progress
                     </Button>
                 </Paper>
+                <CrisisSupportDialog
+                    open={!!crisisSupport}
+                    crisisSupport={crisisSupport}
+                    onClose={() => setCrisisSupport(null)}
+                />
             </Container>
         );
     }
@@ -393,7 +393,7 @@ export const autoApplyDegradation = async (
     return { applied: false, reason: `Target quality below minimum (${options.minQuality})` };
   }
   
-  if (targetIndex <= currentIndex) {
+  if (targetIndex > currentIndex) {
     // Apply the degradation
     const result = await applyQualityDegradation(
       currentStream, 
@@ -413,6 +413,68 @@ export const autoApplyDegradation = async (
   return { applied: false, reason: 'No degradation needed' };
 };
 
+// How each rung of the server's degradation ladder is applied locally
+export const CALL_MODES = {
+  full: { quality: 'HIGH', sendVideo: true, label: 'Full quality' },
+  low_resolution: { quality: 'LOW', sendVideo: true, label: 'Low resolution' },
+  // Camera paused but still negotiated, so video comes back instantly
+  video_off: { quality: 'LOW', sendVideo: false, label: 'Video off' },
+  // Nothing sent on the video track at all
+  audio_only: { quality: 'AUDIO_ONLY', sendVideo: false, label: 'Audio only' },
+  phone_bridge: { quality: 'AUDIO_ONLY', sendVideo: false, label: 'Phone bridge' }
+};
+
+/**
+ * Quality report sent to the server, which decides the call's mode
+ */
+export const buildQualityReport = (stats) => {
+  const analysis = analyzeNetworkQuality(stats);
+  if (!analysis.metrics) return null;
+
+  return {
+    packetLoss: Math.max(analysis.metrics.videoPacketLoss, analysis.metrics.audioPacketLoss),
+    videoLatency: analysis.metrics.rtt,
+    audioLatency: analysis.metrics.rtt,
+    bandwidth: analysis.metrics.availableBandwidth,
+    connectionQuality: analysis.quality
+  };
+};
+
+/**
+ * Apply a call mode to the local camera and what is sent to the peer
+ */
+export const applyCallMode = async (currentStream, mode, peerConnection) => {
+  const settings = CALL_MODES[mode] || CALL_MODES.full;
+  const videoTrack = currentStream?.getVideoTracks()[0];
+  if (!videoTrack) {
+    return { success: false, quality: settings.quality, videoEnabled: false };
+  }
+
+  // Find the sender by transceiver: in audio-only it has no track
+  const videoSender = peerConnection?._pc?.getTransceivers()
+    .find(t => t.receiver.track?.kind === 'video')?.sender;
+
+  try {
+    if (settings.sendVideo) {
+      await videoTrack.applyConstraints(QUALITY_LEVELS[settings.quality].video);
+      videoTrack.enabled = true;
+      if (videoSender && videoSender.track !== videoTrack) {
+        await videoSender.replaceTrack(videoTrack);
+      }
+    } else {
+      videoTrack.enabled = false;
+      if (settings.quality === 'AUDIO_ONLY' && videoSender?.track) {
+        await videoSender.replaceTrack(null);
+      }
+    }
+
+    return { success: true, quality: settings.quality, videoEnabled: settings.sendVideo };
+  } catch (error) {
+    console.error(`Error applying call mode ${mode}:`, error);
+    return { success: false, quality: settings.quality, videoEnabled: videoTrack.enabled, error };
+  }
+};
+
 export default {
   QUALITY_LEVELS,
   QUALITY_THRESHOLDS,
@@ -423,5 +485,8 @@ export default {
   applyQualityDegradation,
   createReconnectionStrategy,
   monitorConnectionHealth,
-  autoApplyDegradation
+  autoApplyDegradation,
+  CALL_MODES,
+  buildQualityReport,
+  applyCallMode
 };
\ No newline at end of file
@@ -14,6 +14,15 @@ class MpesaAPI {
     this.passkey = process.env.MPESA_PASSKEY;
     this.callbackURL = process.env.MPESA_CALLBACK_URL;
     this.environment = process.env.MPESA_ENVIRONMENT || 'sandbox';
+
+    // B2C (refund disbursement) settings; optional unless refunds are automated
+    this.b2cShortCode = process.env.MPESA_B2C_SHORT_CODE || this.businessShortCode;
+    this.b2cInitiatorName = process.env.MPESA_B2C_INITIATOR_NAME;
+    this.b2cSecurityCredential = process.env.MPESA_B2C_SECURITY_CREDENTIAL;
+    this.b2cResultURL = process.env.MPESA_B2C_RESULT_URL ||
+      (this.callbackURL && this.callbackURL.replace(/\/callback$/, '/b2c/result'));
+    this.b2cTimeoutURL = process.env.MPESA_B2C_TIMEOUT_URL ||
+      (this.callbackURL && this.callbackURL.replace(/\/callback$/, '/b2c/timeout'));
     
     // Validate required configuration
     if (!this.consumerKey || !this.consumerSecret || !this.businessShortCode || !this.passkey) {
@@ -282,6 +291,79 @@ class MpesaAPI {
       }
     });
   }
+
+  isB2CConfigured() {
+    return !!(this.b2cInitiatorName && this.b2cSecurityCredential && this.b2cResultURL && this.b2cTimeoutURL);
+  }
+
+  // Send money to a customer (B2C), used for refunds.
+  // Callers own retries; Daraja rejects a repeated OriginatorConversationID,
+  // so a retried request can't pay out twice.
+  async b2cPayment({ phoneNumber, amount, remarks, occasion, originatorConversationId }) {
+    if (!this.isB2CConfigured()) {
+      throw new Error('M-Pesa B2C refunds are not configured');
+    }
+
+    try {
+      const accessToken = await this.getAccessToken();
+
+      const payload = {
+        OriginatorConversationID: originatorConversationId,
+        InitiatorName: this.b2cInitiatorName,
+        SecurityCredential: this.b2cSecurityCredential,
+        CommandID: 'BusinessPayment',
+        Amount: Math.round(amount),
+        PartyA: this.b2cShortCode,
+        PartyB: this.formatPhoneNumber(phoneNumber),
+        Remarks: remarks || 'Session Refund',
+        QueueTimeOutURL: this.b2cTimeoutURL,
+        ResultURL: this.b2cResultURL,
+        Occasion: occasion || ''
+      };
+
+      const response = await axios.post(
+        `${this.baseURL}/mpesa/b2c/v3/paymentrequest`,
+        payload,
+        {
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      if (response.data.ResponseCode === '0') {
+        return {
+          success: true,
+          ConversationID: response.data.ConversationID,
+          OriginatorConversationID: response.data.OriginatorConversationID,
+          ResponseDescription: response.data.ResponseDescription
+        };
+      }
+      throw new Error(response.data.ResponseDescription || 'B2C request failed');
+    } catch (error) {
+      const errorCode = error.response?.data?.errorCode || error.response?.status?.toString();
+      const errorInfo = errorCode ? mapApiError(errorCode) : {
+        type: 'network_error',
+        userMessage: error.message || 'Network error during B2C request',
+        logMessage: 'Network error during B2C request'
+      };
+
+      logPaymentError('B2C_PAYMENT', errorInfo, {
+        errorCode,
+        statusCode: error.response?.status,
+        errorData: error.response?.data,
+        message: error.message,
+        phoneNumber: phoneNumber?.slice(-4),
+        amount,
+        originatorConversationId
+      });
+
+      const err = new Error(errorInfo.userMessage);
+      err.type = errorInfo.type;
+      throw err;
+    }
+  }
 }
 
 module.exports = new MpesaAPI();
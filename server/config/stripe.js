@@ -0,0 +1,123 @@
+const Stripe = require('stripe');
+
+// Currencies Stripe charges in whole units rather than cents
+const ZERO_DECIMAL_CURRENCIES = ['bif', 'clp', 'djf', 'gnf', 'jpy', 'kmf', 'krw', 'mga', 'pyg', 'rwf', 'ugx', 'vnd', 'vuv', 'xaf', 'xof', 'xpf'];
+
+class StripeAPI {
+  constructor() {
+    // Card payments are optional; the M-Pesa flow works without these
+    this.secretKey = process.env.STRIPE_SECRET_KEY;
+    this.publishableKey = process.env.STRIPE_PUBLISHABLE_KEY;
+    this.webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+    this.currency = (process.env.STRIPE_CURRENCY || 'kes').toLowerCase();
+
+    // Point the SDK at a local mock (e.g. stripe-mock) instead of api.stripe.com
+    this.apiHost = process.env.STRIPE_API_HOST;
+    this.apiPort = process.env.STRIPE_API_PORT;
+    this.apiProtocol = process.env.STRIPE_API_PROTOCOL;
+
+    this.client = null;
+  }
+
+  isConfigured() {
+    return !!this.secretKey;
+  }
+
+  getClient() {
+    if (!this.isConfigured()) {
+      throw new Error('Card payments are not available. Please pay with M-Pesa.');
+    }
+
+    if (!this.client) {
+      const options = { maxNetworkRetries: 2 };
+      if (this.apiHost) {
+        options.host = this.apiHost;
+        options.port = this.apiPort;
+        options.protocol = this.apiProtocol || 'http';
+      }
+      this.client = new Stripe(this.secretKey, options);
+    }
+    return this.client;
+  }
+
+  // Convert an amount in major units (e.g. KES) to Stripe's smallest unit
+  toMinorUnits(amount, currency = this.currency) {
+    return ZERO_DECIMAL_CURRENCIES.includes(currency.toLowerCase())
+      ? Math.round(amount)
+      : Math.round(amount * 100);
+  }
+
+  fromMinorUnits(amount, currency = this.currency) {
+    return ZERO_DECIMAL_CURRENCIES.includes(currency.toLowerCase()) ? amount : amount / 100;
+  }
+
+  // Create a PaymentIntent the client confirms with Stripe.js
+  async createPaymentIntent({ amount, currency = this.currency, sessionId, clientEmail, description, idempotencyKey }) {
+    try {
+      const intent = await this.getClient().paymentIntents.create({
+        amount: this.toMinorUnits(amount, currency),
+        currency,
+        description,
+        receipt_email: clientEmail,
+        payment_method_types: ['card'],
+        metadata: { sessionId: sessionId.toString() }
+      }, idempotencyKey ? { idempotencyKey } : undefined);
+
+      return {
+        paymentIntentId: intent.id,
+        clientSecret: intent.client_secret,
+        status: intent.status,
+        amount,
+        currency
+      };
+    } catch (error) {
+      throw this.mapError(error, 'Unable to start card payment. Please try again.');
+    }
+  }
+
+  async retrievePaymentIntent(paymentIntentId) {
+    try {
+      return await this.getClient().paymentIntents.retrieve(paymentIntentId);
+    } catch (error) {
+      throw this.mapError(error, 'Unable to check card payment status.');
+    }
+  }
+
+  // Refund all or part of a captured PaymentIntent; amount is in the currency it was charged in
+  async createRefund({ paymentIntentId, amount, currency = this.currency, reason, sessionId, idempotencyKey }) {
+    try {
+      const refund = await this.getClient().refunds.create({
+        payment_intent: paymentIntentId,
+        amount: amount !== undefined ? this.toMinorUnits(amount, currency) : undefined,
+        reason: 'requested_by_customer',
+        metadata: { sessionId: sessionId ? sessionId.toString() : undefined, note: reason }
+      }, idempotencyKey ? { idempotencyKey } : undefined);
+
+      return {
+        success: refund.status === 'succeeded' || refund.status === 'pending',
+        refundId: refund.id,
+        status: refund.status,
+        amount: this.fromMinorUnits(refund.amount, refund.currency || currency),
+        currency: refund.currency || currency
+      };
+    } catch (error) {
+      throw this.mapError(error, 'Card refund failed. Manual processing required.');
+    }
+  }
+
+  mapError(error, userMessage) {
+    console.error('❌ Stripe API error:', {
+      type: error.type,
+      code: error.code,
+      statusCode: error.statusCode,
+      message: error.message
+    });
+
+    const err = new Error(error.type === 'StripeCardError' ? error.message : userMessage);
+    err.type = error.type;
+    err.code = error.code;
+    return err;
+  }
+}
+
+module.exports = new StripeAPI();
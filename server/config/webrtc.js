@@ -6,24 +6,38 @@ module.exports = {
     { urls: 'stun:stun1.l.google.com:19302' },
     { urls: 'stun:stun2.l.google.com:19302' },
     { urls: 'stun:stun3.l.google.com:19302' },
-    { urls: 'stun:stun4.l.google.com:19302' },
-    
-    // Self-hosted TURN server (production - configure when ready)
-    // Uncomment and configure when you setup Coturn
-    /*
-    {
-      urls: `turn:${process.env.TURN_SERVER_IP}:3478`,
-      username: process.env.TURN_USERNAME || 'smilinguser',
-      credential: process.env.TURN_PASSWORD || 'smilingpass123'
-    },
-    {
-      urls: `turns:${process.env.TURN_SERVER_IP}:5349`,
-      username: process.env.TURN_USERNAME || 'smilinguser',
-      credential: process.env.TURN_PASSWORD || 'smilingpass123'
-    }
-    */
+    { urls: 'stun:stun4.l.google.com:19302' }
   ],
-  
+
+  // Self-hosted TURN server (coturn with use-auth-secret). Calls behind
+  // carrier-grade NAT need a relay; each participant gets short-lived
+  // credentials for their session from /api/video-calls/config, see
+  // utils/turnCredentials. Values are read per request so a rotated
+  // TURN_SECRET takes effect without code changes; keep the old secret in
+  // coturn until credentials signed with it have expired.
+  turn: {
+    get host() {
+      return process.env.TURN_SERVER_HOST || process.env.TURN_SERVER_IP || null;
+    },
+    get urls() {
+      const host = this.host;
+      if (!host) return [];
+      return [
+        `turn:${host}:3478?transport=udp`,
+        `turn:${host}:3478?transport=tcp`,
+        `turns:${host}:5349?transport=tcp`
+      ];
+    },
+    get secret() {
+      return process.env.TURN_SECRET || null;
+    },
+    // Credentials stay valid this long after the scheduled end of the session
+    graceMinutes: 30,
+    // ...but never for less than this (late joins) or more than this (early fetches)
+    minTtlMinutes: 15,
+    maxTtlMinutes: 360
+  },
+
   // Additional WebRTC configuration
   sdpSemantics: 'unified-plan',
   bundlePolicy: 'max-bundle',
@@ -0,0 +1,103 @@
+/**
+ * Standardised Clinical Instrument Definitions
+ *
+ * Item wording, response options, severity bands, subscales and critical
+ * items for validated screening instruments. Scoring of any result whose
+ * assessment carries an instrumentCode follows these rules, never the
+ * per-option scores stored on the Assessment document.
+ *
+ * Sources: Kroenke, Spitzer & Williams (2001) for PHQ-9;
+ * Spitzer, Kroenke, Williams & Löwe (2006) for GAD-7.
+ */
+
+const INSTRUMENT_CODES = {
+  PHQ9: 'PHQ9',
+  GAD7: 'GAD7'
+};
+
+const SEVERITY_LEVELS = ['minimal', 'mild', 'moderate', 'moderately_severe', 'severe'];
+
+// Shared "over the last 2 weeks" frequency scale
+const FREQUENCY_OPTIONS = [
+  { optionText: 'Not at all', score: 0 },
+  { optionText: 'Several days', score: 1 },
+  { optionText: 'More than half the days', score: 2 },
+  { optionText: 'Nearly every day', score: 3 }
+];
+
+const INSTRUMENTS = {
+  [INSTRUMENT_CODES.PHQ9]: {
+    code: INSTRUMENT_CODES.PHQ9,
+    version: 1,
+    title: 'PHQ-9 Depression Screening',
+    description: 'Over the last 2 weeks, how often have you been bothered by any of the following problems?',
+    options: FREQUENCY_OPTIONS,
+    items: [
+      { itemNumber: 1, text: 'Little interest or pleasure in doing things' },
+      { itemNumber: 2, text: 'Feeling down, depressed, or hopeless' },
+      { itemNumber: 3, text: 'Trouble falling or staying asleep, or sleeping too much' },
+      { itemNumber: 4, text: 'Feeling tired or having little energy' },
+      { itemNumber: 5, text: 'Poor appetite or overeating' },
+      { itemNumber: 6, text: 'Feeling bad about yourself - or that you are a failure or have let yourself or your family down' },
+      { itemNumber: 7, text: 'Trouble concentrating on things, such as reading the newspaper or watching television' },
+      { itemNumber: 8, text: 'Moving or speaking so slowly that other people could have noticed? Or the opposite - being so fidgety or restless that you have been moving around a lot more than usual' },
+      { itemNumber: 9, text: 'Thoughts that you would be better off dead or of hurting yourself in some way' }
+    ],
+    severityBands: [
+      { min: 0, max: 4, severity: 'minimal', label: 'Minimal depression' },
+      { min: 5, max: 9, severity: 'mild', label: 'Mild depression' },
+      { min: 10, max: 14, severity: 'moderate', label: 'Moderate depression' },
+      { min: 15, max: 19, severity: 'moderately_severe', label: 'Moderately severe depression' },
+      { min: 20, max: 27, severity: 'severe', label: 'Severe depression' }
+    ],
+    subscales: {
+      // PHQ-2 ultra-brief screen; 3 or more is a positive screen
+      phq2: { label: 'PHQ-2 screen', items: [1, 2], cutoff: 3 },
+      cognitiveAffective: { label: 'Cognitive/affective', items: [1, 2, 6, 7, 9] },
+      somatic: { label: 'Somatic', items: [3, 4, 5, 8] }
+    },
+    criticalItems: [
+      { itemNumber: 9, minScore: 1, flag: 'suicidal_ideation', label: 'Thoughts of death or self-harm' }
+    ],
+    // Change from baseline needed to count as reliable, and the caseness
+    // threshold used for recovery (NHS Talking Therapies conventions)
+    reliableChange: 6,
+    clinicalCutoff: 10
+  },
+
+  [INSTRUMENT_CODES.GAD7]: {
+    code: INSTRUMENT_CODES.GAD7,
+    version: 1,
+    title: 'GAD-7 Anxiety Screening',
+    description: 'Over the last 2 weeks, how often have you been bothered by the following problems?',
+    options: FREQUENCY_OPTIONS,
+    items: [
+      { itemNumber: 1, text: 'Feeling nervous, anxious, or on edge' },
+      { itemNumber: 2, text: 'Not being able to stop or control worrying' },
+      { itemNumber: 3, text: 'Worrying too much about different things' },
+      { itemNumber: 4, text: 'Trouble relaxing' },
+      { itemNumber: 5, text: 'Being so restless that it is hard to sit still' },
+      { itemNumber: 6, text: 'Becoming easily annoyed or irritable' },
+      { itemNumber: 7, text: 'Feeling afraid, as if something awful might happen' }
+    ],
+    severityBands: [
+      { min: 0, max: 4, severity: 'minimal', label: 'Minimal anxiety' },
+      { min: 5, max: 9, severity: 'mild', label: 'Mild anxiety' },
+      { min: 10, max: 14, severity: 'moderate', label: 'Moderate anxiety' },
+      { min: 15, max: 21, severity: 'severe', label: 'Severe anxiety' }
+    ],
+    subscales: {
+      // GAD-2 ultra-brief screen; 3 or more is a positive screen
+      gad2: { label: 'GAD-2 screen', items: [1, 2], cutoff: 3 }
+    },
+    criticalItems: [],
+    reliableChange: 4,
+    clinicalCutoff: 8
+  }
+};
+
+module.exports = {
+  INSTRUMENT_CODES,
+  SEVERITY_LEVELS,
+  INSTRUMENTS
+};
@@ -0,0 +1,107 @@
+/**
+ * Structured Session Note Templates
+ *
+ * Section definitions for templated session notes. A templated note stores
+ * its answers per section and its `content` is rendered from them, so
+ * exports and version history keep working on a single text body.
+ *
+ * Field types:
+ * - text: free text with optional minLength/maxLength
+ * - select: one of `options`
+ * - number: between `min` and `max`
+ */
+
+const NOTE_TEMPLATE_KEYS = {
+  FREE_TEXT: 'free_text',
+  SOAP: 'soap',
+  DAP: 'dap',
+  BIRP: 'birp',
+  PROGRESS: 'progress',
+  INTAKE: 'intake'
+};
+
+const RISK_LEVEL_OPTIONS = ['none', 'low', 'moderate', 'high'];
+
+const NOTE_TEMPLATES = {
+  [NOTE_TEMPLATE_KEYS.SOAP]: {
+    key: NOTE_TEMPLATE_KEYS.SOAP,
+    label: 'SOAP',
+    description: 'Subjective, Objective, Assessment, Plan',
+    noteType: 'session_notes',
+    sections: [
+      { key: 'subjective', label: 'Subjective', type: 'text', required: true, minLength: 10, maxLength: 5000,
+        hint: 'Client\'s reported experience, in their words where useful' },
+      { key: 'objective', label: 'Objective', type: 'text', required: true, minLength: 10, maxLength: 5000,
+        hint: 'Observed presentation, affect, behaviour and any scores' },
+      { key: 'assessment', label: 'Assessment', type: 'text', required: true, minLength: 10, maxLength: 5000,
+        hint: 'Clinical impression and progress towards goals' },
+      { key: 'plan', label: 'Plan', type: 'text', required: true, minLength: 5, maxLength: 3000,
+        hint: 'Next steps, homework and next session focus' },
+      { key: 'riskLevel', label: 'Risk level', type: 'select', required: true, options: RISK_LEVEL_OPTIONS }
+    ]
+  },
+
+  [NOTE_TEMPLATE_KEYS.DAP]: {
+    key: NOTE_TEMPLATE_KEYS.DAP,
+    label: 'DAP',
+    description: 'Data, Assessment, Plan',
+    noteType: 'session_notes',
+    sections: [
+      { key: 'data', label: 'Data', type: 'text', required: true, minLength: 10, maxLength: 6000,
+        hint: 'What the client said and what was observed' },
+      { key: 'assessment', label: 'Assessment', type: 'text', required: true, minLength: 10, maxLength: 5000 },
+      { key: 'plan', label: 'Plan', type: 'text', required: true, minLength: 5, maxLength: 3000 },
+      { key: 'riskLevel', label: 'Risk level', type: 'select', required: true, options: RISK_LEVEL_OPTIONS }
+    ]
+  },
+
+  [NOTE_TEMPLATE_KEYS.BIRP]: {
+    key: NOTE_TEMPLATE_KEYS.BIRP,
+    label: 'BIRP',
+    description: 'Behaviour, Intervention, Response, Plan',
+    noteType: 'session_notes',
+    sections: [
+      { key: 'behavior', label: 'Behaviour', type: 'text', required: true, minLength: 10, maxLength: 5000 },
+      { key: 'intervention', label: 'Intervention', type: 'text', required: true, minLength: 10, maxLength: 5000 },
+      { key: 'response', label: 'Response', type: 'text', required: true, minLength: 10, maxLength: 5000 },
+      { key: 'plan', label: 'Plan', type: 'text', required: true, minLength: 5, maxLength: 3000 },
+      { key: 'riskLevel', label: 'Risk level', type: 'select', required: true, options: RISK_LEVEL_OPTIONS }
+    ]
+  },
+
+  [NOTE_TEMPLATE_KEYS.PROGRESS]: {
+    key: NOTE_TEMPLATE_KEYS.PROGRESS,
+    label: 'Progress note',
+    description: 'Brief progress towards treatment goals',
+    noteType: 'progress_note',
+    sections: [
+      { key: 'focus', label: 'Session focus', type: 'text', required: true, minLength: 5, maxLength: 2000 },
+      { key: 'progress', label: 'Progress towards goals', type: 'text', required: true, minLength: 10, maxLength: 4000 },
+      { key: 'progressRating', label: 'Overall progress (1-10)', type: 'number', required: true, min: 1, max: 10 },
+      { key: 'barriers', label: 'Barriers', type: 'text', required: false, maxLength: 2000 },
+      { key: 'nextSteps', label: 'Next steps', type: 'text', required: true, minLength: 5, maxLength: 2000 }
+    ]
+  },
+
+  [NOTE_TEMPLATE_KEYS.INTAKE]: {
+    key: NOTE_TEMPLATE_KEYS.INTAKE,
+    label: 'Intake assessment',
+    description: 'First-session clinical assessment',
+    noteType: 'clinical_observation',
+    sections: [
+      { key: 'presentingProblem', label: 'Presenting problem', type: 'text', required: true, minLength: 10, maxLength: 5000 },
+      { key: 'history', label: 'Relevant history', type: 'text', required: true, minLength: 10, maxLength: 8000 },
+      { key: 'mentalStatus', label: 'Mental status examination', type: 'text', required: true, minLength: 10, maxLength: 4000 },
+      { key: 'riskAssessment', label: 'Risk assessment', type: 'text', required: true, minLength: 10, maxLength: 4000 },
+      { key: 'riskLevel', label: 'Risk level', type: 'select', required: true, options: RISK_LEVEL_OPTIONS },
+      { key: 'formulation', label: 'Formulation', type: 'text', required: true, minLength: 10, maxLength: 5000 },
+      { key: 'recommendations', label: 'Recommendations', type: 'text', required: true, minLength: 5, maxLength: 3000 }
+    ]
+  }
+};
+
+module.exports = {
+  NOTE_TEMPLATE_KEYS,
+  NOTE_TEMPLATES,
+  RISK_LEVEL_OPTIONS
+};
@@ -12,6 +12,7 @@
 const VIDEO_STATES = {
   NOT_STARTED: 'not_started',
   WAITING_FOR_PARTICIPANTS: 'waiting_for_participants',
+  WAITING_ROOM: 'waiting_room', // client in the lobby until the therapist admits them
   ACTIVE: 'active',
   ENDED: 'ended',
   FAILED: 'failed'
@@ -28,10 +29,17 @@ const VIDEO_TRANSITIONS = {
     VIDEO_STATES.WAITING_FOR_PARTICIPANTS
   ],
   [VIDEO_STATES.WAITING_FOR_PARTICIPANTS]: [
+    VIDEO_STATES.WAITING_ROOM,
     VIDEO_STATES.ACTIVE,
     VIDEO_STATES.FAILED,
     VIDEO_STATES.ENDED // if cancelled before starting
   ],
+  [VIDEO_STATES.WAITING_ROOM]: [
+    VIDEO_STATES.ACTIVE, // therapist admitted the client
+    VIDEO_STATES.WAITING_FOR_PARTICIPANTS, // client left the lobby
+    VIDEO_STATES.FAILED,
+    VIDEO_STATES.ENDED
+  ],
   [VIDEO_STATES.ACTIVE]: [
     VIDEO_STATES.ENDED,
     VIDEO_STATES.FAILED
@@ -54,6 +62,7 @@ const VIDEO_TERMINAL_STATES = [
  */
 const VIDEO_ACTIVE_STATES = [
   VIDEO_STATES.WAITING_FOR_PARTICIPANTS,
+  VIDEO_STATES.WAITING_ROOM,
   VIDEO_STATES.ACTIVE
 ];
 
@@ -62,6 +71,7 @@ const VIDEO_ACTIVE_STATES = [
  */
 const VIDEO_JOINABLE_STATES = [
   VIDEO_STATES.WAITING_FOR_PARTICIPANTS,
+  VIDEO_STATES.WAITING_ROOM,
   VIDEO_STATES.ACTIVE
 ];
 
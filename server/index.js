@@ -69,7 +69,15 @@ const { performanceMonitoringMiddleware } = require('./middleware/performanceMon
 app.use(performanceMonitoringMiddleware);
 
 // Body parsing
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Stripe signs the exact bytes it sends, so keep them for verification
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/stripe/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Health check endpoint - Enhanced with database status
@@ -123,6 +131,18 @@ const startServer = async () => {
     require('./models/Blog');
     logger.info('✅ Mongoose models loaded');
 
+    // Seed the standardised clinical instruments (PHQ-9, GAD-7) before any route serves them
+    try {
+      const { clinicalInstrumentService } = require('./services/clinicalInstrumentService');
+      await clinicalInstrumentService.ensureInstruments();
+      logger.info('✅ Clinical instruments seeded');
+    } catch (instrumentError) {
+      logger.warn('⚠️ Failed to seed clinical instruments', {
+        error: instrumentError.message,
+        note: 'PHQ-9 and GAD-7 will be missing until the next restart.'
+      });
+    }
+
     // Initialize production email service
     try {
       const productionEmailService = require('./services/productionEmailService');
@@ -189,15 +209,51 @@ const startServer = async () => {
       
       app.use('/api/public', require('./routes/public-mongodb'));
       logger.info('  ✅ public routes loaded');
+
+      // Therapist matching for clients
+      app.use('/api/matching', require('./routes/matching'));
+      logger.info('  ✅ matching routes loaded');
       
       app.use('/api/sessions', require('./routes/sessions'));
       logger.info('  ✅ sessions routes loaded');
-      
+
+      // Recurring session series (weekly/biweekly/monthly bookings)
+      app.use('/api/session-series', require('./routes/sessionSeries'));
+      logger.info('  ✅ session series routes loaded');
+
+      // Waitlist for fully-booked therapists
+      app.use('/api/waitlist', require('./routes/waitlist'));
+      logger.info('  ✅ waitlist routes loaded');
+
+      app.use('/api/assessments', require('./routes/assessments'));
+      logger.info('  ✅ assessment routes loaded');
+
+      app.use('/api/checkins', require('./routes/checkins'));
+      logger.info('  ✅ check-in routes loaded');
+
+      app.use('/api/agreements', require('./routes/agreements'));
+      logger.info('  ✅ agreement routes loaded');
+
+      app.use('/api/intake-forms', require('./routes/intakeForms'));
+      logger.info('  ✅ intake form routes loaded');
+
+      // Crisis escalation for risk signals in client submissions
+      app.use('/api/risk-alerts', require('./routes/riskAlerts'));
+      logger.info('  ✅ risk alert routes loaded');
+
+      // Measurement-based care: outcome plans and per-client trends
+      app.use('/api/outcomes', require('./routes/outcomes'));
+      logger.info('  ✅ outcome routes loaded');
+
       app.use('/api/feedback', require('./routes/feedback'));
       logger.info('  ✅ feedback routes loaded');
       
       app.use('/api/mpesa', require('./routes/mpesa'));
       logger.info('  ✅ mpesa routes loaded');
+
+      // Stripe card payment routes (second gateway alongside M-Pesa)
+      app.use('/api/stripe', require('./routes/stripe'));
+      logger.info('  ✅ stripe routes loaded');
       
       // Manual payment verification routes (Till Number + Confirmation Code)
       app.use('/api/manual-payments', require('./routes/manualPayments'));
@@ -219,6 +275,14 @@ const startServer = async () => {
       app.use('/api/video-calls', require('./routes/videoCalls'));
       logger.info('  ✅ video call routes loaded');
       
+      // Session recording routes (chunk uploads and signed playback links)
+      app.use('/api/recordings', require('./routes/recordings'));
+      logger.info('  ✅ recording routes loaded');
+      
+      // In-call chat routes (history, shared file downloads)
+      app.use('/api/call-chat', require('./routes/callChat'));
+      logger.info('  ✅ call chat routes loaded');
+      
       // Reminder routes
       app.use('/api/reminders', require('./routes/reminders'));
       logger.info('  ✅ reminder routes loaded');
@@ -235,6 +299,50 @@ const startServer = async () => {
       app.use('/api/session-notes', require('./routes/sessionNotes'));
       logger.info('  ✅ session notes routes loaded');
       
+      // Treatment plan routes (versioned plans linked from session notes)
+      app.use('/api/treatment-plans', require('./routes/treatmentPlans'));
+      logger.info('  ✅ treatment plan routes loaded');
+
+      // Group session routes (per-seat enrolment and payment)
+      app.use('/api/group-sessions', require('./routes/groupSessions'));
+      logger.info('  ✅ group session routes loaded');
+
+      // Session package routes (prepaid bundles and client credits)
+      app.use('/api/packages', require('./routes/packages'));
+      logger.info('  ✅ package routes loaded');
+
+      // Reduced-cost pricing routes (sliding-scale tiers, sponsorship funds)
+      app.use('/api/pricing', require('./routes/pricing'));
+      logger.info('  ✅ pricing routes loaded');
+
+      // Promo code routes (booking-time discounts)
+      app.use('/api/promo-codes', require('./routes/promoCodes'));
+      logger.info('  ✅ promo code routes loaded');
+
+      // Invoice routes (session receipts, refund credit notes)
+      app.use('/api/invoices', require('./routes/invoices'));
+      logger.info('  ✅ invoice routes loaded');
+
+      // Insurance routes (billing codes, superbills, claim tracking)
+      app.use('/api/insurance', require('./routes/insurance'));
+      logger.info('  ✅ insurance routes loaded');
+
+      // Company routes (corporate EAP contracts, HR reporting, company invoices)
+      app.use('/api/company', require('./routes/company'));
+      logger.info('  ✅ company routes loaded');
+
+      // Currency routes (enabled currencies, exchange rates, rate quotes)
+      app.use('/api/currency', require('./routes/currency'));
+      logger.info('  ✅ currency routes loaded');
+
+      // Therapist payout routes (commission, settlement batches)
+      app.use('/api/payouts', require('./routes/payouts'));
+      logger.info('  ✅ payout routes loaded');
+
+      // Couples/Family co-participant routes
+      app.use('/api/session-participants', require('./routes/sessionParticipants'));
+      logger.info('  ✅ session participant routes loaded');
+      
       // Session export routes (PDF reports - Requirement 11.5)
       app.use('/api/session-export', require('./routes/sessionExport'));
       logger.info('  ✅ session export routes loaded');
@@ -294,6 +402,18 @@ const startServer = async () => {
     
     logger.info('✅ All routes loaded successfully');
 
+    // Offer freed slots to waitlisted clients on cancellation/reschedule
+    const { initWaitlistListeners } = require('./src/listeners/waitlistListeners');
+    initWaitlistListeners();
+
+    // Notify therapists and on-call admins of risk alerts
+    const { initRiskListeners } = require('./src/listeners/riskListeners');
+    initRiskListeners();
+
+    // Assign due outcome measures to newly booked sessions
+    const { initOutcomeListeners } = require('./src/listeners/outcomeListeners');
+    initOutcomeListeners();
+
     // Basic Route
     app.get('/', (req, res) => {
       res.json({ 
@@ -334,6 +454,39 @@ const startServer = async () => {
           note: 'Reminders will not be sent. Check email/SMS configuration.'
         });
       }
+
+      // Start waitlist offer expiry job
+      try {
+        const { waitlistService } = require('./services/waitlistService');
+        waitlistService.startExpiryJob();
+      } catch (error) {
+        logger.warn('⚠️ Failed to start waitlist expiry job', {
+          error: error.message,
+          note: 'Unclaimed waitlist offers will not be passed on.'
+        });
+      }
+
+      // Start recording purge job (recordings past their retention date)
+      try {
+        const { secureDeletionService } = require('./utils/secureDeletion');
+        secureDeletionService.startRecordingPurgeJob();
+      } catch (error) {
+        logger.warn('⚠️ Failed to start recording purge job', {
+          error: error.message,
+          note: 'Expired session recordings will not be purged.'
+        });
+      }
+
+      // Start monthly EAP company invoicing
+      try {
+        const { eapService } = require('./services/eapService');
+        eapService.startInvoiceJob();
+      } catch (error) {
+        logger.warn('⚠️ Failed to start EAP invoice job', {
+          error: error.message,
+          note: 'Companies will not be invoiced automatically.'
+        });
+      }
     });
     
   } catch (error) {
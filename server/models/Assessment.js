@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { INSTRUMENT_CODES } = require('../constants/clinicalInstruments');
 
 const AssessmentSchema = new mongoose.Schema({
   title: {
@@ -9,8 +10,20 @@ const AssessmentSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // Set for standardised instruments (PHQ-9, GAD-7); scoring then follows
+  // constants/clinicalInstruments instead of the option scores below
+  instrumentCode: {
+    type: String,
+    enum: Object.values(INSTRUMENT_CODES),
+  },
+  instrumentVersion: {
+    type: Number,
+  },
   questions: [
     {
+      itemNumber: {
+        type: Number,
+      },
       questionText: {
         type: String,
         required: true,
@@ -35,4 +48,6 @@ const AssessmentSchema = new mongoose.Schema({
   },
 });
 
+AssessmentSchema.index({ instrumentCode: 1 }, { unique: true, sparse: true });
+
 module.exports = mongoose.model('Assessment', AssessmentSchema);
\ No newline at end of file
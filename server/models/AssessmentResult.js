@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { INSTRUMENT_CODES, SEVERITY_LEVELS } = require('../constants/clinicalInstruments');
 
 const AssessmentResultSchema = new mongoose.Schema({
   user: {
@@ -21,6 +22,9 @@ const AssessmentResultSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         required: true,
       },
+      itemNumber: {
+        type: Number,
+      },
       score: {
         type: Number,
         required: true,
@@ -35,10 +39,46 @@ const AssessmentResultSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // Standardised instrument scoring
+  instrumentCode: {
+    type: String,
+    enum: Object.values(INSTRUMENT_CODES),
+  },
+  severity: {
+    type: String,
+    enum: SEVERITY_LEVELS,
+  },
+  subscaleScores: [
+    {
+      key: String,
+      label: String,
+      score: Number,
+      positiveScreen: Boolean,
+    },
+  ],
+  criticalFlags: [
+    {
+      itemNumber: Number,
+      score: Number,
+      flag: String,
+      label: String,
+    },
+  ],
+  requiresReview: {
+    type: Boolean,
+    default: false,
+  },
+  // Session this result was collected for (measurement-based care)
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+  },
   completedAt: {
     type: Date,
     default: Date.now,
   },
 });
 
+AssessmentResultSchema.index({ user: 1, instrumentCode: 1, completedAt: 1 });
+
 module.exports = mongoose.model('AssessmentResult', AssessmentResultSchema);
\ No newline at end of file
@@ -41,6 +41,18 @@ const AuditLogSchema = new mongoose.Schema({
       'VIDEO_CALL_END',
       'VIDEO_CALL_JOIN_ATTEMPT',
       'VIDEO_CALL_SECURITY_VALIDATION',
+      'VIDEO_CALL_TURN_CREDENTIALS',
+      // Session recording actions
+      'RECORDING_CONSENT',
+      'RECORDING_DECLINED',
+      'RECORDING_STARTED',
+      'RECORDING_STOPPED',
+      'RECORDING_ACCESS',
+      'RECORDING_DELETED',
+      // In-call chat file sharing
+      'CALL_CHAT_FILE_SHARED',
+      'CALL_CHAT_FILE_ACCESS',
+      'CALL_CHAT_FILE_PROMOTED',
       // User management actions - Requirements 5.5, 8.6
       'USER_CREATE',
       'USER_UPDATE',
@@ -67,6 +79,18 @@ const AuditLogSchema = new mongoose.Schema({
       'SESSION_NOTES_ACCESS',
       'SESSION_EXPORT',
       'INTAKE_FORM_ACCESS',
+      // Risk escalation actions
+      'RISK_ALERT_RAISED',
+      'RISK_ALERT_ACKNOWLEDGED',
+      'RISK_FOLLOW_UP_RECORDED',
+      'RISK_ALERT_RESOLVED',
+      // Treatment plan actions
+      'TREATMENT_PLAN_CREATED',
+      'TREATMENT_PLAN_UPDATED',
+      'TREATMENT_PLAN_VISIBILITY_CHANGED',
+      // Waitlist actions
+      'WAITLIST_SLOT_OFFERED',
+      'WAITLIST_SLOT_CLAIMED',
       // Admin actions
       'ADMIN_ACCESS',
       'ADMIN_USER_VIEW',
@@ -103,7 +127,7 @@ const AuditLogSchema = new mongoose.Schema({
   // Target entity tracking - Requirements 5.5, 8.6
   targetType: {
     type: String,
-    enum: ['User', 'Session', 'Payment', 'Profile', 'Availability', 'Settings']
+    enum: ['User', 'Session', 'Payment', 'Profile', 'Availability', 'Settings', 'RiskAlert', 'TreatmentPlan', 'SessionRecording']
     // Note: Compound indexes below cover targetType queries
   },
   
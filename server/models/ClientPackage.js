@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+/**
+ * Client Package
+ *
+ * A client's purchase of a session package and its remaining credits.
+ * Every change to `creditsRemaining` is recorded in the CreditLedgerEntry
+ * collection.
+ */
+const ClientPackageSchema = new mongoose.Schema({
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  therapist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  package: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SessionPackage',
+    required: true
+  },
+
+  // Package terms copied at purchase so later edits don't change them
+  name: {
+    type: String,
+    required: true
+  },
+  sessionType: {
+    type: String,
+    enum: ['Individual', 'Couples', 'Family'],
+    required: true
+  },
+  sessionsPurchased: {
+    type: Number,
+    required: true
+  },
+  pricePaid: {
+    type: Number,
+    required: true
+  },
+  perSessionPrice: {
+    type: Number,
+    required: true
+  },
+
+  creditsRemaining: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  expiresAt: Date,
+
+  // Payment
+  paymentStatus: {
+    type: String,
+    enum: ['Pending', 'Processing', 'Paid', 'Failed'],
+    default: 'Pending'
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['mpesa', 'manual'],
+    default: 'mpesa'
+  },
+  mpesaCheckoutRequestID: {
+    type: String,
+    trim: true
+  },
+  mpesaMerchantRequestID: {
+    type: String,
+    trim: true
+  },
+  mpesaTransactionID: {
+    type: String,
+    trim: true
+  },
+  mpesaPhoneNumber: {
+    type: String,
+    trim: true
+  },
+  mpesaResultDesc: {
+    type: String,
+    trim: true
+  },
+  paidAt: Date,
+  // Admin who confirmed a manual (till code) payment
+  verifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Credit lookup when a booking is approved
+ClientPackageSchema.index({ client: 1, therapist: 1, sessionType: 1, paymentStatus: 1, expiresAt: 1 });
+ClientPackageSchema.index({ mpesaCheckoutRequestID: 1 }, { sparse: true });
+
+module.exports = mongoose.model('ClientPackage', ClientPackageSchema);
@@ -42,8 +42,7 @@ const CompanySchema = new mongoose.Schema({
   },
   subscription: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'Subscription',
-    required: true
+    ref: 'Subscription'
   },
   adminUsers: [{
     type: mongoose.Schema.Types.ObjectId,
@@ -53,6 +52,46 @@ const CompanySchema = new mongoose.Schema({
     type: Number,
     default: 50 // Default limit for basic subscription
   },
+
+  // Employee assistance programme contract; allowances reset on each
+  // anniversary of contractStart. Enrolled employees are EapMember records.
+  eap: {
+    isActive: {
+      type: Boolean,
+      default: false
+    },
+    contractStart: Date,
+    contractEnd: Date,
+    sessionsPerEmployee: {
+      type: Number,
+      min: [1, 'Allowance must be at least 1 session']
+    },
+    // KES billed to the company per completed session
+    ratePerSession: {
+      type: Number,
+      min: [1, 'Rate must be positive']
+    },
+    sessionTypes: {
+      type: [{
+        type: String,
+        enum: ['Individual', 'Couples', 'Family', 'Group']
+      }],
+      default: ['Individual']
+    },
+    billingEmail: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    billingContactName: {
+      type: String,
+      trim: true
+    },
+    paymentTermsDays: {
+      type: Number,
+      default: 30
+    }
+  },
   active: {
     type: Boolean,
     default: true
@@ -73,6 +112,9 @@ CompanySchema.virtual('employeeCount').get(function() {
   return this.employees ? this.employees.length : 0;
 });
 
+CompanySchema.index({ adminUsers: 1 });
+CompanySchema.index({ 'eap.isActive': 1 });
+
 // Query middleware to filter out inactive companies
 CompanySchema.pre(/^find/, function(next) {
   this.find({ active: { $ne: false } });
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+/**
+ * Company Invoice
+ *
+ * Monthly bill to a company for completed EAP sessions. Lines are totals by
+ * session type; the sessions are listed for reconciliation only and never
+ * shown to the company.
+ */
+const CompanyInvoiceLineSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true
+  },
+  unitPrice: {
+    type: Number,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const CompanyInvoiceSchema = new mongoose.Schema({
+  number: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+
+  billTo: {
+    name: String,
+    email: String,
+    contactName: String
+  },
+  lines: [CompanyInvoiceLineSchema],
+  sessionCount: {
+    type: Number,
+    default: 0
+  },
+  sessions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  }],
+  currency: {
+    type: String,
+    default: 'KES'
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['issued', 'paid', 'void'],
+    default: 'issued'
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  dueDate: Date,
+  emailedAt: Date,
+  paidAt: Date,
+  paymentReference: {
+    type: String,
+    trim: true
+  },
+  voidedAt: Date,
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// One invoice per company per month
+CompanyInvoiceSchema.index(
+  { company: 1, periodStart: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['issued', 'paid'] } } }
+);
+CompanyInvoiceSchema.index({ status: 1, dueDate: 1 });
+
+module.exports = mongoose.model('CompanyInvoice', CompanyInvoiceSchema);
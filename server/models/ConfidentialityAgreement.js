@@ -21,6 +21,13 @@ const confidentialityAgreementSchema = new mongoose.Schema({
     // Note: Compound index { client: 1, status: 1 } covers client queries
   },
   
+  // individual: platform-wide agreement; group: signed per group session
+  agreementType: {
+    type: String,
+    enum: ['individual', 'group'],
+    default: 'individual'
+  },
+  
   // Session reference (optional - can be signed before first session)
   session: {
     type: mongoose.Schema.Types.ObjectId,
@@ -110,6 +117,7 @@ const confidentialityAgreementSchema = new mongoose.Schema({
 confidentialityAgreementSchema.index({ client: 1, status: 1 });
 confidentialityAgreementSchema.index({ agreementVersion: 1 });
 confidentialityAgreementSchema.index({ acceptedAt: -1 });
+confidentialityAgreementSchema.index({ client: 1, session: 1, agreementType: 1 });
 
 // Static method to get current agreement version
 confidentialityAgreementSchema.statics.getCurrentVersion = function() {
@@ -158,12 +166,51 @@ You have the right to:
 
 7. ACKNOWLEDGMENT
 By signing below, you acknowledge that you have read, understood, and agree to the terms of this Confidentiality Agreement.
+    `.trim(),
+    'group-1.0': `
+GROUP SESSION CONFIDENTIALITY AGREEMENT - SMILING STEPS TELETHERAPY PLATFORM
+
+Effective Date: This agreement is effective as of the date of electronic signature and applies to the group session named on your booking.
+
+1. YOUR INDIVIDUAL AGREEMENT STILL APPLIES
+Your Therapist and the Platform protect your information exactly as described in the Confidentiality Agreement you signed when you joined.
+
+2. WHAT IS SHARED IN THE GROUP STAYS IN THE GROUP
+You agree not to disclose the identity of other members, or anything they share, to anyone outside the session.
+
+3. LIMITS OF GROUP CONFIDENTIALITY
+Your Therapist is bound by professional confidentiality but cannot guarantee that every member will keep this agreement. Share only what you are comfortable sharing in a group.
+
+4. NO RECORDING
+You will not record, photograph or screenshot the session, and will join from a private space where others cannot see or hear the group.
+
+5. CONTACT OUTSIDE THE GROUP
+Contact with other members outside sessions is your choice; please tell your Therapist if it affects your participation.
+
+6. ACKNOWLEDGMENT
+By signing below, you acknowledge that you have read, understood, and agree to the terms of this Group Session Confidentiality Agreement.
     `.trim()
   };
   
   return agreements[version] || agreements['1.0'];
 };
 
+// Static method to get current group session agreement version
+confidentialityAgreementSchema.statics.getCurrentGroupVersion = function() {
+  return 'group-1.0';
+};
+
+// Static method to get a client's active agreement for one group session
+confidentialityAgreementSchema.statics.getSessionAgreement = async function(clientId, sessionId) {
+  return this.findOne({
+    client: clientId,
+    session: sessionId,
+    agreementType: 'group',
+    status: 'active',
+    signatureConfirmation: true
+  });
+};
+
 // Generate content hash for integrity verification
 confidentialityAgreementSchema.statics.generateContentHash = function(content) {
   const crypto = require('crypto');
@@ -185,7 +232,7 @@ confidentialityAgreementSchema.methods.supersede = async function(newAgreementId
 
 // Static method to check if client has valid agreement
 confidentialityAgreementSchema.statics.hasValidAgreement = async function(clientId, version = null) {
-  const query = { client: clientId, status: 'active', signatureConfirmation: true };
+  const query = { client: clientId, agreementType: { $ne: 'group' }, status: 'active', signatureConfirmation: true };
   if (version) query.agreementVersion = version;
   
   const agreement = await this.findOne(query).sort({ acceptedAt: -1 });
@@ -194,7 +241,7 @@ confidentialityAgreementSchema.statics.hasValidAgreement = async function(client
 
 // Static method to get client's latest agreement
 confidentialityAgreementSchema.statics.getLatestAgreement = async function(clientId) {
-  return this.findOne({ client: clientId, status: 'active' }).sort({ acceptedAt: -1 });
+  return this.findOne({ client: clientId, agreementType: { $ne: 'group' }, status: 'active' }).sort({ acceptedAt: -1 });
 };
 
 const ConfidentialityAgreement = mongoose.model('ConfidentialityAgreement', confidentialityAgreementSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+/**
+ * Credit Ledger Entry
+ *
+ * Append-only record of session credit movements for a client:
+ * purchases add credits, approved bookings consume them and refunded
+ * cancellations restore them.
+ */
+const CreditLedgerEntrySchema = new mongoose.Schema({
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  therapist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  clientPackage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClientPackage',
+    required: true
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  },
+
+  type: {
+    type: String,
+    enum: ['purchase', 'consume', 'restore', 'adjustment'],
+    required: true
+  },
+  // Signed change in credits
+  credits: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+CreditLedgerEntrySchema.index({ client: 1, createdAt: -1 });
+CreditLedgerEntrySchema.index({ clientPackage: 1, createdAt: 1 });
+CreditLedgerEntrySchema.index({ session: 1, type: 1 });
+
+// Ledger entries are never edited
+CreditLedgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Credit ledger entries cannot be modified'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('CreditLedgerEntry', CreditLedgerEntrySchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+/**
+ * Document Sequence
+ *
+ * Sequential counters for numbered financial documents, one per prefix and
+ * year (e.g. `INV-2026`). Incremented atomically when a document is issued.
+ */
+const DocumentSequenceSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('DocumentSequence', DocumentSequenceSchema);
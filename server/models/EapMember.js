@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+/**
+ * EAP Member
+ *
+ * An employee enrolled in their company's employee assistance programme.
+ * HR enrols by work email; the record links to the employee's account the
+ * first time they book with it. `usage` counts sessions per contract year
+ * and is only ever reported to HR in aggregate.
+ */
+const EapUsageSchema = new mongoose.Schema({
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  sessionsUsed: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+const EapMemberSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  // HR's own staff number, if they want one
+  employeeRef: {
+    type: String,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'removed'],
+    default: 'active'
+  },
+  usage: [EapUsageSchema],
+
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  linkedAt: Date,
+  removedAt: Date
+}, {
+  timestamps: true
+});
+
+EapMemberSchema.index({ company: 1, email: 1 }, { unique: true });
+EapMemberSchema.index({ user: 1, status: 1 });
+EapMemberSchema.index({ email: 1, status: 1 });
+
+module.exports = mongoose.model('EapMember', EapMemberSchema);
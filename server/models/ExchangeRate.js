@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+/**
+ * Exchange Rate
+ *
+ * How many KES one unit of a foreign currency is worth from a given date.
+ * Rates are never edited: a new rate takes over from its effectiveFrom date,
+ * so sessions booked earlier keep the rate they were locked at.
+ */
+const ExchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    enum: ['USD', 'EUR', 'GBP'],
+    required: true
+  },
+
+  // KES per one unit of the currency
+  rate: {
+    type: Number,
+    required: true,
+    min: [0.0001, 'Rate must be positive']
+  },
+
+  effectiveFrom: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+
+  // Where the rate came from, e.g. 'Central Bank of Kenya'
+  source: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Source cannot exceed 100 characters']
+  },
+
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+ExchangeRateSchema.index({ currency: 1, effectiveFrom: -1 });
+
+module.exports = mongoose.model('ExchangeRate', ExchangeRateSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+/**
+ * Fund Ledger Entry
+ *
+ * Append-only record of sponsorship fund balance movements: contributions
+ * add to the pool, booked sessions reserve a subsidy and cancelled or
+ * declined sessions release it.
+ */
+const FundLedgerEntrySchema = new mongoose.Schema({
+  fund: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SponsorshipFund',
+    required: true
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  type: {
+    type: String,
+    enum: ['contribution', 'reserve', 'release', 'adjustment'],
+    required: true
+  },
+  // Signed change in KES
+  amount: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+FundLedgerEntrySchema.index({ fund: 1, createdAt: -1 });
+FundLedgerEntrySchema.index({ session: 1, type: 1 });
+
+// Ledger entries are never edited
+FundLedgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Fund ledger entries cannot be modified'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('FundLedgerEntry', FundLedgerEntrySchema);
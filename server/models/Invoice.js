@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+/**
+ * Invoice
+ *
+ * A numbered receipt for a payment, or a credit note for its refund. A
+ * document is for a one-to-one session, one member's seat in a group
+ * session, or a package purchase; `sourceKey` names which.
+ * Everything printed on the PDF is copied here when the document is issued,
+ * so later changes to the session or either user never alter it.
+ */
+const InvoiceLineSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: true
+  },
+  // Negative for discounts and amounts covered by others
+  amount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const InvoiceSchema = new mongoose.Schema({
+  // Set once the issuing call has won the insert for its source, so a
+  // concurrent attempt never uses up a number
+  number: String,
+  numberingStartedAt: Date,
+  type: {
+    type: String,
+    enum: ['receipt', 'credit_note'],
+    required: true
+  },
+
+  // e.g. 'session:<id>', 'seat:<sessionId>:<clientId>', 'package:<purchaseId>'
+  sourceKey: {
+    type: String,
+    required: true
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: function () { return !this.clientPackage; }
+  },
+  clientPackage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClientPackage'
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  therapist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  billTo: {
+    name: String,
+    email: String
+  },
+  therapistName: String,
+  service: {
+    description: String,
+    sessionType: String,
+    sessionDate: Date,
+    bookingReference: String
+  },
+
+  lines: [InvoiceLineSchema],
+  currency: {
+    type: String,
+    default: 'KES'
+  },
+  // Amount paid (receipts) or refunded (credit notes)
+  total: {
+    type: Number,
+    required: true
+  },
+  // Tax included in the total
+  taxRate: {
+    type: Number,
+    default: 0
+  },
+  taxAmount: {
+    type: Number,
+    default: 0
+  },
+
+  payment: {
+    method: String,
+    transactionId: String,
+    paidAt: Date
+  },
+
+  // Credit notes only
+  originalInvoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  originalNumber: String,
+  refund: {
+    transactionId: String,
+    processedAt: Date,
+    reason: String
+  }
+}, {
+  timestamps: true
+});
+
+// One receipt and at most one credit note per session, seat or purchase
+InvoiceSchema.index({ sourceKey: 1, type: 1 }, { unique: true });
+InvoiceSchema.index({ session: 1 });
+InvoiceSchema.index({ number: 1 }, { unique: true, partialFilterExpression: { number: { $type: 'string' } } });
+InvoiceSchema.index({ client: 1, issuedAt: -1 });
+InvoiceSchema.index({ type: 1, issuedAt: -1 });
+
+module.exports = mongoose.model('Invoice', InvoiceSchema);
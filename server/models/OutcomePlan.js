@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const { INSTRUMENT_CODES } = require('../constants/clinicalInstruments');
+
+/**
+ * OutcomePlan Model
+ *
+ * A therapist's choice to measure a client with a standardised instrument
+ * before every Nth session. Counting starts with the first session on or
+ * after startedAt, which always gets a baseline measure.
+ */
+const OutcomePlanSchema = new mongoose.Schema({
+  therapist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  assessment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assessment',
+    required: true
+  },
+  instrumentCode: {
+    type: String,
+    enum: Object.values(INSTRUMENT_CODES),
+    required: true
+  },
+  everyNSessions: {
+    type: Number,
+    min: 1,
+    max: 12,
+    default: 1
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  endedAt: Date
+}, {
+  timestamps: true
+});
+
+// One active plan per therapist, client and instrument
+OutcomePlanSchema.index(
+  { therapist: 1, client: 1, instrumentCode: 1 },
+  { unique: true, partialFilterExpression: { active: true } }
+);
+OutcomePlanSchema.index({ client: 1, active: 1 });
+
+module.exports = mongoose.model('OutcomePlan', OutcomePlanSchema);
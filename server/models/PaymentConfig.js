@@ -19,12 +19,21 @@ const PaymentConfigSchema = new mongoose.Schema({
     default: 'Go to M-Pesa > Lipa na M-Pesa > Paybill > Enter Business Number and Account Number > Enter Amount > Enter PIN'
   },
   
-  // Currency
+  // Settlement currency; payouts, receipts and reports are in this currency
   currency: {
     type: String,
     default: 'KES',
     enum: ['KES', 'USD', 'EUR', 'GBP']
   },
+
+  // Currencies clients can choose to see prices and pay in
+  supportedCurrencies: {
+    type: [{
+      type: String,
+      enum: ['KES', 'USD', 'EUR', 'GBP']
+    }],
+    default: ['KES']
+  },
   
   // Admin settings
   isActive: {
@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+
+/**
+ * Payout Batch
+ *
+ * One settlement run with therapists: a statement per therapist listing the
+ * sessions settled, the platform commission and the net amount owed.
+ * Sessions in a batch point back to it through `Session.payoutBatch`.
+ */
+const PayoutLineSchema = new mongoose.Schema({
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  sessionDate: Date,
+  sessionType: String,
+  status: String,
+  collectedAmount: {
+    type: Number,
+    required: true
+  },
+  commissionAmount: {
+    type: Number,
+    required: true
+  },
+  netAmount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const PayoutStatementSchema = new mongoose.Schema({
+  therapist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  therapistName: String,
+  // Percentage applied to this statement, copied so later rate changes don't alter it
+  commissionRate: {
+    type: Number,
+    required: true
+  },
+  lines: [PayoutLineSchema],
+  grossAmount: {
+    type: Number,
+    default: 0
+  },
+  commissionAmount: {
+    type: Number,
+    default: 0
+  },
+  netAmount: {
+    type: Number,
+    default: 0
+  },
+  // Sessions left for a later batch (refund window still open, refund in flight)
+  heldBack: {
+    count: {
+      type: Number,
+      default: 0
+    },
+    amount: {
+      type: Number,
+      default: 0
+    }
+  }
+}, { _id: false });
+
+const PayoutBatchSchema = new mongoose.Schema({
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['draft', 'paid', 'cancelled'],
+    default: 'draft'
+  },
+  statements: [PayoutStatementSchema],
+
+  totals: {
+    grossAmount: {
+      type: Number,
+      default: 0
+    },
+    commissionAmount: {
+      type: Number,
+      default: 0
+    },
+    netAmount: {
+      type: Number,
+      default: 0
+    },
+    sessionCount: {
+      type: Number,
+      default: 0
+    },
+    heldBackAmount: {
+      type: Number,
+      default: 0
+    }
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  paidAt: Date,
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Bank or M-Pesa bulk payment reference for the transfer
+  paymentReference: {
+    type: String,
+    trim: true
+  },
+  cancelledAt: Date,
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+PayoutBatchSchema.index({ status: 1, periodEnd: -1 });
+PayoutBatchSchema.index({ 'statements.therapist': 1, periodEnd: -1 });
+
+module.exports = mongoose.model('PayoutBatch', PayoutBatchSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+/**
+ * Pricing Tier
+ *
+ * A reduced sliding-scale price a therapist offers for one session type,
+ * alongside their standard rate. Clients pick a tier when booking and the
+ * therapist accepts it by approving the booking.
+ */
+const PricingTierSchema = new mongoose.Schema({
+  therapist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  sessionType: {
+    type: String,
+    enum: ['Individual', 'Couples', 'Family', 'Group'],
+    required: true
+  },
+
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [100, 'Tier name cannot exceed 100 characters']
+  },
+
+  // Who the tier is meant for, shown to clients when booking
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+
+  // Price in KES
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Amount must be positive'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Amount must be a whole number of KES'
+    }
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+PricingTierSchema.index({ therapist: 1, isActive: 1, sessionType: 1 });
+
+module.exports = mongoose.model('PricingTier', PricingTierSchema);
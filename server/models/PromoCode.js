@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+/**
+ * Promo Code
+ *
+ * A marketing or partner discount clients enter when booking. Each use is
+ * recorded in PromoRedemption; `usesCount` counts the active ones.
+ */
+const PromoCodeSchema = new mongoose.Schema({
+  // Stored upper-case; clients can type it in any case
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: [30, 'Code cannot exceed 30 characters']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+
+  // Partner organisation the code was issued to, if any
+  partner: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Partner name cannot exceed 200 characters']
+  },
+
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: true
+  },
+  // Percent off, or KES off for fixed discounts
+  discountValue: {
+    type: Number,
+    required: true,
+    min: [1, 'Discount must be positive']
+  },
+  // Optional KES cap on percentage discounts
+  maxDiscount: {
+    type: Number,
+    min: [1, 'Cap must be positive']
+  },
+
+  validFrom: Date,
+  validUntil: Date,
+
+  // Optional caps; unset means unlimited
+  maxUses: {
+    type: Number,
+    min: [1, 'Usage cap must be at least 1']
+  },
+  maxUsesPerClient: {
+    type: Number,
+    min: [1, 'Per-client cap must be at least 1']
+  },
+  usesCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Only for clients booking their first session
+  firstSessionOnly: {
+    type: Boolean,
+    default: false
+  },
+
+  // Empty means any therapist
+  therapists: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  sessionTypes: {
+    type: [{
+      type: String,
+      enum: ['Individual', 'Couples', 'Family', 'Group']
+    }],
+    default: ['Individual', 'Couples', 'Family', 'Group']
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+PromoCodeSchema.index({ isActive: 1, validUntil: 1 });
+
+module.exports = mongoose.model('PromoCode', PromoCodeSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+/**
+ * Promo Redemption
+ *
+ * One use of a promo code on a booking. Declined or cancelled sessions
+ * release the redemption so it no longer counts towards the code's caps.
+ */
+const PromoRedemptionSchema = new mongoose.Schema({
+  promoCode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+
+  // KES taken off the session price
+  discountAmount: {
+    type: Number,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'released'],
+    default: 'active'
+  },
+  releasedAt: Date,
+  releaseNote: String
+}, {
+  timestamps: true
+});
+
+PromoRedemptionSchema.index({ promoCode: 1, client: 1, status: 1 });
+PromoRedemptionSchema.index({ session: 1 });
+
+module.exports = mongoose.model('PromoRedemption', PromoRedemptionSchema);
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+/**
+ * Refund
+ *
+ * One refund owed on a session (or one seat of a group session) and its
+ * M-Pesa B2C disbursement attempts. The session, or the seat's participant
+ * entry, keeps the summary (refundStatus, refundTransactionId); this
+ * record keeps the lifecycle the client sees and what reconciliation checks.
+ */
+const RefundAttemptSchema = new mongoose.Schema({
+  // Sent to Daraja; unique per attempt so a retried request can't pay twice
+  originatorConversationId: {
+    type: String,
+    required: true
+  },
+  conversationId: String,
+  status: {
+    type: String,
+    enum: ['submitting', 'submitted', 'completed', 'failed', 'timed_out'],
+    default: 'submitting'
+  },
+  resultCode: Number,
+  resultDesc: String,
+  submittedAt: Date,
+  resolvedAt: Date
+}, { _id: false });
+
+const RefundEventSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true
+  },
+  note: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const RefundSchema = new mongoose.Schema({
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // session: the booking client's payment; group_seat: one member's seat
+  // on a group session (`client` is the seat holder)
+  kind: {
+    type: String,
+    enum: ['session', 'group_seat'],
+    default: 'session'
+  },
+
+  // One refund per session or seat, however many times it is requested
+  idempotencyKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  amount: {
+    type: Number,
+    required: true,
+    min: [1, 'Refund amount must be positive']
+  },
+  phoneNumber: {
+    type: String,
+    trim: true
+  },
+  reason: String,
+  method: {
+    type: String,
+    enum: ['mpesa_b2c'],
+    default: 'mpesa_b2c'
+  },
+
+  status: {
+    type: String,
+    enum: ['queued', 'submitted', 'completed', 'timed_out', 'pending_manual'],
+    default: 'queued'
+  },
+  attempts: [RefundAttemptSchema],
+  events: [RefundEventSchema],
+
+  // B2C receipt once Safaricom confirms the payout
+  transactionId: {
+    type: String,
+    trim: true
+  },
+  receiverName: String,
+  completedAt: Date,
+  failureReason: String
+}, {
+  timestamps: true
+});
+
+RefundSchema.index({ session: 1, createdAt: -1 });
+RefundSchema.index({ 'attempts.originatorConversationId': 1 });
+RefundSchema.index({ status: 1, updatedAt: 1 });
+
+RefundSchema.methods.currentAttempt = function() {
+  return this.attempts[this.attempts.length - 1] || null;
+};
+
+RefundSchema.methods.recordEvent = function(status, note) {
+  this.status = status;
+  this.events.push({ status, note, at: new Date() });
+};
+
+module.exports = mongoose.model('Refund', RefundSchema);
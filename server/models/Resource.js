@@ -61,6 +61,12 @@ const ResourceSchema = new mongoose.Schema({
     enum: ['public', 'client', 'psychologist', 'admin'],
     default: 'client'
   },
+  // Clients a private resource is shared with, e.g. a file from their
+  // session. Empty for resources in the public library.
+  sharedWith: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   tags: [{
     type: String,
     trim: true
@@ -111,5 +117,6 @@ ResourceSchema.index({ category: 1 });
 ResourceSchema.index({ active: 1 });
 ResourceSchema.index({ accessLevel: 1 });
 ResourceSchema.index({ createdBy: 1 });
+ResourceSchema.index({ sharedWith: 1 });
 
 module.exports = mongoose.model('Resource', ResourceSchema);
\ No newline at end of file
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+/**
+ * RiskAlert Model
+ *
+ * Raised when a client submission carries a risk signal (suicidal thoughts
+ * on intake, very low check-in mood, positive self-harm assessment item).
+ * Tracks who was alerted, who acknowledged it and the follow-up taken.
+ */
+const SignalSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['suicidal_thoughts', 'low_mood', 'self_harm_symptom', 'suicidal_ideation'],
+    required: true
+  },
+  level: {
+    type: String,
+    enum: ['elevated', 'high'],
+    required: true
+  },
+  description: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+const RiskAlertSchema = new mongoose.Schema({
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Assigned therapist at the time the alert was raised, if any
+  therapist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  level: {
+    type: String,
+    enum: ['elevated', 'high'],
+    required: true
+  },
+  signals: {
+    type: [SignalSchema],
+    validate: {
+      validator: (value) => Array.isArray(value) && value.length > 0,
+      message: 'A risk alert needs at least one signal'
+    }
+  },
+  source: {
+    type: {
+      type: String,
+      enum: ['intake_form', 'check_in', 'assessment'],
+      required: true
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    }
+  },
+
+  status: {
+    type: String,
+    enum: ['open', 'acknowledged', 'resolved'],
+    default: 'open'
+  },
+
+  // Staff notified when the alert was raised
+  notified: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    role: String,
+    notifiedAt: Date
+  }],
+
+  acknowledgedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acknowledgedAt: Date,
+
+  followUps: [{
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    action: {
+      type: String,
+      enum: ['contacted_client', 'safety_plan', 'emergency_services', 'session_scheduled', 'referred', 'other'],
+      required: true
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 2000
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: Date,
+  resolutionNote: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient querying
+RiskAlertSchema.index({ therapist: 1, status: 1, createdAt: -1 });
+RiskAlertSchema.index({ status: 1, level: 1, createdAt: -1 });
+RiskAlertSchema.index({ client: 1, createdAt: -1 });
+RiskAlertSchema.index({ 'source.type': 1, 'source.id': 1 });
+
+module.exports = mongoose.model('RiskAlert', RiskAlertSchema);
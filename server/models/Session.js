@@ -3,6 +3,152 @@ const encryption = require('../utils/encryption');
 const { generateMeetingLink } = require('../utils/meetingLinkGenerator');
 const { generateBookingReference } = require('../utils/bookingReferenceGenerator');
 
+// Additional people in a session beyond the booking client.
+// Group members each hold and pay for their own seat.
+const ParticipantSchema = new mongoose.Schema({
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // group_member: pays for their own seat
+  // co_participant: partner or family member on a Couples/Family booking,
+  // covered by the booking client's payment
+  role: {
+    type: String,
+    enum: ['group_member', 'co_participant'],
+    required: true
+  },
+  relationship: {
+    type: String,
+    enum: ['partner', 'spouse', 'parent', 'child', 'sibling', 'guardian', 'other']
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // reserved: seat held awaiting payment; enrolled: seat paid or co-participant added;
+  // cancelled: paid seat given up, kept to track its refund
+  status: {
+    type: String,
+    enum: ['reserved', 'enrolled', 'cancelled'],
+    default: 'reserved'
+  },
+  reservedAt: {
+    type: Date,
+    default: Date.now
+  },
+  enrolledAt: Date,
+
+  // Per-seat payment (group members only)
+  paymentStatus: {
+    type: String,
+    enum: ['Pending', 'Processing', 'Paid', 'Failed']
+  },
+  amount: Number,
+  mpesaCheckoutRequestID: {
+    type: String,
+    trim: true
+  },
+  mpesaMerchantRequestID: {
+    type: String,
+    trim: true
+  },
+  mpesaTransactionID: {
+    type: String,
+    trim: true
+  },
+  mpesaPhoneNumber: {
+    type: String,
+    trim: true
+  },
+  mpesaResultDesc: {
+    type: String,
+    trim: true
+  },
+  paymentInitiatedAt: Date,
+  paidAt: Date,
+
+  // Refund of a cancelled paid seat
+  cancelledAt: Date,
+  refundStatus: {
+    type: String,
+    enum: ['pending', 'processing', 'processed', 'failed', 'pending_manual', 'not_applicable']
+  },
+  refundAmount: Number,
+  refundPercentage: Number,
+  refundTransactionId: {
+    type: String,
+    trim: true
+  },
+  refundProcessedAt: Date,
+  refundNotes: String,
+
+  // Participant's own signed agreement for this session
+  agreement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ConfidentialityAgreement'
+  },
+
+  // Attendance
+  attendance: {
+    type: String,
+    enum: ['pending', 'attended', 'no_show', 'excused'],
+    default: 'pending'
+  },
+  joinedAt: Date,
+  leftAt: Date
+});
+
+const CALL_MODES = ['full', 'low_resolution', 'video_off', 'audio_only', 'phone_bridge'];
+
+// A stretch of a video call spent in one mode
+const CallModeSegmentSchema = new mongoose.Schema({
+  mode: {
+    type: String,
+    enum: CALL_MODES,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['call_started', 'poor_network', 'network_recovered', 'restored_by_host']
+  },
+  startedAt: Date,
+  endedAt: Date
+}, { _id: false });
+
+// A message in the in-call chat. Text is encrypted at rest by
+// callChatService; attachments are stored encrypted on disk.
+const CallChatMessageSchema = new mongoose.Schema({
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  senderRole: {
+    type: String,
+    enum: ['client', 'psychologist', 'admin']
+  },
+  senderName: String,
+  text: String,
+  attachment: {
+    fileName: String,
+    mimeType: String,
+    size: Number,
+    // Relative to the call chat storage directory
+    storageKey: String
+  },
+  // Set once the therapist has shared the attachment as a client resource
+  resource: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Resource'
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
 const SessionSchema = new mongoose.Schema({
   // Booking Reference Number (Requirement 1.5)
   bookingReference: {
@@ -12,10 +158,11 @@ const SessionSchema = new mongoose.Schema({
     trim: true
     // Note: unique: true already creates an index, no need for index: true
   },
+  // Booking client; group sessions have participants instead
   client: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
+    required: function() { return this.sessionType !== 'Group'; },
   },
   psychologist: {
     type: mongoose.Schema.Types.ObjectId,
@@ -31,6 +178,11 @@ const SessionSchema = new mongoose.Schema({
     type: Date,
     required: true,
   },
+  // Length in minutes, from the rate locked at booking
+  duration: {
+    type: Number,
+    default: 60
+  },
   status: {
     type: String,
     enum: ['Pending', 'Pending Approval', 'Approved', 'Payment Submitted', 'Confirmed', 'Booked', 'In Progress', 'Completed', 'Cancelled', 'Declined'],
@@ -94,6 +246,27 @@ const SessionSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
   },
+
+  // In-call chat and shared files
+  callChat: [CallChatMessageSchema],
+
+  // Which modes the call ran in on poor networks (see callModeService)
+  callMode: {
+    current: { type: String, enum: CALL_MODES },
+    lowest: { type: String, enum: CALL_MODES },
+    // Mode the call spent longest in; set when the call ends
+    primary: { type: String, enum: CALL_MODES },
+    // Seconds spent in each mode
+    durations: {
+      full: Number,
+      low_resolution: Number,
+      video_off: Number,
+      audio_only: Number,
+      phone_bridge: Number
+    },
+    segments: [CallModeSegmentSchema],
+    phoneBridgePin: String
+  },
   
   // Payment fields
   sessionRate: {
@@ -136,9 +309,149 @@ const SessionSchema = new mongoose.Schema({
   },
   paymentMethod: {
     type: String,
-    enum: ['mpesa', 'stripe', 'cash', 'manual'],
+    enum: ['mpesa', 'stripe', 'cash', 'manual', 'package_credit', 'sponsorship', 'promo_code', 'eap'],
     default: 'mpesa'
   },
+  // Prepaid package credit used to pay for this session
+  packageCredit: {
+    clientPackage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ClientPackage'
+    },
+    consumedAt: Date,
+    restoredAt: Date
+  },
+  // Sliding-scale tier, promo discount and sponsorship subsidy applied at
+  // booking; `price` is the client's share after all of them
+  pricing: {
+    standardRate: Number,
+    tier: {
+      tier: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PricingTier'
+      },
+      name: String,
+      amount: Number
+    },
+    discount: {
+      promoCode: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PromoCode'
+      },
+      code: String,
+      amount: Number,
+      status: {
+        type: String,
+        enum: ['redeemed', 'released']
+      }
+    },
+    subsidy: {
+      fund: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SponsorshipFund'
+      },
+      fundName: String,
+      application: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SponsorshipApplication'
+      },
+      amount: Number,
+      status: {
+        type: String,
+        enum: ['reserved', 'released']
+      },
+      reservedAt: Date,
+      releasedAt: Date
+    },
+    clientAmount: Number
+  },
+  // Currency the client chose at booking and the exchange rate locked with it;
+  // `price` and `pricing` stay in KES
+  clientCurrency: {
+    code: {
+      type: String,
+      enum: ['KES', 'USD', 'EUR', 'GBP']
+    },
+    standardAmount: Number,
+    // Client's share in this currency
+    amount: Number,
+    amountPaid: Number,
+    // KES per unit
+    exchangeRate: Number,
+    exchangeRateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ExchangeRate'
+    },
+    exchangeRateDate: Date,
+    source: {
+      type: String,
+      enum: ['published', 'converted']
+    }
+  },
+  // Employer EAP allowance drawn for this session; the company is billed
+  // monthly through CompanyInvoice
+  eap: {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company'
+    },
+    member: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EapMember'
+    },
+    periodStart: Date,
+    status: {
+      type: String,
+      enum: ['reserved', 'released']
+    },
+    companyInvoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CompanyInvoice'
+    }
+  },
+  // Insurance billing codes, recorded by the therapist once the session is completed
+  billingCodes: {
+    // Comma-separated ICD-10 codes; encrypted at rest
+    diagnosisCodes: {
+      type: String,
+      trim: true
+    },
+    // CPT psychotherapy code, e.g. 90837
+    serviceCode: {
+      type: String,
+      trim: true
+    },
+    modifiers: [String],
+    placeOfService: String,
+    codedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    codedAt: Date
+  },
+  // The client's own insurance claim for this session, tracked so the
+  // dashboard can show what has been reimbursed
+  insuranceClaim: {
+    status: {
+      type: String,
+      enum: ['submitted', 'paid', 'rejected']
+    },
+    insurer: String,
+    claimReference: {
+      type: String,
+      trim: true
+    },
+    amountClaimed: Number,
+    amountReimbursed: Number,
+    rejectionReason: {
+      type: String,
+      trim: true
+    },
+    submittedAt: Date,
+    paidAt: Date,
+    rejectedAt: Date,
+    updatedAt: Date
+  },
   paymentInitiatedAt: {
     type: Date
   },
@@ -173,6 +486,16 @@ const SessionSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+
+  // Stripe card payment fields
+  stripePaymentIntentId: {
+    type: String,
+    trim: true
+  },
+  stripeChargeId: {
+    type: String,
+    trim: true
+  },
   
   // Payment audit trail
   paymentAttempts: [{
@@ -191,6 +514,11 @@ const SessionSchema = new mongoose.Schema({
       type: String,
       trim: true
     },
+    // Stripe attempts are keyed by PaymentIntent instead of CheckoutRequestID
+    paymentIntentId: {
+      type: String,
+      trim: true
+    },
     resultCode: {
       type: Number
     },
@@ -220,6 +548,29 @@ const SessionSchema = new mongoose.Schema({
     type: Date
   },
   
+  // Form completion tracking (every attendee's agreement and intake form)
+  agreementCompleted: {
+    type: Boolean,
+    default: false
+  },
+  intakeFormCompleted: {
+    type: Boolean,
+    default: false
+  },
+  intakeFormCompletedAt: {
+    type: Date
+  },
+  formsCompletedAt: {
+    type: Date
+  },
+  formReminderSent: {
+    type: Boolean,
+    default: false
+  },
+  formReminderSentAt: {
+    type: Date
+  },
+  
   // Admin booking fields (Requirement 15)
   createdByAdmin: {
     type: Boolean,
@@ -286,6 +637,15 @@ const SessionSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+
+  // Therapist payout: the batch that settled this session
+  payoutBatch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayoutBatch'
+  },
+  settledAt: {
+    type: Date
+  },
   
   // Rescheduling fields (Requirements 9.1, 9.2)
   rescheduledFrom: {
@@ -344,7 +704,49 @@ const SessionSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
-  
+
+  // Recurring series fields
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SessionSeries'
+  },
+  seriesIndex: {
+    type: Number
+  },
+
+  // Group sessions: seats and enrolled participants
+  // Couples/Family sessions: co-participants alongside the booking client
+  capacity: {
+    type: Number,
+    min: 2
+  },
+  participants: [ParticipantSchema],
+
+  // Measurement-based care: assessment scheduled before this session
+  outcomeMeasure: {
+    plan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'OutcomePlan'
+    },
+    assessment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Assessment'
+    },
+    instrumentCode: String,
+    status: {
+      type: String,
+      enum: ['pending', 'completed']
+    },
+    assignedAt: Date,
+    result: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AssessmentResult'
+    },
+    totalScore: Number,
+    severity: String,
+    completedAt: Date
+  },
+
   createdAt: {
     type: Date,
     default: Date.now,
@@ -377,6 +779,11 @@ SessionSchema.index({ sessionType: 1, sessionDate: -1 }, { name: 'idx_session_ty
 // Compound index for M-Pesa checkout request ID and payment status lookups
 SessionSchema.index({ mpesaCheckoutRequestID: 1, paymentStatus: 1 });
 
+// Stripe webhook lookups by PaymentIntent and refund
+SessionSchema.index({ stripePaymentIntentId: 1 }, { sparse: true });
+SessionSchema.index({ refundTransactionId: 1 }, { sparse: true });
+SessionSchema.index({ 'eap.company': 1, 'eap.status': 1, sessionDate: 1 }, { sparse: true });
+
 // Compound index for client payment queries (legacy - kept for backward compatibility)
 SessionSchema.index({ client: 1, paymentStatus: 1, sessionDate: 1 });
 
@@ -404,6 +811,17 @@ SessionSchema.index({ rescheduledFrom: 1 });
 SessionSchema.index({ rescheduledTo: 1 });
 SessionSchema.index({ rescheduleRequestedBy: 1, rescheduleRequestedAt: -1 });
 
+// Group participant lookups (a client's group sessions, seat payment callbacks)
+SessionSchema.index({ 'participants.client': 1, sessionDate: -1 });
+SessionSchema.index({ 'participants.mpesaCheckoutRequestID': 1 }, { sparse: true });
+
+// Recurring series lookup
+SessionSchema.index({ series: 1, sessionDate: 1 });
+
+// Therapist payouts: unsettled sessions and a batch's sessions
+SessionSchema.index({ psychologist: 1, payoutBatch: 1, sessionDate: 1 });
+SessionSchema.index({ payoutBatch: 1 }, { sparse: true });
+
 // Reminder system queries (Task 22.1)
 SessionSchema.index({ reminder24HourSent: 1, sessionDate: 1, status: 1 }, { name: 'idx_reminder_24h' });
 SessionSchema.index({ reminder1HourSent: 1, sessionDate: 1, status: 1 }, { name: 'idx_reminder_1h' });
@@ -460,12 +878,12 @@ SessionSchema.methods.isEncrypted = function(data) {
 
 // Method to encrypt sensitive fields
 SessionSchema.methods.encryptSensitiveFields = function() {
-  const sensitiveFields = ['sessionNotes', 'meetingLink', 'title', 'sessionProof', 'declineReason'];
+  const sensitiveFields = ['sessionNotes', 'meetingLink', 'title', 'sessionProof', 'declineReason', 'billingCodes.diagnosisCodes'];
   
   for (const field of sensitiveFields) {
-    if (this.isModified(field) && this[field] && !this.isEncrypted(this[field])) {
+    if (this.isModified(field) && this.get(field) && !this.isEncrypted(this.get(field))) {
       try {
-        this[field] = encryption.encrypt(this[field]);
+        this.set(field, encryption.encrypt(this.get(field)));
         console.log(`🔒 Encrypted sensitive field: ${field}`);
       } catch (error) {
         console.error(`Failed to encrypt ${field}:`, error);
@@ -477,7 +895,7 @@ SessionSchema.methods.encryptSensitiveFields = function() {
 
 // Method to decrypt a specific field
 SessionSchema.methods.decryptField = function(fieldName) {
-  const fieldValue = this[fieldName];
+  const fieldValue = this.get(fieldName);
   if (!fieldValue) {
     return '';
   }
@@ -1,11 +1,16 @@
 const mongoose = require('mongoose');
 const encryption = require('../utils/encryption');
+const { NOTE_TEMPLATE_KEYS } = require('../constants/noteTemplates');
+const { computeSignatureHash } = require('../utils/noteTemplates');
 
 /**
  * SessionNote Model
  * 
  * Stores versioned, encrypted session notes for therapy sessions.
  * Supports note versioning, author tracking, and HIPAA-compliant encryption.
+ * Templated notes (SOAP, DAP, ...) keep their answers per section and
+ * render them into `content`. Once signed, a note is locked: it can no
+ * longer be versioned and only addenda may be added.
  * 
  * Requirements: 11.3 - Encrypted session notes with timestamp
  */
@@ -42,6 +47,30 @@ const SessionNoteSchema = new mongoose.Schema({
     default: 'session_notes'
   },
   
+  // Structured template (see constants/noteTemplates)
+  template: {
+    type: String,
+    enum: Object.values(NOTE_TEMPLATE_KEYS),
+    default: NOTE_TEMPLATE_KEYS.FREE_TEXT
+  },
+  sections: [{
+    _id: false,
+    key: {
+      type: String,
+      required: true
+    },
+    value: {
+      type: String, // encrypted
+      required: true
+    }
+  }],
+  
+  // Treatment plan version current when the note was written
+  treatmentPlan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TreatmentPlan'
+  },
+  
   // Versioning
   version: {
     type: Number,
@@ -56,6 +85,31 @@ const SessionNoteSchema = new mongoose.Schema({
     default: true
   },
   
+  // Signing - a signed note is locked
+  signedAt: Date,
+  signedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  signatureHash: String,
+  
+  // Additions made after signing; the signed content is never changed
+  addenda: [{
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    content: {
+      type: String, // encrypted
+      required: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
   // Client visibility (therapist can choose to share certain notes)
   isClientVisible: {
     type: Boolean,
@@ -93,6 +147,7 @@ SessionNoteSchema.index({ session: 1, isLatest: 1 });
 SessionNoteSchema.index({ session: 1, version: -1 });
 SessionNoteSchema.index({ author: 1, createdAt: -1 });
 SessionNoteSchema.index({ session: 1, noteType: 1 });
+SessionNoteSchema.index({ treatmentPlan: 1, isLatest: 1 });
 
 // Helper to check if content is encrypted
 SessionNoteSchema.methods.isEncrypted = function(data) {
@@ -101,15 +156,41 @@ SessionNoteSchema.methods.isEncrypted = function(data) {
   return parts.length === 3 && parts[0].length === 32 && parts[1].length === 32;
 };
 
+SessionNoteSchema.virtual('isLocked').get(function() {
+  return Boolean(this.signedAt);
+});
+
 // Pre-save middleware to encrypt content
 SessionNoteSchema.pre('save', function(next) {
   try {
+    // Signed content is immutable
+    if (!this.isNew && this.signedAt && !this.isModified('signedAt') &&
+        (this.isModified('content') || this.isModified('sections'))) {
+      return next(new Error('Signed notes are locked; add an addendum instead'));
+    }
+    
     // Encrypt content if modified and not already encrypted
     if (this.isModified('content') && this.content && !this.isEncrypted(this.content)) {
       this.content = encryption.encrypt(this.content);
       console.log('🔒 Session note content encrypted');
     }
     
+    if (this.isModified('sections')) {
+      for (const section of this.sections) {
+        if (section.value && !this.isEncrypted(section.value)) {
+          section.value = encryption.encrypt(section.value);
+        }
+      }
+    }
+    
+    if (this.isModified('addenda')) {
+      for (const addendum of this.addenda) {
+        if (addendum.content && !this.isEncrypted(addendum.content)) {
+          addendum.content = encryption.encrypt(addendum.content);
+        }
+      }
+    }
+    
     this.updatedAt = new Date();
     next();
   } catch (error) {
@@ -118,34 +199,98 @@ SessionNoteSchema.pre('save', function(next) {
   }
 });
 
-// Method to get decrypted content
-SessionNoteSchema.methods.getDecryptedContent = function() {
-  if (!this.content) return '';
+// Decrypt a stored value, tolerating legacy plaintext
+SessionNoteSchema.methods.decryptValue = function(value) {
+  if (!value) return '';
   
   try {
-    if (this.isEncrypted(this.content)) {
-      return encryption.decrypt(this.content);
+    if (this.isEncrypted(value)) {
+      return encryption.decrypt(value);
     }
-    return this.content;
+    return value;
   } catch (error) {
     console.error('Failed to decrypt session note:', error);
     return '[Encrypted - Unable to decrypt]';
   }
 };
 
+// Method to get decrypted content
+SessionNoteSchema.methods.getDecryptedContent = function() {
+  return this.decryptValue(this.content);
+};
+
 // Method to get full decrypted note object
 SessionNoteSchema.methods.toDecryptedObject = function() {
   const obj = this.toObject();
   obj.content = this.getDecryptedContent();
+  obj.sections = (this.sections || []).map(s => ({ key: s.key, value: this.decryptValue(s.value) }));
+  obj.addenda = (this.addenda || []).map(a => ({
+    _id: a._id,
+    author: a.author,
+    content: this.decryptValue(a.content),
+    createdAt: a.createdAt
+  }));
+  obj.isLocked = this.isLocked;
   return obj;
 };
 
+// Sign and lock the note
+SessionNoteSchema.methods.sign = async function(userId) {
+  if (!this.isLatest) {
+    throw new Error('Only the latest version of a note can be signed');
+  }
+  if (this.signedAt) {
+    throw new Error('Note is already signed');
+  }
+  
+  this.signedAt = new Date();
+  this.signedBy = userId;
+  this.signatureHash = computeSignatureHash({
+    noteId: this._id,
+    content: this.getDecryptedContent(),
+    signedBy: userId,
+    signedAt: this.signedAt
+  });
+  await this.save();
+  console.log(`🔏 Session note ${this._id} signed`);
+  
+  return this;
+};
+
+// Whether the signed content still matches its signature
+SessionNoteSchema.methods.verifySignature = function() {
+  if (!this.signedAt) return false;
+  return this.signatureHash === computeSignatureHash({
+    noteId: this._id,
+    content: this.getDecryptedContent(),
+    signedBy: this.signedBy,
+    signedAt: this.signedAt
+  });
+};
+
+// Append an addendum to a signed note
+SessionNoteSchema.methods.addAddendum = async function(userId, content) {
+  if (!this.signedAt) {
+    throw new Error('Addenda can only be added to signed notes; edit the note instead');
+  }
+  
+  this.addenda.push({ author: userId, content, createdAt: new Date() });
+  await this.save();
+  console.log(`📎 Addendum added to session note ${this._id}`);
+  
+  return this.addenda[this.addenda.length - 1];
+};
+
 // Static method to create a new version of a note
-SessionNoteSchema.statics.createNewVersion = async function(noteId, newContent, userId, changeDescription) {
+// options.sections replaces a templated note's sections (already validated)
+SessionNoteSchema.statics.createNewVersion = async function(noteId, newContent, userId, changeDescription, options = {}) {
   const existingNote = await this.findById(noteId);
   if (!existingNote) {
     throw new Error('Note not found');
   }
+  if (existingNote.signedAt) {
+    throw new Error('Signed notes are locked; add an addendum instead');
+  }
   
   // Mark existing note as not latest
   existingNote.isLatest = false;
@@ -158,6 +303,9 @@ SessionNoteSchema.statics.createNewVersion = async function(noteId, newContent,
     authorRole: existingNote.authorRole,
     content: newContent,
     noteType: existingNote.noteType,
+    template: existingNote.template,
+    sections: options.sections || existingNote.sections.map(s => ({ key: s.key, value: s.value })),
+    treatmentPlan: existingNote.treatmentPlan,
     version: existingNote.version + 1,
     previousVersion: existingNote._id,
     isLatest: true,
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+/**
+ * Session Package
+ *
+ * A prepaid bundle a therapist offers alongside their per-session rates,
+ * e.g. 6 Individual sessions for a discounted total.
+ */
+const SessionPackageSchema = new mongoose.Schema({
+  therapist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+    // Note: Compound index below covers therapist queries
+  },
+
+  sessionType: {
+    type: String,
+    enum: ['Individual', 'Couples', 'Family'],
+    required: true
+  },
+
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [100, 'Package name cannot exceed 100 characters']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+
+  // Number of session credits granted on purchase
+  sessionCount: {
+    type: Number,
+    required: true,
+    min: [2, 'A package must include at least 2 sessions'],
+    max: [24, 'A package cannot include more than 24 sessions']
+  },
+
+  // Total price in KES
+  price: {
+    type: Number,
+    required: true,
+    min: [0, 'Price must be positive'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Price must be a whole number of KES'
+    }
+  },
+
+  // Credits expire this many days after purchase
+  validityDays: {
+    type: Number,
+    default: 180,
+    min: [30, 'Packages must be valid for at least 30 days'],
+    max: [730, 'Packages cannot be valid for more than 2 years']
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+SessionPackageSchema.index({ therapist: 1, isActive: 1, sessionType: 1 });
+
+SessionPackageSchema.virtual('perSessionPrice').get(function() {
+  return Math.round(this.price / this.sessionCount);
+});
+
+SessionPackageSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('SessionPackage', SessionPackageSchema);
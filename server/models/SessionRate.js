@@ -17,7 +17,14 @@ const SessionRateSchema = new mongoose.Schema({
     // Note: Compound indexes below cover sessionType queries
   },
   
-  // Rate amount in KES
+  // Currency the rate is published in
+  currency: {
+    type: String,
+    enum: ['KES', 'USD', 'EUR', 'GBP'],
+    default: 'KES'
+  },
+  
+  // Rate amount in whole units of the currency
   amount: {
     type: Number,
     required: true,
@@ -100,16 +107,22 @@ SessionRateSchema.index({ therapist: 1, effectiveFrom: -1 });
 SessionRateSchema.index({ therapist: 1, sessionType: 1, effectiveFrom: -1 });
 SessionRateSchema.index({ isActive: 1, effectiveFrom: -1 });
 
-// Ensure only one active rate per therapist per session type
+// Ensure only one active rate per therapist per session type and currency
+// (replaces 'unique_active_rate_per_therapist_session_type', see scripts/migrate-session-rate-currency.js)
 SessionRateSchema.index(
-  { therapist: 1, sessionType: 1, isActive: 1 }, 
+  { therapist: 1, sessionType: 1, currency: 1, isActive: 1 }, 
   { 
     unique: true, 
     partialFilterExpression: { isActive: true },
-    name: 'unique_active_rate_per_therapist_session_type'
+    name: 'unique_active_rate_per_therapist_session_type_currency'
   }
 );
 
+// Rates saved before currencies were added have no currency and are KES
+function currencyFilter(currency = 'KES') {
+  return currency === 'KES' ? { $in: ['KES', null] } : currency;
+}
+
 // Pre-save middleware to handle rate transitions
 SessionRateSchema.pre('save', async function(next) {
   this.updatedAt = new Date();
@@ -120,6 +133,7 @@ SessionRateSchema.pre('save', async function(next) {
       {
         therapist: this.therapist,
         sessionType: this.sessionType,
+        currency: currencyFilter(this.currency),
         isActive: true,
         _id: { $ne: this._id }
       },
@@ -137,10 +151,11 @@ SessionRateSchema.pre('save', async function(next) {
 });
 
 // Static method to get current rate for therapist and session type
-SessionRateSchema.statics.getCurrentRate = async function(therapistId, sessionType) {
+SessionRateSchema.statics.getCurrentRate = async function(therapistId, sessionType, currency = 'KES') {
   const rate = await this.findOne({
     therapist: therapistId,
     sessionType: sessionType,
+    currency: currencyFilter(currency),
     isActive: true,
     effectiveFrom: { $lte: new Date() }
   }).populate('therapist', 'name email');
@@ -150,12 +165,15 @@ SessionRateSchema.statics.getCurrentRate = async function(therapistId, sessionTy
 
 // Static method to get rate history for a therapist
 SessionRateSchema.statics.getRateHistory = async function(therapistId, sessionType = null, options = {}) {
-  const { limit = 50, skip = 0 } = options;
+  const { limit = 50, skip = 0, currency = null } = options;
   
   const query = { therapist: therapistId };
   if (sessionType) {
     query.sessionType = sessionType;
   }
+  if (currency) {
+    query.currency = currencyFilter(currency);
+  }
   
   return this.find(query)
     .sort({ effectiveFrom: -1, createdAt: -1 })
@@ -165,17 +183,21 @@ SessionRateSchema.statics.getRateHistory = async function(therapistId, sessionTy
     .exec();
 };
 
-// Static method to get all current rates for a therapist
-SessionRateSchema.statics.getCurrentRates = async function(therapistId) {
-  return this.find({
+// Static method to get all current rates for a therapist (pass null for every currency)
+SessionRateSchema.statics.getCurrentRates = async function(therapistId, currency = 'KES') {
+  const query = {
     therapist: therapistId,
     isActive: true,
     effectiveFrom: { $lte: new Date() }
-  }).sort({ sessionType: 1 });
+  };
+  if (currency) {
+    query.currency = currencyFilter(currency);
+  }
+  return this.find(query).sort({ sessionType: 1, currency: 1 });
 };
 
 // Static method to create or update a rate
-SessionRateSchema.statics.setRate = async function(therapistId, sessionType, amount, duration, createdBy, changeReason = null) {
+SessionRateSchema.statics.setRate = async function(therapistId, sessionType, amount, duration, createdBy, changeReason = null, currency = 'KES') {
   // Validate inputs
   if (!therapistId || !sessionType || !amount || !duration || !createdBy) {
     throw new Error('Missing required parameters for rate creation');
@@ -193,6 +215,7 @@ SessionRateSchema.statics.setRate = async function(therapistId, sessionType, amo
   const newRate = new this({
     therapist: therapistId,
     sessionType: sessionType,
+    currency: currency,
     amount: amount,
     duration: duration,
     effectiveFrom: new Date(),
@@ -205,10 +228,11 @@ SessionRateSchema.statics.setRate = async function(therapistId, sessionType, amo
 };
 
 // Static method to get rate that was effective at a specific date (for historical bookings)
-SessionRateSchema.statics.getRateAtDate = async function(therapistId, sessionType, date) {
+SessionRateSchema.statics.getRateAtDate = async function(therapistId, sessionType, date, currency = 'KES') {
   return this.findOne({
     therapist: therapistId,
     sessionType: sessionType,
+    currency: currencyFilter(currency),
     effectiveFrom: { $lte: date },
     $or: [
       { effectiveTo: null },
@@ -232,7 +256,7 @@ SessionRateSchema.virtual('ratePerMinute').get(function() {
 
 // Virtual for formatted rate display
 SessionRateSchema.virtual('formattedRate').get(function() {
-  return `KES ${this.amount.toLocaleString()} for ${this.duration} minutes`;
+  return `${this.currency || 'KES'} ${this.amount.toLocaleString()} for ${this.duration} minutes`;
 });
 
 // Ensure virtuals are included in JSON output
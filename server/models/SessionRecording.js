@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+/**
+ * Session Recording
+ *
+ * A recording of a video session. Recording starts only once everyone in
+ * the session has consented in the call; the therapist's browser then
+ * uploads media chunks, which are assembled into one file when recording
+ * stops. Chunks and the assembled file are encrypted at rest, and the
+ * file is securely deleted when retainUntil passes.
+ */
+const ConsentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['client', 'psychologist', 'admin'],
+    required: true
+  },
+  consentedAt: {
+    type: Date,
+    default: Date.now
+  },
+  ipAddress: String
+}, { _id: false });
+
+const ChunkSchema = new mongoose.Schema({
+  sequence: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Plaintext size in bytes
+  size: {
+    type: Number,
+    required: true
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const SessionRecordingSchema = new mongoose.Schema({
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['consent_pending', 'recording', 'processing', 'available', 'declined', 'failed', 'deleted'],
+    default: 'consent_pending'
+  },
+
+  // Who asked to record (always the therapist or an admin)
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Everyone whose consent is needed, fixed when recording is requested
+  requiredConsents: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  consents: [ConsentSchema],
+
+  // Who declined or withdrew consent, which discards the recording
+  declinedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  declinedAt: Date,
+
+  mimeType: {
+    type: String,
+    default: 'video/webm'
+  },
+  chunks: [ChunkSchema],
+
+  startedAt: Date,
+  stoppedAt: Date,
+  assembledAt: Date,
+
+  // Assembled file, relative to the recording storage directory
+  storageKey: String,
+  sizeBytes: Number,
+  // SHA-256 of the plaintext, to verify the file on access
+  checksum: String,
+  // AES-256-GCM parameters of the assembled file (hex)
+  encryptionIv: String,
+  encryptionAuthTag: String,
+
+  failureReason: String,
+
+  retainUntil: Date,
+  deletedAt: Date,
+  deletionReason: String
+}, {
+  timestamps: true
+});
+
+SessionRecordingSchema.index({ session: 1, createdAt: -1 });
+SessionRecordingSchema.index({ status: 1, retainUntil: 1 });
+
+module.exports = mongoose.model('SessionRecording', SessionRecordingSchema);
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+/**
+ * SessionSeries Model
+ *
+ * Groups recurring sessions booked together by a client with the same
+ * therapist (weekly, biweekly or monthly). Each occurrence is a normal
+ * Session document that points back to its series, so approval, payment,
+ * cancellation and rescheduling keep working per occurrence.
+ *
+ * The rate is locked once for the whole series at booking time.
+ */
+const SessionSeriesSchema = new mongoose.Schema({
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  psychologist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  sessionType: {
+    type: String,
+    enum: ['Individual', 'Couples', 'Family', 'Group'],
+    required: true
+  },
+
+  // Recurrence rule
+  frequency: {
+    type: String,
+    enum: ['weekly', 'biweekly', 'monthly'],
+    required: true
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  // Either a fixed number of occurrences or an end date
+  occurrences: {
+    type: Number,
+    min: 2
+  },
+  until: {
+    type: Date
+  },
+
+  // Rate locked for every occurrence in the series
+  lockedRate: {
+    amount: {
+      type: Number,
+      required: true
+    },
+    duration: {
+      type: Number,
+      default: 60
+    },
+    source: String,
+    rateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SessionRate'
+    },
+    lockedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+
+  // Occurrences in chronological order
+  sessions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  }],
+
+  status: {
+    type: String,
+    enum: ['active', 'cancelled', 'completed'],
+    default: 'active'
+  },
+  cancelledAt: {
+    type: Date
+  },
+  cancelledBy: {
+    type: String,
+    enum: ['client', 'therapist', 'admin']
+  },
+  cancellationReason: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient querying
+SessionSeriesSchema.index({ client: 1, status: 1, startDate: -1 });
+SessionSeriesSchema.index({ psychologist: 1, status: 1, startDate: -1 });
+
+module.exports = mongoose.model('SessionSeries', SessionSeriesSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+/**
+ * Sponsorship Application
+ *
+ * A client's request to use a sponsorship fund and the admin's eligibility
+ * decision. Only approved, unexpired applications can subsidise bookings.
+ */
+const SponsorshipApplicationSchema = new mongoose.Schema({
+  fund: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SponsorshipFund',
+    required: true
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Client's account of their circumstances
+  statement: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Statement cannot exceed 2000 characters']
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'revoked'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  // Admin-only notes on the decision
+  reviewNotes: {
+    type: String,
+    trim: true
+  },
+  expiresAt: Date,
+
+  // Sessions currently subsidised under this approval
+  sessionsUsed: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+SponsorshipApplicationSchema.index({ client: 1, fund: 1, createdAt: -1 });
+SponsorshipApplicationSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('SponsorshipApplication', SponsorshipApplicationSchema);
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+/**
+ * Sponsorship Fund
+ *
+ * A donor- or NGO-funded pool that covers all or part of session prices for
+ * approved clients. Every balance change is recorded in FundLedgerEntry.
+ */
+const SponsorshipFundSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [100, 'Fund name cannot exceed 100 characters']
+  },
+
+  // Donor or organisation funding the pool
+  sponsor: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [200, 'Sponsor name cannot exceed 200 characters']
+  },
+
+  // Eligibility criteria and terms shown to clients applying
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  },
+
+  // Share of the session price the fund covers
+  coveragePercent: {
+    type: Number,
+    required: true,
+    min: [1, 'Coverage must be at least 1%'],
+    max: [100, 'Coverage cannot exceed 100%']
+  },
+
+  // Optional cap per session in KES
+  maxPerSession: {
+    type: Number,
+    min: [1, 'Cap must be positive']
+  },
+
+  // Optional cap on sessions each approved client can use
+  maxSessionsPerClient: {
+    type: Number,
+    min: [1, 'Session cap must be at least 1']
+  },
+
+  sessionTypes: {
+    type: [{
+      type: String,
+      enum: ['Individual', 'Couples', 'Family', 'Group']
+    }],
+    default: ['Individual', 'Couples', 'Family', 'Group']
+  },
+
+  // Available KES; reservations for booked sessions are already deducted
+  balance: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  totalContributed: {
+    type: Number,
+    default: 0
+  },
+  totalDisbursed: {
+    type: Number,
+    default: 0
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+SponsorshipFundSchema.index({ isActive: 1, name: 1 });
+
+module.exports = mongoose.model('SponsorshipFund', SponsorshipFundSchema);
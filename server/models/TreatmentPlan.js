@@ -0,0 +1,232 @@
+const mongoose = require('mongoose');
+
+/**
+ * TreatmentPlan Model
+ *
+ * Structured plan for a client-therapist pair: presenting problems,
+ * measurable goals with target dates and progress, and the interventions
+ * used to reach them. Versioned like SessionNote - every change creates a
+ * new document and the previous one is kept with isLatest false.
+ * Goal and problem IDs carry across versions so progress entries and
+ * session notes keep pointing at the same goal.
+ */
+
+const GOAL_STATUSES = ['not_started', 'in_progress', 'achieved', 'revised', 'discontinued'];
+const PLAN_STATUSES = ['draft', 'active', 'completed', 'discontinued'];
+
+const ProblemSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: true
+  },
+  identifiedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const GoalSchema = new mongoose.Schema({
+  problem: {
+    type: mongoose.Schema.Types.ObjectId // ProblemSchema _id
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  // How achievement is measured, e.g. "PHQ-9 below 10" or "3 social outings a week"
+  measure: {
+    type: String,
+    required: true
+  },
+  baseline: String,
+  target: String,
+  targetDate: Date,
+  status: {
+    type: String,
+    enum: GOAL_STATUSES,
+    default: 'not_started'
+  },
+  progress: [{
+    recordedAt: {
+      type: Date,
+      default: Date.now
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    session: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Session'
+    },
+    // Therapist's estimate of how far towards the target, 0-100
+    percentComplete: {
+      type: Number,
+      min: 0,
+      max: 100
+    },
+    note: String
+  }]
+});
+
+const InterventionSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: true
+  },
+  modality: String,
+  frequency: String,
+  goals: [{
+    type: mongoose.Schema.Types.ObjectId // GoalSchema _id
+  }]
+});
+
+const TreatmentPlanSchema = new mongoose.Schema({
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  therapist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  problems: [ProblemSchema],
+  goals: [GoalSchema],
+  interventions: [InterventionSchema],
+
+  status: {
+    type: String,
+    enum: PLAN_STATUSES,
+    default: 'draft'
+  },
+  startDate: {
+    type: Date,
+    default: Date.now
+  },
+  reviewDate: Date,
+
+  // Plain-language summary the client sees when the plan is shared
+  clientSummary: String,
+  isClientVisible: {
+    type: Boolean,
+    default: false
+  },
+
+  // Versioning
+  version: {
+    type: Number,
+    default: 1
+  },
+  previousVersion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TreatmentPlan'
+  },
+  isLatest: {
+    type: Boolean,
+    default: true
+  },
+
+  // Audit trail
+  editHistory: [{
+    editedAt: {
+      type: Date,
+      default: Date.now
+    },
+    editedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changeDescription: String
+  }]
+}, {
+  timestamps: true
+});
+
+// One current plan per client-therapist pair
+TreatmentPlanSchema.index(
+  { client: 1, therapist: 1 },
+  { unique: true, partialFilterExpression: { isLatest: true } }
+);
+TreatmentPlanSchema.index({ client: 1, therapist: 1, version: -1 });
+TreatmentPlanSchema.index({ therapist: 1, isLatest: 1, status: 1 });
+
+const VERSIONED_FIELDS = [
+  'problems', 'goals', 'interventions', 'status', 'startDate',
+  'reviewDate', 'clientSummary', 'isClientVisible'
+];
+
+// Static method to create a new version of a plan with the given changes
+TreatmentPlanSchema.statics.createNewVersion = async function(planId, changes, userId, changeDescription) {
+  const existingPlan = await this.findById(planId);
+  if (!existingPlan) {
+    throw new Error('Treatment plan not found');
+  }
+  if (!existingPlan.isLatest) {
+    throw new Error('Only the latest version of a treatment plan can be changed');
+  }
+
+  const current = existingPlan.toObject();
+  const fields = {};
+  for (const field of VERSIONED_FIELDS) {
+    fields[field] = changes[field] !== undefined ? changes[field] : current[field];
+  }
+
+  // Mark existing plan as not latest
+  existingPlan.isLatest = false;
+  await existingPlan.save();
+
+  // Create new version
+  const newPlan = new this({
+    client: existingPlan.client,
+    therapist: existingPlan.therapist,
+    ...fields,
+    version: existingPlan.version + 1,
+    previousVersion: existingPlan._id,
+    isLatest: true,
+    editHistory: [{
+      editedAt: new Date(),
+      editedBy: userId,
+      changeDescription: changeDescription || 'Treatment plan updated'
+    }]
+  });
+
+  try {
+    await newPlan.save();
+  } catch (error) {
+    // Keep the previous version current if the new one is invalid
+    existingPlan.isLatest = true;
+    await existingPlan.save();
+    throw error;
+  }
+  console.log(`📋 Created version ${newPlan.version} of treatment plan`);
+
+  return newPlan;
+};
+
+// Static method to get all versions of the plan for a client-therapist pair
+TreatmentPlanSchema.statics.getPlanVersionHistory = async function(clientId, therapistId) {
+  return this.find({ client: clientId, therapist: therapistId })
+    .populate('editHistory.editedBy', 'name email')
+    .sort({ version: -1 });
+};
+
+// Static method to get the current plan for a client-therapist pair
+TreatmentPlanSchema.statics.getLatestPlan = async function(clientId, therapistId) {
+  return this.findOne({ client: clientId, therapist: therapistId, isLatest: true });
+};
+
+// Static method to get client-visible plans
+TreatmentPlanSchema.statics.getClientVisiblePlans = async function(clientId) {
+  return this.find({
+    client: clientId,
+    isLatest: true,
+    isClientVisible: true
+  })
+    .populate('therapist', 'name profilePicture')
+    .sort({ updatedAt: -1 });
+};
+
+module.exports = mongoose.model('TreatmentPlan', TreatmentPlanSchema);
@@ -205,6 +205,39 @@ const UserSchema = new mongoose.Schema({
     type: String,
     trim: true
   }],
+
+  // Insurance, for clients claiming reimbursement with superbills
+  insurance: {
+    provider: {
+      type: String,
+      trim: true
+    },
+    planName: {
+      type: String,
+      trim: true
+    },
+    memberNumber: {
+      type: String,
+      trim: true
+    },
+    groupNumber: {
+      type: String,
+      trim: true
+    },
+    policyHolderName: {
+      type: String,
+      trim: true
+    },
+    policyHolderRelationship: {
+      type: String,
+      enum: ['self', 'spouse', 'child', 'other'],
+      default: 'self'
+    },
+    policyHolderDateOfBirth: {
+      type: String // Format: YYYY-MM-DD
+    },
+    updatedAt: Date
+  },
   
   // Preferences
   preferredTherapyType: {
@@ -282,6 +315,15 @@ const UserSchema = new mongoose.Schema({
       required: function() { return this.role === 'psychologist'; }
     },
     licenseUrl: String,
+    // Printed on superbills for insurance claims
+    licenseNumber: {
+      type: String,
+      trim: true
+    },
+    licensingBody: {
+      type: String,
+      trim: true
+    },
     profilePictureUrl: String,
     age: {
       type: Number,
@@ -381,6 +423,12 @@ const UserSchema = new mongoose.Schema({
         min: 0
       }
     },
+    // Platform commission percentage; unset uses the platform default
+    commissionRate: {
+      type: Number,
+      min: 0,
+      max: 100
+    },
     approvalToken: String,
     approvalTokenExpires: Date
   },
@@ -617,6 +665,7 @@ UserSchema.methods.softDeleteAndAnonymize = async function() {
   this.medications = [];
   this.allergies = [];
   this.therapyGoals = [];
+  this.insurance = undefined;
   
   // Clear psychologist details if applicable
   if (this.psychologistDetails) {
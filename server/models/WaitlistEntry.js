@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+
+/**
+ * WaitlistEntry Model
+ *
+ * A client waiting for a slot with a fully-booked therapist.
+ * Preferences are weekly day/time ranges; when a matching slot frees up the
+ * entry receives a time-limited offer (hold) that it can claim or let expire.
+ * Entries are served first-come, first-served by createdAt.
+ */
+const PreferenceSchema = new mongoose.Schema({
+  dayOfWeek: {
+    type: Number,
+    min: 0,
+    max: 6,
+    required: true
+  },
+  startTime: {
+    type: String,
+    required: true,
+    match: [/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Start time must be in HH:MM format']
+  },
+  endTime: {
+    type: String,
+    required: true,
+    match: [/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/, 'End time must be in HH:MM format']
+  }
+}, { _id: false });
+
+const WaitlistEntrySchema = new mongoose.Schema({
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  therapist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  sessionType: {
+    type: String,
+    enum: ['Individual', 'Couples', 'Family', 'Group'],
+    default: 'Individual'
+  },
+  preferences: {
+    type: [PreferenceSchema],
+    validate: {
+      validator: (value) => Array.isArray(value) && value.length > 0,
+      message: 'At least one preferred time range is required'
+    }
+  },
+
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'booked', 'cancelled'],
+    default: 'waiting'
+  },
+
+  // Current hold on a freed slot
+  offer: {
+    slotDate: Date,
+    duration: {
+      type: Number,
+      default: 60
+    },
+    offeredAt: Date,
+    expiresAt: Date,
+    sourceSession: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Session'
+    }
+  },
+
+  // Every slot ever offered to this entry and how it ended
+  offerHistory: [{
+    slotDate: Date,
+    offeredAt: Date,
+    outcome: {
+      type: String,
+      enum: ['claimed', 'declined', 'expired']
+    },
+    resolvedAt: Date
+  }],
+
+  bookedSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient querying
+WaitlistEntrySchema.index({ therapist: 1, status: 1, createdAt: 1 });
+WaitlistEntrySchema.index({ client: 1, status: 1 });
+WaitlistEntrySchema.index({ status: 1, 'offer.expiresAt': 1 });
+WaitlistEntrySchema.index({ therapist: 1, 'offer.slotDate': 1, status: 1 });
+
+/**
+ * Check if a slot start falls inside one of the entry's preferred ranges
+ */
+WaitlistEntrySchema.methods.matchesSlot = function(slotDate, duration = 60) {
+  const date = new Date(slotDate);
+  const startMinutes = date.getHours() * 60 + date.getMinutes();
+  const endMinutes = startMinutes + duration;
+
+  return this.preferences.some(pref => {
+    if (pref.dayOfWeek !== date.getDay()) return false;
+    const [sh, sm] = pref.startTime.split(':').map(Number);
+    const [eh, em] = pref.endTime.split(':').map(Number);
+    return startMinutes >= sh * 60 + sm && endMinutes <= eh * 60 + em;
+  });
+};
+
+/**
+ * Check if this entry has already been offered a given slot
+ */
+WaitlistEntrySchema.methods.wasOffered = function(slotDate) {
+  const time = new Date(slotDate).getTime();
+  return this.offerHistory.some(h => h.slotDate && new Date(h.slotDate).getTime() === time);
+};
+
+module.exports = mongoose.model('WaitlistEntry', WaitlistEntrySchema);
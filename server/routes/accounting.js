@@ -311,6 +311,9 @@ router.get('/summary', auth, adminAuth, async (req, res) => {
     const totalRefunds = refundedSessions.reduce((sum, session) => sum + (parseFloat(session.price) || 0), 0);
     const processingFees = totalRevenue * 0.01; // 1% M-Pesa fee
     const netRevenue = totalRevenue - processingFees - totalRefunds;
+    // Revenue above is already net of these
+    const totalPromoDiscounts = paidSessions.reduce((sum, session) =>
+      sum + (session.pricing?.discount?.status === 'redeemed' ? session.pricing.discount.amount : 0), 0);
     
     // Group by session type
     const revenueByType = paidSessions.reduce((acc, session) => {
@@ -336,6 +339,7 @@ router.get('/summary', auth, adminAuth, async (req, res) => {
         totalRefunds: totalRefunds.toFixed(2),
         processingFees: processingFees.toFixed(2),
         netRevenue: netRevenue.toFixed(2),
+        totalPromoDiscounts: totalPromoDiscounts.toFixed(2),
         revenueByType,
         averageTransactionValue: paidSessions.length > 0 ? (totalRevenue / paidSessions.length).toFixed(2) : '0.00'
       },
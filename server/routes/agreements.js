@@ -12,9 +12,11 @@
 
 const express = require('express');
 const router = express.Router();
-const auth = require('../middleware/auth');
+const { auth } = require('../middleware/auth');
 const ConfidentialityAgreement = require('../models/ConfidentialityAgreement');
 const { logAuditEvent } = require('../utils/auditLogger');
+const { isCoParticipant } = require('../utils/sessionParticipants');
+const { formCompletionTrackerService } = require('../services/formCompletionTracker');
 
 /**
  * GET /api/agreements/current
@@ -78,6 +80,7 @@ router.post('/accept', auth, async (req, res) => {
     // Check for existing active agreement
     const existingAgreement = await ConfidentialityAgreement.findOne({
       client: req.user.id,
+      agreementType: { $ne: 'group' },
       agreementVersion: currentVersion,
       status: 'active'
     });
@@ -86,9 +89,9 @@ router.post('/accept', auth, async (req, res) => {
       return res.status(400).json({ success: false, message: 'You have already signed this version of the agreement', agreementId: existingAgreement._id });
     }
     
-    // Supersede any older active agreements
+    // Supersede any older active agreements (group session agreements stand on their own)
     await ConfidentialityAgreement.updateMany(
-      { client: req.user.id, status: 'active' },
+      { client: req.user.id, agreementType: { $ne: 'group' }, status: 'active' },
       { status: 'superseded', supersededAt: new Date() }
     );
     
@@ -113,6 +116,13 @@ router.post('/accept', auth, async (req, res) => {
       details: { agreementId: agreement._id, version: currentVersion, signature: typedSignature.trim() }
     });
     
+    // Sessions waiting on this agreement (including as a co-participant) may now be ready
+    try {
+      await formCompletionTrackerService.updateClientSessionsFormsStatus(req.user.id);
+    } catch (trackerError) {
+      console.error('Error updating session form status:', trackerError);
+    }
+    
     res.status(201).json({
       success: true,
       message: 'Agreement accepted successfully',
@@ -181,8 +191,8 @@ router.get('/:sessionId/check', auth, async (req, res) => {
       return res.status(404).json({ success: false, message: 'Session not found' });
     }
     
-    // Verify user is client of this session
-    if (session.client.toString() !== req.user.id) {
+    // Verify user is client or co-participant of this session
+    if (session.client.toString() !== req.user.id && !isCoParticipant(session, req.user.id)) {
       return res.status(403).json({ success: false, message: 'Not authorized' });
     }
     
@@ -4,6 +4,10 @@ const { auth } = require('../middleware/auth');
 const Assessment = require('../models/Assessment');
 const AssessmentResult = require('../models/AssessmentResult');
 const User = require('../models/User');
+const { clinicalInstrumentService } = require('../services/clinicalInstrumentService');
+const { riskEscalationService } = require('../services/riskEscalationService');
+const { outcomeService } = require('../services/outcomeService');
+const { INSTRUMENT_CODES } = require('../constants/clinicalInstruments');
 
 // @route   GET api/assessments
 // @desc    Get all assessments
@@ -77,7 +81,51 @@ router.post('/:id/submit', auth, async (req, res) => {
       return res.status(404).json({ msg: 'Assessment not found' });
     }
     
-    const { answers } = req.body;
+    const { answers, sessionId } = req.body;
+
+    // Standardised instruments are scored by their published rules
+    if (assessment.instrumentCode) {
+      let scored;
+      try {
+        scored = clinicalInstrumentService.scoreSubmission(assessment, answers);
+      } catch (scoreError) {
+        return res.status(400).json({ msg: scoreError.message });
+      }
+
+      const { processedAnswers, scoring } = scored;
+      const instrumentResult = await new AssessmentResult({
+        user: req.user.id,
+        assessment: req.params.id,
+        answers: processedAnswers,
+        instrumentCode: assessment.instrumentCode,
+        totalScore: scoring.totalScore,
+        interpretation: scoring.interpretation,
+        severity: scoring.severity,
+        subscaleScores: scoring.subscaleScores,
+        criticalFlags: scoring.criticalFlags,
+        requiresReview: scoring.requiresReview
+      }).save();
+
+      // Outcome measures requested before a session are linked to it
+      if (sessionId) {
+        try {
+          await outcomeService.recordSessionResult(instrumentResult, sessionId, req.user.id);
+        } catch (outcomeError) {
+          console.error('Error linking outcome measure to session:', outcomeError.message);
+        }
+      }
+
+      // Positive self-harm items raise a risk alert
+      let crisisSupport = null;
+      try {
+        const risk = await riskEscalationService.handleAssessmentResult(instrumentResult);
+        crisisSupport = risk ? risk.crisisSupport : null;
+      } catch (riskError) {
+        console.error('Error evaluating assessment risk:', riskError.message);
+      }
+
+      return res.json({ ...instrumentResult.toObject(), crisisSupport });
+    }
     
     // Calculate total score
     let totalScore = 0;
@@ -177,6 +225,46 @@ router.get('/results/:id', auth, async (req, res) => {
   }
 });
 
+// @route   GET api/assessments/results/me/severity/:instrument
+// @desc    Get severity over time for a standardised instrument
+// @access  Private
+router.get('/results/me/severity/:instrument', auth, async (req, res) => {
+  try {
+    if (!Object.values(INSTRUMENT_CODES).includes(req.params.instrument)) {
+      return res.status(400).json({ msg: 'Unknown instrument' });
+    }
+
+    const history = await clinicalInstrumentService.getSeverityHistory(req.user.id, req.params.instrument);
+    res.json(history);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET api/assessments/results/client/:clientId/severity/:instrument
+// @desc    Get a client's severity over time for a standardised instrument
+// @access  Private (Psychologist only)
+router.get('/results/client/:clientId/severity/:instrument', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('-password');
+
+    if (user.role !== 'psychologist') {
+      return res.status(401).json({ msg: 'Not authorized to view client results' });
+    }
+
+    if (!Object.values(INSTRUMENT_CODES).includes(req.params.instrument)) {
+      return res.status(400).json({ msg: 'Unknown instrument' });
+    }
+
+    const history = await clinicalInstrumentService.getSeverityHistory(req.params.clientId, req.params.instrument);
+    res.json(history);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
 // @route   GET api/assessments/results/client/:clientId
 // @desc    Get all assessment results for a specific client
 // @access  Private (Psychologist only)
@@ -0,0 +1,84 @@
+/**
+ * In-call Chat Routes
+ *
+ * API endpoints for a video session's chat. Messages and files are sent
+ * in the call over the video socket; these routes serve the chat history,
+ * download shared files and let the therapist share a file with the client
+ * as a resource afterwards.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middleware/auth');
+const { callChatService } = require('../services/callChatService');
+
+function errorStatus(error) {
+  if (error.message.startsWith('Not authorized')) return 403;
+  if (error.message.endsWith('not found')) return 404;
+  return 400;
+}
+
+/**
+ * GET /api/call-chat/session/:sessionId
+ * Chat history of a session (participants and admins)
+ */
+router.get('/session/:sessionId', auth, async (req, res) => {
+  try {
+    const messages = await callChatService.listMessages(req.params.sessionId, req.user);
+    res.json({ success: true, messages });
+  } catch (error) {
+    console.error('Call chat history error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/call-chat/session/:sessionId/attachments/:messageId
+ * Download a file shared in the chat (participants and admins)
+ */
+router.get('/session/:sessionId/attachments/:messageId', auth, async (req, res) => {
+  try {
+    const { buffer, fileName, mimeType } = await callChatService.openAttachment(
+      req.params.sessionId,
+      req.params.messageId,
+      req.user,
+      req.ip
+    );
+
+    res.set({
+      'Content-Type': mimeType,
+      'Content-Length': buffer.length,
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+      'Cache-Control': 'no-store',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.send(buffer);
+  } catch (error) {
+    console.error('Call chat attachment error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/call-chat/session/:sessionId/attachments/:messageId/resource
+ * Share a chat file with the session's clients as a resource (therapist)
+ * Body: { title?, description?, type? }
+ */
+router.post('/session/:sessionId/attachments/:messageId/resource', auth, async (req, res) => {
+  try {
+    const { title, description, type } = req.body;
+    const resource = await callChatService.promoteToResource(
+      req.params.sessionId,
+      req.params.messageId,
+      req.user,
+      { title, description, type },
+      req.ip
+    );
+    res.status(201).json({ success: true, resource });
+  } catch (error) {
+    console.error('Call chat resource error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -167,6 +167,70 @@ router.post('/admin/refunds/:sessionId/process', auth, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/refunds/seats/pending
+ * Get pending group seat refunds, one per seat (admin only)
+ */
+router.get('/admin/refunds/seats/pending', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    const pendingRefunds = await refundService.getPendingSeatRefunds();
+    res.json(pendingRefunds);
+  } catch (error) {
+    console.error('Pending seat refunds error:', error);
+    res.status(500).json({ error: 'Failed to fetch pending seat refunds' });
+  }
+});
+
+/**
+ * POST /api/admin/refunds/:sessionId/seats/:clientId/process
+ * Manually process the refund of a group seat (admin only)
+ */
+router.post('/admin/refunds/:sessionId/seats/:clientId/process', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { transactionId } = req.body;
+    if (!transactionId) {
+      return res.status(400).json({ error: 'Transaction ID is required' });
+    }
+
+    const result = await cancellationService.manuallyProcessSeatRefund(
+      req.params.sessionId,
+      req.params.clientId,
+      req.user.id,
+      transactionId
+    );
+
+    res.json(result);
+  } catch (error) {
+    console.error('Manual seat refund processing error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/refunds/:sessionId/seats/:clientId/retry
+ * Retry a failed group seat refund (admin only)
+ */
+router.post('/admin/refunds/:sessionId/seats/:clientId/retry', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const result = await refundService.retrySeatRefund(req.params.sessionId, req.params.clientId, req.user.id);
+    res.json(result);
+  } catch (error) {
+    console.error('Seat refund retry error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
 /**
  * POST /api/admin/refunds/:sessionId/deny
  * Deny a refund request (admin only)
@@ -215,15 +279,17 @@ router.get('/admin/cancellations/stats', auth, async (req, res) => {
 
 /**
  * GET /api/refunds/:sessionId/status
- * Get refund status for a session
+ * Get refund status and lifecycle for a session (client, therapist, admin)
  */
 router.get('/refunds/:sessionId/status', auth, async (req, res) => {
   try {
-    const status = await refundService.getRefundStatus(req.params.sessionId);
+    const status = await refundService.getRefundStatus(req.params.sessionId, req.user);
     res.json(status);
   } catch (error) {
     console.error('Refund status error:', error);
-    res.status(400).json({ error: error.message });
+    const status = error.message === 'Session not found' ? 404
+      : error.message.startsWith('Not authorized') ? 403 : 400;
+    res.status(status).json({ error: error.message });
   }
 });
 
@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const CheckIn = require('../models/CheckIn');
 const { auth } = require('../middleware/auth');
+const { riskEscalationService } = require('../services/riskEscalationService');
+const Session = require('../models/Session');
 
 // Create a new check-in
 router.post('/', auth, async (req, res) => {
@@ -53,9 +55,19 @@ router.post('/', auth, async (req, res) => {
 
         await checkIn.save();
 
+        // Very low mood or self-harm symptoms raise a risk alert
+        let crisisSupport = null;
+        try {
+            const risk = await riskEscalationService.handleCheckIn(checkIn);
+            crisisSupport = risk ? risk.crisisSupport : null;
+        } catch (riskError) {
+            console.error('Error evaluating check-in risk:', riskError);
+        }
+
         res.status(201).json({
             message: 'Check-in created successfully',
-            checkIn
+            checkIn,
+            crisisSupport
         });
     } catch (error) {
         console.error('Error creating check-in:', error);
@@ -107,16 +119,27 @@ router.get('/history', auth, async (req, res) => {
 });
 
 // Get check-ins for a specific date range
+// Therapists may pass clientId to read a client they have sessions with
 router.get('/range', auth, async (req, res) => {
     try {
-        const { startDate, endDate } = req.query;
+        const { startDate, endDate, clientId } = req.query;
 
         if (!startDate || !endDate) {
             return res.status(400).json({ message: 'Start date and end date are required' });
         }
 
+        let userId = req.user.id;
+        if (clientId && clientId !== req.user.id) {
+            const canView = req.user.role === 'admin' || (req.user.role === 'psychologist' &&
+                await Session.exists({ psychologist: req.user.id, client: clientId }));
+            if (!canView) {
+                return res.status(403).json({ message: 'Not authorized to view this client\'s check-ins' });
+            }
+            userId = clientId;
+        }
+
         const checkIns = await CheckIn.find({
-            userId: req.user.id,
+            userId,
             date: {
                 $gte: startDate,
                 $lte: endDate
@@ -1,6 +1,25 @@
+/**
+ * Company Routes
+ *
+ * Platform info plus corporate employee assistance programmes (EAP):
+ * - Admins create companies, set EAP contracts, grant HR access and
+ *   record invoice payments
+ * - Company HR admins enrol employees, view anonymised utilisation and
+ *   download monthly invoices
+ * - Employees check what their employer covers
+ */
+
 const express = require('express');
 const router = express.Router();
 const { auth } = require('../middleware/auth');
+const { eapService } = require('../services/eapService');
+
+function errorStatus(error) {
+  if (['Company not found', 'Employee not found', 'Invoice not found', 'User not found'].includes(error.message)) return 404;
+  if (error.message.startsWith('Not authorized')) return 403;
+  if (error.code === 11000) return 409;
+  return 400;
+}
 
 // Get company information
 router.get('/my-company', auth, async (req, res) => {
@@ -32,4 +51,231 @@ router.get('/my-company', auth, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/company/eap/coverage
+ * The logged-in employee's EAP cover and sessions left this contract year
+ */
+router.get('/eap/coverage', auth, async (req, res) => {
+  try {
+    const coverage = await eapService.getCoverage(req.user.id);
+    res.json({ success: true, enrolled: !!coverage, coverage });
+  } catch (error) {
+    console.error('EAP coverage error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/company
+ * All companies (admins) or the companies the user is HR for
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const companies = await eapService.listCompanies(req.user);
+    res.json({ success: true, companies });
+  } catch (error) {
+    console.error('Companies error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/company
+ * Create a company (admins)
+ * Body: { name, industry?, website?, address?, city?, country?, employeeLimit?, adminUsers? }
+ */
+router.post('/', auth, async (req, res) => {
+  try {
+    const company = await eapService.createCompany(req.user, req.body);
+    res.status(201).json({ success: true, company });
+  } catch (error) {
+    console.error('Company create error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/company/:id/eap
+ * Set or renew the EAP contract (admins)
+ * Body: { contractStart, contractEnd?, sessionsPerEmployee, ratePerSession, sessionTypes?,
+ *         billingEmail, billingContactName?, paymentTermsDays?, employeeLimit?, isActive? }
+ */
+router.put('/:id/eap', auth, async (req, res) => {
+  try {
+    const company = await eapService.setContract(req.user, req.params.id, req.body);
+    res.json({ success: true, company });
+  } catch (error) {
+    console.error('EAP contract error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/company/:id/hr-admins
+ * Give a user HR access to the company (admins)
+ * Body: { userId }
+ */
+router.post('/:id/hr-admins', auth, async (req, res) => {
+  try {
+    const company = await eapService.setHrAdmin(req.user, req.params.id, req.body.userId, true);
+    res.json({ success: true, company });
+  } catch (error) {
+    console.error('HR admin add error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/company/:id/hr-admins/:userId
+ * Remove a user's HR access (admins)
+ */
+router.delete('/:id/hr-admins/:userId', auth, async (req, res) => {
+  try {
+    const company = await eapService.setHrAdmin(req.user, req.params.id, req.params.userId, false);
+    res.json({ success: true, company });
+  } catch (error) {
+    console.error('HR admin remove error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/company/:id/members
+ * Enrolled employees (HR admins); no usage is included
+ * Query: status? (active|removed)
+ */
+router.get('/:id/members', auth, async (req, res) => {
+  try {
+    const members = await eapService.listMembers(req.user, req.params.id, {
+      status: req.query.status === 'removed' ? 'removed' : 'active'
+    });
+    res.json({ success: true, members });
+  } catch (error) {
+    console.error('EAP members error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/company/:id/members
+ * Enrol employees by work email (HR admins)
+ * Body: { employees: [{ email, employeeRef? }] }
+ */
+router.post('/:id/members', auth, async (req, res) => {
+  try {
+    const result = await eapService.addMembers(req.user, req.params.id, req.body.employees);
+    res.status(201).json({ success: true, ...result });
+  } catch (error) {
+    console.error('EAP enrol error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/company/:id/members/:memberId
+ * Remove an employee from the programme (HR admins)
+ */
+router.delete('/:id/members/:memberId', auth, async (req, res) => {
+  try {
+    const member = await eapService.removeMember(req.user, req.params.id, req.params.memberId);
+    res.json({ success: true, member });
+  } catch (error) {
+    console.error('EAP member remove error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/company/:id/utilisation
+ * Anonymised utilisation for HR; small counts are suppressed
+ * Query: from?, to? (defaults to the current contract year)
+ */
+router.get('/:id/utilisation', auth, async (req, res) => {
+  try {
+    const report = await eapService.getUtilisationReport(req.user, req.params.id, {
+      from: req.query.from,
+      to: req.query.to
+    });
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error('EAP utilisation error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/company/:id/invoices
+ * The company's monthly EAP invoices (HR admins)
+ */
+router.get('/:id/invoices', auth, async (req, res) => {
+  try {
+    const invoices = await eapService.listInvoices(req.user, req.params.id);
+    res.json({ success: true, invoices });
+  } catch (error) {
+    console.error('Company invoices error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/company/:id/invoices
+ * Bill completed sessions for a month now instead of waiting for the monthly job (admins)
+ * Body: { month: 'YYYY-MM' }
+ */
+router.post('/:id/invoices', auth, async (req, res) => {
+  try {
+    const invoice = await eapService.createInvoiceForMonth(req.user, req.params.id, req.body.month);
+    res.status(201).json({ success: true, invoice });
+  } catch (error) {
+    console.error('Company invoice create error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/company/invoices/:invoiceId/pdf
+ * Download a company invoice (its HR admins or admins)
+ */
+router.get('/invoices/:invoiceId/pdf', auth, async (req, res) => {
+  try {
+    const { buffer, filename } = await eapService.renderInvoicePdf(req.user, req.params.invoiceId);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(buffer);
+  } catch (error) {
+    console.error('Company invoice PDF error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/company/invoices/:invoiceId/paid
+ * Record the company's payment (admins)
+ * Body: { paymentReference }
+ */
+router.post('/invoices/:invoiceId/paid', auth, async (req, res) => {
+  try {
+    const invoice = await eapService.markInvoicePaid(req.user, req.params.invoiceId, req.body);
+    res.json({ success: true, invoice });
+  } catch (error) {
+    console.error('Company invoice payment error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/company/invoices/:invoiceId/void
+ * Void an unpaid invoice so its sessions are billed again (admins)
+ * Body: { reason? }
+ */
+router.post('/invoices/:invoiceId/void', auth, async (req, res) => {
+  try {
+    const invoice = await eapService.voidInvoice(req.user, req.params.invoiceId, req.body.reason);
+    res.json({ success: true, invoice });
+  } catch (error) {
+    console.error('Company invoice void error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
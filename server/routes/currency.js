@@ -0,0 +1,107 @@
+/**
+ * Currency Routes
+ *
+ * API endpoints for multi-currency pricing:
+ * - Admins enable currencies and publish exchange rates
+ * - Clients see which currencies they can pay in and quote a therapist's rates
+ */
+
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middleware/auth');
+const { currencyService, CURRENCY_CONFIG } = require('../services/currencyService');
+
+function errorStatus(error) {
+  if (error.message.startsWith('Not authorized')) return 403;
+  return 400;
+}
+
+/**
+ * GET /api/currency/currencies
+ * Currencies clients can choose, with today's exchange rates
+ */
+router.get('/currencies', auth, async (req, res) => {
+  try {
+    const enabled = await currencyService.getEnabledCurrencies();
+    const rates = await currencyService.getCurrentRates();
+    res.json({
+      success: true,
+      baseCurrency: CURRENCY_CONFIG.BASE,
+      currencies: enabled,
+      rates: rates.filter(rate => enabled.includes(rate.currency))
+    });
+  } catch (error) {
+    console.error('Currencies error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/currency/currencies
+ * Choose which currencies clients can pay in (admins)
+ * Body: { currencies: ['KES', 'USD'] }
+ */
+router.put('/currencies', auth, async (req, res) => {
+  try {
+    const currencies = await currencyService.setEnabledCurrencies(req.user, req.body.currencies);
+    res.json({ success: true, currencies });
+  } catch (error) {
+    console.error('Currencies update error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/currency/exchange-rates
+ * Current rates for every currency and the published history (admins)
+ * Query: { currency?, limit? }
+ */
+router.get('/exchange-rates', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      throw new Error('Not authorized: only admins can view exchange rate history');
+    }
+    const current = await currencyService.getCurrentRates();
+    const history = await currencyService.listExchangeRates(req.query);
+    res.json({ success: true, current, history });
+  } catch (error) {
+    console.error('Exchange rates error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/currency/exchange-rates
+ * Publish an exchange rate (admins)
+ * Body: { currency, rate, effectiveFrom?, source?, note? } - rate is KES per unit
+ */
+router.post('/exchange-rates', auth, async (req, res) => {
+  try {
+    const exchangeRate = await currencyService.setExchangeRate(req.user, req.body);
+    res.status(201).json({ success: true, exchangeRate });
+  } catch (error) {
+    console.error('Exchange rate publish error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/currency/quote
+ * A therapist's rate for a session type in a currency
+ * Query: { therapistId, sessionType, currency }
+ */
+router.get('/quote', auth, async (req, res) => {
+  try {
+    const { therapistId, sessionType, currency } = req.query;
+    if (!therapistId || !sessionType) {
+      return res.status(400).json({ error: 'Therapist and session type are required' });
+    }
+    const { baseRate, ...quote } = await currencyService.quoteRate({ therapistId, sessionType, currency });
+    res.json({ success: true, quote: { ...quote, duration: baseRate.duration } });
+  } catch (error) {
+    console.error('Currency quote error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+module.exports = router;
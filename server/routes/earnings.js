@@ -101,12 +101,15 @@ router.get('/export', auth, async (req, res) => {
     });
     
     // Generate CSV content - Requirement 7.4
-    const csvHeaders = ['Date', 'Client', 'Session Type', 'Amount (KES)', 'Transaction ID', 'Payment Status', 'Verified Date'];
+    const csvHeaders = ['Date', 'Client', 'Session Type', 'Amount (KES)', 'Original Currency', 'Original Amount', 'Exchange Rate', 'Transaction ID', 'Payment Status', 'Verified Date'];
     const csvRows = payments.map(p => [
       p.date,
       `"${(p.clientName || '').replace(/"/g, '""')}"`, // Escape quotes in client name
       p.sessionType,
       p.amount,
+      p.original.currency,
+      p.original.currency === 'KES' ? p.amount : p.original.amount,
+      p.original.exchangeRate,
       p.transactionId,
       p.paymentStatus,
       p.verifiedAt
@@ -0,0 +1,200 @@
+/**
+ * Group Session Routes
+ *
+ * API endpoints for therapist-led group sessions:
+ * - Therapists open sessions with a seat capacity and track attendance
+ * - Clients reserve a seat, sign the group agreement and pay per seat
+ * - Cancelling a session or a paid seat refunds it through M-Pesa
+ */
+
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middleware/auth');
+const { groupSessionService } = require('../services/groupSessionService');
+
+function errorStatus(error) {
+  if (error.message === 'Group session not found') return 404;
+  if (error.message.startsWith('Not authorized')) return 403;
+  if (error.message === 'This group session is full') return 409;
+  return 400;
+}
+
+/**
+ * POST /api/group-sessions
+ * Open a group session (therapists)
+ * Body: { title, description?, sessionDate, capacity }
+ */
+router.post('/', auth, async (req, res) => {
+  try {
+    const session = await groupSessionService.createGroupSession(req.user, req.body);
+    res.status(201).json({ success: true, session: session.getDecryptedData() });
+  } catch (error) {
+    console.error('Group session create error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/group-sessions/open
+ * Upcoming group sessions with seats left
+ * Query: therapistId?
+ */
+router.get('/open', auth, async (req, res) => {
+  try {
+    const sessions = await groupSessionService.listOpenSessions({ therapistId: req.query.therapistId });
+    res.json({ success: true, sessions });
+  } catch (error) {
+    console.error('Open group sessions error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/group-sessions/mine
+ * Group sessions the user runs or has a seat in
+ */
+router.get('/mine', auth, async (req, res) => {
+  try {
+    const sessions = await groupSessionService.listUserSessions(req.user);
+    res.json({ success: true, sessions });
+  } catch (error) {
+    console.error('My group sessions error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/group-sessions/:id
+ * Session details; the therapist also gets the roster
+ */
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const session = await groupSessionService.getSessionForUser(req.user, req.params.id);
+    res.json({ success: true, session });
+  } catch (error) {
+    console.error('Group session fetch error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/group-sessions/:id/seats
+ * Reserve a seat, held while the client pays
+ */
+router.post('/:id/seats', auth, async (req, res) => {
+  try {
+    const result = await groupSessionService.reserveSeat(req.user, req.params.id);
+    res.status(201).json({ success: true, ...result });
+  } catch (error) {
+    console.error('Group seat reservation error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/group-sessions/:id/seats/me
+ * Release an unpaid seat, or cancel a paid one and refund it under the
+ * cancellation policy
+ */
+router.delete('/:id/seats/me', auth, async (req, res) => {
+  try {
+    const result = await groupSessionService.releaseSeat(req.user, req.params.id);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Group seat release error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/group-sessions/:id/agreement
+ * Sign the group confidentiality agreement
+ * Body: { typedSignature, signatureConfirmation }
+ */
+router.post('/:id/agreement', auth, async (req, res) => {
+  try {
+    const agreement = await groupSessionService.signAgreement(req.user, req.params.id, {
+      typedSignature: req.body.typedSignature,
+      signatureConfirmation: req.body.signatureConfirmation,
+      ipAddress: req.ip || req.connection?.remoteAddress,
+      userAgent: req.get('User-Agent')
+    });
+    res.status(201).json({
+      success: true,
+      agreement: { id: agreement._id, version: agreement.agreementVersion, acceptedAt: agreement.acceptedAt }
+    });
+  } catch (error) {
+    console.error('Group agreement error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/group-sessions/:id/pay
+ * Pay for the user's seat with an M-Pesa STK push
+ * Body: { phoneNumber }
+ */
+router.post('/:id/pay', auth, async (req, res) => {
+  try {
+    const payment = await groupSessionService.initiateSeatPayment(req.user, req.params.id, req.body.phoneNumber);
+    res.json({
+      success: true,
+      message: 'Payment prompt sent to your phone. Please enter your M-Pesa PIN.',
+      ...payment
+    });
+  } catch (error) {
+    console.error('Group seat payment error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/group-sessions/:id/cancel
+ * Cancel the session and refund every paid seat (therapist or admin)
+ * Body: { reason, notes? }
+ */
+router.post('/:id/cancel', auth, async (req, res) => {
+  try {
+    const { session, refunds } = await groupSessionService.cancelGroupSession(req.user, req.params.id, {
+      reason: req.body.reason,
+      notes: req.body.notes
+    });
+    res.json({ success: true, status: session.status, refunds });
+  } catch (error) {
+    console.error('Group session cancel error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * PATCH /api/group-sessions/:id/attendance/:clientId
+ * Mark a member's attendance (therapist)
+ * Body: { attendance: 'attended' | 'no_show' | 'excused' }
+ */
+router.patch('/:id/attendance/:clientId', auth, async (req, res) => {
+  try {
+    const participant = await groupSessionService.markAttendance(
+      req.user, req.params.id, req.params.clientId, req.body.attendance
+    );
+    res.json({ success: true, participant });
+  } catch (error) {
+    console.error('Group attendance error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/group-sessions/:id/complete
+ * Close the session and settle attendance (therapist)
+ */
+router.post('/:id/complete', auth, async (req, res) => {
+  try {
+    const { session, attendance } = await groupSessionService.completeSession(req.user, req.params.id);
+    res.json({ success: true, status: session.status, attendance });
+  } catch (error) {
+    console.error('Group session complete error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,183 @@
+/**
+ * Insurance Routes
+ *
+ * API endpoints for insurance reimbursement:
+ * - Clients keep their insurer details, track claims and download superbills
+ * - Therapists record their licence details and each session's billing codes
+ */
+
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middleware/auth');
+const { insuranceService, INSURANCE_CONFIG } = require('../services/insuranceService');
+
+function errorStatus(error) {
+  if (error.message === 'Session not found' || error.message === 'User not found') return 404;
+  if (error.message.startsWith('Not authorized')) return 403;
+  return 400;
+}
+
+function sendPdf(res, { buffer, filename }) {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(buffer);
+}
+
+/**
+ * GET /api/insurance/service-codes
+ * Billable CPT codes and the default telehealth modifier
+ */
+router.get('/service-codes', auth, (req, res) => {
+  res.json({
+    success: true,
+    serviceCodes: Object.entries(INSURANCE_CONFIG.SERVICE_CODES).map(([code, description]) => ({ code, description })),
+    telehealthModifier: INSURANCE_CONFIG.TELEHEALTH_MODIFIER,
+    placeOfService: INSURANCE_CONFIG.PLACE_OF_SERVICE
+  });
+});
+
+/**
+ * GET /api/insurance/details
+ * The client's insurance details
+ */
+router.get('/details', auth, async (req, res) => {
+  try {
+    const insurance = await insuranceService.getInsuranceDetails(req.user.id);
+    res.json({ success: true, insurance });
+  } catch (error) {
+    console.error('Insurance details error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/insurance/details
+ * Save the client's insurance details
+ * Body: { provider, memberNumber, planName?, groupNumber?, policyHolderRelationship?,
+ *         policyHolderName?, policyHolderDateOfBirth? }
+ */
+router.put('/details', auth, async (req, res) => {
+  try {
+    const insurance = await insuranceService.updateInsuranceDetails(req.user.id, req.body);
+    res.json({ success: true, insurance });
+  } catch (error) {
+    console.error('Insurance details update error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/insurance/details
+ * Remove the client's insurance details
+ */
+router.delete('/details', auth, async (req, res) => {
+  try {
+    await insuranceService.removeInsuranceDetails(req.user.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Insurance details remove error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/insurance/provider-details
+ * The therapist's licence details for superbills
+ * Body: { licenseNumber, licensingBody }
+ */
+router.put('/provider-details', auth, async (req, res) => {
+  try {
+    const details = await insuranceService.updateProviderDetails(req.user, req.body);
+    res.json({ success: true, details });
+  } catch (error) {
+    console.error('Provider details error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/insurance/sessions/:sessionId/codes
+ * A session's billing codes (its therapist, its client or admins)
+ */
+router.get('/sessions/:sessionId/codes', auth, async (req, res) => {
+  try {
+    const result = await insuranceService.getBillingCodes(req.user, req.params.sessionId);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Billing codes error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/insurance/sessions/:sessionId/codes
+ * Record billing codes on a completed session (its therapist or admins)
+ * Body: { diagnosisCodes: ['F41.1'], serviceCode: '90837', modifiers? }
+ */
+router.put('/sessions/:sessionId/codes', auth, async (req, res) => {
+  try {
+    const codes = await insuranceService.setBillingCodes(req.user, req.params.sessionId, req.body);
+    res.json({ success: true, codes });
+  } catch (error) {
+    console.error('Billing codes update error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/insurance/claims
+ * The client's completed sessions with what is reimbursable and claim status
+ */
+router.get('/claims', auth, async (req, res) => {
+  try {
+    const result = await insuranceService.listClaims(req.user.id);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Insurance claims error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/insurance/sessions/:sessionId/claim
+ * Record a claim's progress (the client or admins)
+ * Body: { status: 'submitted'|'paid'|'rejected', claimReference?, amountClaimed?,
+ *         amountReimbursed?, rejectionReason? }
+ */
+router.put('/sessions/:sessionId/claim', auth, async (req, res) => {
+  try {
+    const claim = await insuranceService.updateClaim(req.user, req.params.sessionId, req.body);
+    res.json({ success: true, claim });
+  } catch (error) {
+    console.error('Insurance claim update error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/insurance/sessions/:sessionId/superbill
+ * Superbill PDF for one session
+ */
+router.get('/sessions/:sessionId/superbill', auth, async (req, res) => {
+  try {
+    sendPdf(res, await insuranceService.renderSessionSuperbill(req.user, req.params.sessionId));
+  } catch (error) {
+    console.error('Superbill error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/insurance/superbills/:month
+ * Superbill PDF for every reimbursable session in a month (YYYY-MM)
+ */
+router.get('/superbills/:month', auth, async (req, res) => {
+  try {
+    sendPdf(res, await insuranceService.renderMonthlySuperbill(req.user, req.params.month));
+  } catch (error) {
+    console.error('Monthly superbill error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+module.exports = router;
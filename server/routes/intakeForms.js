@@ -13,10 +13,25 @@
 
 const express = require('express');
 const router = express.Router();
-const auth = require('../middleware/auth');
+const { auth } = require('../middleware/auth');
 const IntakeForm = require('../models/IntakeForm');
 const Session = require('../models/Session');
 const { logAuditEvent } = require('../utils/auditLogger');
+const { riskEscalationService } = require('../services/riskEscalationService');
+const { formCompletionTrackerService } = require('../services/formCompletionTracker');
+const { getSessionAttendees, isCoParticipant } = require('../utils/sessionParticipants');
+
+/**
+ * Recompute the session's form status; with co-participants the intake
+ * form only counts as complete once every attendee has submitted theirs
+ */
+async function refreshSessionFormStatus(sessionId) {
+  try {
+    await formCompletionTrackerService.updateSessionFormsStatus(sessionId);
+  } catch (error) {
+    console.error('Error updating session form status:', error);
+  }
+}
 
 // Form template with field definitions
 const INTAKE_FORM_TEMPLATE = {
@@ -105,7 +120,8 @@ router.post('/', auth, async (req, res) => {
       return res.status(404).json({ success: false, message: 'Session not found' });
     }
     
-    if (session.client.toString() !== req.user.id) {
+    // Booking client and Couples/Family co-participants each submit their own form
+    if (session.client.toString() !== req.user.id && !isCoParticipant(session, req.user.id)) {
       return res.status(403).json({ success: false, message: 'Not authorized' });
     }
     
@@ -132,10 +148,8 @@ router.post('/', auth, async (req, res) => {
     
     await intakeForm.save();
     
-    // Update session
-    session.intakeFormCompleted = true;
-    session.intakeFormCompletedAt = new Date();
-    await session.save();
+    // Update session (complete once every attendee has submitted)
+    await refreshSessionFormStatus(sessionId);
     
     await logAuditEvent({
       action: 'INTAKE_FORM_SUBMITTED',
@@ -144,10 +158,20 @@ router.post('/', auth, async (req, res) => {
       details: { formId: intakeForm._id }
     });
     
+    // Reported suicidal thoughts raise a risk alert to the session's therapist
+    let crisisSupport = null;
+    try {
+      const risk = await riskEscalationService.handleIntakeForm(intakeForm, session.psychologist);
+      crisisSupport = risk ? risk.crisisSupport : null;
+    } catch (riskError) {
+      console.error('Error evaluating intake form risk:', riskError);
+    }
+    
     res.status(201).json({
       success: true,
       message: 'Intake form submitted successfully',
-      form: { id: intakeForm._id, completedAt: intakeForm.completedAt }
+      form: { id: intakeForm._id, completedAt: intakeForm.completedAt },
+      crisisSupport
     });
   } catch (error) {
     console.error('Error submitting intake form:', error);
@@ -174,21 +198,32 @@ router.put('/:id', auth, async (req, res) => {
     const { isComplete, ...formData } = req.body;
     Object.assign(intakeForm, formData);
     
+    let session = null;
     if (isComplete) {
       intakeForm.isComplete = true;
       intakeForm.completedAt = new Date();
       
-      const session = await Session.findById(intakeForm.session);
-      if (session) {
-        session.intakeFormCompleted = true;
-        session.intakeFormCompletedAt = new Date();
-        await session.save();
-      }
+      session = await Session.findById(intakeForm.session);
     }
     
     await intakeForm.save();
     
-    res.json({ success: true, message: 'Form saved', form: { id: intakeForm._id, isComplete: intakeForm.isComplete } });
+    if (session) {
+      await refreshSessionFormStatus(session._id);
+    }
+    
+    // Completing the form is a submission - check it for risk signals
+    let crisisSupport = null;
+    if (isComplete) {
+      try {
+        const risk = await riskEscalationService.handleIntakeForm(intakeForm, session ? session.psychologist : null);
+        crisisSupport = risk ? risk.crisisSupport : null;
+      } catch (riskError) {
+        console.error('Error evaluating intake form risk:', riskError);
+      }
+    }
+    
+    res.json({ success: true, message: 'Form saved', form: { id: intakeForm._id, isComplete: intakeForm.isComplete }, crisisSupport });
   } catch (error) {
     console.error('Error updating intake form:', error);
     res.status(500).json({ success: false, message: 'Failed to update form' });
@@ -206,21 +241,26 @@ router.get('/:sessionId', auth, async (req, res) => {
       return res.status(404).json({ success: false, message: 'Session not found' });
     }
     
-    const isClient = session.client.toString() === req.user.id;
+    const isClient = session.client.toString() === req.user.id || isCoParticipant(session, req.user.id);
     const isTherapist = session.psychologist.toString() === req.user.id;
     
     if (!isClient && !isTherapist && req.user.role !== 'admin') {
       return res.status(403).json({ success: false, message: 'Not authorized' });
     }
     
-    const intakeForm = await IntakeForm.findOne({ session: req.params.sessionId });
+    // Clients see their own form; therapists and admins see every attendee's
+    const isStaff = isTherapist || req.user.role === 'admin';
+    const query = { session: req.params.sessionId };
+    if (!isStaff) query.client = req.user.id;
+    const intakeForms = await IntakeForm.find(query);
+    const intakeForm = intakeForms.find(form => form.client.toString() === session.client.toString()) || intakeForms[0];
     
     if (!intakeForm) {
       return res.json({ success: true, form: null, exists: false });
     }
     
     // Therapists and admins get decrypted data
-    const formData = (isTherapist || req.user.role === 'admin') ? intakeForm.getDecryptedData() : intakeForm.toObject();
+    const formData = isStaff ? intakeForm.getDecryptedData() : intakeForm.toObject();
     
     await logAuditEvent({
       action: 'INTAKE_FORM_ACCESSED',
@@ -229,7 +269,12 @@ router.get('/:sessionId', auth, async (req, res) => {
       details: { formId: intakeForm._id, accessedBy: req.user.role }
     });
     
-    res.json({ success: true, form: formData, exists: true });
+    const response = { success: true, form: formData, exists: true };
+    if (isStaff && intakeForms.length > 1) {
+      response.forms = intakeForms.map(form => form.getDecryptedData());
+    }
+    
+    res.json(response);
   } catch (error) {
     console.error('Error fetching intake form:', error);
     res.status(500).json({ success: false, message: 'Failed to fetch form' });
@@ -242,15 +287,25 @@ router.get('/:sessionId', auth, async (req, res) => {
  */
 router.get('/status/:sessionId', auth, async (req, res) => {
   try {
-    const intakeForm = await IntakeForm.findOne({ session: req.params.sessionId })
-      .select('isComplete completedAt');
+    const session = await Session.findById(req.params.sessionId).select('client participants');
+    const intakeForms = await IntakeForm.find({ session: req.params.sessionId })
+      .select('client isComplete completedAt');
+    
+    // The caller's own form, and whether every attendee has completed theirs
+    const intakeForm = intakeForms.find(form => form.client.toString() === req.user.id) ||
+      (session ? intakeForms.find(form => form.client.toString() === session.client.toString()) : intakeForms[0]);
+    const attendeeIds = session ? getSessionAttendees(session).map(id => id.toString()) : [];
+    const allComplete = attendeeIds.length > 0 && attendeeIds.every(id =>
+      intakeForms.some(form => form.client.toString() === id && form.isComplete)
+    );
     
     res.json({
       success: true,
       status: {
         exists: !!intakeForm,
         isComplete: intakeForm?.isComplete || false,
-        completedAt: intakeForm?.completedAt
+        completedAt: intakeForm?.completedAt,
+        allParticipantsComplete: allComplete
       }
     });
   } catch (error) {
@@ -0,0 +1,114 @@
+/**
+ * Invoice Routes
+ *
+ * API endpoints for session receipts and refund credit notes:
+ * - Clients list and download their own documents (for employer or
+ *   insurer claims)
+ * - Admins browse every document and reissue missing ones for a session
+ */
+
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middleware/auth');
+const { invoiceService } = require('../services/invoiceService');
+const auditLogger = require('../utils/auditLogger');
+
+function errorStatus(error) {
+  if (error.message === 'Invoice not found' || error.message === 'Session not found') return 404;
+  if (error.message.startsWith('Not authorized')) return 403;
+  return 400;
+}
+
+/**
+ * GET /api/invoices/mine
+ * The client's receipts and credit notes, newest first
+ */
+router.get('/mine', auth, async (req, res) => {
+  try {
+    const invoices = await invoiceService.listForClient(req.user.id);
+    res.json({ success: true, invoices });
+  } catch (error) {
+    console.error('My invoices error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/invoices
+ * All receipts and credit notes (admins)
+ * Query: type?, from?, to?, page?, limit?
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const result = await invoiceService.listAll(req.user, {
+      type: req.query.type,
+      from: req.query.from,
+      to: req.query.to,
+      page: parseInt(req.query.page, 10) || 1,
+      limit: Math.min(parseInt(req.query.limit, 10) || 50, 200)
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Invoices error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/invoices/sessions/:sessionId
+ * Issue any receipt or credit note a session is missing (admins)
+ */
+router.post('/sessions/:sessionId', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      throw new Error('Not authorized: only admins can issue invoices');
+    }
+    const documents = await invoiceService.issueForSession(req.params.sessionId);
+    res.json({ success: true, ...documents });
+  } catch (error) {
+    console.error('Invoice issue error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/invoices/:id
+ * A receipt or credit note (its client or admins)
+ */
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const invoice = await invoiceService.getInvoice(req.user, req.params.id);
+    res.json({ success: true, invoice });
+  } catch (error) {
+    console.error('Invoice error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/invoices/:id/pdf
+ * Download a receipt or credit note as a PDF (its client or admins)
+ */
+router.get('/:id/pdf', auth, async (req, res) => {
+  try {
+    const { buffer, filename } = await invoiceService.renderPdf(req.user, req.params.id);
+
+    if (req.user.role === 'admin') {
+      auditLogger.logAdminAccess({
+        adminId: req.user.id,
+        action: 'Download invoice',
+        accessedData: filename,
+        ipAddress: req.ip || req.connection.remoteAddress
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(buffer);
+  } catch (error) {
+    console.error('Invoice download error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -14,6 +14,7 @@ const Session = require('../models/Session');
 const User = require('../models/User');
 const paymentConfig = require('../config/paymentConfig');
 const { logSessionStatusChange } = require('../utils/auditLogger');
+const { invoiceService } = require('../services/invoiceService');
 
 /**
  * @route   GET /api/manual-payments/instructions/:sessionId
@@ -269,6 +270,10 @@ router.post('/verify/:sessionId', auth, async (req, res) => {
     } catch (auditError) {
       console.error('⚠️ Failed to log payment verification:', auditError.message);
     }
+
+    // Receipt for the verified payment; the daily reconciliation retries any failure
+    invoiceService.issueForSession(session._id)
+      .catch(error => console.error('⚠️ Failed to issue receipt:', error.message));
     
     // Send confirmation notification to client
     try {
@@ -0,0 +1,55 @@
+/**
+ * Therapist Matching Routes
+ *
+ * API endpoint that ranks approved therapists for the logged-in client
+ * with an explainable score per therapist.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middleware/auth');
+const { therapistMatchingService, MATCHING_CONFIG } = require('../services/therapistMatchingService');
+
+/**
+ * GET /api/matching/therapists
+ * Ranked therapist matches (client only)
+ * Query: sessionType?, days?, minPrice?, maxPrice?, language?, limit?
+ */
+router.get('/therapists', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'client') {
+      return res.status(403).json({ error: 'Only clients can request therapist matches' });
+    }
+
+    const { sessionType, days, minPrice, maxPrice, language, limit } = req.query;
+
+    const result = await therapistMatchingService.findMatches(req.user.id, {
+      sessionType,
+      days,
+      minPrice,
+      maxPrice,
+      language,
+      limit
+    });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Therapist matching error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/matching/factors
+ * Scoring factors and their maximum points
+ */
+router.get('/factors', auth, (req, res) => {
+  res.json({
+    weights: MATCHING_CONFIG.WEIGHTS,
+    targetOpenSlots: MATCHING_CONFIG.TARGET_OPEN_SLOTS,
+    defaultDays: MATCHING_CONFIG.DEFAULT_DAYS,
+    maxDays: MATCHING_CONFIG.MAX_DAYS
+  });
+});
+
+module.exports = router;
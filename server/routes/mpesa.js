@@ -28,7 +28,11 @@ const encryption = require('../utils/encryption');
 const auditLogger = require('../utils/auditLogger');
 // const automaticIssueResolver = require('../utils/automaticIssueResolver');
 const realTimeReconciliationService = require('../services/realTimeReconciliation');
+const { invoiceService } = require('../services/invoiceService');
 const fraudDetectionService = require('../services/fraudDetectionService');
+const { groupSessionService } = require('../services/groupSessionService');
+const { packageService } = require('../services/packageService');
+const { refundService } = require('../services/refundService');
 
 // @route   POST api/mpesa/initiate
 // @desc    Initiate M-Pesa STK Push for session payment
@@ -290,6 +294,20 @@ router.post('/callback', async (req, res) => {
       return res.json({ ResultCode: 1, ResultDesc: 'Missing CheckoutRequestID' });
     }
 
+    // Group session seats are paid per participant
+    const seatPayment = await groupSessionService.handleSeatPaymentCallback(stkCallback);
+    if (seatPayment) {
+      clearCallbackRetry(CheckoutRequestID);
+      return { success: true };
+    }
+
+    // Session package purchases credit the client's package balance
+    const packagePayment = await packageService.handlePurchaseCallback(stkCallback);
+    if (packagePayment) {
+      clearCallbackRetry(CheckoutRequestID);
+      return { success: true };
+    }
+
     // Find session by CheckoutRequestID
     const session = await global.Session.findOne({ 
       where: { mpesaCheckoutRequestID: CheckoutRequestID },
@@ -404,6 +422,10 @@ router.post('/callback', async (req, res) => {
         phone: encryption.maskPhoneNumber(metadata.PhoneNumber) // Mask phone number
       });
 
+      // Receipt for the payment; the daily reconciliation retries any failure
+      invoiceService.issueForSession(session._id)
+        .catch(error => console.error('⚠️ Failed to issue receipt:', error.message));
+
       // Send notifications to client and therapist
       try {
         const { 
@@ -508,6 +530,46 @@ router.post('/callback', async (req, res) => {
   }
 });
 
+// @route   POST api/mpesa/b2c/result
+// @desc    B2C refund result (called by Safaricom)
+// @access  Public (but validates source via signature)
+router.post('/b2c/result', async (req, res) => {
+  if (!webhookSignature.verifyRequest(req) && process.env.NODE_ENV === 'production') {
+    console.error('❌ Invalid webhook signature - rejecting B2C result');
+    return res.status(401).json({ ResultCode: 1, ResultDesc: 'Invalid signature' });
+  }
+
+  try {
+    const result = await refundService.handleB2CResult(req.body);
+    if (!result) {
+      console.warn('⚠️ B2C result for unknown refund:', req.body?.Result?.OriginatorConversationID);
+    }
+  } catch (error) {
+    // Reconciliation escalates refunds left without a result
+    console.error('❌ B2C result processing error:', error);
+  }
+
+  res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+});
+
+// @route   POST api/mpesa/b2c/timeout
+// @desc    B2C refund queue timeout (called by Safaricom)
+// @access  Public (but validates source via signature)
+router.post('/b2c/timeout', async (req, res) => {
+  if (!webhookSignature.verifyRequest(req) && process.env.NODE_ENV === 'production') {
+    console.error('❌ Invalid webhook signature - rejecting B2C timeout');
+    return res.status(401).json({ ResultCode: 1, ResultDesc: 'Invalid signature' });
+  }
+
+  try {
+    await refundService.handleB2CTimeout(req.body);
+  } catch (error) {
+    console.error('❌ B2C timeout processing error:', error);
+  }
+
+  res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+});
+
 // @route   GET api/mpesa/status/:sessionId
 // @desc    Check payment status for a session
 // @access  Private
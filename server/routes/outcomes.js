@@ -0,0 +1,94 @@
+/**
+ * Outcome Routes
+ *
+ * API endpoints for measurement-based care:
+ * - Therapists schedule PHQ-9/GAD-7 before every Nth session
+ * - Clients see measures due before upcoming sessions
+ * - Per-client score trends with reliable-change indicators
+ */
+
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middleware/auth');
+const { outcomeService } = require('../services/outcomeService');
+
+function errorStatus(error) {
+  if (error.message === 'Outcome plan not found') return 404;
+  if (error.message.startsWith('Not authorized')) return 403;
+  return 400;
+}
+
+/**
+ * POST /api/outcomes/plans
+ * Measure a client before every Nth session (replaces any active plan for the instrument)
+ * Body: { clientId, instrumentCode, everyNSessions? }
+ */
+router.post('/plans', auth, async (req, res) => {
+  try {
+    const plan = await outcomeService.createPlan(req.user, req.body);
+    res.status(201).json({ success: true, plan });
+  } catch (error) {
+    console.error('Outcome plan create error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/outcomes/plans
+ * Active outcome plans for a client
+ * Query: clientId
+ */
+router.get('/plans', auth, async (req, res) => {
+  try {
+    const plans = await outcomeService.getPlans(req.user, req.query.clientId);
+    res.json({ success: true, plans });
+  } catch (error) {
+    console.error('Outcome plan list error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/outcomes/plans/:id
+ * End an outcome plan; uncollected measures are withdrawn
+ */
+router.delete('/plans/:id', auth, async (req, res) => {
+  try {
+    const plan = await outcomeService.endPlan(req.user, req.params.id);
+    res.json({ success: true, plan });
+  } catch (error) {
+    console.error('Outcome plan end error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/outcomes/pending
+ * Outcome measures the logged-in client should complete before upcoming sessions
+ */
+router.get('/pending', auth, async (req, res) => {
+  try {
+    const sessions = await outcomeService.getPendingMeasures(req.user.id);
+    res.json({ success: true, sessions });
+  } catch (error) {
+    console.error('Pending outcome measures error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/outcomes/clients/:clientId/trend
+ * Score trajectory, reliable change and held sessions for one instrument
+ * Query: instrument (PHQ9 | GAD7)
+ */
+router.get('/clients/:clientId/trend', auth, async (req, res) => {
+  try {
+    const trend = await outcomeService.getClientTrend(req.user, req.params.clientId, req.query.instrument);
+    res.json({ success: true, ...trend });
+  } catch (error) {
+    console.error('Outcome trend error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+module.exports = router;
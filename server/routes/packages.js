@@ -0,0 +1,142 @@
+/**
+ * Session Package Routes
+ *
+ * API endpoints for prepaid session packages:
+ * - Therapists offer bundles of sessions at a package price
+ * - Clients buy a package over M-Pesa and receive session credits
+ * - Approved bookings draw on those credits (see PUT /api/sessions/:id/approve)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middleware/auth');
+const { packageService } = require('../services/packageService');
+
+function errorStatus(error) {
+  if (error.message === 'Package not found' || error.message === 'Purchase not found') return 404;
+  if (error.message.startsWith('Not authorized')) return 403;
+  if (error.message.startsWith('Payment already in progress')) return 409;
+  return 400;
+}
+
+/**
+ * GET /api/packages/mine
+ * The therapist's own packages, including inactive ones
+ */
+router.get('/mine', auth, async (req, res) => {
+  try {
+    const packages = await packageService.listTherapistPackages(req.user.id, { includeInactive: true });
+    res.json({ success: true, packages });
+  } catch (error) {
+    console.error('My packages error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/packages/credits
+ * The client's purchased packages, credit balance and ledger
+ */
+router.get('/credits', auth, async (req, res) => {
+  try {
+    const credits = await packageService.getClientCredits(req.user.id, { therapistId: req.query.therapistId });
+    res.json({ success: true, ...credits });
+  } catch (error) {
+    console.error('Package credits error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/packages/clients/:clientId/credits
+ * A client's credits with the therapist (therapists, admins)
+ */
+router.get('/clients/:clientId/credits', auth, async (req, res) => {
+  try {
+    const credits = await packageService.getClientCreditsForTherapist(req.user, req.params.clientId);
+    res.json({ success: true, ...credits });
+  } catch (error) {
+    console.error('Client package credits error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/packages/therapist/:therapistId
+ * Active packages a therapist offers, with savings against their rates
+ */
+router.get('/therapist/:therapistId', auth, async (req, res) => {
+  try {
+    const packages = await packageService.listTherapistPackages(req.params.therapistId);
+    res.json({ success: true, packages });
+  } catch (error) {
+    console.error('Therapist packages error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/packages
+ * Create a package (therapists)
+ * Body: { sessionType, name, description?, sessionCount, price, validityDays? }
+ */
+router.post('/', auth, async (req, res) => {
+  try {
+    const pkg = await packageService.createPackage(req.user, req.body);
+    res.status(201).json({ success: true, package: pkg });
+  } catch (error) {
+    console.error('Package create error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/packages/:id
+ * Update a package's terms or deactivate it
+ * Body: { name?, description?, sessionCount?, price?, validityDays?, isActive? }
+ */
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const pkg = await packageService.updatePackage(req.user, req.params.id, req.body);
+    res.json({ success: true, package: pkg });
+  } catch (error) {
+    console.error('Package update error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/packages/:id/purchase
+ * Buy a package with an M-Pesa STK push (clients)
+ * Body: { phoneNumber }
+ */
+router.post('/:id/purchase', auth, async (req, res) => {
+  try {
+    const result = await packageService.purchasePackage(req.user, req.params.id, req.body.phoneNumber);
+    res.json({
+      success: true,
+      message: 'Payment request sent. Please check your phone to complete payment.',
+      ...result
+    });
+  } catch (error) {
+    console.error('Package purchase error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/packages/purchases/:id/confirm
+ * Confirm a manual till payment for a purchase (admins)
+ * Body: { transactionCode }
+ */
+router.post('/purchases/:id/confirm', auth, async (req, res) => {
+  try {
+    const purchase = await packageService.confirmManualPayment(req.user, req.params.id, req.body.transactionCode);
+    res.json({ success: true, purchase });
+  } catch (error) {
+    console.error('Package payment confirm error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+module.exports = router;
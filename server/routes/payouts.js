@@ -0,0 +1,174 @@
+/**
+ * Therapist Payout Routes
+ *
+ * API endpoints for settling with therapists:
+ * - Therapists see what they will be paid and their past statements
+ * - Admins set commission rates, run payout batches and mark them paid
+ * - Batches export in the accounting software formats
+ */
+
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middleware/auth');
+const { payoutService } = require('../services/payoutService');
+const auditLogger = require('../utils/auditLogger');
+
+function errorStatus(error) {
+  if (error.message === 'Therapist not found' || error.message === 'Payout batch not found') return 404;
+  if (error.message.startsWith('Not authorized')) return 403;
+  if (error.message.startsWith('Sessions changed')) return 409;
+  return 400;
+}
+
+/**
+ * GET /api/payouts/statement
+ * Unsettled earnings after commission, with sessions held back (therapists; admins pass ?therapistId)
+ */
+router.get('/statement', auth, async (req, res) => {
+  try {
+    const therapistId = req.user.role === 'admin' && req.query.therapistId ? req.query.therapistId : req.user.id;
+    const statement = await payoutService.getStatementPreview(req.user, therapistId, { periodEnd: req.query.periodEnd });
+    res.json({ success: true, statement });
+  } catch (error) {
+    console.error('Payout statement error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/payouts/mine
+ * The therapist's statements from past payout batches
+ */
+router.get('/mine', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'psychologist') {
+      throw new Error('Not authorized: only therapists have payout statements');
+    }
+    const statements = await payoutService.getTherapistStatements(req.user.id);
+    res.json({ success: true, statements });
+  } catch (error) {
+    console.error('My payouts error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/payouts/commission/:therapistId
+ * Set a therapist's commission percentage (admins)
+ * Body: { commissionRate } - null reverts to the platform default
+ */
+router.put('/commission/:therapistId', auth, async (req, res) => {
+  try {
+    const { commissionRate } = req.body;
+    const rate = commissionRate === null || commissionRate === undefined ? null : Number(commissionRate);
+    const result = await payoutService.setCommissionRate(req.user, req.params.therapistId, rate);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Commission update error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/payouts/batches
+ * Payout batches, newest first (admins)
+ */
+router.get('/batches', auth, async (req, res) => {
+  try {
+    const result = await payoutService.listBatches(req.user, {
+      status: req.query.status,
+      page: parseInt(req.query.page, 10) || 1,
+      limit: Math.min(parseInt(req.query.limit, 10) || 20, 100)
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Payout batches error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/payouts/batches
+ * Create a draft batch for sessions up to the period end (admins)
+ * Body: { periodEnd?, therapistIds?, notes? }
+ */
+router.post('/batches', auth, async (req, res) => {
+  try {
+    const batch = await payoutService.createBatch(req.user, req.body);
+    res.status(201).json({ success: true, batch });
+  } catch (error) {
+    console.error('Payout batch creation error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/payouts/batches/:id
+ * A batch with every therapist statement (admins)
+ */
+router.get('/batches/:id', auth, async (req, res) => {
+  try {
+    const batch = await payoutService.getBatch(req.user, req.params.id);
+    res.json({ success: true, batch });
+  } catch (error) {
+    console.error('Payout batch error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/payouts/batches/:id/paid
+ * Record the transfer and mark the batch's sessions settled (admins)
+ * Body: { paymentReference, notes? }
+ */
+router.post('/batches/:id/paid', auth, async (req, res) => {
+  try {
+    const batch = await payoutService.markBatchPaid(req.user, req.params.id, req.body);
+    res.json({ success: true, batch });
+  } catch (error) {
+    console.error('Payout batch payment error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/payouts/batches/:id/cancel
+ * Cancel a draft batch and release its sessions (admins)
+ * Body: { reason? }
+ */
+router.post('/batches/:id/cancel', auth, async (req, res) => {
+  try {
+    const batch = await payoutService.cancelBatch(req.user, req.params.id, req.body.reason);
+    res.json({ success: true, batch });
+  } catch (error) {
+    console.error('Payout batch cancel error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/payouts/batches/:id/export
+ * Download a batch for accounting software (admins)
+ * Query: format (quickbooks, xero, sage, generic)
+ */
+router.get('/batches/:id/export', auth, async (req, res) => {
+  try {
+    const { content, filename, mimeType } = await payoutService.exportBatch(req.user, req.params.id, req.query.format);
+
+    auditLogger.logAdminAccess({
+      adminId: req.user.id,
+      action: 'Export payout batch',
+      accessedData: filename,
+      ipAddress: req.ip || req.connection.remoteAddress
+    });
+
+    res.setHeader('Content-Type', mimeType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(content);
+  } catch (error) {
+    console.error('Payout batch export error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,229 @@
+/**
+ * Reduced-Cost Pricing Routes
+ *
+ * API endpoints for sliding-scale tiers and sponsorship funds:
+ * - Therapists offer tiers below their standard rates
+ * - Admins run sponsorship funds and approve eligible clients
+ * - Clients apply for sponsorship and pick a tier/fund when booking
+ *   (see POST /api/sessions/request)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middleware/auth');
+const { pricingService } = require('../services/pricingService');
+
+function errorStatus(error) {
+  if (['Pricing tier not found', 'Sponsorship fund not found', 'Application not found'].includes(error.message)) return 404;
+  if (error.message.startsWith('Not authorized')) return 403;
+  if (error.message.startsWith('You already')) return 409;
+  return 400;
+}
+
+// -----------------------------------------------------------------------------
+// Sliding-scale tiers
+// -----------------------------------------------------------------------------
+
+/**
+ * GET /api/pricing/tiers/mine
+ * The therapist's own tiers, including inactive ones
+ */
+router.get('/tiers/mine', auth, async (req, res) => {
+  try {
+    const tiers = await pricingService.listTherapistTiers(req.user.id, { includeInactive: true });
+    res.json({ success: true, tiers });
+  } catch (error) {
+    console.error('My pricing tiers error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/pricing/tiers/therapist/:therapistId
+ * Active tiers a therapist offers
+ */
+router.get('/tiers/therapist/:therapistId', auth, async (req, res) => {
+  try {
+    const tiers = await pricingService.listTherapistTiers(req.params.therapistId);
+    res.json({ success: true, tiers });
+  } catch (error) {
+    console.error('Therapist pricing tiers error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/pricing/tiers
+ * Create a sliding-scale tier (therapists)
+ * Body: { sessionType, name, description?, amount }
+ */
+router.post('/tiers', auth, async (req, res) => {
+  try {
+    const tier = await pricingService.createTier(req.user, req.body);
+    res.status(201).json({ success: true, tier });
+  } catch (error) {
+    console.error('Pricing tier create error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/pricing/tiers/:id
+ * Update a tier or deactivate it
+ * Body: { name?, description?, amount?, isActive? }
+ */
+router.put('/tiers/:id', auth, async (req, res) => {
+  try {
+    const tier = await pricingService.updateTier(req.user, req.params.id, req.body);
+    res.json({ success: true, tier });
+  } catch (error) {
+    console.error('Pricing tier update error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// Sponsorship funds
+// -----------------------------------------------------------------------------
+
+/**
+ * GET /api/pricing/funds
+ * Active funds (admins see balances; ?includeInactive=true for all)
+ */
+router.get('/funds', auth, async (req, res) => {
+  try {
+    const funds = await pricingService.listFunds(req.user, { includeInactive: req.query.includeInactive === 'true' });
+    res.json({ success: true, funds });
+  } catch (error) {
+    console.error('Sponsorship funds error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/pricing/funds
+ * Create a sponsorship fund (admins)
+ * Body: { name, sponsor, description?, coveragePercent, maxPerSession?, maxSessionsPerClient?, sessionTypes? }
+ */
+router.post('/funds', auth, async (req, res) => {
+  try {
+    const fund = await pricingService.createFund(req.user, req.body);
+    res.status(201).json({ success: true, fund });
+  } catch (error) {
+    console.error('Sponsorship fund create error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/pricing/funds/:id
+ * Update fund terms or deactivate it (admins)
+ */
+router.put('/funds/:id', auth, async (req, res) => {
+  try {
+    const fund = await pricingService.updateFund(req.user, req.params.id, req.body);
+    res.json({ success: true, fund });
+  } catch (error) {
+    console.error('Sponsorship fund update error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/pricing/funds/:id/contributions
+ * Record donor money added to a fund (admins)
+ * Body: { amount, note? }
+ */
+router.post('/funds/:id/contributions', auth, async (req, res) => {
+  try {
+    const fund = await pricingService.addContribution(req.user, req.params.id, Number(req.body.amount), req.body.note);
+    res.json({ success: true, fund });
+  } catch (error) {
+    console.error('Sponsorship contribution error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/pricing/funds/:id/ledger
+ * Fund balance history (admins)
+ */
+router.get('/funds/:id/ledger', auth, async (req, res) => {
+  try {
+    const result = await pricingService.getFundLedger(req.user, req.params.id, {
+      limit: Math.min(parseInt(req.query.limit, 10) || 100, 500)
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Sponsorship fund ledger error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// Eligibility
+// -----------------------------------------------------------------------------
+
+/**
+ * POST /api/pricing/funds/:id/apply
+ * Apply to use a sponsorship fund (clients)
+ * Body: { statement }
+ */
+router.post('/funds/:id/apply', auth, async (req, res) => {
+  try {
+    const application = await pricingService.applyForFund(req.user, req.params.id, req.body.statement);
+    res.status(201).json({ success: true, application });
+  } catch (error) {
+    console.error('Sponsorship application error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/pricing/applications/mine
+ * The client's sponsorship applications
+ */
+router.get('/applications/mine', auth, async (req, res) => {
+  try {
+    const applications = await pricingService.getClientApplications(req.user.id);
+    res.json({ success: true, applications });
+  } catch (error) {
+    console.error('My sponsorship applications error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/pricing/applications
+ * Sponsorship applications, oldest first (admins)
+ * Query: status?, fundId?
+ */
+router.get('/applications', auth, async (req, res) => {
+  try {
+    const applications = await pricingService.listApplications(req.user, {
+      status: req.query.status,
+      fundId: req.query.fundId
+    });
+    res.json({ success: true, applications });
+  } catch (error) {
+    console.error('Sponsorship applications error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/pricing/applications/:id/review
+ * Approve, reject or revoke eligibility (admins)
+ * Body: { decision, notes?, expiresAt? }
+ */
+router.put('/applications/:id/review', auth, async (req, res) => {
+  try {
+    const application = await pricingService.reviewApplication(req.user, req.params.id, req.body);
+    res.json({ success: true, application });
+  } catch (error) {
+    console.error('Sponsorship review error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+module.exports = router;
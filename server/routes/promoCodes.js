@@ -0,0 +1,109 @@
+/**
+ * Promo Code Routes
+ *
+ * API endpoints for booking-time discounts:
+ * - Admins issue, edit and deactivate codes and see who redeemed them
+ * - Clients check a code on the booking page before requesting the session
+ *   (the code itself is applied by POST /api/sessions/request)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middleware/auth');
+const { promoCodeService } = require('../services/promoCodeService');
+const { pricingService } = require('../services/pricingService');
+
+function errorStatus(error) {
+  if (error.message === 'Promo code not found') return 404;
+  if (error.message.startsWith('Not authorized')) return 403;
+  if (error.message.endsWith('already exists')) return 409;
+  return 400;
+}
+
+/**
+ * POST /api/promo-codes/validate
+ * Price a booking with a code at the therapist's current rate (clients)
+ * Body: { code, psychologistId, sessionType, pricingTierId?, sponsorshipFundId? }
+ */
+router.post('/validate', auth, async (req, res) => {
+  try {
+    const { code, psychologistId, sessionType, pricingTierId, sponsorshipFundId } = req.body;
+    if (!code || !psychologistId || !sessionType) {
+      throw new Error('Code, therapist and session type are required');
+    }
+
+    const pricing = await pricingService.previewBooking({
+      clientId: req.user.id,
+      therapistId: psychologistId,
+      sessionType,
+      tierId: pricingTierId,
+      promoCode: code,
+      fundId: sponsorshipFundId
+    });
+    res.json({ success: true, valid: true, pricing });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ valid: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/promo-codes
+ * Promo codes, newest first (admins; ?includeInactive=true for all)
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const promoCodes = await promoCodeService.listCodes(req.user, { includeInactive: req.query.includeInactive === 'true' });
+    res.json({ success: true, promoCodes });
+  } catch (error) {
+    console.error('Promo codes error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/promo-codes
+ * Create a promo code (admins)
+ * Body: { code, discountType, discountValue, maxDiscount?, description?, partner?, validFrom?, validUntil?,
+ *         maxUses?, maxUsesPerClient?, firstSessionOnly?, therapists?, sessionTypes? }
+ */
+router.post('/', auth, async (req, res) => {
+  try {
+    const promoCode = await promoCodeService.createCode(req.user, req.body);
+    res.status(201).json({ success: true, promoCode });
+  } catch (error) {
+    console.error('Promo code create error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/promo-codes/:id
+ * Update a code's terms or deactivate it (admins)
+ */
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const promoCode = await promoCodeService.updateCode(req.user, req.params.id, req.body);
+    res.json({ success: true, promoCode });
+  } catch (error) {
+    console.error('Promo code update error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/promo-codes/:id/redemptions
+ * Who used a code and the discount given (admins)
+ */
+router.get('/:id/redemptions', auth, async (req, res) => {
+  try {
+    const result = await promoCodeService.getRedemptions(req.user, req.params.id, {
+      limit: Math.min(parseInt(req.query.limit, 10) || 100, 500)
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Promo code redemptions error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,137 @@
+/**
+ * Session Recording Routes
+ *
+ * API endpoints for consent-gated session recordings. Consent and
+ * start/stop happen in the call over the video socket; these routes take
+ * the media chunks the therapist's browser uploads and serve finished
+ * recordings through signed, expiring links.
+ */
+
+const express = require('express');
+const multer = require('multer');
+const { pipeline } = require('stream/promises');
+const router = express.Router();
+const { auth } = require('../middleware/auth');
+const { recordingService, RECORDING_CONFIG, summarizeRecording } = require('../services/recordingService');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: RECORDING_CONFIG.MAX_CHUNK_BYTES }
+});
+
+function errorStatus(error) {
+  if (error.message.startsWith('Not authorized')) return 403;
+  if (error.message.endsWith('not found')) return 404;
+  if (error.message.startsWith('No recording')) return 404;
+  return 400;
+}
+
+/**
+ * GET /api/recordings/session/:sessionId
+ * Recordings of a session and their consent status (participants and admins)
+ */
+router.get('/session/:sessionId', auth, async (req, res) => {
+  try {
+    const recordings = await recordingService.listForSession(req.params.sessionId, req.user);
+    res.json({ success: true, recordings });
+  } catch (error) {
+    console.error('Recording list error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/recordings/session/:sessionId/chunks
+ * Upload the next media chunk of a recording in progress (recording therapist)
+ * Multipart: { chunk: <media>, sequence }
+ */
+router.post('/session/:sessionId/chunks', auth, upload.single('chunk'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No chunk uploaded' });
+    }
+
+    const recording = await recordingService.saveChunk(req.params.sessionId, req.user, {
+      sequence: Number(req.body.sequence),
+      buffer: req.file.buffer,
+      mimeType: req.file.mimetype
+    });
+    res.status(201).json({ success: true, chunkCount: recording.chunks.length });
+  } catch (error) {
+    console.error('Recording chunk upload error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/recordings/session/:sessionId/access
+ * Signed link to play the session's recording (participants and admins)
+ */
+router.get('/session/:sessionId/access', auth, async (req, res) => {
+  try {
+    const { recording, accessUrl, expiresAt } = await recordingService.issueAccessLink(
+      req.params.sessionId,
+      req.user,
+      req.ip
+    );
+    res.json({ success: true, recording: summarizeRecording(recording), accessUrl, expiresAt });
+  } catch (error) {
+    console.error('Recording access error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/recordings/:recordingId/stream?token=
+ * Play a recording. Authorised by the signed token rather than a login so
+ * it works as a media element source.
+ */
+router.get('/:recordingId/stream', async (req, res) => {
+  try {
+    const { stream, mimeType } = await recordingService.openStream(
+      req.params.recordingId,
+      req.query.token,
+      req.ip
+    );
+
+    res.set({
+      'Content-Type': mimeType,
+      'Cache-Control': 'no-store',
+      'Content-Disposition': 'inline'
+    });
+    await pipeline(stream, res);
+  } catch (error) {
+    console.error('Recording stream error:', error);
+    if (!res.headersSent) {
+      res.status(errorStatus(error)).json({ error: error.message });
+    } else {
+      res.destroy(error);
+    }
+  }
+});
+
+/**
+ * DELETE /api/recordings/:recordingId
+ * Securely delete a recording before its retention period ends (admins)
+ * Body: { reason }
+ */
+router.delete('/:recordingId', auth, async (req, res) => {
+  try {
+    if (!req.body.reason) {
+      return res.status(400).json({ error: 'A reason is required' });
+    }
+
+    const recording = await recordingService.deleteRecording(
+      req.params.recordingId,
+      req.user,
+      req.body.reason,
+      req.ip
+    );
+    res.json({ success: true, recording: summarizeRecording(recording) });
+  } catch (error) {
+    console.error('Recording delete error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+module.exports = router;
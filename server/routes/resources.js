@@ -15,7 +15,7 @@ const optionalAuth = async (req, res, next) => {
     if (token) {
       const jwt = require('jsonwebtoken');
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = decoded;
+      req.user = decoded.user;
     }
     
     next();
@@ -46,6 +46,17 @@ const adminAuth = async (req, res, next) => {
   }
 };
 
+// Resources shared with particular clients (e.g. files from their session)
+// are visible only to those clients, whoever shared them and admins
+const canAccessResource = (resource, user) => {
+  if (!resource.sharedWith || resource.sharedWith.length === 0) return true;
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+  const createdBy = resource.createdBy && (resource.createdBy._id || resource.createdBy);
+  return String(createdBy) === String(user.id) ||
+    resource.sharedWith.some(clientId => String(clientId) === String(user.id));
+};
+
 // IMPORTANT: Public routes must come BEFORE parameterized routes like /:id
 // Get public resources (no auth required)
 router.get('/public/list', async (req, res) => {
@@ -54,7 +65,8 @@ router.get('/public/list', async (req, res) => {
     // Show all active resources on the public page
     // Users can view them, but may need to login to download
     const resources = await Resource.find({
-      active: true
+      active: true,
+      'sharedWith.0': { $exists: false }
     })
       .select('-createdBy')
       .sort({ createdAt: -1 });
@@ -177,13 +189,32 @@ router.get('/', auth, adminAuth, async (req, res) => {
   }
 });
 
+// Get resources shared with the current client
+router.get('/shared/mine', auth, async (req, res) => {
+  try {
+    const resources = await Resource.find({ active: true, sharedWith: req.user.id })
+      .select('-filePath -sharedWith')
+      .populate('createdBy', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      resources,
+      count: resources.length
+    });
+  } catch (error) {
+    console.error('Error fetching shared resources:', error);
+    res.status(500).json({ message: 'Error fetching resources' });
+  }
+});
+
 // Get single resource
 router.get('/:id', auth, async (req, res) => {
   try {
     const resource = await Resource.findById(req.params.id)
       .populate('createdBy', 'name email');
 
-    if (!resource) {
+    if (!resource || !canAccessResource(resource, req.user)) {
       return res.status(404).json({ message: 'Resource not found' });
     }
 
@@ -374,7 +405,7 @@ router.get('/:id/download', optionalAuth, async (req, res) => {
   try {
     const resource = await Resource.findById(req.params.id);
 
-    if (!resource) {
+    if (!resource || !canAccessResource(resource, req.user)) {
       return res.status(404).json({ message: 'Resource not found' });
     }
 
@@ -416,7 +447,7 @@ router.get('/:id/view', optionalAuth, async (req, res) => {
   try {
     const resource = await Resource.findById(req.params.id);
 
-    if (!resource) {
+    if (!resource || !canAccessResource(resource, req.user)) {
       return res.status(404).json({ message: 'Resource not found' });
     }
 
@@ -0,0 +1,91 @@
+/**
+ * Risk Alert Routes
+ *
+ * API endpoints for crisis escalation:
+ * - Crisis-line resources for clients
+ * - Alert review, acknowledgement, follow-up and resolution for staff
+ */
+
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middleware/auth');
+const { riskEscalationService, RISK_CONFIG } = require('../services/riskEscalationService');
+
+function errorStatus(error) {
+  if (error.message === 'Risk alert not found') return 404;
+  if (error.message.startsWith('Not authorized')) return 403;
+  return 400;
+}
+
+/**
+ * GET /api/risk-alerts/resources
+ * Crisis-line contacts
+ */
+router.get('/resources', auth, (req, res) => {
+  res.json({ success: true, resources: RISK_CONFIG.CRISIS_RESOURCES });
+});
+
+/**
+ * GET /api/risk-alerts
+ * Alerts for the logged-in therapist (assigned) or admin (all)
+ * Query: status?
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const alerts = await riskEscalationService.getAlerts(req.user, { status: req.query.status });
+    res.json({ success: true, alerts });
+  } catch (error) {
+    console.error('Risk alert list error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/risk-alerts/:id/acknowledge
+ * Acknowledge an open alert
+ */
+router.post('/:id/acknowledge', auth, async (req, res) => {
+  try {
+    const alert = await riskEscalationService.acknowledge(req.params.id, req.user);
+    res.json({ success: true, alert });
+  } catch (error) {
+    console.error('Risk alert acknowledge error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/risk-alerts/:id/follow-up
+ * Record follow-up taken
+ * Body: { action, note? }
+ */
+router.post('/:id/follow-up', auth, async (req, res) => {
+  try {
+    const { action, note } = req.body;
+    const alert = await riskEscalationService.addFollowUp(req.params.id, req.user, { action, note });
+    res.json({ success: true, alert });
+  } catch (error) {
+    console.error('Risk alert follow-up error:', error);
+    res.status(errorStatus(error)).json({
+      error: error.message,
+      validActions: RISK_CONFIG.FOLLOW_UP_ACTIONS
+    });
+  }
+});
+
+/**
+ * POST /api/risk-alerts/:id/resolve
+ * Close an alert once follow-up is complete
+ * Body: { note? }
+ */
+router.post('/:id/resolve', auth, async (req, res) => {
+  try {
+    const alert = await riskEscalationService.resolve(req.params.id, req.user, req.body.note);
+    res.json({ success: true, alert });
+  } catch (error) {
+    console.error('Risk alert resolve error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -5,11 +5,20 @@ const SessionNote = require('../models/SessionNote');
 const Session = require('../models/Session');
 const User = require('../models/User');
 const { logSessionStatusChange } = require('../utils/auditLogger');
+const { treatmentPlanService } = require('../services/treatmentPlanService');
+const { NOTE_TEMPLATES } = require('../constants/noteTemplates');
+const {
+  NOTE_TEMPLATE_KEYS,
+  getNoteTemplate,
+  validateNoteSections,
+  renderNoteContent
+} = require('../utils/noteTemplates');
 
 /**
  * Session Notes API Routes
  * 
- * Provides CRUD operations for versioned, encrypted session notes.
+ * Provides CRUD operations for versioned, encrypted session notes,
+ * structured note templates, and signing/addenda.
  * Requirements: 11.3 - Encrypted session notes with timestamp
  */
 
@@ -18,7 +27,20 @@ const { logSessionStatusChange } = require('../utils/auditLogger');
 // @access  Private (Psychologist only)
 router.post('/', auth, async (req, res) => {
   try {
-    const { sessionId, content, noteType, isClientVisible } = req.body;
+    const { sessionId, noteType, isClientVisible, treatmentPlanId, sections } = req.body;
+    const template = req.body.template || NOTE_TEMPLATE_KEYS.FREE_TEXT;
+    let { content } = req.body;
+    let noteSections = [];
+    
+    if (template !== NOTE_TEMPLATE_KEYS.FREE_TEXT) {
+      // Templated notes are built from validated sections
+      const validation = validateNoteSections(template, sections);
+      if (!validation.valid) {
+        return res.status(400).json({ msg: 'Note sections are incomplete or invalid', errors: validation.errors });
+      }
+      noteSections = validation.sections;
+      content = renderNoteContent(template, noteSections);
+    }
     
     if (!sessionId || !content) {
       return res.status(400).json({ msg: 'Session ID and content are required' });
@@ -41,13 +63,24 @@ router.post('/', auth, async (req, res) => {
       return res.status(403).json({ msg: 'Not authorized to add notes to this session' });
     }
     
+    // Link to the client's current treatment plan with this therapist
+    let treatmentPlan;
+    try {
+      treatmentPlan = await treatmentPlanService.resolvePlanForNote(session, treatmentPlanId);
+    } catch (planError) {
+      return res.status(400).json({ msg: planError.message });
+    }
+    
     // Create new note
     const note = new SessionNote({
       session: sessionId,
       author: req.user.id,
       authorRole: user.role,
       content,
-      noteType: noteType || 'session_notes',
+      noteType: noteType || (getNoteTemplate(template) ? getNoteTemplate(template).noteType : 'session_notes'),
+      template,
+      sections: noteSections,
+      treatmentPlan,
       isClientVisible: isClientVisible || false
     });
     
@@ -87,6 +120,16 @@ router.post('/', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/session-notes/templates
+// @desc    List structured note templates and their sections
+// @access  Private
+router.get('/templates', auth, (req, res) => {
+  res.json({
+    success: true,
+    templates: Object.values(NOTE_TEMPLATES)
+  });
+});
+
 // @route   GET /api/session-notes/session/:sessionId
 // @desc    Get all notes for a session
 // @access  Private
@@ -198,11 +241,8 @@ router.get('/:noteId', auth, async (req, res) => {
 router.put('/:noteId', auth, async (req, res) => {
   try {
     const { noteId } = req.params;
-    const { content, changeDescription, isClientVisible } = req.body;
-    
-    if (!content) {
-      return res.status(400).json({ msg: 'Content is required' });
-    }
+    const { changeDescription, isClientVisible, sections } = req.body;
+    let { content } = req.body;
     
     // Verify user is a psychologist or admin
     const user = await User.findById(req.user.id);
@@ -221,12 +261,31 @@ router.put('/:noteId', auth, async (req, res) => {
       return res.status(403).json({ msg: 'Not authorized to update this note' });
     }
     
+    if (existingNote.signedAt) {
+      return res.status(409).json({ msg: 'Signed notes are locked; add an addendum instead' });
+    }
+    
+    let noteSections;
+    if (existingNote.template !== NOTE_TEMPLATE_KEYS.FREE_TEXT) {
+      const validation = validateNoteSections(existingNote.template, sections);
+      if (!validation.valid) {
+        return res.status(400).json({ msg: 'Note sections are incomplete or invalid', errors: validation.errors });
+      }
+      noteSections = validation.sections;
+      content = renderNoteContent(existingNote.template, noteSections);
+    }
+    
+    if (!content) {
+      return res.status(400).json({ msg: 'Content is required' });
+    }
+    
     // Create new version
     const newNote = await SessionNote.createNewVersion(
       noteId,
       content,
       req.user.id,
-      changeDescription || 'Note updated'
+      changeDescription || 'Note updated',
+      { sections: noteSections }
     );
     
     // Update client visibility if provided
@@ -301,8 +360,10 @@ router.get('/:noteId/versions', auth, async (req, res) => {
       _id: v._id,
       version: v.version,
       content: v.getDecryptedContent(),
+      template: v.template,
       author: v.author,
       isLatest: v.isLatest,
+      signedAt: v.signedAt,
       createdAt: v.createdAt,
       editHistory: v.editHistory
     }));
@@ -321,6 +382,136 @@ router.get('/:noteId/versions', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/session-notes/:noteId/sign
+// @desc    Sign and lock a note; afterwards only addenda are allowed
+// @access  Private (Session's psychologist only)
+router.post('/:noteId/sign', auth, async (req, res) => {
+  try {
+    const { noteId } = req.params;
+    
+    const user = await User.findById(req.user.id);
+    if (!user || user.role !== 'psychologist') {
+      return res.status(403).json({ msg: 'Only psychologists can sign session notes' });
+    }
+    
+    const note = await SessionNote.findById(noteId).populate('session');
+    if (!note) {
+      return res.status(404).json({ msg: 'Note not found' });
+    }
+    
+    if (note.session.psychologist.toString() !== req.user.id) {
+      return res.status(403).json({ msg: 'Not authorized to sign this note' });
+    }
+    
+    // Templated notes must be complete before they can be locked
+    if (note.template !== NOTE_TEMPLATE_KEYS.FREE_TEXT) {
+      const values = Object.fromEntries(note.sections.map(s => [s.key, note.decryptValue(s.value)]));
+      const validation = validateNoteSections(note.template, values);
+      if (!validation.valid) {
+        return res.status(400).json({ msg: 'Complete all required sections before signing', errors: validation.errors });
+      }
+    }
+    
+    try {
+      await note.sign(req.user.id);
+    } catch (signError) {
+      return res.status(409).json({ msg: signError.message });
+    }
+    
+    try {
+      await logSessionStatusChange({
+        sessionId: note.session._id.toString(),
+        previousStatus: `Note v${note.version}`,
+        newStatus: 'Note Signed',
+        reason: `Session note v${note.version} signed and locked`,
+        userId: req.user.id,
+        userRole: user.role,
+        ipAddress: req.ip
+      });
+    } catch (auditError) {
+      console.error('⚠️ Failed to log note signing:', auditError.message);
+    }
+    
+    res.json({
+      success: true,
+      msg: 'Session note signed and locked',
+      note: {
+        _id: note._id,
+        signedAt: note.signedAt,
+        signedBy: note.signedBy,
+        signatureHash: note.signatureHash,
+        isLocked: note.isLocked
+      }
+    });
+  } catch (err) {
+    console.error('Error signing session note:', err);
+    res.status(500).json({ msg: 'Server Error', error: err.message });
+  }
+});
+
+// @route   POST /api/session-notes/:noteId/addenda
+// @desc    Add an addendum to a signed note
+// @access  Private (Session's psychologist only)
+router.post('/:noteId/addenda', auth, async (req, res) => {
+  try {
+    const { noteId } = req.params;
+    const { content } = req.body;
+    
+    if (!content || !content.trim()) {
+      return res.status(400).json({ msg: 'Addendum content is required' });
+    }
+    
+    const user = await User.findById(req.user.id);
+    if (!user || user.role !== 'psychologist') {
+      return res.status(403).json({ msg: 'Only psychologists can add addenda' });
+    }
+    
+    const note = await SessionNote.findById(noteId).populate('session');
+    if (!note) {
+      return res.status(404).json({ msg: 'Note not found' });
+    }
+    
+    if (note.session.psychologist.toString() !== req.user.id) {
+      return res.status(403).json({ msg: 'Not authorized to add to this note' });
+    }
+    
+    let addendum;
+    try {
+      addendum = await note.addAddendum(req.user.id, content.trim());
+    } catch (addendumError) {
+      return res.status(409).json({ msg: addendumError.message });
+    }
+    
+    try {
+      await logSessionStatusChange({
+        sessionId: note.session._id.toString(),
+        previousStatus: 'Note Signed',
+        newStatus: 'Addendum Added',
+        reason: `Addendum added to signed session note v${note.version}`,
+        userId: req.user.id,
+        userRole: user.role,
+        ipAddress: req.ip
+      });
+    } catch (auditError) {
+      console.error('⚠️ Failed to log addendum:', auditError.message);
+    }
+    
+    res.status(201).json({
+      success: true,
+      msg: 'Addendum added',
+      addendum: {
+        _id: addendum._id,
+        author: addendum.author,
+        content: note.decryptValue(addendum.content),
+        createdAt: addendum.createdAt
+      }
+    });
+  } catch (err) {
+    console.error('Error adding addendum:', err);
+    res.status(500).json({ msg: 'Server Error', error: err.message });
+  }
+});
+
 // @route   PATCH /api/session-notes/:noteId/visibility
 // @desc    Toggle client visibility for a note
 // @access  Private (Psychologist only)
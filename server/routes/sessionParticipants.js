@@ -0,0 +1,80 @@
+/**
+ * Session Participant Routes
+ *
+ * API endpoints for co-participants on Couples and Family sessions:
+ * - Booking client or therapist links partner/family accounts
+ * - Co-participants see the sessions they attend
+ */
+
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middleware/auth');
+const { coParticipantService } = require('../services/coParticipantService');
+
+function errorStatus(error) {
+  if (error.message === 'Session not found' || error.message === 'Co-participant not found') return 404;
+  if (error.message.startsWith('Not authorized')) return 403;
+  return 400;
+}
+
+/**
+ * GET /api/session-participants/mine
+ * Sessions the logged-in user attends as a co-participant
+ */
+router.get('/mine', auth, async (req, res) => {
+  try {
+    const sessions = await coParticipantService.getCoParticipantSessions(req.user.id);
+    res.json({ success: true, sessions: sessions.map(session => session.getDecryptedData()) });
+  } catch (error) {
+    console.error('Co-participant sessions error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/session-participants/:sessionId
+ * Booking client and co-participants of a session
+ */
+router.get('/:sessionId', auth, async (req, res) => {
+  try {
+    const participants = await coParticipantService.getParticipants(req.user, req.params.sessionId);
+    res.json({ success: true, ...participants });
+  } catch (error) {
+    console.error('Session participants error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/session-participants/:sessionId
+ * Link a partner or family member's account to the session
+ * Body: { email, relationship? }
+ */
+router.post('/:sessionId', auth, async (req, res) => {
+  try {
+    const coParticipant = await coParticipantService.addCoParticipant(req.user, req.params.sessionId, req.body);
+    res.status(201).json({
+      success: true,
+      coParticipant: { _id: coParticipant._id, name: coParticipant.name, email: coParticipant.email }
+    });
+  } catch (error) {
+    console.error('Add co-participant error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/session-participants/:sessionId/:userId
+ * Unlink a co-participant (co-participants may remove themselves)
+ */
+router.delete('/:sessionId/:userId', auth, async (req, res) => {
+  try {
+    await coParticipantService.removeCoParticipant(req.user, req.params.sessionId, req.params.userId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Remove co-participant error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -13,9 +13,11 @@ const SessionRate = require('../models/SessionRate');
 const User = require('../models/User');
 const Session = require('../models/Session');
 const { auditLog } = require('../utils/auditLogger');
+const { summarizePricing } = require('../services/pricingService');
+const { currencyService, CURRENCY_CONFIG } = require('../services/currencyService');
 
 // Validation helper
-const validateRateData = (sessionType, amount, duration) => {
+const validateRateData = (sessionType, amount, duration, currency = 'KES') => {
   const errors = [];
   
   const validSessionTypes = ['Individual', 'Couples', 'Family', 'Group'];
@@ -31,6 +33,10 @@ const validateRateData = (sessionType, amount, duration) => {
     errors.push('Duration must be an integer between 15 and 240 minutes');
   }
   
+  if (!CURRENCY_CONFIG.SUPPORTED.includes(currency)) {
+    errors.push(`Currency must be one of: ${CURRENCY_CONFIG.SUPPORTED.join(', ')}`);
+  }
+  
   return errors;
 };
 
@@ -73,13 +79,18 @@ router.get('/therapist/rates', auth, requireRole('psychologist'), async (req, re
       return res.json({
         success: true,
         rates: defaultRates,
+        currencyRates: [],
         message: 'Showing default rates. Set custom rates to override.'
       });
     }
     
+    // Rates published in other currencies for international clients
+    const allRates = await SessionRate.getCurrentRates(therapistId, null);
+    
     res.json({
       success: true,
-      rates: currentRates
+      rates: currentRates,
+      currencyRates: allRates.filter(rate => rate.currency && rate.currency !== CURRENCY_CONFIG.BASE)
     });
     
   } catch (error) {
@@ -96,12 +107,12 @@ router.get('/therapist/rates', auth, requireRole('psychologist'), async (req, re
 router.get('/therapist/rates/history', auth, requireRole('psychologist'), async (req, res) => {
   try {
     const therapistId = req.user.id;
-    const { sessionType, limit = 50, skip = 0 } = req.query;
+    const { sessionType, currency, limit = 50, skip = 0 } = req.query;
     
     const rateHistory = await SessionRate.getRateHistory(
       therapistId, 
       sessionType, 
-      { limit: parseInt(limit), skip: parseInt(skip) }
+      { limit: parseInt(limit), skip: parseInt(skip), currency }
     );
     
     res.json({
@@ -128,10 +139,10 @@ router.get('/therapist/rates/history', auth, requireRole('psychologist'), async
 router.post('/therapist/rates', auth, requireRole('psychologist'), async (req, res) => {
   try {
     const therapistId = req.user.id;
-    const { sessionType, amount, duration, changeReason } = req.body;
+    const { sessionType, amount, duration, changeReason, currency = 'KES' } = req.body;
     
     // Validate input data
-    const validationErrors = validateRateData(sessionType, amount, duration);
+    const validationErrors = validateRateData(sessionType, amount, duration, currency);
     if (validationErrors.length > 0) {
       return res.status(400).json({
         success: false,
@@ -157,7 +168,7 @@ router.post('/therapist/rates', auth, requireRole('psychologist'), async (req, r
     }
     
     // Get current rate to check if it's actually changing
-    const currentRate = await SessionRate.getCurrentRate(therapistId, sessionType);
+    const currentRate = await SessionRate.getCurrentRate(therapistId, sessionType, currency);
     if (currentRate && currentRate.amount === amount && currentRate.duration === duration) {
       return res.status(400).json({
         success: false,
@@ -172,7 +183,8 @@ router.post('/therapist/rates', auth, requireRole('psychologist'), async (req, r
       amount,
       duration,
       therapistId, // createdBy
-      changeReason
+      changeReason,
+      currency
     );
     
     // Audit log the rate change
@@ -183,6 +195,7 @@ router.post('/therapist/rates', auth, requireRole('psychologist'), async (req, r
       userId: therapistId,
       details: {
         sessionType,
+        currency,
         newAmount: amount,
         newDuration: duration,
         previousAmount: currentRate?.amount || null,
@@ -234,6 +247,29 @@ router.get('/therapist/:therapistId/rates', async (req, res) => {
       });
     }
     
+    // Rates in the client's chosen currency, converted at today's exchange rate
+    // unless the therapist published one in that currency
+    const { currency } = req.query;
+    if (currency && currency !== CURRENCY_CONFIG.BASE) {
+      try {
+        const rates = await currencyService.quoteTherapistRates(therapistId, currency);
+        return res.json({
+          success: true,
+          currency,
+          rates,
+          therapist: {
+            id: therapist._id,
+            name: therapist.name
+          }
+        });
+      } catch (quoteError) {
+        return res.status(400).json({
+          success: false,
+          message: quoteError.message
+        });
+      }
+    }
+    
     // Get current rates
     const currentRates = await SessionRate.getCurrentRates(therapistId);
     
@@ -440,7 +476,9 @@ router.get('/sessions/:sessionId/locked-rate', auth, async (req, res) => {
       lockedRate: lockedRate || {
         message: 'No custom rate found, using default rate',
         isDefault: true
-      }
+      },
+      // Sliding-scale tier and sponsorship applied on top of the locked rate
+      pricing: summarizePricing(session)
     });
     
   } catch (error) {
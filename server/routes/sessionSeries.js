@@ -0,0 +1,166 @@
+/**
+ * Session Series Routes
+ *
+ * API endpoints for recurring session bookings.
+ * Occurrences are normal sessions; these routes only manage the series.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middleware/auth');
+const { sessionSeriesService, SERIES_CONFIG } = require('../services/sessionSeriesService');
+const { CANCELLATION_CONFIG } = require('../services/cancellationService');
+const { RESCHEDULE_CONFIG } = require('../services/reschedulingService');
+
+/**
+ * POST /api/session-series/request
+ * Book a recurring series of sessions (client only)
+ * Body: { psychologistId, sessionType, startDate, frequency, occurrences | until }
+ */
+router.post('/request', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'client') {
+      return res.status(403).json({ error: 'Only clients can book session series' });
+    }
+
+    const { psychologistId, sessionType, startDate, frequency, occurrences, until } = req.body;
+
+    const { series, sessions } = await sessionSeriesService.createSeries(req.user.id, {
+      psychologistId,
+      sessionType,
+      startDate,
+      frequency,
+      occurrences,
+      until
+    });
+
+    res.status(201).json({
+      success: true,
+      msg: `Series of ${sessions.length} sessions submitted for approval`,
+      series,
+      sessions: sessions.map(s => ({
+        id: s._id,
+        bookingReference: s.bookingReference,
+        sessionDate: s.sessionDate,
+        seriesIndex: s.seriesIndex,
+        status: s.status
+      }))
+    });
+  } catch (error) {
+    console.error('Session series request error:', error);
+    res.status(error.conflicts ? 409 : 400).json({
+      error: error.message,
+      conflicts: error.conflicts
+    });
+  }
+});
+
+/**
+ * GET /api/session-series/policy
+ * Recurrence options and limits
+ */
+router.get('/policy', auth, (req, res) => {
+  res.json({
+    frequencies: SERIES_CONFIG.FREQUENCIES,
+    minOccurrences: SERIES_CONFIG.MIN_OCCURRENCES,
+    maxOccurrences: SERIES_CONFIG.MAX_OCCURRENCES,
+    maxSeriesDays: SERIES_CONFIG.MAX_SERIES_DAYS,
+    scopes: SERIES_CONFIG.SCOPES
+  });
+});
+
+/**
+ * GET /api/session-series
+ * List series for the logged-in client or therapist
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const series = await sessionSeriesService.getUserSeries(req.user.id, req.user.role);
+    res.json({ success: true, series });
+  } catch (error) {
+    console.error('Session series list error:', error);
+    res.status(500).json({ error: 'Failed to load session series' });
+  }
+});
+
+/**
+ * GET /api/session-series/:id
+ * Series details with every occurrence
+ */
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const result = await sessionSeriesService.getSeries(req.params.id, req.user.id, req.user.role);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Session series fetch error:', error);
+    const status = error.message === 'Series not found' ? 404 : 403;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/session-series/:id/cancel
+ * Cancel one occurrence or the remaining series
+ * Body: { scope: 'occurrence' | 'remaining', sessionId?, reason, notes? }
+ */
+router.post('/:id/cancel', auth, async (req, res) => {
+  try {
+    const { scope, sessionId, reason, notes } = req.body;
+
+    if (!reason || !CANCELLATION_CONFIG.CANCELLATION_REASONS.includes(reason)) {
+      return res.status(400).json({
+        error: 'Valid cancellation reason is required',
+        validReasons: CANCELLATION_CONFIG.CANCELLATION_REASONS
+      });
+    }
+
+    const result = await sessionSeriesService.cancel(req.params.id, req.user.id, req.user.role, {
+      scope,
+      sessionId,
+      reason,
+      notes: notes || ''
+    });
+
+    res.json({ success: result.failures.length === 0, ...result });
+  } catch (error) {
+    console.error('Session series cancel error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/session-series/:id/reschedule
+ * Reschedule one occurrence or shift the remaining series
+ * Body: { scope: 'occurrence' | 'remaining', sessionId?, newDate, reason, notes? }
+ */
+router.post('/:id/reschedule', auth, async (req, res) => {
+  try {
+    const { scope, sessionId, newDate, reason, notes } = req.body;
+
+    if (!newDate) {
+      return res.status(400).json({ error: 'New date is required' });
+    }
+
+    if (!reason || !RESCHEDULE_CONFIG.RESCHEDULE_REASONS.includes(reason)) {
+      return res.status(400).json({
+        error: 'Valid reschedule reason is required',
+        validReasons: RESCHEDULE_CONFIG.RESCHEDULE_REASONS
+      });
+    }
+
+    const result = await sessionSeriesService.reschedule(req.params.id, req.user.id, req.user.role, {
+      scope,
+      sessionId,
+      newDate,
+      reason,
+      notes: notes || ''
+    });
+
+    res.json({ success: result.failures.length === 0, ...result });
+  } catch (error) {
+    console.error('Session series reschedule error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+module.exports = router;
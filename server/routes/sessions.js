@@ -10,6 +10,13 @@ const {
 const { generateMeetingLink } = require('../utils/meetingLinkGenerator');
 const SessionStatusManager = require('../utils/sessionStatusManager');
 const { logSessionStatusChange } = require('../utils/auditLogger');
+const { waitlistService } = require('../services/waitlistService');
+const { packageService } = require('../services/packageService');
+const { pricingService } = require('../services/pricingService');
+const { promoCodeService } = require('../services/promoCodeService');
+const { eapService } = require('../services/eapService');
+const { currencyService, isForeignCurrency, formatMoney } = require('../services/currencyService');
+const { eventBus, SESSION_EVENTS } = require('../src/events/eventBus');
 // Use Mongoose models
 const Session = require('../models/Session');
 const User = require('../models/User');
@@ -79,6 +86,19 @@ function validateSessionStatusTransition(currentStatus, newStatus) {
   return { valid: true };
 }
 
+/**
+ * Announce a newly booked session to listeners (e.g. outcome measures)
+ */
+function emitSessionBooked(session) {
+  eventBus.emitEvent(SESSION_EVENTS.BOOKED, {
+    sessionId: session._id.toString(),
+    therapistId: session.psychologist.toString(),
+    clientId: session.client.toString(),
+    sessionDate: session.sessionDate,
+    sessionType: session.sessionType
+  });
+}
+
 /**
  * Middleware to validate session status transitions
  * Applies to routes that change session status
@@ -127,7 +147,7 @@ const validateStatusTransition = async (req, res, next) => {
 // @desc    Create a new session booking request (pending therapist approval)
 // @access  Private (Client only)
 router.post('/request', auth, sessionEncryptionMiddleware, async (req, res) => {
-  const { psychologistId, sessionType, sessionDate, sessionRate, price } = req.body;
+  const { psychologistId, sessionType, sessionDate, sessionRate, price, pricingTierId, promoCode, sponsorshipFundId, billToEmployer, currency } = req.body;
 
   console.log('📝 Booking request received:', {
     userId: req.user.id,
@@ -164,6 +184,11 @@ router.post('/request', auth, sessionEncryptionMiddleware, async (req, res) => {
       return res.status(400).json({ msg: 'This time slot is already booked. Please choose another time.' });
     }
 
+    // Slot is being held for a waitlisted client
+    if (await waitlistService.isSlotHeld(psychologistId, sessionDate, req.user.id)) {
+      return res.status(400).json({ msg: 'This time slot is currently being offered to a waitlisted client. Please choose another time.' });
+    }
+
     // Lock the current rate for this booking (Requirements 14.3, 14.4)
     const { lockRateForBooking } = require('../utils/rateLockingService');
     const rateLockResult = await lockRateForBooking(psychologistId, sessionType);
@@ -184,6 +209,53 @@ router.post('/request', auth, sessionEncryptionMiddleware, async (req, res) => {
       source: lockedRate.source
     });
 
+    // Employer-covered sessions are billed to the company at its contract rate
+    let eap = null;
+    if (billToEmployer) {
+      if (pricingTierId || promoCode || sponsorshipFundId) {
+        return res.status(400).json({ msg: 'Employer-covered sessions cannot be combined with other discounts' });
+      }
+      try {
+        eap = await eapService.resolveForBooking({ clientId: req.user.id, sessionType, sessionDate });
+      } catch (eapError) {
+        return res.status(400).json({ msg: eapError.message });
+      }
+    }
+
+    // International clients see and pay the rate in their own currency; the
+    // exchange rate is locked with the booking
+    let quote = null;
+    if (currency && currency !== 'KES') {
+      if (eap) {
+        return res.status(400).json({ msg: 'Employer-covered sessions are billed in KES' });
+      }
+      try {
+        quote = await currencyService.quoteRate({ therapistId: psychologistId, sessionType, currency });
+      } catch (currencyError) {
+        return res.status(400).json({ msg: currencyError.message });
+      }
+    }
+    const standardRate = quote ? quote.kesAmount : lockedRate.amount;
+
+    // Sliding-scale tier, promo code and/or sponsorship the client asked for;
+    // foreign-currency bookings always keep their pricing so approval can't reprice them
+    let pricing = null;
+    if (quote || pricingTierId || promoCode || sponsorshipFundId) {
+      try {
+        pricing = await pricingService.priceBooking({
+          clientId: req.user.id,
+          therapistId: psychologistId,
+          sessionType,
+          standardRate,
+          tierId: pricingTierId,
+          promoCode,
+          fundId: sponsorshipFundId
+        });
+      } catch (pricingError) {
+        return res.status(400).json({ msg: pricingError.message });
+      }
+    }
+
     // Generate unique meeting link for video call
     const meetingLink = generateMeetingLink();
 
@@ -192,18 +264,57 @@ router.post('/request', auth, sessionEncryptionMiddleware, async (req, res) => {
       psychologist: psychologistId,
       sessionType,
       sessionDate,
-      price: lockedRate.amount, // Use locked rate amount
-      sessionRate: lockedRate.amount, // For backward compatibility
+      price: pricing ? pricing.clientAmount : lockedRate.amount, // Client's share of the locked rate
+      sessionRate: standardRate, // For backward compatibility
+      duration: lockedRate.duration,
+      pricing: pricing || undefined,
+      clientCurrency: quote ? currencyService.buildClientCurrency(quote, pricing.clientAmount) : undefined,
+      eap: eap || undefined,
       status: 'Pending Approval',
       paymentStatus: 'Pending',
       meetingLink: meetingLink,
       isVideoCall: true
     });
 
-    const session = await newSession.save();
+    if (eap) {
+      try {
+        await eapService.reserveAllowance(newSession);
+      } catch (eapError) {
+        return res.status(400).json({ msg: eapError.message });
+      }
+    }
+
+    if (pricing && pricing.discount) {
+      try {
+        await promoCodeService.redeemForSession(newSession);
+      } catch (promoError) {
+        return res.status(400).json({ msg: promoError.message });
+      }
+    }
+
+    if (pricing && pricing.subsidy) {
+      try {
+        await pricingService.reserveSubsidy(newSession, req.user.id);
+      } catch (subsidyError) {
+        await promoCodeService.releaseForSession(newSession, { note: 'Booking failed' });
+        return res.status(400).json({ msg: subsidyError.message });
+      }
+    }
+
+    let session;
+    try {
+      session = await newSession.save();
+    } catch (saveError) {
+      await pricingService.releaseSubsidy(newSession, { note: 'Booking failed' });
+      await promoCodeService.releaseForSession(newSession, { note: 'Booking failed' });
+      await eapService.releaseAllowance(newSession);
+      throw saveError;
+    }
     console.log('✅ Session request created successfully:', session._id);
     console.log('📋 Booking reference generated:', session.bookingReference);
     console.log('🎥 Meeting link generated:', meetingLink);
+
+    emitSessionBooked(session);
     
     // Send booking confirmation to client and notification to psychologist (Requirement 1.5)
     try {
@@ -277,6 +388,11 @@ router.post('/', auth, async (req, res) => {
       return res.status(400).json({ msg: 'This time slot is already booked or pending confirmation. Please choose another time.' });
     }
 
+    // Slot is being held for a waitlisted client
+    if (await waitlistService.isSlotHeld(psychologistId, sessionDate, req.user.id)) {
+      return res.status(400).json({ msg: 'This time slot is currently being offered to a waitlisted client. Please choose another time.' });
+    }
+
     // Lock the current rate for this booking (Requirements 14.3, 14.4)
     const { lockRateForBooking } = require('../utils/rateLockingService');
     const rateLockResult = await lockRateForBooking(psychologistId, sessionType);
@@ -307,6 +423,7 @@ router.post('/', auth, async (req, res) => {
       sessionDate,
       price: lockedRate.amount, // Use locked rate amount instead of client-provided price
       sessionRate: lockedRate.amount, // For backward compatibility
+      duration: lockedRate.duration,
       meetingLink: meetingLink,
       isVideoCall: true
     });
@@ -314,6 +431,7 @@ router.post('/', auth, async (req, res) => {
     const session = await newSession.save();
     console.log('✅ Session created successfully:', session._id);
     console.log('🎥 Meeting link generated:', meetingLink);
+    emitSessionBooked(session);
     res.json(session);
   } catch (err) {
     console.error('❌ Session creation error:', err.message);
@@ -379,9 +497,10 @@ router.get('/:id([0-9a-fA-F]{24})', auth, sessionEncryptionMiddleware, async (re
       return res.status(404).json({ msg: 'Session not found' });
     }
 
-    // Check if user is authorized to view this session
-    if (session.client._id.toString() !== req.user.id && 
-        session.psychologist._id.toString() !== req.user.id) {
+    // Check if user is authorized to view this session (group sessions
+    // have no booking client; members use /api/group-sessions)
+    const isClient = session.client && session.client._id.toString() === req.user.id;
+    if (!isClient && session.psychologist._id.toString() !== req.user.id) {
       return res.status(403).json({ msg: 'Not authorized to view this session' });
     }
 
@@ -433,6 +552,25 @@ router.delete('/:id([0-9a-fA-F]{24})', auth, async (req, res) => {
     session.status = newStatus;
     session.cancelledBy = req.user.id;
     session.cancelledAt = new Date();
+
+    // Return any sponsorship subsidy to its fund, promo code use to its code
+    // and employer-covered session to the employee's allowance
+    try {
+      await pricingService.releaseSubsidy(session, { note: 'Session cancelled', userId: req.user.id });
+    } catch (subsidyError) {
+      console.error('⚠️ Failed to release sponsorship subsidy:', subsidyError.message);
+    }
+    try {
+      await promoCodeService.releaseForSession(session, { note: 'Session cancelled' });
+    } catch (promoError) {
+      console.error('⚠️ Failed to release promo code:', promoError.message);
+    }
+    try {
+      await eapService.releaseAllowance(session);
+    } catch (eapError) {
+      console.error('⚠️ Failed to release EAP allowance:', eapError.message);
+    }
+
     await session.save();
 
     // Log status change to audit trail
@@ -515,7 +653,7 @@ router.put('/:id/approve', auth, async (req, res) => {
 
     // Validate status transition
     const previousStatus = session.status;
-    const newStatus = 'Approved';
+    let newStatus = 'Approved';
     const validation = validateSessionStatusTransition(previousStatus, newStatus);
     
     if (!validation.valid) {
@@ -534,16 +672,64 @@ router.put('/:id/approve', auth, async (req, res) => {
     const mpesaNumber = psychologist?.psychologistDetails?.paymentInfo?.mpesaNumber || '0707439299';
     const mpesaName = psychologist?.psychologistDetails?.paymentInfo?.mpesaName || psychologist?.name;
     
+    // Sliding-scale, promo and sponsored bookings keep the price agreed at booking
+    const agreedPricing = session.pricing && session.pricing.clientAmount !== undefined ? session.pricing : null;
+    const fullyCovered = !!agreedPricing && agreedPricing.clientAmount === 0;
+    const employerCovered = !!session.eap && session.eap.status === 'reserved';
+
+    // A prepaid package credit pays for the session instead of asking for payment
+    let creditPurchase = null;
+    if (!agreedPricing && !employerCovered) {
+      try {
+        creditPurchase = await packageService.consumeCreditForSession(session);
+      } catch (creditError) {
+        console.error('⚠️ Failed to apply package credit:', creditError.message);
+      }
+    }
+    
     // Update session with validated state transition
-    session.status = newStatus;
     session.approvedBy = req.user.id;
     session.approvedAt = new Date();
-    session.paymentStatus = 'Pending';
-    session.sessionRate = sessionRate;
-    session.price = sessionRate;
-    session.paymentInstructions = `Send KSh ${sessionRate} to M-Pesa: ${mpesaNumber} (${mpesaName}). Use your name as reference.`;
+    if (employerCovered) {
+      // Approved → Confirmed in one step: billed to the employer on its monthly invoice
+      newStatus = 'Confirmed';
+      session.paymentStatus = 'Paid';
+      session.paymentMethod = 'eap';
+      session.paymentVerifiedAt = new Date();
+    } else if (creditPurchase) {
+      // Approved → Confirmed in one step: already paid for
+      newStatus = 'Confirmed';
+      session.paymentStatus = 'Paid';
+      session.paymentMethod = 'package_credit';
+      session.paymentVerifiedAt = new Date();
+      session.sessionRate = creditPurchase.perSessionPrice;
+      session.price = creditPurchase.perSessionPrice;
+      session.packageCredit = { clientPackage: creditPurchase._id, consumedAt: new Date() };
+    } else if (fullyCovered) {
+      // Approved → Confirmed in one step: sponsorship and/or the promo code cover the whole price
+      newStatus = 'Confirmed';
+      session.paymentStatus = 'Paid';
+      session.paymentMethod = agreedPricing.subsidy && agreedPricing.subsidy.amount ? 'sponsorship' : 'promo_code';
+      session.paymentVerifiedAt = new Date();
+    } else {
+      const amountDue = agreedPricing ? agreedPricing.clientAmount : sessionRate;
+      session.paymentStatus = 'Pending';
+      if (!agreedPricing) session.sessionRate = sessionRate;
+      session.price = amountDue;
+      session.paymentInstructions = isForeignCurrency(session)
+        ? `Pay ${formatMoney(session.clientCurrency.amount, session.clientCurrency.code)} by card from your dashboard.`
+        : `Send KSh ${amountDue} to M-Pesa: ${mpesaNumber} (${mpesaName}). Use your name as reference.`;
+    }
+    session.status = newStatus;
     
-    await session.save();
+    try {
+      await session.save();
+    } catch (saveError) {
+      if (creditPurchase) {
+        await packageService.restoreCreditForSession(session, { note: 'Approval failed' });
+      }
+      throw saveError;
+    }
 
     // Log status change to audit trail
     try {
@@ -551,7 +737,13 @@ router.put('/:id/approve', auth, async (req, res) => {
         sessionId: session._id.toString(),
         previousStatus,
         newStatus,
-        reason: 'Psychologist approved session booking',
+        reason: employerCovered
+          ? 'Psychologist approved session booking; covered by employer assistance programme'
+          : creditPurchase
+          ? 'Psychologist approved session booking; paid with package credit'
+          : fullyCovered
+            ? `Psychologist approved session booking; covered by ${session.paymentMethod === 'sponsorship' ? 'sponsorship' : 'promo code'}`
+            : 'Psychologist approved session booking',
         userId: req.user.id,
         userRole: 'psychologist',
         ipAddress: req.ip
@@ -563,18 +755,35 @@ router.put('/:id/approve', auth, async (req, res) => {
 
     console.log('✅ Session approved with status validation:', {
       sessionId: session._id,
-      amount: sessionRate,
+      amount: session.price,
+      paidWithCredit: !!creditPurchase,
+      fullyCovered,
+      employerCovered,
       previousStatus,
       newStatus,
       transition: `${previousStatus} → ${newStatus}`
     });
 
-    // Send email notification to client with payment instructions
+    // Send email notification to client with payment instructions (or credit confirmation)
     try {
-      const { sendSessionApprovalNotification } = require('../utils/notificationService');
+      const {
+        sendSessionApprovalNotification,
+        sendPackageCreditBookingNotification,
+        sendSponsoredBookingNotification,
+        sendEapBookingNotification
+      } = require('../utils/notificationService');
       const client = await User.findById(session.client);
       
-      await sendSessionApprovalNotification(session, client, psychologist);
+      if (employerCovered) {
+        const coverage = await eapService.getCoverage(session.client);
+        await sendEapBookingNotification(session, client, psychologist, coverage);
+      } else if (creditPurchase) {
+        await sendPackageCreditBookingNotification(session, client, psychologist, creditPurchase);
+      } else if (fullyCovered) {
+        await sendSponsoredBookingNotification(session, client, psychologist);
+      } else {
+        await sendSessionApprovalNotification(session, client, psychologist);
+      }
       console.log('✅ Session approval notification sent to client');
     } catch (notificationError) {
       console.error('⚠️ Failed to send approval notification:', notificationError.message);
@@ -583,8 +792,17 @@ router.put('/:id/approve', auth, async (req, res) => {
 
     res.json({ 
       success: true,
-      msg: 'Session approved successfully',
+      msg: employerCovered
+        ? 'Session approved and covered by the employer assistance programme'
+        : creditPurchase
+        ? 'Session approved and paid with a package credit'
+        : fullyCovered
+          ? 'Session approved with nothing left to pay'
+          : 'Session approved successfully',
       session,
+      packageCredit: creditPurchase
+        ? { clientPackage: creditPurchase._id, creditsRemaining: creditPurchase.creditsRemaining }
+        : null,
       statusTransition: {
         from: previousStatus,
         to: newStatus,
@@ -633,6 +851,24 @@ router.put('/:id/decline', auth, async (req, res) => {
 
     session.status = newStatus;
     session.declineReason = reason || 'Not available at this time';
+
+    // Return any sponsorship subsidy to its fund, promo code use to its code
+    // and employer-covered session to the employee's allowance
+    try {
+      await pricingService.releaseSubsidy(session, { note: 'Session declined', userId: req.user.id });
+    } catch (subsidyError) {
+      console.error('⚠️ Failed to release sponsorship subsidy:', subsidyError.message);
+    }
+    try {
+      await promoCodeService.releaseForSession(session, { note: 'Session declined' });
+    } catch (promoError) {
+      console.error('⚠️ Failed to release promo code:', promoError.message);
+    }
+    try {
+      await eapService.releaseAllowance(session);
+    } catch (eapError) {
+      console.error('⚠️ Failed to release EAP allowance:', eapError.message);
+    }
     
     await session.save();
 
@@ -978,6 +1214,7 @@ router.post('/instant', auth, async (req, res) => {
       sessionDate: new Date(), // Immediate
       price: lockedRate.amount, // Use locked rate amount instead of hardcoded price
       sessionRate: lockedRate.amount, // For backward compatibility
+      duration: lockedRate.duration,
       status: 'Booked', // Auto-approve instant sessions
       paymentStatus: 'Pending', // Still needs payment
       isVideoCall: true,
@@ -1108,11 +1345,12 @@ router.get('/history', auth, async (req, res) => {
         sessionType: session.sessionType,
         sessionDate: session.sessionDate,
         status: session.status,
-        client: {
+        // Group sessions have participants instead of a booking client
+        client: session.client ? {
           id: session.client._id,
           name: session.client.name,
           profilePicture: session.client.profilePicture
-        },
+        } : null,
         psychologist: {
           id: session.psychologist._id,
           name: session.psychologist.name,
@@ -1182,7 +1420,7 @@ router.get('/search/reference', auth, async (req, res) => {
     // Filter results based on user role
     let filteredSessions = sessions;
     if (user.role === 'client') {
-      filteredSessions = sessions.filter(s => s.client._id.toString() === req.user.id);
+      filteredSessions = sessions.filter(s => s.client && s.client._id.toString() === req.user.id);
     } else if (user.role === 'psychologist') {
       filteredSessions = sessions.filter(s => s.psychologist._id.toString() === req.user.id);
     }
@@ -1236,7 +1474,7 @@ router.get('/by-reference/:reference', auth, async (req, res) => {
 
     // Check authorization
     const user = await User.findById(req.user.id);
-    if (user.role === 'client' && session.client._id.toString() !== req.user.id) {
+    if (user.role === 'client' && !(session.client && session.client._id.toString() === req.user.id)) {
       return res.status(403).json({ msg: 'Not authorized to view this session' });
     }
     if (user.role === 'psychologist' && session.psychologist._id.toString() !== req.user.id) {
@@ -1391,13 +1629,14 @@ router.get('/therapist/history', auth, async (req, res) => {
         status: session.status,
         paymentStatus: session.paymentStatus,
         price: session.price || session.sessionRate,
-        client: {
+        // Group sessions have participants instead of a booking client
+        client: session.client ? {
           _id: session.client._id,
           name: session.client.name,
           email: session.client.email,
           phone: session.client.phone,
           profilePicture: session.client.profilePicture
-        },
+        } : null,
         callData: {
           startTime: session.videoCallStarted,
           endTime: session.videoCallEnded,
@@ -1478,6 +1717,11 @@ router.get('/therapist/session/:sessionId/details', auth, async (req, res) => {
     if (session.psychologist.toString() !== userId) {
       return res.status(403).json({ msg: 'Not authorized to view this session' });
     }
+
+    // This view is about one client; a group session's roster is at /api/group-sessions/:id
+    if (session.sessionType === 'Group') {
+      return res.status(400).json({ msg: 'Group session details are available from the group session roster' });
+    }
     
     // Get intake form (decrypted)
     const IntakeForm = require('../models/IntakeForm');
@@ -1925,26 +2169,9 @@ router.get('/my-session/:sessionId/recording', auth, async (req, res) => {
       return res.status(403).json({ msg: 'Recording consent was not provided for this session' });
     }
     
-    // Generate secure time-limited access link
-    // In production, this would generate a signed URL with expiration
-    const crypto = require('crypto');
-    const expiresAt = new Date(Date.now() + 60 * 60 * 1000); // 1 hour expiry
-    const token = crypto.randomBytes(32).toString('hex');
-    
-    // Log access for audit trail
-    try {
-      const { logPHIAccess } = require('../utils/auditLogger');
-      await logPHIAccess({
-        userId: userId,
-        action: 'RECORDING_ACCESS',
-        resourceType: 'session_recording',
-        resourceId: sessionId,
-        ipAddress: req.ip,
-        userAgent: req.get('User-Agent')
-      });
-    } catch (auditError) {
-      console.error('Failed to log recording access:', auditError);
-    }
+    // Signed, time-limited link; issuing it is audit logged
+    const { recordingService } = require('../services/recordingService');
+    const { recording, accessUrl, expiresAt } = await recordingService.issueAccessLink(sessionId, req.user, req.ip);
     
     res.json({
       success: true,
@@ -1952,10 +2179,9 @@ router.get('/my-session/:sessionId/recording', auth, async (req, res) => {
         sessionId: session._id,
         bookingReference: session.bookingReference,
         sessionDate: session.sessionDate,
-        // In production, this would be a signed URL
-        accessUrl: session.recordingUrl,
-        accessToken: token,
-        expiresAt: expiresAt,
+        accessUrl,
+        expiresAt,
+        mimeType: recording.mimeType,
         consentGiven: true,
         consentDate: session.recordingConsentDate || session.sessionDate
       }
@@ -1965,6 +2191,9 @@ router.get('/my-session/:sessionId/recording', auth, async (req, res) => {
     if (err.kind === 'ObjectId') {
       return res.status(404).json({ msg: 'Session not found' });
     }
+    if (err.message === 'No recording available for this session') {
+      return res.status(404).json({ msg: err.message });
+    }
     res.status(500).json({ msg: 'Server Error', error: err.message });
   }
 });
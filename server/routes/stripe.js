@@ -0,0 +1,176 @@
+/**
+ * Stripe Card Payment Routes
+ *
+ * Card payments for clients who can't pay with M-Pesa (e.g. diaspora):
+ * - Clients create a PaymentIntent and confirm it with Stripe.js
+ * - Stripe's signed webhook confirms or fails the payment
+ * All session payment state changes go through paymentService.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middleware/auth');
+const stripeAPI = require('../config/stripe');
+const Session = require('../models/Session');
+const { paymentService, STRIPE_PAYMENT_EVENTS, STRIPE_REFUND_EVENTS } = require('../services/paymentService');
+const { cancellationService } = require('../services/cancellationService');
+const { invoiceService } = require('../services/invoiceService');
+const { getChargeAmount } = require('../services/currencyService');
+const webhookSignature = require('../utils/webhookSignature');
+const auditLogger = require('../utils/auditLogger');
+
+function errorStatus(error) {
+  if (error.message === 'Session not found') return 404;
+  if (error.message.startsWith('Not authorized')) return 403;
+  if (error.message.startsWith('Card payments are not available')) return 503;
+  return 400;
+}
+
+/**
+ * GET /api/stripe/config
+ * Whether card payments are enabled and the publishable key for Stripe.js
+ */
+router.get('/config', auth, (req, res) => {
+  res.json({
+    success: true,
+    enabled: stripeAPI.isConfigured(),
+    publishableKey: stripeAPI.publishableKey || null,
+    currency: stripeAPI.currency
+  });
+});
+
+/**
+ * POST /api/stripe/create-intent
+ * Start a card payment for an approved session (clients)
+ * Body: { sessionId }
+ */
+router.post('/create-intent', auth, async (req, res) => {
+  try {
+    const { sessionId } = req.body;
+    if (!sessionId) {
+      return res.status(400).json({ error: 'Session ID is required' });
+    }
+
+    const session = await Session.findById(sessionId)
+      .populate('client', 'name email')
+      .populate('psychologist', 'name');
+    if (!session) {
+      throw new Error('Session not found');
+    }
+    if (session.client._id.toString() !== req.user.id) {
+      throw new Error('Not authorized to pay for this session');
+    }
+    if (session.status !== 'Approved') {
+      return res.status(400).json({
+        error: 'Session must be approved by therapist before payment',
+        currentStatus: session.status
+      });
+    }
+    if (session.paymentStatus === 'Paid') {
+      return res.status(400).json({ error: 'Session already paid' });
+    }
+    if (session.paymentStatus === 'Processing' && session.paymentMethod !== 'stripe') {
+      return res.status(409).json({ error: 'An M-Pesa payment is already in progress for this session' });
+    }
+
+    // Sessions booked in a foreign currency are charged in it at the locked rate
+    const charge = getChargeAmount(session, stripeAPI.currency);
+    const { paymentResult, reused } = await paymentService.initiatePayment(session, {
+      method: 'stripe',
+      amount: charge.amount,
+      currency: charge.currency,
+      clientEmail: session.client.email,
+      description: `${session.sessionType} Therapy with Dr. ${session.psychologist.name}`
+    });
+
+    if (!reused) {
+      await auditLogger.logAuditEvent({
+        action: 'CARD_PAYMENT_INITIATED',
+        userId: req.user.id,
+        sessionId: session._id,
+        details: { paymentIntentId: paymentResult.paymentIntentId, amount: paymentResult.amount, currency: paymentResult.currency }
+      });
+    }
+
+    res.json({
+      success: true,
+      clientSecret: paymentResult.clientSecret,
+      paymentIntentId: paymentResult.paymentIntentId,
+      amount: paymentResult.amount,
+      currency: paymentResult.currency,
+      publishableKey: stripeAPI.publishableKey || null
+    });
+  } catch (error) {
+    console.error('Card payment initiation error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/stripe/webhook
+ * Stripe event receiver (signature-verified, no user auth)
+ */
+router.post('/webhook', webhookSignature.stripeMiddleware(), async (req, res) => {
+  const event = req.body;
+
+  try {
+    const result = await paymentService.processStripeEvent(event);
+
+    if (!result.handled) {
+      console.log(`ℹ️ Stripe event ${event.type} not handled: ${result.reason}`);
+      return res.json({ received: true });
+    }
+
+    if (STRIPE_PAYMENT_EVENTS.includes(event.type) && !result.isDuplicate && !result.amountMismatch) {
+      const session = result.session;
+
+      auditLogger.logPaymentStatusChange({
+        sessionId: session._id.toString(),
+        previousStatus: result.previousStatus,
+        newStatus: session.paymentStatus,
+        reason: `Stripe webhook: ${event.type}`,
+        transactionID: session.stripeChargeId || null
+      });
+
+      try {
+        const {
+          sendPaymentConfirmationNotification,
+          sendTherapistPaymentNotification,
+          sendPaymentFailureNotification
+        } = require('../utils/notificationService');
+
+        if (session.paymentStatus === 'Paid') {
+          invoiceService.issueForSession(session._id)
+            .catch(error => console.error('⚠️ Failed to issue receipt:', error.message));
+          await sendPaymentConfirmationNotification(session, session.client, session.psychologist, session.stripeChargeId, session.paymentAmount);
+          await sendTherapistPaymentNotification(session, session.client, session.psychologist, session.stripeChargeId, session.paymentAmount);
+        } else {
+          const lastAttempt = session.paymentAttempts[session.paymentAttempts.length - 1];
+          await sendPaymentFailureNotification(session, session.client, lastAttempt ? lastAttempt.resultDesc : 'Card payment failed');
+        }
+      } catch (emailError) {
+        console.error('⚠️ Failed to send card payment notifications:', emailError.message);
+      }
+    }
+
+    // Refunds Stripe accepted as pending complete later
+    if (STRIPE_REFUND_EVENTS.includes(event.type) && result.status === 'processed' && result.previousStatus !== 'processed') {
+      invoiceService.issueForSession(result.session._id)
+        .catch(error => console.error('⚠️ Failed to issue credit note:', error.message));
+      try {
+        await cancellationService.initialize();
+        await cancellationService.sendRefundProcessedNotification(result.session, result.amount, result.transactionId);
+      } catch (emailError) {
+        console.error('⚠️ Failed to send card refund notification:', emailError.message);
+      }
+    }
+
+    res.json({ received: true });
+  } catch (error) {
+    console.error('❌ Stripe webhook processing error:', error);
+    // Non-2xx makes Stripe retry the event
+    res.status(500).json({ error: 'Webhook processing failed' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,146 @@
+/**
+ * Treatment Plan Routes
+ *
+ * API endpoints for structured treatment planning:
+ * - Therapists create and version a plan per client
+ * - Goal progress recorded against sessions
+ * - Clients see a summary of plans shared with them
+ */
+
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middleware/auth');
+const { treatmentPlanService } = require('../services/treatmentPlanService');
+
+function errorStatus(error) {
+  if (error.message === 'Treatment plan not found' || error.message === 'Goal not found') return 404;
+  if (error.message.startsWith('Not authorized')) return 403;
+  return 400;
+}
+
+/**
+ * POST /api/treatment-plans
+ * Create the plan for a client
+ * Body: { clientId, problems, goals, interventions, status?, reviewDate?, clientSummary?, isClientVisible? }
+ * Goals may reference problems, and interventions goals, by array index.
+ */
+router.post('/', auth, async (req, res) => {
+  try {
+    const plan = await treatmentPlanService.createPlan(req.user, req.body);
+    res.status(201).json({ success: true, plan });
+  } catch (error) {
+    console.error('Treatment plan create error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/treatment-plans/me
+ * Summaries of plans shared with the logged-in client
+ */
+router.get('/me', auth, async (req, res) => {
+  try {
+    const plans = await treatmentPlanService.getClientPlans(req.user.id);
+    res.json({ success: true, plans });
+  } catch (error) {
+    console.error('Client treatment plans error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/treatment-plans/client/:clientId
+ * Current plan for a client
+ * Query: therapistId (admins only)
+ */
+router.get('/client/:clientId', auth, async (req, res) => {
+  try {
+    const plan = await treatmentPlanService.getCurrentPlan(req.user, req.params.clientId, req.query.therapistId);
+    res.json({ success: true, plan });
+  } catch (error) {
+    console.error('Treatment plan fetch error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/treatment-plans/:id
+ * Update the plan (creates a new version)
+ * Body: { problems?, goals?, interventions?, status?, reviewDate?, clientSummary?, isClientVisible?, changeDescription? }
+ */
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const { changeDescription, ...changes } = req.body;
+    const plan = await treatmentPlanService.updatePlan(req.user, req.params.id, changes, changeDescription);
+    res.json({ success: true, plan });
+  } catch (error) {
+    console.error('Treatment plan update error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/treatment-plans/:id/goals/:goalId/progress
+ * Record progress towards a goal (creates a new version)
+ * Body: { percentComplete?, note?, sessionId?, status? }
+ */
+router.post('/:id/goals/:goalId/progress', auth, async (req, res) => {
+  try {
+    const plan = await treatmentPlanService.recordGoalProgress(req.user, req.params.id, req.params.goalId, req.body);
+    res.json({ success: true, plan });
+  } catch (error) {
+    console.error('Treatment plan progress error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * PATCH /api/treatment-plans/:id/visibility
+ * Share or hide the plan summary from the client
+ * Body: { isClientVisible }
+ */
+router.patch('/:id/visibility', auth, async (req, res) => {
+  try {
+    if (typeof req.body.isClientVisible !== 'boolean') {
+      return res.status(400).json({ error: 'isClientVisible must be a boolean' });
+    }
+    const plan = await treatmentPlanService.setClientVisibility(req.user, req.params.id, req.body.isClientVisible);
+    res.json({ success: true, plan: { _id: plan._id, isClientVisible: plan.isClientVisible } });
+  } catch (error) {
+    console.error('Treatment plan visibility error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/treatment-plans/:id/versions
+ * All versions of the plan, newest first
+ */
+router.get('/:id/versions', auth, async (req, res) => {
+  try {
+    const versions = await treatmentPlanService.getVersionHistory(req.user, req.params.id);
+    res.json({ success: true, totalVersions: versions.length, versions });
+  } catch (error) {
+    console.error('Treatment plan versions error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/treatment-plans/:id/notes
+ * Session notes linked to any version of the plan
+ */
+router.get('/:id/notes', auth, async (req, res) => {
+  try {
+    const notes = await treatmentPlanService.getLinkedNotes(req.user, req.params.id);
+    res.json({
+      success: true,
+      notes: notes.map(note => ({ ...note.toDecryptedObject(), author: note.author, session: note.session }))
+    });
+  } catch (error) {
+    console.error('Treatment plan notes error:', error);
+    res.status(errorStatus(error)).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -189,14 +189,7 @@ router.post('/quality', auth, async (req, res) => {
     }
     
     // Validate metrics structure
-    const validMetrics = {};
-    if (typeof metrics.videoLatency === 'number') validMetrics.videoLatency = metrics.videoLatency;
-    if (typeof metrics.audioLatency === 'number') validMetrics.audioLatency = metrics.audioLatency;
-    if (typeof metrics.packetLoss === 'number') validMetrics.packetLoss = metrics.packetLoss;
-    if (typeof metrics.bandwidth === 'number') validMetrics.bandwidth = metrics.bandwidth;
-    if (typeof metrics.videoQuality === 'string') validMetrics.videoQuality = metrics.videoQuality;
-    if (typeof metrics.audioQuality === 'string') validMetrics.audioQuality = metrics.audioQuality;
-    if (typeof metrics.connectionQuality === 'string') validMetrics.connectionQuality = metrics.connectionQuality;
+    const validMetrics = videoCallMetricsService.sanitizeQualityMetrics(metrics);
     
     // Record quality metrics
     videoCallMetricsService.recordQualityMetrics(sessionId, {
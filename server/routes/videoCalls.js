@@ -15,19 +15,88 @@ const {
   validateCallDuration 
 } = require('../utils/callDurationUtils');
 const SessionStatusManager = require('../utils/sessionStatusManager');
+const { isCoParticipant } = require('../utils/sessionParticipants');
 const { 
   logVideoCallAccess,
   logVideoCallStart,
   logVideoCallEnd,
   logVideoCallJoinAttempt,
-  logVideoCallSecurityValidation
+  logVideoCallSecurityValidation,
+  logTurnCredentialIssued,
+  retrieveAuditLogs,
+  ACTION_TYPES
 } = require('../utils/auditLogger');
+const { getCredentialExpiry, generateTurnCredentials, getSecretId } = require('../utils/turnCredentials');
+const { callModeService } = require('../services/callModeService');
 
 // Get WebRTC configuration (ICE servers)
+// With ?sessionId= participants also get TURN relay credentials scoped to
+// that session, valid until shortly after its scheduled end
 router.get('/config', auth, basicVideoCallSecurity, async (req, res) => {
+  const userId = req.user.id;
+  const { sessionId } = req.query;
+  const ipAddress = req.ip || req.connection.remoteAddress || 'unknown';
+  
   try {
     const webrtcConfig = require('../config/webrtc');
-    res.json({ iceServers: webrtcConfig.iceServers });
+    const iceServers = [...webrtcConfig.iceServers];
+    const turn = webrtcConfig.turn;
+    
+    if (!sessionId || !turn || !turn.secret || turn.urls.length === 0) {
+      return res.json({ iceServers, turnExpiresAt: null });
+    }
+    
+    const session = await global.Session.findByPk(sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    const isAuthorized = 
+      session.clientId === userId ||
+      isCoParticipant(session, userId) ||
+      session.psychologistId === userId ||
+      req.user.role === 'admin';
+    
+    if (!isAuthorized) {
+      await logVideoCallAccess({
+        userId,
+        sessionId,
+        action: 'turn-credentials',
+        userRole: req.user.role,
+        ipAddress,
+        success: false,
+        reason: 'Unauthorized access to session'
+      });
+      return res.status(403).json({ error: 'Unauthorized access to this session' });
+    }
+    
+    const expiresAt = getCredentialExpiry({
+      sessionDate: session.sessionDate,
+      durationMinutes: session.duration,
+      graceMinutes: turn.graceMinutes,
+      minTtlMinutes: turn.minTtlMinutes,
+      maxTtlMinutes: turn.maxTtlMinutes
+    });
+    const { urls, username, credential } = generateTurnCredentials({
+      secret: turn.secret,
+      urls: turn.urls,
+      sessionId,
+      userId,
+      expiresAt
+    });
+    iceServers.push({ urls, username, credential });
+    
+    await logTurnCredentialIssued({
+      userId,
+      sessionId,
+      userRole: req.user.role,
+      username,
+      expiresAt,
+      secretId: getSecretId(turn.secret),
+      ipAddress
+    });
+    
+    res.json({ iceServers, turnExpiresAt: expiresAt });
   } catch (error) {
     console.error('Get WebRTC config error:', error);
     res.status(500).json({ error: 'Failed to get WebRTC configuration' });
@@ -71,7 +140,7 @@ router.post('/generate-room/:sessionId', auth, videoCallSecurity, async (req, re
     }
     
     // Verify user is part of this session
-    const isClient = session.clientId === userId;
+    const isClient = session.clientId === userId || isCoParticipant(session, userId);
     const isPsychologist = session.psychologistId === userId;
     const isAdmin = req.user.role === 'admin';
     
@@ -349,6 +418,7 @@ router.get('/session/:sessionId', auth, sessionEncryptionMiddleware, async (req,
     const userId = req.user.id;
     const isAuthorized = 
       session.clientId === userId ||
+      isCoParticipant(session, userId) ||
       session.psychologistId === userId ||
       req.user.role === 'admin';
     
@@ -418,6 +488,7 @@ router.get('/can-join/:sessionId', auth, async (req, res) => {
     // Verify authorization
     const isAuthorized = 
       session.clientId === userId ||
+      isCoParticipant(session, userId) ||
       session.psychologistId === userId ||
       req.user.role === 'admin';
     
@@ -592,6 +663,27 @@ router.get('/history', auth, async (req, res) => {
   }
 });
 
+// Calls by the mode they ran in on poor networks (admin quality report)
+// Query: from, to (dates the calls started between)
+router.get('/call-modes/report', auth, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  
+  try {
+    const { from, to } = req.query;
+    if ([from, to].some(date => date && isNaN(new Date(date)))) {
+      return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+    
+    const report = await callModeService.getModeReport({ from, to });
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error('Call mode report error:', error);
+    res.status(500).json({ error: 'Failed to build call mode report' });
+  }
+});
+
 // Get security validation report for a session
 router.get('/security-report/:sessionId', auth, basicVideoCallSecurity, async (req, res) => {
   const userId = req.user.id;
@@ -618,6 +710,7 @@ router.get('/security-report/:sessionId', auth, basicVideoCallSecurity, async (r
     
     const isAuthorized = 
       session.clientId === userId ||
+      isCoParticipant(session, userId) ||
       session.psychologistId === userId ||
       req.user.role === 'admin';
     
@@ -658,6 +751,19 @@ router.get('/security-report/:sessionId', auth, basicVideoCallSecurity, async (r
     // Generate compliance report
     const complianceReport = encryptionValidator.generateComplianceReport(sessionId);
     
+    // Relay credentials issued for the session (who, until when, which secret)
+    const turnLogs = await retrieveAuditLogs({
+      sessionId,
+      actionType: ACTION_TYPES.VIDEO_CALL_TURN_CREDENTIALS
+    });
+    const turnCredentials = (turnLogs.logs || []).map(log => ({
+      userId: log.userId,
+      userRole: log.userType,
+      issuedAt: log.timestamp,
+      expiresAt: log.metadata?.expiresAt,
+      secretId: log.metadata?.secretId
+    }));
+    
     // Log successful security report access
     await logVideoCallSecurityValidation({
       userId,
@@ -675,6 +781,7 @@ router.get('/security-report/:sessionId', auth, basicVideoCallSecurity, async (r
       sessionId,
       validationResults,
       complianceReport,
+      turnCredentials,
       timestamp: new Date()
     });
   } catch (error) {
@@ -722,6 +829,7 @@ router.post('/validate-connection/:sessionId', auth, validateEncryption, async (
     
     const isAuthorized = 
       session.clientId === userId ||
+      isCoParticipant(session, userId) ||
       session.psychologistId === userId ||
       req.user.role === 'admin';
     
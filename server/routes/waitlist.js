@@ -0,0 +1,153 @@
+/**
+ * Waitlist Routes
+ *
+ * API endpoints for joining a fully-booked therapist's waitlist
+ * and claiming or declining offered slots.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middleware/auth');
+const { waitlistService, WAITLIST_CONFIG } = require('../services/waitlistService');
+
+/**
+ * GET /api/waitlist/policy
+ * Waitlist hold and limit settings
+ */
+router.get('/policy', auth, (req, res) => {
+  res.json({
+    offerHoldMinutes: WAITLIST_CONFIG.OFFER_HOLD_MINUTES,
+    minHoursBeforeSlot: WAITLIST_CONFIG.MIN_HOURS_BEFORE_SLOT,
+    maxActiveEntries: WAITLIST_CONFIG.MAX_ACTIVE_ENTRIES_PER_CLIENT,
+    maxPreferences: WAITLIST_CONFIG.MAX_PREFERENCES
+  });
+});
+
+/**
+ * POST /api/waitlist
+ * Join a therapist's waitlist (client only)
+ * Body: { therapistId, sessionType?, preferences: [{ dayOfWeek, startTime, endTime }], notes? }
+ */
+router.post('/', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'client') {
+      return res.status(403).json({ error: 'Only clients can join a waitlist' });
+    }
+
+    const { therapistId, sessionType, preferences, notes } = req.body;
+    if (!therapistId) {
+      return res.status(400).json({ error: 'Therapist is required' });
+    }
+
+    const { entry, position } = await waitlistService.joinWaitlist(req.user.id, {
+      therapistId,
+      sessionType,
+      preferences,
+      notes
+    });
+
+    res.status(201).json({
+      success: true,
+      msg: `You are number ${position} on the waitlist`,
+      entry,
+      position
+    });
+  } catch (error) {
+    console.error('Waitlist join error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/waitlist/mine
+ * Active waitlist entries for the logged-in client, with positions
+ */
+router.get('/mine', auth, async (req, res) => {
+  try {
+    const entries = await waitlistService.getClientEntries(req.user.id);
+    const withPositions = await Promise.all(entries.map(async (entry) => ({
+      ...entry.toObject(),
+      position: await waitlistService.getPosition(entry)
+    })));
+
+    res.json({ success: true, entries: withPositions });
+  } catch (error) {
+    console.error('Waitlist fetch error:', error);
+    res.status(500).json({ error: 'Failed to load waitlist entries' });
+  }
+});
+
+/**
+ * GET /api/waitlist/therapist
+ * Waitlist for the logged-in therapist
+ */
+router.get('/therapist', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'psychologist') {
+      return res.status(403).json({ error: 'Only therapists can view their waitlist' });
+    }
+
+    const entries = await waitlistService.getTherapistWaitlist(req.user.id);
+    res.json({ success: true, entries });
+  } catch (error) {
+    console.error('Therapist waitlist fetch error:', error);
+    res.status(500).json({ error: 'Failed to load waitlist' });
+  }
+});
+
+/**
+ * POST /api/waitlist/:id/claim
+ * Claim the offered slot - creates a booking request
+ */
+router.post('/:id/claim', auth, async (req, res) => {
+  try {
+    const { entry, session } = await waitlistService.claimOffer(req.params.id, req.user.id);
+
+    res.json({
+      success: true,
+      msg: 'Slot claimed. Your session request has been sent to the therapist for approval.',
+      entry,
+      session: {
+        id: session._id,
+        bookingReference: session.bookingReference,
+        sessionDate: session.sessionDate,
+        status: session.status
+      }
+    });
+  } catch (error) {
+    console.error('Waitlist claim error:', error);
+    const status = error.message === 'Waitlist entry not found' ? 404 : 400;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/waitlist/:id/decline
+ * Decline the offered slot and stay on the waitlist
+ */
+router.post('/:id/decline', auth, async (req, res) => {
+  try {
+    const { entry } = await waitlistService.declineOffer(req.params.id, req.user.id);
+    res.json({ success: true, msg: 'Offer declined. You remain on the waitlist.', entry });
+  } catch (error) {
+    console.error('Waitlist decline error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/waitlist/:id
+ * Leave a waitlist
+ */
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    await waitlistService.leaveWaitlist(req.params.id, req.user.id);
+    res.json({ success: true, msg: 'You have left the waitlist' });
+  } catch (error) {
+    console.error('Waitlist leave error:', error);
+    const status = error.message === 'Waitlist entry not found' ? 404 : 400;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+
+/**
+ * Migration Script: Session Rate Currencies
+ *
+ * Therapists can now publish a rate per session type in each currency.
+ * This script marks existing rates as KES and swaps the unique index that
+ * allowed one active rate per session type for one that allows one per
+ * session type and currency.
+ *
+ * Usage: node server/scripts/migrate-session-rate-currency.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const SessionRate = require('../models/SessionRate');
+const { dropIndexes } = require('../utils/databaseOptimization');
+
+const LEGACY_INDEX = 'unique_active_rate_per_therapist_session_type';
+
+async function main() {
+  const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/smiling-steps';
+
+  try {
+    console.log('📡 Connecting to MongoDB...');
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB\n');
+
+    const { modifiedCount } = await SessionRate.updateMany(
+      { currency: { $exists: false } },
+      { $set: { currency: 'KES' } }
+    );
+    console.log(`✅ Marked ${modifiedCount} existing rate(s) as KES`);
+
+    const indexes = await SessionRate.collection.indexes();
+    if (indexes.some(index => index.name === LEGACY_INDEX)) {
+      await dropIndexes('sessionrates', [LEGACY_INDEX]);
+    } else {
+      console.log('ℹ️ Legacy unique index already removed');
+    }
+
+    await SessionRate.createIndexes();
+    console.log('✅ Unique active rate index now includes currency');
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+main();
@@ -217,9 +217,13 @@ async function checkWindowOverlaps(therapistId, proposedWindow, excludeWindowId
  * @param {ObjectId} therapistId - The therapist's user ID
  * @param {Date} proposedDateTime - The proposed session start time
  * @param {Number} durationMinutes - Session duration in minutes
+ * @param {Object} options - Optional checks
+ * @param {Boolean} options.enforceMaxAdvance - Apply the window's max advance booking days (default true).
+ *   Recurring series reserve slots beyond the normal booking horizon.
  * @returns {Promise<Object>} - { available: boolean, reason?: string, suggestions?: Array }
  */
-async function checkBookingSlotAvailability(therapistId, proposedDateTime, durationMinutes = 60) {
+async function checkBookingSlotAvailability(therapistId, proposedDateTime, durationMinutes = 60, options = {}) {
+  const { enforceMaxAdvance = true } = options;
   const proposedDate = new Date(proposedDateTime);
   const dayOfWeek = proposedDate.getDay();
   const startTime = proposedDate.toTimeString().slice(0, 5);
@@ -322,7 +326,7 @@ async function checkBookingSlotAvailability(therapistId, proposedDateTime, durat
   const daysUntilSession = hoursUntilSession / 24;
   const maxAdvanceDays = matchingWindow?.maxAdvanceBookingDays || 30;
   
-  if (daysUntilSession > maxAdvanceDays) {
+  if (enforceMaxAdvance && daysUntilSession > maxAdvanceDays) {
     return {
       available: false,
       reason: `Bookings cannot be made more than ${maxAdvanceDays} days in advance`
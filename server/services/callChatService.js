@@ -0,0 +1,376 @@
+/**
+ * In-call Chat Service
+ *
+ * Text chat and file sharing during a video session, carried on the video
+ * call socket:
+ * - Messages are kept on the session record with their text encrypted
+ * - Shared files are checked by type, size and content signature, then
+ *   stored encrypted on disk; every upload and download is audit logged
+ * - After the call the therapist can share a file with the client as a
+ *   Resource that only the session's clients can see
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const encryption = require('../utils/encryption');
+const { getSessionAttendees, isSessionHost } = require('../utils/sessionParticipants');
+const { logCallChatFileEvent, ACTION_TYPES } = require('../utils/auditLogger');
+
+// Allowed attachment types with their extensions and leading bytes
+const ATTACHMENT_TYPES = {
+  'application/pdf': { extensions: ['.pdf'], signature: Buffer.from('%PDF-') },
+  'image/png': { extensions: ['.png'], signature: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  'image/jpeg': { extensions: ['.jpg', '.jpeg'], signature: Buffer.from([0xff, 0xd8, 0xff]) },
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': {
+    extensions: ['.docx'],
+    signature: Buffer.from([0x50, 0x4b, 0x03, 0x04])
+  },
+  'text/plain': { extensions: ['.txt'], signature: null }
+};
+
+const CALL_CHAT_CONFIG = {
+  STORAGE_DIR: process.env.CALL_CHAT_STORAGE_DIR || path.join(__dirname, '../uploads/call-chat'),
+  RESOURCE_DIR: path.join(__dirname, '../uploads/resources'),
+  MAX_MESSAGE_LENGTH: 2000,
+  MAX_ATTACHMENT_BYTES: 10 * 1024 * 1024,
+  MAX_MESSAGES: 1000,
+  ATTACHMENT_TYPES,
+  RESOURCE_CATEGORY: 'Session Materials'
+};
+
+/**
+ * Check a chat message's text
+ * @param {string} text - Message text
+ * @param {boolean} hasAttachment - Text is optional alongside a file
+ * @returns {Array<string>} - Validation errors
+ */
+function validateMessageText(text, hasAttachment = false) {
+  const errors = [];
+
+  if (text !== undefined && text !== null && typeof text !== 'string') {
+    errors.push('Message must be text');
+  } else if (!text || !text.trim()) {
+    if (!hasAttachment) errors.push('Message cannot be empty');
+  } else if (text.trim().length > CALL_CHAT_CONFIG.MAX_MESSAGE_LENGTH) {
+    errors.push(`Message cannot exceed ${CALL_CHAT_CONFIG.MAX_MESSAGE_LENGTH} characters`);
+  }
+
+  return errors;
+}
+
+/**
+ * Strip any path and unsafe characters from an uploaded file name
+ * @param {string} fileName
+ * @returns {string}
+ */
+function sanitizeFileName(fileName) {
+  const name = path.basename(String(fileName || '').replace(/\\/g, '/'))
+    .replace(/[^\w.\- ]/g, '_')
+    .replace(/^\.+/, '')
+    .trim();
+  return (name || 'file').slice(-100);
+}
+
+/**
+ * Scan a shared file before it is stored: the type must be allowed, match
+ * the file's extension and match what the contents actually are
+ * @param {Object} file - { fileName, mimeType, buffer }
+ * @returns {Array<string>} - Reasons the file was rejected
+ */
+function scanAttachment({ fileName, mimeType, buffer }) {
+  const errors = [];
+  const size = buffer ? buffer.length : 0;
+
+  if (!size) {
+    errors.push('File is empty');
+  } else if (size > CALL_CHAT_CONFIG.MAX_ATTACHMENT_BYTES) {
+    errors.push(`File exceeds ${CALL_CHAT_CONFIG.MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB`);
+  }
+
+  const type = ATTACHMENT_TYPES[mimeType];
+  if (!type) {
+    errors.push(`File type not allowed: ${mimeType || 'unknown'}`);
+    return errors;
+  }
+  if (!type.extensions.includes(path.extname(String(fileName || '')).toLowerCase())) {
+    errors.push('File extension does not match its type');
+  }
+  if (size) {
+    const contentMatches = type.signature
+      ? buffer.subarray(0, type.signature.length).equals(type.signature)
+      : !buffer.includes(0);
+    if (!contentMatches) errors.push('File contents do not match its type');
+  }
+
+  return errors;
+}
+
+/**
+ * A chat message as sent to participants, with its text decrypted
+ * @param {Object} message - Session callChat subdocument
+ * @returns {Object}
+ */
+function summarizeMessage(message) {
+  let text = '';
+  if (message.text) {
+    try {
+      text = encryption.decrypt(message.text);
+    } catch (error) {
+      text = '[Encrypted - Unable to decrypt]';
+    }
+  }
+
+  const attachment = message.attachment && message.attachment.storageKey
+    ? { fileName: message.attachment.fileName, mimeType: message.attachment.mimeType, size: message.attachment.size }
+    : null;
+
+  return {
+    id: message._id,
+    sender: message.sender,
+    senderRole: message.senderRole,
+    senderName: message.senderName,
+    text,
+    attachment,
+    resource: message.resource || null,
+    sentAt: message.sentAt
+  };
+}
+
+class CallChatService {
+  constructor() {
+    this.Session = null;
+    this.Resource = null;
+  }
+
+  async initialize() {
+    if (!this.Session) this.Session = require('../models/Session');
+    if (!this.Resource) this.Resource = require('../models/Resource');
+  }
+
+  getFilePath(key) {
+    return path.join(CALL_CHAT_CONFIG.STORAGE_DIR, key);
+  }
+
+  async getSession(sessionId) {
+    await this.initialize();
+    const session = await this.Session.findById(sessionId);
+    if (!session) throw new Error('Session not found');
+    return session;
+  }
+
+  assertParticipant(session, user) {
+    const attendees = getSessionAttendees(session).map(ref => String(ref._id || ref));
+    if (!isSessionHost(session, user.id, user.role) && !attendees.includes(String(user.id))) {
+      throw new Error('Not authorized to access this chat');
+    }
+  }
+
+  /**
+   * Add a message to the session record, up to the per-session limit
+   */
+  async appendMessage(sessionId, message) {
+    const updated = await this.Session.findOneAndUpdate(
+      { _id: sessionId, [`callChat.${CALL_CHAT_CONFIG.MAX_MESSAGES - 1}`]: { $exists: false } },
+      { $push: { callChat: message } },
+      { new: true, projection: { callChat: { $slice: -1 } } }
+    );
+    if (!updated) throw new Error('This session has reached its chat message limit');
+    return updated.callChat[0];
+  }
+
+  /**
+   * Post a text message
+   * @param {string} sessionId
+   * @param {Object} user - { id, role, name }
+   * @param {string} text
+   */
+  async postMessage(sessionId, user, text) {
+    const session = await this.getSession(sessionId);
+    this.assertParticipant(session, user);
+
+    const errors = validateMessageText(text);
+    if (errors.length > 0) throw new Error(errors.join('; '));
+
+    const message = await this.appendMessage(sessionId, {
+      sender: user.id,
+      senderRole: user.role,
+      senderName: user.name,
+      text: encryption.encrypt(text.trim())
+    });
+    return summarizeMessage(message);
+  }
+
+  /**
+   * Share a file, optionally with a message
+   * @param {string} sessionId
+   * @param {Object} user - { id, role, name }
+   * @param {Object} file - { fileName, mimeType, buffer, text }
+   * @param {string} ipAddress
+   */
+  async shareFile(sessionId, user, { fileName, mimeType, buffer, text }, ipAddress) {
+    const session = await this.getSession(sessionId);
+    this.assertParticipant(session, user);
+
+    const safeName = sanitizeFileName(fileName);
+    const errors = [
+      ...validateMessageText(text, true),
+      ...scanAttachment({ fileName: safeName, mimeType, buffer })
+    ];
+    if (errors.length > 0) throw new Error(errors.join('; '));
+
+    const messageId = new mongoose.Types.ObjectId();
+    const storageKey = `${sessionId}/${messageId}.enc`;
+    await fs.promises.mkdir(path.dirname(this.getFilePath(storageKey)), { recursive: true });
+    await fs.promises.writeFile(this.getFilePath(storageKey), encryption.encryptBuffer(buffer), { mode: 0o600 });
+
+    let message;
+    try {
+      message = await this.appendMessage(sessionId, {
+        _id: messageId,
+        sender: user.id,
+        senderRole: user.role,
+        senderName: user.name,
+        text: text && text.trim() ? encryption.encrypt(text.trim()) : undefined,
+        attachment: { fileName: safeName, mimeType, size: buffer.length, storageKey }
+      });
+    } catch (error) {
+      await fs.promises.rm(this.getFilePath(storageKey), { force: true });
+      throw error;
+    }
+
+    await logCallChatFileEvent({
+      actionType: ACTION_TYPES.CALL_CHAT_FILE_SHARED,
+      sessionId,
+      messageId,
+      userId: user.id,
+      userRole: user.role,
+      ipAddress,
+      metadata: { mimeType, size: buffer.length }
+    });
+
+    return summarizeMessage(message);
+  }
+
+  /**
+   * The session's chat history (participants and admins)
+   */
+  async listMessages(sessionId, user) {
+    const session = await this.getSession(sessionId);
+    this.assertParticipant(session, user);
+    return (session.callChat || []).map(summarizeMessage);
+  }
+
+  /**
+   * Decrypt a shared file for download (participants and admins)
+   * @returns {Promise<Object>} - { buffer, fileName, mimeType }
+   */
+  async openAttachment(sessionId, messageId, user, ipAddress) {
+    const session = await this.getSession(sessionId);
+    this.assertParticipant(session, user);
+
+    const message = session.callChat.id(messageId);
+    if (!message || !message.attachment || !message.attachment.storageKey) {
+      throw new Error('Attachment not found');
+    }
+
+    const buffer = encryption.decryptBuffer(
+      await fs.promises.readFile(this.getFilePath(message.attachment.storageKey))
+    );
+
+    await logCallChatFileEvent({
+      actionType: ACTION_TYPES.CALL_CHAT_FILE_ACCESS,
+      sessionId,
+      messageId,
+      userId: user.id,
+      userRole: user.role,
+      ipAddress
+    });
+
+    return { buffer, fileName: message.attachment.fileName, mimeType: message.attachment.mimeType };
+  }
+
+  /**
+   * Share a chat file with the session's clients as a Resource (therapist)
+   * @param {string} sessionId
+   * @param {string} messageId
+   * @param {Object} user
+   * @param {Object} details - { title, description, type }
+   * @param {string} ipAddress
+   */
+  async promoteToResource(sessionId, messageId, user, { title, description, type } = {}, ipAddress) {
+    const session = await this.getSession(sessionId);
+    if (!isSessionHost(session, user.id, user.role)) {
+      throw new Error('Not authorized: only the therapist can share files as resources');
+    }
+
+    const message = session.callChat.id(messageId);
+    if (!message || !message.attachment || !message.attachment.storageKey) {
+      throw new Error('Attachment not found');
+    }
+    if (message.resource) {
+      const existing = await this.Resource.findById(message.resource);
+      if (existing) return existing;
+    }
+
+    const { fileName, mimeType } = message.attachment;
+    const buffer = encryption.decryptBuffer(
+      await fs.promises.readFile(this.getFilePath(message.attachment.storageKey))
+    );
+    const filePath = path.join(CALL_CHAT_CONFIG.RESOURCE_DIR, `${Date.now()}-${fileName}`);
+    await fs.promises.mkdir(CALL_CHAT_CONFIG.RESOURCE_DIR, { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+
+    let resource;
+    try {
+      resource = await this.Resource.create({
+        title: title || fileName,
+        description: description || `Shared during your session on ${session.sessionDate.toDateString()}`,
+        type: type || 'Worksheet',
+        category: CALL_CHAT_CONFIG.RESOURCE_CATEGORY,
+        filePath,
+        fileName,
+        fileSize: buffer.length,
+        mimeType,
+        uploadedAt: new Date(),
+        downloadable: true,
+        requiresAuth: true,
+        accessLevel: 'client',
+        sharedWith: getSessionAttendees(session).map(ref => ref._id || ref),
+        createdBy: user.id
+      });
+    } catch (error) {
+      await fs.promises.rm(filePath, { force: true });
+      throw error;
+    }
+
+    await this.Session.updateOne(
+      { _id: sessionId, 'callChat._id': messageId },
+      { $set: { 'callChat.$.resource': resource._id } }
+    );
+
+    await logCallChatFileEvent({
+      actionType: ACTION_TYPES.CALL_CHAT_FILE_PROMOTED,
+      sessionId,
+      messageId,
+      userId: user.id,
+      userRole: user.role,
+      ipAddress,
+      metadata: { resourceId: String(resource._id) }
+    });
+
+    return resource;
+  }
+}
+
+const callChatService = new CallChatService();
+
+module.exports = {
+  callChatService,
+  CallChatService,
+  CALL_CHAT_CONFIG,
+  validateMessageText,
+  sanitizeFileName,
+  scanAttachment,
+  summarizeMessage
+};
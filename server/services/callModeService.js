@@ -0,0 +1,353 @@
+/**
+ * Call Mode Service
+ *
+ * Managed degradation of video calls on poor networks:
+ * - Participants' browsers report connection quality over the video socket
+ *   and videoCallMetricsService.recordQualityMetrics walks the call down a
+ *   ladder - lower resolution, video off, audio-only and finally a phone
+ *   bridge - stepping back up once the network recovers
+ * - Every change applies to the whole call and is kept on the session as
+ *   a timeline of modes, so billing and quality reports can see which mode
+ *   each session actually ran in
+ * - Reaching the phone bridge texts everyone in the session the dial-in
+ *   number and a PIN for the call
+ */
+
+const crypto = require('crypto');
+const { getSessionAttendees } = require('../utils/sessionParticipants');
+
+const CALL_MODE_CONFIG = {
+  // Best to worst
+  LADDER: ['full', 'low_resolution', 'video_off', 'audio_only', 'phone_bridge'],
+  REASONS: ['call_started', 'poor_network', 'network_recovered', 'restored_by_host'],
+  // Conference line callers join with the session's PIN; without one the
+  // ladder stops at audio-only
+  PHONE_BRIDGE_NUMBER: process.env.PHONE_BRIDGE_NUMBER || null,
+  // A report is poor past any of these (packet loss %, latency ms, bandwidth bps)
+  POOR: { packetLoss: 5, latency: 300, bandwidth: 150000 },
+  // ...and good only within all of these
+  GOOD: { packetLoss: 1, latency: 150, bandwidth: 1000000 },
+  // Consecutive reports from one participant before stepping down or up
+  STEP_DOWN_AFTER: 3,
+  STEP_UP_AFTER: 6,
+  // Quiet time after a change before the next step down / step up
+  STEP_DOWN_COOLDOWN_MS: 15 * 1000,
+  STEP_UP_COOLDOWN_MS: 60 * 1000
+};
+
+const { LADDER } = CALL_MODE_CONFIG;
+
+const rankOf = (mode) => Math.max(0, LADDER.indexOf(mode));
+
+/**
+ * Grade one quality report from a participant
+ * @param {Object} metrics - { packetLoss, videoLatency, audioLatency, bandwidth, connectionQuality }
+ * @param {Object} config - Thresholds (defaults to CALL_MODE_CONFIG)
+ * @returns {string} - 'poor', 'fair' or 'good'
+ */
+function classifyQualityReport(metrics = {}, config = CALL_MODE_CONFIG) {
+  const packetLoss = Number.isFinite(metrics.packetLoss) ? metrics.packetLoss : 0;
+  const latency = Math.max(
+    Number.isFinite(metrics.videoLatency) ? metrics.videoLatency : 0,
+    Number.isFinite(metrics.audioLatency) ? metrics.audioLatency : 0
+  );
+  // Browsers that cannot estimate bandwidth report 0; treat that as unknown
+  const bandwidth = Number.isFinite(metrics.bandwidth) && metrics.bandwidth > 0 ? metrics.bandwidth : null;
+
+  if (packetLoss > config.POOR.packetLoss ||
+      latency > config.POOR.latency ||
+      (bandwidth !== null && bandwidth < config.POOR.bandwidth) ||
+      metrics.connectionQuality === 'poor' ||
+      metrics.connectionQuality === 'offline') {
+    return 'poor';
+  }
+
+  if (packetLoss <= config.GOOD.packetLoss &&
+      latency <= config.GOOD.latency &&
+      (bandwidth === null || bandwidth >= config.GOOD.bandwidth)) {
+    return 'good';
+  }
+
+  return 'fair';
+}
+
+const endsWithRun = (grades, grade, length) =>
+  grades.length >= length && grades.slice(-length).every(g => g === grade);
+
+/**
+ * Decide whether a call should change mode
+ *
+ * Any one participant with a run of poor reports steps the call down one
+ * rung; stepping back up needs a run of good reports from everyone who is
+ * reporting. The phone bridge is only left by the therapist.
+ *
+ * @param {Object} state - { mode, changedAt, grades: { userId: ['good', ...] } }
+ * @param {Object} options - { now, phoneBridgeAvailable, config }
+ * @returns {Object|null} - { mode, previousMode, reason } or null to stay
+ */
+function evaluateCallMode(state, {
+  now = Date.now(),
+  phoneBridgeAvailable = !!CALL_MODE_CONFIG.PHONE_BRIDGE_NUMBER,
+  config = CALL_MODE_CONFIG
+} = {}) {
+  const mode = state.mode || 'full';
+  const rank = rankOf(mode);
+  const sinceChange = state.changedAt ? now - new Date(state.changedAt).getTime() : Infinity;
+  const reporters = Object.values(state.grades || {});
+
+  if (mode === 'phone_bridge') return null;
+
+  const lowestRank = phoneBridgeAvailable ? rankOf('phone_bridge') : rankOf('audio_only');
+  const struggling = reporters.some(grades => endsWithRun(grades, 'poor', config.STEP_DOWN_AFTER));
+  if (struggling) {
+    if (rank >= lowestRank || sinceChange < config.STEP_DOWN_COOLDOWN_MS) return null;
+    return { mode: LADDER[rank + 1], previousMode: mode, reason: 'poor_network' };
+  }
+
+  const recovered = reporters.length > 0 &&
+    reporters.every(grades => endsWithRun(grades, 'good', config.STEP_UP_AFTER));
+  if (recovered && rank > 0 && sinceChange >= config.STEP_UP_COOLDOWN_MS) {
+    return { mode: LADDER[rank - 1], previousMode: mode, reason: 'network_recovered' };
+  }
+
+  return null;
+}
+
+/**
+ * Add a mode change to a session's timeline of modes
+ * @param {Array} segments - Existing [{ mode, reason, startedAt, endedAt }]
+ * @param {Object} change - { mode, reason, at, callStartedAt }
+ * @returns {Array} - New timeline
+ */
+function appendModeSegment(segments = [], { mode, reason, at, callStartedAt }) {
+  const timeline = segments.map(segment => ({ ...segment }));
+
+  // Every call starts in full mode
+  if (timeline.length === 0) {
+    timeline.push({ mode: 'full', reason: 'call_started', startedAt: callStartedAt || at });
+  }
+
+  const open = timeline[timeline.length - 1];
+  if (!open.endedAt) open.endedAt = at;
+
+  timeline.push({ mode, reason, startedAt: at });
+  return timeline;
+}
+
+/**
+ * Seconds spent in each mode, the mode the session mostly ran in (the one
+ * billed) and the lowest it dropped to
+ * @param {Array} segments - Timeline of modes (may be empty if never degraded)
+ * @param {Object} call - { startedAt, endedAt }
+ * @returns {Object} - { segments, durations, primary, lowest, current }
+ */
+function summarizeCallModes(segments = [], { startedAt, endedAt }) {
+  const timeline = segments.length > 0
+    ? segments.map(segment => ({ ...segment }))
+    : [{ mode: 'full', reason: 'call_started', startedAt }];
+
+  const open = timeline[timeline.length - 1];
+  if (!open.endedAt) open.endedAt = endedAt;
+
+  const durations = Object.fromEntries(LADDER.map(mode => [mode, 0]));
+  timeline.forEach(({ mode, startedAt: from, endedAt: to }) => {
+    const seconds = Math.max(0, Math.round((new Date(to) - new Date(from)) / 1000));
+    durations[mode] += seconds;
+  });
+
+  // Ties go to the better mode
+  const primary = LADDER.reduce((best, mode) => (durations[mode] > durations[best] ? mode : best), LADDER[0]);
+  const lowest = timeline.reduce((worst, { mode }) => (rankOf(mode) > rankOf(worst) ? mode : worst), LADDER[0]);
+
+  return { segments: timeline, durations, primary, lowest, current: open.mode };
+}
+
+/**
+ * Call counts and minutes per mode across sessions, for quality reports
+ * @param {Array} sessions - Sessions with a summarized callMode
+ * @returns {Object}
+ */
+function buildCallModeReport(sessions) {
+  const byMode = () => Object.fromEntries(LADDER.map(mode => [mode, 0]));
+  const report = {
+    totalCalls: 0,
+    degradedCalls: 0,
+    callsByPrimaryMode: byMode(),
+    callsByLowestMode: byMode(),
+    minutesByMode: byMode()
+  };
+
+  sessions.forEach(({ callMode }) => {
+    if (!callMode || !callMode.primary) return;
+
+    report.totalCalls += 1;
+    if (callMode.lowest && callMode.lowest !== 'full') report.degradedCalls += 1;
+    report.callsByPrimaryMode[callMode.primary] += 1;
+    report.callsByLowestMode[callMode.lowest || callMode.primary] += 1;
+    LADDER.forEach(mode => {
+      report.minutesByMode[mode] += (callMode.durations?.[mode] || 0) / 60;
+    });
+  });
+
+  LADDER.forEach(mode => {
+    report.minutesByMode[mode] = Math.round(report.minutesByMode[mode] * 10) / 10;
+  });
+  report.degradedRate = report.totalCalls > 0 ? report.degradedCalls / report.totalCalls : 0;
+
+  return report;
+}
+
+// Six-digit PIN that puts phone callers into this session's conference
+const createBridgePin = () => String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+class CallModeService {
+  constructor() {
+    this.Session = null;
+    this.notificationService = null;
+  }
+
+  async initialize() {
+    if (!this.Session) this.Session = require('../models/Session');
+    try { if (!this.notificationService) this.notificationService = require('../utils/notificationService'); } catch (e) {}
+  }
+
+  /**
+   * Keep a mode change on the session. Returns the phone bridge details
+   * when the call has just moved to the phone bridge.
+   */
+  async recordModeChange(sessionId, { mode, reason }, at = new Date()) {
+    await this.initialize();
+    const session = await this.Session.findById(sessionId)
+      .select('callMode videoCallStarted client psychologist participants')
+      .lean();
+    if (!session) throw new Error('Session not found');
+
+    const current = session.callMode || {};
+    const segments = appendModeSegment(current.segments || [], {
+      mode,
+      reason,
+      at,
+      callStartedAt: session.videoCallStarted
+    });
+    const lowest = rankOf(mode) > rankOf(current.lowest) ? mode : (current.lowest || 'full');
+    const phoneBridgePin = mode === 'phone_bridge' && !current.phoneBridgePin
+      ? createBridgePin()
+      : current.phoneBridgePin;
+
+    await this.Session.updateOne(
+      { _id: session._id },
+      {
+        $set: {
+          'callMode.current': mode,
+          'callMode.lowest': lowest,
+          'callMode.segments': segments,
+          'callMode.phoneBridgePin': phoneBridgePin
+        }
+      }
+    );
+
+    console.log(`📶 Session ${sessionId} call mode: ${mode} (${reason})`);
+
+    if (mode !== 'phone_bridge') return { phoneBridge: null };
+
+    const phoneBridge = { number: CALL_MODE_CONFIG.PHONE_BRIDGE_NUMBER, pin: phoneBridgePin };
+    await this.sendPhoneBridgeInstructions(session, phoneBridge);
+    return { phoneBridge };
+  }
+
+  /**
+   * Text the dial-in number and PIN to the therapist and everyone the
+   * booking covers
+   */
+  async sendPhoneBridgeInstructions(session, phoneBridge) {
+    await this.initialize();
+    if (!this.notificationService) return;
+
+    const User = require('../models/User');
+    const ids = [session.psychologist, ...getSessionAttendees(session)]
+      .filter(Boolean)
+      .map(ref => ref._id || ref);
+    const recipients = await User.find({ _id: { $in: ids }, phone: { $ne: null } }).select('phone');
+
+    const notificationTemplates = require('../utils/notificationTemplates');
+    const message = notificationTemplates.phoneBridgeInstructionsSMS(phoneBridge);
+
+    for (const recipient of recipients) {
+      try {
+        await this.notificationService.sendSMS({ to: recipient.phone, message });
+      } catch (error) {
+        console.error('⚠️ Failed to send phone bridge instructions:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Dial-in details for a call that has moved to the phone bridge
+   */
+  async getPhoneBridge(sessionId) {
+    await this.initialize();
+    const session = await this.Session.findById(sessionId).select('callMode').lean();
+    if (!session || session.callMode?.current !== 'phone_bridge') return null;
+    return { number: CALL_MODE_CONFIG.PHONE_BRIDGE_NUMBER, pin: session.callMode.phoneBridgePin };
+  }
+
+  /**
+   * Call ended: close the timeline and work out the mode it ran in
+   */
+  async finishCall(sessionId) {
+    await this.initialize();
+    const session = await this.Session.findById(sessionId)
+      .select('callMode videoCallStarted videoCallEnded')
+      .lean();
+    if (!session || !session.videoCallStarted) return null;
+
+    const summary = summarizeCallModes(session.callMode?.segments || [], {
+      startedAt: session.videoCallStarted,
+      endedAt: session.videoCallEnded || new Date()
+    });
+
+    await this.Session.updateOne(
+      { _id: session._id },
+      {
+        $set: {
+          'callMode.current': summary.current,
+          'callMode.lowest': summary.lowest,
+          'callMode.primary': summary.primary,
+          'callMode.durations': summary.durations,
+          'callMode.segments': summary.segments
+        }
+      }
+    );
+
+    return summary;
+  }
+
+  /**
+   * Calls per mode for sessions whose call started in the given range
+   */
+  async getModeReport({ from, to } = {}) {
+    await this.initialize();
+    const query = { 'callMode.primary': { $exists: true } };
+    if (from || to) {
+      query.videoCallStarted = {};
+      if (from) query.videoCallStarted.$gte = new Date(from);
+      if (to) query.videoCallStarted.$lte = new Date(to);
+    }
+
+    const sessions = await this.Session.find(query).select('callMode').lean();
+    return { from: from || null, to: to || null, ...buildCallModeReport(sessions) };
+  }
+}
+
+const callModeService = new CallModeService();
+
+module.exports = {
+  callModeService,
+  CallModeService,
+  CALL_MODE_CONFIG,
+  classifyQualityReport,
+  evaluateCallMode,
+  appendModeSegment,
+  summarizeCallModes,
+  buildCallModeReport
+};
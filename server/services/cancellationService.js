@@ -14,6 +14,8 @@
 const { SESSION_STATES } = require('../constants/sessionStates');
 const { PAYMENT_STATES } = require('../constants/paymentStates');
 const { logAuditEvent } = require('../utils/auditLogger');
+const { getParticipant } = require('../utils/sessionParticipants');
+const { eventBus, SESSION_EVENTS } = require('../src/events/eventBus');
 
 /**
  * Cancellation Policy Configuration
@@ -68,6 +70,8 @@ const CANCELLATION_CONFIG = {
   AUTO_APPROVE_REFUND_THRESHOLD: 5000
 };
 
+const GROUP_CANCELLATION_MESSAGE = 'Group sessions are cancelled through /api/group-sessions so each paid seat is refunded';
+
 class CancellationService {
   constructor() {
     this.Session = null;
@@ -87,6 +91,11 @@ class CancellationService {
     
     const session = await this.Session.findById(sessionId).populate('client psychologist', 'name email');
     if (!session) return { eligible: false, reason: 'Session not found' };
+
+    // Group sessions have no booking client; each seat is refunded separately
+    if (session.sessionType === 'Group') {
+      return { eligible: false, reason: GROUP_CANCELLATION_MESSAGE };
+    }
     
     // Check if user is authorized
     const isClient = session.client._id.toString() === userId;
@@ -147,8 +156,14 @@ class CancellationService {
    * - Therapist cancellation: always full refund
    * - Admin cancellation: always full refund
    * - Client cancellation: tiered based on timing
+   * - Package credit: restored only on a full refund, otherwise forfeited
+   * - Employer-covered session: nothing to refund, the client paid nothing
    */
   calculateRefundAmount(session, cancelledBy, hoursUntilSession) {
+    if (session.paymentMethod === 'eap' || (session.eap && session.eap.status === 'reserved')) {
+      return { amount: 0, percentage: 0, reason: 'Covered by employer assistance programme; session returned to allowance' };
+    }
+
     // Therapist or admin cancellation always gets full refund
     if (cancelledBy === 'therapist' && CANCELLATION_CONFIG.THERAPIST_CANCELLATION_FULL_REFUND) {
       return { amount: session.price, percentage: 100, reason: 'Therapist-initiated cancellation' };
@@ -160,6 +175,16 @@ class CancellationService {
     
     // Client cancellation uses tiered policy
     const percentage = this.calculateRefundPercentage(hoursUntilSession);
+
+    // A package credit cannot be split: only a full refund gives it back
+    if (session.paymentMethod === 'package_credit' && percentage < 100) {
+      return {
+        amount: 0,
+        percentage: 0,
+        reason: `Package credit forfeited (credits are only restored with ${CANCELLATION_CONFIG.FULL_REFUND_HOURS}+ hours notice)`
+      };
+    }
+
     const amount = Math.round(session.price * (percentage / 100));
     
     // Apply minimum refund threshold
@@ -221,6 +246,7 @@ class CancellationService {
     session.refundStatus = eligibility.refundAmount > 0 ? 'pending' : 'not_applicable';
     session.refundAmount = eligibility.refundAmount;
     session.refundPercentage = eligibility.refundPercentage;
+    await this.releaseBookingDiscounts(session, userId);
 
     await session.save();
 
@@ -245,13 +271,17 @@ class CancellationService {
 
     // Process refund if applicable
     let refundResult = null;
-    if (eligibility.refundAmount > 0 && session.paymentStatus === PAYMENT_STATES.CONFIRMED) {
+    if (eligibility.refundAmount > 0 && session.paymentMethod === 'package_credit') {
+      refundResult = await this.restorePackageCredit(session, userId);
+    } else if (eligibility.refundAmount > 0 && ['Paid', 'Confirmed', PAYMENT_STATES.CONFIRMED].includes(session.paymentStatus)) {
       refundResult = await this.processRefund(session, eligibility.refundAmount);
     }
 
     // Send notifications
     await this.sendCancellationNotifications(session, eligibility, refundResult);
 
+    this.emitSlotReleased(session, eligibility.cancelledBy);
+
     return {
       success: true,
       sessionId,
@@ -264,60 +294,165 @@ class CancellationService {
   }
 
   /**
-   * Process M-Pesa refund
+   * Announce that a cancelled session's time slot is free again
    */
-  async processRefund(session, refundAmount) {
+  emitSlotReleased(session, cancelledBy) {
+    eventBus.emitEvent(SESSION_EVENTS.CANCELLED, {
+      sessionId: session._id.toString(),
+      therapistId: session.psychologist._id.toString(),
+      clientId: session.client ? session.client._id.toString() : undefined,
+      sessionDate: session.sessionDate,
+      duration: session.duration,
+      sessionType: session.sessionType,
+      cancelledBy
+    });
+  }
+
+  /**
+   * Return a sponsorship subsidy to its fund, a promo code use to its code
+   * and an employer-covered session to the employee's allowance; the refund
+   * policy only applies to the client's own share. The caller saves the
+   * session.
+   */
+  async releaseBookingDiscounts(session, userId) {
+    const { pricingService } = require('./pricingService');
+    const { promoCodeService } = require('./promoCodeService');
+    const { eapService } = require('./eapService');
+
     try {
-      session.refundStatus = 'processing';
-      await session.save();
+      await pricingService.releaseSubsidy(session, { note: 'Session cancelled', userId });
+    } catch (error) {
+      console.error('Sponsorship subsidy release error:', error);
+    }
+    try {
+      await promoCodeService.releaseForSession(session, { note: 'Session cancelled' });
+    } catch (error) {
+      console.error('Promo code release error:', error);
+    }
+    try {
+      await eapService.releaseAllowance(session);
+    } catch (error) {
+      console.error('EAP allowance release error:', error);
+    }
+  }
 
-      await logAuditEvent({
-        action: 'REFUND_INITIATED',
-        userId: session.client._id,
-        resourceType: 'payment',
-        resourceId: session.mpesaTransactionId || session._id,
-        metadata: { sessionId: session._id, originalAmount: session.price, refundAmount, paymentMethod: 'mpesa' }
+  /**
+   * Refund a session booked with a package credit by returning the credit
+   */
+  async restorePackageCredit(session, userId) {
+    const { packageService } = require('./packageService');
+
+    let purchase = null;
+    try {
+      purchase = await packageService.restoreCreditForSession(session, {
+        note: 'Refund for cancelled session',
+        userId
       });
+    } catch (error) {
+      console.error('Package credit restore error:', error);
+    }
 
-      // Attempt M-Pesa refund
-      let mpesaRefundResult = null;
-      try {
-        const mpesaService = require('../config/mpesa');
-        if (mpesaService && mpesaService.initiateRefund && session.mpesaTransactionId) {
-          mpesaRefundResult = await mpesaService.initiateRefund({
-            transactionId: session.mpesaTransactionId,
-            amount: refundAmount,
-            phoneNumber: session.client.phone,
-            reason: `Refund for cancelled session ${session._id}`
-          });
-        }
-      } catch (mpesaError) {
-        console.error('M-Pesa refund error:', mpesaError.message);
-      }
+    if (purchase) {
+      session.refundStatus = 'processed';
+      session.refundProcessedAt = new Date();
+      session.refundNotes = 'Package credit restored';
+    } else {
+      session.refundStatus = 'pending_manual';
+    }
+    await session.save();
 
-      if (mpesaRefundResult && mpesaRefundResult.success) {
-        session.refundStatus = 'processed';
-        session.refundTransactionId = mpesaRefundResult.transactionId;
-        session.refundProcessedAt = new Date();
-        
-        // Send refund processed notification
-        await this.sendRefundProcessedNotification(session, refundAmount, mpesaRefundResult.transactionId);
-      } else {
-        session.refundStatus = 'pending_manual';
-        session.refundNotes = 'Automatic refund failed. Manual processing required.';
+    await logAuditEvent({
+      action: purchase ? 'REFUND_COMPLETED' : 'REFUND_PENDING_MANUAL',
+      userId,
+      resourceType: 'payment',
+      resourceId: session._id,
+      metadata: {
+        refundMethod: 'package_credit',
+        clientPackageId: session.packageCredit && session.packageCredit.clientPackage,
+        creditsRemaining: purchase ? purchase.creditsRemaining : undefined
       }
+    });
+
+    return {
+      success: !!purchase,
+      status: session.refundStatus,
+      amount: session.refundAmount,
+      creditsRemaining: purchase ? purchase.creditsRemaining : undefined
+    };
+  }
 
+  /**
+   * Refund a session paid by card through the payment service
+   */
+  async processCardRefund(session, refundAmount) {
+    const { paymentService } = require('./paymentService');
+
+    await logAuditEvent({
+      action: 'REFUND_INITIATED',
+      userId: session.client._id,
+      resourceType: 'payment',
+      resourceId: session.stripePaymentIntentId || session._id,
+      metadata: { sessionId: session._id, originalAmount: session.price, refundAmount, paymentMethod: 'stripe' }
+    });
+
+    let result;
+    try {
+      result = await paymentService.refundPayment(session, {
+        refundAmount,
+        reason: `Refund for cancelled session ${session._id}`,
+        userId: session.client._id
+      });
+    } catch (error) {
+      console.error('Card refund error:', error.message);
+      session.refundStatus = 'pending_manual';
+      session.refundNotes = error.message;
       await session.save();
+      result = { success: false, status: 'pending_manual' };
+    }
+
+    if (session.refundStatus === 'processed') {
+      await this.sendRefundProcessedNotification(session, refundAmount, session.refundTransactionId);
+    }
+
+    await logAuditEvent({
+      action: { processed: 'REFUND_COMPLETED', processing: 'REFUND_PROCESSING' }[session.refundStatus] || 'REFUND_PENDING_MANUAL',
+      userId: session.client._id,
+      resourceType: 'payment',
+      resourceId: session._id,
+      metadata: { refundAmount, refundStatus: session.refundStatus, transactionId: session.refundTransactionId, refundMethod: 'stripe' }
+    });
+
+    return { success: result.success, status: session.refundStatus, amount: refundAmount, transactionId: session.refundTransactionId };
+  }
+
+  /**
+   * Process M-Pesa refund
+   */
+  async processRefund(session, refundAmount) {
+    if (session.sessionType === 'Group') {
+      throw new Error(GROUP_CANCELLATION_MESSAGE);
+    }
+    if (session.paymentMethod === 'stripe') {
+      return this.processCardRefund(session, refundAmount);
+    }
+
+    try {
+      session.refundStatus = 'processing';
+      await session.save();
+
+      // Send the refund as an M-Pesa B2C payment; the result callback completes it
+      const { refundService } = require('./refundService');
+      const mpesaRefundResult = await refundService.processMpesaRefund(session, refundAmount, 'SESSION_CANCELLED');
 
       await logAuditEvent({
-        action: session.refundStatus === 'processed' ? 'REFUND_COMPLETED' : 'REFUND_PENDING_MANUAL',
+        action: session.refundStatus === 'pending_manual' ? 'REFUND_PENDING_MANUAL' : 'REFUND_PROCESSING',
         userId: session.client._id,
         resourceType: 'payment',
         resourceId: session._id,
-        metadata: { refundAmount, refundStatus: session.refundStatus, transactionId: session.refundTransactionId }
+        metadata: { refundAmount, refundStatus: session.refundStatus, refundId: mpesaRefundResult.refundId }
       });
 
-      return { success: session.refundStatus === 'processed', status: session.refundStatus, amount: refundAmount, transactionId: session.refundTransactionId };
+      return { success: mpesaRefundResult.success, status: session.refundStatus, amount: refundAmount, transactionId: session.refundTransactionId };
     } catch (error) {
       console.error('Refund processing error:', error);
       session.refundStatus = 'failed';
@@ -335,6 +470,9 @@ class CancellationService {
     const notificationTemplates = require('../utils/notificationTemplates');
     const notificationsSent = [];
 
+    // Group members are notified per seat by groupSessionService
+    if (session.sessionType === 'Group') return notificationsSent;
+
     // Prepare template data
     const clientEmailData = {
       clientName: session.client.name,
@@ -457,6 +595,9 @@ class CancellationService {
       return notificationsSent;
     }
 
+    // Group seat refunds are confirmed per seat by refundService
+    if (session.sessionType === 'Group') return notificationsSent;
+
     // Populate session if needed
     let populatedSession = session;
     if (!session.client?.email) {
@@ -562,6 +703,7 @@ class CancellationService {
       .populate('client', 'name email phone')
       .populate('psychologist', 'name email');
     if (!session) throw new Error('Session not found');
+    if (session.sessionType === 'Group') throw new Error(GROUP_CANCELLATION_MESSAGE);
     if (session.refundStatus === 'processed') throw new Error('Refund already processed');
 
     session.refundStatus = 'processed';
@@ -570,6 +712,14 @@ class CancellationService {
     session.refundProcessedBy = adminId;
     await session.save();
 
+    // Close any automatic refund so reconciliation doesn't resend it
+    const { refundService } = require('./refundService');
+    await refundService.recordManualRefund(session._id, transactionId);
+
+    const { invoiceService } = require('./invoiceService');
+    invoiceService.issueForSession(session._id)
+      .catch(error => console.error('Credit note issue error:', error));
+
     await logAuditEvent({
       action: 'REFUND_MANUALLY_PROCESSED',
       userId: adminId,
@@ -584,6 +734,45 @@ class CancellationService {
     return { success: true, session };
   }
 
+  /**
+   * Manually process the refund of one group seat (admin)
+   */
+  async manuallyProcessSeatRefund(sessionId, clientId, adminId, transactionId) {
+    await this.initialize();
+    const session = await this.Session.findOne({ _id: sessionId, sessionType: 'Group' })
+      .populate('participants.client', 'name email phone')
+      .populate('psychologist', 'name email');
+    if (!session) throw new Error('Session not found');
+
+    const participant = getParticipant(session, clientId);
+    if (!participant || participant.status !== 'cancelled') throw new Error('Seat not found');
+    if (participant.refundStatus === 'processed') throw new Error('Refund already processed');
+
+    participant.refundStatus = 'processed';
+    participant.refundTransactionId = transactionId;
+    participant.refundProcessedAt = new Date();
+    await session.save();
+
+    const { refundService } = require('./refundService');
+    await refundService.recordManualRefund(session._id, transactionId, { clientId });
+
+    const { invoiceService } = require('./invoiceService');
+    invoiceService.issueForSeat(session._id, clientId)
+      .catch(error => console.error('Credit note issue error:', error));
+
+    await logAuditEvent({
+      action: 'REFUND_MANUALLY_PROCESSED',
+      userId: adminId,
+      resourceType: 'payment',
+      resourceId: sessionId,
+      metadata: { clientId, refundAmount: participant.refundAmount, transactionId }
+    });
+
+    await refundService.sendRefundConfirmation(session, participant.refundAmount, { transactionId }, participant);
+
+    return { success: true, seat: participant };
+  }
+
   /**
    * Admin cancellation of a session (always full refund)
    * Requirements: 9.3, 9.4
@@ -593,6 +782,7 @@ class CancellationService {
 
     const session = await this.Session.findById(sessionId).populate('client psychologist', 'name email phone');
     if (!session) throw new Error('Session not found');
+    if (session.sessionType === 'Group') throw new Error(GROUP_CANCELLATION_MESSAGE);
 
     // Check if session can be cancelled
     const terminalStatuses = [SESSION_STATES.COMPLETED, SESSION_STATES.CANCELLED, SESSION_STATES.NO_SHOW_CLIENT, SESSION_STATES.NO_SHOW_THERAPIST];
@@ -614,6 +804,7 @@ class CancellationService {
     session.refundStatus = refundInfo.amount > 0 ? 'approved' : 'not_applicable';
     session.refundAmount = refundInfo.amount;
     session.refundPercentage = refundInfo.percentage;
+    await this.releaseBookingDiscounts(session, adminId);
 
     await session.save();
 
@@ -629,7 +820,9 @@ class CancellationService {
 
     // Process refund if applicable
     let refundResult = null;
-    if (refundInfo.amount > 0 && ['Paid', 'Confirmed', PAYMENT_STATES.CONFIRMED].includes(session.paymentStatus)) {
+    if (refundInfo.amount > 0 && session.paymentMethod === 'package_credit') {
+      refundResult = await this.restorePackageCredit(session, adminId);
+    } else if (refundInfo.amount > 0 && ['Paid', 'Confirmed', PAYMENT_STATES.CONFIRMED].includes(session.paymentStatus)) {
       refundResult = await this.processRefund(session, refundInfo.amount);
     }
 
@@ -642,6 +835,8 @@ class CancellationService {
     };
     await this.sendCancellationNotifications(session, eligibility, refundResult);
 
+    this.emitSlotReleased(session, 'admin');
+
     return {
       success: true,
       sessionId,
@@ -0,0 +1,250 @@
+/**
+ * Clinical Instrument Service
+ *
+ * Consistent scoring for standardised instruments (PHQ-9, GAD-7):
+ * - Every item must be answered exactly once
+ * - Totals map to the instrument's published severity bands
+ * - Subscale and brief-screen scores (PHQ-2, GAD-2)
+ * - Critical items (e.g. PHQ-9 item 9) are flagged for therapist review
+ */
+
+const { INSTRUMENTS } = require('../constants/clinicalInstruments');
+
+/**
+ * Look up an instrument definition
+ * @param {string} code - Instrument code (e.g. 'PHQ9')
+ * @returns {Object}
+ */
+function getInstrument(code) {
+  const instrument = INSTRUMENTS[code];
+  if (!instrument) {
+    throw new Error(`Unknown clinical instrument: ${code}`);
+  }
+  return instrument;
+}
+
+/**
+ * Find the severity band for a total score
+ * @returns {Object} - { min, max, severity, label }
+ */
+function getSeverityBand(code, totalScore) {
+  const instrument = getInstrument(code);
+  const band = instrument.severityBands.find(b => totalScore >= b.min && totalScore <= b.max);
+  if (!band) {
+    throw new Error(`Score ${totalScore} is outside the ${instrument.title} range`);
+  }
+  return band;
+}
+
+/**
+ * Score a completed instrument
+ *
+ * @param {string} code - Instrument code
+ * @param {Array} itemScores - [{ itemNumber, score }] covering every item once
+ * @returns {Object} - { totalScore, severity, interpretation, subscaleScores, criticalFlags, requiresReview }
+ */
+function scoreInstrument(code, itemScores) {
+  const instrument = getInstrument(code);
+  const validScores = instrument.options.map(o => o.score);
+  const byItem = new Map();
+
+  for (const { itemNumber, score } of itemScores || []) {
+    if (!instrument.items.some(i => i.itemNumber === itemNumber)) {
+      throw new Error(`Invalid item ${itemNumber} for ${instrument.title}`);
+    }
+    if (byItem.has(itemNumber)) {
+      throw new Error(`Item ${itemNumber} answered more than once`);
+    }
+    if (!validScores.includes(score)) {
+      throw new Error(`Invalid score ${score} for item ${itemNumber}`);
+    }
+    byItem.set(itemNumber, score);
+  }
+
+  const missing = instrument.items.filter(i => !byItem.has(i.itemNumber)).map(i => i.itemNumber);
+  if (missing.length > 0) {
+    throw new Error(`All items must be answered. Missing: ${missing.join(', ')}`);
+  }
+
+  const totalScore = [...byItem.values()].reduce((sum, score) => sum + score, 0);
+  const band = getSeverityBand(code, totalScore);
+
+  const subscaleScores = Object.entries(instrument.subscales).map(([key, subscale]) => {
+    const score = subscale.items.reduce((sum, item) => sum + byItem.get(item), 0);
+    const result = { key, label: subscale.label, score };
+    if (subscale.cutoff != null) {
+      result.positiveScreen = score >= subscale.cutoff;
+    }
+    return result;
+  });
+
+  const criticalFlags = instrument.criticalItems
+    .filter(c => byItem.get(c.itemNumber) >= c.minScore)
+    .map(c => ({
+      itemNumber: c.itemNumber,
+      score: byItem.get(c.itemNumber),
+      flag: c.flag,
+      label: c.label
+    }));
+
+  return {
+    totalScore,
+    severity: band.severity,
+    interpretation: band.label,
+    subscaleScores,
+    criticalFlags,
+    requiresReview: criticalFlags.length > 0
+  };
+}
+
+/**
+ * The instrument's own score for an option picked from a stored question.
+ * Matched by option text, or by position when the stored text has been
+ * reworded, so scores edited on the Assessment document are never used.
+ * @param {Object} instrument - Instrument definition
+ * @param {Object} question - Stored question
+ * @param {Object} option - The stored option that was selected
+ * @returns {number}
+ */
+function getInstrumentOptionScore(instrument, question, option) {
+  const normalise = (text) => String(text || '').trim().toLowerCase();
+  const byText = instrument.options.find(o => normalise(o.optionText) === normalise(option.optionText));
+  if (byText) return byText.score;
+
+  const byPosition = instrument.options[question.options.indexOf(option)];
+  if (!byPosition) {
+    throw new Error(`Invalid option "${option.optionText}" for ${instrument.title}`);
+  }
+  return byPosition.score;
+}
+
+class ClinicalInstrumentService {
+  constructor() {
+    this.Assessment = null;
+    this.AssessmentResult = null;
+  }
+
+  async initialize() {
+    if (!this.Assessment) this.Assessment = require('../models/Assessment');
+    if (!this.AssessmentResult) this.AssessmentResult = require('../models/AssessmentResult');
+  }
+
+  /**
+   * Create or update the Assessment document for every instrument. Run once
+   * at server startup; an older version is replaced in a single conditional
+   * upsert, so overlapping runs can't create duplicates
+   */
+  async ensureInstruments() {
+    await this.initialize();
+
+    for (const instrument of Object.values(INSTRUMENTS)) {
+      const data = {
+        title: instrument.title,
+        description: instrument.description,
+        instrumentCode: instrument.code,
+        instrumentVersion: instrument.version,
+        questions: instrument.items.map(item => ({
+          itemNumber: item.itemNumber,
+          questionText: item.text,
+          options: instrument.options
+        }))
+      };
+
+      try {
+        await this.Assessment.findOneAndUpdate(
+          {
+            instrumentCode: instrument.code,
+            $or: [{ instrumentVersion: { $lt: instrument.version } }, { instrumentVersion: { $exists: false } }]
+          },
+          { $set: data },
+          { upsert: true, runValidators: true }
+        );
+      } catch (error) {
+        // Already at this version (or seeded by a concurrent run)
+        if (error.code !== 11000) throw error;
+      }
+    }
+  }
+
+  /**
+   * Map submitted question/option IDs onto instrument items and score them
+   * with the instrument's option scores
+   *
+   * @param {Object} assessment - Assessment document with instrumentCode
+   * @param {Array} answers - [{ questionId, optionId }]
+   * @returns {Object} - { processedAnswers, scoring }
+   */
+  scoreSubmission(assessment, answers) {
+    const instrument = getInstrument(assessment.instrumentCode);
+    const processedAnswers = [];
+
+    for (const answer of answers || []) {
+      const question = assessment.questions.id(answer.questionId);
+      if (!question) {
+        throw new Error('Invalid question ID');
+      }
+      const option = question.options.id(answer.optionId);
+      if (!option) {
+        throw new Error('Invalid option ID');
+      }
+
+      processedAnswers.push({
+        question: answer.questionId,
+        selectedOption: answer.optionId,
+        itemNumber: question.itemNumber,
+        score: getInstrumentOptionScore(instrument, question, option)
+      });
+    }
+
+    const scoring = scoreInstrument(assessment.instrumentCode, processedAnswers);
+    return { processedAnswers, scoring };
+  }
+
+  /**
+   * Severity over time for one client and instrument
+   * @returns {Promise<Object>} - { instrument, results, change }
+   */
+  async getSeverityHistory(clientId, code) {
+    await this.initialize();
+    const instrument = getInstrument(code);
+
+    const results = await this.AssessmentResult.find({ user: clientId, instrumentCode: code })
+      .select('totalScore severity interpretation subscaleScores criticalFlags requiresReview completedAt')
+      .sort({ completedAt: 1 });
+
+    let change = null;
+    if (results.length >= 2) {
+      const first = results[0];
+      const latest = results[results.length - 1];
+      change = {
+        from: first.totalScore,
+        to: latest.totalScore,
+        difference: latest.totalScore - first.totalScore,
+        fromSeverity: first.severity,
+        toSeverity: latest.severity
+      };
+    }
+
+    return {
+      instrument: {
+        code: instrument.code,
+        title: instrument.title,
+        maxScore: instrument.severityBands[instrument.severityBands.length - 1].max,
+        severityBands: instrument.severityBands
+      },
+      results,
+      change
+    };
+  }
+}
+
+const clinicalInstrumentService = new ClinicalInstrumentService();
+
+module.exports = {
+  clinicalInstrumentService,
+  ClinicalInstrumentService,
+  getInstrument,
+  getSeverityBand,
+  getInstrumentOptionScore,
+  scoreInstrument
+};
@@ -0,0 +1,248 @@
+/**
+ * Co-Participant Service
+ *
+ * Linked participant accounts on Couples and Family sessions:
+ * - The booking client (or the therapist) adds partners and family members
+ * - Co-participants get reminders, the meeting link and video access
+ * - Payment stays with the booking client
+ * - Each co-participant completes their own agreement and intake form
+ */
+
+const auditLogger = require('../utils/auditLogger');
+
+const CO_PARTICIPANT_CONFIG = {
+  // Additional accounts allowed beside the booking client
+  MAX_CO_PARTICIPANTS: {
+    Couples: 1,
+    Family: 5
+  },
+  RELATIONSHIPS: ['partner', 'spouse', 'parent', 'child', 'sibling', 'guardian', 'other'],
+  // Participants can no longer change once the session is over or off
+  LOCKED_STATUSES: ['Completed', 'Cancelled', 'Declined']
+};
+
+const idOf = (ref) => String(ref && ref._id ? ref._id : ref);
+
+/**
+ * Check whether a user can be added as a co-participant on a session
+ * @param {Object} session - Session document
+ * @param {Object} user - Candidate user ({ _id, role })
+ * @param {string} relationship - Relationship to the booking client
+ * @returns {Array<string>} - Validation errors
+ */
+function validateCoParticipant(session, user, relationship) {
+  const errors = [];
+  const limit = CO_PARTICIPANT_CONFIG.MAX_CO_PARTICIPANTS[session.sessionType];
+
+  if (!limit) {
+    errors.push('Co-participants can only be added to Couples or Family sessions');
+    return errors;
+  }
+  if (CO_PARTICIPANT_CONFIG.LOCKED_STATUSES.includes(session.status)) {
+    errors.push(`Cannot change participants of a ${session.status.toLowerCase()} session`);
+  }
+  if (user.role !== 'client') {
+    errors.push('Co-participants must have a client account');
+  }
+  if (idOf(session.client) === idOf(user._id)) {
+    errors.push('The booking client is already part of this session');
+  }
+
+  const coParticipants = (session.participants || []).filter(p => p.role === 'co_participant');
+  if (coParticipants.some(p => idOf(p.client) === idOf(user._id))) {
+    errors.push('This person is already part of this session');
+  } else if (coParticipants.length >= limit) {
+    errors.push(`${session.sessionType} sessions allow at most ${limit} co-participant${limit === 1 ? '' : 's'}`);
+  }
+
+  if (relationship && !CO_PARTICIPANT_CONFIG.RELATIONSHIPS.includes(relationship)) {
+    errors.push(`Relationship must be one of: ${CO_PARTICIPANT_CONFIG.RELATIONSHIPS.join(', ')}`);
+  }
+
+  return errors;
+}
+
+class CoParticipantService {
+  constructor() {
+    this.Session = null;
+    this.User = null;
+  }
+
+  async initialize() {
+    if (!this.Session) this.Session = require('../models/Session');
+    if (!this.User) this.User = require('../models/User');
+  }
+
+  async getSession(sessionId) {
+    await this.initialize();
+    const session = await this.Session.findById(sessionId);
+    if (!session) {
+      throw new Error('Session not found');
+    }
+    return session;
+  }
+
+  /**
+   * Booking client, therapist or admin may manage who attends
+   */
+  assertCanManage(user, session) {
+    const isBookingClient = idOf(session.client) === user.id;
+    const isTherapist = idOf(session.psychologist) === user.id;
+    if (!isBookingClient && !isTherapist && user.role !== 'admin') {
+      throw new Error('Not authorized to manage participants of this session');
+    }
+  }
+
+  /**
+   * List the booking client and co-participants
+   */
+  async getParticipants(user, sessionId) {
+    const session = await this.getSession(sessionId);
+    const isCoParticipant = session.participants.some(
+      p => p.role === 'co_participant' && idOf(p.client) === user.id
+    );
+    if (!isCoParticipant) {
+      this.assertCanManage(user, session);
+    }
+
+    await session.populate('client', 'name email profilePicture');
+    await session.populate('participants.client', 'name email profilePicture');
+
+    return {
+      sessionType: session.sessionType,
+      bookingClient: session.client,
+      coParticipants: session.participants
+        .filter(p => p.role === 'co_participant')
+        .map(p => ({
+          client: p.client,
+          relationship: p.relationship,
+          addedAt: p.enrolledAt,
+          attendance: p.attendance
+        })),
+      maxCoParticipants: CO_PARTICIPANT_CONFIG.MAX_CO_PARTICIPANTS[session.sessionType] || 0
+    };
+  }
+
+  /**
+   * Link another client account to the session by email
+   */
+  async addCoParticipant(user, sessionId, { email, relationship }) {
+    const session = await this.getSession(sessionId);
+    this.assertCanManage(user, session);
+
+    if (!email) {
+      throw new Error('Email of the person to add is required');
+    }
+    const coParticipant = await this.User.findOne({ email: email.toLowerCase().trim() }).select('name email role');
+    if (!coParticipant) {
+      throw new Error('No account found with that email. Ask them to sign up first.');
+    }
+
+    const errors = validateCoParticipant(session, coParticipant, relationship);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    session.participants.push({
+      client: coParticipant._id,
+      role: 'co_participant',
+      status: 'enrolled',
+      enrolledAt: new Date(),
+      relationship,
+      addedBy: user.id
+    });
+    await session.save();
+
+    await auditLogger.logAuditEvent({
+      action: 'SESSION_CO_PARTICIPANT_ADDED',
+      userId: user.id,
+      targetUserId: coParticipant._id,
+      sessionId: session._id,
+      details: { sessionType: session.sessionType, relationship }
+    });
+
+    await this.notifyAdded(session, coParticipant);
+
+    return coParticipant;
+  }
+
+  /**
+   * Unlink a co-participant; co-participants may also remove themselves
+   */
+  async removeCoParticipant(user, sessionId, participantId) {
+    const session = await this.getSession(sessionId);
+    if (participantId !== user.id) {
+      this.assertCanManage(user, session);
+    }
+    if (CO_PARTICIPANT_CONFIG.LOCKED_STATUSES.includes(session.status)) {
+      throw new Error(`Cannot change participants of a ${session.status.toLowerCase()} session`);
+    }
+
+    const participant = session.participants.find(
+      p => p.role === 'co_participant' && idOf(p.client) === participantId
+    );
+    if (!participant) {
+      throw new Error('Co-participant not found');
+    }
+
+    participant.deleteOne();
+    await session.save();
+
+    await auditLogger.logAuditEvent({
+      action: 'SESSION_CO_PARTICIPANT_REMOVED',
+      userId: user.id,
+      targetUserId: participantId,
+      sessionId: session._id,
+      details: { sessionType: session.sessionType }
+    });
+  }
+
+  /**
+   * Sessions the user attends as a co-participant
+   */
+  async getCoParticipantSessions(userId) {
+    await this.initialize();
+    return this.Session.find({
+      participants: { $elemMatch: { client: userId, role: 'co_participant' } }
+    })
+      .populate('client', 'name profilePicture')
+      .populate('psychologist', 'name profilePicture')
+      .sort({ sessionDate: -1 });
+  }
+
+  async notifyAdded(session, coParticipant) {
+    try {
+      const { sendEmail } = require('../utils/notificationService');
+      await session.populate('client psychologist', 'name');
+      const sessionDate = new Date(session.sessionDate).toLocaleString('en-US', { timeZone: 'Africa/Nairobi' });
+
+      await sendEmail({
+        to: coParticipant.email,
+        subject: `You've been added to a ${session.sessionType} session | Smiling Steps`,
+        html: `
+          <p>Dear ${coParticipant.name},</p>
+          <p>${session.client.name} has added you to a ${session.sessionType.toLowerCase()} therapy session
+          with Dr. ${session.psychologist.name} on ${sessionDate}.</p>
+          <p>Before the session, please sign the confidentiality agreement and complete your intake form:</p>
+          <ul>
+            <li><a href="${process.env.CLIENT_URL}/forms/agreement">Confidentiality Agreement</a></li>
+            <li><a href="${process.env.CLIENT_URL}/forms/intake/${session._id}">Intake Form</a></li>
+          </ul>
+          <p>You'll receive reminders and the meeting link before the session. There is nothing to pay.</p>
+          <p>Best regards,<br><strong>Smiling Steps Team</strong></p>
+        `
+      });
+    } catch (error) {
+      console.error('⚠️ Failed to notify co-participant:', error.message);
+    }
+  }
+}
+
+const coParticipantService = new CoParticipantService();
+
+module.exports = {
+  coParticipantService,
+  CoParticipantService,
+  CO_PARTICIPANT_CONFIG,
+  validateCoParticipant
+};
@@ -0,0 +1,372 @@
+/**
+ * Currency Service
+ *
+ * Prices in a client's own currency for international clients:
+ * - Admins enable currencies and publish exchange rates (KES per unit) with
+ *   an effective date; a new rate never changes sessions already booked
+ * - Therapists may publish a rate in a foreign currency alongside their KES
+ *   rate; otherwise the KES rate is converted at the current exchange rate
+ * - At booking the exchange rate is locked on `Session.clientCurrency` and
+ *   card payments are charged in that currency
+ * KES stays the settlement currency: `Session.price` and everything derived
+ * from it (payouts, receipts, invoices) are KES, with the original currency
+ * kept for reporting.
+ */
+
+const auditLogger = require('../utils/auditLogger');
+
+const CURRENCY_CONFIG = {
+  BASE: 'KES',
+  SUPPORTED: ['KES', 'USD', 'EUR', 'GBP'],
+  // Decimal places amounts are shown and charged in
+  DECIMALS: { KES: 0, USD: 2, EUR: 2, GBP: 2 },
+  // A rate older than this is flagged to admins as needing an update
+  STALE_AFTER_DAYS: 7
+};
+
+function roundAmount(amount, currency) {
+  const factor = Math.pow(10, CURRENCY_CONFIG.DECIMALS[currency] || 0);
+  return Math.round(amount * factor) / factor;
+}
+
+/**
+ * Convert an amount in a foreign currency to whole KES
+ */
+function toBase(amount, exchangeRate) {
+  return Math.round(amount * exchangeRate);
+}
+
+/**
+ * Convert a KES amount to a foreign currency
+ */
+function fromBase(amount, exchangeRate, currency) {
+  return roundAmount(amount / exchangeRate, currency);
+}
+
+function formatMoney(amount, currency = CURRENCY_CONFIG.BASE) {
+  const decimals = CURRENCY_CONFIG.DECIMALS[currency] || 0;
+  return `${currency} ${Number(amount || 0).toLocaleString('en-US', { minimumFractionDigits: decimals, maximumFractionDigits: decimals })}`;
+}
+
+/**
+ * Validate an exchange rate an admin is publishing
+ * @returns {Array<string>} - Validation errors
+ */
+function validateExchangeRateData({ currency, rate, effectiveFrom }) {
+  const errors = [];
+
+  if (!CURRENCY_CONFIG.SUPPORTED.includes(currency) || currency === CURRENCY_CONFIG.BASE) {
+    errors.push(`Currency must be one of: ${CURRENCY_CONFIG.SUPPORTED.filter(c => c !== CURRENCY_CONFIG.BASE).join(', ')}`);
+  }
+  if (typeof rate !== 'number' || Number.isNaN(rate) || rate <= 0) {
+    errors.push(`Rate must be a positive number of ${CURRENCY_CONFIG.BASE} per unit`);
+  }
+  if (effectiveFrom !== undefined && Number.isNaN(new Date(effectiveFrom).getTime())) {
+    errors.push('Effective date is invalid');
+  }
+
+  return errors;
+}
+
+function isRateStale(exchangeRate, now = new Date()) {
+  if (!exchangeRate) return true;
+  const ageDays = (now - new Date(exchangeRate.effectiveFrom)) / (24 * 60 * 60 * 1000);
+  return ageDays > CURRENCY_CONFIG.STALE_AFTER_DAYS;
+}
+
+/**
+ * The client's share in their currency, in proportion to the KES share so
+ * tiers, promo codes and sponsorship carry over exactly
+ * @param {Object} quote - { amount, kesAmount } for the standard rate
+ * @param {number} clientKes - Client's share in KES
+ */
+function getLocalShare(quote, clientKes, currency) {
+  if (!quote.kesAmount) return 0;
+  if (clientKes === quote.kesAmount) return quote.amount;
+  return roundAmount(quote.amount * clientKes / quote.kesAmount, currency);
+}
+
+/**
+ * Whether a session is priced in a currency other than KES
+ */
+function isForeignCurrency(session) {
+  const clientCurrency = session.clientCurrency;
+  return !!(clientCurrency && clientCurrency.code && clientCurrency.code !== CURRENCY_CONFIG.BASE);
+}
+
+/**
+ * What a card payment for a session charges and in which currency
+ */
+function getChargeAmount(session, defaultCurrency = CURRENCY_CONFIG.BASE) {
+  return isForeignCurrency(session)
+    ? { amount: session.clientCurrency.amount, currency: session.clientCurrency.code.toLowerCase() }
+    : { amount: session.price, currency: defaultCurrency.toLowerCase() };
+}
+
+/**
+ * A KES amount of a session (e.g. a refund) in the currency it was charged in
+ */
+function toChargeCurrency(session, kesAmount) {
+  if (!isForeignCurrency(session)) return kesAmount;
+  const { amount, code } = session.clientCurrency;
+  if (!session.price || kesAmount >= session.price) return amount;
+  return roundAmount(amount * kesAmount / session.price, code);
+}
+
+/**
+ * An amount charged in a session's currency back in KES at its locked rate
+ */
+function toSessionBase(session, amount, currency) {
+  if (!isForeignCurrency(session) || (currency && currency.toUpperCase() !== session.clientCurrency.code)) {
+    return amount;
+  }
+  return toBase(amount, session.clientCurrency.exchangeRate);
+}
+
+/**
+ * Original currency and KES equivalent of a session's payment, for exports;
+ * a foreign-currency session paid by M-Pesa was paid in KES
+ */
+function describeAmounts(session) {
+  const kesAmount = session.paymentAmount || session.mpesaAmount || session.price || 0;
+  if (!isForeignCurrency(session) || session.paymentMethod === 'mpesa') {
+    return { currency: CURRENCY_CONFIG.BASE, amount: kesAmount, exchangeRate: 1, kesAmount };
+  }
+  const { code, amount, amountPaid, exchangeRate } = session.clientCurrency;
+  return {
+    currency: code,
+    amount: amountPaid || amount,
+    exchangeRate,
+    kesAmount
+  };
+}
+
+class CurrencyService {
+  constructor() {
+    this.ExchangeRate = null;
+    this.PaymentConfig = null;
+    this.SessionRate = null;
+  }
+
+  async initialize() {
+    if (!this.ExchangeRate) this.ExchangeRate = require('../models/ExchangeRate');
+    if (!this.PaymentConfig) this.PaymentConfig = require('../models/PaymentConfig');
+    if (!this.SessionRate) this.SessionRate = require('../models/SessionRate');
+  }
+
+  // ---------------------------------------------------------------------------
+  // Currencies and exchange rates
+  // ---------------------------------------------------------------------------
+
+  async getEnabledCurrencies() {
+    await this.initialize();
+
+    const config = await this.PaymentConfig.findById('payment-config').lean();
+    const enabled = (config && config.supportedCurrencies) || [CURRENCY_CONFIG.BASE];
+    return CURRENCY_CONFIG.SUPPORTED.filter(c => c === CURRENCY_CONFIG.BASE || enabled.includes(c));
+  }
+
+  async setEnabledCurrencies(user, currencies) {
+    await this.initialize();
+
+    if (user.role !== 'admin') {
+      throw new Error('Not authorized: only admins can enable currencies');
+    }
+    if (!Array.isArray(currencies) || currencies.some(c => !CURRENCY_CONFIG.SUPPORTED.includes(c))) {
+      throw new Error(`Currencies must be any of: ${CURRENCY_CONFIG.SUPPORTED.join(', ')}`);
+    }
+
+    const enabled = CURRENCY_CONFIG.SUPPORTED.filter(c => c === CURRENCY_CONFIG.BASE || currencies.includes(c));
+    for (const currency of enabled.filter(c => c !== CURRENCY_CONFIG.BASE)) {
+      if (!(await this.getRateAt(currency))) {
+        throw new Error(`Publish an exchange rate for ${currency} before enabling it`);
+      }
+    }
+
+    await this.PaymentConfig.findByIdAndUpdate(
+      'payment-config',
+      { $set: { supportedCurrencies: enabled } },
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+
+    await auditLogger.logAuditEvent({
+      action: 'CURRENCIES_UPDATED',
+      userId: user.id,
+      details: { currencies: enabled }
+    });
+
+    return enabled;
+  }
+
+  async setExchangeRate(user, data) {
+    await this.initialize();
+
+    if (user.role !== 'admin') {
+      throw new Error('Not authorized: only admins can publish exchange rates');
+    }
+
+    const terms = {
+      currency: typeof data.currency === 'string' ? data.currency.toUpperCase() : data.currency,
+      rate: Number(data.rate),
+      effectiveFrom: data.effectiveFrom || undefined
+    };
+    const errors = validateExchangeRateData(terms);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    const exchangeRate = await this.ExchangeRate.create({
+      ...terms,
+      effectiveFrom: terms.effectiveFrom ? new Date(terms.effectiveFrom) : new Date(),
+      source: data.source,
+      note: data.note,
+      createdBy: user.id
+    });
+
+    await auditLogger.logAuditEvent({
+      action: 'EXCHANGE_RATE_PUBLISHED',
+      userId: user.id,
+      details: { exchangeRateId: exchangeRate._id, currency: exchangeRate.currency, rate: exchangeRate.rate, effectiveFrom: exchangeRate.effectiveFrom }
+    });
+
+    return exchangeRate;
+  }
+
+  async listExchangeRates({ currency, limit = 50 } = {}) {
+    await this.initialize();
+
+    const query = currency ? { currency: currency.toUpperCase() } : {};
+    return this.ExchangeRate.find(query)
+      .sort({ effectiveFrom: -1, createdAt: -1 })
+      .limit(Math.min(200, Number(limit) || 50))
+      .populate('createdBy', 'name');
+  }
+
+  /**
+   * The exchange rate in effect for a currency on a date
+   */
+  async getRateAt(currency, date = new Date()) {
+    await this.initialize();
+
+    return this.ExchangeRate.findOne({ currency, effectiveFrom: { $lte: date } })
+      .sort({ effectiveFrom: -1, createdAt: -1 });
+  }
+
+  async getCurrentRates() {
+    const now = new Date();
+    const rates = [];
+    for (const currency of CURRENCY_CONFIG.SUPPORTED.filter(c => c !== CURRENCY_CONFIG.BASE)) {
+      const exchangeRate = await this.getRateAt(currency, now);
+      rates.push({
+        currency,
+        rate: exchangeRate ? exchangeRate.rate : null,
+        effectiveFrom: exchangeRate ? exchangeRate.effectiveFrom : null,
+        source: exchangeRate ? exchangeRate.source : null,
+        stale: isRateStale(exchangeRate, now)
+      });
+    }
+    return rates;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Quotes
+  // ---------------------------------------------------------------------------
+
+  /**
+   * A therapist's rate for a session type in a currency, with its KES
+   * equivalent and the exchange rate used
+   */
+  async quoteRate({ therapistId, sessionType, currency, date = new Date() }) {
+    await this.initialize();
+
+    const { lockRateForBooking } = require('../utils/rateLockingService');
+    const rateLockResult = await lockRateForBooking(therapistId, sessionType, date);
+    if (!rateLockResult.success) {
+      throw new Error('Failed to determine session rate');
+    }
+    const baseRate = rateLockResult.lockedRate;
+
+    if (!currency || currency === CURRENCY_CONFIG.BASE) {
+      return { currency: CURRENCY_CONFIG.BASE, amount: baseRate.amount, kesAmount: baseRate.amount, exchangeRate: 1, baseRate };
+    }
+
+    if (!(await this.getEnabledCurrencies()).includes(currency)) {
+      throw new Error(`Payments in ${currency} are not available`);
+    }
+    const exchangeRate = await this.getRateAt(currency, date);
+    if (!exchangeRate) {
+      throw new Error(`No exchange rate available for ${currency}`);
+    }
+
+    const published = await this.SessionRate.getCurrentRate(therapistId, sessionType, currency);
+    const amount = published ? published.amount : fromBase(baseRate.amount, exchangeRate.rate, currency);
+
+    return {
+      currency,
+      amount,
+      kesAmount: published ? toBase(published.amount, exchangeRate.rate) : baseRate.amount,
+      exchangeRate: exchangeRate.rate,
+      exchangeRateId: exchangeRate._id,
+      exchangeRateDate: exchangeRate.effectiveFrom,
+      source: published ? 'published' : 'converted',
+      baseRate
+    };
+  }
+
+  /**
+   * A therapist's rate for every session type in a currency, for the booking page
+   */
+  async quoteTherapistRates(therapistId, currency) {
+    const quotes = [];
+    for (const sessionType of ['Individual', 'Couples', 'Family', 'Group']) {
+      const quote = await this.quoteRate({ therapistId, sessionType, currency });
+      quotes.push({
+        sessionType,
+        currency: quote.currency,
+        amount: quote.amount,
+        kesAmount: quote.kesAmount,
+        exchangeRate: quote.exchangeRate,
+        source: quote.source || null,
+        duration: quote.baseRate.duration
+      });
+    }
+    return quotes;
+  }
+
+  /**
+   * Session.clientCurrency for a booking priced from a quote
+   * @param {Object} quote - From quoteRate
+   * @param {number} clientKes - The client's share in KES after any discounts
+   */
+  buildClientCurrency(quote, clientKes) {
+    return {
+      code: quote.currency,
+      standardAmount: quote.amount,
+      amount: getLocalShare(quote, clientKes, quote.currency),
+      exchangeRate: quote.exchangeRate,
+      exchangeRateId: quote.exchangeRateId,
+      exchangeRateDate: quote.exchangeRateDate,
+      source: quote.source
+    };
+  }
+}
+
+const currencyService = new CurrencyService();
+
+module.exports = {
+  currencyService,
+  CurrencyService,
+  CURRENCY_CONFIG,
+  roundAmount,
+  toBase,
+  fromBase,
+  formatMoney,
+  validateExchangeRateData,
+  isRateStale,
+  getLocalShare,
+  isForeignCurrency,
+  getChargeAmount,
+  toChargeCurrency,
+  toSessionBase,
+  describeAmounts
+};
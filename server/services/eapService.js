@@ -0,0 +1,880 @@
+/**
+ * EAP Service
+ *
+ * Employee assistance programmes billed to a Company:
+ * - Admins set a company's contract (allowance per employee per year,
+ *   rate per session, covered session types)
+ * - Company HR admins enrol employees by work email
+ * - Enrolled employees book without paying; each booking draws one session
+ *   from their contract-year allowance and cancellations give it back
+ * - HR sees aggregate utilisation only, with small counts suppressed so no
+ *   individual can be identified; never names, dates or clinical data
+ * - Completed sessions are billed to the company on a monthly invoice
+ */
+
+const cron = require('node-cron');
+const auditLogger = require('../utils/auditLogger');
+
+const EAP_CONFIG = {
+  SESSION_TYPES: ['Individual', 'Couples', 'Family', 'Group'],
+  // Counts below this are reported as "<5" to HR
+  MIN_REPORTABLE_COUNT: 5,
+  MAX_MEMBERS_PER_REQUEST: 500,
+  INVOICE_PREFIX: 'EAP',
+  BILLABLE_SESSION_STATUSES: ['Completed'],
+  // Bill the previous month at 06:00 on the 1st
+  CRON_MONTHLY_INVOICES: '0 6 1 * *',
+  TIMEZONE: 'Africa/Nairobi'
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Validate EAP contract terms
+ * @returns {Array<string>} - Validation errors
+ */
+function validateContractData({ contractStart, contractEnd, sessionsPerEmployee, ratePerSession, sessionTypes, billingEmail }) {
+  const errors = [];
+
+  if (!contractStart || Number.isNaN(new Date(contractStart).getTime())) {
+    errors.push('Contract start date is required');
+  } else if (contractEnd && new Date(contractEnd) <= new Date(contractStart)) {
+    errors.push('Contract must end after it starts');
+  }
+  if (!Number.isInteger(sessionsPerEmployee) || sessionsPerEmployee < 1) {
+    errors.push('Sessions per employee must be a positive whole number');
+  }
+  if (!Number.isInteger(ratePerSession) || ratePerSession < 1) {
+    errors.push('Rate per session must be a positive whole number of KES');
+  }
+  if (sessionTypes !== undefined &&
+      (!Array.isArray(sessionTypes) || sessionTypes.length === 0 || sessionTypes.some(t => !EAP_CONFIG.SESSION_TYPES.includes(t)))) {
+    errors.push(`Session types must be one or more of: ${EAP_CONFIG.SESSION_TYPES.join(', ')}`);
+  }
+  if (!billingEmail || !EMAIL_PATTERN.test(billingEmail)) {
+    errors.push('A valid billing email is required');
+  }
+
+  return errors;
+}
+
+/**
+ * The contract year containing a date; allowances reset on each anniversary
+ * of the contract start
+ * @returns {Object|null} - { start, end }, or null outside the contract
+ */
+function getAllowancePeriod(eap, date) {
+  if (!eap || !eap.contractStart) return null;
+
+  const when = new Date(date);
+  const contractStart = new Date(eap.contractStart);
+  if (when < contractStart) return null;
+  if (eap.contractEnd && when >= new Date(eap.contractEnd)) return null;
+
+  const start = new Date(contractStart);
+  start.setFullYear(contractStart.getFullYear() + (when.getFullYear() - contractStart.getFullYear()));
+  if (start > when) start.setFullYear(start.getFullYear() - 1);
+
+  const end = new Date(start);
+  end.setFullYear(start.getFullYear() + 1);
+  if (eap.contractEnd && end > new Date(eap.contractEnd)) {
+    return { start, end: new Date(eap.contractEnd) };
+  }
+  return { start, end };
+}
+
+/**
+ * Why an employee can't book through their EAP, or null if they can
+ */
+function getEapBlocker({ company, member, sessionType, sessionDate }) {
+  if (!member || member.status !== 'active') {
+    return 'You are not enrolled in an employer assistance programme';
+  }
+  if (!company || !company.eap || !company.eap.isActive) {
+    return 'Your employer assistance programme is not active';
+  }
+  if (!getAllowancePeriod(company.eap, sessionDate)) {
+    return 'The session date is outside your employer\'s contract';
+  }
+  if (!company.eap.sessionTypes.includes(sessionType)) {
+    return `Your employer assistance programme does not cover ${sessionType} sessions`;
+  }
+  return null;
+}
+
+function getSessionsUsed(member, periodStart) {
+  const usage = (member.usage || []).find(u => new Date(u.periodStart).getTime() === new Date(periodStart).getTime());
+  return usage ? usage.sessionsUsed : 0;
+}
+
+/**
+ * Hide counts small enough to identify an individual
+ */
+function suppressCount(count, minimum = EAP_CONFIG.MIN_REPORTABLE_COUNT) {
+  return count > 0 && count < minimum ? `<${minimum}` : count;
+}
+
+/**
+ * Aggregate utilisation for HR
+ * @param {Array} sessions - EAP sessions: { sessionDate, sessionType, status, eap: { member } }
+ * @param {Object} context - { enrolledCount, sessionsPerEmployee }
+ */
+function buildUtilisationReport(sessions, { enrolledCount, sessionsPerEmployee }) {
+  const counted = sessions.filter(s => !['Cancelled', 'Declined'].includes(s.status));
+  const completed = counted.filter(s => s.status === 'Completed');
+  const employeesUsing = new Set(counted.map(s => s.eap && s.eap.member && s.eap.member.toString())).size;
+
+  const byMonth = {};
+  const bySessionType = {};
+  counted.forEach(session => {
+    const month = new Date(session.sessionDate).toISOString().slice(0, 7);
+    byMonth[month] = (byMonth[month] || 0) + 1;
+    bySessionType[session.sessionType] = (bySessionType[session.sessionType] || 0) + 1;
+  });
+
+  const allowance = enrolledCount * (sessionsPerEmployee || 0);
+
+  return {
+    enrolledEmployees: enrolledCount,
+    employeesUsingService: suppressCount(employeesUsing),
+    // Only meaningful once enough people use the service to stay anonymous
+    utilisationRatePercent: employeesUsing >= EAP_CONFIG.MIN_REPORTABLE_COUNT && enrolledCount > 0
+      ? Math.round(employeesUsing / enrolledCount * 1000) / 10
+      : null,
+    sessionsBooked: suppressCount(counted.length),
+    sessionsCompleted: suppressCount(completed.length),
+    allowanceUsedPercent: allowance > 0 && counted.length >= EAP_CONFIG.MIN_REPORTABLE_COUNT
+      ? Math.round(counted.length / allowance * 1000) / 10
+      : null,
+    byMonth: Object.keys(byMonth).sort().map(month => ({ month, sessions: suppressCount(byMonth[month]) })),
+    bySessionType: Object.keys(bySessionType).sort().map(type => ({ sessionType: type, sessions: suppressCount(bySessionType[type]) }))
+  };
+}
+
+/**
+ * Invoice lines for billable sessions, one per session type
+ */
+function buildCompanyInvoiceLines(sessions, ratePerSession) {
+  const counts = {};
+  sessions.forEach(session => {
+    counts[session.sessionType] = (counts[session.sessionType] || 0) + 1;
+  });
+
+  return Object.keys(counts).sort().map(type => ({
+    description: `EAP counselling - ${type} sessions`,
+    quantity: counts[type],
+    unitPrice: ratePerSession,
+    amount: counts[type] * ratePerSession
+  }));
+}
+
+/**
+ * The calendar month before a date: { start, end }
+ */
+function getPreviousMonth(date = new Date()) {
+  const end = new Date(date.getFullYear(), date.getMonth(), 1);
+  const start = new Date(end.getFullYear(), end.getMonth() - 1, 1);
+  return { start, end };
+}
+
+class EapService {
+  constructor() {
+    this.Company = null;
+    this.EapMember = null;
+    this.CompanyInvoice = null;
+    this.Session = null;
+    this.User = null;
+    this.invoiceJob = null;
+  }
+
+  async initialize() {
+    if (!this.Company) this.Company = require('../models/Company');
+    if (!this.EapMember) this.EapMember = require('../models/EapMember');
+    if (!this.CompanyInvoice) this.CompanyInvoice = require('../models/CompanyInvoice');
+    if (!this.Session) this.Session = require('../models/Session');
+    if (!this.User) this.User = require('../models/User');
+  }
+
+  /**
+   * Load a company the user may manage (platform admins or its HR admins)
+   */
+  async getManagedCompany(user, companyId) {
+    await this.initialize();
+
+    const company = await this.Company.findById(companyId);
+    if (!company) {
+      throw new Error('Company not found');
+    }
+    const isHrAdmin = company.adminUsers.some(id => id.toString() === user.id);
+    if (user.role !== 'admin' && !isHrAdmin) {
+      throw new Error('Not authorized to manage this company');
+    }
+    return company;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Companies and contracts (platform admins)
+  // ---------------------------------------------------------------------------
+
+  async createCompany(user, data) {
+    await this.initialize();
+
+    if (user.role !== 'admin') {
+      throw new Error('Not authorized: only admins can create companies');
+    }
+    if (!data.name || !data.name.trim()) {
+      throw new Error('Company name is required');
+    }
+
+    const company = await this.Company.create({
+      name: data.name.trim(),
+      description: data.description,
+      industry: data.industry,
+      website: data.website,
+      address: data.address,
+      city: data.city,
+      country: data.country || 'Kenya',
+      employeeLimit: data.employeeLimit ? Number(data.employeeLimit) : undefined,
+      adminUsers: data.adminUsers || [],
+      createdBy: user.id
+    });
+
+    await auditLogger.logAuditEvent({
+      action: 'COMPANY_CREATED',
+      userId: user.id,
+      details: { companyId: company._id, name: company.name }
+    });
+
+    return company;
+  }
+
+  async listCompanies(user) {
+    await this.initialize();
+
+    if (user.role === 'admin') {
+      return this.Company.find().sort({ name: 1 });
+    }
+    return this.Company.find({ adminUsers: user.id }).sort({ name: 1 });
+  }
+
+  /**
+   * Set or renew a company's EAP contract (admins)
+   */
+  async setContract(user, companyId, data) {
+    await this.initialize();
+
+    if (user.role !== 'admin') {
+      throw new Error('Not authorized: only admins can set EAP contracts');
+    }
+
+    const company = await this.Company.findById(companyId);
+    if (!company) {
+      throw new Error('Company not found');
+    }
+
+    const terms = {
+      contractStart: data.contractStart ? new Date(data.contractStart) : undefined,
+      contractEnd: data.contractEnd ? new Date(data.contractEnd) : undefined,
+      sessionsPerEmployee: Number(data.sessionsPerEmployee),
+      ratePerSession: Number(data.ratePerSession),
+      sessionTypes: data.sessionTypes || ['Individual'],
+      billingEmail: data.billingEmail
+    };
+    const errors = validateContractData(terms);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    company.eap = {
+      ...terms,
+      isActive: data.isActive !== undefined ? !!data.isActive : true,
+      billingContactName: data.billingContactName,
+      paymentTermsDays: data.paymentTermsDays ? Number(data.paymentTermsDays) : 30
+    };
+    if (data.employeeLimit !== undefined) company.employeeLimit = Number(data.employeeLimit);
+    await company.save();
+
+    await auditLogger.logAuditEvent({
+      action: 'EAP_CONTRACT_SET',
+      userId: user.id,
+      details: {
+        companyId: company._id,
+        sessionsPerEmployee: terms.sessionsPerEmployee,
+        ratePerSession: terms.ratePerSession,
+        contractStart: terms.contractStart,
+        contractEnd: terms.contractEnd
+      }
+    });
+
+    return company;
+  }
+
+  /**
+   * Give or remove a user's HR access to a company (admins)
+   */
+  async setHrAdmin(user, companyId, userId, grant = true) {
+    await this.initialize();
+
+    if (user.role !== 'admin') {
+      throw new Error('Not authorized: only admins can manage company HR access');
+    }
+
+    const hrUser = await this.User.findById(userId);
+    if (!hrUser) {
+      throw new Error('User not found');
+    }
+
+    const company = await this.Company.findByIdAndUpdate(
+      companyId,
+      grant ? { $addToSet: { adminUsers: hrUser._id } } : { $pull: { adminUsers: hrUser._id } },
+      { new: true }
+    );
+    if (!company) {
+      throw new Error('Company not found');
+    }
+
+    await auditLogger.logAuditEvent({
+      action: grant ? 'COMPANY_HR_ADMIN_ADDED' : 'COMPANY_HR_ADMIN_REMOVED',
+      userId: user.id,
+      targetUserId: hrUser._id,
+      details: { companyId: company._id }
+    });
+
+    return company;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Enrolment (HR)
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Enrol employees by work email; existing members are reactivated
+   * @param {Array} employees - [{ email, employeeRef? }]
+   */
+  async addMembers(user, companyId, employees) {
+    const company = await this.getManagedCompany(user, companyId);
+
+    if (!Array.isArray(employees) || employees.length === 0) {
+      throw new Error('Provide at least one employee');
+    }
+    if (employees.length > EAP_CONFIG.MAX_MEMBERS_PER_REQUEST) {
+      throw new Error(`At most ${EAP_CONFIG.MAX_MEMBERS_PER_REQUEST} employees can be added at once`);
+    }
+
+    const invalid = employees.filter(e => !e || !EMAIL_PATTERN.test(String(e.email || '').trim()));
+    if (invalid.length > 0) {
+      throw new Error(`${invalid.length} employee(s) have an invalid email address`);
+    }
+
+    const emails = [...new Set(employees.map(e => e.email.trim().toLowerCase()))];
+    const alreadyActive = await this.EapMember.countDocuments({ company: company._id, email: { $in: emails }, status: 'active' });
+    const activeCount = await this.EapMember.countDocuments({ company: company._id, status: 'active' });
+    if (activeCount + emails.length - alreadyActive > company.employeeLimit) {
+      throw new Error(`Enrolment would exceed the company's limit of ${company.employeeLimit} employees`);
+    }
+
+    const refs = new Map(employees.map(e => [e.email.trim().toLowerCase(), e.employeeRef]));
+    await this.EapMember.bulkWrite(emails.map(email => ({
+      updateOne: {
+        filter: { company: company._id, email },
+        update: {
+          $set: { status: 'active', ...(refs.get(email) ? { employeeRef: refs.get(email) } : {}) },
+          $unset: { removedAt: '' },
+          $setOnInsert: { addedBy: user.id }
+        },
+        upsert: true
+      }
+    })));
+
+    await auditLogger.logAuditEvent({
+      action: 'EAP_MEMBERS_ADDED',
+      userId: user.id,
+      details: { companyId: company._id, count: emails.length }
+    });
+
+    return { added: emails.length };
+  }
+
+  async removeMember(user, companyId, memberId) {
+    const company = await this.getManagedCompany(user, companyId);
+
+    const member = await this.EapMember.findOneAndUpdate(
+      { _id: memberId, company: company._id, status: 'active' },
+      { status: 'removed', removedAt: new Date() },
+      { new: true }
+    );
+    if (!member) {
+      throw new Error('Employee not found');
+    }
+
+    await auditLogger.logAuditEvent({
+      action: 'EAP_MEMBER_REMOVED',
+      userId: user.id,
+      details: { companyId: company._id, memberId: member._id }
+    });
+
+    return member;
+  }
+
+  /**
+   * The roster HR manages; usage is deliberately left out
+   */
+  async listMembers(user, companyId, { status = 'active' } = {}) {
+    const company = await this.getManagedCompany(user, companyId);
+
+    return this.EapMember.find({ company: company._id, status })
+      .select('email employeeRef status createdAt linkedAt removedAt')
+      .sort({ email: 1 });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Employees
+  // ---------------------------------------------------------------------------
+
+  /**
+   * The employee's membership, linking it to their account by email on first use
+   */
+  async findMemberForUser(userId) {
+    await this.initialize();
+
+    const linked = await this.EapMember.findOne({ user: userId, status: 'active' });
+    if (linked) return linked;
+
+    const user = await this.User.findById(userId).select('email');
+    if (!user || !user.email) return null;
+
+    return this.EapMember.findOneAndUpdate(
+      { email: user.email.toLowerCase(), status: 'active', user: null },
+      { user: userId, linkedAt: new Date() },
+      { new: true }
+    );
+  }
+
+  /**
+   * What the employee's programme covers and how much is left this contract year
+   */
+  async getCoverage(userId, now = new Date()) {
+    const member = await this.findMemberForUser(userId);
+    if (!member) return null;
+
+    const company = await this.Company.findById(member.company);
+    if (!company || !company.eap || !company.eap.isActive) return null;
+
+    const period = getAllowancePeriod(company.eap, now);
+    const used = period ? getSessionsUsed(member, period.start) : 0;
+    return {
+      company: { _id: company._id, name: company.name },
+      sessionTypes: company.eap.sessionTypes,
+      sessionsPerYear: company.eap.sessionsPerEmployee,
+      sessionsUsed: used,
+      sessionsRemaining: period ? Math.max(0, company.eap.sessionsPerEmployee - used) : 0,
+      periodStart: period ? period.start : null,
+      periodEnd: period ? period.end : null
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Booking
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Check an employee can book this session through their EAP
+   * @returns {Promise<Object>} - Session.eap
+   */
+  async resolveForBooking({ clientId, sessionType, sessionDate }) {
+    const member = await this.findMemberForUser(clientId);
+    const company = member ? await this.Company.findById(member.company) : null;
+
+    const blocker = getEapBlocker({ company, member, sessionType, sessionDate });
+    if (blocker) {
+      throw new Error(blocker);
+    }
+
+    const period = getAllowancePeriod(company.eap, sessionDate);
+    if (getSessionsUsed(member, period.start) >= company.eap.sessionsPerEmployee) {
+      throw new Error('You have used all your employer-covered sessions for this contract year');
+    }
+
+    return { company: company._id, member: member._id, periodStart: period.start };
+  }
+
+  /**
+   * Draw one session from the employee's allowance; the caller saves the session
+   */
+  async reserveAllowance(session) {
+    await this.initialize();
+
+    const eap = session.eap;
+    if (!eap || !eap.member || eap.status) return null;
+
+    const company = await this.Company.findById(eap.company);
+    if (!company || !company.eap || !company.eap.isActive) {
+      throw new Error('Your employer assistance programme is not active');
+    }
+
+    await this.EapMember.updateOne(
+      { _id: eap.member, 'usage.periodStart': { $ne: eap.periodStart } },
+      { $push: { usage: { periodStart: eap.periodStart, sessionsUsed: 0 } } }
+    );
+
+    // Conditional increment so concurrent bookings can't overdraw the allowance
+    const member = await this.EapMember.findOneAndUpdate(
+      {
+        _id: eap.member,
+        status: 'active',
+        usage: { $elemMatch: { periodStart: eap.periodStart, sessionsUsed: { $lt: company.eap.sessionsPerEmployee } } }
+      },
+      { $inc: { 'usage.$.sessionsUsed': 1 } },
+      { new: true }
+    );
+    if (!member) {
+      throw new Error('You have used all your employer-covered sessions for this contract year');
+    }
+
+    eap.status = 'reserved';
+    return member;
+  }
+
+  /**
+   * Give a declined or cancelled session back to the allowance; the caller saves the session
+   */
+  async releaseAllowance(session) {
+    await this.initialize();
+
+    const eap = session.eap;
+    if (!eap || eap.status !== 'reserved') return null;
+
+    const member = await this.EapMember.findOneAndUpdate(
+      { _id: eap.member, usage: { $elemMatch: { periodStart: eap.periodStart, sessionsUsed: { $gt: 0 } } } },
+      { $inc: { 'usage.$.sessionsUsed': -1 } },
+      { new: true }
+    );
+
+    eap.status = 'released';
+    return member;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Reporting (HR)
+  // ---------------------------------------------------------------------------
+
+  async getUtilisationReport(user, companyId, { from, to } = {}) {
+    const company = await this.getManagedCompany(user, companyId);
+
+    const period = getAllowancePeriod(company.eap, new Date());
+    const start = from ? new Date(from) : (period ? period.start : new Date(new Date().getFullYear(), 0, 1));
+    const end = to ? new Date(to) : new Date();
+
+    const [sessions, enrolledCount] = await Promise.all([
+      this.Session.find({
+        'eap.company': company._id,
+        sessionDate: { $gte: start, $lte: end }
+      }).select('sessionDate sessionType status eap.member').lean(),
+      this.EapMember.countDocuments({ company: company._id, status: 'active' })
+    ]);
+
+    await auditLogger.logAuditEvent({
+      action: 'EAP_UTILISATION_REPORT_VIEWED',
+      userId: user.id,
+      details: { companyId: company._id, from: start, to: end }
+    });
+
+    return {
+      company: { _id: company._id, name: company.name },
+      from: start,
+      to: end,
+      ...buildUtilisationReport(sessions, {
+        enrolledCount,
+        sessionsPerEmployee: company.eap && company.eap.sessionsPerEmployee
+      })
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Company invoices
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Bill a company for completed EAP sessions before the period end that
+   * haven't been billed yet
+   * @returns {Promise<Object|null>} - CompanyInvoice, or null if nothing to bill
+   */
+  async createInvoice(companyId, { start, end }) {
+    await this.initialize();
+
+    const mongoose = require('mongoose');
+    const { invoiceService } = require('./invoiceService');
+
+    const company = await this.Company.findById(companyId);
+    if (!company || !company.eap || !company.eap.ratePerSession) {
+      throw new Error('Company has no EAP contract');
+    }
+
+    const existing = await this.CompanyInvoice.findOne({ company: company._id, periodStart: start, status: { $ne: 'void' } });
+    if (existing) return existing;
+
+    // Claim the sessions first so an overlapping run can't bill them twice
+    const invoiceId = new mongoose.Types.ObjectId();
+    await this.Session.updateMany(
+      {
+        'eap.company': company._id,
+        'eap.status': 'reserved',
+        'eap.companyInvoice': null,
+        status: { $in: EAP_CONFIG.BILLABLE_SESSION_STATUSES },
+        sessionDate: { $lt: end }
+      },
+      { $set: { 'eap.companyInvoice': invoiceId } }
+    );
+    const sessions = await this.Session.find({ 'eap.companyInvoice': invoiceId }).select('sessionType').lean();
+    if (sessions.length === 0) return null;
+
+    try {
+      await invoiceService.initialize();
+      const issuedAt = new Date();
+      const lines = buildCompanyInvoiceLines(sessions, company.eap.ratePerSession);
+
+      const invoice = await this.CompanyInvoice.create({
+        _id: invoiceId,
+        number: await invoiceService.nextNumber(EAP_CONFIG.INVOICE_PREFIX, issuedAt),
+        company: company._id,
+        periodStart: start,
+        periodEnd: end,
+        billTo: {
+          name: company.name,
+          email: company.eap.billingEmail,
+          contactName: company.eap.billingContactName
+        },
+        lines,
+        sessionCount: sessions.length,
+        sessions: sessions.map(s => s._id),
+        total: lines.reduce((sum, line) => sum + line.amount, 0),
+        issuedAt,
+        dueDate: new Date(issuedAt.getTime() + (company.eap.paymentTermsDays || 30) * 24 * 60 * 60 * 1000)
+      });
+
+      await auditLogger.logAuditEvent({
+        action: 'COMPANY_INVOICE_ISSUED',
+        userId: null,
+        details: { invoiceId: invoice._id, number: invoice.number, companyId: company._id, total: invoice.total }
+      });
+
+      return invoice;
+    } catch (error) {
+      await this.Session.updateMany({ 'eap.companyInvoice': invoiceId }, { $unset: { 'eap.companyInvoice': '' } });
+      throw error;
+    }
+  }
+
+  /**
+   * Bill a company for one month on demand (admins), e.g. to re-run a voided invoice
+   * @param {string} month - YYYY-MM
+   */
+  async createInvoiceForMonth(user, companyId, month) {
+    if (user.role !== 'admin') {
+      throw new Error('Not authorized: only admins can issue company invoices');
+    }
+    const match = /^(\d{4})-(\d{2})$/.exec(month || '');
+    if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+      throw new Error('Month must be in YYYY-MM format');
+    }
+
+    const invoice = await this.createInvoice(companyId, getPreviousMonth(new Date(Number(match[1]), Number(match[2]), 1)));
+    if (!invoice) {
+      throw new Error('No completed sessions to bill for this month');
+    }
+    if (!invoice.emailedAt) {
+      await this.emailInvoice(invoice);
+    }
+    return invoice;
+  }
+
+  /**
+   * Send an issued invoice to the company's billing contact with the PDF attached
+   */
+  async emailInvoice(invoice) {
+    const { sendCompanyInvoiceEmail } = require('../utils/notificationService');
+
+    const pdf = await this._renderInvoice(invoice);
+    const result = await sendCompanyInvoiceEmail(invoice, pdf);
+    if (result && result.success) {
+      invoice.emailedAt = new Date();
+      await invoice.save();
+    }
+    return result;
+  }
+
+  /**
+   * Bill every EAP company for the month before `now` (monthly job)
+   */
+  async generateMonthlyInvoices(now = new Date()) {
+    await this.initialize();
+
+    const period = getPreviousMonth(now);
+    const companies = await this.Company.find({ 'eap.contractStart': { $lt: period.end } });
+
+    const results = { companies: companies.length, issued: 0, errors: [] };
+    for (const company of companies) {
+      try {
+        const invoice = await this.createInvoice(company._id, period);
+        if (invoice && !invoice.emailedAt) {
+          results.issued++;
+          await this.emailInvoice(invoice);
+        }
+      } catch (error) {
+        console.error('EAP invoice error:', { companyId: company._id, error: error.message });
+        results.errors.push({ companyId: company._id, error: error.message });
+      }
+    }
+
+    console.log(`🏢 EAP invoices issued: ${results.issued} of ${results.companies} companies`);
+    return results;
+  }
+
+  async listInvoices(user, companyId) {
+    const company = await this.getManagedCompany(user, companyId);
+
+    return this.CompanyInvoice.find({ company: company._id })
+      .select('-sessions')
+      .sort({ periodStart: -1 });
+  }
+
+  async getInvoice(user, invoiceId) {
+    await this.initialize();
+
+    const invoice = await this.CompanyInvoice.findById(invoiceId);
+    if (!invoice) {
+      throw new Error('Invoice not found');
+    }
+    await this.getManagedCompany(user, invoice.company);
+    return invoice;
+  }
+
+  async markInvoicePaid(user, invoiceId, { paymentReference }) {
+    await this.initialize();
+
+    if (user.role !== 'admin') {
+      throw new Error('Not authorized: only admins can record invoice payments');
+    }
+    if (!paymentReference || !paymentReference.trim()) {
+      throw new Error('Payment reference is required');
+    }
+
+    const invoice = await this.CompanyInvoice.findOneAndUpdate(
+      { _id: invoiceId, status: 'issued' },
+      { status: 'paid', paidAt: new Date(), paymentReference: paymentReference.trim() },
+      { new: true }
+    );
+    if (!invoice) {
+      throw new Error('Invoice not found or not awaiting payment');
+    }
+
+    await auditLogger.logAuditEvent({
+      action: 'COMPANY_INVOICE_PAID',
+      userId: user.id,
+      details: { invoiceId: invoice._id, number: invoice.number, paymentReference: invoice.paymentReference }
+    });
+
+    return invoice;
+  }
+
+  /**
+   * Void an unpaid invoice; its sessions are billed again on the next run
+   */
+  async voidInvoice(user, invoiceId, reason) {
+    await this.initialize();
+
+    if (user.role !== 'admin') {
+      throw new Error('Not authorized: only admins can void invoices');
+    }
+
+    const invoice = await this.CompanyInvoice.findOneAndUpdate(
+      { _id: invoiceId, status: 'issued' },
+      { status: 'void', voidedAt: new Date(), notes: reason },
+      { new: true }
+    );
+    if (!invoice) {
+      throw new Error('Invoice not found or not awaiting payment');
+    }
+
+    await this.Session.updateMany({ 'eap.companyInvoice': invoice._id }, { $unset: { 'eap.companyInvoice': '' } });
+
+    await auditLogger.logAuditEvent({
+      action: 'COMPANY_INVOICE_VOIDED',
+      userId: user.id,
+      details: { invoiceId: invoice._id, number: invoice.number, reason }
+    });
+
+    return invoice;
+  }
+
+  async _renderInvoice(invoice) {
+    const sessionReportGenerator = require('../utils/sessionReportGenerator');
+    const { INVOICE_CONFIG } = require('./invoiceService');
+
+    const month = new Date(invoice.periodStart).toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+    return sessionReportGenerator.generateInvoice({
+      invoice: {
+        type: 'company_invoice',
+        number: invoice.number,
+        issuedAt: invoice.issuedAt,
+        billTo: { name: invoice.billTo.name, email: invoice.billTo.email },
+        service: { description: `Employee assistance programme - ${month}` },
+        lines: invoice.lines.map(line => ({
+          description: `${line.description} (${line.quantity} x ${invoice.currency} ${line.unitPrice.toLocaleString()})`,
+          amount: line.amount
+        })),
+        total: invoice.total,
+        currency: invoice.currency,
+        taxRate: 0,
+        dueDate: invoice.dueDate,
+        status: invoice.status
+      },
+      business: { name: INVOICE_CONFIG.BUSINESS_NAME, taxPin: INVOICE_CONFIG.BUSINESS_TAX_PIN }
+    });
+  }
+
+  /**
+   * @returns {Promise<Object>} - { buffer, filename }
+   */
+  async renderInvoicePdf(user, invoiceId) {
+    const invoice = await this.getInvoice(user, invoiceId);
+    return { buffer: await this._renderInvoice(invoice), filename: `${invoice.number}.pdf` };
+  }
+
+  startInvoiceJob() {
+    if (this.invoiceJob) return this.invoiceJob;
+
+    this.invoiceJob = cron.schedule(EAP_CONFIG.CRON_MONTHLY_INVOICES, () => {
+      this.generateMonthlyInvoices().catch(err => console.error('EAP invoice job error:', err));
+    }, {
+      scheduled: true,
+      timezone: EAP_CONFIG.TIMEZONE
+    });
+
+    console.log(`✅ EAP monthly invoice job started (${EAP_CONFIG.CRON_MONTHLY_INVOICES})`);
+    return this.invoiceJob;
+  }
+
+  stopInvoiceJob() {
+    if (this.invoiceJob) {
+      this.invoiceJob.stop();
+      this.invoiceJob = null;
+    }
+  }
+}
+
+const eapService = new EapService();
+
+module.exports = {
+  eapService,
+  EapService,
+  EAP_CONFIG,
+  validateContractData,
+  getAllowancePeriod,
+  getEapBlocker,
+  getSessionsUsed,
+  suppressCount,
+  buildUtilisationReport,
+  buildCompanyInvoiceLines,
+  getPreviousMonth
+};
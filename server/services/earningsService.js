@@ -8,6 +8,7 @@
  */
 
 const mongoose = require('mongoose');
+const { describeAmounts } = require('./currencyService');
 
 /**
  * Earnings Service Class
@@ -112,7 +113,11 @@ class EarningsService {
             price: 1,
             mpesaAmount: 1,
             mpesaTransactionID: 1,
+            paymentMethod: 1,
+            paymentAmount: 1,
+            clientCurrency: 1,
             paymentVerifiedAt: 1,
+            settledAt: 1,
             clientName: { $arrayElemAt: ['$clientInfo.name', 0] },
             clientId: '$client'
           }
@@ -169,8 +174,12 @@ class EarningsService {
           status: p.status,
           paymentStatus: p.paymentStatus,
           amount: p.mpesaAmount || p.price || 0,
+          // What the client paid in their own currency; amount is the KES equivalent
+          original: describeAmounts(p),
           transactionId: p.mpesaTransactionID || null,
           verifiedAt: p.paymentVerifiedAt || null,
+          // Set once the session is included in a paid payout batch
+          settledAt: p.settledAt || null,
           clientName: p.clientName || 'Unknown Client',
           clientId: p.clientId
         })),
@@ -253,6 +262,9 @@ class EarningsService {
             price: 1,
             mpesaAmount: 1,
             mpesaTransactionID: 1,
+            paymentMethod: 1,
+            paymentAmount: 1,
+            clientCurrency: 1,
             paymentVerifiedAt: 1,
             clientName: { $arrayElemAt: ['$clientInfo.name', 0] }
           }
@@ -264,6 +276,7 @@ class EarningsService {
         clientName: p.clientName || 'Unknown Client',
         sessionType: p.sessionType || '',
         amount: p.mpesaAmount || p.price || 0,
+        original: describeAmounts(p),
         transactionId: p.mpesaTransactionID || '',
         paymentStatus: p.paymentStatus || '',
         verifiedAt: p.paymentVerifiedAt ? new Date(p.paymentVerifiedAt).toISOString().split('T')[0] : ''
@@ -11,6 +11,7 @@
 
 const { SESSION_STATES } = require('../constants/sessionStates');
 const { PAYMENT_STATES } = require('../constants/paymentStates');
+const { SESSION_DURATION_MINUTES } = require('../utils/bookingValidation');
 
 const EDGE_CASE_CONFIG = {
   LATE_JOIN_THRESHOLD_MINUTES: 30,
@@ -19,6 +20,26 @@ const EDGE_CASE_CONFIG = {
   RACE_CONDITION_LOCK_TIMEOUT_MS: 5000
 };
 
+/**
+ * Where a join falls relative to the scheduled start: early joins are
+ * on time, joins within the late threshold are late, anything after is
+ * too late. Shared by the video waiting room and handleLateSessionJoin.
+ * @param {Date} scheduledDate - Scheduled start
+ * @param {Date} [now]
+ * @returns {Object} - { allowed, status, minutesEarly?, minutesLate?, reason? }
+ */
+function getJoinTiming(scheduledDate, now = new Date()) {
+  const minutesLate = Math.floor((now - new Date(scheduledDate)) / (60 * 1000));
+
+  if (minutesLate < 0) return { allowed: true, status: 'on_time', minutesEarly: Math.abs(minutesLate) };
+
+  if (minutesLate > EDGE_CASE_CONFIG.LATE_JOIN_THRESHOLD_MINUTES) {
+    return { allowed: false, status: 'too_late', minutesLate, reason: `Session join window expired (${EDGE_CASE_CONFIG.LATE_JOIN_THRESHOLD_MINUTES} min limit)` };
+  }
+
+  return { allowed: true, status: 'late_join', minutesLate };
+}
+
 class EdgeCaseHandler {
   constructor() {
     this.Session = null;
@@ -60,16 +81,11 @@ class EdgeCaseHandler {
     if (!session) return { allowed: false, reason: 'Session not found' };
     
     const now = new Date();
-    const sessionStart = new Date(session.scheduledDate);
-    const minutesLate = Math.floor((now - sessionStart) / (60 * 1000));
-    
-    if (minutesLate < 0) return { allowed: true, status: 'on_time', minutesEarly: Math.abs(minutesLate) };
-    
-    if (minutesLate > EDGE_CASE_CONFIG.LATE_JOIN_THRESHOLD_MINUTES) {
-      return { allowed: false, status: 'too_late', minutesLate, reason: `Session join window expired (${EDGE_CASE_CONFIG.LATE_JOIN_THRESHOLD_MINUTES} min limit)` };
-    }
+    const timing = getJoinTiming(session.scheduledDate, now);
+    if (timing.status !== 'late_join') return timing;
     
-    const adjustedDuration = session.duration - minutesLate;
+    const { minutesLate } = timing;
+    const adjustedDuration = (session.duration || SESSION_DURATION_MINUTES) - minutesLate;
     session.actualStartTime = now;
     session.adjustedDuration = adjustedDuration;
     session.lateJoinBy = userRole;
@@ -267,4 +283,4 @@ class EdgeCaseHandler {
 }
 
 const edgeCaseHandler = new EdgeCaseHandler();
-module.exports = { EdgeCaseHandler, edgeCaseHandler, EDGE_CASE_CONFIG };
+module.exports = { EdgeCaseHandler, edgeCaseHandler, EDGE_CASE_CONFIG, getJoinTiming };
@@ -2,7 +2,8 @@
  * Form Completion Tracker Service
  * 
  * Tracks and manages form completion status for sessions:
- * - Agreement and intake form completion tracking
+ * - Agreement and intake form completion tracking for every attendee
+ *   (booking client and any Couples/Family co-participants)
  * - 24-hour reminder system
  * - Session status updates based on form completion
  * - Meeting link delivery after forms complete
@@ -11,6 +12,7 @@
  */
 
 const { SESSION_STATES } = require('../constants/sessionStates');
+const { getSessionAttendees } = require('../utils/sessionParticipants');
 
 const FORM_TRACKING_CONFIG = {
   REMINDER_HOURS_BEFORE: 24,
@@ -18,6 +20,29 @@ const FORM_TRACKING_CONFIG = {
   CHECK_INTERVAL_MS: 15 * 60 * 1000 // 15 minutes
 };
 
+/**
+ * Forms an attendee still has to complete
+ */
+function getMissingForms(attendee) {
+  const missingForms = [];
+  if (!attendee.agreementComplete) missingForms.push('Confidentiality Agreement');
+  if (!attendee.intakeFormComplete) missingForms.push('Intake Form');
+  return missingForms;
+}
+
+/**
+ * Session-level completion: a form counts as complete once every attendee has done it
+ */
+function summarizeFormCompletion(attendees) {
+  const agreementComplete = attendees.every(a => a.agreementComplete);
+  const intakeFormComplete = attendees.every(a => a.intakeFormComplete);
+  return {
+    agreementComplete,
+    intakeFormComplete,
+    allFormsComplete: agreementComplete && intakeFormComplete
+  };
+}
+
 class FormCompletionTrackerService {
   constructor() {
     this.Session = null;
@@ -39,13 +64,24 @@ class FormCompletionTrackerService {
   async checkFormCompletion(sessionId) {
     await this.initialize();
     
-    const session = await this.Session.findById(sessionId).populate('client', 'name email');
+    const session = await this.Session.findById(sessionId)
+      .populate('client', 'name email')
+      .populate('participants.client', 'name email');
     if (!session) return { error: 'Session not found' };
     
-    const agreementComplete = await this.checkAgreementComplete(session.client._id);
-    const intakeFormComplete = await this.checkIntakeFormComplete(sessionId);
+    // Each attendee signs their own agreement and completes their own intake form
+    const participants = [];
+    for (const attendee of getSessionAttendees(session)) {
+      participants.push({
+        clientId: attendee._id,
+        name: attendee.name,
+        email: attendee.email,
+        agreementComplete: await this.checkAgreementComplete(attendee._id),
+        intakeFormComplete: await this.checkIntakeFormComplete(sessionId, attendee._id)
+      });
+    }
     
-    const allFormsComplete = agreementComplete && intakeFormComplete;
+    const { agreementComplete, intakeFormComplete, allFormsComplete } = summarizeFormCompletion(participants);
     
     return {
       sessionId,
@@ -53,6 +89,7 @@ class FormCompletionTrackerService {
       agreementComplete,
       intakeFormComplete,
       allFormsComplete,
+      participants,
       sessionStatus: session.status,
       canProceedToSession: allFormsComplete && session.paymentStatus === 'confirmed'
     };
@@ -63,9 +100,11 @@ class FormCompletionTrackerService {
     return await this.ConfidentialityAgreement.hasValidAgreement(clientId);
   }
 
-  async checkIntakeFormComplete(sessionId) {
+  async checkIntakeFormComplete(sessionId, clientId = null) {
     if (!this.IntakeForm) return true; // Skip if model not available
-    const form = await this.IntakeForm.findOne({ session: sessionId, isComplete: true });
+    const query = { session: sessionId, isComplete: true };
+    if (clientId) query.client = clientId;
+    const form = await this.IntakeForm.findOne(query);
     return !!form;
   }
 
@@ -83,6 +122,9 @@ class FormCompletionTrackerService {
     
     session.agreementCompleted = completion.agreementComplete;
     session.intakeFormCompleted = completion.intakeFormComplete;
+    if (completion.intakeFormComplete && !session.intakeFormCompletedAt) {
+      session.intakeFormCompletedAt = new Date();
+    }
     
     if (completion.allFormsComplete && !session.formsCompletedAt) {
       session.formsCompletedAt = new Date();
@@ -110,29 +152,55 @@ class FormCompletionTrackerService {
 
 
   /**
-   * Send meeting link after forms are complete
+   * Recheck a client's upcoming sessions still waiting on forms, e.g. after
+   * they sign the agreement
+   */
+  async updateClientSessionsFormsStatus(clientId) {
+    await this.initialize();
+    
+    const sessions = await this.Session.find({
+      sessionDate: { $gt: new Date() },
+      formsCompletedAt: null,
+      $or: [
+        { client: clientId },
+        { participants: { $elemMatch: { client: clientId, role: 'co_participant' } } }
+      ]
+    }).select('_id');
+    
+    const results = [];
+    for (const session of sessions) {
+      results.push(await this.updateSessionFormsStatus(session._id));
+    }
+    return results;
+  }
+
+  /**
+   * Send meeting link to every attendee after forms are complete
    */
   async sendMeetingLink(session) {
     if (!this.notificationService) return;
     
     try {
       const populatedSession = await this.Session.findById(session._id)
-        .populate('client psychologist', 'name email');
+        .populate('client psychologist', 'name email')
+        .populate('participants.client', 'name email');
       
       const meetingLink = session.meetingLink || `${process.env.CLIENT_URL}/video-call/${session._id}`;
       
-      await this.notificationService.sendEmail({
-        to: populatedSession.client.email,
-        subject: 'Your Session is Ready - Meeting Link',
-        template: 'session-ready',
-        data: {
-          clientName: populatedSession.client.name,
-          therapistName: populatedSession.psychologist.name,
-          sessionDate: session.scheduledDate,
-          meetingLink,
-          message: 'All forms are complete. Your session is ready!'
-        }
-      });
+      for (const attendee of getSessionAttendees(populatedSession)) {
+        await this.notificationService.sendEmail({
+          to: attendee.email,
+          subject: 'Your Session is Ready - Meeting Link',
+          template: 'session-ready',
+          data: {
+            clientName: attendee.name,
+            therapistName: populatedSession.psychologist.name,
+            sessionDate: session.scheduledDate,
+            meetingLink,
+            message: 'All forms are complete. Your session is ready!'
+          }
+        });
+      }
       
       console.log(`📧 Meeting link sent for session ${session._id}`);
     } catch (error) {
@@ -163,42 +231,47 @@ class FormCompletionTrackerService {
   }
 
   /**
-   * Send form completion reminder
+   * Send form completion reminders to each attendee with forms outstanding
    */
   async sendFormReminder(session) {
     if (!this.notificationService) return { sent: false, reason: 'Notification service unavailable' };
     
     const completion = await this.checkFormCompletion(session._id);
-    const missingForms = [];
+    const pending = completion.participants
+      .map(attendee => ({ ...attendee, missingForms: getMissingForms(attendee) }))
+      .filter(attendee => attendee.missingForms.length > 0);
     
-    if (!completion.agreementComplete) missingForms.push('Confidentiality Agreement');
-    if (!completion.intakeFormComplete) missingForms.push('Intake Form');
-    
-    if (missingForms.length === 0) return { sent: false, reason: 'All forms complete' };
+    if (pending.length === 0) return { sent: false, reason: 'All forms complete' };
     
     try {
-      await this.notificationService.sendEmail({
-        to: session.client.email,
-        subject: 'Action Required: Complete Your Forms Before Your Session',
-        template: 'form-reminder',
-        data: {
-          clientName: session.client.name,
-          therapistName: session.psychologist.name,
-          sessionDate: session.scheduledDate,
-          missingForms,
-          formLinks: {
-            agreement: `${process.env.CLIENT_URL}/forms/agreement`,
-            intake: `${process.env.CLIENT_URL}/forms/intake/${session._id}`
+      for (const attendee of pending) {
+        await this.notificationService.sendEmail({
+          to: attendee.email,
+          subject: 'Action Required: Complete Your Forms Before Your Session',
+          template: 'form-reminder',
+          data: {
+            clientName: attendee.name,
+            therapistName: session.psychologist.name,
+            sessionDate: session.scheduledDate,
+            missingForms: attendee.missingForms,
+            formLinks: {
+              agreement: `${process.env.CLIENT_URL}/forms/agreement`,
+              intake: `${process.env.CLIENT_URL}/forms/intake/${session._id}`
+            }
           }
-        }
-      });
+        });
+      }
       
       session.formReminderSent = true;
       session.formReminderSentAt = new Date();
       await session.save();
       
       console.log(`📧 Form reminder sent for session ${session._id}`);
-      return { sent: true, sessionId: session._id, missingForms };
+      return {
+        sent: true,
+        sessionId: session._id,
+        missingForms: pending.map(({ clientId, name, missingForms }) => ({ clientId, name, missingForms }))
+      };
     } catch (error) {
       console.error('Failed to send form reminder:', error);
       return { sent: false, error: error.message };
@@ -264,4 +337,10 @@ class FormCompletionTrackerService {
 }
 
 const formCompletionTrackerService = new FormCompletionTrackerService();
-module.exports = { FormCompletionTrackerService, formCompletionTrackerService, FORM_TRACKING_CONFIG };
+module.exports = {
+  FormCompletionTrackerService,
+  formCompletionTrackerService,
+  FORM_TRACKING_CONFIG,
+  getMissingForms,
+  summarizeFormCompletion
+};
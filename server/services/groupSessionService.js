@@ -0,0 +1,861 @@
+/**
+ * Group Session Service
+ *
+ * Therapist-led group sessions with per-seat enrolment:
+ * - Therapists open a group session with a seat capacity at their Group rate
+ * - Clients reserve a seat, sign the group confidentiality agreement and
+ *   pay for their own seat through M-Pesa
+ * - Unpaid reservations are released after a hold period
+ * - Cancelling the session refunds every paid seat; a client cancelling
+ *   their own paid seat is refunded under the cancellation policy
+ * - Attendance and no-shows are tracked per participant
+ */
+
+const { getParticipant } = require('../utils/sessionParticipants');
+const auditLogger = require('../utils/auditLogger');
+
+const GROUP_SESSION_CONFIG = {
+  MIN_CAPACITY: 2,
+  MAX_CAPACITY: 12,
+  // Unpaid seats are released after this long
+  SEAT_HOLD_MINUTES: 30,
+  // An M-Pesa prompt with no callback after this long is checked with
+  // M-Pesa and, unless it was paid, its seat is released
+  PAYMENT_CONFIRMATION_MINUTES: 15,
+  // Enrolment closes this long before the session starts
+  ENROLMENT_CLOSES_MINUTES: 60,
+  OPEN_STATUSES: ['Approved', 'Confirmed'],
+  ATTENDANCE_STATUSES: ['attended', 'no_show', 'excused']
+};
+
+/**
+ * Validate a therapist's request to open a group session
+ * @returns {Array<string>} - Validation errors
+ */
+function validateGroupSessionRequest({ title, sessionDate, capacity }, now = new Date()) {
+  const errors = [];
+
+  if (!title || !title.trim()) {
+    errors.push('Title is required');
+  }
+
+  const date = new Date(sessionDate);
+  if (!sessionDate || isNaN(date.getTime())) {
+    errors.push('A valid session date is required');
+  } else if (date <= now) {
+    errors.push('Session date must be in the future');
+  }
+
+  const seats = Number(capacity);
+  if (!Number.isInteger(seats) || seats < GROUP_SESSION_CONFIG.MIN_CAPACITY || seats > GROUP_SESSION_CONFIG.MAX_CAPACITY) {
+    errors.push(`Capacity must be between ${GROUP_SESSION_CONFIG.MIN_CAPACITY} and ${GROUP_SESSION_CONFIG.MAX_CAPACITY}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Whether an unpaid seat reservation has lapsed
+ * Seats with an M-Pesa prompt in flight are kept until the callback
+ * arrives, or for PAYMENT_CONFIRMATION_MINUTES if it never does.
+ */
+function isReservationExpired(participant, now = new Date()) {
+  if (participant.status !== 'reserved') {
+    return false;
+  }
+  if (participant.paymentStatus === 'Processing') {
+    const initiatedAt = participant.paymentInitiatedAt || participant.reservedAt;
+    const confirmBy = new Date(initiatedAt).getTime() + GROUP_SESSION_CONFIG.PAYMENT_CONFIRMATION_MINUTES * 60 * 1000;
+    return confirmBy <= now.getTime();
+  }
+  const heldUntil = new Date(participant.reservedAt).getTime() + GROUP_SESSION_CONFIG.SEAT_HOLD_MINUTES * 60 * 1000;
+  return heldUntil <= now.getTime();
+}
+
+/**
+ * Query matching lapsed reservations, for releasing them with $pull
+ */
+function lapsedReservationQuery(now = new Date()) {
+  const minutesAgo = (minutes) => new Date(now.getTime() - minutes * 60 * 1000);
+  const paymentCutoff = minutesAgo(GROUP_SESSION_CONFIG.PAYMENT_CONFIRMATION_MINUTES);
+
+  return {
+    status: 'reserved',
+    $or: [
+      { paymentStatus: { $ne: 'Processing' }, reservedAt: { $lte: minutesAgo(GROUP_SESSION_CONFIG.SEAT_HOLD_MINUTES) } },
+      { paymentStatus: 'Processing', paymentInitiatedAt: { $lte: paymentCutoff } },
+      { paymentStatus: 'Processing', paymentInitiatedAt: null, reservedAt: { $lte: paymentCutoff } }
+    ]
+  };
+}
+
+/**
+ * Seats taken and remaining, ignoring lapsed reservations and cancelled seats
+ */
+function getSeatSummary(session, now = new Date()) {
+  const members = (session.participants || []).filter(p => p.role === 'group_member' && p.status !== 'cancelled');
+  const taken = members.filter(p => !isReservationExpired(p, now)).length;
+
+  return {
+    capacity: session.capacity,
+    taken,
+    enrolled: members.filter(p => p.status === 'enrolled').length,
+    remaining: Math.max(0, session.capacity - taken)
+  };
+}
+
+/**
+ * Attendance to record for an enrolled member when the session closes:
+ * whatever the therapist marked, otherwise attended if they joined the
+ * video room and no-show if they did not
+ */
+function resolveAttendance(participant) {
+  if (participant.attendance !== 'pending') return participant.attendance;
+  return participant.joinedAt ? 'attended' : 'no_show';
+}
+
+class GroupSessionService {
+  constructor() {
+    this.Session = null;
+    this.User = null;
+    this.ConfidentialityAgreement = null;
+  }
+
+  async initialize() {
+    if (!this.Session) this.Session = require('../models/Session');
+    if (!this.User) this.User = require('../models/User');
+    if (!this.ConfidentialityAgreement) this.ConfidentialityAgreement = require('../models/ConfidentialityAgreement');
+  }
+
+  async getGroupSession(sessionId) {
+    await this.initialize();
+    const session = await this.Session.findOne({ _id: sessionId, sessionType: 'Group' });
+    if (!session) {
+      throw new Error('Group session not found');
+    }
+    return session;
+  }
+
+  async getOwnGroupSession(user, sessionId) {
+    const session = await this.getGroupSession(sessionId);
+    if (user.role !== 'admin' && session.psychologist.toString() !== user.id) {
+      throw new Error('Not authorized to manage this group session');
+    }
+    return session;
+  }
+
+  /**
+   * Open a group session; seat price is the therapist's current Group rate
+   */
+  async createGroupSession(user, { title, description, sessionDate, capacity }) {
+    await this.initialize();
+
+    if (user.role !== 'psychologist') {
+      throw new Error('Not authorized: only therapists can open group sessions');
+    }
+
+    const errors = validateGroupSessionRequest({ title, sessionDate, capacity });
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    const { checkBookingSlotAvailability } = require('./availabilityConflictService');
+    const { getRateAtDate } = require('../utils/rateLockingService');
+
+    const rateResult = await getRateAtDate(user.id, 'Group', new Date());
+    if (!rateResult.success) {
+      throw new Error(`Failed to determine seat price: ${rateResult.error}`);
+    }
+    const duration = rateResult.rate.duration || 60;
+
+    const availability = await checkBookingSlotAvailability(user.id, sessionDate, duration);
+    if (!availability.available) {
+      throw new Error(`Time slot not available: ${availability.reason}`);
+    }
+
+    const session = await this.Session.create({
+      psychologist: user.id,
+      sessionType: 'Group',
+      sessionDate,
+      title: title.trim(),
+      sessionNotes: description,
+      capacity: Number(capacity),
+      price: rateResult.rate.amount,
+      sessionRate: rateResult.rate.amount,
+      duration,
+      status: 'Approved',
+      approvedBy: user.id,
+      approvedAt: new Date(),
+      isVideoCall: true
+    });
+
+    await auditLogger.logAuditEvent({
+      action: 'GROUP_SESSION_CREATED',
+      userId: user.id,
+      sessionId: session._id,
+      details: { capacity: session.capacity, seatPrice: session.price }
+    });
+
+    return session;
+  }
+
+  /**
+   * Upcoming group sessions still taking enrolments
+   */
+  async listOpenSessions({ therapistId } = {}) {
+    await this.initialize();
+
+    const closesAt = new Date(Date.now() + GROUP_SESSION_CONFIG.ENROLMENT_CLOSES_MINUTES * 60 * 1000);
+    const query = {
+      sessionType: 'Group',
+      status: { $in: GROUP_SESSION_CONFIG.OPEN_STATUSES },
+      sessionDate: { $gt: closesAt }
+    };
+    if (therapistId) query.psychologist = therapistId;
+
+    const sessions = await this.Session.find(query)
+      .populate('psychologist', 'name profilePicture')
+      .sort({ sessionDate: 1 });
+
+    return sessions
+      .map(session => ({
+        _id: session._id,
+        title: session.getDecryptedTitle(),
+        description: session.getDecryptedNotes(),
+        sessionDate: session.sessionDate,
+        seatPrice: session.price,
+        psychologist: session.psychologist,
+        seats: getSeatSummary(session)
+      }))
+      .filter(session => session.seats.remaining > 0);
+  }
+
+  /**
+   * Group sessions the user runs (therapist) or has a seat in (client)
+   */
+  async listUserSessions(user) {
+    await this.initialize();
+
+    const query = user.role === 'psychologist'
+      ? { sessionType: 'Group', psychologist: user.id }
+      : { sessionType: 'Group', 'participants.client': user.id };
+
+    const sessions = await this.Session.find(query)
+      .populate('psychologist', 'name profilePicture')
+      .sort({ sessionDate: -1 });
+
+    return sessions.map(session => this.toView(session, user));
+  }
+
+  /**
+   * Session view: therapists and admins see the roster, clients their own seat
+   */
+  toView(session, user) {
+    const psychologistId = (session.psychologist._id || session.psychologist).toString();
+    const isStaff = user.role === 'admin' || psychologistId === user.id;
+
+    const view = {
+      _id: session._id,
+      title: session.getDecryptedTitle(),
+      description: session.getDecryptedNotes(),
+      sessionDate: session.sessionDate,
+      status: session.status,
+      seatPrice: session.price,
+      psychologist: session.psychologist,
+      seats: getSeatSummary(session)
+    };
+
+    if (isStaff) {
+      view.participants = session.participants;
+    } else {
+      view.mySeat = getParticipant(session, user.id);
+    }
+    return view;
+  }
+
+  async getSessionForUser(user, sessionId) {
+    const session = await this.getGroupSession(sessionId);
+    await session.populate('psychologist', 'name profilePicture');
+    await session.populate('participants.client', 'name email profilePicture');
+
+    const isTherapist = session.psychologist._id.toString() === user.id;
+    if (user.role !== 'admin' && !isTherapist && !getParticipant(session, user.id)) {
+      // Clients may view an open session before reserving
+      if (!GROUP_SESSION_CONFIG.OPEN_STATUSES.includes(session.status)) {
+        throw new Error('Not authorized to view this group session');
+      }
+    }
+    return this.toView(session, user);
+  }
+
+  /**
+   * Reserve a seat; it is held for SEAT_HOLD_MINUTES awaiting payment
+   */
+  async reserveSeat(user, sessionId) {
+    await this.initialize();
+
+    if (user.role !== 'client') {
+      throw new Error('Not authorized: only clients can enrol in group sessions');
+    }
+
+    const session = await this.getGroupSession(sessionId);
+    if (!GROUP_SESSION_CONFIG.OPEN_STATUSES.includes(session.status)) {
+      throw new Error('This group session is not open for enrolment');
+    }
+    const closesAt = new Date(session.sessionDate.getTime() - GROUP_SESSION_CONFIG.ENROLMENT_CLOSES_MINUTES * 60 * 1000);
+    if (new Date() >= closesAt) {
+      throw new Error('Enrolment for this group session has closed');
+    }
+
+    const existing = getParticipant(session, user.id);
+    if (existing && existing.status === 'cancelled') {
+      throw new Error('You cancelled your seat in this group session');
+    }
+    if (existing && !isReservationExpired(existing)) {
+      throw new Error('You already have a seat in this group session');
+    }
+
+    // Release lapsed reservations, including the user's own, once any
+    // payment that lost its callback has been checked with M-Pesa
+    await this.settleStalePayments(session);
+    await this.Session.updateOne(
+      { _id: sessionId },
+      { $pull: { participants: lapsedReservationQuery() } }
+    );
+
+    // Claim a seat only while one is free; cancelled seats don't count
+    const result = await this.Session.updateOne(
+      {
+        _id: sessionId,
+        'participants.client': { $ne: user.id },
+        $expr: {
+          $lt: [
+            { $size: { $filter: { input: '$participants', cond: { $ne: ['$$this.status', 'cancelled'] } } } },
+            '$capacity'
+          ]
+        }
+      },
+      {
+        $push: {
+          participants: {
+            client: user.id,
+            role: 'group_member',
+            status: 'reserved',
+            reservedAt: new Date(),
+            paymentStatus: 'Pending',
+            amount: session.price
+          }
+        }
+      }
+    );
+
+    if (result.modifiedCount === 0) {
+      throw new Error('This group session is full');
+    }
+
+    const updated = await this.getGroupSession(sessionId);
+    return {
+      seat: getParticipant(updated, user.id),
+      heldUntil: new Date(Date.now() + GROUP_SESSION_CONFIG.SEAT_HOLD_MINUTES * 60 * 1000)
+    };
+  }
+
+  /**
+   * Give up a seat: an unpaid reservation is released, a paid seat is
+   * cancelled and refunded under the cancellation policy
+   * @returns {Promise<Object>} - { released } or { cancelled, refundAmount, refundPercentage, refundStatus }
+   */
+  async releaseSeat(user, sessionId) {
+    await this.initialize();
+
+    const result = await this.Session.updateOne(
+      { _id: sessionId, sessionType: 'Group' },
+      { $pull: { participants: { client: user.id, status: 'reserved', paymentStatus: { $ne: 'Processing' } } } }
+    );
+    if (result.modifiedCount > 0) {
+      return { released: true };
+    }
+
+    const session = await this.getGroupSession(sessionId);
+    const participant = getParticipant(session, user.id);
+    if (!participant || participant.status !== 'enrolled' || participant.paymentStatus !== 'Paid') {
+      throw new Error('No seat to release');
+    }
+    if (!GROUP_SESSION_CONFIG.OPEN_STATUSES.includes(session.status) || new Date() >= session.sessionDate) {
+      throw new Error('This group session can no longer be cancelled');
+    }
+
+    const { cancellationService } = require('./cancellationService');
+    const refundPercentage = cancellationService.calculateRefundPercentage(
+      cancellationService.calculateHoursUntilSession(session.sessionDate)
+    );
+    const refundAmount = Math.round(participant.amount * refundPercentage / 100);
+
+    participant.status = 'cancelled';
+    participant.cancelledAt = new Date();
+    participant.refundAmount = refundAmount;
+    participant.refundPercentage = refundPercentage;
+    participant.refundStatus = refundAmount > 0 ? 'pending' : 'not_applicable';
+    await session.save();
+
+    await auditLogger.logAuditEvent({
+      action: 'GROUP_SEAT_CANCELLED',
+      userId: user.id,
+      sessionId: session._id,
+      details: { refundAmount, refundPercentage }
+    });
+
+    if (refundAmount > 0) {
+      await this.refundSeat(session, participant, refundAmount);
+    }
+
+    return {
+      cancelled: true,
+      refundAmount,
+      refundPercentage,
+      refundStatus: participant.refundStatus
+    };
+  }
+
+  /**
+   * Cancel the whole group session (its therapist or an admin); every
+   * paid seat is refunded in full
+   */
+  async cancelGroupSession(user, sessionId, { reason, notes } = {}) {
+    const session = await this.getOwnGroupSession(user, sessionId);
+    if (!GROUP_SESSION_CONFIG.OPEN_STATUSES.includes(session.status)) {
+      throw new Error(`Cannot cancel a group session in ${session.status} status`);
+    }
+    if (!reason) {
+      throw new Error('Cancellation reason is required');
+    }
+
+    const previousStatus = session.status;
+    session.status = 'Cancelled';
+    session.cancellationRequestedAt = new Date();
+    session.cancellationReason = reason;
+    session.cancellationNotes = notes;
+    session.cancelledBy = user.role === 'admin' ? 'admin' : 'therapist';
+
+    const paidSeats = session.participants.filter(p => p.status === 'enrolled' && p.paymentStatus === 'Paid');
+    for (const participant of paidSeats) {
+      participant.status = 'cancelled';
+      participant.cancelledAt = session.cancellationRequestedAt;
+      participant.refundAmount = participant.amount;
+      participant.refundPercentage = 100;
+      participant.refundStatus = participant.amount > 0 ? 'pending' : 'not_applicable';
+    }
+    await session.save();
+
+    await auditLogger.logAuditEvent({
+      action: 'GROUP_SESSION_CANCELLED',
+      userId: user.id,
+      sessionId: session._id,
+      details: { previousStatus, reason, refundedSeats: paidSeats.length }
+    });
+
+    for (const participant of paidSeats) {
+      if (participant.refundAmount > 0) {
+        await this.refundSeat(session, participant, participant.refundAmount);
+      }
+    }
+
+    await this.sendCancellationNotices(session, paidSeats);
+
+    const { eventBus, SESSION_EVENTS } = require('../src/events/eventBus');
+    eventBus.emitEvent(SESSION_EVENTS.CANCELLED, {
+      sessionId: session._id.toString(),
+      therapistId: session.psychologist.toString(),
+      sessionDate: session.sessionDate,
+      duration: session.duration,
+      sessionType: session.sessionType,
+      cancelledBy: session.cancelledBy
+    });
+
+    return {
+      session,
+      refunds: paidSeats.map(p => ({
+        clientId: p.client,
+        refundAmount: p.refundAmount,
+        refundStatus: p.refundStatus
+      }))
+    };
+  }
+
+  /**
+   * Send a seat's refund to the phone that paid for it
+   */
+  async refundSeat(session, participant, refundAmount) {
+    const { refundService } = require('./refundService');
+    try {
+      return await refundService.processMpesaRefund(session, refundAmount, 'SESSION_CANCELLED', { participant });
+    } catch (error) {
+      console.error('Group seat refund error:', error);
+      participant.refundStatus = 'failed';
+      participant.refundNotes = error.message;
+      await session.save();
+      return { success: false, status: 'failed', error: error.message };
+    }
+  }
+
+  /**
+   * Tell each paid member their group session was cancelled
+   */
+  async sendCancellationNotices(session, seats) {
+    let notificationService;
+    try {
+      notificationService = require('../utils/notificationService');
+    } catch (e) {
+      return;
+    }
+    const notificationTemplates = require('../utils/notificationTemplates');
+    const psychologist = await this.User.findById(session.psychologist).select('name');
+
+    for (const participant of seats) {
+      try {
+        const client = await this.User.findById(participant.client).select('name email phone');
+        if (!client) continue;
+
+        const data = {
+          clientName: client.name,
+          therapistName: psychologist && psychologist.name,
+          sessionDate: session.sessionDate,
+          sessionType: 'Group',
+          cancellationReason: session.cancellationReason,
+          refundAmount: participant.refundAmount,
+          refundPercentage: participant.refundPercentage,
+          refundStatus: participant.refundStatus,
+          policy: 'Group session cancelled; paid seats are refunded in full',
+          sessionId: session._id.toString()
+        };
+        if (client.email) {
+          const email = notificationTemplates.cancellationConfirmationClientEmail(data);
+          await notificationService.sendEmail({ to: client.email, subject: email.subject, html: email.html });
+        }
+        if (client.phone) {
+          await notificationService.sendSMS({
+            to: client.phone,
+            message: notificationTemplates.cancellationConfirmationClientSMS(data)
+          });
+        }
+      } catch (error) {
+        console.error('Group cancellation notice error:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Sign the group confidentiality agreement for this session
+   */
+  async signAgreement(user, sessionId, { typedSignature, signatureConfirmation, ipAddress, userAgent }) {
+    const session = await this.getGroupSession(sessionId);
+    const participant = getParticipant(session, user.id);
+    if (!participant) {
+      throw new Error('Reserve a seat before signing the group agreement');
+    }
+    if (!typedSignature || typedSignature.trim().length < 2) {
+      throw new Error('Please type your full name as signature');
+    }
+    if (!signatureConfirmation) {
+      throw new Error('Please confirm you have read and agree to the terms');
+    }
+
+    let agreement = await this.ConfidentialityAgreement.getSessionAgreement(user.id, sessionId);
+    if (!agreement) {
+      const version = this.ConfidentialityAgreement.getCurrentGroupVersion();
+      const content = this.ConfidentialityAgreement.getAgreementContent(version);
+      agreement = await this.ConfidentialityAgreement.create({
+        client: user.id,
+        session: sessionId,
+        agreementType: 'group',
+        agreementVersion: version,
+        agreementContent: content,
+        agreementContentHash: this.ConfidentialityAgreement.generateContentHash(content),
+        typedSignature: typedSignature.trim(),
+        signatureConfirmation: true,
+        ipAddress: ipAddress || 'unknown',
+        userAgent: userAgent || 'unknown'
+      });
+
+      await auditLogger.logAuditEvent({
+        action: 'AGREEMENT_SIGNED',
+        userId: user.id,
+        sessionId,
+        details: { agreementId: agreement._id, version, agreementType: 'group' }
+      });
+    }
+
+    await this.Session.updateOne(
+      { _id: sessionId, 'participants.client': user.id },
+      { $set: { 'participants.$.agreement': agreement._id } }
+    );
+
+    return agreement;
+  }
+
+  /**
+   * Send an M-Pesa STK push for the user's own seat
+   */
+  async initiateSeatPayment(user, sessionId, phoneNumber) {
+    const session = await this.getGroupSession(sessionId);
+    await session.populate('psychologist', 'name');
+
+    const participant = getParticipant(session, user.id);
+    if (!participant || isReservationExpired(participant)) {
+      throw new Error('Your seat reservation has expired; reserve a seat again');
+    }
+    if (participant.paymentStatus === 'Paid') {
+      throw new Error('Seat already paid');
+    }
+    if (participant.paymentStatus === 'Processing') {
+      throw new Error('Payment already in progress. Please check your phone or wait a moment.');
+    }
+    if (!participant.agreement) {
+      throw new Error('Sign the group confidentiality agreement before paying');
+    }
+    if (!phoneNumber || !/^(254|0)[17]\d{8}$/.test(phoneNumber.replace(/[\s\+\-\(\)]/g, ''))) {
+      throw new Error('Invalid phone number. Use format: 0712345678 or 254712345678');
+    }
+
+    // Loaded on demand: the M-Pesa client requires its credentials at load time
+    const mpesaAPI = require('../config/mpesa');
+    const formattedPhone = mpesaAPI.formatPhoneNumber(phoneNumber);
+    const accountReference = `SEAT-${session._id.toString().slice(-8)}`;
+    const transactionDesc = `Group Therapy with Dr. ${session.psychologist.name}`;
+
+    const mpesaResponse = await mpesaAPI.stkPush(formattedPhone, participant.amount, accountReference, transactionDesc);
+
+    await this.Session.updateOne(
+      { _id: sessionId, 'participants.client': user.id },
+      {
+        $set: {
+          'participants.$.paymentStatus': 'Processing',
+          'participants.$.paymentInitiatedAt': new Date(),
+          'participants.$.mpesaCheckoutRequestID': mpesaResponse.CheckoutRequestID,
+          'participants.$.mpesaMerchantRequestID': mpesaResponse.MerchantRequestID,
+          'participants.$.mpesaPhoneNumber': formattedPhone
+        }
+      }
+    );
+
+    auditLogger.logPaymentInitiation({
+      userId: user.id,
+      sessionId: session._id.toString(),
+      amount: participant.amount,
+      phoneNumber: formattedPhone,
+      checkoutRequestID: mpesaResponse.CheckoutRequestID,
+      merchantRequestID: mpesaResponse.MerchantRequestID
+    });
+
+    return {
+      checkoutRequestID: mpesaResponse.CheckoutRequestID,
+      merchantRequestID: mpesaResponse.MerchantRequestID,
+      amount: participant.amount
+    };
+  }
+
+  /**
+   * Apply an M-Pesa STK callback to a group seat
+   * @returns {Promise<Object|null>} - null when the callback is not for a seat
+   */
+  async handleSeatPaymentCallback({ CheckoutRequestID, ResultCode, ResultDesc, CallbackMetadata }) {
+    await this.initialize();
+
+    const session = await this.Session.findOne({ 'participants.mpesaCheckoutRequestID': CheckoutRequestID })
+      .populate('psychologist', 'name email');
+    if (!session) return null;
+
+    const participant = session.participants.find(p => p.mpesaCheckoutRequestID === CheckoutRequestID);
+    if (participant.paymentStatus === 'Paid') {
+      console.log('⚠️ Duplicate seat payment callback ignored:', CheckoutRequestID);
+      return { session, participant, duplicate: true };
+    }
+
+    const metadata = {};
+    if (CallbackMetadata && CallbackMetadata.Item) {
+      CallbackMetadata.Item.forEach(item => {
+        metadata[item.Name] = item.Value;
+      });
+    }
+
+    const previousStatus = participant.paymentStatus;
+    participant.mpesaResultDesc = ResultDesc;
+    if (ResultCode === 0) {
+      participant.paymentStatus = 'Paid';
+      participant.status = 'enrolled';
+      participant.enrolledAt = new Date();
+      participant.paidAt = new Date();
+      participant.mpesaTransactionID = metadata.MpesaReceiptNumber;
+    } else {
+      // Seat stays reserved until its hold lapses so the client can retry
+      participant.paymentStatus = 'Failed';
+    }
+    await session.save();
+
+    auditLogger.logPaymentCallback({
+      sessionId: session._id.toString(),
+      checkoutRequestID: CheckoutRequestID,
+      resultCode: ResultCode,
+      resultDesc: ResultDesc,
+      transactionID: metadata.MpesaReceiptNumber || null,
+      amount: metadata.Amount || participant.amount,
+      phoneNumber: metadata.PhoneNumber || participant.mpesaPhoneNumber
+    });
+    auditLogger.logPaymentStatusChange({
+      sessionId: session._id.toString(),
+      previousStatus,
+      newStatus: participant.paymentStatus,
+      reason: `Group seat M-Pesa callback: ${ResultDesc}`,
+      transactionID: metadata.MpesaReceiptNumber || null,
+      resultCode: ResultCode
+    });
+
+    if (ResultCode === 0) {
+      // Receipt for the seat; the daily reconciliation retries any failure
+      const { invoiceService } = require('./invoiceService');
+      invoiceService.issueForSeat(session._id, participant.client)
+        .catch(error => console.error('⚠️ Failed to issue seat receipt:', error.message));
+    }
+
+    // Paid after the session was cancelled or closed without the seat: refund it
+    if (ResultCode === 0 && ['Cancelled', 'Completed'].includes(session.status)) {
+      participant.status = 'cancelled';
+      participant.cancelledAt = new Date();
+      participant.refundAmount = participant.amount;
+      participant.refundPercentage = 100;
+      participant.refundStatus = 'pending';
+      await session.save();
+      await this.refundSeat(session, participant, participant.amount);
+      return { session, participant, duplicate: false };
+    }
+
+    if (ResultCode === 0) {
+      try {
+        const client = await this.User.findById(participant.client).select('name email');
+        const { sendPaymentConfirmationNotification } = require('../utils/notificationService');
+        await sendPaymentConfirmationNotification(
+          session, client, session.psychologist, metadata.MpesaReceiptNumber, metadata.Amount || participant.amount
+        );
+      } catch (notificationError) {
+        console.error('⚠️ Failed to send seat payment confirmation:', notificationError.message);
+      }
+    }
+
+    return { session, participant, duplicate: false };
+  }
+
+  /**
+   * Ask M-Pesa for the result of seat payments whose callback never
+   * arrived; seats it can't confirm as paid lapse like any reservation
+   */
+  async settleStalePayments(session, now = new Date()) {
+    const stale = session.participants.filter(p => p.paymentStatus === 'Processing' && isReservationExpired(p, now));
+    if (stale.length === 0) return;
+
+    for (const participant of stale) {
+      try {
+        // Loaded on demand: the M-Pesa client requires its credentials at load time
+        const mpesaAPI = require('../config/mpesa');
+        const result = await mpesaAPI.stkQuery(participant.mpesaCheckoutRequestID);
+        if (result.ResultCode === undefined) continue;
+        await this.handleSeatPaymentCallback({
+          CheckoutRequestID: participant.mpesaCheckoutRequestID,
+          ResultCode: Number(result.ResultCode),
+          ResultDesc: result.ResultDesc
+        });
+      } catch (error) {
+        console.error('Seat payment status query error:', error.message);
+      }
+    }
+  }
+
+  async recordJoin(sessionId, userId) {
+    await this.initialize();
+    await this.Session.updateOne(
+      { _id: sessionId, sessionType: 'Group', participants: { $elemMatch: { client: userId, joinedAt: null } } },
+      { $set: { 'participants.$.joinedAt': new Date() } }
+    );
+  }
+
+  async recordLeave(sessionId, userId) {
+    await this.initialize();
+    await this.Session.updateOne(
+      { _id: sessionId, sessionType: 'Group', 'participants.client': userId },
+      { $set: { 'participants.$.leftAt': new Date() } }
+    );
+  }
+
+  /**
+   * Therapist marks attendance for one member
+   */
+  async markAttendance(user, sessionId, clientId, attendance) {
+    if (!GROUP_SESSION_CONFIG.ATTENDANCE_STATUSES.includes(attendance)) {
+      throw new Error(`Attendance must be one of: ${GROUP_SESSION_CONFIG.ATTENDANCE_STATUSES.join(', ')}`);
+    }
+
+    const session = await this.getOwnGroupSession(user, sessionId);
+    const participant = getParticipant(session, clientId);
+    if (!participant || participant.status !== 'enrolled') {
+      throw new Error('Client is not enrolled in this group session');
+    }
+
+    participant.attendance = attendance;
+    await session.save();
+    return participant;
+  }
+
+  /**
+   * Close the session: unmarked members who joined the room attended,
+   * the rest are no-shows
+   */
+  async completeSession(user, sessionId) {
+    let session = await this.getOwnGroupSession(user, sessionId);
+    if (!GROUP_SESSION_CONFIG.OPEN_STATUSES.includes(session.status)) {
+      throw new Error(`Cannot complete a group session in ${session.status} status`);
+    }
+    if (new Date() < session.sessionDate) {
+      throw new Error('Group session has not started yet');
+    }
+
+    // Settled seats are saved on their own copy of the session
+    if (session.participants.some(p => p.paymentStatus === 'Processing')) {
+      await this.settleStalePayments(session);
+      session = await this.getOwnGroupSession(user, sessionId);
+    }
+
+    for (const participant of session.participants) {
+      if (participant.status === 'enrolled') {
+        participant.attendance = resolveAttendance(participant);
+      }
+    }
+    // Lapsed reservations never became seats; cancelled seats keep their refund
+    // and seats with a payment still in flight wait for its callback to refund it
+    session.participants = session.participants.filter(
+      p => p.status !== 'reserved' || p.paymentStatus === 'Processing'
+    );
+    session.status = 'Completed';
+    await session.save();
+
+    return {
+      session,
+      attendance: {
+        attended: session.participants.filter(p => p.attendance === 'attended').length,
+        noShow: session.participants.filter(p => p.attendance === 'no_show').length,
+        excused: session.participants.filter(p => p.attendance === 'excused').length
+      }
+    };
+  }
+}
+
+const groupSessionService = new GroupSessionService();
+
+module.exports = {
+  groupSessionService,
+  GroupSessionService,
+  GROUP_SESSION_CONFIG,
+  validateGroupSessionRequest,
+  isReservationExpired,
+  lapsedReservationQuery,
+  getSeatSummary,
+  resolveAttendance
+};
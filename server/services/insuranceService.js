@@ -0,0 +1,640 @@
+/**
+ * Insurance Service
+ *
+ * Helps clients claim therapy costs back from their insurer:
+ * - Clients keep insurer and member details on their profile
+ * - Therapists record diagnosis (ICD-10) and service (CPT) codes on
+ *   completed sessions; diagnosis codes are encrypted at rest
+ * - Clients download superbills per session or per month and submit them
+ *   to their insurer themselves
+ * - Clients track each claim (submitted, paid, rejected) so the dashboard
+ *   shows what is reimbursable and what has come back
+ */
+
+const auditLogger = require('../utils/auditLogger');
+const { INVOICE_CONFIG, getAmountPaid } = require('./invoiceService');
+
+const INSURANCE_CONFIG = {
+  // CPT psychotherapy codes therapists can bill
+  SERVICE_CODES: {
+    90791: 'Psychiatric diagnostic evaluation',
+    90832: 'Psychotherapy, 30 minutes',
+    90834: 'Psychotherapy, 45 minutes',
+    90837: 'Psychotherapy, 60 minutes',
+    90846: 'Family psychotherapy without the patient',
+    90847: 'Family psychotherapy with the patient',
+    90853: 'Group psychotherapy'
+  },
+  // Synchronous telehealth, delivered to the patient's home
+  TELEHEALTH_MODIFIER: '95',
+  PLACE_OF_SERVICE: '10',
+  MAX_DIAGNOSIS_CODES: 4,
+  CLAIM_TRANSITIONS: {
+    none: ['submitted'],
+    submitted: ['paid', 'rejected'],
+    rejected: ['submitted'],
+    paid: []
+  },
+  // Paid for by someone other than the client, so there is nothing to claim
+  NON_CLAIMABLE_METHODS: ['eap'],
+  DEFAULT_DURATIONS: { Individual: 60, Couples: 75, Family: 90, Group: 90 }
+};
+
+const ICD10_PATTERN = /^[A-TV-Z][0-9][0-9AB](\.[0-9A-TV-Z]{1,4})?$/;
+const MODIFIER_PATTERN = /^[A-Z0-9]{2}$/;
+
+/**
+ * Uppercase, trim and de-duplicate diagnosis codes
+ */
+function normalizeDiagnosisCodes(codes) {
+  const list = Array.isArray(codes) ? codes : String(codes || '').split(',');
+  return [...new Set(list.map(code => String(code).trim().toUpperCase()).filter(Boolean))];
+}
+
+/**
+ * Validate billing codes for a session
+ * @returns {Array<string>} - Validation errors
+ */
+function validateBillingCodes({ diagnosisCodes, serviceCode, modifiers = [] }) {
+  const errors = [];
+  const codes = normalizeDiagnosisCodes(diagnosisCodes);
+
+  if (codes.length === 0) {
+    errors.push('At least one diagnosis code is required');
+  } else if (codes.length > INSURANCE_CONFIG.MAX_DIAGNOSIS_CODES) {
+    errors.push(`At most ${INSURANCE_CONFIG.MAX_DIAGNOSIS_CODES} diagnosis codes can be billed`);
+  }
+  const invalid = codes.filter(code => !ICD10_PATTERN.test(code));
+  if (invalid.length > 0) {
+    errors.push(`Invalid ICD-10 code(s): ${invalid.join(', ')}`);
+  }
+  if (!INSURANCE_CONFIG.SERVICE_CODES[serviceCode]) {
+    errors.push(`Service code must be one of: ${Object.keys(INSURANCE_CONFIG.SERVICE_CODES).join(', ')}`);
+  }
+  if (!Array.isArray(modifiers) || modifiers.some(m => !MODIFIER_PATTERN.test(String(m).toUpperCase()))) {
+    errors.push('Modifiers must be two-character codes');
+  }
+
+  return errors;
+}
+
+/**
+ * The usual CPT code for a session type and length
+ */
+function suggestServiceCode(sessionType, durationMinutes) {
+  if (sessionType === 'Group') return '90853';
+  if (sessionType === 'Couples' || sessionType === 'Family') return '90847';
+
+  const minutes = durationMinutes || INSURANCE_CONFIG.DEFAULT_DURATIONS.Individual;
+  if (minutes < 38) return '90832';
+  if (minutes < 53) return '90834';
+  return '90837';
+}
+
+/**
+ * Validate insurance details from the client profile
+ * @returns {Array<string>} - Validation errors
+ */
+function validateInsuranceDetails({ provider, memberNumber, policyHolderRelationship = 'self', policyHolderName, policyHolderDateOfBirth }) {
+  const errors = [];
+
+  if (!provider || !String(provider).trim()) {
+    errors.push('Insurer name is required');
+  }
+  if (!memberNumber || !String(memberNumber).trim()) {
+    errors.push('Member number is required');
+  }
+  if (!['self', 'spouse', 'child', 'other'].includes(policyHolderRelationship)) {
+    errors.push('Relationship to policy holder must be self, spouse, child or other');
+  } else if (policyHolderRelationship !== 'self' && (!policyHolderName || !policyHolderDateOfBirth)) {
+    errors.push('Policy holder name and date of birth are required when you are not the policy holder');
+  }
+  if (policyHolderDateOfBirth && !/^\d{4}-\d{2}-\d{2}$/.test(policyHolderDateOfBirth)) {
+    errors.push('Policy holder date of birth must be YYYY-MM-DD');
+  }
+
+  return errors;
+}
+
+function canTransitionClaim(from, to) {
+  return INSURANCE_CONFIG.CLAIM_TRANSITIONS[from || 'none'].includes(to);
+}
+
+/**
+ * What the client paid for a session after any refund
+ */
+function getClaimableAmount(session) {
+  if (!INVOICE_CONFIG.PAID_STATUSES.includes(session.paymentStatus)) return 0;
+  if (INSURANCE_CONFIG.NON_CLAIMABLE_METHODS.includes(session.paymentMethod)) return 0;
+
+  const refunded = session.refundStatus === 'processed' ? (session.refundAmount || 0) : 0;
+  return Math.max(0, getAmountPaid(session) - refunded);
+}
+
+/**
+ * Whether a session can go on a superbill, and what is missing if not
+ * @returns {Object} - { reimbursable, missing: Array<string> }
+ */
+function getClaimReadiness(session, insurance) {
+  const missing = [];
+
+  if (session.status !== 'Completed') {
+    missing.push('Session not completed yet');
+  }
+  if (getClaimableAmount(session) <= 0) {
+    missing.push('No payment by you to claim');
+  }
+  if (!session.billingCodes || !session.billingCodes.serviceCode) {
+    missing.push('Billing codes from your therapist');
+  }
+  if (!insurance || !insurance.provider || !insurance.memberNumber) {
+    missing.push('Insurance details on your profile');
+  }
+
+  return { reimbursable: missing.length === 0, missing };
+}
+
+/**
+ * One superbill line per session
+ * @param {Array} sessions - Sessions with psychologist populated and diagnosis codes decrypted
+ */
+function buildSuperbillLines(sessions) {
+  return sessions
+    .slice()
+    .sort((a, b) => new Date(a.sessionDate) - new Date(b.sessionDate))
+    .map(session => {
+      const codes = session.billingCodes;
+      return {
+        serviceDate: session.sessionDate,
+        bookingReference: session.bookingReference,
+        providerName: session.psychologist && session.psychologist.name,
+        placeOfService: codes.placeOfService || INSURANCE_CONFIG.PLACE_OF_SERVICE,
+        serviceCode: codes.serviceCode,
+        modifiers: codes.modifiers && codes.modifiers.length ? codes.modifiers : [INSURANCE_CONFIG.TELEHEALTH_MODIFIER],
+        description: INSURANCE_CONFIG.SERVICE_CODES[codes.serviceCode],
+        diagnosisCodes: normalizeDiagnosisCodes(codes.diagnosisCodes),
+        fee: (session.pricing && session.pricing.standardRate) || session.sessionRate || session.price,
+        amountPaid: getClaimableAmount(session)
+      };
+    });
+}
+
+/**
+ * Everything printed on a superbill
+ */
+function buildSuperbillData({ reference, client, sessions, periodStart, periodEnd, statementDate = new Date() }) {
+  const lines = buildSuperbillLines(sessions);
+
+  const providers = [];
+  sessions.forEach(session => {
+    const therapist = session.psychologist;
+    if (therapist && !providers.some(p => p.name === therapist.name)) {
+      const details = therapist.psychologistDetails || {};
+      providers.push({
+        name: therapist.name,
+        licenseNumber: details.licenseNumber,
+        licensingBody: details.licensingBody
+      });
+    }
+  });
+
+  const insurance = client.insurance || {};
+  return {
+    reference,
+    statementDate,
+    periodStart,
+    periodEnd,
+    patient: {
+      name: client.name,
+      dateOfBirth: client.dateOfBirth,
+      email: client.email,
+      phone: client.phone,
+      address: [client.address, client.city, client.country].filter(Boolean).join(', ')
+    },
+    insurance: {
+      provider: insurance.provider,
+      planName: insurance.planName,
+      memberNumber: insurance.memberNumber,
+      groupNumber: insurance.groupNumber,
+      policyHolderName: insurance.policyHolderRelationship === 'self' || !insurance.policyHolderRelationship
+        ? client.name
+        : insurance.policyHolderName,
+      policyHolderRelationship: insurance.policyHolderRelationship || 'self',
+      policyHolderDateOfBirth: insurance.policyHolderRelationship === 'self' || !insurance.policyHolderRelationship
+        ? client.dateOfBirth
+        : insurance.policyHolderDateOfBirth
+    },
+    providers,
+    diagnosisCodes: [...new Set(lines.flatMap(line => line.diagnosisCodes))],
+    lines,
+    totalCharged: lines.reduce((sum, line) => sum + line.fee, 0),
+    totalPaid: lines.reduce((sum, line) => sum + line.amountPaid, 0),
+    currency: 'KES'
+  };
+}
+
+/**
+ * The calendar month for YYYY-MM: { start, end }
+ */
+function parseMonth(month) {
+  const match = /^(\d{4})-(\d{2})$/.exec(month || '');
+  if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+    throw new Error('Month must be in YYYY-MM format');
+  }
+  return {
+    start: new Date(Number(match[1]), Number(match[2]) - 1, 1),
+    end: new Date(Number(match[1]), Number(match[2]), 1)
+  };
+}
+
+class InsuranceService {
+  constructor() {
+    this.Session = null;
+    this.User = null;
+  }
+
+  async initialize() {
+    if (!this.Session) this.Session = require('../models/Session');
+    if (!this.User) this.User = require('../models/User');
+  }
+
+  // ---------------------------------------------------------------------------
+  // Profile details
+  // ---------------------------------------------------------------------------
+
+  async getInsuranceDetails(userId) {
+    await this.initialize();
+
+    const user = await this.User.findById(userId).select('insurance');
+    if (!user) {
+      throw new Error('User not found');
+    }
+    return user.insurance && user.insurance.provider ? user.insurance : null;
+  }
+
+  async updateInsuranceDetails(userId, data) {
+    await this.initialize();
+
+    const details = {
+      provider: data.provider,
+      planName: data.planName,
+      memberNumber: data.memberNumber,
+      groupNumber: data.groupNumber,
+      policyHolderRelationship: data.policyHolderRelationship || 'self',
+      policyHolderName: data.policyHolderName,
+      policyHolderDateOfBirth: data.policyHolderDateOfBirth
+    };
+    const errors = validateInsuranceDetails(details);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    const user = await this.User.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    if (user.role !== 'client') {
+      throw new Error('Not authorized: only clients can add insurance details');
+    }
+
+    user.insurance = { ...details, updatedAt: new Date() };
+    await user.save();
+
+    await auditLogger.logAuditEvent({
+      action: 'INSURANCE_DETAILS_UPDATED',
+      userId,
+      details: { provider: details.provider }
+    });
+
+    return user.insurance;
+  }
+
+  async removeInsuranceDetails(userId) {
+    await this.initialize();
+
+    await this.User.updateOne({ _id: userId }, { $unset: { insurance: '' } });
+
+    await auditLogger.logAuditEvent({
+      action: 'INSURANCE_DETAILS_REMOVED',
+      userId,
+      details: {}
+    });
+  }
+
+  /**
+   * Licence details therapists print on superbills
+   */
+  async updateProviderDetails(user, { licenseNumber, licensingBody }) {
+    await this.initialize();
+
+    if (user.role !== 'psychologist') {
+      throw new Error('Not authorized: only therapists have provider details');
+    }
+    if (!licenseNumber || !licenseNumber.trim() || !licensingBody || !licensingBody.trim()) {
+      throw new Error('License number and licensing body are required');
+    }
+
+    const therapist = await this.User.findByIdAndUpdate(
+      user.id,
+      {
+        'psychologistDetails.licenseNumber': licenseNumber.trim(),
+        'psychologistDetails.licensingBody': licensingBody.trim()
+      },
+      { new: true }
+    ).select('name psychologistDetails.licenseNumber psychologistDetails.licensingBody');
+
+    return therapist.psychologistDetails;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Billing codes (therapists)
+  // ---------------------------------------------------------------------------
+
+  async _getSessionForCoding(user, sessionId) {
+    const session = await this.Session.findById(sessionId);
+    if (!session) {
+      throw new Error('Session not found');
+    }
+    if (user.role !== 'admin' && session.psychologist.toString() !== user.id) {
+      throw new Error('Not authorized to code this session');
+    }
+    return session;
+  }
+
+  _presentCodes(session) {
+    if (!session.billingCodes || !session.billingCodes.serviceCode) {
+      return null;
+    }
+    return {
+      diagnosisCodes: normalizeDiagnosisCodes(session.decryptField('billingCodes.diagnosisCodes')),
+      serviceCode: session.billingCodes.serviceCode,
+      serviceDescription: INSURANCE_CONFIG.SERVICE_CODES[session.billingCodes.serviceCode],
+      modifiers: session.billingCodes.modifiers,
+      placeOfService: session.billingCodes.placeOfService,
+      codedAt: session.billingCodes.codedAt
+    };
+  }
+
+  /**
+   * Record diagnosis and service codes on a completed session
+   */
+  async setBillingCodes(user, sessionId, data) {
+    await this.initialize();
+
+    const session = await this._getSessionForCoding(user, sessionId);
+    if (session.status !== 'Completed') {
+      throw new Error('Billing codes can only be recorded on completed sessions');
+    }
+    if (session.insuranceClaim && ['submitted', 'paid'].includes(session.insuranceClaim.status)) {
+      throw new Error('Billing codes cannot change once a claim has been submitted');
+    }
+
+    const modifiers = (data.modifiers || [INSURANCE_CONFIG.TELEHEALTH_MODIFIER]).map(m => String(m).toUpperCase());
+    const errors = validateBillingCodes({ ...data, modifiers });
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    session.billingCodes = {
+      diagnosisCodes: normalizeDiagnosisCodes(data.diagnosisCodes).join(','),
+      serviceCode: String(data.serviceCode),
+      modifiers,
+      placeOfService: INSURANCE_CONFIG.PLACE_OF_SERVICE,
+      codedBy: user.id,
+      codedAt: new Date()
+    };
+    await session.save();
+
+    // Codes are clinical data; log that they changed, not what they are
+    await auditLogger.logAuditEvent({
+      action: 'SESSION_BILLING_CODES_SET',
+      userId: user.id,
+      targetUserId: session.client,
+      details: { sessionId: session._id, serviceCode: session.billingCodes.serviceCode }
+    });
+
+    return this._presentCodes(session);
+  }
+
+  /**
+   * Codes for a session (its therapist, its client or admins), with a
+   * suggested service code if none are recorded yet
+   */
+  async getBillingCodes(user, sessionId) {
+    await this.initialize();
+
+    const session = await this.Session.findById(sessionId);
+    if (!session) {
+      throw new Error('Session not found');
+    }
+    const isParty = [session.client.toString(), session.psychologist.toString()].includes(user.id);
+    if (user.role !== 'admin' && !isParty) {
+      throw new Error('Not authorized to view this session');
+    }
+
+    return {
+      codes: this._presentCodes(session),
+      suggestedServiceCode: suggestServiceCode(session.sessionType, session.callDuration)
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Claims (clients)
+  // ---------------------------------------------------------------------------
+
+  /**
+   * The client's completed sessions with claim readiness and status
+   */
+  async listClaims(userId) {
+    await this.initialize();
+
+    const [client, sessions] = await Promise.all([
+      this.User.findById(userId).select('insurance'),
+      this.Session.find({ client: userId, status: 'Completed' })
+        .populate('psychologist', 'name')
+        .select('sessionDate sessionType status bookingReference price mpesaAmount paymentAmount paymentStatus paymentMethod refundStatus refundAmount billingCodes.serviceCode insuranceClaim psychologist')
+        .sort({ sessionDate: -1 })
+    ]);
+    const insurance = client && client.insurance;
+
+    const claims = sessions.map(session => ({
+      sessionId: session._id,
+      sessionDate: session.sessionDate,
+      sessionType: session.sessionType,
+      bookingReference: session.bookingReference,
+      therapistName: session.psychologist && session.psychologist.name,
+      amountPaid: getClaimableAmount(session),
+      ...getClaimReadiness(session, insurance),
+      claim: session.insuranceClaim && session.insuranceClaim.status ? session.insuranceClaim : null
+    }));
+
+    const summary = {
+      reimbursable: claims.filter(c => c.reimbursable && !c.claim).length,
+      submitted: claims.filter(c => c.claim && c.claim.status === 'submitted').length,
+      paid: claims.filter(c => c.claim && c.claim.status === 'paid').length,
+      rejected: claims.filter(c => c.claim && c.claim.status === 'rejected').length,
+      amountReimbursed: claims.reduce((sum, c) => sum + ((c.claim && c.claim.amountReimbursed) || 0), 0)
+    };
+
+    return { hasInsurance: !!(insurance && insurance.provider), summary, claims };
+  }
+
+  /**
+   * Record a claim's progress with the insurer (the client or admins)
+   */
+  async updateClaim(user, sessionId, { status, claimReference, amountClaimed, amountReimbursed, rejectionReason }) {
+    await this.initialize();
+
+    const session = await this.Session.findById(sessionId);
+    if (!session) {
+      throw new Error('Session not found');
+    }
+    if (user.role !== 'admin' && session.client.toString() !== user.id) {
+      throw new Error('Not authorized to update this claim');
+    }
+
+    const current = session.insuranceClaim && session.insuranceClaim.status;
+    if (!canTransitionClaim(current, status)) {
+      throw new Error(`Cannot mark a ${current || 'new'} claim as ${status}`);
+    }
+
+    const client = await this.User.findById(session.client).select('insurance');
+    const claim = current ? { ...session.toObject().insuranceClaim } : {};
+    const now = new Date();
+
+    if (status === 'submitted') {
+      const { reimbursable, missing } = getClaimReadiness(session, client && client.insurance);
+      if (!reimbursable) {
+        throw new Error(`Session is not ready to claim: ${missing.join(', ')}`);
+      }
+      Object.assign(claim, {
+        insurer: client.insurance.provider,
+        claimReference: claimReference || claim.claimReference,
+        amountClaimed: amountClaimed !== undefined ? Number(amountClaimed) : getClaimableAmount(session),
+        amountReimbursed: undefined,
+        rejectionReason: undefined,
+        submittedAt: now,
+        rejectedAt: undefined
+      });
+    } else if (status === 'paid') {
+      const amount = Number(amountReimbursed);
+      if (!Number.isFinite(amount) || amount < 0) {
+        throw new Error('Amount reimbursed is required');
+      }
+      Object.assign(claim, { amountReimbursed: amount, paidAt: now });
+    } else if (status === 'rejected') {
+      Object.assign(claim, { rejectionReason: rejectionReason || 'Not given', rejectedAt: now });
+    }
+
+    session.insuranceClaim = { ...claim, status, updatedAt: now };
+    await session.save();
+
+    await auditLogger.logAuditEvent({
+      action: 'INSURANCE_CLAIM_UPDATED',
+      userId: user.id,
+      targetUserId: session.client,
+      details: { sessionId: session._id, from: current || null, to: status }
+    });
+
+    return session.insuranceClaim;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Superbills
+  // ---------------------------------------------------------------------------
+
+  async _renderSuperbill(clientId, sessions, { reference, periodStart, periodEnd }) {
+    const sessionReportGenerator = require('../utils/sessionReportGenerator');
+
+    const client = await this.User.findById(clientId)
+      .select('name email phone dateOfBirth address city country insurance');
+    if (!client || !client.insurance || !client.insurance.provider) {
+      throw new Error('Add your insurance details to your profile first');
+    }
+
+    const readySessions = sessions.filter(session => getClaimReadiness(session, client.insurance).reimbursable);
+    if (readySessions.length === 0) {
+      throw new Error('No reimbursable sessions to put on a superbill');
+    }
+
+    // Superbills need the plain codes; decrypt onto copies, never the documents
+    const decrypted = readySessions.map(session => {
+      const plain = session.toObject();
+      return {
+        ...plain,
+        billingCodes: { ...plain.billingCodes, diagnosisCodes: session.decryptField('billingCodes.diagnosisCodes') }
+      };
+    });
+
+    const superbill = buildSuperbillData({ reference, client, sessions: decrypted, periodStart, periodEnd });
+    const buffer = await sessionReportGenerator.generateSuperbill({
+      superbill,
+      business: { name: INVOICE_CONFIG.BUSINESS_NAME, taxPin: INVOICE_CONFIG.BUSINESS_TAX_PIN }
+    });
+
+    await auditLogger.logAuditEvent({
+      action: 'SUPERBILL_GENERATED',
+      userId: clientId,
+      details: { reference, sessionCount: readySessions.length }
+    });
+
+    return { buffer, filename: `${reference}.pdf` };
+  }
+
+  /**
+   * @returns {Promise<Object>} - { buffer, filename }
+   */
+  async renderSessionSuperbill(user, sessionId) {
+    await this.initialize();
+
+    const session = await this.Session.findById(sessionId)
+      .populate('psychologist', 'name psychologistDetails.licenseNumber psychologistDetails.licensingBody');
+    if (!session) {
+      throw new Error('Session not found');
+    }
+    if (user.role !== 'admin' && session.client.toString() !== user.id) {
+      throw new Error('Not authorized to view this session');
+    }
+
+    return this._renderSuperbill(session.client, [session], { reference: `SB-${session.bookingReference}` });
+  }
+
+  /**
+   * One superbill for every reimbursable session in a month
+   * @param {string} month - YYYY-MM
+   */
+  async renderMonthlySuperbill(user, month) {
+    await this.initialize();
+
+    const { start, end } = parseMonth(month);
+    const sessions = await this.Session.find({
+      client: user.id,
+      status: 'Completed',
+      sessionDate: { $gte: start, $lt: end }
+    }).populate('psychologist', 'name psychologistDetails.licenseNumber psychologistDetails.licensingBody');
+
+    return this._renderSuperbill(user.id, sessions, {
+      reference: `SB-${month.replace('-', '')}-${user.id.slice(-6).toUpperCase()}`,
+      periodStart: start,
+      periodEnd: new Date(end.getTime() - 1)
+    });
+  }
+}
+
+const insuranceService = new InsuranceService();
+
+module.exports = {
+  insuranceService,
+  InsuranceService,
+  INSURANCE_CONFIG,
+  normalizeDiagnosisCodes,
+  validateBillingCodes,
+  suggestServiceCode,
+  validateInsuranceDetails,
+  canTransitionClaim,
+  getClaimableAmount,
+  getClaimReadiness,
+  buildSuperbillLines,
+  buildSuperbillData,
+  parseMonth
+};
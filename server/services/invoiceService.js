@@ -0,0 +1,716 @@
+/**
+ * Invoice Service
+ *
+ * Receipts and credit notes for client payments:
+ * - Each paid session, group seat and package purchase gets a receipt
+ *   numbered INV-<year>-<seq>
+ * - A processed refund gets a credit note numbered CN-<year>-<seq> that
+ *   references the receipt
+ * - Documents are snapshots; PDFs are rendered from them on download
+ * Issuing is idempotent, so payment and refund paths can call issueForSession,
+ * issueForSeat and issueForPackagePurchase freely and the daily
+ * reconciliation catches any they miss.
+ */
+
+const auditLogger = require('../utils/auditLogger');
+
+const INVOICE_CONFIG = {
+  RECEIPT_PREFIX: 'INV',
+  CREDIT_NOTE_PREFIX: 'CN',
+  NUMBER_DIGITS: 6,
+  // Payment states that mean the client has paid for the session
+  PAID_STATUSES: ['Paid', 'Confirmed', 'Verified'],
+  // Sessions paid for elsewhere (the package purchase, the employer's EAP invoice) get no session receipt;
+  // the package purchase gets its own
+  NON_RECEIPTED_METHODS: ['package_credit', 'eap'],
+  // Percent of the total that is tax, e.g. VAT; therapy is exempt by default
+  TAX_RATE: Number(process.env.INVOICE_TAX_RATE || 0),
+  BUSINESS_NAME: process.env.INVOICE_BUSINESS_NAME || 'Smiling Steps Teletherapy',
+  BUSINESS_TAX_PIN: process.env.INVOICE_BUSINESS_TAX_PIN || '',
+  // How far back the daily sweep looks for payments missing documents
+  SWEEP_DAYS: 3,
+  // A concurrent issue waits this long for the winning call to number the
+  // document, and takes over numbering one left unnumbered past the timeout
+  NUMBERING_RETRIES: 5,
+  NUMBERING_RETRY_MS: 200,
+  NUMBERING_TIMEOUT_MS: 60 * 1000
+};
+
+const PAYMENT_METHOD_LABELS = {
+  mpesa: 'M-Pesa',
+  manual: 'M-Pesa (manual)',
+  stripe: 'Card',
+  cash: 'Cash',
+  sponsorship: 'Sponsorship',
+  promo_code: 'Promo code'
+};
+
+const sessionKey = (sessionId) => `session:${sessionId}`;
+const seatKey = (sessionId, clientId) => `seat:${sessionId}:${clientId}`;
+const packageKey = (purchaseId) => `package:${purchaseId}`;
+const idOf = (ref) => (ref && ref._id) || ref;
+
+/**
+ * e.g. formatDocumentNumber('INV', 2026, 42) -> 'INV-2026-000042'
+ */
+function formatDocumentNumber(prefix, year, seq) {
+  return `${prefix}-${year}-${String(seq).padStart(INVOICE_CONFIG.NUMBER_DIGITS, '0')}`;
+}
+
+/**
+ * Tax included in a tax-inclusive total, rounded to cents
+ */
+function calculateIncludedTax(total, taxRate) {
+  if (!taxRate) return 0;
+  return Math.round(total * taxRate / (100 + taxRate) * 100) / 100;
+}
+
+/**
+ * What the client actually paid for a session
+ */
+function getAmountPaid(session) {
+  if (session.paymentMethod === 'mpesa' && session.mpesaAmount) return session.mpesaAmount;
+  if (session.paymentMethod === 'stripe' && session.paymentAmount) return session.paymentAmount;
+  return session.price || 0;
+}
+
+function getTransactionId(session) {
+  return session.mpesaTransactionID ||
+    session.stripeChargeId ||
+    (session.paymentProof && session.paymentProof.transactionCode) ||
+    undefined;
+}
+
+function needsReceipt(session) {
+  return INVOICE_CONFIG.PAID_STATUSES.includes(session.paymentStatus) &&
+    !INVOICE_CONFIG.NON_RECEIPTED_METHODS.includes(session.paymentMethod) &&
+    getAmountPaid(session) > 0;
+}
+
+function needsCreditNote(session) {
+  return session.refundStatus === 'processed' &&
+    session.refundAmount > 0 &&
+    !INVOICE_CONFIG.NON_RECEIPTED_METHODS.includes(session.paymentMethod);
+}
+
+function seatNeedsReceipt(participant) {
+  return participant.role === 'group_member' &&
+    participant.paymentStatus === 'Paid' &&
+    participant.amount > 0;
+}
+
+function seatNeedsCreditNote(participant) {
+  return participant.role === 'group_member' &&
+    participant.refundStatus === 'processed' &&
+    participant.refundAmount > 0;
+}
+
+function purchaseNeedsReceipt(purchase) {
+  return purchase.paymentStatus === 'Paid' && purchase.pricePaid > 0;
+}
+
+function describeService(session) {
+  return `${session.sessionType || 'Individual'} therapy session`;
+}
+
+function describePackage(purchase) {
+  return `${purchase.name} (${purchase.sessionsPurchased} ${purchase.sessionType.toLowerCase()} sessions)`;
+}
+
+/**
+ * Receipt lines: the standard fee less any tier, promo or sponsorship, or a
+ * single line when the booking had no reduced pricing
+ */
+function buildReceiptLines(session, total) {
+  const pricing = session.pricing || {};
+  const service = describeService(session);
+
+  if (pricing.clientAmount === undefined || pricing.clientAmount !== total || !pricing.standardRate) {
+    return [{ description: service, amount: total }];
+  }
+
+  const lines = [{ description: service, amount: pricing.standardRate }];
+  if (pricing.tier && pricing.tier.amount !== undefined && pricing.tier.amount < pricing.standardRate) {
+    lines.push({ description: `Sliding-scale rate (${pricing.tier.name})`, amount: pricing.tier.amount - pricing.standardRate });
+  }
+  if (pricing.discount && pricing.discount.amount && pricing.discount.status !== 'released') {
+    lines.push({ description: `Promo code ${pricing.discount.code}`, amount: -pricing.discount.amount });
+  }
+  if (pricing.subsidy && pricing.subsidy.amount && pricing.subsidy.status === 'reserved') {
+    lines.push({ description: `Covered by ${pricing.subsidy.fundName}`, amount: -pricing.subsidy.amount });
+  }
+  return lines;
+}
+
+function snapshotParties(session, client = session.client || {}) {
+  const therapist = session.psychologist || {};
+  return {
+    session: session._id,
+    client: client._id || client,
+    therapist: therapist._id || therapist,
+    billTo: { name: client.name, email: client.email },
+    therapistName: therapist.name,
+    service: {
+      description: describeService(session),
+      sessionType: session.sessionType,
+      sessionDate: session.sessionDate,
+      bookingReference: session.bookingReference
+    }
+  };
+}
+
+/**
+ * Receipt fields for a paid session (number and issue date are added on issue)
+ * @param {Object} session - Session with client and psychologist populated
+ */
+function buildReceiptData(session) {
+  const total = getAmountPaid(session);
+  return {
+    type: 'receipt',
+    sourceKey: sessionKey(session._id),
+    ...snapshotParties(session),
+    lines: buildReceiptLines(session, total),
+    total,
+    taxRate: INVOICE_CONFIG.TAX_RATE,
+    taxAmount: calculateIncludedTax(total, INVOICE_CONFIG.TAX_RATE),
+    payment: {
+      method: PAYMENT_METHOD_LABELS[session.paymentMethod] || session.paymentMethod,
+      transactionId: getTransactionId(session),
+      paidAt: session.paymentVerifiedAt
+    }
+  };
+}
+
+/**
+ * Credit note fields for a session's processed refund
+ * @param {Object} session - Session with client and psychologist populated
+ * @param {Object} receipt - The session's receipt
+ */
+function buildCreditNoteData(session, receipt) {
+  const total = session.refundAmount;
+  const percentage = session.refundPercentage && session.refundPercentage < 100 ? ` (${session.refundPercentage}%)` : '';
+  return {
+    type: 'credit_note',
+    sourceKey: sessionKey(session._id),
+    ...snapshotParties(session),
+    lines: [{ description: `Refund of ${describeService(session).toLowerCase()}${percentage}`, amount: total }],
+    total,
+    taxRate: receipt.taxRate,
+    taxAmount: calculateIncludedTax(total, receipt.taxRate),
+    payment: receipt.payment,
+    originalInvoice: receipt._id,
+    originalNumber: receipt.number,
+    refund: {
+      transactionId: session.refundTransactionId,
+      processedAt: session.refundProcessedAt,
+      reason: session.cancellationReason
+    }
+  };
+}
+
+/**
+ * Receipt fields for a member's paid seat in a group session
+ * @param {Object} session - Group session with psychologist populated
+ * @param {Object} participant - The seat, with client populated
+ */
+function buildSeatReceiptData(session, participant) {
+  const client = participant.client || {};
+  return {
+    type: 'receipt',
+    sourceKey: seatKey(session._id, idOf(client)),
+    ...snapshotParties(session, client),
+    lines: [{ description: describeService(session), amount: participant.amount }],
+    total: participant.amount,
+    taxRate: INVOICE_CONFIG.TAX_RATE,
+    taxAmount: calculateIncludedTax(participant.amount, INVOICE_CONFIG.TAX_RATE),
+    payment: {
+      method: PAYMENT_METHOD_LABELS.mpesa,
+      transactionId: participant.mpesaTransactionID,
+      paidAt: participant.paidAt
+    }
+  };
+}
+
+/**
+ * Credit note fields for a cancelled seat's processed refund
+ * @param {Object} session - Group session with psychologist populated
+ * @param {Object} participant - The seat, with client populated
+ * @param {Object} receipt - The seat's receipt
+ */
+function buildSeatCreditNoteData(session, participant, receipt) {
+  const total = participant.refundAmount;
+  const percentage = participant.refundPercentage && participant.refundPercentage < 100 ? ` (${participant.refundPercentage}%)` : '';
+  return {
+    type: 'credit_note',
+    sourceKey: seatKey(session._id, idOf(participant.client)),
+    ...snapshotParties(session, participant.client || {}),
+    lines: [{ description: `Refund of ${describeService(session).toLowerCase()}${percentage}`, amount: total }],
+    total,
+    taxRate: receipt.taxRate,
+    taxAmount: calculateIncludedTax(total, receipt.taxRate),
+    payment: receipt.payment,
+    originalInvoice: receipt._id,
+    originalNumber: receipt.number,
+    refund: {
+      transactionId: participant.refundTransactionId,
+      processedAt: participant.refundProcessedAt,
+      reason: session.status === 'Cancelled' ? session.cancellationReason : 'Seat cancelled by client'
+    }
+  };
+}
+
+/**
+ * Receipt fields for a paid package purchase
+ * @param {Object} purchase - ClientPackage with client and therapist populated
+ */
+function buildPackageReceiptData(purchase) {
+  const client = purchase.client || {};
+  const therapist = purchase.therapist || {};
+  return {
+    type: 'receipt',
+    sourceKey: packageKey(purchase._id),
+    clientPackage: purchase._id,
+    client: client._id || client,
+    therapist: therapist._id || therapist,
+    billTo: { name: client.name, email: client.email },
+    therapistName: therapist.name,
+    service: {
+      description: describePackage(purchase),
+      sessionType: purchase.sessionType
+    },
+    lines: [{ description: describePackage(purchase), amount: purchase.pricePaid }],
+    total: purchase.pricePaid,
+    taxRate: INVOICE_CONFIG.TAX_RATE,
+    taxAmount: calculateIncludedTax(purchase.pricePaid, INVOICE_CONFIG.TAX_RATE),
+    payment: {
+      method: PAYMENT_METHOD_LABELS[purchase.paymentMethod] || purchase.paymentMethod,
+      transactionId: purchase.mpesaTransactionID,
+      paidAt: purchase.paidAt
+    }
+  };
+}
+
+class InvoiceService {
+  constructor() {
+    this.Invoice = null;
+    this.DocumentSequence = null;
+    this.Session = null;
+    this.ClientPackage = null;
+  }
+
+  async initialize() {
+    if (!this.Invoice) this.Invoice = require('../models/Invoice');
+    if (!this.DocumentSequence) this.DocumentSequence = require('../models/DocumentSequence');
+    if (!this.Session) this.Session = require('../models/Session');
+    if (!this.ClientPackage) this.ClientPackage = require('../models/ClientPackage');
+  }
+
+  async nextNumber(prefix, date = new Date()) {
+    const year = date.getFullYear();
+    const sequence = await this.DocumentSequence.findOneAndUpdate(
+      { _id: `${prefix}-${year}` },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    );
+    return formatDocumentNumber(prefix, year, sequence.seq);
+  }
+
+  /**
+   * Save a document, returning the existing one if a concurrent call got there first.
+   * The document is inserted unnumbered and only the call that wins the
+   * (sourceKey, type) insert takes a number, so races never burn one.
+   */
+  async _issue(prefix, data) {
+    const key = { sourceKey: data.sourceKey, type: data.type };
+    const existing = await this.Invoice.findOne(key);
+    if (existing && existing.number) return existing;
+
+    const claimed = existing ? await this._awaitNumber(key) : await this._claim(data, key);
+    if (claimed.number) return claimed;
+
+    return this._assignNumber(prefix, claimed);
+  }
+
+  async _claim(data, key) {
+    try {
+      return await this.Invoice.create({ ...data, issuedAt: new Date(), numberingStartedAt: new Date() });
+    } catch (error) {
+      if (error.code === 11000) {
+        return this._awaitNumber(key);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Wait for the call that won the insert to number the document. Returns
+   * the document unnumbered, with the numbering claimed for this call, if
+   * the winner stopped before numbering it
+   */
+  async _awaitNumber(key) {
+    for (let attempt = 0; attempt <= INVOICE_CONFIG.NUMBERING_RETRIES; attempt++) {
+      const existing = await this.Invoice.findOne(key);
+      if (existing.number) return existing;
+
+      const abandoned = await this.Invoice.findOneAndUpdate(
+        {
+          _id: existing._id,
+          number: { $exists: false },
+          numberingStartedAt: { $lt: new Date(Date.now() - INVOICE_CONFIG.NUMBERING_TIMEOUT_MS) }
+        },
+        { $set: { numberingStartedAt: new Date() } },
+        { new: true }
+      );
+      if (abandoned) return abandoned;
+
+      await new Promise(resolve => setTimeout(resolve, INVOICE_CONFIG.NUMBERING_RETRY_MS));
+    }
+    throw new Error('Document number pending');
+  }
+
+  async _assignNumber(prefix, invoice) {
+    const number = await this.nextNumber(prefix, invoice.issuedAt);
+    const numbered = await this.Invoice.findByIdAndUpdate(
+      invoice._id,
+      { $set: { number }, $unset: { numberingStartedAt: 1 } },
+      { new: true }
+    );
+
+    await auditLogger.logAuditEvent({
+      action: numbered.type === 'receipt' ? 'RECEIPT_ISSUED' : 'CREDIT_NOTE_ISSUED',
+      userId: numbered.client,
+      details: {
+        invoiceId: numbered._id,
+        number: numbered.number,
+        sessionId: numbered.session,
+        clientPackageId: numbered.clientPackage,
+        total: numbered.total
+      }
+    });
+
+    return numbered;
+  }
+
+  /**
+   * Issue whatever a session is due: a receipt once paid, a credit note once refunded
+   * @param {Object|string} sessionOrId - Session document or ID
+   * @returns {Promise<Object>} - { receipt, creditNote }
+   */
+  async issueForSession(sessionOrId) {
+    await this.initialize();
+
+    const sessionId = sessionOrId._id || sessionOrId;
+    const session = await this.Session.findById(sessionId)
+      .populate('client', 'name email')
+      .populate('psychologist', 'name');
+    if (!session) {
+      throw new Error('Session not found');
+    }
+
+    let receipt = null;
+    if (needsReceipt(session) || needsCreditNote(session)) {
+      receipt = await this._issue(INVOICE_CONFIG.RECEIPT_PREFIX, buildReceiptData(session));
+    }
+
+    let creditNote = null;
+    if (receipt && needsCreditNote(session)) {
+      creditNote = await this._issue(INVOICE_CONFIG.CREDIT_NOTE_PREFIX, buildCreditNoteData(session, receipt));
+    }
+
+    return { receipt, creditNote };
+  }
+
+  /**
+   * Issue whatever a group member's seat is due: a receipt once paid, a
+   * credit note once its refund is processed
+   * @param {Object|string} sessionOrId - Group session document or ID
+   * @param {string} clientId - The seat's client
+   * @returns {Promise<Object>} - { receipt, creditNote }
+   */
+  async issueForSeat(sessionOrId, clientId) {
+    await this.initialize();
+
+    const sessionId = sessionOrId._id || sessionOrId;
+    const session = await this.Session.findById(sessionId)
+      .populate('participants.client', 'name email')
+      .populate('psychologist', 'name');
+    if (!session) {
+      throw new Error('Session not found');
+    }
+    const participant = session.participants.find(p => String(idOf(p.client)) === String(clientId));
+    if (!participant) {
+      throw new Error('Seat not found');
+    }
+
+    let receipt = null;
+    if (seatNeedsReceipt(participant) || seatNeedsCreditNote(participant)) {
+      receipt = await this._issue(INVOICE_CONFIG.RECEIPT_PREFIX, buildSeatReceiptData(session, participant));
+    }
+
+    let creditNote = null;
+    if (receipt && seatNeedsCreditNote(participant)) {
+      creditNote = await this._issue(
+        INVOICE_CONFIG.CREDIT_NOTE_PREFIX,
+        buildSeatCreditNoteData(session, participant, receipt)
+      );
+    }
+
+    return { receipt, creditNote };
+  }
+
+  /**
+   * Issue the receipt for a paid package purchase
+   * @param {Object|string} purchaseOrId - ClientPackage document or ID
+   * @returns {Promise<Object>} - { receipt }
+   */
+  async issueForPackagePurchase(purchaseOrId) {
+    await this.initialize();
+
+    const purchaseId = purchaseOrId._id || purchaseOrId;
+    const purchase = await this.ClientPackage.findById(purchaseId)
+      .populate('client', 'name email')
+      .populate('therapist', 'name');
+    if (!purchase) {
+      throw new Error('Purchase not found');
+    }
+
+    const receipt = purchaseNeedsReceipt(purchase)
+      ? await this._issue(INVOICE_CONFIG.RECEIPT_PREFIX, buildPackageReceiptData(purchase))
+      : null;
+
+    return { receipt };
+  }
+
+  /**
+   * Issue documents for sessions that are due one but don't have it yet
+   * @param {Object} filter - Extra Session query conditions (e.g. a client)
+   */
+  async issueMissingDocuments(filter = {}) {
+    await this.initialize();
+
+    const sessions = await this.Session.find({
+      ...filter,
+      $or: [
+        { paymentStatus: { $in: INVOICE_CONFIG.PAID_STATUSES }, paymentMethod: { $nin: INVOICE_CONFIG.NON_RECEIPTED_METHODS } },
+        { refundStatus: 'processed', refundAmount: { $gt: 0 } }
+      ]
+    }).select('_id refundStatus refundAmount');
+
+    const issued = await this._issuedKeys(sessions.map(s => sessionKey(s._id)));
+
+    const results = { checked: sessions.length, issued: 0, errors: [] };
+    for (const session of sessions) {
+      const missingReceipt = !issued.has(`${sessionKey(session._id)}:receipt`);
+      const missingCreditNote = session.refundStatus === 'processed' && session.refundAmount > 0 &&
+        !issued.has(`${sessionKey(session._id)}:credit_note`);
+      if (!missingReceipt && !missingCreditNote) continue;
+
+      try {
+        const { receipt, creditNote } = await this.issueForSession(session._id);
+        if (missingReceipt && receipt) results.issued++;
+        if (missingCreditNote && creditNote) results.issued++;
+      } catch (error) {
+        results.errors.push({ sessionId: session._id, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Issue documents for group seats that are due one but don't have it yet
+   * @param {Object} options - clientId to check one member's seats, since to
+   *   check seats paid or refunded after a date
+   */
+  async issueMissingSeatDocuments({ clientId, since } = {}) {
+    await this.initialize();
+
+    const seatConditions = [
+      { $or: [{ paymentStatus: 'Paid' }, { refundStatus: 'processed', refundAmount: { $gt: 0 } }] }
+    ];
+    if (clientId) seatConditions.push({ client: clientId });
+    if (since) seatConditions.push({ $or: [{ paidAt: { $gte: since } }, { refundProcessedAt: { $gte: since } }] });
+
+    const sessions = await this.Session.find({
+      sessionType: 'Group',
+      participants: { $elemMatch: { role: 'group_member', $and: seatConditions } }
+    }).select('_id participants');
+
+    const seats = [];
+    for (const session of sessions) {
+      for (const participant of session.participants) {
+        if (clientId && String(participant.client) !== String(clientId)) continue;
+        if (seatNeedsReceipt(participant) || seatNeedsCreditNote(participant)) {
+          seats.push({ session, participant, key: seatKey(session._id, participant.client) });
+        }
+      }
+    }
+    const issued = await this._issuedKeys(seats.map(seat => seat.key));
+
+    const results = { checked: seats.length, issued: 0, errors: [] };
+    for (const { session, participant, key } of seats) {
+      const missingReceipt = !issued.has(`${key}:receipt`);
+      const missingCreditNote = seatNeedsCreditNote(participant) && !issued.has(`${key}:credit_note`);
+      if (!missingReceipt && !missingCreditNote) continue;
+
+      try {
+        const { receipt, creditNote } = await this.issueForSeat(session._id, participant.client);
+        if (missingReceipt && receipt) results.issued++;
+        if (missingCreditNote && creditNote) results.issued++;
+      } catch (error) {
+        results.errors.push({ sessionId: session._id, clientId: participant.client, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Issue receipts for paid package purchases that don't have one yet
+   * @param {Object} filter - Extra ClientPackage query conditions (e.g. a client)
+   */
+  async issueMissingPackageDocuments(filter = {}) {
+    await this.initialize();
+
+    const purchases = await this.ClientPackage.find({
+      ...filter,
+      paymentStatus: 'Paid',
+      pricePaid: { $gt: 0 }
+    }).select('_id');
+    const issued = await this._issuedKeys(purchases.map(p => packageKey(p._id)));
+
+    const results = { checked: purchases.length, issued: 0, errors: [] };
+    for (const purchase of purchases) {
+      if (issued.has(`${packageKey(purchase._id)}:receipt`)) continue;
+
+      try {
+        const { receipt } = await this.issueForPackagePurchase(purchase._id);
+        if (receipt) results.issued++;
+      } catch (error) {
+        results.errors.push({ clientPackageId: purchase._id, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * '<sourceKey>:<type>' for each document already issued for the given keys
+   */
+  async _issuedKeys(sourceKeys) {
+    const documents = await this.Invoice.find({ sourceKey: { $in: sourceKeys }, number: { $exists: true } })
+      .select('sourceKey type');
+    return new Set(documents.map(d => `${d.sourceKey}:${d.type}`));
+  }
+
+  /**
+   * Daily sweep for sessions, seats and packages paid or refunded recently
+   * through a path that didn't issue documents itself
+   */
+  async sweepRecentSessions(now = new Date()) {
+    const since = new Date(now.getTime() - INVOICE_CONFIG.SWEEP_DAYS * 24 * 60 * 60 * 1000);
+    const sweeps = [
+      await this.issueMissingDocuments({
+        $and: [{ $or: [{ paymentVerifiedAt: { $gte: since } }, { refundProcessedAt: { $gte: since } }] }]
+      }),
+      await this.issueMissingSeatDocuments({ since }),
+      await this.issueMissingPackageDocuments({ paidAt: { $gte: since } })
+    ];
+
+    return sweeps.reduce((total, sweep) => ({
+      checked: total.checked + sweep.checked,
+      issued: total.issued + sweep.issued,
+      errors: total.errors.concat(sweep.errors)
+    }), { checked: 0, issued: 0, errors: [] });
+  }
+
+  /**
+   * A client's receipts and credit notes, newest first
+   */
+  async listForClient(clientId) {
+    await this.initialize();
+
+    await this.issueMissingDocuments({ client: clientId });
+    await this.issueMissingSeatDocuments({ clientId });
+    await this.issueMissingPackageDocuments({ client: clientId });
+    return this.Invoice.find({ client: clientId, number: { $exists: true } })
+      .select('-lines')
+      .sort({ issuedAt: -1 });
+  }
+
+  async listAll(user, { type, from, to, page = 1, limit = 50 } = {}) {
+    await this.initialize();
+
+    if (user.role !== 'admin') {
+      throw new Error('Not authorized to view all invoices');
+    }
+
+    const query = { number: { $exists: true } };
+    if (type) query.type = type;
+    if (from || to) {
+      query.issuedAt = {};
+      if (from) query.issuedAt.$gte = new Date(from);
+      if (to) query.issuedAt.$lte = new Date(to);
+    }
+
+    const [invoices, total] = await Promise.all([
+      this.Invoice.find(query)
+        .select('-lines')
+        .sort({ issuedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      this.Invoice.countDocuments(query)
+    ]);
+
+    return { invoices, pagination: { page, limit, total, pages: Math.ceil(total / limit) } };
+  }
+
+  async getInvoice(user, invoiceId) {
+    await this.initialize();
+
+    const invoice = await this.Invoice.findById(invoiceId);
+    if (!invoice || !invoice.number) {
+      throw new Error('Invoice not found');
+    }
+    if (invoice.client.toString() !== user.id && user.role !== 'admin') {
+      throw new Error('Not authorized to view this invoice');
+    }
+    return invoice;
+  }
+
+  /**
+   * Render a receipt or credit note as a PDF
+   * @returns {Promise<Object>} - { buffer, filename }
+   */
+  async renderPdf(user, invoiceId) {
+    const invoice = await this.getInvoice(user, invoiceId);
+    const sessionReportGenerator = require('../utils/sessionReportGenerator');
+
+    const buffer = await sessionReportGenerator.generateInvoice({
+      invoice,
+      business: { name: INVOICE_CONFIG.BUSINESS_NAME, taxPin: INVOICE_CONFIG.BUSINESS_TAX_PIN }
+    });
+    return { buffer, filename: `${invoice.number}.pdf` };
+  }
+}
+
+const invoiceService = new InvoiceService();
+
+module.exports = {
+  invoiceService,
+  InvoiceService,
+  INVOICE_CONFIG,
+  formatDocumentNumber,
+  calculateIncludedTax,
+  getAmountPaid,
+  needsReceipt,
+  needsCreditNote,
+  buildReceiptLines,
+  buildReceiptData,
+  buildCreditNoteData,
+  seatNeedsReceipt,
+  seatNeedsCreditNote,
+  buildSeatReceiptData,
+  buildSeatCreditNoteData,
+  buildPackageReceiptData
+};
@@ -0,0 +1,330 @@
+/**
+ * Outcome Service
+ *
+ * Measurement-based care:
+ * - Therapists choose an instrument to collect before every Nth session
+ * - Upcoming sessions that fall due get a pending outcome measure
+ * - Client submissions are scored and stored against the Session
+ * - Per-client trends with reliable-change and recovery indicators
+ */
+
+const { INSTRUMENTS } = require('../constants/clinicalInstruments');
+
+const OUTCOME_CONFIG = {
+  MIN_EVERY_N: 1,
+  MAX_EVERY_N: 12,
+  // Sessions in these states are not counted towards "every Nth session"
+  EXCLUDED_STATUSES: ['Cancelled', 'cancelled', 'Declined', 'declined'],
+  COMPLETED_STATUSES: ['Completed', 'completed']
+};
+
+/**
+ * Whether the Nth session (1-based) since the plan started needs a measure
+ * The first session is always measured as a baseline.
+ */
+function isMeasureDue(sessionNumber, everyNSessions) {
+  return (sessionNumber - 1) % everyNSessions === 0;
+}
+
+/**
+ * Classify change from baseline; lower scores are better on every instrument
+ * @returns {Object} - { change, indicator, reliablyRecovered }
+ */
+function classifyChange(code, baselineScore, currentScore) {
+  const { reliableChange, clinicalCutoff } = INSTRUMENTS[code];
+  const change = currentScore - baselineScore;
+
+  let indicator = 'no_reliable_change';
+  if (change <= -reliableChange) {
+    indicator = 'reliable_improvement';
+  } else if (change >= reliableChange) {
+    indicator = 'reliable_deterioration';
+  }
+
+  return {
+    change,
+    indicator,
+    // Started at or above caseness, now below it, with reliable improvement
+    reliablyRecovered: baselineScore >= clinicalCutoff &&
+      currentScore < clinicalCutoff &&
+      indicator === 'reliable_improvement'
+  };
+}
+
+/**
+ * Build a score trajectory from results ordered oldest first
+ * @param {string} code - Instrument code
+ * @param {Array} results - [{ _id, totalScore, severity, completedAt, session }]
+ * @returns {Object} - { points, summary }
+ */
+function buildTrend(code, results) {
+  if (results.length === 0) {
+    return { points: [], summary: null };
+  }
+
+  const baseline = results[0].totalScore;
+  const points = results.map((result, index) => ({
+    resultId: result._id,
+    completedAt: result.completedAt,
+    sessionId: result.session ? (result.session._id || result.session) : null,
+    sessionDate: result.session && result.session.sessionDate ? result.session.sessionDate : null,
+    totalScore: result.totalScore,
+    severity: result.severity,
+    ...(index === 0
+      ? { change: 0, indicator: 'baseline', reliablyRecovered: false }
+      : classifyChange(code, baseline, result.totalScore))
+  }));
+
+  const latest = points[points.length - 1];
+  return {
+    points,
+    summary: {
+      baselineScore: baseline,
+      latestScore: latest.totalScore,
+      change: latest.change,
+      indicator: latest.indicator,
+      reliablyRecovered: latest.reliablyRecovered,
+      measures: points.length
+    }
+  };
+}
+
+class OutcomeService {
+  constructor() {
+    this.OutcomePlan = null;
+    this.Session = null;
+    this.Assessment = null;
+    this.AssessmentResult = null;
+  }
+
+  async initialize() {
+    if (!this.OutcomePlan) this.OutcomePlan = require('../models/OutcomePlan');
+    if (!this.Session) this.Session = require('../models/Session');
+    if (!this.Assessment) this.Assessment = require('../models/Assessment');
+    if (!this.AssessmentResult) this.AssessmentResult = require('../models/AssessmentResult');
+  }
+
+  /**
+   * Therapists may only manage outcomes for clients they have seen or booked
+   */
+  async assertCanViewClient(user, clientId) {
+    await this.initialize();
+    if (user.role === 'admin') return;
+
+    if (user.role !== 'psychologist') {
+      throw new Error('Not authorized to view client outcomes');
+    }
+
+    const relationship = await this.Session.exists({ psychologist: user.id, client: clientId });
+    if (!relationship) {
+      throw new Error('Not authorized to view client outcomes');
+    }
+  }
+
+  async createPlan(user, { clientId, instrumentCode, everyNSessions = 1 }) {
+    await this.assertCanViewClient(user, clientId);
+
+    if (!INSTRUMENTS[instrumentCode]) {
+      throw new Error(`Invalid instrument. Must be one of: ${Object.keys(INSTRUMENTS).join(', ')}`);
+    }
+    const everyN = parseInt(everyNSessions, 10);
+    if (!Number.isInteger(everyN) || everyN < OUTCOME_CONFIG.MIN_EVERY_N || everyN > OUTCOME_CONFIG.MAX_EVERY_N) {
+      throw new Error(`everyNSessions must be between ${OUTCOME_CONFIG.MIN_EVERY_N} and ${OUTCOME_CONFIG.MAX_EVERY_N}`);
+    }
+
+    const assessment = await this.Assessment.findOne({ instrumentCode });
+    if (!assessment) {
+      throw new Error('Instrument assessment is not available');
+    }
+
+    // Replacing a plan ends the previous one
+    await this.OutcomePlan.updateMany(
+      { therapist: user.id, client: clientId, instrumentCode, active: true },
+      { active: false, endedAt: new Date() }
+    );
+
+    const plan = await this.OutcomePlan.create({
+      therapist: user.id,
+      client: clientId,
+      assessment: assessment._id,
+      instrumentCode,
+      everyNSessions: everyN
+    });
+
+    await this.syncPlan(plan);
+    return plan;
+  }
+
+  async getPlans(user, clientId) {
+    await this.assertCanViewClient(user, clientId);
+
+    const query = { client: clientId, active: true };
+    if (user.role === 'psychologist') {
+      query.therapist = user.id;
+    }
+    return this.OutcomePlan.find(query).sort({ createdAt: -1 });
+  }
+
+  async endPlan(user, planId) {
+    await this.initialize();
+
+    const plan = await this.OutcomePlan.findOne({ _id: planId, therapist: user.id, active: true });
+    if (!plan) {
+      throw new Error('Outcome plan not found');
+    }
+
+    plan.active = false;
+    plan.endedAt = new Date();
+    await plan.save();
+
+    // Drop measures not yet collected
+    await this.Session.updateMany(
+      { 'outcomeMeasure.plan': plan._id, 'outcomeMeasure.status': 'pending' },
+      { $unset: { outcomeMeasure: 1 } }
+    );
+
+    return plan;
+  }
+
+  /**
+   * Assign pending measures to upcoming sessions that fall due under a plan
+   * @returns {Promise<number>} - Number of sessions newly assigned
+   */
+  async syncPlan(plan) {
+    await this.initialize();
+
+    const sessions = await this.Session.find({
+      client: plan.client,
+      psychologist: plan.therapist,
+      sessionDate: { $gte: plan.startedAt },
+      status: { $nin: OUTCOME_CONFIG.EXCLUDED_STATUSES }
+    }).sort({ sessionDate: 1 });
+
+    const now = new Date();
+    let assigned = 0;
+
+    for (let i = 0; i < sessions.length; i++) {
+      const session = sessions[i];
+      if (!isMeasureDue(i + 1, plan.everyNSessions)) continue;
+      if (session.sessionDate <= now || OUTCOME_CONFIG.COMPLETED_STATUSES.includes(session.status)) continue;
+      if (session.outcomeMeasure && session.outcomeMeasure.status) continue;
+
+      session.outcomeMeasure = {
+        plan: plan._id,
+        assessment: plan.assessment,
+        instrumentCode: plan.instrumentCode,
+        status: 'pending',
+        assignedAt: now
+      };
+      await session.save();
+      assigned++;
+    }
+
+    return assigned;
+  }
+
+  async syncClientPlans(clientId) {
+    await this.initialize();
+    const plans = await this.OutcomePlan.find({ client: clientId, active: true });
+    for (const plan of plans) {
+      await this.syncPlan(plan);
+    }
+  }
+
+  /**
+   * Outcome measures the client should complete before upcoming sessions
+   */
+  async getPendingMeasures(clientId) {
+    await this.syncClientPlans(clientId);
+
+    return this.Session.find({
+      client: clientId,
+      'outcomeMeasure.status': 'pending',
+      sessionDate: { $gte: new Date() }
+    })
+      .select('sessionDate sessionType psychologist outcomeMeasure bookingReference')
+      .populate('psychologist', 'name')
+      .populate('outcomeMeasure.assessment', 'title description')
+      .sort({ sessionDate: 1 });
+  }
+
+  /**
+   * Store a scored instrument result against the session it was requested for
+   */
+  async recordSessionResult(result, sessionId, clientId) {
+    await this.initialize();
+
+    const session = await this.Session.findOne({ _id: sessionId, client: clientId });
+    if (!session || !session.outcomeMeasure || session.outcomeMeasure.status !== 'pending') {
+      throw new Error('No pending outcome measure for this session');
+    }
+    if (session.outcomeMeasure.assessment.toString() !== result.assessment.toString()) {
+      throw new Error('This assessment was not requested for this session');
+    }
+
+    session.outcomeMeasure.status = 'completed';
+    session.outcomeMeasure.result = result._id;
+    session.outcomeMeasure.totalScore = result.totalScore;
+    session.outcomeMeasure.severity = result.severity;
+    session.outcomeMeasure.completedAt = result.completedAt;
+    await session.save();
+
+    result.session = session._id;
+    await result.save();
+
+    return session;
+  }
+
+  /**
+   * Score trajectory for one client and instrument
+   */
+  async getClientTrend(user, clientId, instrumentCode) {
+    await this.assertCanViewClient(user, clientId);
+
+    const instrument = INSTRUMENTS[instrumentCode];
+    if (!instrument) {
+      throw new Error(`Invalid instrument. Must be one of: ${Object.keys(INSTRUMENTS).join(', ')}`);
+    }
+
+    const results = await this.AssessmentResult.find({ user: clientId, instrumentCode })
+      .select('totalScore severity completedAt session')
+      .populate('session', 'sessionDate')
+      .sort({ completedAt: 1 });
+
+    // Held sessions mark the windows used for between-session check-in averages
+    const sessionQuery = {
+      client: clientId,
+      status: { $in: OUTCOME_CONFIG.COMPLETED_STATUSES }
+    };
+    if (user.role === 'psychologist') {
+      sessionQuery.psychologist = user.id;
+    }
+    const sessions = await this.Session.find(sessionQuery)
+      .select('sessionDate sessionType')
+      .sort({ sessionDate: 1 });
+
+    return {
+      instrument: {
+        code: instrument.code,
+        title: instrument.title,
+        maxScore: instrument.severityBands[instrument.severityBands.length - 1].max,
+        reliableChange: instrument.reliableChange,
+        clinicalCutoff: instrument.clinicalCutoff,
+        severityBands: instrument.severityBands
+      },
+      ...buildTrend(instrumentCode, results),
+      sessions: sessions.map(s => ({ id: s._id, sessionDate: s.sessionDate, sessionType: s.sessionType }))
+    };
+  }
+}
+
+const outcomeService = new OutcomeService();
+
+module.exports = {
+  outcomeService,
+  OutcomeService,
+  OUTCOME_CONFIG,
+  isMeasureDue,
+  classifyChange,
+  buildTrend
+};
@@ -0,0 +1,498 @@
+/**
+ * Package Service
+ *
+ * Prepaid session packages and the per-client credit ledger:
+ * - Therapists offer packages alongside their per-session rates
+ * - Clients buy a package through M-Pesa (or a manually verified till code)
+ * - Approving a booking consumes a credit instead of asking for payment
+ * - Refunded cancellations restore the credit
+ */
+
+const auditLogger = require('../utils/auditLogger');
+
+const PACKAGE_CONFIG = {
+  SESSION_TYPES: ['Individual', 'Couples', 'Family'],
+  MIN_SESSIONS: 2,
+  MAX_SESSIONS: 24,
+  DEFAULT_VALIDITY_DAYS: 180,
+  MIN_VALIDITY_DAYS: 30,
+  MAX_VALIDITY_DAYS: 730
+};
+
+/**
+ * Validate package terms
+ * @returns {Array<string>} - Validation errors
+ */
+function validatePackageData({ sessionType, name, sessionCount, price, validityDays }) {
+  const errors = [];
+
+  if (!PACKAGE_CONFIG.SESSION_TYPES.includes(sessionType)) {
+    errors.push(`Session type must be one of: ${PACKAGE_CONFIG.SESSION_TYPES.join(', ')}`);
+  }
+  if (!name || !name.trim()) {
+    errors.push('Package name is required');
+  }
+  if (!Number.isInteger(sessionCount) || sessionCount < PACKAGE_CONFIG.MIN_SESSIONS || sessionCount > PACKAGE_CONFIG.MAX_SESSIONS) {
+    errors.push(`Session count must be between ${PACKAGE_CONFIG.MIN_SESSIONS} and ${PACKAGE_CONFIG.MAX_SESSIONS}`);
+  }
+  if (!Number.isInteger(price) || price <= 0) {
+    errors.push('Price must be a positive whole number of KES');
+  }
+  if (validityDays !== undefined &&
+      (!Number.isInteger(validityDays) || validityDays < PACKAGE_CONFIG.MIN_VALIDITY_DAYS || validityDays > PACKAGE_CONFIG.MAX_VALIDITY_DAYS)) {
+    errors.push(`Validity must be between ${PACKAGE_CONFIG.MIN_VALIDITY_DAYS} and ${PACKAGE_CONFIG.MAX_VALIDITY_DAYS} days`);
+  }
+
+  return errors;
+}
+
+/**
+ * Compare a package against paying the per-session rate
+ * @param {Object} pkg - { sessionCount, price }
+ * @param {number} rateAmount - Current per-session rate
+ * @returns {Object} - { perSessionPrice, fullPrice, savings, discountPercent }
+ */
+function calculatePackagePricing(pkg, rateAmount) {
+  const perSessionPrice = Math.round(pkg.price / pkg.sessionCount);
+  const fullPrice = rateAmount ? rateAmount * pkg.sessionCount : null;
+  const savings = fullPrice ? Math.max(0, fullPrice - pkg.price) : 0;
+
+  return {
+    perSessionPrice,
+    fullPrice,
+    savings,
+    discountPercent: fullPrice ? Math.round((savings / fullPrice) * 100) : 0
+  };
+}
+
+/**
+ * Whether a purchase can pay for a session on the given date
+ */
+function isCreditUsable(purchase, sessionDate) {
+  return purchase.paymentStatus === 'Paid' &&
+    purchase.creditsRemaining > 0 &&
+    (!purchase.expiresAt || new Date(purchase.expiresAt) > new Date(sessionDate));
+}
+
+class PackageService {
+  constructor() {
+    this.SessionPackage = null;
+    this.ClientPackage = null;
+    this.CreditLedgerEntry = null;
+    this.User = null;
+  }
+
+  async initialize() {
+    if (!this.SessionPackage) this.SessionPackage = require('../models/SessionPackage');
+    if (!this.ClientPackage) this.ClientPackage = require('../models/ClientPackage');
+    if (!this.CreditLedgerEntry) this.CreditLedgerEntry = require('../models/CreditLedgerEntry');
+    if (!this.User) this.User = require('../models/User');
+  }
+
+  // ---------------------------------------------------------------------------
+  // Therapist packages
+  // ---------------------------------------------------------------------------
+
+  async createPackage(user, data) {
+    await this.initialize();
+
+    if (user.role !== 'psychologist') {
+      throw new Error('Not authorized: only therapists can create packages');
+    }
+
+    const terms = {
+      sessionType: data.sessionType,
+      name: data.name,
+      sessionCount: Number(data.sessionCount),
+      price: Number(data.price),
+      validityDays: data.validityDays !== undefined ? Number(data.validityDays) : undefined
+    };
+    const errors = validatePackageData(terms);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    const pkg = await this.SessionPackage.create({
+      therapist: user.id,
+      ...terms,
+      name: terms.name.trim(),
+      description: data.description,
+      validityDays: terms.validityDays || PACKAGE_CONFIG.DEFAULT_VALIDITY_DAYS,
+      createdBy: user.id
+    });
+
+    await auditLogger.logAuditEvent({
+      action: 'SESSION_PACKAGE_CREATED',
+      userId: user.id,
+      details: { packageId: pkg._id, sessionType: pkg.sessionType, sessionCount: pkg.sessionCount, price: pkg.price }
+    });
+
+    return pkg;
+  }
+
+  /**
+   * Update package terms; existing purchases keep the terms they bought
+   */
+  async updatePackage(user, packageId, changes) {
+    await this.initialize();
+
+    const pkg = await this.SessionPackage.findById(packageId);
+    if (!pkg) {
+      throw new Error('Package not found');
+    }
+    if (pkg.therapist.toString() !== user.id && user.role !== 'admin') {
+      throw new Error('Not authorized to edit this package');
+    }
+
+    for (const field of ['name', 'description', 'isActive']) {
+      if (changes[field] !== undefined) pkg[field] = changes[field];
+    }
+    for (const field of ['sessionCount', 'price', 'validityDays']) {
+      if (changes[field] !== undefined) pkg[field] = Number(changes[field]);
+    }
+
+    const errors = validatePackageData(pkg);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    await pkg.save();
+    return pkg;
+  }
+
+  /**
+   * A therapist's packages with savings against their current rates
+   */
+  async listTherapistPackages(therapistId, { includeInactive = false } = {}) {
+    await this.initialize();
+    const { getRateAtDate } = require('../utils/rateLockingService');
+
+    const query = { therapist: therapistId };
+    if (!includeInactive) query.isActive = true;
+    const packages = await this.SessionPackage.find(query).sort({ sessionType: 1, sessionCount: 1 });
+
+    const rates = {};
+    for (const sessionType of new Set(packages.map(p => p.sessionType))) {
+      const result = await getRateAtDate(therapistId, sessionType, new Date());
+      rates[sessionType] = result.success ? result.rate.amount : null;
+    }
+
+    return packages.map(pkg => ({
+      ...pkg.toJSON(),
+      pricing: calculatePackagePricing(pkg, rates[pkg.sessionType])
+    }));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Purchases
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Buy a package with an M-Pesa STK push
+   */
+  async purchasePackage(user, packageId, phoneNumber) {
+    await this.initialize();
+
+    if (user.role !== 'client') {
+      throw new Error('Not authorized: only clients can buy packages');
+    }
+    if (!phoneNumber || !/^(254|0)[17]\d{8}$/.test(phoneNumber.replace(/[\s\+\-\(\)]/g, ''))) {
+      throw new Error('Invalid phone number. Use format: 0712345678 or 254712345678');
+    }
+
+    const pkg = await this.SessionPackage.findOne({ _id: packageId, isActive: true })
+      .populate('therapist', 'name');
+    if (!pkg) {
+      throw new Error('Package not found');
+    }
+
+    const pending = await this.ClientPackage.findOne({ client: user.id, package: pkg._id, paymentStatus: 'Processing' });
+    if (pending) {
+      throw new Error('Payment already in progress. Please check your phone or wait a moment.');
+    }
+
+    const purchase = await this.ClientPackage.create({
+      client: user.id,
+      therapist: pkg.therapist._id,
+      package: pkg._id,
+      name: pkg.name,
+      sessionType: pkg.sessionType,
+      sessionsPurchased: pkg.sessionCount,
+      pricePaid: pkg.price,
+      perSessionPrice: pkg.perSessionPrice,
+      paymentMethod: 'mpesa'
+    });
+
+    // Loaded on demand: the M-Pesa client requires its credentials at load time
+    const mpesaAPI = require('../config/mpesa');
+    const formattedPhone = mpesaAPI.formatPhoneNumber(phoneNumber);
+
+    let mpesaResponse;
+    try {
+      mpesaResponse = await mpesaAPI.stkPush(
+        formattedPhone,
+        pkg.price,
+        `PKG-${purchase._id.toString().slice(-8)}`,
+        `${pkg.sessionCount}-session package with Dr. ${pkg.therapist.name}`
+      );
+    } catch (error) {
+      purchase.paymentStatus = 'Failed';
+      purchase.mpesaResultDesc = error.message;
+      await purchase.save();
+      throw error;
+    }
+
+    purchase.paymentStatus = 'Processing';
+    purchase.mpesaCheckoutRequestID = mpesaResponse.CheckoutRequestID;
+    purchase.mpesaMerchantRequestID = mpesaResponse.MerchantRequestID;
+    purchase.mpesaPhoneNumber = formattedPhone;
+    await purchase.save();
+
+    await auditLogger.logAuditEvent({
+      action: 'PACKAGE_PURCHASE_INITIATED',
+      userId: user.id,
+      details: { purchaseId: purchase._id, packageId: pkg._id, amount: pkg.price, checkoutRequestID: mpesaResponse.CheckoutRequestID }
+    });
+
+    return {
+      purchaseId: purchase._id,
+      checkoutRequestID: mpesaResponse.CheckoutRequestID,
+      amount: pkg.price
+    };
+  }
+
+  /**
+   * Apply an M-Pesa STK callback to a package purchase
+   * @returns {Promise<Object|null>} - null when the callback is not for a package
+   */
+  async handlePurchaseCallback({ CheckoutRequestID, ResultCode, ResultDesc, CallbackMetadata }) {
+    await this.initialize();
+
+    const purchase = await this.ClientPackage.findOne({ mpesaCheckoutRequestID: CheckoutRequestID });
+    if (!purchase) return null;
+
+    if (purchase.paymentStatus === 'Paid') {
+      console.log('⚠️ Duplicate package payment callback ignored:', CheckoutRequestID);
+      return { purchase, duplicate: true };
+    }
+
+    const metadata = {};
+    if (CallbackMetadata && CallbackMetadata.Item) {
+      CallbackMetadata.Item.forEach(item => {
+        metadata[item.Name] = item.Value;
+      });
+    }
+
+    purchase.mpesaResultDesc = ResultDesc;
+    if (ResultCode === 0) {
+      purchase.mpesaTransactionID = metadata.MpesaReceiptNumber;
+      await this.grantCredits(purchase, { note: `M-Pesa ${metadata.MpesaReceiptNumber}` });
+    } else {
+      purchase.paymentStatus = 'Failed';
+      await purchase.save();
+    }
+
+    await auditLogger.logAuditEvent({
+      action: ResultCode === 0 ? 'PACKAGE_PURCHASE_PAID' : 'PACKAGE_PURCHASE_FAILED',
+      userId: purchase.client,
+      details: {
+        purchaseId: purchase._id,
+        checkoutRequestID: CheckoutRequestID,
+        resultCode: ResultCode,
+        resultDesc: ResultDesc,
+        transactionID: metadata.MpesaReceiptNumber || null
+      }
+    });
+
+    return { purchase, duplicate: false };
+  }
+
+  /**
+   * Confirm a package paid by till code after an admin checks the transaction
+   */
+  async confirmManualPayment(user, purchaseId, transactionCode) {
+    await this.initialize();
+
+    if (user.role !== 'admin') {
+      throw new Error('Not authorized: only admins can verify manual payments');
+    }
+    if (!transactionCode || !transactionCode.trim()) {
+      throw new Error('Transaction code is required');
+    }
+
+    const purchase = await this.ClientPackage.findById(purchaseId);
+    if (!purchase) {
+      throw new Error('Purchase not found');
+    }
+    if (purchase.paymentStatus === 'Paid') {
+      throw new Error('Purchase already paid');
+    }
+
+    purchase.paymentMethod = 'manual';
+    purchase.mpesaTransactionID = transactionCode.trim().toUpperCase();
+    purchase.verifiedBy = user.id;
+    await this.grantCredits(purchase, { note: `Manual payment ${purchase.mpesaTransactionID}`, userId: user.id });
+
+    await auditLogger.logAuditEvent({
+      action: 'PACKAGE_PURCHASE_VERIFIED',
+      userId: user.id,
+      targetUserId: purchase.client,
+      details: { purchaseId: purchase._id, transactionCode: purchase.mpesaTransactionID }
+    });
+
+    return purchase;
+  }
+
+  /**
+   * Mark a purchase paid and credit its sessions; validity runs from payment
+   */
+  async grantCredits(purchase, { note, userId = null }) {
+    const pkg = await this.SessionPackage.findById(purchase.package).select('validityDays');
+    const validityDays = pkg ? pkg.validityDays : PACKAGE_CONFIG.DEFAULT_VALIDITY_DAYS;
+
+    purchase.paymentStatus = 'Paid';
+    purchase.paidAt = new Date();
+    purchase.expiresAt = new Date(Date.now() + validityDays * 24 * 60 * 60 * 1000);
+    purchase.creditsRemaining = purchase.sessionsPurchased;
+    await purchase.save();
+
+    await this.CreditLedgerEntry.create({
+      client: purchase.client,
+      therapist: purchase.therapist,
+      clientPackage: purchase._id,
+      type: 'purchase',
+      credits: purchase.sessionsPurchased,
+      balanceAfter: purchase.creditsRemaining,
+      note,
+      createdBy: userId
+    });
+
+    // Receipt for the purchase; the daily reconciliation retries any failure
+    const { invoiceService } = require('./invoiceService');
+    invoiceService.issueForPackagePurchase(purchase._id)
+      .catch(error => console.error('⚠️ Failed to issue package receipt:', error.message));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Credit ledger
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Take one credit for a session, from the purchase that expires soonest
+   * @returns {Promise<Object|null>} - Updated purchase, or null if the client has no usable credit
+   */
+  async consumeCreditForSession(session) {
+    await this.initialize();
+
+    const purchase = await this.ClientPackage.findOneAndUpdate(
+      {
+        client: session.client,
+        therapist: session.psychologist,
+        sessionType: session.sessionType,
+        paymentStatus: 'Paid',
+        creditsRemaining: { $gt: 0 },
+        expiresAt: { $gt: session.sessionDate }
+      },
+      { $inc: { creditsRemaining: -1 } },
+      { new: true, sort: { expiresAt: 1 } }
+    );
+    if (!purchase) return null;
+
+    await this.CreditLedgerEntry.create({
+      client: purchase.client,
+      therapist: purchase.therapist,
+      clientPackage: purchase._id,
+      session: session._id,
+      type: 'consume',
+      credits: -1,
+      balanceAfter: purchase.creditsRemaining,
+      note: 'Booking approved',
+      createdBy: session.psychologist
+    });
+
+    return purchase;
+  }
+
+  /**
+   * Give back the credit a session used; the caller saves the session
+   * @returns {Promise<Object|null>} - Updated purchase, or null if nothing to restore
+   */
+  async restoreCreditForSession(session, { note, userId = null } = {}) {
+    await this.initialize();
+
+    const credit = session.packageCredit;
+    if (!credit || !credit.clientPackage || credit.restoredAt) return null;
+
+    const purchase = await this.ClientPackage.findByIdAndUpdate(
+      credit.clientPackage,
+      { $inc: { creditsRemaining: 1 } },
+      { new: true }
+    );
+    if (!purchase) return null;
+
+    await this.CreditLedgerEntry.create({
+      client: purchase.client,
+      therapist: purchase.therapist,
+      clientPackage: purchase._id,
+      session: session._id,
+      type: 'restore',
+      credits: 1,
+      balanceAfter: purchase.creditsRemaining,
+      note,
+      createdBy: userId
+    });
+
+    session.packageCredit.restoredAt = new Date();
+    return purchase;
+  }
+
+  /**
+   * A client's paid packages with balances and their ledger
+   */
+  async getClientCredits(clientId, { therapistId } = {}) {
+    await this.initialize();
+
+    const query = { client: clientId, paymentStatus: 'Paid' };
+    if (therapistId) query.therapist = therapistId;
+
+    const purchases = await this.ClientPackage.find(query)
+      .populate('therapist', 'name profilePicture')
+      .sort({ expiresAt: 1 });
+    const ledger = await this.CreditLedgerEntry.find({ clientPackage: { $in: purchases.map(p => p._id) } })
+      .populate('session', 'sessionDate sessionType status')
+      .sort({ createdAt: -1 });
+
+    const now = new Date();
+    return {
+      purchases: purchases.map(purchase => ({
+        ...purchase.toObject(),
+        isUsable: isCreditUsable(purchase, now)
+      })),
+      totalCredits: purchases
+        .filter(purchase => isCreditUsable(purchase, now))
+        .reduce((sum, purchase) => sum + purchase.creditsRemaining, 0),
+      ledger
+    };
+  }
+
+  /**
+   * A therapist's view of one client's credits with them
+   */
+  async getClientCreditsForTherapist(user, clientId) {
+    if (user.role !== 'psychologist' && user.role !== 'admin') {
+      throw new Error('Not authorized to view client credits');
+    }
+    return this.getClientCredits(clientId, user.role === 'psychologist' ? { therapistId: user.id } : {});
+  }
+}
+
+const packageService = new PackageService();
+
+module.exports = {
+  packageService,
+  PackageService,
+  PACKAGE_CONFIG,
+  validatePackageData,
+  calculatePackagePricing,
+  isCreditUsable
+};
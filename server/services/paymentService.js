@@ -12,6 +12,11 @@ const { handlePaymentCallbackAtomic, initiatePaymentAtomic } = require('../utils
 const { enforceStateAuthority } = require('../constants/stateAuthority');
 const { PAYMENT_STATES } = require('../constants/paymentStates');
 const { SESSION_STATES } = require('../constants/sessionStates');
+const { getChargeAmount, toChargeCurrency, toSessionBase, isForeignCurrency } = require('./currencyService');
+
+// Stripe events the card gateway acts on
+const STRIPE_PAYMENT_EVENTS = ['payment_intent.succeeded', 'payment_intent.payment_failed', 'payment_intent.canceled'];
+const STRIPE_REFUND_EVENTS = ['refund.updated', 'charge.refund.updated'];
 
 /**
  * Payment Service Class
@@ -63,12 +68,17 @@ class PaymentService {
    * 
    * Processes payment callbacks and updates both payment and session states
    * atomically. This is the authoritative source for payment confirmations.
+   * Stripe webhooks arrive as { gateway: 'stripe', event }.
    * 
    * @param {Object} session - Session document
-   * @param {Object} callbackData - M-Pesa callback data
+   * @param {Object} callbackData - M-Pesa callback data or Stripe event
    * @returns {Promise<Object>} Processing result
    */
   async processCallback(session, callbackData) {
+    if (callbackData.gateway === 'stripe') {
+      return await this._processCardPaymentEvent(session, callbackData.event);
+    }
+
     console.log('💳 PaymentService.processCallback:', {
       sessionId: session._id,
       checkoutRequestID: callbackData.CheckoutRequestID,
@@ -93,13 +103,18 @@ class PaymentService {
    * Initiate Payment (Centralized Write Path)
    * 
    * Initiates payment and updates session status atomically.
+   * Card payments pass paymentData.method = 'stripe' and no initiator.
    * 
    * @param {Object} session - Session document
    * @param {Object} paymentData - Payment data
-   * @param {Function} paymentInitiator - Payment initiation function
+   * @param {Function} paymentInitiator - Payment initiation function (M-Pesa)
    * @returns {Promise<Object>} Initiation result
    */
   async initiatePayment(session, paymentData, paymentInitiator) {
+    if (paymentData.method === 'stripe') {
+      return await this._initiateCardPayment(session, paymentData);
+    }
+
     console.log('💳 PaymentService.initiatePayment:', {
       sessionId: session._id,
       amount: paymentData.amount,
@@ -144,13 +159,18 @@ class PaymentService {
   /**
    * Refund Payment (Centralized Write Path)
    * 
-   * Processes payment refund and updates session status.
+   * Processes payment refund and updates session status. Card payments
+   * are refunded through Stripe and only the session's refund fields change.
    * 
    * @param {Object} session - Session document
    * @param {Object} refundData - Refund data
    * @returns {Promise<Object>} Updated session
    */
   async refundPayment(session, refundData) {
+    if (session.paymentMethod === 'stripe') {
+      return await this._refundCardPayment(session, refundData);
+    }
+
     const { reason, refundAmount, refundReference, userId } = refundData;
     
     console.log('💳 PaymentService.refundPayment:', {
@@ -170,6 +190,263 @@ class PaymentService {
     });
   }
   
+  /**
+   * Process Stripe Webhook Event
+   * 
+   * Routes a verified Stripe event to the session it belongs to.
+   * 
+   * @param {Object} event - Stripe event (signature already verified)
+   * @returns {Promise<Object>} { handled, session?, ... }
+   */
+  async processStripeEvent(event) {
+    const Session = require('../models/Session');
+    const object = event.data && event.data.object;
+    if (!object) {
+      return { handled: false, reason: 'missing_object' };
+    }
+
+    if (STRIPE_PAYMENT_EVENTS.includes(event.type)) {
+      const session = await Session.findOne({ stripePaymentIntentId: object.id })
+        .populate('client', 'name email phone')
+        .populate('psychologist', 'name email phone');
+      if (!session) {
+        return { handled: false, reason: 'unknown_payment_intent' };
+      }
+      const result = await this.processCallback(session, { gateway: 'stripe', event });
+      return { handled: true, ...result };
+    }
+
+    if (STRIPE_REFUND_EVENTS.includes(event.type)) {
+      const session = await Session.findOne({ refundTransactionId: object.id });
+      if (!session) {
+        return { handled: false, reason: 'unknown_refund' };
+      }
+      return { handled: true, ...(await this._applyCardRefundStatus(session, object)) };
+    }
+
+    return { handled: false, reason: 'ignored_event_type' };
+  }
+
+  /**
+   * Private: Start a Stripe card payment
+   * 
+   * Creates (or reuses) a PaymentIntent that the client confirms with
+   * Stripe.js; the webhook confirms the payment.
+   */
+  async _initiateCardPayment(session, paymentData) {
+    const stripeAPI = require('../config/stripe');
+    const currency = paymentData.currency || stripeAPI.currency;
+
+    console.log('💳 PaymentService.initiatePayment (card):', {
+      sessionId: session._id,
+      amount: paymentData.amount,
+      currency
+    });
+
+    // Reuse an open intent so a retried checkout can't charge twice
+    if (session.paymentMethod === 'stripe' && session.stripePaymentIntentId && session.paymentStatus === 'Processing') {
+      const existing = await stripeAPI.retrievePaymentIntent(session.stripePaymentIntentId);
+      if (!['succeeded', 'canceled'].includes(existing.status) &&
+          existing.currency === currency &&
+          existing.amount === stripeAPI.toMinorUnits(paymentData.amount, currency)) {
+        return {
+          paymentResult: {
+            paymentIntentId: existing.id,
+            clientSecret: existing.client_secret,
+            status: existing.status,
+            amount: paymentData.amount,
+            currency: existing.currency
+          },
+          session,
+          reused: true
+        };
+      }
+    }
+
+    const attemptNumber = (session.paymentAttempts || []).length + 1;
+    const paymentResult = await stripeAPI.createPaymentIntent({
+      amount: paymentData.amount,
+      currency,
+      sessionId: session._id,
+      clientEmail: paymentData.clientEmail,
+      description: paymentData.description,
+      idempotencyKey: `session-${session._id}-attempt-${attemptNumber}`
+    });
+
+    session.paymentMethod = 'stripe';
+    session.stripePaymentIntentId = paymentResult.paymentIntentId;
+    session.paymentStatus = 'Processing';
+    session.paymentInitiatedAt = new Date();
+    session.paymentAttempts.push({
+      timestamp: new Date(),
+      amount: paymentData.amount,
+      paymentIntentId: paymentResult.paymentIntentId,
+      status: 'initiated'
+    });
+
+    const updatedSession = await session.save();
+
+    console.log('✅ Card payment initiated by authoritative service:', {
+      sessionId: session._id,
+      paymentIntentId: paymentResult.paymentIntentId
+    });
+
+    return { paymentResult, session: updatedSession };
+  }
+
+  /**
+   * Private: Apply a Stripe PaymentIntent event to its session
+   */
+  async _processCardPaymentEvent(session, event) {
+    const stripeAPI = require('../config/stripe');
+    const intent = event.data.object;
+
+    console.log('💳 PaymentService.processCallback (card):', {
+      sessionId: session._id,
+      paymentIntentId: intent.id,
+      eventType: event.type
+    });
+
+    // Events for an intent this session has moved on from are stale
+    if (intent.id !== session.stripePaymentIntentId) {
+      return { session, isDuplicate: true, message: 'Event is for a superseded payment intent' };
+    }
+
+    const alreadyPaid = session.paymentStatus === 'Paid' &&
+      (session.paymentAttempts || []).some(a => a.paymentIntentId === intent.id && a.status === 'success');
+    if (alreadyPaid) {
+      console.log('⚠️ Duplicate card payment event, ignoring:', event.id);
+      return { session, isDuplicate: true, message: 'Event already processed' };
+    }
+
+    const previousStatus = session.paymentStatus;
+
+    if (event.type === 'payment_intent.succeeded') {
+      // Foreign-currency sessions are charged in the client's currency
+      const charge = getChargeAmount(session, stripeAPI.currency);
+      const expected = stripeAPI.toMinorUnits(charge.currency === intent.currency ? charge.amount : session.price, intent.currency);
+      if (intent.amount_received < expected) {
+        console.error('❌ Card payment amount mismatch:', {
+          sessionId: session._id,
+          expected,
+          received: intent.amount_received
+        });
+        return { session, isDuplicate: false, amountMismatch: true };
+      }
+
+      const amount = stripeAPI.fromMinorUnits(intent.amount_received, intent.currency);
+      session.paymentStatus = 'Paid';
+      session.status = 'Confirmed';
+      session.paymentMethod = 'stripe';
+      // paymentAmount is always KES; the amount charged is kept with the client's currency
+      session.paymentAmount = toSessionBase(session, amount, intent.currency);
+      if (isForeignCurrency(session)) {
+        session.clientCurrency.amountPaid = amount;
+      }
+      session.stripeChargeId = intent.latest_charge;
+      session.paymentVerifiedAt = new Date();
+      session.paymentAttempts.push({
+        timestamp: new Date(),
+        amount,
+        paymentIntentId: intent.id,
+        resultDesc: 'Card payment succeeded',
+        status: 'success'
+      });
+    } else {
+      // Never downgrade a confirmed payment
+      if (session.paymentStatus === 'Paid') {
+        return { session, isDuplicate: true, message: 'Session already paid' };
+      }
+
+      const failure = intent.last_payment_error && intent.last_payment_error.message;
+      session.paymentStatus = 'Failed';
+      session.paymentAttempts.push({
+        timestamp: new Date(),
+        amount: session.price,
+        paymentIntentId: intent.id,
+        resultDesc: failure || (event.type === 'payment_intent.canceled' ? 'Card payment cancelled' : 'Card payment failed'),
+        status: event.type === 'payment_intent.canceled' ? 'cancelled' : 'failed'
+      });
+    }
+
+    const updatedSession = await session.save();
+
+    console.log('✅ Card payment event processed by authoritative service:', {
+      sessionId: session._id,
+      paymentState: updatedSession.paymentStatus,
+      sessionState: updatedSession.status
+    });
+
+    return { session: updatedSession, isDuplicate: false, previousStatus };
+  }
+
+  /**
+   * Private: Refund a Stripe card payment
+   */
+  async _refundCardPayment(session, refundData) {
+    const stripeAPI = require('../config/stripe');
+    const { reason, refundAmount, userId } = refundData;
+
+    console.log('💳 PaymentService.refundPayment (card):', {
+      sessionId: session._id,
+      refundAmount,
+      reason,
+      userId
+    });
+
+    if (!session.stripePaymentIntentId) {
+      throw new Error('Session has no card payment to refund');
+    }
+
+    // refundAmount is KES; refund it in the currency the client paid in
+    const charge = getChargeAmount(session, stripeAPI.currency);
+    const refund = await stripeAPI.createRefund({
+      paymentIntentId: session.stripePaymentIntentId,
+      amount: toChargeCurrency(session, refundAmount),
+      currency: charge.currency,
+      reason,
+      sessionId: session._id,
+      idempotencyKey: `refund-${session._id}`
+    });
+
+    session.refundTransactionId = refund.refundId;
+    return await this._applyCardRefundStatus(session, {
+      id: refund.refundId,
+      status: refund.status,
+      amount: stripeAPI.toMinorUnits(refund.amount, refund.currency),
+      currency: refund.currency
+    });
+  }
+
+  /**
+   * Private: Record a Stripe refund's status on its session
+   */
+  async _applyCardRefundStatus(session, refund) {
+    const stripeAPI = require('../config/stripe');
+    const previousStatus = session.refundStatus;
+
+    if (refund.status === 'succeeded') {
+      session.refundStatus = 'processed';
+      session.refundProcessedAt = session.refundProcessedAt || new Date();
+    } else if (refund.status === 'pending' || refund.status === 'requires_action') {
+      session.refundStatus = 'processing';
+    } else {
+      session.refundStatus = 'pending_manual';
+      session.refundNotes = `Card refund ${refund.status}. Manual processing required.`;
+    }
+
+    const updatedSession = await session.save();
+
+    return {
+      success: session.refundStatus === 'processed' || session.refundStatus === 'processing',
+      status: session.refundStatus,
+      amount: toSessionBase(session, stripeAPI.fromMinorUnits(refund.amount, refund.currency || stripeAPI.currency), refund.currency),
+      transactionId: refund.id,
+      previousStatus,
+      session: updatedSession
+    };
+  }
+
   /**
    * Private: Atomic Payment State Update
    * 
@@ -237,5 +514,7 @@ const paymentService = new PaymentService();
 
 module.exports = {
   PaymentService,
-  paymentService
+  paymentService,
+  STRIPE_PAYMENT_EVENTS,
+  STRIPE_REFUND_EVENTS
 };
\ No newline at end of file
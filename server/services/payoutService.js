@@ -0,0 +1,498 @@
+/**
+ * Payout Service
+ *
+ * Settlement with therapists for the sessions clients paid for:
+ * - The platform keeps a commission (per-therapist rate or the default)
+ * - Sessions still inside the refund window, or with a refund in flight,
+ *   are held back until a later batch
+ * - A payout batch claims the settleable sessions and, once the transfer is
+ *   made, marks them settled
+ * Batches export to accounting software through utils/accountingExport.
+ */
+
+const crypto = require('crypto');
+const moment = require('moment');
+const auditLogger = require('../utils/auditLogger');
+const { generatePayoutExport, getSupportedFormats } = require('../utils/accountingExport');
+
+const PAYOUT_CONFIG = {
+  DEFAULT_COMMISSION_PERCENT: 20,
+  // Completed sessions can still be refunded (no-show, technical issues) for this long
+  REFUND_WINDOW_DAYS: 7,
+  PAID_STATUSES: ['Paid', 'Confirmed', 'Verified'],
+  SETTLEABLE_SESSION_STATUSES: ['Completed', 'Cancelled'],
+  OPEN_REFUND_STATUSES: ['pending', 'approved', 'processing', 'pending_manual', 'failed']
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Commission percentage for a therapist
+ */
+function getCommissionRate(therapist) {
+  const rate = therapist && therapist.psychologistDetails && therapist.psychologistDetails.commissionRate;
+  return typeof rate === 'number' ? rate : PAYOUT_CONFIG.DEFAULT_COMMISSION_PERCENT;
+}
+
+/**
+ * What the platform kept for a session after refunds
+ * Package sessions count at the purchase's per-session price; group
+ * sessions at the sum of paid seats less refunded seats; sponsored
+ * sessions include the fund's share.
+ */
+function getCollectedAmount(session) {
+  let collected = 0;
+
+  if (session.sessionType === 'Group') {
+    collected = (session.participants || [])
+      .filter(participant => participant.paymentStatus === 'Paid')
+      .reduce((sum, participant) => {
+        const refunded = participant.refundStatus === 'processed' ? (participant.refundAmount || 0) : 0;
+        return sum + (participant.amount || 0) - refunded;
+      }, 0);
+  } else if (session.paymentMethod === 'package_credit') {
+    const credit = session.packageCredit || {};
+    const purchase = credit.clientPackage;
+    collected = !credit.restoredAt && purchase && purchase.perSessionPrice ? purchase.perSessionPrice : 0;
+  } else if (PAYOUT_CONFIG.PAID_STATUSES.includes(session.paymentStatus)) {
+    collected = session.paymentAmount || session.mpesaAmount || session.price || 0;
+    const subsidy = session.pricing && session.pricing.subsidy;
+    if (subsidy && subsidy.status === 'reserved') {
+      collected += subsidy.amount || 0;
+    }
+  }
+
+  const refunded = session.refundStatus === 'processed' ? (session.refundAmount || 0) : 0;
+  return Math.max(0, collected - refunded);
+}
+
+/**
+ * Why a session can't be settled yet, or null if it can
+ */
+function getHoldbackReason(session, asOf = new Date()) {
+  const seatRefundOpen = (session.participants || [])
+    .some(participant => PAYOUT_CONFIG.OPEN_REFUND_STATUSES.includes(participant.refundStatus));
+  if (PAYOUT_CONFIG.OPEN_REFUND_STATUSES.includes(session.refundStatus) || seatRefundOpen) {
+    return 'Refund in progress';
+  }
+
+  const closedAt = session.status === 'Cancelled'
+    ? (session.cancellationApprovedAt || session.cancellationRequestedAt || session.sessionDate)
+    : session.sessionDate;
+  const windowEnds = new Date(closedAt).getTime() + PAYOUT_CONFIG.REFUND_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  if (windowEnds > new Date(asOf).getTime()) {
+    return 'Inside refund window';
+  }
+
+  return null;
+}
+
+/**
+ * Split a collected amount between the platform and the therapist
+ * @returns {Object} - { commissionAmount, netAmount }
+ */
+function calculateCommission(amount, commissionRate) {
+  const commissionAmount = roundAmount(amount * commissionRate / 100);
+  return { commissionAmount, netAmount: roundAmount(amount - commissionAmount) };
+}
+
+/**
+ * A therapist's settlement statement for a set of unsettled sessions
+ * @returns {Object} - Statement with settled `lines` and the `holds` left for later
+ */
+function buildStatement(therapist, sessions, asOf = new Date()) {
+  const commissionRate = getCommissionRate(therapist);
+  const statement = {
+    therapist: therapist._id,
+    therapistName: therapist.name,
+    commissionRate,
+    lines: [],
+    grossAmount: 0,
+    commissionAmount: 0,
+    netAmount: 0,
+    heldBack: { count: 0, amount: 0 },
+    holds: []
+  };
+
+  sessions.forEach(session => {
+    const collectedAmount = getCollectedAmount(session);
+    if (collectedAmount <= 0) return;
+
+    const reason = getHoldbackReason(session, asOf);
+    if (reason) {
+      statement.holds.push({ session: session._id, sessionDate: session.sessionDate, collectedAmount, reason });
+      statement.heldBack.count++;
+      statement.heldBack.amount = roundAmount(statement.heldBack.amount + collectedAmount);
+      return;
+    }
+
+    const { commissionAmount, netAmount } = calculateCommission(collectedAmount, commissionRate);
+    statement.lines.push({
+      session: session._id,
+      sessionDate: session.sessionDate,
+      sessionType: session.sessionType,
+      status: session.status,
+      collectedAmount,
+      commissionAmount,
+      netAmount
+    });
+    statement.grossAmount = roundAmount(statement.grossAmount + collectedAmount);
+    statement.commissionAmount = roundAmount(statement.commissionAmount + commissionAmount);
+    statement.netAmount = roundAmount(statement.netAmount + netAmount);
+  });
+
+  return statement;
+}
+
+class PayoutService {
+  constructor() {
+    this.Session = null;
+    this.User = null;
+    this.PayoutBatch = null;
+  }
+
+  async initialize() {
+    if (!this.Session) this.Session = require('../models/Session');
+    if (!this.User) this.User = require('../models/User');
+    if (!this.PayoutBatch) this.PayoutBatch = require('../models/PayoutBatch');
+  }
+
+  /**
+   * Paid sessions up to `periodEnd` that no batch has claimed
+   */
+  async findUnsettledSessions(periodEnd, therapistIds) {
+    await this.initialize();
+
+    const query = {
+      payoutBatch: null,
+      status: { $in: PAYOUT_CONFIG.SETTLEABLE_SESSION_STATUSES },
+      sessionDate: { $lte: periodEnd },
+      $or: [
+        { paymentStatus: { $in: PAYOUT_CONFIG.PAID_STATUSES } },
+        { paymentMethod: 'package_credit' },
+        { 'participants.paymentStatus': 'Paid' }
+      ]
+    };
+    if (therapistIds && therapistIds.length > 0) {
+      query.psychologist = { $in: therapistIds };
+    }
+
+    return this.Session.find(query)
+      .populate('packageCredit.clientPackage', 'perSessionPrice')
+      .sort({ sessionDate: 1 });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Commission
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Set a therapist's commission percentage (admins); null reverts to the default
+   */
+  async setCommissionRate(user, therapistId, rate) {
+    await this.initialize();
+
+    if (user.role !== 'admin') {
+      throw new Error('Not authorized: only admins can set commission rates');
+    }
+    if (rate !== null && (typeof rate !== 'number' || Number.isNaN(rate) || rate < 0 || rate > 100)) {
+      throw new Error('Commission rate must be a percentage between 0 and 100');
+    }
+
+    const therapist = await this.User.findOne({ _id: therapistId, role: 'psychologist' });
+    if (!therapist) {
+      throw new Error('Therapist not found');
+    }
+
+    const previousRate = getCommissionRate(therapist);
+    therapist.psychologistDetails.commissionRate = rate === null ? undefined : rate;
+    await therapist.save();
+
+    await auditLogger.logAuditEvent({
+      action: 'PAYOUT_COMMISSION_UPDATED',
+      userId: user.id,
+      targetUserId: therapist._id,
+      details: { previousRate, newRate: getCommissionRate(therapist), isDefault: rate === null }
+    });
+
+    return {
+      therapistId: therapist._id,
+      commissionRate: getCommissionRate(therapist),
+      isDefault: rate === null
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Statements
+  // ---------------------------------------------------------------------------
+
+  /**
+   * What a therapist would be paid in a batch run now (therapist or admin)
+   */
+  async getStatementPreview(user, therapistId, { periodEnd } = {}) {
+    await this.initialize();
+
+    if (user.role !== 'admin' && user.id !== therapistId.toString()) {
+      throw new Error('Not authorized to view this statement');
+    }
+
+    const therapist = await this.User.findOne({ _id: therapistId, role: 'psychologist' }).select('name psychologistDetails.commissionRate');
+    if (!therapist) {
+      throw new Error('Therapist not found');
+    }
+
+    const end = periodEnd ? new Date(periodEnd) : new Date();
+    const sessions = await this.findUnsettledSessions(end, [therapist._id]);
+    return { periodEnd: end, ...buildStatement(therapist, sessions) };
+  }
+
+  /**
+   * A therapist's statements from past batches
+   */
+  async getTherapistStatements(therapistId) {
+    await this.initialize();
+
+    const batches = await this.PayoutBatch.find({
+      'statements.therapist': therapistId,
+      status: { $ne: 'cancelled' }
+    }).sort({ periodEnd: -1 });
+
+    return batches.map(batch => {
+      const statement = batch.statements.find(s => s.therapist.toString() === therapistId.toString());
+      return {
+        batchId: batch._id,
+        reference: batch.reference,
+        periodEnd: batch.periodEnd,
+        status: batch.status,
+        paidAt: batch.paidAt,
+        paymentReference: batch.paymentReference,
+        statement
+      };
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Batches
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Create a draft batch settling every therapist's eligible sessions (admins)
+   */
+  async createBatch(user, { periodEnd, therapistIds, notes } = {}) {
+    await this.initialize();
+
+    if (user.role !== 'admin') {
+      throw new Error('Not authorized: only admins can create payout batches');
+    }
+
+    const now = new Date();
+    const end = periodEnd ? moment(periodEnd).endOf('day').toDate() : now;
+    if (Number.isNaN(end.getTime())) {
+      throw new Error('Invalid period end date');
+    }
+    if (end > moment(now).endOf('day').toDate()) {
+      throw new Error('Period end cannot be in the future');
+    }
+
+    const sessions = await this.findUnsettledSessions(end, therapistIds);
+    const byTherapist = new Map();
+    sessions.forEach(session => {
+      const key = session.psychologist.toString();
+      if (!byTherapist.has(key)) byTherapist.set(key, []);
+      byTherapist.get(key).push(session);
+    });
+
+    const therapists = await this.User.find({ _id: { $in: [...byTherapist.keys()] } }).select('name psychologistDetails.commissionRate');
+    const statements = therapists
+      .map(therapist => buildStatement(therapist, byTherapist.get(therapist._id.toString()), now))
+      .filter(statement => statement.lines.length > 0);
+
+    if (statements.length === 0) {
+      throw new Error('No sessions are ready for payout');
+    }
+
+    const batch = new this.PayoutBatch({
+      reference: `PO-${moment(now).format('YYYYMMDD')}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`,
+      periodEnd: end,
+      statements: statements.map(({ holds, ...statement }) => statement),
+      totals: {
+        grossAmount: roundAmount(statements.reduce((sum, s) => sum + s.grossAmount, 0)),
+        commissionAmount: roundAmount(statements.reduce((sum, s) => sum + s.commissionAmount, 0)),
+        netAmount: roundAmount(statements.reduce((sum, s) => sum + s.netAmount, 0)),
+        sessionCount: statements.reduce((sum, s) => sum + s.lines.length, 0),
+        heldBackAmount: roundAmount(statements.reduce((sum, s) => sum + s.heldBack.amount, 0))
+      },
+      createdBy: user.id,
+      notes
+    });
+
+    // Claim the sessions; a concurrent batch that got there first wins
+    const sessionIds = statements.flatMap(s => s.lines.map(line => line.session));
+    const claim = await this.Session.updateMany(
+      { _id: { $in: sessionIds }, payoutBatch: null },
+      { $set: { payoutBatch: batch._id } }
+    );
+    if (claim.modifiedCount !== sessionIds.length) {
+      await this.Session.updateMany({ payoutBatch: batch._id }, { $unset: { payoutBatch: 1 } });
+      throw new Error('Sessions changed while the batch was being created. Please try again.');
+    }
+
+    await batch.save();
+
+    await auditLogger.logAuditEvent({
+      action: 'PAYOUT_BATCH_CREATED',
+      userId: user.id,
+      details: {
+        batchId: batch._id,
+        reference: batch.reference,
+        periodEnd: batch.periodEnd,
+        therapists: batch.statements.length,
+        sessions: batch.totals.sessionCount,
+        netAmount: batch.totals.netAmount
+      }
+    });
+
+    return batch;
+  }
+
+  async getBatch(user, batchId) {
+    await this.initialize();
+
+    if (user.role !== 'admin') {
+      throw new Error('Not authorized to view payout batches');
+    }
+
+    const batch = await this.PayoutBatch.findById(batchId);
+    if (!batch) {
+      throw new Error('Payout batch not found');
+    }
+    return batch;
+  }
+
+  async listBatches(user, { status, page = 1, limit = 20 } = {}) {
+    await this.initialize();
+
+    if (user.role !== 'admin') {
+      throw new Error('Not authorized to view payout batches');
+    }
+
+    const query = status ? { status } : {};
+    const [batches, total] = await Promise.all([
+      this.PayoutBatch.find(query)
+        .select('-statements.lines')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      this.PayoutBatch.countDocuments(query)
+    ]);
+
+    return {
+      batches,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  /**
+   * Record that the batch was paid out and mark its sessions settled (admins)
+   */
+  async markBatchPaid(user, batchId, { paymentReference, notes } = {}) {
+    const batch = await this.getBatch(user, batchId);
+
+    if (batch.status !== 'draft') {
+      throw new Error(`Payout batch is already ${batch.status}`);
+    }
+    if (!paymentReference || !paymentReference.trim()) {
+      throw new Error('Payment reference is required');
+    }
+
+    // A refund opened after the batch was drafted changes what is owed
+    const refunding = await this.Session.countDocuments({
+      payoutBatch: batch._id,
+      $or: [
+        { refundStatus: { $in: PAYOUT_CONFIG.OPEN_REFUND_STATUSES } },
+        { 'participants.refundStatus': { $in: PAYOUT_CONFIG.OPEN_REFUND_STATUSES } }
+      ]
+    });
+    if (refunding > 0) {
+      throw new Error(`${refunding} session(s) in this batch now have a refund in progress. Cancel the batch and create a new one.`);
+    }
+
+    const paidAt = new Date();
+    await this.Session.updateMany({ payoutBatch: batch._id }, { $set: { settledAt: paidAt } });
+
+    batch.status = 'paid';
+    batch.paidAt = paidAt;
+    batch.paidBy = user.id;
+    batch.paymentReference = paymentReference.trim();
+    if (notes) batch.notes = notes;
+    await batch.save();
+
+    await auditLogger.logAuditEvent({
+      action: 'PAYOUT_BATCH_PAID',
+      userId: user.id,
+      details: { batchId: batch._id, reference: batch.reference, paymentReference: batch.paymentReference, netAmount: batch.totals.netAmount }
+    });
+
+    return batch;
+  }
+
+  /**
+   * Cancel a draft batch and release its sessions for the next one (admins)
+   */
+  async cancelBatch(user, batchId, reason) {
+    const batch = await this.getBatch(user, batchId);
+
+    if (batch.status !== 'draft') {
+      throw new Error(`Payout batch is already ${batch.status}`);
+    }
+
+    await this.Session.updateMany({ payoutBatch: batch._id }, { $unset: { payoutBatch: 1 } });
+
+    batch.status = 'cancelled';
+    batch.cancelledAt = new Date();
+    if (reason) batch.notes = reason;
+    await batch.save();
+
+    await auditLogger.logAuditEvent({
+      action: 'PAYOUT_BATCH_CANCELLED',
+      userId: user.id,
+      details: { batchId: batch._id, reference: batch.reference, reason }
+    });
+
+    return batch;
+  }
+
+  /**
+   * Batch in an accounting software format (admins)
+   * @returns {Promise<Object>} - { content, filename, mimeType }
+   */
+  async exportBatch(user, batchId, format = 'generic') {
+    const batch = await this.getBatch(user, batchId);
+
+    if (batch.status === 'cancelled') {
+      throw new Error('Cancelled payout batches cannot be exported');
+    }
+
+    const formats = getSupportedFormats();
+    const formatInfo = formats.find(f => f.key === format.toLowerCase()) || formats.find(f => f.key === 'generic');
+
+    return {
+      content: generatePayoutExport(batch, formatInfo.key),
+      filename: `payout_${batch.reference}_${formatInfo.key}.${formatInfo.fileExtension}`,
+      mimeType: formatInfo.mimeType
+    };
+  }
+}
+
+const payoutService = new PayoutService();
+
+module.exports = {
+  payoutService,
+  PayoutService,
+  PAYOUT_CONFIG,
+  getCommissionRate,
+  getCollectedAmount,
+  getHoldbackReason,
+  calculateCommission,
+  buildStatement
+};
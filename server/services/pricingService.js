@@ -0,0 +1,692 @@
+/**
+ * Pricing Service
+ *
+ * Reduced-cost sessions for clients who can't afford standard rates:
+ * - Therapists offer sliding-scale tiers below their standard rate
+ * - Admins run sponsorship funds (donor or NGO pools) and approve which
+ *   clients may draw on them
+ * - At booking any promo code discount comes off the (tier) price, the fund
+ *   covers its share of what is left and the client pays the rest through
+ *   the normal M-Pesa flow
+ * The breakdown is kept on `Session.pricing`; `Session.price` is the client's share.
+ */
+
+const auditLogger = require('../utils/auditLogger');
+const { promoCodeService, calculateDiscount } = require('./promoCodeService');
+
+const PRICING_CONFIG = {
+  SESSION_TYPES: ['Individual', 'Couples', 'Family', 'Group'],
+  MIN_TIER_AMOUNT: 100,
+  MAX_TIERS_PER_SESSION_TYPE: 5,
+  APPLICATION_VALIDITY_DAYS: 365
+};
+
+/**
+ * Validate sliding-scale tier terms
+ * @param {Object} tier - { sessionType, name, amount }
+ * @param {number} standardRate - Therapist's current rate for the session type
+ * @returns {Array<string>} - Validation errors
+ */
+function validateTierData({ sessionType, name, amount }, standardRate) {
+  const errors = [];
+
+  if (!PRICING_CONFIG.SESSION_TYPES.includes(sessionType)) {
+    errors.push(`Session type must be one of: ${PRICING_CONFIG.SESSION_TYPES.join(', ')}`);
+  }
+  if (!name || !name.trim()) {
+    errors.push('Tier name is required');
+  }
+  if (!Number.isInteger(amount) || amount < PRICING_CONFIG.MIN_TIER_AMOUNT) {
+    errors.push(`Amount must be a whole number of at least KES ${PRICING_CONFIG.MIN_TIER_AMOUNT}`);
+  } else if (standardRate && amount >= standardRate) {
+    errors.push(`Amount must be below the standard rate of KES ${standardRate}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate sponsorship fund terms
+ * @returns {Array<string>} - Validation errors
+ */
+function validateFundData({ name, sponsor, coveragePercent, maxPerSession, maxSessionsPerClient, sessionTypes }) {
+  const errors = [];
+
+  if (!name || !name.trim()) {
+    errors.push('Fund name is required');
+  }
+  if (!sponsor || !sponsor.trim()) {
+    errors.push('Sponsor is required');
+  }
+  if (typeof coveragePercent !== 'number' || Number.isNaN(coveragePercent) || coveragePercent < 1 || coveragePercent > 100) {
+    errors.push('Coverage must be between 1 and 100 percent');
+  }
+  if (maxPerSession !== undefined && maxPerSession !== null && (!Number.isInteger(maxPerSession) || maxPerSession < 1)) {
+    errors.push('Per-session cap must be a positive whole number of KES');
+  }
+  if (maxSessionsPerClient !== undefined && maxSessionsPerClient !== null && (!Number.isInteger(maxSessionsPerClient) || maxSessionsPerClient < 1)) {
+    errors.push('Sessions per client must be a positive whole number');
+  }
+  if (sessionTypes !== undefined &&
+      (!Array.isArray(sessionTypes) || sessionTypes.length === 0 || sessionTypes.some(t => !PRICING_CONFIG.SESSION_TYPES.includes(t)))) {
+    errors.push(`Session types must be one or more of: ${PRICING_CONFIG.SESSION_TYPES.join(', ')}`);
+  }
+
+  return errors;
+}
+
+/**
+ * How much of a price a fund covers, limited by its cap and balance
+ */
+function calculateSubsidy(amount, fund) {
+  let subsidy = Math.round(amount * fund.coveragePercent / 100);
+  if (fund.maxPerSession) subsidy = Math.min(subsidy, fund.maxPerSession);
+  return Math.max(0, Math.min(subsidy, amount, fund.balance || 0));
+}
+
+/**
+ * Why an application can't subsidise a booking, or null if it can
+ */
+function getSubsidyBlocker(application, fund, sessionType, now = new Date()) {
+  if (!application || application.status !== 'approved') {
+    return 'Sponsorship eligibility has not been approved';
+  }
+  if (application.expiresAt && new Date(application.expiresAt) <= now) {
+    return 'Sponsorship eligibility has expired';
+  }
+  if (!fund || !fund.isActive) {
+    return 'Sponsorship fund is not active';
+  }
+  if (!fund.sessionTypes.includes(sessionType)) {
+    return `Sponsorship fund does not cover ${sessionType} sessions`;
+  }
+  if (fund.maxSessionsPerClient && application.sessionsUsed >= fund.maxSessionsPerClient) {
+    return 'Sponsored session limit reached';
+  }
+  if (!fund.balance || fund.balance <= 0) {
+    return 'Sponsorship fund has no remaining balance';
+  }
+  return null;
+}
+
+/**
+ * Price breakdown for a booking
+ * @param {number} standardRate - Locked standard rate
+ * @param {Object} [options]
+ * @param {Object} [options.tier] - Sliding-scale tier the client picked
+ * @param {Object} [options.promo] - Promo code the client entered
+ * @param {Object} [options.fund] - Sponsorship fund covering part of the price
+ * @param {Object} [options.application] - The client's approved application to the fund
+ * @returns {Object} - Session.pricing
+ */
+function buildSessionPricing(standardRate, { tier = null, promo = null, fund = null, application = null } = {}) {
+  const pricing = { standardRate };
+  let amount = standardRate;
+
+  if (tier) {
+    // A tier never costs more than the standard rate, even after a rate cut
+    amount = Math.min(tier.amount, standardRate);
+    pricing.tier = { tier: tier._id, name: tier.name, amount };
+  }
+
+  if (promo) {
+    const discountAmount = calculateDiscount(amount, promo);
+    if (discountAmount > 0) {
+      pricing.discount = { promoCode: promo._id, code: promo.code, amount: discountAmount };
+      amount -= discountAmount;
+    }
+  }
+
+  if (fund) {
+    const subsidyAmount = calculateSubsidy(amount, fund);
+    if (subsidyAmount > 0) {
+      pricing.subsidy = {
+        fund: fund._id,
+        fundName: fund.name,
+        application: application ? application._id : undefined,
+        amount: subsidyAmount
+      };
+      amount -= subsidyAmount;
+    }
+  }
+
+  pricing.clientAmount = amount;
+  return pricing;
+}
+
+/**
+ * Client-facing summary of a session's pricing
+ */
+function summarizePricing(session) {
+  const pricing = session.pricing || {};
+  const standardRate = pricing.standardRate || session.sessionRate || session.price;
+  const tierAmount = pricing.tier && pricing.tier.amount !== undefined ? pricing.tier.amount : standardRate;
+  const subsidy = pricing.subsidy && pricing.subsidy.status === 'reserved' ? pricing.subsidy : null;
+  const discount = pricing.discount && pricing.discount.amount ? pricing.discount : null;
+
+  return {
+    standardRate,
+    tier: pricing.tier && pricing.tier.name ? { name: pricing.tier.name, amount: pricing.tier.amount } : null,
+    slidingScaleDiscount: Math.max(0, standardRate - tierAmount),
+    promoCode: discount ? discount.code : null,
+    promoDiscount: discount ? discount.amount : 0,
+    sponsorship: subsidy ? { fundName: subsidy.fundName, amount: subsidy.amount } : null,
+    sponsorshipAmount: subsidy ? subsidy.amount : 0,
+    clientAmount: pricing.clientAmount !== undefined ? pricing.clientAmount : session.price
+  };
+}
+
+class PricingService {
+  constructor() {
+    this.PricingTier = null;
+    this.SponsorshipFund = null;
+    this.SponsorshipApplication = null;
+    this.FundLedgerEntry = null;
+  }
+
+  async initialize() {
+    if (!this.PricingTier) this.PricingTier = require('../models/PricingTier');
+    if (!this.SponsorshipFund) this.SponsorshipFund = require('../models/SponsorshipFund');
+    if (!this.SponsorshipApplication) this.SponsorshipApplication = require('../models/SponsorshipApplication');
+    if (!this.FundLedgerEntry) this.FundLedgerEntry = require('../models/FundLedgerEntry');
+  }
+
+  async getStandardRate(therapistId, sessionType) {
+    const { getRateAtDate } = require('../utils/rateLockingService');
+    const result = await getRateAtDate(therapistId, sessionType, new Date());
+    return result.success ? result.rate.amount : null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Sliding-scale tiers
+  // ---------------------------------------------------------------------------
+
+  async createTier(user, data) {
+    await this.initialize();
+
+    if (user.role !== 'psychologist') {
+      throw new Error('Not authorized: only therapists can create pricing tiers');
+    }
+
+    const terms = { sessionType: data.sessionType, name: data.name, amount: Number(data.amount) };
+    const errors = validateTierData(terms, await this.getStandardRate(user.id, terms.sessionType));
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    const activeTiers = await this.PricingTier.countDocuments({ therapist: user.id, sessionType: terms.sessionType, isActive: true });
+    if (activeTiers >= PRICING_CONFIG.MAX_TIERS_PER_SESSION_TYPE) {
+      throw new Error(`You can offer at most ${PRICING_CONFIG.MAX_TIERS_PER_SESSION_TYPE} tiers per session type`);
+    }
+
+    const tier = await this.PricingTier.create({
+      therapist: user.id,
+      ...terms,
+      name: terms.name.trim(),
+      description: data.description,
+      createdBy: user.id
+    });
+
+    await auditLogger.logAuditEvent({
+      action: 'PRICING_TIER_CREATED',
+      userId: user.id,
+      details: { tierId: tier._id, sessionType: tier.sessionType, amount: tier.amount }
+    });
+
+    return tier;
+  }
+
+  /**
+   * Update a tier; booked sessions keep the price they were booked at
+   */
+  async updateTier(user, tierId, changes) {
+    await this.initialize();
+
+    const tier = await this.PricingTier.findById(tierId);
+    if (!tier) {
+      throw new Error('Pricing tier not found');
+    }
+    if (tier.therapist.toString() !== user.id && user.role !== 'admin') {
+      throw new Error('Not authorized to edit this pricing tier');
+    }
+
+    for (const field of ['name', 'description', 'isActive']) {
+      if (changes[field] !== undefined) tier[field] = changes[field];
+    }
+    if (changes.amount !== undefined) tier.amount = Number(changes.amount);
+
+    const errors = validateTierData(tier, await this.getStandardRate(tier.therapist, tier.sessionType));
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    await tier.save();
+    return tier;
+  }
+
+  async listTherapistTiers(therapistId, { includeInactive = false } = {}) {
+    await this.initialize();
+
+    const query = { therapist: therapistId };
+    if (!includeInactive) query.isActive = true;
+    return this.PricingTier.find(query).sort({ sessionType: 1, amount: -1 });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Sponsorship funds
+  // ---------------------------------------------------------------------------
+
+  async createFund(user, data) {
+    await this.initialize();
+
+    if (user.role !== 'admin') {
+      throw new Error('Not authorized: only admins can create sponsorship funds');
+    }
+
+    const terms = {
+      name: data.name,
+      sponsor: data.sponsor,
+      coveragePercent: Number(data.coveragePercent),
+      maxPerSession: data.maxPerSession ? Number(data.maxPerSession) : undefined,
+      maxSessionsPerClient: data.maxSessionsPerClient ? Number(data.maxSessionsPerClient) : undefined,
+      sessionTypes: data.sessionTypes
+    };
+    const errors = validateFundData(terms);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    const fund = await this.SponsorshipFund.create({
+      ...terms,
+      name: terms.name.trim(),
+      sponsor: terms.sponsor.trim(),
+      description: data.description,
+      createdBy: user.id
+    });
+
+    await auditLogger.logAuditEvent({
+      action: 'SPONSORSHIP_FUND_CREATED',
+      userId: user.id,
+      details: { fundId: fund._id, sponsor: fund.sponsor, coveragePercent: fund.coveragePercent }
+    });
+
+    return fund;
+  }
+
+  /**
+   * Update fund terms; the balance only changes through contributions
+   */
+  async updateFund(user, fundId, changes) {
+    await this.initialize();
+
+    if (user.role !== 'admin') {
+      throw new Error('Not authorized: only admins can edit sponsorship funds');
+    }
+
+    const fund = await this.SponsorshipFund.findById(fundId);
+    if (!fund) {
+      throw new Error('Sponsorship fund not found');
+    }
+
+    for (const field of ['name', 'sponsor', 'description', 'isActive', 'sessionTypes']) {
+      if (changes[field] !== undefined) fund[field] = changes[field];
+    }
+    for (const field of ['coveragePercent', 'maxPerSession', 'maxSessionsPerClient']) {
+      if (changes[field] !== undefined) fund[field] = changes[field] === null ? undefined : Number(changes[field]);
+    }
+
+    const errors = validateFundData(fund);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    await fund.save();
+    return fund;
+  }
+
+  /**
+   * Add donor money to a fund (admins)
+   */
+  async addContribution(user, fundId, amount, note) {
+    await this.initialize();
+
+    if (user.role !== 'admin') {
+      throw new Error('Not authorized: only admins can record contributions');
+    }
+    if (!Number.isInteger(amount) || amount <= 0) {
+      throw new Error('Contribution must be a positive whole number of KES');
+    }
+
+    const fund = await this.SponsorshipFund.findByIdAndUpdate(
+      fundId,
+      { $inc: { balance: amount, totalContributed: amount } },
+      { new: true }
+    );
+    if (!fund) {
+      throw new Error('Sponsorship fund not found');
+    }
+
+    await this.FundLedgerEntry.create({
+      fund: fund._id,
+      type: 'contribution',
+      amount,
+      balanceAfter: fund.balance,
+      note,
+      createdBy: user.id
+    });
+
+    await auditLogger.logAuditEvent({
+      action: 'SPONSORSHIP_FUND_CONTRIBUTION',
+      userId: user.id,
+      details: { fundId: fund._id, amount, balance: fund.balance }
+    });
+
+    return fund;
+  }
+
+  /**
+   * Funds clients can apply to; balances are only shown to admins
+   */
+  async listFunds(user, { includeInactive = false } = {}) {
+    await this.initialize();
+
+    const query = user.role === 'admin' && includeInactive ? {} : { isActive: true };
+    const funds = await this.SponsorshipFund.find(query).sort({ name: 1 });
+
+    if (user.role === 'admin') return funds;
+    return funds.map(fund => ({
+      _id: fund._id,
+      name: fund.name,
+      sponsor: fund.sponsor,
+      description: fund.description,
+      coveragePercent: fund.coveragePercent,
+      maxPerSession: fund.maxPerSession,
+      sessionTypes: fund.sessionTypes,
+      hasBalance: fund.balance > 0
+    }));
+  }
+
+  async getFundLedger(user, fundId, { limit = 100 } = {}) {
+    await this.initialize();
+
+    if (user.role !== 'admin') {
+      throw new Error('Not authorized to view fund ledgers');
+    }
+
+    const fund = await this.SponsorshipFund.findById(fundId);
+    if (!fund) {
+      throw new Error('Sponsorship fund not found');
+    }
+
+    const ledger = await this.FundLedgerEntry.find({ fund: fund._id })
+      .populate('client', 'name')
+      .populate('session', 'sessionDate sessionType status')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    return { fund, ledger };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Eligibility
+  // ---------------------------------------------------------------------------
+
+  async applyForFund(user, fundId, statement) {
+    await this.initialize();
+
+    if (user.role !== 'client') {
+      throw new Error('Not authorized: only clients can apply for sponsorship');
+    }
+
+    const fund = await this.SponsorshipFund.findById(fundId);
+    if (!fund || !fund.isActive) {
+      throw new Error('Sponsorship fund not found');
+    }
+
+    const open = await this.SponsorshipApplication.findOne({
+      fund: fund._id,
+      client: user.id,
+      status: { $in: ['pending', 'approved'] },
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    });
+    if (open) {
+      throw new Error(open.status === 'pending'
+        ? 'You already have a pending application for this fund'
+        : 'You are already approved for this fund');
+    }
+
+    const application = await this.SponsorshipApplication.create({
+      fund: fund._id,
+      client: user.id,
+      statement
+    });
+
+    await auditLogger.logAuditEvent({
+      action: 'SPONSORSHIP_APPLICATION_SUBMITTED',
+      userId: user.id,
+      details: { applicationId: application._id, fundId: fund._id }
+    });
+
+    return application;
+  }
+
+  /**
+   * Approve, reject or revoke a client's eligibility (admins)
+   */
+  async reviewApplication(user, applicationId, { decision, notes, expiresAt }) {
+    await this.initialize();
+
+    if (user.role !== 'admin') {
+      throw new Error('Not authorized: only admins can review sponsorship applications');
+    }
+
+    const application = await this.SponsorshipApplication.findById(applicationId);
+    if (!application) {
+      throw new Error('Application not found');
+    }
+
+    const allowed = {
+      approved: ['pending'],
+      rejected: ['pending'],
+      revoked: ['approved']
+    };
+    if (!allowed[decision]) {
+      throw new Error('Decision must be approved, rejected or revoked');
+    }
+    if (!allowed[decision].includes(application.status)) {
+      throw new Error(`Cannot change a ${application.status} application to ${decision}`);
+    }
+
+    application.status = decision;
+    application.reviewedBy = user.id;
+    application.reviewedAt = new Date();
+    if (notes) application.reviewNotes = notes;
+    if (decision === 'approved') {
+      application.expiresAt = expiresAt
+        ? new Date(expiresAt)
+        : new Date(Date.now() + PRICING_CONFIG.APPLICATION_VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+    }
+    await application.save();
+
+    await auditLogger.logAuditEvent({
+      action: `SPONSORSHIP_APPLICATION_${decision.toUpperCase()}`,
+      userId: user.id,
+      targetUserId: application.client,
+      details: { applicationId: application._id, fundId: application.fund }
+    });
+
+    return application;
+  }
+
+  async listApplications(user, { status, fundId } = {}) {
+    await this.initialize();
+
+    if (user.role !== 'admin') {
+      throw new Error('Not authorized to view sponsorship applications');
+    }
+
+    const query = {};
+    if (status) query.status = status;
+    if (fundId) query.fund = fundId;
+    return this.SponsorshipApplication.find(query)
+      .populate('client', 'name email')
+      .populate('fund', 'name sponsor')
+      .sort({ createdAt: 1 });
+  }
+
+  /**
+   * A client's applications; review notes stay internal
+   */
+  async getClientApplications(clientId) {
+    await this.initialize();
+
+    return this.SponsorshipApplication.find({ client: clientId })
+      .select('-reviewNotes -reviewedBy')
+      .populate('fund', 'name sponsor coveragePercent maxPerSession sessionTypes')
+      .sort({ createdAt: -1 });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Booking
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Work out a booking's pricing from the client's tier, promo code and fund choices
+   * @returns {Promise<Object>} - Session.pricing
+   */
+  async priceBooking({ clientId, therapistId, sessionType, standardRate, tierId, promoCode, fundId }) {
+    await this.initialize();
+
+    let tier = null;
+    if (tierId) {
+      tier = await this.PricingTier.findById(tierId);
+      if (!tier || !tier.isActive || tier.therapist.toString() !== therapistId.toString() || tier.sessionType !== sessionType) {
+        throw new Error('Pricing tier is not available for this session');
+      }
+    }
+
+    const promo = promoCode
+      ? await promoCodeService.resolveForBooking({ clientId, code: promoCode, therapistId, sessionType })
+      : null;
+
+    let fund = null;
+    let application = null;
+    if (fundId) {
+      fund = await this.SponsorshipFund.findById(fundId);
+      application = await this.SponsorshipApplication.findOne({ fund: fundId, client: clientId, status: 'approved' })
+        .sort({ reviewedAt: -1 });
+      const blocker = getSubsidyBlocker(application, fund, sessionType);
+      if (blocker) {
+        throw new Error(blocker);
+      }
+    }
+
+    return buildSessionPricing(standardRate, { tier, promo, fund, application });
+  }
+
+  /**
+   * What a booking would cost at the therapist's current rate, for the booking page
+   */
+  async previewBooking({ clientId, therapistId, sessionType, tierId, promoCode, fundId }) {
+    const standardRate = await this.getStandardRate(therapistId, sessionType);
+    if (!standardRate) {
+      throw new Error('Failed to determine session rate');
+    }
+
+    const pricing = await this.priceBooking({ clientId, therapistId, sessionType, standardRate, tierId, promoCode, fundId });
+    // Nothing is reserved yet; show the subsidy the booking would get
+    if (pricing.subsidy) pricing.subsidy.status = 'reserved';
+    return summarizePricing({ pricing });
+  }
+
+  /**
+   * Take a booking's subsidy out of the fund balance; the caller saves the session
+   */
+  async reserveSubsidy(session, userId = null) {
+    await this.initialize();
+
+    const subsidy = session.pricing && session.pricing.subsidy;
+    if (!subsidy || !subsidy.amount || subsidy.status) return null;
+
+    const fund = await this.SponsorshipFund.findOneAndUpdate(
+      { _id: subsidy.fund, isActive: true, balance: { $gte: subsidy.amount } },
+      { $inc: { balance: -subsidy.amount, totalDisbursed: subsidy.amount } },
+      { new: true }
+    );
+    if (!fund) {
+      throw new Error('Sponsorship fund no longer has enough balance for this session');
+    }
+
+    if (subsidy.application) {
+      await this.SponsorshipApplication.updateOne({ _id: subsidy.application }, { $inc: { sessionsUsed: 1 } });
+    }
+
+    await this.FundLedgerEntry.create({
+      fund: fund._id,
+      session: session._id,
+      client: session.client,
+      type: 'reserve',
+      amount: -subsidy.amount,
+      balanceAfter: fund.balance,
+      note: 'Session booked',
+      createdBy: userId
+    });
+
+    subsidy.status = 'reserved';
+    subsidy.reservedAt = new Date();
+    return fund;
+  }
+
+  /**
+   * Return a subsidy to its fund (declined or cancelled sessions); the caller saves the session
+   */
+  async releaseSubsidy(session, { note, userId = null } = {}) {
+    await this.initialize();
+
+    const subsidy = session.pricing && session.pricing.subsidy;
+    if (!subsidy || subsidy.status !== 'reserved') return null;
+
+    const fund = await this.SponsorshipFund.findByIdAndUpdate(
+      subsidy.fund,
+      { $inc: { balance: subsidy.amount, totalDisbursed: -subsidy.amount } },
+      { new: true }
+    );
+    if (!fund) return null;
+
+    if (subsidy.application) {
+      await this.SponsorshipApplication.updateOne(
+        { _id: subsidy.application, sessionsUsed: { $gt: 0 } },
+        { $inc: { sessionsUsed: -1 } }
+      );
+    }
+
+    await this.FundLedgerEntry.create({
+      fund: fund._id,
+      session: session._id,
+      client: session.client,
+      type: 'release',
+      amount: subsidy.amount,
+      balanceAfter: fund.balance,
+      note,
+      createdBy: userId
+    });
+
+    subsidy.status = 'released';
+    subsidy.releasedAt = new Date();
+    return fund;
+  }
+}
+
+const pricingService = new PricingService();
+
+module.exports = {
+  pricingService,
+  PricingService,
+  PRICING_CONFIG,
+  validateTierData,
+  validateFundData,
+  calculateSubsidy,
+  getSubsidyBlocker,
+  buildSessionPricing,
+  summarizePricing
+};
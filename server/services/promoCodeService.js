@@ -0,0 +1,358 @@
+/**
+ * Promo Code Service
+ *
+ * Booking-time discounts for marketing campaigns and partners:
+ * - Admins issue percentage or fixed codes with validity windows, usage
+ *   caps and therapist / session-type restrictions
+ * - Clients enter a code when booking; the discount comes off the (tier)
+ *   price before any sponsorship subsidy, see pricingService.buildSessionPricing
+ * - Declined or cancelled sessions release the redemption
+ * The applied discount is kept on `Session.pricing.discount`.
+ */
+
+const auditLogger = require('../utils/auditLogger');
+
+const PROMO_CONFIG = {
+  SESSION_TYPES: ['Individual', 'Couples', 'Family', 'Group'],
+  CODE_PATTERN: /^[A-Z0-9_-]{3,30}$/,
+  // Sessions that mean a client is no longer booking for the first time
+  PRIOR_SESSION_EXCLUDED_STATUSES: ['Cancelled', 'Declined']
+};
+
+function normalizeCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+/**
+ * Validate promo code terms
+ * @returns {Array<string>} - Validation errors
+ */
+function validatePromoData({ code, discountType, discountValue, maxDiscount, validFrom, validUntil, maxUses, maxUsesPerClient, sessionTypes }) {
+  const errors = [];
+
+  if (!PROMO_CONFIG.CODE_PATTERN.test(normalizeCode(code))) {
+    errors.push('Code must be 3-30 letters, numbers, dashes or underscores');
+  }
+  if (!['percentage', 'fixed'].includes(discountType)) {
+    errors.push('Discount type must be percentage or fixed');
+  } else if (!Number.isInteger(discountValue) || discountValue < 1) {
+    errors.push('Discount must be a positive whole number');
+  } else if (discountType === 'percentage' && discountValue > 100) {
+    errors.push('Percentage discount cannot exceed 100');
+  }
+  if (maxDiscount !== undefined && maxDiscount !== null && (!Number.isInteger(maxDiscount) || maxDiscount < 1)) {
+    errors.push('Discount cap must be a positive whole number of KES');
+  }
+  if (validFrom && validUntil && new Date(validUntil) <= new Date(validFrom)) {
+    errors.push('Code must expire after it starts');
+  }
+  if (maxUses !== undefined && maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1)) {
+    errors.push('Usage cap must be a positive whole number');
+  }
+  if (maxUsesPerClient !== undefined && maxUsesPerClient !== null && (!Number.isInteger(maxUsesPerClient) || maxUsesPerClient < 1)) {
+    errors.push('Per-client cap must be a positive whole number');
+  }
+  if (sessionTypes !== undefined &&
+      (!Array.isArray(sessionTypes) || sessionTypes.length === 0 || sessionTypes.some(t => !PROMO_CONFIG.SESSION_TYPES.includes(t)))) {
+    errors.push(`Session types must be one or more of: ${PROMO_CONFIG.SESSION_TYPES.join(', ')}`);
+  }
+
+  return errors;
+}
+
+/**
+ * KES a code takes off a price; never more than the price itself
+ */
+function calculateDiscount(amount, promo) {
+  let discount = promo.discountType === 'percentage'
+    ? Math.round(amount * promo.discountValue / 100)
+    : promo.discountValue;
+  if (promo.discountType === 'percentage' && promo.maxDiscount) {
+    discount = Math.min(discount, promo.maxDiscount);
+  }
+  return Math.max(0, Math.min(discount, amount));
+}
+
+/**
+ * Why a code can't be used for a booking, or null if it can
+ * @param {Object} promo - PromoCode
+ * @param {Object} context - { therapistId, sessionType, clientUses, hasPriorSessions, now }
+ */
+function getPromoBlocker(promo, { therapistId, sessionType, clientUses = 0, hasPriorSessions = false, now = new Date() }) {
+  if (!promo || !promo.isActive) {
+    return 'Promo code is not valid';
+  }
+  if (promo.validFrom && new Date(promo.validFrom) > now) {
+    return 'Promo code is not active yet';
+  }
+  if (promo.validUntil && new Date(promo.validUntil) <= now) {
+    return 'Promo code has expired';
+  }
+  if (promo.maxUses && promo.usesCount >= promo.maxUses) {
+    return 'Promo code has been fully redeemed';
+  }
+  if (promo.maxUsesPerClient && clientUses >= promo.maxUsesPerClient) {
+    return 'You have already used this promo code';
+  }
+  if (promo.firstSessionOnly && hasPriorSessions) {
+    return 'Promo code is only valid for your first session';
+  }
+  if (promo.therapists && promo.therapists.length > 0 &&
+      !promo.therapists.some(id => id.toString() === therapistId.toString())) {
+    return 'Promo code is not valid for this therapist';
+  }
+  if (!promo.sessionTypes.includes(sessionType)) {
+    return `Promo code is not valid for ${sessionType} sessions`;
+  }
+  return null;
+}
+
+class PromoCodeService {
+  constructor() {
+    this.PromoCode = null;
+    this.PromoRedemption = null;
+    this.Session = null;
+  }
+
+  async initialize() {
+    if (!this.PromoCode) this.PromoCode = require('../models/PromoCode');
+    if (!this.PromoRedemption) this.PromoRedemption = require('../models/PromoRedemption');
+    if (!this.Session) this.Session = require('../models/Session');
+  }
+
+  // ---------------------------------------------------------------------------
+  // Administration
+  // ---------------------------------------------------------------------------
+
+  async createCode(user, data) {
+    await this.initialize();
+
+    if (user.role !== 'admin') {
+      throw new Error('Not authorized: only admins can create promo codes');
+    }
+
+    const terms = {
+      code: normalizeCode(data.code),
+      discountType: data.discountType,
+      discountValue: Number(data.discountValue),
+      maxDiscount: data.maxDiscount ? Number(data.maxDiscount) : undefined,
+      validFrom: data.validFrom ? new Date(data.validFrom) : undefined,
+      validUntil: data.validUntil ? new Date(data.validUntil) : undefined,
+      maxUses: data.maxUses ? Number(data.maxUses) : undefined,
+      maxUsesPerClient: data.maxUsesPerClient ? Number(data.maxUsesPerClient) : undefined,
+      sessionTypes: data.sessionTypes
+    };
+    const errors = validatePromoData(terms);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    if (await this.PromoCode.exists({ code: terms.code })) {
+      throw new Error(`Promo code ${terms.code} already exists`);
+    }
+
+    const promo = await this.PromoCode.create({
+      ...terms,
+      description: data.description,
+      partner: data.partner,
+      firstSessionOnly: !!data.firstSessionOnly,
+      therapists: data.therapists || [],
+      createdBy: user.id
+    });
+
+    await auditLogger.logAuditEvent({
+      action: 'PROMO_CODE_CREATED',
+      userId: user.id,
+      details: { promoCodeId: promo._id, code: promo.code, discountType: promo.discountType, discountValue: promo.discountValue }
+    });
+
+    return promo;
+  }
+
+  /**
+   * Update a code's terms; the code itself and past redemptions don't change
+   */
+  async updateCode(user, promoId, changes) {
+    await this.initialize();
+
+    if (user.role !== 'admin') {
+      throw new Error('Not authorized: only admins can edit promo codes');
+    }
+
+    const promo = await this.PromoCode.findById(promoId);
+    if (!promo) {
+      throw new Error('Promo code not found');
+    }
+
+    for (const field of ['description', 'partner', 'discountType', 'firstSessionOnly', 'therapists', 'sessionTypes', 'isActive']) {
+      if (changes[field] !== undefined) promo[field] = changes[field];
+    }
+    for (const field of ['discountValue', 'maxDiscount', 'maxUses', 'maxUsesPerClient']) {
+      if (changes[field] !== undefined) promo[field] = changes[field] === null ? undefined : Number(changes[field]);
+    }
+    for (const field of ['validFrom', 'validUntil']) {
+      if (changes[field] !== undefined) promo[field] = changes[field] === null ? undefined : new Date(changes[field]);
+    }
+
+    const errors = validatePromoData(promo);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    await promo.save();
+
+    await auditLogger.logAuditEvent({
+      action: 'PROMO_CODE_UPDATED',
+      userId: user.id,
+      details: { promoCodeId: promo._id, code: promo.code, changes: Object.keys(changes) }
+    });
+
+    return promo;
+  }
+
+  async listCodes(user, { includeInactive = false } = {}) {
+    await this.initialize();
+
+    if (user.role !== 'admin') {
+      throw new Error('Not authorized to view promo codes');
+    }
+
+    const query = includeInactive ? {} : { isActive: true };
+    return this.PromoCode.find(query)
+      .populate('therapists', 'name')
+      .sort({ createdAt: -1 });
+  }
+
+  async getRedemptions(user, promoId, { limit = 100 } = {}) {
+    await this.initialize();
+
+    if (user.role !== 'admin') {
+      throw new Error('Not authorized to view promo code redemptions');
+    }
+
+    const promo = await this.PromoCode.findById(promoId);
+    if (!promo) {
+      throw new Error('Promo code not found');
+    }
+
+    const redemptions = await this.PromoRedemption.find({ promoCode: promo._id })
+      .populate('client', 'name email')
+      .populate('session', 'sessionDate sessionType status price')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    const totals = redemptions.reduce((sum, r) => {
+      if (r.status === 'active') {
+        sum.activeCount++;
+        sum.discountAmount += r.discountAmount;
+      }
+      return sum;
+    }, { activeCount: 0, discountAmount: 0 });
+
+    return { promo, redemptions, totals };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Booking
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Look up a code and check it can be used for this booking
+   * @returns {Promise<Object>} - PromoCode
+   */
+  async resolveForBooking({ clientId, code, therapistId, sessionType, now = new Date() }) {
+    await this.initialize();
+
+    const promo = await this.PromoCode.findOne({ code: normalizeCode(code) });
+
+    let clientUses = 0;
+    let hasPriorSessions = false;
+    if (promo) {
+      clientUses = await this.PromoRedemption.countDocuments({ promoCode: promo._id, client: clientId, status: 'active' });
+      if (promo.firstSessionOnly) {
+        hasPriorSessions = !!(await this.Session.exists({
+          client: clientId,
+          status: { $nin: PROMO_CONFIG.PRIOR_SESSION_EXCLUDED_STATUSES }
+        }));
+      }
+    }
+
+    const blocker = getPromoBlocker(promo, { therapistId, sessionType, clientUses, hasPriorSessions, now });
+    if (blocker) {
+      throw new Error(blocker);
+    }
+    return promo;
+  }
+
+  /**
+   * Record a booking's promo discount against the code's caps; the caller saves the session
+   */
+  async redeemForSession(session) {
+    await this.initialize();
+
+    const discount = session.pricing && session.pricing.discount;
+    if (!discount || !discount.promoCode || discount.status) return null;
+
+    // Claim a use atomically so concurrent bookings can't exceed the cap
+    const promo = await this.PromoCode.findOneAndUpdate(
+      {
+        _id: discount.promoCode,
+        isActive: true,
+        $or: [{ maxUses: null }, { $expr: { $lt: ['$usesCount', '$maxUses'] } }]
+      },
+      { $inc: { usesCount: 1 } },
+      { new: true }
+    );
+    if (!promo) {
+      throw new Error('Promo code is no longer available');
+    }
+
+    await this.PromoRedemption.create({
+      promoCode: promo._id,
+      code: promo.code,
+      client: session.client,
+      session: session._id,
+      discountAmount: discount.amount
+    });
+
+    discount.status = 'redeemed';
+    return promo;
+  }
+
+  /**
+   * Give a use back to the code (declined or cancelled sessions); the caller saves the session
+   */
+  async releaseForSession(session, { note } = {}) {
+    await this.initialize();
+
+    const discount = session.pricing && session.pricing.discount;
+    if (!discount || discount.status !== 'redeemed') return null;
+
+    const redemption = await this.PromoRedemption.findOneAndUpdate(
+      { session: session._id, promoCode: discount.promoCode, status: 'active' },
+      { status: 'released', releasedAt: new Date(), releaseNote: note },
+      { new: true }
+    );
+    if (redemption) {
+      await this.PromoCode.updateOne(
+        { _id: discount.promoCode, usesCount: { $gt: 0 } },
+        { $inc: { usesCount: -1 } }
+      );
+    }
+
+    discount.status = 'released';
+    return redemption;
+  }
+}
+
+const promoCodeService = new PromoCodeService();
+
+module.exports = {
+  promoCodeService,
+  PromoCodeService,
+  PROMO_CONFIG,
+  normalizeCode,
+  validatePromoData,
+  calculateDiscount,
+  getPromoBlocker
+};
@@ -0,0 +1,689 @@
+/**
+ * Session Recording Service
+ *
+ * Consent-gated recording of video sessions:
+ * - The therapist asks to record during the call; recording starts only
+ *   once everyone in the session has consented, and anyone declining or
+ *   withdrawing discards what has been recorded
+ * - The therapist's browser uploads media chunks while recording, each
+ *   encrypted as it is written to disk
+ * - When recording stops (or the call ends) the chunks are assembled into
+ *   one encrypted file and the session's recording link points at it
+ * - Recordings are played through short-lived signed links and every
+ *   access is audit logged
+ * - secureDeletion.purgeExpiredRecordings (run nightly) securely deletes
+ *   recordings once their retention period has passed, and first fails
+ *   any recording left unfinished after its session ended
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { once } = require('events');
+const { pipeline } = require('stream');
+const { finished } = require('stream/promises');
+const encryption = require('../utils/encryption');
+const { getSessionAttendees, isSessionHost } = require('../utils/sessionParticipants');
+const { logRecordingEvent, ACTION_TYPES } = require('../utils/auditLogger');
+const { SECURE_DELETION_CONFIG } = require('../utils/secureDeletion');
+
+const RECORDING_CONFIG = {
+  STORAGE_DIR: process.env.RECORDING_STORAGE_DIR || path.join(__dirname, '../uploads/recordings'),
+  MAX_CHUNK_BYTES: 16 * 1024 * 1024,
+  // About five and a half hours of 10-second chunks
+  MAX_CHUNKS: 2000,
+  MIME_TYPES: ['video/webm', 'audio/webm', 'video/mp4'],
+  ACCESS_LINK_MINUTES: 60,
+  ACTIVE_STATUSES: ['consent_pending', 'recording', 'processing'],
+  // Recordings still active this long after their session's scheduled end
+  // were never finished and are closed by the nightly purge
+  ABANDONED_AFTER_HOURS: 6,
+  UNRECORDABLE_SESSION_STATUSES: ['Cancelled', 'Declined', 'Completed']
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a session can be recorded
+ * @param {Object} session - Session document
+ * @returns {Array<string>} - Reasons it cannot be recorded
+ */
+function validateRecordingRequest(session) {
+  const errors = [];
+
+  if (session.sessionType === 'Group') {
+    errors.push('Group sessions cannot be recorded');
+  }
+  if (RECORDING_CONFIG.UNRECORDABLE_SESSION_STATUSES.includes(session.status)) {
+    errors.push(`Cannot record a ${session.status.toLowerCase()} session`);
+  }
+
+  return errors;
+}
+
+/**
+ * Everyone who must consent: the therapist and everyone the booking covers
+ * @param {Object} session - Session document
+ * @returns {Array<string>} - User IDs
+ */
+function getRequiredConsenters(session) {
+  const ids = [session.psychologist, ...getSessionAttendees(session)]
+    .filter(Boolean)
+    .map(ref => String(ref._id || ref));
+  return [...new Set(ids)];
+}
+
+/**
+ * Who has and has not consented yet
+ * @param {Object} recording - SessionRecording document
+ * @returns {Object} - { consented, pending, complete }
+ */
+function getConsentState(recording) {
+  const consented = recording.consents.map(consent => String(consent.user));
+  const pending = recording.requiredConsents
+    .map(String)
+    .filter(id => !consented.includes(id));
+
+  return { consented, pending, complete: pending.length === 0 };
+}
+
+// Media type without codec parameters, e.g. 'video/webm;codecs=vp8' -> 'video/webm'
+const baseMimeType = (mimeType) => String(mimeType || '').split(';')[0].trim().toLowerCase();
+
+/**
+ * Check an uploaded chunk against the recording
+ * @param {Object} chunk - { sequence, size, mimeType }
+ * @param {Object} recording - SessionRecording document
+ * @returns {Array<string>} - Validation errors
+ */
+function validateChunk({ sequence, size, mimeType }, recording) {
+  const errors = [];
+
+  if (recording.status !== 'recording') {
+    errors.push('Recording is not in progress');
+  }
+  if (!Number.isInteger(sequence) || sequence < 0) {
+    errors.push('Chunk sequence must be a non-negative integer');
+  } else if (recording.chunks.some(chunk => chunk.sequence === sequence)) {
+    errors.push(`Chunk ${sequence} has already been uploaded`);
+  }
+  if (recording.chunks.length >= RECORDING_CONFIG.MAX_CHUNKS) {
+    errors.push('Recording has reached its maximum length');
+  }
+  if (!size) {
+    errors.push('Chunk is empty');
+  } else if (size > RECORDING_CONFIG.MAX_CHUNK_BYTES) {
+    errors.push(`Chunk exceeds ${RECORDING_CONFIG.MAX_CHUNK_BYTES / (1024 * 1024)} MB`);
+  }
+  if (!RECORDING_CONFIG.MIME_TYPES.includes(baseMimeType(mimeType))) {
+    errors.push(`Unsupported media type: ${mimeType}`);
+  } else if (recording.chunks.length > 0 && baseMimeType(mimeType) !== baseMimeType(recording.mimeType)) {
+    errors.push('Chunk media type does not match the recording');
+  }
+
+  return errors;
+}
+
+function getChunkKey(recordingId, sequence) {
+  return `${recordingId}/chunk-${String(sequence).padStart(6, '0')}.enc`;
+}
+
+/**
+ * Every file a recording has on disk, relative to the storage directory
+ * @param {Object} recording - SessionRecording document
+ * @returns {Array<string>}
+ */
+function getRecordingFiles(recording) {
+  const chunkKeys = recording.chunks.map(chunk => getChunkKey(recording._id, chunk.sequence));
+  return recording.storageKey ? [...chunkKeys, recording.storageKey] : chunkKeys;
+}
+
+function getRetainUntil(from, retentionDays = SECURE_DELETION_CONFIG.RECORDING_RETENTION_DAYS) {
+  return new Date(new Date(from).getTime() + retentionDays * DAY_MS);
+}
+
+/**
+ * Whether an active recording outlived its session: the call never ended
+ * through the app, or the server restarted before it was assembled
+ * @param {Object|null} session - Session document (null if it was deleted)
+ * @returns {boolean}
+ */
+function isRecordingAbandoned(session, now = new Date()) {
+  if (!session) return true;
+  const endsAt = new Date(session.sessionDate).getTime() + (session.duration || 60) * 60 * 1000;
+  return endsAt + RECORDING_CONFIG.ABANDONED_AFTER_HOURS * 60 * 60 * 1000 <= now.getTime();
+}
+
+const signToken = (payload, secret) =>
+  crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+/**
+ * Signed, expiring token for playing a recording; binds the recording and
+ * the user the link was issued to
+ * @returns {string}
+ */
+function createAccessToken({ recordingId, userId, expiresAt }, secret) {
+  const payload = Buffer.from(`${recordingId}:${userId}:${Math.floor(new Date(expiresAt).getTime() / 1000)}`)
+    .toString('base64url');
+  return `${payload}.${signToken(payload, secret)}`;
+}
+
+/**
+ * Check an access token
+ * @returns {Object|null} - { userId, expiresAt } if valid for the recording
+ */
+function verifyAccessToken(token, recordingId, secret, now = new Date()) {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) return null;
+
+  const expected = signToken(payload, secret);
+  if (signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  const [tokenRecordingId, userId, expiresAtSeconds] = Buffer.from(payload, 'base64url').toString().split(':');
+  const expiresAt = new Date(Number(expiresAtSeconds) * 1000);
+  if (tokenRecordingId !== String(recordingId) || !(expiresAt > now)) return null;
+
+  return { userId, expiresAt };
+}
+
+/**
+ * Recording as shown to participants and in the call
+ */
+function summarizeRecording(recording) {
+  const { pending } = getConsentState(recording);
+  return {
+    id: recording._id,
+    sessionId: recording.session,
+    status: recording.status,
+    requestedBy: recording.requestedBy,
+    requiredConsents: recording.requiredConsents,
+    consents: recording.consents.map(({ user, role, consentedAt }) => ({ user, role, consentedAt })),
+    pendingConsents: pending,
+    startedAt: recording.startedAt,
+    stoppedAt: recording.stoppedAt,
+    chunkCount: recording.chunks.length,
+    sizeBytes: recording.sizeBytes,
+    retainUntil: recording.retainUntil
+  };
+}
+
+class RecordingService {
+  constructor() {
+    this.Session = null;
+    this.SessionRecording = null;
+  }
+
+  async initialize() {
+    if (!this.Session) this.Session = require('../models/Session');
+    if (!this.SessionRecording) this.SessionRecording = require('../models/SessionRecording');
+  }
+
+  getFilePath(key) {
+    return path.join(RECORDING_CONFIG.STORAGE_DIR, key);
+  }
+
+  async getSession(sessionId) {
+    await this.initialize();
+    const session = await this.Session.findById(sessionId);
+    if (!session) throw new Error('Session not found');
+    return session;
+  }
+
+  async getActiveRecording(sessionId) {
+    await this.initialize();
+    return this.SessionRecording.findOne({
+      session: sessionId,
+      status: { $in: RECORDING_CONFIG.ACTIVE_STATUSES }
+    }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Therapist asks to record; their request counts as their consent
+   */
+  async requestRecording(sessionId, user, ipAddress) {
+    const session = await this.getSession(sessionId);
+    if (!isSessionHost(session, user.id, user.role)) {
+      throw new Error('Not authorized: only the therapist can record a session');
+    }
+
+    const errors = validateRecordingRequest(session);
+    if (errors.length > 0) throw new Error(errors.join('; '));
+
+    const existing = await this.getActiveRecording(sessionId);
+    if (existing) return existing;
+
+    const recording = await this.SessionRecording.create({
+      session: session._id,
+      requestedBy: user.id,
+      requiredConsents: getRequiredConsenters(session)
+    });
+
+    return this.giveConsent(sessionId, user, ipAddress, recording);
+  }
+
+  /**
+   * Record a participant's consent; recording starts once everyone has consented
+   */
+  async giveConsent(sessionId, user, ipAddress, recording = null) {
+    recording = recording || await this.getActiveRecording(sessionId);
+    if (!recording || recording.status !== 'consent_pending') {
+      throw new Error('No recording is waiting for consent');
+    }
+    if (!recording.requiredConsents.map(String).includes(String(user.id))) {
+      throw new Error('Not authorized: you are not a participant in this session');
+    }
+
+    // Atomic so participants consenting at the same time all count
+    const consented = await this.SessionRecording.findOneAndUpdate(
+      { _id: recording._id, status: 'consent_pending', 'consents.user': { $ne: user.id } },
+      { $push: { consents: { user: user.id, role: user.role, ipAddress } } },
+      { new: true }
+    );
+    if (!consented) {
+      const current = await this.SessionRecording.findById(recording._id);
+      if (current && getConsentState(current).consented.includes(String(user.id))) {
+        return current;
+      }
+      throw new Error('No recording is waiting for consent');
+    }
+
+    await logRecordingEvent({
+      actionType: ACTION_TYPES.RECORDING_CONSENT,
+      recordingId: consented._id,
+      sessionId,
+      userId: user.id,
+      userRole: user.role,
+      ipAddress
+    });
+
+    if (!getConsentState(consented).complete) {
+      return consented;
+    }
+
+    // Only the consent that completed the set starts the recording
+    const started = await this.SessionRecording.findOneAndUpdate(
+      { _id: consented._id, status: 'consent_pending' },
+      { $set: { status: 'recording', startedAt: new Date() } },
+      { new: true }
+    );
+    if (!started) {
+      return this.SessionRecording.findById(consented._id);
+    }
+
+    const session = await this.getSession(sessionId);
+    session.recordingEnabled = true;
+    session.recordingConsent = true;
+    session.recordingConsentDate = started.startedAt;
+    session.recordingConsentBy = session.client;
+    await session.save();
+
+    await logRecordingEvent({
+      actionType: ACTION_TYPES.RECORDING_STARTED,
+      recordingId: started._id,
+      sessionId,
+      userId: started.requestedBy,
+      metadata: { consentedBy: started.consents.map(consent => String(consent.user)) }
+    });
+
+    return started;
+  }
+
+  /**
+   * Decline before recording starts or withdraw during it; either way
+   * nothing recorded is kept
+   */
+  async withdrawConsent(sessionId, user, ipAddress) {
+    const recording = await this.getActiveRecording(sessionId);
+    if (!recording || recording.status === 'processing') {
+      throw new Error('No recording to withdraw from');
+    }
+    if (!recording.requiredConsents.map(String).includes(String(user.id)) && user.role !== 'admin') {
+      throw new Error('Not authorized: you are not a participant in this session');
+    }
+
+    const { secureDeletionService } = require('../utils/secureDeletion');
+    await secureDeletionService.deleteRecordingFiles(recording);
+
+    recording.status = 'declined';
+    recording.declinedBy = user.id;
+    recording.declinedAt = new Date();
+    recording.chunks = [];
+    await recording.save();
+
+    const session = await this.getSession(sessionId);
+    session.recordingEnabled = false;
+    session.recordingConsent = false;
+    await session.save();
+
+    await logRecordingEvent({
+      actionType: ACTION_TYPES.RECORDING_DECLINED,
+      recordingId: recording._id,
+      sessionId,
+      userId: user.id,
+      userRole: user.role,
+      ipAddress,
+      metadata: { wasRecording: !!recording.startedAt }
+    });
+
+    return recording;
+  }
+
+  /**
+   * Store one uploaded chunk, encrypted
+   * @param {string} sessionId
+   * @param {Object} user - Uploading user (must have requested the recording)
+   * @param {Object} chunk - { sequence, buffer, mimeType }
+   */
+  async saveChunk(sessionId, user, { sequence, buffer, mimeType }) {
+    const recording = await this.getActiveRecording(sessionId);
+    if (!recording) throw new Error('Recording is not in progress');
+    if (String(recording.requestedBy) !== String(user.id)) {
+      throw new Error('Not authorized: only the recording therapist can upload media');
+    }
+
+    const errors = validateChunk({ sequence, size: buffer?.length, mimeType }, recording);
+    if (errors.length > 0) throw new Error(errors.join('; '));
+
+    const key = getChunkKey(recording._id, sequence);
+    await fs.promises.mkdir(path.dirname(this.getFilePath(key)), { recursive: true });
+    await fs.promises.writeFile(this.getFilePath(key), encryption.encryptBuffer(buffer), { mode: 0o600 });
+
+    // Atomic so chunks uploaded in parallel don't overwrite each other
+    const updated = await this.SessionRecording.findOneAndUpdate(
+      { _id: recording._id, status: 'recording', 'chunks.sequence': { $ne: sequence } },
+      {
+        $push: { chunks: { sequence, size: buffer.length } },
+        ...(recording.chunks.length === 0 ? { $set: { mimeType: baseMimeType(mimeType) } } : {})
+      },
+      { new: true }
+    );
+    if (!updated) {
+      await fs.promises.rm(this.getFilePath(key), { force: true });
+      throw new Error('Recording is not in progress');
+    }
+
+    return updated;
+  }
+
+  /**
+   * Stop recording and assemble the uploaded chunks
+   * @param {string} sessionId
+   * @param {Object|null} user - Null when the call ended
+   */
+  async stopRecording(sessionId, user, ipAddress) {
+    const recording = await this.getActiveRecording(sessionId);
+    if (!recording || recording.status !== 'recording') {
+      throw new Error('Recording is not in progress');
+    }
+    if (user && String(recording.requestedBy) !== String(user.id) && user.role !== 'admin') {
+      throw new Error('Not authorized: only the recording therapist can stop the recording');
+    }
+
+    recording.status = 'processing';
+    recording.stoppedAt = new Date();
+    await recording.save();
+
+    await logRecordingEvent({
+      actionType: ACTION_TYPES.RECORDING_STOPPED,
+      recordingId: recording._id,
+      sessionId,
+      userId: user?.id || null,
+      userRole: user?.role || null,
+      ipAddress,
+      metadata: { chunkCount: recording.chunks.length, reason: user ? 'stopped' : 'call_ended' }
+    });
+
+    return this.assembleRecording(recording);
+  }
+
+  /**
+   * Decrypt the chunks in order and write them out as one encrypted file
+   */
+  async assembleRecording(recording) {
+    if (recording.chunks.length === 0) {
+      recording.status = 'failed';
+      recording.failureReason = 'No media was uploaded';
+      recording.retainUntil = new Date();
+      await recording.save();
+      return recording;
+    }
+
+    const chunks = [...recording.chunks].sort((a, b) => a.sequence - b.sequence);
+    const storageKey = `${recording._id}/recording.enc`;
+    const { iv, cipher } = encryption.createEncryptStream();
+    const hash = crypto.createHash('sha256');
+    const output = fs.createWriteStream(this.getFilePath(storageKey), { mode: 0o600 });
+    cipher.pipe(output);
+
+    try {
+      let sizeBytes = 0;
+      for (const chunk of chunks) {
+        const media = encryption.decryptBuffer(
+          await fs.promises.readFile(this.getFilePath(getChunkKey(recording._id, chunk.sequence)))
+        );
+        hash.update(media);
+        sizeBytes += media.length;
+        if (!cipher.write(media)) await once(cipher, 'drain');
+      }
+      cipher.end();
+      await finished(output);
+
+      const { secureDeletionService } = require('../utils/secureDeletion');
+      await secureDeletionService.deleteRecordingFiles({ _id: recording._id, chunks: recording.chunks });
+
+      recording.storageKey = storageKey;
+      recording.sizeBytes = sizeBytes;
+      recording.checksum = hash.digest('hex');
+      recording.encryptionIv = iv;
+      recording.encryptionAuthTag = cipher.getAuthTag().toString('hex');
+      recording.chunks = [];
+      recording.assembledAt = new Date();
+      recording.retainUntil = getRetainUntil(recording.assembledAt);
+      recording.status = 'available';
+      await recording.save();
+
+      const session = await this.getSession(recording.session);
+      session.recordingUrl = `/api/recordings/${recording._id}/stream`;
+      await session.save();
+
+      console.log(`🎞️ Recording ${recording._id} assembled (${chunks.length} chunks, ${sizeBytes} bytes)`);
+    } catch (error) {
+      console.error(`Recording ${recording._id} assembly failed:`, error);
+      output.destroy();
+      recording.status = 'failed';
+      recording.failureReason = error.message;
+      // Keep the chunks for investigation until the retention job removes them
+      recording.retainUntil = getRetainUntil(new Date());
+      await recording.save();
+    }
+
+    return recording;
+  }
+
+  /**
+   * Call ended: finish any recording, and drop requests not everyone consented to
+   */
+  async finishForSession(sessionId) {
+    const recording = await this.getActiveRecording(sessionId);
+    if (!recording) return null;
+
+    if (recording.status === 'recording') {
+      return this.stopRecording(sessionId, null);
+    }
+    if (recording.status === 'consent_pending') {
+      recording.status = 'declined';
+      recording.declinedAt = new Date();
+      await recording.save();
+    }
+    return recording;
+  }
+
+  /**
+   * Close recordings left active after their session ended: requests still
+   * awaiting consent lapse, and unfinished recordings fail and are due for
+   * deletion at once so the purge removes their chunks
+   * @returns {Promise<number>} - Recordings closed
+   */
+  async closeAbandonedRecordings(now = new Date()) {
+    await this.initialize();
+
+    const active = await this.SessionRecording.find({ status: { $in: RECORDING_CONFIG.ACTIVE_STATUSES } })
+      .populate('session', 'sessionDate duration');
+
+    let closed = 0;
+    for (const recording of active) {
+      if (!isRecordingAbandoned(recording.session, now)) continue;
+
+      if (recording.status === 'consent_pending') {
+        recording.status = 'declined';
+        recording.declinedAt = now;
+      } else {
+        recording.status = 'failed';
+        recording.failureReason = `Recording was never finished (left ${recording.status})`;
+        recording.retainUntil = now;
+      }
+      await recording.save();
+      closed++;
+    }
+    return closed;
+  }
+
+  async assertCanView(session, user) {
+    const attendees = getSessionAttendees(session).map(ref => String(ref._id || ref));
+    if (!isSessionHost(session, user.id, user.role) && !attendees.includes(String(user.id))) {
+      throw new Error('Not authorized to access this recording');
+    }
+  }
+
+  /**
+   * Recordings of a session (participants and admins)
+   */
+  async listForSession(sessionId, user) {
+    const session = await this.getSession(sessionId);
+    await this.assertCanView(session, user);
+
+    const recordings = await this.SessionRecording.find({ session: sessionId }).sort({ createdAt: -1 });
+    return recordings.map(summarizeRecording);
+  }
+
+  /**
+   * Short-lived signed link to play the session's latest recording
+   */
+  async issueAccessLink(sessionId, user, ipAddress) {
+    const session = await this.getSession(sessionId);
+    await this.assertCanView(session, user);
+
+    if (!session.recordingConsent) {
+      throw new Error('Recording consent was not provided for this session');
+    }
+
+    const recording = await this.SessionRecording.findOne({ session: sessionId, status: 'available' })
+      .sort({ assembledAt: -1 });
+    if (!recording) throw new Error('No recording available for this session');
+
+    const expiresAt = new Date(Date.now() + RECORDING_CONFIG.ACCESS_LINK_MINUTES * 60 * 1000);
+    const token = createAccessToken({ recordingId: recording._id, userId: user.id, expiresAt }, process.env.JWT_SECRET);
+
+    await logRecordingEvent({
+      actionType: ACTION_TYPES.RECORDING_ACCESS,
+      recordingId: recording._id,
+      sessionId,
+      userId: user.id,
+      userRole: user.role,
+      ipAddress,
+      metadata: { access: 'link_issued', expiresAt: expiresAt.toISOString() }
+    });
+
+    return {
+      recording,
+      accessUrl: `/api/recordings/${recording._id}/stream?token=${token}`,
+      expiresAt
+    };
+  }
+
+  /**
+   * Decrypting stream of a recording for a signed link
+   * @returns {Object} - { stream, mimeType }
+   */
+  async openStream(recordingId, token, ipAddress) {
+    const access = verifyAccessToken(token, recordingId, process.env.JWT_SECRET);
+    if (!access) throw new Error('Not authorized: invalid or expired recording link');
+
+    await this.initialize();
+    const recording = await this.SessionRecording.findById(recordingId);
+    if (!recording || recording.status !== 'available') {
+      throw new Error('Recording not found');
+    }
+
+    // Open the file first so a missing one fails before the route responds
+    const source = fs.createReadStream(this.getFilePath(recording.storageKey));
+    try {
+      await once(source, 'open');
+    } catch (error) {
+      source.destroy();
+      if (error.code === 'ENOENT') throw new Error('Recording file not found');
+      throw error;
+    }
+
+    await logRecordingEvent({
+      actionType: ACTION_TYPES.RECORDING_ACCESS,
+      recordingId: recording._id,
+      sessionId: recording.session,
+      userId: access.userId,
+      ipAddress,
+      metadata: { access: 'stream' }
+    });
+
+    // A read or decryption error destroys the returned stream with it, so
+    // it reaches the caller's pipeline rather than going unhandled
+    const stream = pipeline(
+      source,
+      encryption.createDecryptStream(recording.encryptionIv, recording.encryptionAuthTag),
+      (error) => {
+        if (error) console.error(`Recording ${recording._id} stream error:`, error.message);
+      }
+    );
+
+    return { stream, mimeType: recording.mimeType };
+  }
+
+  /**
+   * Delete a recording before its retention period ends (admins)
+   */
+  async deleteRecording(recordingId, user, reason, ipAddress) {
+    if (user.role !== 'admin') {
+      throw new Error('Not authorized: only admins can delete recordings');
+    }
+
+    await this.initialize();
+    const recording = await this.SessionRecording.findById(recordingId);
+    if (!recording || recording.status === 'deleted') {
+      throw new Error('Recording not found');
+    }
+
+    const { secureDeletionService } = require('../utils/secureDeletion');
+    return secureDeletionService.secureDeleteRecording(recording, { userId: user.id, userRole: user.role, reason, ipAddress });
+  }
+}
+
+const recordingService = new RecordingService();
+
+module.exports = {
+  recordingService,
+  RecordingService,
+  RECORDING_CONFIG,
+  validateRecordingRequest,
+  getRequiredConsenters,
+  getConsentState,
+  validateChunk,
+  getChunkKey,
+  getRecordingFiles,
+  getRetainUntil,
+  isRecordingAbandoned,
+  createAccessToken,
+  verifyAccessToken,
+  summarizeRecording
+};
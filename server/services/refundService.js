@@ -2,8 +2,10 @@
  * Refund Service
  * 
  * Handles refund processing for cancelled sessions:
- * - M-Pesa B2C refund initiation
- * - Refund status tracking
+ * - M-Pesa B2C refund initiation, one Refund record per session (or per
+ *   paid seat of a group session)
+ * - B2C result/timeout callbacks and resubmission after queue timeouts
+ * - Refund status tracking and the client-facing lifecycle
  * - Refund confirmation notifications
  * - Audit logging for all refund transactions
  * 
@@ -11,6 +13,8 @@
  */
 
 const { logAuditEvent } = require('../utils/auditLogger');
+const { withExponentialBackoff } = require('../utils/mpesaRetryHandler');
+const { getParticipant } = require('../utils/sessionParticipants');
 
 /**
  * Refund Configuration
@@ -24,6 +28,9 @@ const REFUND_CONFIG = {
   
   // Refund processing timeout (in milliseconds)
   PROCESSING_TIMEOUT_MS: 30000,
+
+  // A submitted B2C request with no result after this long needs an admin
+  RESULT_TIMEOUT_MINUTES: 60,
   
   // Minimum amount for automatic refund (below this requires manual processing)
   AUTO_REFUND_MIN_AMOUNT: 100,
@@ -40,15 +47,121 @@ const REFUND_CONFIG = {
   }
 };
 
+// Client-facing descriptions of the refund lifecycle
+const REFUND_STATUS_LABELS = {
+  pending: 'Refund requested',
+  approved: 'Refund approved',
+  queued: 'Refund queued',
+  processing: 'Refund is being sent to your M-Pesa',
+  submitted: 'Refund is being sent to your M-Pesa',
+  timed_out: 'M-Pesa was busy; your refund will be resent shortly',
+  processed: 'Refund sent',
+  completed: 'Refund sent',
+  pending_manual: 'Refund is being processed by our team',
+  failed: 'Refund is being processed by our team',
+  denied: 'Refund denied',
+  not_applicable: 'No refund due'
+};
+
+/**
+ * Flatten a B2C result or queue-timeout callback body
+ * @returns {Object} - { originatorConversationId, conversationId, resultCode, resultDesc, transactionId, amount, receiverName }
+ */
+function parseB2CResult(body) {
+  const result = (body && body.Result) || {};
+  const parameters = {};
+  const items = result.ResultParameters && result.ResultParameters.ResultParameter;
+  (Array.isArray(items) ? items : items ? [items] : []).forEach(item => {
+    parameters[item.Key] = item.Value;
+  });
+
+  return {
+    originatorConversationId: result.OriginatorConversationID,
+    conversationId: result.ConversationID,
+    resultCode: result.ResultCode !== undefined ? Number(result.ResultCode) : undefined,
+    resultDesc: result.ResultDesc,
+    transactionId: result.TransactionID || parameters.TransactionReceipt,
+    amount: parameters.TransactionAmount,
+    receiverName: parameters.ReceiverPartyPublicName
+  };
+}
+
+/**
+ * Why a refund can't be sent automatically, or null if it can
+ */
+function getAutoRefundBlocker(amount, phoneNumber) {
+  if (amount < REFUND_CONFIG.AUTO_REFUND_MIN_AMOUNT) {
+    return `Refunds below KSh ${REFUND_CONFIG.AUTO_REFUND_MIN_AMOUNT} are processed manually`;
+  }
+  if (amount > REFUND_CONFIG.AUTO_REFUND_MAX_AMOUNT) {
+    return `Refunds above KSh ${REFUND_CONFIG.AUTO_REFUND_MAX_AMOUNT} need admin approval`;
+  }
+  if (!phoneNumber) {
+    return 'No phone number available for refund';
+  }
+  return null;
+}
+
+/**
+ * What reconciliation should do with an unfinished refund
+ * @returns {string} - 'resubmit' | 'escalate' | 'none'
+ */
+function getRefundReconciliationAction(refund, now = new Date()) {
+  const attempt = refund.attempts[refund.attempts.length - 1];
+  const stale = (date) => !date || (now - new Date(date)) > REFUND_CONFIG.RESULT_TIMEOUT_MINUTES * 60 * 1000;
+
+  if (refund.status === 'timed_out') {
+    // A queue timeout means Safaricom never processed the request, so resending is safe
+    return refund.attempts.length < REFUND_CONFIG.MAX_RETRY_ATTEMPTS ? 'resubmit' : 'escalate';
+  }
+  if (refund.status === 'submitted' && stale(attempt && attempt.submittedAt)) {
+    // No result: the payout may or may not have happened, so don't resend
+    return 'escalate';
+  }
+  if (refund.status === 'queued' && stale(refund.updatedAt)) {
+    return 'escalate';
+  }
+  return 'none';
+}
+
+/**
+ * Where a refund's summary (refundStatus, refundTransactionId) is kept:
+ * the session, or for a group seat the seat holder's participant entry
+ */
+function getRefundHolder(session, refund) {
+  if (refund.kind !== 'group_seat') return session;
+  return (session.participants || []).find(p => String(p.client._id || p.client) === String(refund.client)) || null;
+}
+
+/**
+ * Client-facing refund lifecycle
+ */
+function buildRefundTimeline(session, refund) {
+  const timeline = [];
+  if (session.cancellationRequestedAt) {
+    timeline.push({ status: 'pending', label: REFUND_STATUS_LABELS.pending, at: session.cancellationRequestedAt });
+  }
+  if (refund) {
+    refund.events.forEach(event => {
+      timeline.push({ status: event.status, label: REFUND_STATUS_LABELS[event.status] || event.status, at: event.at });
+    });
+  } else if (session.refundProcessedAt) {
+    timeline.push({ status: 'processed', label: REFUND_STATUS_LABELS.processed, at: session.refundProcessedAt });
+  }
+  return timeline;
+}
+
 class RefundService {
   constructor() {
     this.Session = null;
+    this.Refund = null;
     this.mpesaAPI = null;
     this.notificationService = null;
   }
 
   async initialize() {
     if (!this.Session) this.Session = require('../models/Session');
+    if (!this.Refund) this.Refund = require('../models/Refund');
     try { 
       if (!this.mpesaAPI) this.mpesaAPI = require('../config/mpesa'); 
     } catch (e) {
@@ -63,10 +176,12 @@ class RefundService {
    * Initiate a refund for a cancelled session
    * Requirements: 9.4
    */
-  async initiateRefund(sessionId, refundAmount, reason = 'SESSION_CANCELLED') {
+  async initiateRefund(sessionId, refundAmount, reason = 'SESSION_CANCELLED', options = {}) {
     await this.initialize();
 
-    const session = await this.Session.findById(sessionId).populate('client', 'name email phone');
+    const session = await this.Session.findById(sessionId)
+      .populate('client', 'name email phone')
+      .populate('psychologist', 'name email');
     if (!session) throw new Error('Session not found');
 
     // Validate refund amount
@@ -83,151 +198,353 @@ class RefundService {
       throw new Error('Refund already processed for this session');
     }
 
-    // Log refund initiation
-    await logAuditEvent({
-      action: 'REFUND_INITIATED',
-      userId: session.client._id,
-      resourceType: 'payment',
-      resourceId: sessionId,
-      metadata: {
-        originalAmount: session.price,
-        refundAmount,
-        reason: REFUND_CONFIG.REFUND_REASONS[reason] || reason,
-        phoneNumber: session.client.phone?.slice(-4),
-        mpesaTransactionId: session.mpesaTransactionId
-      }
-    });
+    return this.processMpesaRefund(session, refundAmount, reason, options);
+  }
 
-    // Update session refund status
-    session.refundStatus = 'processing';
-    await session.save();
+  /**
+   * Process M-Pesa B2C refund
+   *
+   * Idempotent per session: repeated calls return the existing refund
+   * unless it needs an admin (`options.retry`). Pass `options.participant`
+   * to refund one seat of a group session to the phone that paid for it.
+   * The payout is confirmed asynchronously by handleB2CResult.
+   */
+  async processMpesaRefund(session, refundAmount, reason = 'SESSION_CANCELLED', { retry = false, participant = null } = {}) {
+    await this.initialize();
 
-    // Attempt M-Pesa B2C refund
-    let refundResult;
-    try {
-      refundResult = await this.processMpesaRefund(session, refundAmount, reason);
-    } catch (error) {
-      console.error('M-Pesa refund failed:', error.message);
-      
-      // Mark for manual processing
-      session.refundStatus = 'pending_manual';
-      session.refundNotes = `Automatic refund failed: ${error.message}. Manual processing required.`;
-      await session.save();
+    const payer = participant || session;
+    const clientId = participant ? (participant.client._id || participant.client) : session.client._id;
+    const idempotencyKey = participant ? `session:${session._id}:seat:${clientId}` : `session:${session._id}`;
+    const phoneNumber = participant
+      ? participant.mpesaPhoneNumber || participant.client.phone
+      : session.client.phone || session.mpesaPhoneNumber;
+
+    let refund = await this.Refund.findOne({ idempotencyKey });
+    if (!refund) {
+      try {
+        refund = await this.Refund.create({
+          session: session._id,
+          client: clientId,
+          kind: participant ? 'group_seat' : 'session',
+          idempotencyKey,
+          amount: refundAmount,
+          phoneNumber,
+          reason: REFUND_CONFIG.REFUND_REASONS[reason] || reason,
+          events: [{ status: 'queued', note: 'Refund requested' }]
+        });
+      } catch (error) {
+        // A concurrent request created it first
+        if (error.code !== 11000) throw error;
+        refund = await this.Refund.findOne({ idempotencyKey });
+      }
 
       await logAuditEvent({
-        action: 'REFUND_AUTO_FAILED',
-        userId: session.client._id,
+        action: 'REFUND_INITIATED',
+        userId: clientId,
         resourceType: 'payment',
-        resourceId: sessionId,
-        metadata: { error: error.message, refundAmount }
+        resourceId: session._id,
+        metadata: {
+          refundId: refund._id,
+          originalAmount: participant ? participant.amount : session.price,
+          refundAmount,
+          reason: refund.reason,
+          phoneNumber: phoneNumber?.slice(-4),
+          mpesaTransactionId: payer.mpesaTransactionID
+        }
       });
+    } else if (retry && ['pending_manual', 'timed_out'].includes(refund.status)) {
+      refund.amount = refundAmount;
+      refund.phoneNumber = phoneNumber;
+      refund.recordEvent('queued', 'Refund retry requested');
+      await refund.save();
+    } else {
+      return this.toRefundResult(refund);
+    }
 
-      return {
-        success: false,
-        status: 'pending_manual',
-        message: 'Automatic refund failed. Manual processing required.',
-        error: error.message
-      };
+    const blocker = !this.mpesaAPI || !this.mpesaAPI.isB2CConfigured()
+      ? 'M-Pesa B2C refunds are not configured'
+      : getAutoRefundBlocker(refund.amount, refund.phoneNumber);
+    if (blocker) {
+      return this.escalateRefund(refund, session, blocker);
     }
 
-    // Update session with refund result
-    if (refundResult.success) {
-      session.refundStatus = 'processed';
-      session.refundTransactionId = refundResult.transactionId;
-      session.refundProcessedAt = new Date();
-      await session.save();
+    return this.submitB2CRefund(refund, session, { ignoreAttemptLimit: retry });
+  }
+
+  /**
+   * Send (or resend) a refund to M-Pesa as a new B2C attempt
+   */
+  async submitB2CRefund(refund, session, { ignoreAttemptLimit = false } = {}) {
+    if (!ignoreAttemptLimit && refund.attempts.length >= REFUND_CONFIG.MAX_RETRY_ATTEMPTS) {
+      return this.escalateRefund(refund, session, 'M-Pesa did not accept the refund after several attempts');
+    }
 
-      // Send confirmation notification
-      await this.sendRefundConfirmation(session, refundAmount, refundResult);
+    const attemptNumber = refund.attempts.length + 1;
+    const originatorConversationId = `RF-${refund._id}-${attemptNumber}`;
+    refund.attempts.push({ originatorConversationId, status: 'submitting' });
+    await refund.save();
+
+    const attempt = refund.currentAttempt();
+    try {
+      const response = await withExponentialBackoff(
+        () => this.mpesaAPI.b2cPayment({
+          phoneNumber: refund.phoneNumber,
+          amount: refund.amount,
+          remarks: refund.reason || 'Session Refund',
+          occasion: `Refund for session ${session._id}`,
+          originatorConversationId
+        }),
+        {
+          context: 'B2C_REFUND',
+          metadata: { refundId: refund._id.toString(), sessionId: session._id.toString(), attempt: attemptNumber }
+        }
+      );
+
+      attempt.status = 'submitted';
+      attempt.conversationId = response.ConversationID;
+      attempt.submittedAt = new Date();
+      refund.recordEvent('submitted', attemptNumber > 1 ? `Refund resent to M-Pesa (attempt ${attemptNumber})` : 'Refund sent to M-Pesa');
+      await refund.save();
+
+      getRefundHolder(session, refund).refundStatus = 'processing';
+      await session.save();
 
       await logAuditEvent({
-        action: 'REFUND_COMPLETED',
-        userId: session.client._id,
+        action: 'REFUND_SUBMITTED',
+        userId: refund.client,
         resourceType: 'payment',
-        resourceId: sessionId,
-        metadata: {
-          refundAmount,
-          transactionId: refundResult.transactionId,
-          processingTime: refundResult.processingTime
-        }
+        resourceId: session._id,
+        metadata: { refundId: refund._id, attempt: attemptNumber, originatorConversationId, conversationId: response.ConversationID }
       });
+
+      return this.toRefundResult(refund);
+    } catch (error) {
+      console.error('M-Pesa refund failed:', error.message);
+      attempt.status = 'failed';
+      attempt.resultDesc = error.message;
+      attempt.resolvedAt = new Date();
+      return this.escalateRefund(refund, session, `Automatic refund failed: ${error.message}`);
     }
+  }
+
+  /**
+   * Hand a refund to an admin (refundStatus pending_manual)
+   */
+  async escalateRefund(refund, session, note) {
+    refund.failureReason = note;
+    refund.recordEvent('pending_manual', note);
+    await refund.save();
+
+    const holder = getRefundHolder(session, refund);
+    holder.refundStatus = 'pending_manual';
+    holder.refundNotes = `${note}. Manual processing required.`;
+    await session.save();
+
+    await logAuditEvent({
+      action: 'REFUND_AUTO_FAILED',
+      userId: refund.client,
+      resourceType: 'payment',
+      resourceId: session._id,
+      metadata: { refundId: refund._id, error: note, refundAmount: refund.amount }
+    });
 
-    return refundResult;
+    return this.toRefundResult(refund);
   }
 
   /**
-   * Process M-Pesa B2C refund
+   * Apply a B2C result callback
+   * @returns {Promise<Object|null>} - null when the callback is not for a refund
    */
-  async processMpesaRefund(session, refundAmount, reason) {
-    // Check if M-Pesa API is available
-    if (!this.mpesaAPI) {
-      throw new Error('M-Pesa API not configured');
-    }
+  async handleB2CResult(body) {
+    await this.initialize();
 
-    // Check if original transaction exists
-    if (!session.mpesaTransactionId) {
-      throw new Error('No M-Pesa transaction ID found for this session');
+    const result = parseB2CResult(body);
+    if (!result.originatorConversationId) return null;
+
+    const refund = await this.Refund.findOne({ 'attempts.originatorConversationId': result.originatorConversationId });
+    if (!refund) return null;
+
+    const attempt = refund.attempts.find(a => a.originatorConversationId === result.originatorConversationId);
+    if (refund.status === 'completed' || attempt.status === 'completed') {
+      return { refund, duplicate: true };
     }
 
-    // Get client phone number
-    const phoneNumber = session.client.phone || session.mpesaPhoneNumber;
-    if (!phoneNumber) {
-      throw new Error('No phone number available for refund');
+    const session = await this.Session.findById(refund.session)
+      .populate('client', 'name email phone')
+      .populate('participants.client', 'name email phone')
+      .populate('psychologist', 'name email');
+
+    attempt.resultCode = result.resultCode;
+    attempt.resultDesc = result.resultDesc;
+    attempt.resolvedAt = new Date();
+
+    if (result.resultCode !== 0) {
+      attempt.status = 'failed';
+      await this.escalateRefund(refund, session, `M-Pesa refund failed: ${result.resultDesc}`);
+      return { refund, duplicate: false };
     }
 
-    const startTime = Date.now();
+    attempt.status = 'completed';
+    refund.transactionId = result.transactionId;
+    refund.receiverName = result.receiverName;
+    refund.completedAt = new Date();
+    refund.recordEvent('completed', `M-Pesa receipt ${result.transactionId}`);
+    await refund.save();
+
+    const holder = getRefundHolder(session, refund);
+    holder.refundStatus = 'processed';
+    holder.refundTransactionId = result.transactionId;
+    holder.refundProcessedAt = refund.completedAt;
+    await session.save();
 
-    try {
-      // Attempt B2C refund (if available in M-Pesa API)
-      if (this.mpesaAPI.b2cPayment) {
-        const result = await this.mpesaAPI.b2cPayment({
-          phoneNumber,
-          amount: refundAmount,
-          remarks: REFUND_CONFIG.REFUND_REASONS[reason] || 'Session Refund',
-          occasion: `Refund for session ${session._id}`
-        });
+    const { invoiceService } = require('./invoiceService');
+    const issuing = refund.kind === 'group_seat'
+      ? invoiceService.issueForSeat(session._id, refund.client)
+      : invoiceService.issueForSession(session._id);
+    issuing.catch(error => console.error('Credit note issue error:', error));
 
-        return {
-          success: true,
-          transactionId: result.TransactionID || result.ConversationID,
-          processingTime: Date.now() - startTime,
-          method: 'b2c'
-        };
+    await logAuditEvent({
+      action: 'REFUND_COMPLETED',
+      userId: refund.client,
+      resourceType: 'payment',
+      resourceId: session._id,
+      metadata: {
+        refundId: refund._id,
+        refundAmount: refund.amount,
+        transactionId: result.transactionId,
+        processingTime: refund.completedAt - refund.createdAt
       }
+    });
 
-      // Fallback: Mark for manual processing if B2C not available
-      throw new Error('M-Pesa B2C refund not available. Manual processing required.');
-    } catch (error) {
-      throw error;
+    await this.sendRefundConfirmation(session, refund.amount, { transactionId: result.transactionId }, holder);
+
+    return { refund, duplicate: false };
+  }
+
+  /**
+   * Apply a B2C queue-timeout callback; reconciliation resends the refund
+   */
+  async handleB2CTimeout(body) {
+    await this.initialize();
+
+    const result = parseB2CResult(body);
+    if (!result.originatorConversationId) return null;
+
+    const refund = await this.Refund.findOne({ 'attempts.originatorConversationId': result.originatorConversationId });
+    if (!refund) return null;
+
+    const attempt = refund.attempts.find(a => a.originatorConversationId === result.originatorConversationId);
+    if (attempt.status !== 'submitted' || refund.status !== 'submitted') {
+      return { refund, duplicate: true };
     }
+
+    attempt.status = 'timed_out';
+    attempt.resultDesc = result.resultDesc;
+    attempt.resolvedAt = new Date();
+    refund.recordEvent('timed_out', 'M-Pesa did not process the refund in time');
+    await refund.save();
+
+    return { refund, duplicate: false };
+  }
+
+  /**
+   * Resend a refund whose last B2C request timed out (reconciliation)
+   * @returns {Promise<Object|null>} - null if the session's refund was settled another way
+   */
+  async resubmitRefund(refund) {
+    await this.initialize();
+
+    const session = await this.Session.findById(refund.session).populate('client', 'name email phone');
+    const holder = session && getRefundHolder(session, refund);
+    if (!holder || holder.refundStatus !== 'processing') return null;
+    return this.submitB2CRefund(refund, session);
+  }
+
+  /**
+   * Hand a refund with no B2C result to an admin (reconciliation)
+   */
+  async escalateStaleRefund(refund, note) {
+    await this.initialize();
+
+    const session = await this.Session.findById(refund.session).populate('client', 'name email phone');
+    const holder = session && getRefundHolder(session, refund);
+    if (!holder || holder.refundStatus !== 'processing') return null;
+    return this.escalateRefund(refund, session, note);
+  }
+
+  /**
+   * Mark a session's refund record paid when an admin refunds it by hand
+   * Pass `clientId` to close the refund of that client's group seat.
+   */
+  async recordManualRefund(sessionId, transactionId, { clientId = null } = {}) {
+    await this.initialize();
+
+    const refund = await this.Refund.findOne({
+      session: sessionId,
+      ...(clientId ? { kind: 'group_seat', client: clientId } : { kind: { $ne: 'group_seat' } }),
+      status: { $ne: 'completed' }
+    });
+    if (!refund) return null;
+
+    refund.transactionId = transactionId;
+    refund.completedAt = new Date();
+    refund.recordEvent('completed', 'Refund processed manually');
+    await refund.save();
+    return refund;
+  }
+
+  toRefundResult(refund) {
+    const sessionStatus = {
+      completed: 'processed',
+      pending_manual: 'pending_manual'
+    }[refund.status] || 'processing';
+
+    return {
+      success: refund.status !== 'pending_manual',
+      status: sessionStatus,
+      refundId: refund._id,
+      amount: refund.amount,
+      transactionId: refund.transactionId,
+      message: REFUND_STATUS_LABELS[refund.status],
+      method: 'b2c'
+    };
   }
 
   /**
    * Send refund confirmation notification
+   * `holder` is the session, or the participant entry of a refunded seat
    */
-  async sendRefundConfirmation(session, refundAmount, refundResult) {
+  async sendRefundConfirmation(session, refundAmount, refundResult, holder = session) {
     if (!this.notificationService) return;
+    const notificationTemplates = require('../utils/notificationTemplates');
+    const client = holder.client;
 
     try {
+      const refundEmail = notificationTemplates.refundProcessedEmail({
+        clientName: client.name,
+        therapistName: session.psychologist?.name,
+        sessionDate: session.sessionDate,
+        refundAmount,
+        refundPercentage: holder.refundPercentage || 100,
+        transactionId: refundResult.transactionId,
+        originalPaymentAmount: holder === session ? session.price : holder.amount,
+        cancellationReason: session.cancellationReason || 'Not specified',
+        sessionId: session._id.toString()
+      });
       await this.notificationService.sendEmail({
-        to: session.client.email,
-        subject: 'Refund Processed - Smiling Steps',
-        template: 'refund_confirmation',
-        data: {
-          clientName: session.client.name,
-          refundAmount,
-          transactionId: refundResult.transactionId,
-          sessionDate: session.sessionDate,
-          processingDate: new Date().toISOString()
-        }
+        to: client.email,
+        subject: refundEmail.subject,
+        html: refundEmail.html
       });
 
       // Send SMS if phone available
-      if (session.client.phone) {
+      if (client.phone) {
         await this.notificationService.sendSMS({
-          to: session.client.phone,
-          message: `Your refund of KSh ${refundAmount} has been processed. Transaction ID: ${refundResult.transactionId}. Thank you for using Smiling Steps.`
+          to: client.phone,
+          message: notificationTemplates.refundProcessedSMS({
+            refundAmount,
+            transactionId: refundResult.transactionId
+          })
         });
       }
     } catch (error) {
@@ -236,23 +553,45 @@ class RefundService {
   }
 
   /**
-   * Get refund status for a session
+   * Get refund status and lifecycle for a session
+   * The booking client, the session's therapist and admins can view it;
+   * a group member sees the refund of their own seat.
    */
-  async getRefundStatus(sessionId) {
+  async getRefundStatus(sessionId, user) {
     await this.initialize();
 
     const session = await this.Session.findById(sessionId)
-      .select('refundStatus refundAmount refundTransactionId refundProcessedAt refundNotes');
+      .select('client psychologist sessionType participants paymentMethod refundStatus refundAmount refundPercentage refundTransactionId refundProcessedAt refundNotes cancellationRequestedAt');
 
     if (!session) throw new Error('Session not found');
 
+    const seat = session.sessionType === 'Group' && user ? getParticipant(session, user.id) : null;
+    if (user && user.role !== 'admin' && !seat &&
+        String(session.client) !== user.id && session.psychologist.toString() !== user.id) {
+      throw new Error('Not authorized to view this refund');
+    }
+
+    const holder = seat || session;
+    const refund = await this.Refund.findOne(seat
+      ? { session: session._id, kind: 'group_seat', client: user.id }
+      : { session: session._id, kind: { $ne: 'group_seat' } }
+    ).sort({ createdAt: -1 });
+    const requested = seat
+      ? { cancellationRequestedAt: seat.cancelledAt || session.cancellationRequestedAt, refundProcessedAt: seat.refundProcessedAt }
+      : session;
+
     return {
       sessionId,
-      status: session.refundStatus,
-      amount: session.refundAmount,
-      transactionId: session.refundTransactionId,
-      processedAt: session.refundProcessedAt,
-      notes: session.refundNotes
+      status: holder.refundStatus,
+      label: REFUND_STATUS_LABELS[holder.refundStatus === 'processing' && refund ? refund.status : holder.refundStatus],
+      amount: holder.refundAmount,
+      percentage: holder.refundPercentage,
+      method: seat ? 'mpesa' : session.paymentMethod === 'stripe' ? 'card' : session.paymentMethod === 'package_credit' ? 'package_credit' : 'mpesa',
+      transactionId: holder.refundTransactionId,
+      processedAt: holder.refundProcessedAt,
+      // Internal failure details are for staff only
+      notes: user && user.role === 'client' ? undefined : holder.refundNotes,
+      timeline: buildRefundTimeline(requested, refund)
     };
   }
 
@@ -277,7 +616,72 @@ class RefundService {
       metadata: { previousStatus: session.refundStatus, refundAmount: session.refundAmount }
     });
 
-    return this.initiateRefund(sessionId, session.refundAmount, 'ADMIN_INITIATED');
+    // Card refunds go back through Stripe
+    if (session.paymentMethod === 'stripe') {
+      const { cancellationService } = require('./cancellationService');
+      await cancellationService.initialize();
+      return cancellationService.processRefund(session, session.refundAmount);
+    }
+
+    return this.initiateRefund(sessionId, session.refundAmount, 'ADMIN_INITIATED', { retry: true });
+  }
+
+  /**
+   * Retry a failed refund of one group seat
+   */
+  async retrySeatRefund(sessionId, clientId, adminId) {
+    await this.initialize();
+
+    const session = await this.Session.findOne({ _id: sessionId, sessionType: 'Group' })
+      .populate('participants.client', 'name email phone');
+    if (!session) throw new Error('Session not found');
+
+    const participant = getParticipant(session, clientId);
+    if (!participant) throw new Error('Seat not found');
+    if (!['failed', 'pending_manual'].includes(participant.refundStatus)) {
+      throw new Error(`Cannot retry refund in ${participant.refundStatus} status`);
+    }
+
+    await logAuditEvent({
+      action: 'REFUND_RETRY_INITIATED',
+      userId: adminId,
+      resourceType: 'payment',
+      resourceId: sessionId,
+      metadata: { clientId, previousStatus: participant.refundStatus, refundAmount: participant.refundAmount }
+    });
+
+    return this.processMpesaRefund(session, participant.refundAmount, 'ADMIN_INITIATED', { retry: true, participant });
+  }
+
+  /**
+   * Get group seat refunds still open, one entry per seat
+   */
+  async getPendingSeatRefunds() {
+    await this.initialize();
+
+    const openStatuses = ['pending', 'pending_manual', 'processing', 'failed'];
+    const sessions = await this.Session.find({
+      sessionType: 'Group',
+      participants: { $elemMatch: { refundStatus: { $in: openStatuses }, refundAmount: { $gt: 0 } } }
+    })
+    .populate('participants.client psychologist', 'name email phone')
+    .select('sessionDate title psychologist participants');
+
+    return sessions.flatMap(session => session.participants
+      .filter(p => openStatuses.includes(p.refundStatus) && p.refundAmount > 0)
+      .map(p => ({
+        sessionId: session._id,
+        sessionDate: session.sessionDate,
+        title: session.title,
+        psychologist: session.psychologist,
+        client: p.client,
+        cancelledAt: p.cancelledAt,
+        refundStatus: p.refundStatus,
+        refundAmount: p.refundAmount,
+        refundNotes: p.refundNotes,
+        mpesaTransactionID: p.mpesaTransactionID
+      })))
+      .sort((a, b) => new Date(a.cancelledAt) - new Date(b.cancelledAt));
   }
 
   /**
@@ -343,4 +747,14 @@ class RefundService {
 
 const refundService = new RefundService();
 
-module.exports = { refundService, RefundService, REFUND_CONFIG };
+module.exports = {
+  refundService,
+  RefundService,
+  REFUND_CONFIG,
+  REFUND_STATUS_LABELS,
+  parseB2CResult,
+  getAutoRefundBlocker,
+  getRefundReconciliationAction,
+  getRefundHolder,
+  buildRefundTimeline
+};
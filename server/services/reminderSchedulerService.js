@@ -424,6 +424,29 @@ const sendReminderToUser = async (session, user, reminderType, isTherapist = fal
   return results;
 };
 
+/**
+ * Send reminders to the co-participants a Couples/Family booking covers
+ * @returns {Promise<Array>} - Delivery failures
+ */
+const sendCoParticipantReminders = async (session, reminderType) => {
+  const failures = [];
+  const coParticipants = (session.participants || [])
+    .filter(p => p.role === 'co_participant' && p.client && p.client.name);
+  
+  for (const participant of coParticipants) {
+    const results = await sendReminderToUser(session, participant.client, reminderType, false);
+    
+    if (!results.email.success && !results.email.skipped) {
+      failures.push({ type: 'co_participant_email', error: results.email.error });
+    }
+    if (!results.sms.success && !results.sms.skipped) {
+      failures.push({ type: 'co_participant_sms', error: results.sms.error || results.sms.reason });
+    }
+  }
+  
+  return failures;
+};
+
 /**
  * Log reminder delivery status
  * Requirements: 15.3
@@ -514,7 +537,8 @@ const check24HourReminders = async () => {
       reminder24HourSent: { $ne: true }
     })
     .populate('client', 'name email phone notifications emailNotifications smsNotifications reminderNotifications')
-    .populate('psychologist', 'name email phone notifications emailNotifications smsNotifications reminderNotifications');
+    .populate('psychologist', 'name email phone notifications emailNotifications smsNotifications reminderNotifications')
+    .populate('participants.client', 'name email phone notifications emailNotifications smsNotifications reminderNotifications');
     
     console.log(`📋 Found ${sessions.length} sessions needing 24-hour reminders`);
     
@@ -538,6 +562,10 @@ const check24HourReminders = async () => {
           }
         }
         
+        // Send to Couples/Family co-participants
+        const coParticipantFailures = await sendCoParticipantReminders(session, '24hour');
+        failures.push(...coParticipantFailures);
+        
         // Send to therapist
         let therapistResults = null;
         if (session.psychologist) {
@@ -608,7 +636,8 @@ const check1HourReminders = async () => {
       reminder1HourSent: { $ne: true }
     })
     .populate('client', 'name email phone notifications emailNotifications smsNotifications reminderNotifications')
-    .populate('psychologist', 'name email phone notifications emailNotifications smsNotifications reminderNotifications');
+    .populate('psychologist', 'name email phone notifications emailNotifications smsNotifications reminderNotifications')
+    .populate('participants.client', 'name email phone notifications emailNotifications smsNotifications reminderNotifications');
     
     console.log(`📋 Found ${sessions.length} sessions needing 1-hour reminders`);
     
@@ -632,6 +661,10 @@ const check1HourReminders = async () => {
           }
         }
         
+        // Send to Couples/Family co-participants
+        const coParticipantFailures = await sendCoParticipantReminders(session, '1hour');
+        failures.push(...coParticipantFailures);
+        
         // Send to therapist
         let therapistResults = null;
         if (session.psychologist) {
@@ -12,6 +12,7 @@
 
 const mongoose = require('mongoose');
 const { logAuditEvent } = require('../utils/auditLogger');
+const { eventBus, SESSION_EVENTS } = require('../src/events/eventBus');
 
 const RESCHEDULE_CONFIG = {
   AUTO_APPROVE_HOURS: 24,
@@ -61,7 +62,7 @@ class ReschedulingService {
    * Check if session can be rescheduled
    * Requirements: 9.1, 9.2
    */
-  async checkRescheduleEligibility(sessionId, userId) {
+  async checkRescheduleEligibility(sessionId, userId, role) {
     await this.initialize();
     
     const session = await this.Session.findById(sessionId)
@@ -75,7 +76,7 @@ class ReschedulingService {
     const isClient = session.client._id.toString() === userId;
     const isTherapist = session.psychologist._id.toString() === userId;
     
-    if (!isClient && !isTherapist) {
+    if (!isClient && !isTherapist && role !== 'admin') {
       return { eligible: false, reason: 'Not authorized to reschedule this session' };
     }
     
@@ -142,11 +143,26 @@ class ReschedulingService {
       rescheduleCount,
       remainingReschedules: RESCHEDULE_CONFIG.MAX_RESCHEDULES_PER_SESSION - rescheduleCount,
       maxReschedules: RESCHEDULE_CONFIG.MAX_RESCHEDULES_PER_SESSION,
-      requestedBy: isClient ? 'client' : 'therapist',
+      requestedBy: isClient ? 'client' : (isTherapist ? 'therapist' : 'admin'),
       validReasons: RESCHEDULE_CONFIG.RESCHEDULE_REASONS
     };
   }
 
+  /**
+   * Announce a completed reschedule; the original time slot is free again
+   */
+  emitRescheduled(session, originalDate, newDate) {
+    eventBus.emitEvent(SESSION_EVENTS.RESCHEDULED, {
+      sessionId: session._id.toString(),
+      therapistId: session.psychologist._id.toString(),
+      clientId: session.client._id.toString(),
+      sessionType: session.sessionType,
+      duration: session.duration,
+      originalDate,
+      newDate
+    });
+  }
+
   /**
    * Check if new time slot is available for therapist
    * Requirements: 9.1, 9.2
@@ -172,13 +188,13 @@ class ReschedulingService {
     }
     
     const conflictingSessions = await this.Session.find(query)
-      .select('sessionDate sessionType status client')
+      .select('sessionDate duration sessionType status client')
       .populate('client', 'name');
     
     // Filter to only actual conflicts (overlapping time)
     const actualConflicts = conflictingSessions.filter(s => {
       const existingStart = new Date(s.sessionDate);
-      const existingEnd = new Date(existingStart.getTime() + 60 * 60000); // Assume 60 min sessions
+      const existingEnd = new Date(existingStart.getTime() + (s.duration || 60) * 60000);
       return sessionStart < existingEnd && sessionEnd > existingStart;
     });
     
@@ -204,7 +220,7 @@ class ReschedulingService {
    * Request to reschedule a session
    * Requirements: 9.1, 9.2
    */
-  async requestReschedule(sessionId, userId, newDate, reason, notes = '') {
+  async requestReschedule(sessionId, userId, newDate, reason, notes = '', role) {
     await this.initialize();
     
     // Validate reason
@@ -213,7 +229,7 @@ class ReschedulingService {
     }
     
     // Check eligibility
-    const eligibility = await this.checkRescheduleEligibility(sessionId, userId);
+    const eligibility = await this.checkRescheduleEligibility(sessionId, userId, role);
     if (!eligibility.eligible) {
       throw new Error(eligibility.reason);
     }
@@ -225,7 +241,7 @@ class ReschedulingService {
     const therapistId = session.psychologist._id;
     
     // Check availability for new date
-    const availability = await this.checkAvailability(therapistId, newDate, 60, sessionId);
+    const availability = await this.checkAvailability(therapistId, newDate, session.duration, sessionId);
     if (!availability.available) {
       throw new Error(`The requested time slot is not available. Conflicts with ${availability.conflicts.length} existing session(s).`);
     }
@@ -237,7 +253,10 @@ class ReschedulingService {
     }
     
     const isClient = session.client._id.toString() === userId;
-    const requestedBy = isClient ? 'client' : 'therapist';
+    const isTherapist = session.psychologist._id.toString() === userId;
+    let requestedBy = 'admin';
+    if (isClient) requestedBy = 'client';
+    else if (isTherapist) requestedBy = 'therapist';
     const hoursUntilSession = this.calculateHoursUntilSession(session.sessionDate);
     const autoApprove = hoursUntilSession >= RESCHEDULE_CONFIG.AUTO_APPROVE_HOURS;
     
@@ -249,7 +268,8 @@ class ReschedulingService {
       // Store original date before any changes
       const originalDate = session.sessionDate;
       
-      if (autoApprove || requestedBy === 'therapist') {
+      // Changes made by the therapist or an admin don't need approval
+      if (autoApprove || requestedBy !== 'client') {
         // Auto-approve: update session directly
         session.originalSessionDate = originalDate;
         session.sessionDate = newDateTime;
@@ -258,7 +278,7 @@ class ReschedulingService {
         session.rescheduleRequestedBy = requestedBy;
         session.rescheduleReason = reason;
         session.rescheduleNotes = notes;
-        session.rescheduleStatus = requestedBy === 'therapist' ? 'approved' : 'auto_approved';
+        session.rescheduleStatus = requestedBy === 'client' ? 'auto_approved' : 'approved';
         session.rescheduleCount = (session.rescheduleCount || 0) + 1;
         session.newRequestedDate = newDateTime;
         
@@ -284,12 +304,14 @@ class ReschedulingService {
         // Send notifications
         await this.sendRescheduleNotifications(session, 'approved', requestedBy, originalDate, newDateTime);
         
+        this.emitRescheduled(session, originalDate, newDateTime);
+        
         return {
           success: true,
           status: 'approved',
           message: autoApprove 
             ? 'Session rescheduled successfully (auto-approved with 24+ hours notice)'
-            : 'Session rescheduled successfully (therapist-initiated)',
+            : `Session rescheduled successfully (${requestedBy}-initiated)`,
           session: {
             id: session._id,
             originalDate,
@@ -417,6 +439,8 @@ class ReschedulingService {
     // Send notifications
     await this.sendRescheduleNotifications(session, 'approved', 'therapist', originalDate, newDate);
     
+    this.emitRescheduled(session, originalDate, newDate);
+    
     return {
       success: true,
       message: 'Reschedule request approved successfully',
@@ -0,0 +1,448 @@
+/**
+ * Risk Escalation Service
+ *
+ * Detects risk signals in client submissions and escalates them:
+ * - Intake forms reporting suicidal thoughts
+ * - Daily check-ins with very low mood or self-harm symptoms
+ * - Assessment results with a positive self-harm item (PHQ-9 item 9)
+ *
+ * A detected signal creates a RiskAlert, emits RISK_EVENTS.ALERT_RAISED so the
+ * assigned therapist and on-call admin are notified, and returns crisis-line
+ * resources for the client to see straight away. Acknowledgement, follow-up
+ * and resolution are recorded in the AuditLog.
+ */
+
+const { eventBus, RISK_EVENTS } = require('../src/events/eventBus');
+const { ACTION_TYPES, logRiskAlertEvent } = require('../utils/auditLogger');
+
+const RISK_CONFIG = {
+  // Check-in mood is 1-10; at or below this is treated as very low
+  LOW_MOOD_THRESHOLD: 2,
+  // PHQ-9 item 9 score from which the alert is high rather than elevated
+  SELF_HARM_HIGH_SCORE: 2,
+  SELF_HARM_KEYWORDS: ['self-harm', 'self harm', 'suicidal', 'suicide', 'hurting myself', 'kill myself', 'cutting'],
+  // Sessions in these states do not make a therapist "assigned"
+  INACTIVE_SESSION_STATUSES: ['Cancelled', 'cancelled', 'Declined', 'declined'],
+  // Optional single on-call admin; otherwise every active admin is alerted
+  ON_CALL_ADMIN_EMAIL: process.env.ON_CALL_ADMIN_EMAIL || null,
+  FOLLOW_UP_ACTIONS: ['contacted_client', 'safety_plan', 'emergency_services', 'session_scheduled', 'referred', 'other'],
+  SOURCE_LABELS: {
+    intake_form: 'Intake form',
+    check_in: 'Daily check-in',
+    assessment: 'Assessment'
+  },
+  CRISIS_RESOURCES: [
+    { name: 'Emergency Services', phone: '999', alternatePhone: '112', available: '24/7' },
+    { name: 'Kenya Red Cross Counselling Line', phone: '1199', available: '24/7, toll-free' },
+    { name: 'Befrienders Kenya', phone: '+254 722 178 177', available: 'Emotional support and suicide prevention' }
+  ]
+};
+
+/**
+ * Risk signals in a submitted intake form
+ * @param {Object} form - IntakeForm (decrypted fields not required)
+ * @returns {Array} - [{ type, level, description }]
+ */
+function evaluateIntakeForm(form) {
+  const signals = [];
+  if (form && form.suicidalThoughts === true) {
+    signals.push({
+      type: 'suicidal_thoughts',
+      level: 'high',
+      description: 'Client reported suicidal thoughts on the intake form'
+    });
+  }
+  return signals;
+}
+
+/**
+ * Risk signals in a daily check-in
+ * @param {Object} checkIn - CheckIn document
+ * @returns {Array} - [{ type, level, description }]
+ */
+function evaluateCheckIn(checkIn) {
+  const signals = [];
+  if (!checkIn) return signals;
+
+  if (checkIn.mood != null && checkIn.mood <= RISK_CONFIG.LOW_MOOD_THRESHOLD) {
+    signals.push({
+      type: 'low_mood',
+      level: 'elevated',
+      description: `Check-in mood of ${checkIn.mood}/10`
+    });
+  }
+
+  const text = [...(checkIn.symptoms || []), checkIn.notes || ''].join(' ').toLowerCase();
+  if (RISK_CONFIG.SELF_HARM_KEYWORDS.some(keyword => text.includes(keyword))) {
+    signals.push({
+      type: 'self_harm_symptom',
+      level: 'high',
+      description: 'Check-in mentions self-harm or suicidal thoughts'
+    });
+  }
+
+  return signals;
+}
+
+/**
+ * Risk signals in a scored assessment result
+ * @param {Object} result - AssessmentResult with criticalFlags
+ * @returns {Array} - [{ type, level, description }]
+ */
+function evaluateAssessmentResult(result) {
+  return ((result && result.criticalFlags) || [])
+    .filter(flag => flag.flag === 'suicidal_ideation')
+    .map(flag => ({
+      type: 'suicidal_ideation',
+      level: flag.score >= RISK_CONFIG.SELF_HARM_HIGH_SCORE ? 'high' : 'elevated',
+      description: `Assessment item ${flag.itemNumber} (${flag.label}) scored ${flag.score}`
+    }));
+}
+
+/**
+ * Overall alert level: the highest level among the signals
+ */
+function getAlertLevel(signals) {
+  return signals.some(s => s.level === 'high') ? 'high' : 'elevated';
+}
+
+/**
+ * What the client is shown immediately after a risky submission
+ */
+function buildCrisisSupport(level) {
+  return {
+    level,
+    message: level === 'high'
+      ? 'You don\'t have to face this alone. If you are in immediate danger, please call emergency services now. Your therapist has been notified.'
+      : 'It sounds like things are hard right now. Support is available any time, and your therapist has been notified.',
+    resources: RISK_CONFIG.CRISIS_RESOURCES
+  };
+}
+
+class RiskEscalationService {
+  constructor() {
+    this.RiskAlert = null;
+    this.Session = null;
+    this.User = null;
+    this.notificationService = null;
+  }
+
+  async initialize() {
+    if (!this.RiskAlert) this.RiskAlert = require('../models/RiskAlert');
+    if (!this.Session) this.Session = require('../models/Session');
+    if (!this.User) this.User = require('../models/User');
+    try { if (!this.notificationService) this.notificationService = require('../utils/notificationService'); } catch (e) {}
+  }
+
+  /**
+   * The client's therapist from their most recent active session
+   */
+  async findAssignedTherapist(clientId) {
+    await this.initialize();
+    const session = await this.Session.findOne({
+      client: clientId,
+      status: { $nin: RISK_CONFIG.INACTIVE_SESSION_STATUSES }
+    }).sort({ sessionDate: -1 }).select('psychologist');
+
+    return session ? session.psychologist : null;
+  }
+
+  /**
+   * Raise an alert for detected signals
+   * @returns {Promise<Object|null>} - { alert, crisisSupport } or null when there is no risk
+   */
+  async escalate({ clientId, therapistId, sourceType, sourceId, signals }) {
+    if (!signals || signals.length === 0) {
+      return null;
+    }
+
+    await this.initialize();
+    const level = getAlertLevel(signals);
+
+    // Re-submitting the same form must not raise a second alert
+    let alert = await this.RiskAlert.findOne({
+      'source.type': sourceType,
+      'source.id': sourceId,
+      status: { $ne: 'resolved' }
+    });
+
+    if (!alert) {
+      alert = await this.RiskAlert.create({
+        client: clientId,
+        therapist: therapistId || await this.findAssignedTherapist(clientId),
+        level,
+        signals,
+        source: { type: sourceType, id: sourceId }
+      });
+
+      await logRiskAlertEvent({
+        actionType: ACTION_TYPES.RISK_ALERT_RAISED,
+        alertId: alert._id,
+        clientId,
+        level,
+        newStatus: alert.status,
+        metadata: { sourceType, signals: signals.map(s => s.type) }
+      });
+
+      eventBus.emitEvent(RISK_EVENTS.ALERT_RAISED, {
+        alertId: alert._id.toString(),
+        clientId: clientId.toString(),
+        therapistId: alert.therapist ? alert.therapist.toString() : null,
+        level,
+        sourceType
+      });
+    }
+
+    return { alert, crisisSupport: buildCrisisSupport(level) };
+  }
+
+  async handleIntakeForm(form, therapistId = null) {
+    return this.escalate({
+      clientId: form.client,
+      therapistId,
+      sourceType: 'intake_form',
+      sourceId: form._id,
+      signals: evaluateIntakeForm(form)
+    });
+  }
+
+  async handleCheckIn(checkIn) {
+    return this.escalate({
+      clientId: checkIn.userId,
+      sourceType: 'check_in',
+      sourceId: checkIn._id,
+      signals: evaluateCheckIn(checkIn)
+    });
+  }
+
+  async handleAssessmentResult(result) {
+    return this.escalate({
+      clientId: result.user,
+      sourceType: 'assessment',
+      sourceId: result._id,
+      signals: evaluateAssessmentResult(result)
+    });
+  }
+
+  /**
+   * Staff alerted for every alert: assigned therapist plus the on-call admin(s)
+   */
+  async getAlertRecipients(alert) {
+    await this.initialize();
+    const recipients = [];
+
+    if (alert.therapist) {
+      const therapist = await this.User.findById(alert.therapist).select('name email phone role');
+      if (therapist) recipients.push(therapist);
+    }
+
+    const adminQuery = { role: 'admin', status: { $ne: 'deleted' } };
+    if (RISK_CONFIG.ON_CALL_ADMIN_EMAIL) {
+      adminQuery.email = RISK_CONFIG.ON_CALL_ADMIN_EMAIL;
+    }
+    const admins = await this.User.find(adminQuery).select('name email phone role');
+
+    return [...recipients, ...admins];
+  }
+
+  /**
+   * Email/SMS the alert to staff - called from the ALERT_RAISED listener
+   */
+  async notifyStaff(alertId) {
+    await this.initialize();
+
+    const alert = await this.RiskAlert.findById(alertId).populate('client', 'name');
+    if (!alert) return;
+
+    const recipients = await this.getAlertRecipients(alert);
+    if (recipients.length === 0) {
+      console.error(`🚨 Risk alert ${alertId} has no staff to notify`);
+      return;
+    }
+
+    const notificationTemplates = require('../utils/notificationTemplates');
+
+    for (const recipient of recipients) {
+      const data = {
+        recipientName: recipient.name,
+        clientName: alert.client ? alert.client.name : 'Client',
+        level: alert.level,
+        sourceLabel: RISK_CONFIG.SOURCE_LABELS[alert.source.type],
+        raisedAt: alert.createdAt,
+        isAdmin: recipient.role === 'admin'
+      };
+
+      try {
+        if (this.notificationService) {
+          const email = notificationTemplates.riskAlertStaffEmail(data);
+          await this.notificationService.sendEmail({ to: recipient.email, subject: email.subject, html: email.html });
+
+          if (recipient.phone) {
+            await this.notificationService.sendSMS({
+              to: recipient.phone,
+              message: notificationTemplates.riskAlertStaffSMS(data)
+            });
+          }
+        }
+
+        alert.notified.push({ user: recipient._id, role: recipient.role, notifiedAt: new Date() });
+      } catch (error) {
+        console.error(`⚠️ Failed to notify ${recipient.role} of risk alert:`, error.message);
+      }
+    }
+
+    await alert.save();
+  }
+
+  /**
+   * Alerts visible to a staff member
+   */
+  async getAlerts(user, { status } = {}) {
+    await this.initialize();
+
+    const query = {};
+    if (user.role === 'psychologist') {
+      query.therapist = user.id;
+    } else if (user.role !== 'admin') {
+      throw new Error('Not authorized to view risk alerts');
+    }
+    if (status) {
+      query.status = status;
+    }
+
+    return this.RiskAlert.find(query)
+      .populate('client', 'name email phone')
+      .populate('therapist', 'name')
+      .sort({ createdAt: -1 });
+  }
+
+  async getAlertForStaff(alertId, user) {
+    await this.initialize();
+
+    const alert = await this.RiskAlert.findById(alertId);
+    if (!alert) {
+      throw new Error('Risk alert not found');
+    }
+
+    const isAssigned = alert.therapist && alert.therapist.toString() === user.id;
+    if (user.role !== 'admin' && !isAssigned) {
+      throw new Error('Not authorized to manage this risk alert');
+    }
+
+    return alert;
+  }
+
+  async acknowledge(alertId, user) {
+    const alert = await this.getAlertForStaff(alertId, user);
+    if (alert.status !== 'open') {
+      throw new Error(`Alert is already ${alert.status}`);
+    }
+
+    alert.status = 'acknowledged';
+    alert.acknowledgedBy = user.id;
+    alert.acknowledgedAt = new Date();
+    await alert.save();
+
+    await logRiskAlertEvent({
+      actionType: ACTION_TYPES.RISK_ALERT_ACKNOWLEDGED,
+      alertId: alert._id,
+      clientId: alert.client,
+      userId: user.id,
+      userRole: user.role,
+      level: alert.level,
+      previousStatus: 'open',
+      newStatus: alert.status
+    });
+
+    eventBus.emitEvent(RISK_EVENTS.ALERT_ACKNOWLEDGED, {
+      alertId: alert._id.toString(),
+      acknowledgedBy: user.id
+    });
+
+    return alert;
+  }
+
+  async addFollowUp(alertId, user, { action, note }) {
+    if (!RISK_CONFIG.FOLLOW_UP_ACTIONS.includes(action)) {
+      throw new Error(`Invalid follow-up action. Must be one of: ${RISK_CONFIG.FOLLOW_UP_ACTIONS.join(', ')}`);
+    }
+
+    const alert = await this.getAlertForStaff(alertId, user);
+    if (alert.status === 'resolved') {
+      throw new Error('Cannot add follow-up to a resolved alert');
+    }
+
+    // Following up implies the alert has been seen
+    const previousStatus = alert.status;
+    if (alert.status === 'open') {
+      alert.status = 'acknowledged';
+      alert.acknowledgedBy = user.id;
+      alert.acknowledgedAt = new Date();
+    }
+
+    alert.followUps.push({ by: user.id, action, note });
+    await alert.save();
+
+    await logRiskAlertEvent({
+      actionType: ACTION_TYPES.RISK_FOLLOW_UP_RECORDED,
+      alertId: alert._id,
+      clientId: alert.client,
+      userId: user.id,
+      userRole: user.role,
+      level: alert.level,
+      previousStatus,
+      newStatus: alert.status,
+      metadata: { followUpAction: action }
+    });
+
+    return alert;
+  }
+
+  async resolve(alertId, user, resolutionNote) {
+    const alert = await this.getAlertForStaff(alertId, user);
+    if (alert.status === 'resolved') {
+      throw new Error('Alert is already resolved');
+    }
+    if (alert.followUps.length === 0) {
+      throw new Error('Record at least one follow-up before resolving the alert');
+    }
+
+    const previousStatus = alert.status;
+    alert.status = 'resolved';
+    alert.resolvedBy = user.id;
+    alert.resolvedAt = new Date();
+    alert.resolutionNote = resolutionNote;
+    await alert.save();
+
+    await logRiskAlertEvent({
+      actionType: ACTION_TYPES.RISK_ALERT_RESOLVED,
+      alertId: alert._id,
+      clientId: alert.client,
+      userId: user.id,
+      userRole: user.role,
+      level: alert.level,
+      previousStatus,
+      newStatus: alert.status
+    });
+
+    eventBus.emitEvent(RISK_EVENTS.ALERT_RESOLVED, {
+      alertId: alert._id.toString(),
+      resolvedBy: user.id
+    });
+
+    return alert;
+  }
+}
+
+const riskEscalationService = new RiskEscalationService();
+
+module.exports = {
+  riskEscalationService,
+  RiskEscalationService,
+  RISK_CONFIG,
+  evaluateIntakeForm,
+  evaluateCheckIn,
+  evaluateAssessmentResult,
+  getAlertLevel,
+  buildCrisisSupport
+};
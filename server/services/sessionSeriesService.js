@@ -0,0 +1,472 @@
+/**
+ * Session Series Service
+ *
+ * Recurring bookings on top of the single-session request flow:
+ * - Weekly, biweekly or monthly recurrence (N occurrences or until a date)
+ * - Every occurrence is reserved against therapist availability
+ * - One locked rate for the whole series
+ * - Cancel or reschedule a single occurrence or the remaining series
+ *   through the existing cancellation and rescheduling services
+ */
+
+const { checkBookingSlotAvailability } = require('./availabilityConflictService');
+const { cancellationService } = require('./cancellationService');
+const { reschedulingService } = require('./reschedulingService');
+const { getRateAtDate } = require('../utils/rateLockingService');
+const { generateMeetingLink } = require('../utils/meetingLinkGenerator');
+const { logAuditEvent } = require('../utils/auditLogger');
+const { eventBus, SESSION_EVENTS } = require('../src/events/eventBus');
+
+const SERIES_CONFIG = {
+  FREQUENCIES: ['weekly', 'biweekly', 'monthly'],
+  MIN_OCCURRENCES: 2,
+  MAX_OCCURRENCES: 26,
+  // Longest span a single series may cover
+  MAX_SERIES_DAYS: 183,
+  SESSION_TYPES: ['Individual', 'Couples', 'Family', 'Group'],
+  // Occurrence statuses that are finished and left alone by series-wide actions
+  CLOSED_STATUSES: ['Completed', 'Cancelled', 'Declined', 'cancelled', 'completed', 'no_show_client', 'no_show_therapist'],
+  SCOPES: ['occurrence', 'remaining']
+};
+
+/**
+ * Build the occurrence dates for a recurrence rule.
+ * Monthly occurrences keep the start day of month, clamped to the last day
+ * of shorter months (31 Jan -> 28/29 Feb -> 31 Mar).
+ *
+ * @param {Date|string} startDate - First occurrence
+ * @param {string} frequency - weekly | biweekly | monthly
+ * @param {Object} limits - { occurrences, until }
+ * @returns {Date[]} - Occurrence start times in order
+ */
+function generateOccurrenceDates(startDate, frequency, { occurrences, until } = {}) {
+  const start = new Date(startDate);
+  const end = until ? new Date(until) : null;
+  const maxCount = occurrences || SERIES_CONFIG.MAX_OCCURRENCES;
+  const dates = [];
+
+  for (let i = 0; i < maxCount; i++) {
+    let date;
+    if (frequency === 'monthly') {
+      date = new Date(start);
+      date.setDate(1);
+      date.setMonth(start.getMonth() + i);
+      const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+      date.setDate(Math.min(start.getDate(), lastDay));
+    } else {
+      const stepDays = frequency === 'biweekly' ? 14 : 7;
+      date = new Date(start);
+      date.setDate(start.getDate() + i * stepDays);
+    }
+
+    if (end && date > end) break;
+    dates.push(date);
+  }
+
+  return dates;
+}
+
+/**
+ * Validate a series request before touching the database
+ * @returns {Object} - { valid: boolean, error?: string }
+ */
+function validateSeriesRequest({ psychologistId, sessionType, startDate, frequency, occurrences, until }) {
+  if (!psychologistId) {
+    return { valid: false, error: 'Psychologist is required' };
+  }
+
+  if (!SERIES_CONFIG.SESSION_TYPES.includes(sessionType)) {
+    return { valid: false, error: `Invalid session type. Must be one of: ${SERIES_CONFIG.SESSION_TYPES.join(', ')}` };
+  }
+
+  if (!SERIES_CONFIG.FREQUENCIES.includes(frequency)) {
+    return { valid: false, error: `Invalid frequency. Must be one of: ${SERIES_CONFIG.FREQUENCIES.join(', ')}` };
+  }
+
+  const start = new Date(startDate);
+  if (!startDate || isNaN(start.getTime())) {
+    return { valid: false, error: 'A valid start date is required' };
+  }
+
+  if (start <= new Date()) {
+    return { valid: false, error: 'Start date must be in the future' };
+  }
+
+  if (!occurrences && !until) {
+    return { valid: false, error: 'Either occurrences or an end date (until) is required' };
+  }
+
+  if (occurrences && until) {
+    return { valid: false, error: 'Provide either occurrences or an end date (until), not both' };
+  }
+
+  if (occurrences) {
+    const count = Number(occurrences);
+    if (!Number.isInteger(count) || count < SERIES_CONFIG.MIN_OCCURRENCES || count > SERIES_CONFIG.MAX_OCCURRENCES) {
+      return { valid: false, error: `Occurrences must be between ${SERIES_CONFIG.MIN_OCCURRENCES} and ${SERIES_CONFIG.MAX_OCCURRENCES}` };
+    }
+  }
+
+  if (until) {
+    const end = new Date(until);
+    if (isNaN(end.getTime()) || end <= start) {
+      return { valid: false, error: 'End date must be after the start date' };
+    }
+  }
+
+  const dates = generateOccurrenceDates(start, frequency, { occurrences: occurrences && Number(occurrences), until });
+  if (dates.length < SERIES_CONFIG.MIN_OCCURRENCES) {
+    return { valid: false, error: `A series needs at least ${SERIES_CONFIG.MIN_OCCURRENCES} occurrences` };
+  }
+
+  const spanDays = (dates[dates.length - 1] - dates[0]) / (1000 * 60 * 60 * 24);
+  if (spanDays > SERIES_CONFIG.MAX_SERIES_DAYS) {
+    return { valid: false, error: `A series cannot span more than ${SERIES_CONFIG.MAX_SERIES_DAYS} days` };
+  }
+
+  return { valid: true, dates };
+}
+
+class SessionSeriesService {
+  constructor() {
+    this.Session = null;
+    this.SessionSeries = null;
+    this.User = null;
+  }
+
+  async initialize() {
+    if (!this.Session) this.Session = require('../models/Session');
+    if (!this.SessionSeries) this.SessionSeries = require('../models/SessionSeries');
+    if (!this.User) this.User = require('../models/User');
+  }
+
+  /**
+   * Book a recurring series. All occurrences are checked first and the
+   * series is only created when every slot is free (all-or-nothing), so a
+   * client never ends up with a partial series they did not ask for.
+   */
+  async createSeries(clientId, request) {
+    await this.initialize();
+
+    const validation = validateSeriesRequest(request);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    const { psychologistId, sessionType, frequency } = request;
+
+    const client = await this.User.findById(clientId);
+    if (!client || client.role !== 'client') {
+      throw new Error('User is not authorized to book sessions');
+    }
+
+    const psychologist = await this.User.findById(psychologistId);
+    if (!psychologist || psychologist.role !== 'psychologist') {
+      throw new Error('Invalid psychologist selected');
+    }
+
+    // Lock the rate effective now for every occurrence
+    const bookedAt = new Date();
+    const rateResult = await getRateAtDate(psychologistId, sessionType, bookedAt);
+    if (!rateResult.success) {
+      throw new Error(`Failed to determine session rate: ${rateResult.error}`);
+    }
+    const rate = rateResult.rate;
+    const duration = rate.duration || 60;
+
+    // Reserve every slot before creating anything
+    const conflicts = [];
+    for (const date of validation.dates) {
+      const availability = await checkBookingSlotAvailability(psychologistId, date, duration, {
+        enforceMaxAdvance: false
+      });
+      if (!availability.available) {
+        conflicts.push({ sessionDate: date, reason: availability.reason });
+      }
+    }
+
+    if (conflicts.length > 0) {
+      const error = new Error(`${conflicts.length} of ${validation.dates.length} occurrences are not available`);
+      error.conflicts = conflicts;
+      throw error;
+    }
+
+    const series = await this.SessionSeries.create({
+      client: clientId,
+      psychologist: psychologistId,
+      sessionType,
+      frequency,
+      startDate: validation.dates[0],
+      occurrences: request.occurrences ? Number(request.occurrences) : undefined,
+      until: request.until ? new Date(request.until) : undefined,
+      lockedRate: {
+        amount: rate.amount,
+        duration,
+        source: rate.source,
+        rateId: rate.rateId,
+        lockedAt: bookedAt
+      }
+    });
+
+    const sessions = [];
+    try {
+      for (let i = 0; i < validation.dates.length; i++) {
+        const session = await new this.Session({
+          client: clientId,
+          psychologist: psychologistId,
+          sessionType,
+          sessionDate: validation.dates[i],
+          price: rate.amount,
+          sessionRate: rate.amount,
+          duration,
+          status: 'Pending Approval',
+          paymentStatus: 'Pending',
+          meetingLink: generateMeetingLink(),
+          isVideoCall: true,
+          series: series._id,
+          seriesIndex: i + 1
+        }).save();
+        sessions.push(session);
+      }
+    } catch (error) {
+      // Roll back the partial series
+      await this.Session.deleteMany({ series: series._id });
+      await this.SessionSeries.deleteOne({ _id: series._id });
+      throw error;
+    }
+
+    series.sessions = sessions.map(s => s._id);
+    await series.save();
+
+    await logAuditEvent({
+      action: 'SESSION_CREATE',
+      userId: clientId,
+      sessionId: sessions[0]._id,
+      details: {
+        seriesId: series._id,
+        frequency,
+        occurrences: sessions.length,
+        lockedAmount: rate.amount
+      }
+    });
+
+    await this.sendSeriesRequestNotifications(sessions[0], client, psychologist);
+
+    sessions.forEach(session => this.emitBooked(session));
+
+    return { series, sessions };
+  }
+
+  /**
+   * Announce a newly booked occurrence to listeners (e.g. outcome measures)
+   */
+  emitBooked(session) {
+    eventBus.emitEvent(SESSION_EVENTS.BOOKED, {
+      sessionId: session._id.toString(),
+      therapistId: session.psychologist.toString(),
+      clientId: session.client.toString(),
+      sessionDate: session.sessionDate,
+      sessionType: session.sessionType,
+      seriesId: session.series.toString()
+    });
+  }
+
+  async sendSeriesRequestNotifications(firstSession, client, psychologist) {
+    try {
+      const {
+        sendBookingConfirmationNotification,
+        sendSessionRequestNotification
+      } = require('../utils/notificationService');
+
+      await sendBookingConfirmationNotification(firstSession, client, psychologist);
+      await sendSessionRequestNotification(firstSession, client, psychologist);
+    } catch (error) {
+      console.error('⚠️ Failed to send series booking notifications:', error.message);
+    }
+  }
+
+  /**
+   * Load a series the user participates in
+   */
+  async getSeries(seriesId, userId, role) {
+    await this.initialize();
+
+    const series = await this.SessionSeries.findById(seriesId)
+      .populate('client', 'name email')
+      .populate('psychologist', 'name email');
+
+    if (!series) {
+      throw new Error('Series not found');
+    }
+
+    const isClient = series.client._id.toString() === userId;
+    const isTherapist = series.psychologist._id.toString() === userId;
+    if (!isClient && !isTherapist && role !== 'admin') {
+      throw new Error('Not authorized to view this series');
+    }
+
+    const sessions = await this.Session.find({ series: series._id })
+      .select('sessionDate status paymentStatus price bookingReference seriesIndex rescheduleStatus')
+      .sort({ sessionDate: 1 });
+
+    return { series, sessions };
+  }
+
+  async getUserSeries(userId, role) {
+    await this.initialize();
+
+    const query = role === 'psychologist' ? { psychologist: userId } : { client: userId };
+    return this.SessionSeries.find(query)
+      .populate('client', 'name email')
+      .populate('psychologist', 'name email')
+      .sort({ startDate: -1 });
+  }
+
+  /**
+   * Occurrences still open for series-wide changes, from a given session onwards
+   */
+  async getRemainingOccurrences(seriesId, fromSessionId = null) {
+    await this.initialize();
+
+    const now = new Date();
+    let fromDate = now;
+
+    if (fromSessionId) {
+      const fromSession = await this.Session.findOne({ _id: fromSessionId, series: seriesId });
+      if (!fromSession) {
+        throw new Error('Session is not part of this series');
+      }
+      fromDate = fromSession.sessionDate > now ? fromSession.sessionDate : now;
+    }
+
+    return this.Session.find({
+      series: seriesId,
+      sessionDate: { $gte: fromDate },
+      status: { $nin: SERIES_CONFIG.CLOSED_STATUSES }
+    }).sort({ sessionDate: 1 });
+  }
+
+  /**
+   * Cancel one occurrence or the remaining series.
+   * Each occurrence goes through cancellationService so the normal refund
+   * policy applies per session; admins cancel through its admin path.
+   */
+  async cancel(seriesId, userId, role, { scope, sessionId, reason, notes = '' }) {
+    const { series } = await this.getSeries(seriesId, userId, role);
+    const cancelOccurrence = (occurrenceId) => (role === 'admin'
+      ? cancellationService.adminCancelSession(occurrenceId, userId, reason, notes)
+      : cancellationService.cancelSession(occurrenceId, userId, reason, notes));
+
+    if (!SERIES_CONFIG.SCOPES.includes(scope)) {
+      throw new Error(`Invalid scope. Must be one of: ${SERIES_CONFIG.SCOPES.join(', ')}`);
+    }
+
+    if (scope === 'occurrence') {
+      if (!sessionId) {
+        throw new Error('Session ID is required to cancel a single occurrence');
+      }
+      await this.assertInSeries(seriesId, sessionId);
+      const result = await cancelOccurrence(sessionId);
+      return { scope, results: [result], failures: [] };
+    }
+
+    const remaining = await this.getRemainingOccurrences(seriesId, sessionId);
+    const results = [];
+    const failures = [];
+
+    for (const occurrence of remaining) {
+      try {
+        results.push(await cancelOccurrence(occurrence._id.toString()));
+      } catch (error) {
+        failures.push({ sessionId: occurrence._id, sessionDate: occurrence.sessionDate, error: error.message });
+      }
+    }
+
+    // The series ends once nothing is left open
+    const stillOpen = await this.Session.countDocuments({
+      series: seriesId,
+      status: { $nin: SERIES_CONFIG.CLOSED_STATUSES }
+    });
+    if (stillOpen === 0) {
+      series.status = 'cancelled';
+      series.cancelledAt = new Date();
+      if (role === 'admin') {
+        series.cancelledBy = 'admin';
+      } else {
+        series.cancelledBy = series.client._id.toString() === userId ? 'client' : 'therapist';
+      }
+      series.cancellationReason = reason;
+      await series.save();
+    }
+
+    return { scope, results, failures };
+  }
+
+  /**
+   * Reschedule one occurrence or shift the remaining series.
+   * For the remaining series, every occurrence moves by the same offset as
+   * the first remaining one, keeping the recurrence pattern.
+   */
+  async reschedule(seriesId, userId, role, { scope, sessionId, newDate, reason, notes = '' }) {
+    await this.getSeries(seriesId, userId, role);
+
+    if (!SERIES_CONFIG.SCOPES.includes(scope)) {
+      throw new Error(`Invalid scope. Must be one of: ${SERIES_CONFIG.SCOPES.join(', ')}`);
+    }
+
+    const target = new Date(newDate);
+    if (!newDate || isNaN(target.getTime())) {
+      throw new Error('A valid new date is required');
+    }
+
+    if (scope === 'occurrence') {
+      if (!sessionId) {
+        throw new Error('Session ID is required to reschedule a single occurrence');
+      }
+      await this.assertInSeries(seriesId, sessionId);
+      const result = await reschedulingService.requestReschedule(sessionId, userId, target, reason, notes, role);
+      return { scope, results: [result], failures: [] };
+    }
+
+    const remaining = await this.getRemainingOccurrences(seriesId, sessionId);
+    if (remaining.length === 0) {
+      throw new Error('No remaining occurrences to reschedule');
+    }
+
+    const offsetMs = target.getTime() - new Date(remaining[0].sessionDate).getTime();
+    const results = [];
+    const failures = [];
+
+    for (const occurrence of remaining) {
+      const shiftedDate = new Date(new Date(occurrence.sessionDate).getTime() + offsetMs);
+      try {
+        results.push(await reschedulingService.requestReschedule(
+          occurrence._id.toString(), userId, shiftedDate, reason, notes, role
+        ));
+      } catch (error) {
+        failures.push({ sessionId: occurrence._id, requestedDate: shiftedDate, error: error.message });
+      }
+    }
+
+    return { scope, offsetMinutes: Math.round(offsetMs / 60000), results, failures };
+  }
+
+  async assertInSeries(seriesId, sessionId) {
+    await this.initialize();
+    const session = await this.Session.findOne({ _id: sessionId, series: seriesId }).select('_id');
+    if (!session) {
+      throw new Error('Session is not part of this series');
+    }
+    return session;
+  }
+}
+
+const sessionSeriesService = new SessionSeriesService();
+
+module.exports = {
+  sessionSeriesService,
+  SessionSeriesService,
+  SERIES_CONFIG,
+  generateOccurrenceDates,
+  validateSeriesRequest
+};
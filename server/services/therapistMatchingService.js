@@ -0,0 +1,384 @@
+/**
+ * Therapist Matching Service
+ *
+ * Ranks approved therapists for a client:
+ * - Specializations against intake-form symptoms and goals
+ * - Preferred therapy approach and language from the client profile
+ * - Current SessionRate against the client's price range
+ * - Open slots in the next N days from availability windows
+ *
+ * Every factor returns points plus a plain-language reason so the final
+ * score can be explained to the client. Factors without client input
+ * (e.g. no price range given) are left out of the score entirely.
+ */
+
+const { getRateAtDate } = require('../utils/rateLockingService');
+
+const MATCHING_CONFIG = {
+  // Maximum points per factor
+  WEIGHTS: {
+    SPECIALIZATION: 35,
+    APPROACH: 15,
+    LANGUAGE: 20,
+    PRICE: 15,
+    AVAILABILITY: 15
+  },
+  // Open slots needed for full availability points
+  TARGET_OPEN_SLOTS: 5,
+  DEFAULT_DAYS: 14,
+  MAX_DAYS: 30,
+  DEFAULT_LIMIT: 10,
+  MAX_LIMIT: 50,
+  SESSION_TYPES: ['Individual', 'Couples', 'Family', 'Group'],
+  ACTIVE_SESSION_STATUSES: ['Pending Approval', 'Approved', 'Payment Submitted', 'Confirmed', 'Booked', 'In Progress'],
+  // Client wording that maps onto common specialization names
+  KEYWORD_SYNONYMS: {
+    anxiety: ['anxious', 'panic', 'worry', 'worried', 'nervous', 'stress', 'stressed', 'fear'],
+    depression: ['depressed', 'sad', 'hopeless', 'low', 'empty', 'unmotivated'],
+    trauma: ['ptsd', 'abuse', 'assault', 'flashbacks', 'nightmares', 'violence'],
+    grief: ['loss', 'bereavement', 'mourning', 'died', 'death'],
+    relationship: ['relationships', 'marriage', 'partner', 'couples', 'divorce', 'breakup'],
+    addiction: ['alcohol', 'drugs', 'substance', 'gambling', 'drinking'],
+    family: ['parenting', 'children', 'parents', 'siblings'],
+    'self-esteem': ['confidence', 'worth', 'insecure'],
+    sleep: ['insomnia', 'sleeping'],
+    anger: ['angry', 'rage', 'temper']
+  },
+  // preferredTherapyType values that describe a session format rather than an approach
+  FORMAT_PREFERENCES: {
+    Family: 'Family',
+    Group: 'Group'
+  }
+};
+
+const STOP_WORDS = new Set([
+  'and', 'the', 'for', 'with', 'from', 'that', 'this', 'have', 'feel', 'feeling',
+  'want', 'would', 'like', 'more', 'about', 'therapy', 'general', 'issues', 'management'
+]);
+
+/**
+ * Split free text into lowercase keywords
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  if (!text) return [];
+  return String(text)
+    .toLowerCase()
+    .split(/[^a-z0-9-]+/)
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word));
+}
+
+/**
+ * Find the specializations that match a client's symptoms and goals
+ * @param {string[]} specializations - Therapist specializations
+ * @param {string[]} clientKeywords - Keywords from intake and profile
+ * @returns {string[]} - Matched specializations
+ */
+function matchSpecializations(specializations = [], clientKeywords = []) {
+  const keywords = new Set(clientKeywords);
+
+  return specializations.filter(spec => {
+    return tokenize(spec).some(term => {
+      if (keywords.has(term)) return true;
+      const synonyms = MATCHING_CONFIG.KEYWORD_SYNONYMS[term] || [];
+      return synonyms.some(synonym => keywords.has(synonym));
+    });
+  });
+}
+
+/**
+ * Score one therapist against the client's criteria
+ *
+ * @param {Object} therapist - Therapist with psychologistDetails
+ * @param {Object} criteria - { keywords, preferredTherapyType, language, minPrice, maxPrice, days }
+ * @param {Object} context - { rate, openSlots } looked up for this therapist
+ * @returns {Object} - { score (0-100), factors: [{ factor, points, maxPoints, reason }] }
+ */
+function scoreTherapist(therapist, criteria, context = {}) {
+  const details = therapist.psychologistDetails || {};
+  const { WEIGHTS } = MATCHING_CONFIG;
+  const factors = [];
+
+  // Specializations vs intake symptoms/goals - full points from two matches
+  if (criteria.keywords && criteria.keywords.length > 0) {
+    const matched = matchSpecializations(details.specializations, criteria.keywords);
+    const points = matched.length === 0
+      ? 0
+      : Math.round(WEIGHTS.SPECIALIZATION * Math.min(1, 0.7 + 0.3 * (matched.length - 1)));
+    factors.push({
+      factor: 'specialization',
+      points,
+      maxPoints: WEIGHTS.SPECIALIZATION,
+      reason: matched.length > 0
+        ? `Specializes in ${matched.join(', ')}`
+        : 'No specialization matches your intake concerns'
+    });
+  }
+
+  // Preferred therapy approach (CBT, DBT, ...)
+  const approach = criteria.preferredTherapyType;
+  if (approach && approach !== 'No Preference' && !MATCHING_CONFIG.FORMAT_PREFERENCES[approach]) {
+    const haystack = [...(details.specializations || []), details.bio || '']
+      .join(' ')
+      .toLowerCase();
+    const offersApproach = haystack.includes(approach.toLowerCase());
+    factors.push({
+      factor: 'approach',
+      points: offersApproach ? WEIGHTS.APPROACH : 0,
+      maxPoints: WEIGHTS.APPROACH,
+      reason: offersApproach ? `Offers ${approach}` : `Does not list ${approach}`
+    });
+  }
+
+  // Language
+  if (criteria.language) {
+    const languages = (details.languages || []).map(l => l.toLowerCase());
+    const speaks = languages.includes(criteria.language.toLowerCase());
+    factors.push({
+      factor: 'language',
+      points: speaks ? WEIGHTS.LANGUAGE : 0,
+      maxPoints: WEIGHTS.LANGUAGE,
+      reason: speaks ? `Speaks ${criteria.language}` : `Does not list ${criteria.language}`
+    });
+  }
+
+  // Price range
+  const hasRange = criteria.minPrice != null || criteria.maxPrice != null;
+  if (hasRange && context.rate) {
+    const amount = context.rate.amount;
+    const min = criteria.minPrice != null ? criteria.minPrice : 0;
+    const max = criteria.maxPrice != null ? criteria.maxPrice : Infinity;
+    let points;
+    let reason;
+
+    if (amount >= min && amount <= max) {
+      points = WEIGHTS.PRICE;
+      reason = `Rate of KES ${amount} is within your budget`;
+    } else {
+      // Lose points in proportion to how far outside the range the rate is
+      const distance = amount > max ? amount - max : min - amount;
+      const reference = amount > max ? max : Math.max(min, 1);
+      points = Math.max(0, Math.round(WEIGHTS.PRICE * (1 - distance / reference)));
+      reason = amount > max
+        ? `Rate of KES ${amount} is above your budget`
+        : `Rate of KES ${amount} is below your minimum`;
+    }
+
+    factors.push({ factor: 'price', points, maxPoints: WEIGHTS.PRICE, reason });
+  }
+
+  // Availability in the next N days
+  if (context.openSlots != null) {
+    const ratio = Math.min(1, context.openSlots / MATCHING_CONFIG.TARGET_OPEN_SLOTS);
+    factors.push({
+      factor: 'availability',
+      points: Math.round(WEIGHTS.AVAILABILITY * ratio),
+      maxPoints: WEIGHTS.AVAILABILITY,
+      reason: context.openSlots > 0
+        ? `${context.openSlots} open slot${context.openSlots === 1 ? '' : 's'} in the next ${criteria.days} days`
+        : `No open slots in the next ${criteria.days} days`
+    });
+  }
+
+  const earned = factors.reduce((sum, f) => sum + f.points, 0);
+  const possible = factors.reduce((sum, f) => sum + f.maxPoints, 0);
+
+  return {
+    score: possible > 0 ? Math.round((earned / possible) * 100) : 0,
+    factors
+  };
+}
+
+class TherapistMatchingService {
+  constructor() {
+    this.User = null;
+    this.IntakeForm = null;
+    this.Session = null;
+    this.AvailabilityWindow = null;
+  }
+
+  async initialize() {
+    if (!this.User) this.User = require('../models/User');
+    if (!this.IntakeForm) this.IntakeForm = require('../models/IntakeForm');
+    if (!this.Session) this.Session = require('../models/Session');
+    if (!this.AvailabilityWindow) this.AvailabilityWindow = require('../models/AvailabilityWindow');
+  }
+
+  /**
+   * Collect keywords from the client's most recent intake form
+   */
+  async getIntakeKeywords(clientId) {
+    const intake = await this.IntakeForm.findOne({ client: clientId }).sort({ createdAt: -1 });
+    if (!intake) return [];
+
+    const data = intake.getDecryptedData();
+    return tokenize([data.currentSymptoms, data.therapyGoals, data.preferredApproach].join(' '));
+  }
+
+  /**
+   * Count bookable slots for a session type over the next N days
+   * @returns {Promise<Object>} - { openSlots, nextAvailable }
+   */
+  async getOpenSlots(therapistId, sessionType, days, now = new Date()) {
+    const end = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+
+    const booked = await this.Session.find({
+      psychologist: therapistId,
+      sessionDate: { $gte: now, $lte: end },
+      status: { $in: MATCHING_CONFIG.ACTIVE_SESSION_STATUSES }
+    }).select('sessionDate');
+
+    let openSlots = 0;
+    let nextAvailable = null;
+    const day = new Date(now);
+    day.setHours(0, 0, 0, 0);
+
+    while (day <= end) {
+      const slots = await this.AvailabilityWindow.getAvailableSlots(therapistId, day, 60);
+
+      for (const slot of slots) {
+        if (!slot.sessionTypes.includes(sessionType)) continue;
+
+        const [h, m] = slot.startTime.split(':').map(Number);
+        const start = new Date(day);
+        start.setHours(h, m, 0, 0);
+        if (start <= now || start > end) continue;
+
+        const slotEnd = start.getTime() + 60 * 60000;
+        const taken = booked.some(s => {
+          const sessionStart = new Date(s.sessionDate).getTime();
+          const sessionEnd = sessionStart + 60 * 60000;
+          return start.getTime() < sessionEnd && slotEnd > sessionStart;
+        });
+        if (taken) continue;
+
+        openSlots++;
+        if (!nextAvailable || start < nextAvailable) nextAvailable = start;
+      }
+
+      day.setDate(day.getDate() + 1);
+    }
+
+    return { openSlots, nextAvailable };
+  }
+
+  /**
+   * Rank approved therapists for a client
+   *
+   * @param {string} clientId
+   * @param {Object} options - { sessionType, days, minPrice, maxPrice, language, limit }
+   * @returns {Promise<Object>} - { criteria, matches }
+   */
+  async findMatches(clientId, options = {}) {
+    await this.initialize();
+
+    const sessionType = options.sessionType || 'Individual';
+    if (!MATCHING_CONFIG.SESSION_TYPES.includes(sessionType)) {
+      throw new Error(`Invalid session type. Must be one of: ${MATCHING_CONFIG.SESSION_TYPES.join(', ')}`);
+    }
+
+    const days = Math.min(parseInt(options.days, 10) || MATCHING_CONFIG.DEFAULT_DAYS, MATCHING_CONFIG.MAX_DAYS);
+    const limit = Math.min(parseInt(options.limit, 10) || MATCHING_CONFIG.DEFAULT_LIMIT, MATCHING_CONFIG.MAX_LIMIT);
+    const minPrice = options.minPrice != null && options.minPrice !== '' ? Number(options.minPrice) : null;
+    const maxPrice = options.maxPrice != null && options.maxPrice !== '' ? Number(options.maxPrice) : null;
+
+    if ((minPrice != null && isNaN(minPrice)) || (maxPrice != null && isNaN(maxPrice))) {
+      throw new Error('Price range must be numeric');
+    }
+    if (minPrice != null && maxPrice != null && minPrice > maxPrice) {
+      throw new Error('Minimum price cannot exceed maximum price');
+    }
+
+    const client = await this.User.findById(clientId).select('preferredTherapyType preferredLanguage therapyGoals');
+    if (!client) {
+      throw new Error('Client not found');
+    }
+
+    const intakeKeywords = await this.getIntakeKeywords(clientId);
+    const keywords = [...new Set([...intakeKeywords, ...tokenize((client.therapyGoals || []).join(' '))])];
+
+    const criteria = {
+      sessionType,
+      days,
+      minPrice,
+      maxPrice,
+      keywords,
+      preferredTherapyType: client.preferredTherapyType,
+      language: options.language || client.preferredLanguage
+    };
+
+    // Format preferences (Family/Group) narrow the session type only when none was requested
+    const formatPreference = MATCHING_CONFIG.FORMAT_PREFERENCES[client.preferredTherapyType];
+    if (!options.sessionType && formatPreference) {
+      criteria.sessionType = formatPreference;
+    }
+
+    // Only therapists who offer the requested session type can be booked
+    const therapists = await this.User.find({
+      role: 'psychologist',
+      status: { $ne: 'deleted' },
+      'psychologistDetails.approvalStatus': 'approved',
+      'psychologistDetails.therapyTypes': criteria.sessionType
+    }).select('name profilePicture psychologistDetails');
+
+    const now = new Date();
+    const matches = await Promise.all(therapists.map(async (therapist) => {
+      const [rateResult, availability] = await Promise.all([
+        getRateAtDate(therapist._id, criteria.sessionType, now),
+        this.getOpenSlots(therapist._id, criteria.sessionType, days, now)
+      ]);
+      const rate = rateResult.success ? rateResult.rate : null;
+
+      const { score, factors } = scoreTherapist(therapist, criteria, {
+        rate,
+        openSlots: availability.openSlots
+      });
+
+      const details = therapist.psychologistDetails || {};
+      return {
+        therapist: {
+          id: therapist._id,
+          name: therapist.name,
+          profilePicture: therapist.profilePicture || details.profilePictureUrl,
+          specializations: details.specializations || [],
+          languages: details.languages || [],
+          therapyTypes: details.therapyTypes || [],
+          experience: details.experience
+        },
+        rate: rate ? { amount: rate.amount, duration: rate.duration } : null,
+        openSlots: availability.openSlots,
+        nextAvailable: availability.nextAvailable,
+        score,
+        factors
+      };
+    }));
+
+    // Highest score first; sooner availability breaks ties
+    matches.sort((a, b) => {
+      if (b.score !== a.score) return b.score - a.score;
+      const aNext = a.nextAvailable ? a.nextAvailable.getTime() : Infinity;
+      const bNext = b.nextAvailable ? b.nextAvailable.getTime() : Infinity;
+      return aNext - bNext;
+    });
+
+    // Keywords are derived from encrypted intake data - keep them server-side
+    const { keywords: _keywords, ...publicCriteria } = criteria;
+
+    return {
+      criteria: { ...publicCriteria, usedIntake: intakeKeywords.length > 0 },
+      matches: matches.slice(0, limit)
+    };
+  }
+}
+
+const therapistMatchingService = new TherapistMatchingService();
+
+module.exports = {
+  therapistMatchingService,
+  TherapistMatchingService,
+  MATCHING_CONFIG,
+  tokenize,
+  matchSpecializations,
+  scoreTherapist
+};
@@ -0,0 +1,365 @@
+/**
+ * Treatment Plan Service
+ *
+ * Structured treatment planning for a client-therapist pair:
+ * - Problems, measurable goals with target dates, and interventions
+ * - Goal progress recorded against sessions
+ * - Every change is a new plan version (see TreatmentPlan.createNewVersion)
+ * - Session notes link to the plan version current when they were written
+ * - Client-visible summary, shared per plan like SessionNote.isClientVisible
+ */
+
+const mongoose = require('mongoose');
+const { logTreatmentPlanEvent } = require('../utils/auditLogger');
+
+const TREATMENT_PLAN_CONFIG = {
+  MAX_PROBLEMS: 10,
+  MAX_GOALS: 20,
+  MAX_INTERVENTIONS: 20
+};
+
+/**
+ * Assign IDs to new problems and goals and resolve cross-references.
+ * Goals point at a problem and interventions at goals either by existing
+ * _id or, for items created in the same request, by array index.
+ * @param {Object} input - { problems, goals, interventions }
+ * @returns {Object} - Resolved { problems, goals, interventions }
+ */
+function resolvePlanReferences({ problems = [], goals = [], interventions = [] }) {
+  if (problems.length > TREATMENT_PLAN_CONFIG.MAX_PROBLEMS) {
+    throw new Error(`A plan can have at most ${TREATMENT_PLAN_CONFIG.MAX_PROBLEMS} problems`);
+  }
+  if (goals.length > TREATMENT_PLAN_CONFIG.MAX_GOALS) {
+    throw new Error(`A plan can have at most ${TREATMENT_PLAN_CONFIG.MAX_GOALS} goals`);
+  }
+  if (interventions.length > TREATMENT_PLAN_CONFIG.MAX_INTERVENTIONS) {
+    throw new Error(`A plan can have at most ${TREATMENT_PLAN_CONFIG.MAX_INTERVENTIONS} interventions`);
+  }
+
+  const withId = (item) => ({ ...item, _id: item._id || new mongoose.Types.ObjectId() });
+  const resolvedProblems = problems.map(withId);
+  const resolvedGoals = goals.map(withId);
+
+  const resolveRef = (ref, items, kind) => {
+    if (ref === undefined || ref === null) return undefined;
+    if (typeof ref === 'number') {
+      if (!items[ref]) throw new Error(`Unknown ${kind} index ${ref}`);
+      return items[ref]._id;
+    }
+    const match = items.find(item => item._id.toString() === ref.toString());
+    if (!match) throw new Error(`Unknown ${kind} ${ref}`);
+    return match._id;
+  };
+
+  for (const goal of resolvedGoals) {
+    if (!goal.description || !goal.measure) {
+      throw new Error('Each goal needs a description and how it will be measured');
+    }
+    if (goal.targetDate && isNaN(new Date(goal.targetDate).getTime())) {
+      throw new Error('Invalid goal target date');
+    }
+    goal.problem = resolveRef(goal.problem, resolvedProblems, 'problem');
+  }
+
+  const resolvedInterventions = interventions.map(intervention => ({
+    ...intervention,
+    goals: (intervention.goals || []).map(ref => resolveRef(ref, resolvedGoals, 'goal'))
+  }));
+
+  return {
+    problems: resolvedProblems,
+    goals: resolvedGoals,
+    interventions: resolvedInterventions
+  };
+}
+
+/**
+ * Most recent progress entry for a goal, if any
+ */
+function getLatestProgress(goal) {
+  const progress = goal.progress || [];
+  return progress.length > 0 ? progress[progress.length - 1] : null;
+}
+
+/**
+ * What a client sees of a shared plan: goals and where they stand,
+ * without problem formulations, interventions or progress notes
+ */
+function toClientSummary(plan) {
+  return {
+    _id: plan._id,
+    therapist: plan.therapist,
+    status: plan.status,
+    clientSummary: plan.clientSummary,
+    startDate: plan.startDate,
+    reviewDate: plan.reviewDate,
+    version: plan.version,
+    updatedAt: plan.updatedAt,
+    goals: (plan.goals || []).map(goal => {
+      const latest = getLatestProgress(goal);
+      return {
+        _id: goal._id,
+        description: goal.description,
+        target: goal.target,
+        targetDate: goal.targetDate,
+        status: goal.status,
+        percentComplete: latest ? latest.percentComplete : null
+      };
+    })
+  };
+}
+
+class TreatmentPlanService {
+  constructor() {
+    this.TreatmentPlan = null;
+    this.Session = null;
+    this.SessionNote = null;
+  }
+
+  async initialize() {
+    if (!this.TreatmentPlan) this.TreatmentPlan = require('../models/TreatmentPlan');
+    if (!this.Session) this.Session = require('../models/Session');
+    if (!this.SessionNote) this.SessionNote = require('../models/SessionNote');
+  }
+
+  async assertTherapistOfClient(user, clientId) {
+    await this.initialize();
+
+    if (user.role !== 'psychologist') {
+      throw new Error('Not authorized: only therapists can manage treatment plans');
+    }
+    const relationship = await this.Session.exists({ psychologist: user.id, client: clientId });
+    if (!relationship) {
+      throw new Error('Not authorized: no sessions with this client');
+    }
+  }
+
+  /**
+   * Load a plan the user may read; therapists only their own, admins any
+   */
+  async getPlanForUser(user, planId) {
+    await this.initialize();
+
+    const plan = await this.TreatmentPlan.findById(planId);
+    if (!plan) {
+      throw new Error('Treatment plan not found');
+    }
+    if (user.role !== 'admin' && plan.therapist.toString() !== user.id) {
+      throw new Error('Not authorized to access this treatment plan');
+    }
+    return plan;
+  }
+
+  async getEditablePlan(user, planId) {
+    const plan = await this.getPlanForUser(user, planId);
+    if (plan.therapist.toString() !== user.id) {
+      throw new Error('Not authorized to change this treatment plan');
+    }
+    return plan;
+  }
+
+  async createPlan(user, input) {
+    const { clientId } = input;
+    await this.assertTherapistOfClient(user, clientId);
+
+    const existing = await this.TreatmentPlan.getLatestPlan(clientId, user.id);
+    if (existing) {
+      throw new Error('A treatment plan already exists for this client; update it instead');
+    }
+
+    const plan = await this.TreatmentPlan.create({
+      client: clientId,
+      therapist: user.id,
+      ...resolvePlanReferences(input),
+      status: input.status,
+      startDate: input.startDate,
+      reviewDate: input.reviewDate,
+      clientSummary: input.clientSummary,
+      isClientVisible: input.isClientVisible === true,
+      editHistory: [{ editedBy: user.id, changeDescription: 'Treatment plan created' }]
+    });
+
+    await logTreatmentPlanEvent({
+      actionType: 'TREATMENT_PLAN_CREATED',
+      planId: plan._id,
+      clientId,
+      userId: user.id,
+      userRole: user.role,
+      version: plan.version,
+      newStatus: plan.status
+    });
+
+    return plan;
+  }
+
+  /**
+   * Current plan for a client; admins must say which therapist's plan
+   */
+  async getCurrentPlan(user, clientId, therapistId) {
+    await this.initialize();
+
+    if (user.role === 'admin') {
+      if (!therapistId) throw new Error('therapistId is required');
+      return this.TreatmentPlan.getLatestPlan(clientId, therapistId);
+    }
+
+    await this.assertTherapistOfClient(user, clientId);
+    return this.TreatmentPlan.getLatestPlan(clientId, user.id);
+  }
+
+  async updatePlan(user, planId, changes, changeDescription) {
+    const plan = await this.getEditablePlan(user, planId);
+    const current = plan.toObject();
+
+    const structure = resolvePlanReferences({
+      problems: changes.problems !== undefined ? changes.problems : current.problems,
+      goals: changes.goals !== undefined ? changes.goals : current.goals,
+      interventions: changes.interventions !== undefined ? changes.interventions : current.interventions
+    });
+
+    const newPlan = await this.TreatmentPlan.createNewVersion(
+      planId,
+      {
+        ...structure,
+        status: changes.status,
+        startDate: changes.startDate,
+        reviewDate: changes.reviewDate,
+        clientSummary: changes.clientSummary,
+        isClientVisible: typeof changes.isClientVisible === 'boolean' ? changes.isClientVisible : undefined
+      },
+      user.id,
+      changeDescription
+    );
+
+    await logTreatmentPlanEvent({
+      actionType: 'TREATMENT_PLAN_UPDATED',
+      planId: newPlan._id,
+      clientId: newPlan.client,
+      userId: user.id,
+      userRole: user.role,
+      version: newPlan.version,
+      previousStatus: plan.status,
+      newStatus: newPlan.status
+    });
+
+    return newPlan;
+  }
+
+  /**
+   * Record progress towards a goal, optionally against a session
+   * Body: { percentComplete?, note?, sessionId?, status? }
+   */
+  async recordGoalProgress(user, planId, goalId, { percentComplete, note, sessionId, status }) {
+    const plan = await this.getEditablePlan(user, planId);
+
+    if (sessionId) {
+      const session = await this.Session.exists({ _id: sessionId, client: plan.client, psychologist: plan.therapist });
+      if (!session) {
+        throw new Error('Session does not belong to this treatment plan');
+      }
+    }
+
+    const goals = plan.toObject().goals;
+    const goal = goals.find(g => g._id.toString() === goalId);
+    if (!goal) {
+      throw new Error('Goal not found');
+    }
+
+    goal.progress.push({
+      recordedAt: new Date(),
+      recordedBy: user.id,
+      session: sessionId,
+      percentComplete,
+      note
+    });
+    if (status) {
+      goal.status = status;
+    } else if (goal.status === 'not_started') {
+      goal.status = 'in_progress';
+    }
+
+    return this.updatePlan(user, planId, { goals }, `Progress recorded on goal: ${goal.description}`);
+  }
+
+  /**
+   * Share or hide the client summary; changes the current version in place
+   * like SessionNote visibility
+   */
+  async setClientVisibility(user, planId, isClientVisible) {
+    const plan = await this.getEditablePlan(user, planId);
+    if (!plan.isLatest) {
+      throw new Error('Only the latest version of a treatment plan can be changed');
+    }
+
+    plan.isClientVisible = isClientVisible;
+    await plan.save();
+
+    await logTreatmentPlanEvent({
+      actionType: 'TREATMENT_PLAN_VISIBILITY_CHANGED',
+      planId: plan._id,
+      clientId: plan.client,
+      userId: user.id,
+      userRole: user.role,
+      version: plan.version,
+      metadata: { isClientVisible }
+    });
+
+    return plan;
+  }
+
+  async getVersionHistory(user, planId) {
+    const plan = await this.getPlanForUser(user, planId);
+    return this.TreatmentPlan.getPlanVersionHistory(plan.client, plan.therapist);
+  }
+
+  /**
+   * Latest session notes linked to any version of the plan
+   */
+  async getLinkedNotes(user, planId) {
+    const plan = await this.getPlanForUser(user, planId);
+    const versions = await this.TreatmentPlan.find({ client: plan.client, therapist: plan.therapist }).select('_id');
+
+    return this.SessionNote.find({
+      treatmentPlan: { $in: versions.map(v => v._id) },
+      isLatest: true
+    })
+      .populate('author', 'name email role')
+      .populate('session', 'sessionDate sessionType bookingReference')
+      .sort({ createdAt: -1 });
+  }
+
+  async getClientPlans(clientId) {
+    await this.initialize();
+    const plans = await this.TreatmentPlan.getClientVisiblePlans(clientId);
+    return plans.map(toClientSummary);
+  }
+
+  /**
+   * Plan a new session note should link to: the one given, which must be
+   * the current plan for the session's pair, or else that pair's current plan
+   * @returns {Promise<ObjectId|null>}
+   */
+  async resolvePlanForNote(session, treatmentPlanId) {
+    await this.initialize();
+
+    const current = await this.TreatmentPlan.getLatestPlan(session.client, session.psychologist);
+    if (!treatmentPlanId) {
+      return current ? current._id : null;
+    }
+    if (!current || current._id.toString() !== treatmentPlanId.toString()) {
+      throw new Error('Treatment plan is not the current plan for this session');
+    }
+    return current._id;
+  }
+}
+
+const treatmentPlanService = new TreatmentPlanService();
+
+module.exports = {
+  treatmentPlanService,
+  TreatmentPlanService,
+  TREATMENT_PLAN_CONFIG,
+  resolvePlanReferences,
+  getLatestProgress,
+  toClientSummary
+};
@@ -4,10 +4,18 @@
  * Requirements: Monitor call success rates and quality metrics
  */
 
+const { EventEmitter } = require('events');
 const { v4: uuidv4 } = require('uuid');
+const { CALL_MODE_CONFIG, classifyQualityReport, evaluateCallMode } = require('./callModeService');
 
-class VideoCallMetricsService {
+/**
+ * Emits 'call-mode-changed' ({ sessionId, mode, previousMode, reason })
+ * when quality reports move a call along the degradation ladder
+ */
+class VideoCallMetricsService extends EventEmitter {
   constructor() {
+    super();
+    
     // In-memory storage for real-time metrics (production should use Redis/database)
     this.metrics = {
       connectionAttempts: new Map(), // sessionId -> attempt data
@@ -15,6 +23,7 @@ class VideoCallMetricsService {
       completedCalls: new Map(), // sessionId -> completion data
       errors: new Map(), // sessionId -> error data
       qualityMetrics: new Map(), // sessionId -> quality data
+      callModes: new Map(), // sessionId -> { mode, changedAt, grades }
       dailyStats: new Map() // date -> daily aggregated stats
     };
     
@@ -255,8 +264,24 @@ class VideoCallMetricsService {
     });
   }
   
+  /**
+   * Keep only the recognised quality fields from a client report
+   */
+  sanitizeQualityMetrics(metrics = {}) {
+    const validMetrics = {};
+    if (typeof metrics.videoLatency === 'number') validMetrics.videoLatency = metrics.videoLatency;
+    if (typeof metrics.audioLatency === 'number') validMetrics.audioLatency = metrics.audioLatency;
+    if (typeof metrics.packetLoss === 'number') validMetrics.packetLoss = metrics.packetLoss;
+    if (typeof metrics.bandwidth === 'number') validMetrics.bandwidth = metrics.bandwidth;
+    if (typeof metrics.videoQuality === 'string') validMetrics.videoQuality = metrics.videoQuality;
+    if (typeof metrics.audioQuality === 'string') validMetrics.audioQuality = metrics.audioQuality;
+    if (typeof metrics.connectionQuality === 'string') validMetrics.connectionQuality = metrics.connectionQuality;
+    return validMetrics;
+  }
+  
   /**
    * Record quality metrics
+   * Reports carrying a userId also drive the call's degradation ladder
    */
   recordQualityMetrics(sessionId, metrics) {
     const activeCall = this.metrics.activeCalls.get(sessionId);
@@ -278,6 +303,60 @@ class VideoCallMetricsService {
     });
     
     console.log(`📊 Quality metrics recorded: ${sessionId}`, metrics);
+    
+    if (metrics.userId) {
+      return this.updateCallMode(sessionId, String(metrics.userId), classifyQualityReport(metrics));
+    }
+    return null;
+  }
+  
+  /**
+   * Current mode of a call on the degradation ladder
+   */
+  getCallMode(sessionId) {
+    return this.metrics.callModes.get(sessionId)?.mode || 'full';
+  }
+  
+  /**
+   * Add a participant's graded report and move the call if the ladder says so
+   */
+  updateCallMode(sessionId, userId, grade) {
+    if (!this.metrics.callModes.has(sessionId)) {
+      this.metrics.callModes.set(sessionId, { mode: 'full', changedAt: null, grades: {} });
+    }
+    
+    const state = this.metrics.callModes.get(sessionId);
+    const grades = state.grades[userId] || [];
+    grades.push(grade);
+    state.grades[userId] = grades.slice(-CALL_MODE_CONFIG.STEP_UP_AFTER);
+    
+    const change = evaluateCallMode(state);
+    if (change) {
+      this.setCallMode(sessionId, change.mode, change.reason);
+    }
+    return change;
+  }
+  
+  /**
+   * Move a call to a mode; grades start over so the next step is judged on
+   * how the call does in its new mode
+   */
+  setCallMode(sessionId, mode, reason) {
+    const state = this.metrics.callModes.get(sessionId) || { mode: 'full', grades: {} };
+    const previousMode = state.mode;
+    if (previousMode === mode) return;
+    
+    this.metrics.callModes.set(sessionId, { mode, changedAt: Date.now(), grades: {} });
+    
+    console.log(`📊 Call mode changed: ${sessionId} ${previousMode} → ${mode} (${reason})`);
+    this.emit('call-mode-changed', { sessionId, mode, previousMode, reason });
+  }
+  
+  /**
+   * Forget a finished call's mode
+   */
+  clearCallMode(sessionId) {
+    this.metrics.callModes.delete(sessionId);
   }
   
   /**
@@ -454,6 +533,7 @@ class VideoCallMetricsService {
       activeCall,
       completedCall,
       qualityMetrics,
+      callMode: this.getCallMode(sessionId),
       error,
       status: activeCall ? 'active' : (completedCall ? 'completed' : (error ? 'failed' : 'unknown'))
     };
@@ -633,6 +713,13 @@ class VideoCallMetricsService {
       }
     }
     
+    // Modes of calls that never reported ending
+    for (const [sessionId, state] of this.metrics.callModes.entries()) {
+      if (!this.metrics.activeCalls.has(sessionId) && (!state.changedAt || state.changedAt < cutoffTime.getTime())) {
+        this.metrics.callModes.delete(sessionId);
+      }
+    }
+    
     console.log('📊 Cleaned up old metrics data');
   }
   
@@ -4,9 +4,23 @@ const SessionStatusManager = require('../utils/sessionStatusManager');
 const jwt = require('jsonwebtoken');
 const { validateWebSocketOrigin } = require('../middleware/security');
 const videoCallMetricsService = require('./videoCallMetricsService');
+const { canJoinVideoRoom, isSessionHost } = require('../utils/sessionParticipants');
+const { edgeCaseHandler, getJoinTiming } = require('./edgeCaseHandler');
+const { recordingService, summarizeRecording } = require('./recordingService');
+const { callChatService, CALL_CHAT_CONFIG } = require('./callChatService');
+const { callModeService } = require('./callModeService');
+const {
+  createRoom,
+  addToWaitingRoom,
+  removeFromWaitingRoom,
+  admitFromWaitingRoom,
+  isAdmitted,
+  getWaitingList,
+  getRoomVideoState
+} = require('../utils/waitingRoom');
 
 let io;
-const activeRooms = new Map(); // roomId -> { participants, startTime, sessionId, callStarted }
+const activeRooms = new Map(); // roomId -> { participants, waiting, admitted, startTime, sessionId, sessionType, callStarted }
 
 function initializeVideoCallServer(server) {
   // Enhanced Socket.io configuration with WSS security
@@ -23,6 +37,8 @@ function initializeVideoCallServer(server) {
     },
     pingTimeout: 60000,
     pingInterval: 25000,
+    // Room for a file shared in the in-call chat plus its envelope
+    maxHttpBufferSize: CALL_CHAT_CONFIG.MAX_ATTACHMENT_BYTES + 1024 * 1024,
     // Force secure transport in production
     transports: process.env.NODE_ENV === 'production' ? ['websocket', 'polling'] : ['websocket', 'polling'],
     // Upgrade to secure transport
@@ -123,6 +139,10 @@ function initializeVideoCallServer(server) {
     next();
   });
 
+  // Once per process, however many times the server is initialised
+  videoCallMetricsService.removeListener('call-mode-changed', handleCallModeChange);
+  videoCallMetricsService.on('call-mode-changed', handleCallModeChange);
+
   io.on('connection', (socket) => {
     console.log(`🎥 Authenticated user connected: ${socket.user.name} (${socket.userRole}) - Socket: ${socket.id}`);
     
@@ -153,12 +173,10 @@ function initializeVideoCallServer(server) {
         }
         
         // Verify user is authorized for this session
-        const isAuthorized = 
-          session.clientId === userId ||
-          session.psychologistId === userId ||
-          userRole === 'admin';
+        // (booking client, co-participant, therapist, admin, or an enrolled group member)
+        const admission = canJoinVideoRoom(session, userId, userRole);
         
-        if (!isAuthorized) {
+        if (admission.reason === 'unauthorized') {
           console.warn(`🔒 Unauthorized room join attempt: User ${userId} tried to join session ${sessionId}`);
           
           // Record security incident
@@ -191,17 +209,17 @@ function initializeVideoCallServer(server) {
           return;
         }
         
-        // Verify payment status
-        const paymentValid = ['Confirmed', 'Paid', 'Verified'].includes(session.paymentStatus);
+        // Verify payment status (per seat for group sessions)
+        const paymentValid = admission.reason !== 'payment_not_confirmed';
         videoCallMetricsService.recordPaymentValidation(sessionId, paymentValid, session.paymentStatus);
         
-        if (!paymentValid) {
+        if (!admission.allowed) {
           videoCallMetricsService.recordConnectionFailure(
             attemptId,
-            'payment_not_confirmed',
-            'Payment must be confirmed before joining'
+            admission.reason,
+            admission.message
           );
-          socket.emit('join-error', { error: 'Payment must be confirmed before joining' });
+          socket.emit('join-error', { error: admission.message });
           return;
         }
         
@@ -227,15 +245,24 @@ function initializeVideoCallServer(server) {
           return;
         }
         
-        socket.join(roomId);
+        // Clients wait in the lobby until the host admits them; the late
+        // join rules decide whether they may still wait
+        const isHost = isSessionHost(session, userId, userRole);
+        const waitsForHost = !isHost && !(activeRooms.has(roomId) && isAdmitted(activeRooms.get(roomId), userId));
+        const timing = waitsForHost ? getJoinTiming(session.sessionDate) : null;
+        
+        if (timing && !timing.allowed) {
+          videoCallMetricsService.recordConnectionFailure(
+            attemptId,
+            'join_window_expired',
+            timing.reason
+          );
+          socket.emit('join-error', { error: timing.reason });
+          return;
+        }
         
         if (!activeRooms.has(roomId)) {
-          activeRooms.set(roomId, {
-            participants: [],
-            startTime: new Date(),
-            sessionId: sessionId,
-            callStarted: false
-          });
+          activeRooms.set(roomId, createRoom(sessionId, session.sessionType));
         }
         
         const room = activeRooms.get(roomId);
@@ -244,77 +271,23 @@ function initializeVideoCallServer(server) {
         const connectionTime = Date.now() - (socket.handshake.time || Date.now());
         videoCallMetricsService.recordConnectionSuccess(attemptId, connectionTime);
         
-        // Check if user is already in room (prevent duplicates)
-        const existingParticipant = room.participants.find(p => p.userId === userId);
-        if (existingParticipant) {
-          // Update socket ID for reconnection
-          existingParticipant.socketId = socket.id;
-          console.log(`🔄 User ${userName} reconnected to room ${roomId}`);
-        } else {
-          room.participants.push({ socketId: socket.id, userId, userName, userRole });
-          console.log(`👤 ${userName} (${userRole}) joined room ${roomId}`);
+        if (waitsForHost) {
+          addToWaitingRoom(room, { socketId: socket.id, userId, userName, userRole, timing });
+          console.log(`⏳ ${userName} (${userRole}) waiting to be admitted to room ${roomId}`);
           
-          // Record participant join
-          videoCallMetricsService.recordParticipantJoin(sessionId, userId, userRole);
-        }
-      
-      // If this is the second participant and call hasn't started, auto-start the call
-      if (room.participants.length === 2 && !room.callStarted && sessionId) {
-        try {
-          const result = await SessionStatusManager.autoStartVideoCall(sessionId);
-          if (result.success) {
-            room.callStarted = true;
-            
-            // Record call start in metrics
-            videoCallMetricsService.recordCallStart(sessionId, {
-              autoStarted: true,
-              participantCount: room.participants.length
-            });
-            
-            // Notify all participants that call has started
-            io.to(roomId).emit('call-started', {
-              startTime: result.session.videoCallStarted,
-              sessionId: sessionId,
-              status: result.session.status
-            });
-            
-            console.log(`🎥 Auto-started video call for session ${sessionId}`);
-          } else {
-            console.log(`🎥 Could not auto-start call for session ${sessionId}: ${result.reason}`);
-          }
-        } catch (error) {
-          console.error('Failed to auto-start call:', error);
+          socket.emit('waiting-room', {
+            roomId,
+            sessionId,
+            sessionDate: session.sessionDate,
+            timing,
+            hostPresent: room.participants.some(p => p.isHost),
+            videoState: getRoomVideoState(room)
+          });
+          notifyHosts(roomId);
+          return;
         }
-      }
-      
-      // Notify others in room
-      socket.to(roomId).emit('user-joined', { 
-        userId, 
-        userName, 
-        userRole,
-        socketId: socket.id 
-      });
-      
-      // Send existing participants to new user
-      const otherParticipants = room.participants.filter(p => p.socketId !== socket.id);
-      socket.emit('existing-participants', otherParticipants);
-      
-      // Send current call status
-      if (room.callStarted) {
-        socket.emit('call-status', { 
-          status: 'in-progress',
-          startTime: room.startTime 
-        });
-      }
-      
-      // Send successful join confirmation
-      socket.emit('join-success', {
-        roomId,
-        sessionId,
-        participantCount: room.participants.length,
-        userRole,
-        secureConnection: process.env.NODE_ENV === 'production'
-      });
+        
+        await enterRoom(socket, { roomId, sessionId, isHost });
       
     } catch (error) {
       console.error('Join room error:', error);
@@ -446,6 +419,130 @@ function initializeVideoCallServer(server) {
       }
     });
 
+    // Host admits a client from the waiting room
+    socket.on('admit-participant', async ({ roomId, userId }) => {
+      const room = activeRooms.get(roomId);
+      const host = room?.participants.find(p => p.socketId === socket.id && p.isHost);
+      
+      if (!host) {
+        console.warn(`🔒 Unauthorized admit attempt: User ${socket.userId} in room ${roomId}`);
+        videoCallMetricsService.recordSecurityIncident(
+          'unauthorized_admit_attempt',
+          room?.sessionId || roomId,
+          socket.userId,
+          { admittedUserId: userId }
+        );
+        socket.emit('admit-error', { error: 'Only the session host can admit participants' });
+        return;
+      }
+      
+      const entry = admitFromWaitingRoom(room, userId);
+      if (!entry) {
+        socket.emit('admit-error', { error: 'Participant is no longer waiting' });
+        return;
+      }
+      
+      const waitingSocket = io.sockets.sockets.get(entry.socketId);
+      if (!waitingSocket) {
+        notifyHosts(roomId);
+        socket.emit('admit-error', { error: 'Participant has left the waiting room' });
+        return;
+      }
+      
+      try {
+        // Records the late start and adjusted duration if the client was late
+        edgeCaseHandler.handleLateSessionJoin(room.sessionId, entry.userId, entry.userRole).catch(error => {
+          console.error('Failed to record late join:', error.message);
+        });
+        
+        console.log(`✅ ${host.userName} admitted ${entry.userName} to room ${roomId}`);
+        waitingSocket.emit('admitted', { roomId, sessionId: room.sessionId, admittedBy: host.userName });
+        
+        await enterRoom(waitingSocket, { roomId, sessionId: room.sessionId, isHost: false });
+        notifyHosts(roomId);
+      } catch (error) {
+        console.error('Admit participant error:', error);
+        socket.emit('admit-error', { error: 'Failed to admit participant' });
+      }
+    });
+
+    // Session recording: the therapist asks and everyone consents in the call;
+    // anyone can withdraw, which discards the recording
+    const onRecordingAction = (event, action) => {
+      socket.on(event, async ({ roomId }) => {
+        const room = activeRooms.get(roomId);
+        if (!room || !room.participants.some(p => p.socketId === socket.id)) {
+          socket.emit('recording-error', { error: 'Join the call before managing its recording' });
+          return;
+        }
+        
+        try {
+          const user = { id: socket.userId, role: socket.userRole };
+          const ipAddress = socket.request.connection.remoteAddress || socket.request.headers['x-forwarded-for'];
+          const recording = await action(room.sessionId, user, ipAddress);
+          io.to(roomId).emit('recording-status', summarizeRecording(recording));
+        } catch (error) {
+          console.error(`Recording ${event} error:`, error.message);
+          socket.emit('recording-error', { error: error.message });
+        }
+      });
+    };
+    
+    onRecordingAction('recording-request', (sessionId, user, ip) => recordingService.requestRecording(sessionId, user, ip));
+    onRecordingAction('recording-consent', (sessionId, user, ip) => recordingService.giveConsent(sessionId, user, ip));
+    onRecordingAction('recording-withdraw', (sessionId, user, ip) => recordingService.withdrawConsent(sessionId, user, ip));
+    onRecordingAction('recording-stop', (sessionId, user, ip) => recordingService.stopRecording(sessionId, user, ip));
+
+    // In-call chat: text and files go to the room's validated participants
+    // and are kept on the session record
+    const onChatAction = (event, action) => {
+      socket.on(event, async (payload = {}) => {
+        const { roomId } = payload;
+        const room = activeRooms.get(roomId);
+        if (!room || !room.participants.some(p => p.socketId === socket.id)) {
+          socket.emit('chat-error', { error: 'Join the call before using the chat' });
+          return;
+        }
+        
+        try {
+          const user = { id: socket.userId, role: socket.userRole, name: socket.user.name };
+          const ipAddress = socket.request.connection.remoteAddress || socket.request.headers['x-forwarded-for'];
+          const message = await action(room.sessionId, user, payload, ipAddress);
+          emitToRoomParticipants(socket.id, roomId, 'chat-message', message);
+        } catch (error) {
+          console.error(`Chat ${event} error:`, error.message);
+          socket.emit('chat-error', { error: error.message });
+        }
+      });
+    };
+    
+    onChatAction('chat-message', (sessionId, user, { text }) => callChatService.postMessage(sessionId, user, text));
+    onChatAction('chat-file', (sessionId, user, { fileName, mimeType, data, text }, ip) =>
+      callChatService.shareFile(sessionId, user, { fileName, mimeType, buffer: data && Buffer.from(data), text }, ip));
+
+    // Connection quality from each participant drives the call's
+    // degradation ladder (see handleCallModeChange)
+    socket.on('quality-report', ({ roomId, metrics } = {}) => {
+      const room = activeRooms.get(roomId);
+      if (!room || !room.callStarted || !room.participants.some(p => p.socketId === socket.id)) return;
+      
+      videoCallMetricsService.recordQualityMetrics(room.sessionId, {
+        ...videoCallMetricsService.sanitizeQualityMetrics(metrics),
+        userId: socket.userId,
+        userRole: socket.userRole,
+        reportedAt: new Date()
+      });
+    });
+    
+    // The therapist can bring a degraded call back to full video
+    socket.on('call-mode-restore', ({ roomId } = {}) => {
+      const room = activeRooms.get(roomId);
+      const participant = room && room.participants.find(p => p.socketId === socket.id);
+      if (!participant || !participant.isHost) return;
+      
+      videoCallMetricsService.setCallMode(room.sessionId, 'full', 'restored_by_host');
+    });
+
     // Leave room
     socket.on('leave-room', ({ roomId, userId }) => {
       handleUserLeave(socket, roomId, userId);
@@ -511,6 +608,9 @@ function initializeVideoCallServer(server) {
               });
               
               console.log(`🎥 Manually ended video call for session ${sessionId}. Duration: ${result.duration} minutes`);
+              
+              finishRecording(roomId, sessionId);
+              finishCallMode(sessionId);
             }
           } catch (error) {
             console.error('Failed to end call:', error);
@@ -554,6 +654,173 @@ function initializeVideoCallServer(server) {
   return io;
 }
 
+// Put a socket into the call: hosts when they join, clients once admitted
+async function enterRoom(socket, { roomId, sessionId, isHost }) {
+  const room = activeRooms.get(roomId);
+  const userId = socket.userId;
+  const userName = socket.user.name;
+  const userRole = socket.userRole;
+  
+  socket.join(roomId);
+  
+  // Check if user is already in room (prevent duplicates)
+  const existingParticipant = room.participants.find(p => p.userId === userId);
+  if (existingParticipant) {
+    // Update socket ID for reconnection
+    existingParticipant.socketId = socket.id;
+    console.log(`🔄 User ${userName} reconnected to room ${roomId}`);
+  } else {
+    room.participants.push({ socketId: socket.id, userId, userName, userRole, isHost });
+    console.log(`👤 ${userName} (${userRole}) joined room ${roomId}`);
+    
+    // Record participant join
+    videoCallMetricsService.recordParticipantJoin(sessionId, userId, userRole);
+    
+    // Group attendance is tracked per member
+    if (room.sessionType === 'Group' && userRole === 'client') {
+      const { groupSessionService } = require('./groupSessionService');
+      groupSessionService.recordJoin(sessionId, userId).catch(error => {
+        console.error('Failed to record group attendance:', error.message);
+      });
+    }
+  }
+  
+  // If this is the second participant and call hasn't started, auto-start the call
+  if (room.participants.length === 2 && !room.callStarted && sessionId) {
+    try {
+      const result = await SessionStatusManager.autoStartVideoCall(sessionId);
+      if (result.success) {
+        room.callStarted = true;
+        
+        // Record call start in metrics
+        videoCallMetricsService.recordCallStart(sessionId, {
+          autoStarted: true,
+          participantCount: room.participants.length
+        });
+        
+        // Notify all participants that call has started
+        io.to(roomId).emit('call-started', {
+          startTime: result.session.videoCallStarted,
+          sessionId: sessionId,
+          status: result.session.status
+        });
+        
+        console.log(`🎥 Auto-started video call for session ${sessionId}`);
+      } else {
+        console.log(`🎥 Could not auto-start call for session ${sessionId}: ${result.reason}`);
+      }
+    } catch (error) {
+      console.error('Failed to auto-start call:', error);
+    }
+  }
+  
+  // Notify others in room
+  socket.to(roomId).emit('user-joined', { 
+    userId, 
+    userName, 
+    userRole,
+    socketId: socket.id 
+  });
+  
+  // Send existing participants to new user
+  const otherParticipants = room.participants.filter(p => p.socketId !== socket.id);
+  socket.emit('existing-participants', otherParticipants);
+  
+  // Send current call status
+  if (room.callStarted) {
+    socket.emit('call-status', { 
+      status: 'in-progress',
+      startTime: room.startTime 
+    });
+  }
+  
+  // Send successful join confirmation
+  socket.emit('join-success', {
+    roomId,
+    sessionId,
+    participantCount: room.participants.length,
+    userId: socket.userId,
+    userRole,
+    isHost,
+    videoState: getRoomVideoState(room),
+    secureConnection: process.env.NODE_ENV === 'production'
+  });
+  
+  // Late joiners see whether a recording has been asked for or is running
+  recordingService.getActiveRecording(sessionId)
+    .then(recording => recording && socket.emit('recording-status', summarizeRecording(recording)))
+    .catch(error => console.error('Failed to load recording status:', error.message));
+  
+  // Join a degraded call in its current mode
+  const callMode = videoCallMetricsService.getCallMode(sessionId);
+  if (callMode !== 'full') {
+    callModeService.getPhoneBridge(sessionId)
+      .then(phoneBridge => socket.emit('call-mode-changed', { mode: callMode, phoneBridge }))
+      .catch(error => console.error('Failed to load call mode:', error.message));
+  }
+  
+  // Chat so far, e.g. after a reconnect
+  callChatService.listMessages(sessionId, { id: userId, role: userRole })
+    .then(messages => socket.emit('chat-history', { messages }))
+    .catch(error => console.error('Failed to load chat history:', error.message));
+  
+  // Hosts see who is already waiting; waiting clients learn the host is here
+  if (isHost) {
+    socket.emit('waiting-room-updated', { waiting: getWaitingList(room), videoState: getRoomVideoState(room) });
+    notifyWaiting(roomId);
+  }
+}
+
+// Call ended: assemble any recording in progress and drop unanswered requests
+function finishRecording(roomId, sessionId) {
+  recordingService.finishForSession(sessionId)
+    .then(recording => recording && io.to(roomId).emit('recording-status', summarizeRecording(recording)))
+    .catch(error => console.error('Failed to finish recording:', error.message));
+}
+
+// Keep the call's new mode on the session and move everyone in the room to it
+async function handleCallModeChange({ sessionId, mode, previousMode, reason }) {
+  let phoneBridge = null;
+  try {
+    ({ phoneBridge } = await callModeService.recordModeChange(sessionId, { mode, reason }));
+  } catch (error) {
+    console.error('Failed to record call mode change:', error.message);
+  }
+  
+  activeRooms.forEach((room, roomId) => {
+    if (String(room.sessionId) === String(sessionId)) {
+      io.to(roomId).emit('call-mode-changed', { mode, previousMode, reason, phoneBridge });
+    }
+  });
+}
+
+// Call ended: work out which modes it ran in
+function finishCallMode(sessionId) {
+  videoCallMetricsService.clearCallMode(sessionId);
+  callModeService.finishCall(sessionId)
+    .catch(error => console.error('Failed to finish call mode:', error.message));
+}
+
+// Send the current lobby to every host in the room
+function notifyHosts(roomId) {
+  const room = activeRooms.get(roomId);
+  if (!room) return;
+  
+  const update = { waiting: getWaitingList(room), videoState: getRoomVideoState(room) };
+  room.participants
+    .filter(p => p.isHost)
+    .forEach(p => io.to(p.socketId).emit('waiting-room-updated', update));
+}
+
+// Tell waiting clients whether the host is in the room
+function notifyWaiting(roomId) {
+  const room = activeRooms.get(roomId);
+  if (!room) return;
+  
+  const hostPresent = room.participants.some(p => p.isHost);
+  room.waiting.forEach(w => io.to(w.socketId).emit('waiting-room-status', { hostPresent }));
+}
+
 // Helper function to validate users are in the same room
 function validateUsersInSameRoom(fromSocketId, toSocketId, roomId) {
   if (!activeRooms.has(roomId)) {
@@ -567,11 +834,22 @@ function validateUsersInSameRoom(fromSocketId, toSocketId, roomId) {
   return fromParticipant && toParticipant;
 }
 
+// Send to each participant the sender is validated to share the room with
+function emitToRoomParticipants(fromSocketId, roomId, event, payload) {
+  const room = activeRooms.get(roomId);
+  if (!room) return;
+  
+  room.participants
+    .filter(p => validateUsersInSameRoom(fromSocketId, p.socketId, roomId))
+    .forEach(p => io.to(p.socketId).emit(event, payload));
+}
+
 // Helper function to get user's rooms (for cleanup)
 function getUserRooms(socketId) {
   const userRooms = [];
   activeRooms.forEach((room, roomId) => {
-    const participant = room.participants.find(p => p.socketId === socketId);
+    const participant = room.participants.find(p => p.socketId === socketId) ||
+                        room.waiting.find(w => w.socketId === socketId);
     if (participant) {
       userRooms.push({ roomId, userId: participant.userId });
     }
@@ -584,11 +862,31 @@ async function handleUserLeave(socket, roomId, userId) {
   
   if (activeRooms.has(roomId)) {
     const room = activeRooms.get(roomId);
+    
+    // Leaving the lobby: nobody in the call saw them, only the hosts need to know
+    const waitingEntry = removeFromWaitingRoom(room, socket.id);
+    if (waitingEntry) {
+      console.log(`👋 ${waitingEntry.userName} left the waiting room of ${roomId}`);
+      notifyHosts(roomId);
+      if (room.participants.length === 0 && room.waiting.length === 0) {
+        activeRooms.delete(roomId);
+      }
+      return;
+    }
+    
     const leavingParticipant = room.participants.find(p => p.socketId === socket.id);
     room.participants = room.participants.filter(p => p.socketId !== socket.id);
     
     console.log(`👋 User ${leavingParticipant?.userName || userId} left room ${roomId}. Remaining: ${room.participants.length}`);
     
+    // Group members' leave times (no-op for one-to-one sessions)
+    if (leavingParticipant?.userRole === 'client' && room.sessionId) {
+      const { groupSessionService } = require('./groupSessionService');
+      groupSessionService.recordLeave(room.sessionId, leavingParticipant.userId).catch(error => {
+        console.error('Failed to record group attendance:', error.message);
+      });
+    }
+    
     // Notify others with secure information
     socket.to(roomId).emit('user-left', { 
       userId, 
@@ -614,16 +912,21 @@ async function handleUserLeave(socket, roomId, userId) {
           );
           
           console.log(`🎥 Auto-ended video call for session ${room.sessionId} (all participants left). Duration: ${result.session.callDuration} minutes`);
+          
+          finishRecording(roomId, room.sessionId);
+          finishCallMode(room.sessionId);
         }
       } catch (error) {
         console.error('Failed to auto-end call:', error);
       }
     }
     
-    // Clean up empty rooms
-    if (room.participants.length === 0) {
+    // Clean up empty rooms (keeping any that still have clients waiting)
+    if (room.participants.length === 0 && room.waiting.length === 0) {
       activeRooms.delete(roomId);
       console.log(`🗑️  Room ${roomId} deleted (empty)`);
+    } else if (leavingParticipant?.isHost) {
+      notifyWaiting(roomId);
     }
   }
 }
@@ -0,0 +1,468 @@
+/**
+ * Waitlist Service
+ *
+ * Waitlist for fully-booked therapists:
+ * - Clients register preferred days/time ranges per therapist
+ * - When a slot is freed (cancellation or approved reschedule) the oldest
+ *   matching entry gets a time-limited hold and an offer notification
+ * - Unclaimed or declined offers pass to the next matching entry
+ */
+
+const cron = require('node-cron');
+const { validateTimeRange } = require('./availabilityConflictService');
+const { reschedulingService } = require('./reschedulingService');
+const { lockRateForBooking } = require('../utils/rateLockingService');
+const { generateMeetingLink } = require('../utils/meetingLinkGenerator');
+const { logAuditEvent } = require('../utils/auditLogger');
+const { eventBus, SESSION_EVENTS } = require('../src/events/eventBus');
+
+const WAITLIST_CONFIG = {
+  // How long a freed slot is held for the offered client
+  OFFER_HOLD_MINUTES: 120,
+  // Holds always end this long before the slot so the booking can still be approved
+  MIN_HOURS_BEFORE_SLOT: 3,
+  // Maximum active entries per client across all therapists
+  MAX_ACTIVE_ENTRIES_PER_CLIENT: 5,
+  MAX_PREFERENCES: 14,
+  // Expired-offer sweep
+  CRON_EXPIRY_CHECK: '*/5 * * * *',
+  TIMEZONE: 'Africa/Nairobi'
+};
+
+class WaitlistService {
+  constructor() {
+    this.WaitlistEntry = null;
+    this.Session = null;
+    this.User = null;
+    this.notificationService = null;
+    this.expiryJob = null;
+  }
+
+  async initialize() {
+    if (!this.WaitlistEntry) this.WaitlistEntry = require('../models/WaitlistEntry');
+    if (!this.Session) this.Session = require('../models/Session');
+    if (!this.User) this.User = require('../models/User');
+    try { if (!this.notificationService) this.notificationService = require('../utils/notificationService'); } catch (e) {}
+  }
+
+  /**
+   * Validate preferred time ranges
+   * @returns {Object} - { valid: boolean, error?: string }
+   */
+  validatePreferences(preferences) {
+    if (!Array.isArray(preferences) || preferences.length === 0) {
+      return { valid: false, error: 'At least one preferred time range is required' };
+    }
+
+    if (preferences.length > WAITLIST_CONFIG.MAX_PREFERENCES) {
+      return { valid: false, error: `No more than ${WAITLIST_CONFIG.MAX_PREFERENCES} preferred time ranges allowed` };
+    }
+
+    for (const pref of preferences) {
+      if (!Number.isInteger(pref.dayOfWeek) || pref.dayOfWeek < 0 || pref.dayOfWeek > 6) {
+        return { valid: false, error: 'dayOfWeek must be an integer between 0 (Sunday) and 6 (Saturday)' };
+      }
+      const range = validateTimeRange(pref.startTime, pref.endTime);
+      if (!range.valid) {
+        return range;
+      }
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Calculate when a new hold should expire
+   */
+  calculateHoldExpiry(slotDate, now = new Date()) {
+    const holdEnd = now.getTime() + WAITLIST_CONFIG.OFFER_HOLD_MINUTES * 60000;
+    const latest = new Date(slotDate).getTime() - WAITLIST_CONFIG.MIN_HOURS_BEFORE_SLOT * 3600000;
+    return new Date(Math.min(holdEnd, latest));
+  }
+
+  /**
+   * Join a therapist's waitlist
+   */
+  async joinWaitlist(clientId, { therapistId, sessionType = 'Individual', preferences, notes }) {
+    await this.initialize();
+
+    const validation = this.validatePreferences(preferences);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    const therapist = await this.User.findById(therapistId);
+    if (!therapist || therapist.role !== 'psychologist') {
+      throw new Error('Invalid psychologist selected');
+    }
+
+    const existing = await this.WaitlistEntry.findOne({
+      client: clientId,
+      therapist: therapistId,
+      status: { $in: ['waiting', 'offered'] }
+    });
+    if (existing) {
+      throw new Error('You are already on this therapist\'s waitlist');
+    }
+
+    const activeCount = await this.WaitlistEntry.countDocuments({
+      client: clientId,
+      status: { $in: ['waiting', 'offered'] }
+    });
+    if (activeCount >= WAITLIST_CONFIG.MAX_ACTIVE_ENTRIES_PER_CLIENT) {
+      throw new Error(`You can be on at most ${WAITLIST_CONFIG.MAX_ACTIVE_ENTRIES_PER_CLIENT} waitlists at a time`);
+    }
+
+    const entry = await this.WaitlistEntry.create({
+      client: clientId,
+      therapist: therapistId,
+      sessionType,
+      preferences,
+      notes
+    });
+
+    const position = await this.getPosition(entry);
+    return { entry, position };
+  }
+
+  /**
+   * Position among waiting entries for the same therapist (1-based)
+   */
+  async getPosition(entry) {
+    await this.initialize();
+    const ahead = await this.WaitlistEntry.countDocuments({
+      therapist: entry.therapist,
+      status: { $in: ['waiting', 'offered'] },
+      createdAt: { $lt: entry.createdAt }
+    });
+    return ahead + 1;
+  }
+
+  async leaveWaitlist(entryId, clientId) {
+    await this.initialize();
+
+    const entry = await this.WaitlistEntry.findOne({ _id: entryId, client: clientId });
+    if (!entry) {
+      throw new Error('Waitlist entry not found');
+    }
+    if (!['waiting', 'offered'].includes(entry.status)) {
+      throw new Error(`Cannot leave waitlist in ${entry.status} status`);
+    }
+
+    const heldSlot = entry.status === 'offered' ? { ...entry.offer.toObject() } : null;
+    if (heldSlot) {
+      this.resolveOffer(entry, 'declined');
+    }
+    entry.status = 'cancelled';
+    await entry.save();
+
+    // Pass a held slot on straight away
+    if (heldSlot) {
+      await this.handleSlotFreed(entry.therapist, heldSlot.slotDate, {
+        duration: heldSlot.duration,
+        sourceSessionId: heldSlot.sourceSession
+      });
+    }
+
+    return entry;
+  }
+
+  async getClientEntries(clientId) {
+    await this.initialize();
+    return this.WaitlistEntry.find({ client: clientId, status: { $in: ['waiting', 'offered'] } })
+      .populate('therapist', 'name profilePicture')
+      .sort({ createdAt: 1 });
+  }
+
+  async getTherapistWaitlist(therapistId) {
+    await this.initialize();
+    return this.WaitlistEntry.find({ therapist: therapistId, status: { $in: ['waiting', 'offered'] } })
+      .populate('client', 'name email')
+      .sort({ createdAt: 1 });
+  }
+
+  /**
+   * Check whether a slot is currently held for a waitlisted client
+   * @param {ObjectId} therapistId
+   * @param {Date} slotDate
+   * @param {ObjectId} excludeClientId - The client allowed to book the held slot
+   * @param {Number} duration - Length of the slot being booked in minutes
+   */
+  async isSlotHeld(therapistId, slotDate, excludeClientId = null, duration = 60) {
+    await this.initialize();
+
+    // Any hold overlapping the requested slot counts (holds cover a standard 60-minute slot)
+    const start = new Date(slotDate).getTime();
+    const query = {
+      therapist: therapistId,
+      status: 'offered',
+      'offer.slotDate': { $gt: new Date(start - 60 * 60000), $lt: new Date(start + duration * 60000) },
+      'offer.expiresAt': { $gt: new Date() }
+    };
+    if (excludeClientId) {
+      query.client = { $ne: excludeClientId };
+    }
+
+    return !!(await this.WaitlistEntry.exists(query));
+  }
+
+  /**
+   * Offer a freed slot to the next matching waitlisted client
+   * @returns {Promise<Object|null>} - The entry that received the offer, if any
+   */
+  async handleSlotFreed(therapistId, slotDate, { duration = 60, sourceSessionId = null } = {}) {
+    await this.initialize();
+
+    const slot = new Date(slotDate);
+    const now = new Date();
+    const expiresAt = this.calculateHoldExpiry(slot, now);
+
+    // Too close to the slot to hold it for anyone
+    if (expiresAt <= now) {
+      return null;
+    }
+
+    // Someone already holds this slot
+    if (await this.isSlotHeld(therapistId, slot, null, duration)) {
+      return null;
+    }
+
+    // The slot may have been rebooked directly in the meantime
+    const availability = await reschedulingService.checkAvailability(therapistId, slot, duration, sourceSessionId);
+    if (!availability.available) {
+      return null;
+    }
+
+    const candidates = await this.WaitlistEntry.find({ therapist: therapistId, status: 'waiting' })
+      .sort({ createdAt: 1 });
+
+    const entry = candidates.find(c => c.matchesSlot(slot, duration) && !c.wasOffered(slot));
+    if (!entry) {
+      return null;
+    }
+
+    entry.status = 'offered';
+    entry.offer = {
+      slotDate: slot,
+      duration,
+      offeredAt: now,
+      expiresAt,
+      sourceSession: sourceSessionId
+    };
+    entry.offerHistory.push({ slotDate: slot, offeredAt: now });
+    await entry.save();
+
+    await logAuditEvent({
+      action: 'WAITLIST_SLOT_OFFERED',
+      userId: entry.client,
+      sessionId: sourceSessionId,
+      details: { entryId: entry._id, therapistId, slotDate: slot, expiresAt }
+    });
+
+    await this.sendOfferNotifications(entry);
+
+    return entry;
+  }
+
+  async sendOfferNotifications(entry) {
+    if (!this.notificationService) return;
+
+    try {
+      const notificationTemplates = require('../utils/notificationTemplates');
+      const [client, therapist] = await Promise.all([
+        this.User.findById(entry.client).select('name email phone'),
+        this.User.findById(entry.therapist).select('name')
+      ]);
+      if (!client || !therapist) return;
+
+      const data = {
+        clientName: client.name,
+        therapistName: therapist.name,
+        slotDate: entry.offer.slotDate,
+        expiresAt: entry.offer.expiresAt
+      };
+
+      const email = notificationTemplates.waitlistOfferClientEmail(data);
+      await this.notificationService.sendEmail({ to: client.email, subject: email.subject, html: email.html });
+
+      if (client.phone) {
+        await this.notificationService.sendSMS({
+          to: client.phone,
+          message: notificationTemplates.waitlistOfferClientSMS(data)
+        });
+      }
+    } catch (error) {
+      console.error('⚠️ Failed to send waitlist offer notification:', error.message);
+    }
+  }
+
+  /**
+   * Close the current offer and record the outcome
+   */
+  resolveOffer(entry, outcome) {
+    const current = entry.offerHistory[entry.offerHistory.length - 1];
+    if (current && !current.outcome) {
+      current.outcome = outcome;
+      current.resolvedAt = new Date();
+    }
+    entry.offer = undefined;
+  }
+
+  /**
+   * Claim a held slot - creates a booking request for the client
+   */
+  async claimOffer(entryId, clientId) {
+    await this.initialize();
+
+    const entry = await this.WaitlistEntry.findOne({ _id: entryId, client: clientId });
+    if (!entry) {
+      throw new Error('Waitlist entry not found');
+    }
+    if (entry.status !== 'offered' || !entry.offer?.slotDate) {
+      throw new Error('There is no active offer to claim');
+    }
+    if (entry.offer.expiresAt <= new Date()) {
+      throw new Error('This offer has expired');
+    }
+
+    const { slotDate, sourceSession } = entry.offer;
+
+    const rateLockResult = await lockRateForBooking(entry.therapist, entry.sessionType);
+    if (!rateLockResult.success) {
+      throw new Error(`Failed to determine session rate: ${rateLockResult.error}`);
+    }
+    const duration = rateLockResult.lockedRate.duration || entry.offer.duration;
+
+    // Checked at the client's own session length, which may differ from the freed one
+    const availability = await reschedulingService.checkAvailability(entry.therapist, slotDate, duration, sourceSession);
+    if (!availability.available) {
+      this.resolveOffer(entry, 'expired');
+      entry.status = 'waiting';
+      await entry.save();
+      throw new Error('This slot is no longer available');
+    }
+
+    const session = await new this.Session({
+      client: clientId,
+      psychologist: entry.therapist,
+      sessionType: entry.sessionType,
+      sessionDate: slotDate,
+      price: rateLockResult.lockedRate.amount,
+      sessionRate: rateLockResult.lockedRate.amount,
+      duration,
+      status: 'Pending Approval',
+      paymentStatus: 'Pending',
+      meetingLink: generateMeetingLink(),
+      isVideoCall: true
+    }).save();
+
+    this.resolveOffer(entry, 'claimed');
+    entry.status = 'booked';
+    entry.bookedSession = session._id;
+    await entry.save();
+
+    await logAuditEvent({
+      action: 'WAITLIST_SLOT_CLAIMED',
+      userId: clientId,
+      sessionId: session._id,
+      details: { entryId: entry._id, slotDate }
+    });
+
+    this.emitBooked(session);
+
+    return { entry, session };
+  }
+
+  /**
+   * Announce a booking made from a claimed offer to listeners (e.g. outcome measures)
+   */
+  emitBooked(session) {
+    eventBus.emitEvent(SESSION_EVENTS.BOOKED, {
+      sessionId: session._id.toString(),
+      therapistId: session.psychologist.toString(),
+      clientId: session.client.toString(),
+      sessionDate: session.sessionDate,
+      sessionType: session.sessionType
+    });
+  }
+
+  /**
+   * Decline a held slot - it passes to the next matching client
+   */
+  async declineOffer(entryId, clientId) {
+    await this.initialize();
+
+    const entry = await this.WaitlistEntry.findOne({ _id: entryId, client: clientId, status: 'offered' });
+    if (!entry) {
+      throw new Error('There is no active offer to decline');
+    }
+
+    const { slotDate, duration, sourceSession } = entry.offer;
+    this.resolveOffer(entry, 'declined');
+    entry.status = 'waiting';
+    await entry.save();
+
+    const nextEntry = await this.handleSlotFreed(entry.therapist, slotDate, { duration, sourceSessionId: sourceSession });
+    return { entry, passedTo: nextEntry ? nextEntry._id : null };
+  }
+
+  /**
+   * Expire unclaimed offers and pass each slot to the next matching client
+   */
+  async expireOffers() {
+    await this.initialize();
+
+    const expired = await this.WaitlistEntry.find({
+      status: 'offered',
+      'offer.expiresAt': { $lte: new Date() }
+    });
+
+    const results = { expired: 0, reoffered: 0 };
+
+    for (const entry of expired) {
+      const { slotDate, duration, sourceSession } = entry.offer;
+      this.resolveOffer(entry, 'expired');
+      entry.status = 'waiting';
+      await entry.save();
+      results.expired++;
+
+      try {
+        const nextEntry = await this.handleSlotFreed(entry.therapist, slotDate, { duration, sourceSessionId: sourceSession });
+        if (nextEntry) results.reoffered++;
+      } catch (error) {
+        console.error('⚠️ Failed to re-offer expired waitlist slot:', error.message);
+      }
+    }
+
+    if (results.expired > 0) {
+      console.log(`⏳ Waitlist offers expired: ${results.expired}, re-offered: ${results.reoffered}`);
+    }
+
+    return results;
+  }
+
+  startExpiryJob() {
+    if (this.expiryJob) return this.expiryJob;
+
+    this.expiryJob = cron.schedule(WAITLIST_CONFIG.CRON_EXPIRY_CHECK, () => {
+      this.expireOffers().catch(err => console.error('Waitlist expiry job error:', err));
+    }, {
+      scheduled: true,
+      timezone: WAITLIST_CONFIG.TIMEZONE
+    });
+
+    console.log(`✅ Waitlist offer expiry job started (${WAITLIST_CONFIG.CRON_EXPIRY_CHECK})`);
+    return this.expiryJob;
+  }
+
+  stopExpiryJob() {
+    if (this.expiryJob) {
+      this.expiryJob.stop();
+      this.expiryJob = null;
+    }
+  }
+}
+
+const waitlistService = new WaitlistService();
+
+module.exports = { waitlistService, WaitlistService, WAITLIST_CONFIG };
@@ -73,6 +73,7 @@ const SESSION_EVENTS = {
   BOOKED: 'session:booked',
   CONFIRMED: 'session:confirmed',
   CANCELLED: 'session:cancelled',
+  RESCHEDULED: 'session:rescheduled',
   COMPLETED: 'session:completed'
 };
 
@@ -82,6 +83,12 @@ const PAYMENT_EVENTS = {
   FAILURE: 'payment:failure'
 };
 
+const RISK_EVENTS = {
+  ALERT_RAISED: 'risk:alert:raised',
+  ALERT_ACKNOWLEDGED: 'risk:alert:acknowledged',
+  ALERT_RESOLVED: 'risk:alert:resolved'
+};
+
 const NOTIFICATION_EVENTS = {
   EMAIL_QUEUED: 'notification:email:queued',
   EMAIL_SENT: 'notification:email:sent',
@@ -99,6 +106,7 @@ module.exports = {
   USER_EVENTS,
   SESSION_EVENTS,
   PAYMENT_EVENTS,
+  RISK_EVENTS,
   NOTIFICATION_EVENTS,
   SYSTEM_EVENTS
 };
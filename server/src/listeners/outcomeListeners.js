@@ -0,0 +1,48 @@
+/**
+ * Outcome Event Listeners
+ *
+ * Assigns due outcome measures to newly booked sessions.
+ * Isolated from booking logic.
+ *
+ * @module listeners/outcomeListeners
+ */
+
+const { eventBus, SESSION_EVENTS } = require('../events/eventBus');
+
+/**
+ * Re-check the client's active outcome plans against their sessions
+ * @param {string} clientId - Client who booked
+ */
+async function assignDueMeasures(clientId) {
+  const { outcomeService } = require('../../services/outcomeService');
+
+  try {
+    await outcomeService.syncClientPlans(clientId);
+  } catch (error) {
+    console.error(`[OUTCOMES] Failed to assign outcome measures: ${error.message}`);
+  }
+}
+
+/**
+ * Initialize outcome listeners
+ * Call this once during application startup
+ */
+function initOutcomeListeners() {
+  eventBus.on(SESSION_EVENTS.BOOKED, (data) => {
+    assignDueMeasures(data.clientId);
+  });
+
+  console.log('[LISTENERS] Outcome listeners initialized');
+}
+
+/**
+ * Remove outcome listeners (useful for testing)
+ */
+function removeOutcomeListeners() {
+  eventBus.removeAllListeners(SESSION_EVENTS.BOOKED);
+}
+
+module.exports = {
+  initOutcomeListeners,
+  removeOutcomeListeners
+};
@@ -0,0 +1,52 @@
+/**
+ * Risk Alert Event Listeners
+ *
+ * Notifies the assigned therapist and on-call admin when a risk alert
+ * is raised. Isolated from the submissions that detect the risk.
+ *
+ * @module listeners/riskListeners
+ */
+
+const { eventBus, RISK_EVENTS } = require('../events/eventBus');
+
+/**
+ * Initialize risk alert listeners
+ * Call this once during application startup
+ */
+function initRiskListeners() {
+  // Alert raised - notify staff
+  eventBus.on(RISK_EVENTS.ALERT_RAISED, async (data) => {
+    console.log(`[RISK] ${data.level} alert raised from ${data.sourceType}: ${data.alertId}`);
+
+    const { riskEscalationService } = require('../../services/riskEscalationService');
+    try {
+      await riskEscalationService.notifyStaff(data.alertId);
+    } catch (error) {
+      console.error(`[RISK] Failed to notify staff of alert ${data.alertId}: ${error.message}`);
+    }
+  });
+
+  // Alert acknowledged - log for monitoring
+  eventBus.on(RISK_EVENTS.ALERT_ACKNOWLEDGED, (data) => {
+    console.log(`[RISK] Alert acknowledged: ${data.alertId}`);
+  });
+
+  // Alert resolved - log for monitoring
+  eventBus.on(RISK_EVENTS.ALERT_RESOLVED, (data) => {
+    console.log(`[RISK] Alert resolved: ${data.alertId}`);
+  });
+
+  console.log('[LISTENERS] Risk listeners initialized');
+}
+
+/**
+ * Remove risk listeners (useful for testing)
+ */
+function removeRiskListeners() {
+  Object.values(RISK_EVENTS).forEach(event => eventBus.removeAllListeners(event));
+}
+
+module.exports = {
+  initRiskListeners,
+  removeRiskListeners
+};
@@ -0,0 +1,64 @@
+/**
+ * Waitlist Event Listeners
+ *
+ * Offers freed time slots to waitlisted clients.
+ * Isolated from cancellation and rescheduling logic.
+ *
+ * @module listeners/waitlistListeners
+ */
+
+const { eventBus, SESSION_EVENTS } = require('../events/eventBus');
+
+/**
+ * Offer a freed slot to the next matching waitlisted client
+ * @param {string} therapistId - Therapist whose slot was freed
+ * @param {Date} slotDate - Start of the freed slot
+ * @param {string} sessionId - Session that released the slot
+ * @param {Number} duration - Length of the freed slot in minutes
+ */
+async function offerFreedSlot(therapistId, slotDate, sessionId, duration) {
+  const { waitlistService } = require('../../services/waitlistService');
+
+  try {
+    const entry = await waitlistService.handleSlotFreed(therapistId, slotDate, {
+      duration,
+      sourceSessionId: sessionId
+    });
+    if (entry) {
+      console.log(`[WAITLIST] Freed slot ${new Date(slotDate).toISOString()} offered to entry ${entry._id}`);
+    }
+  } catch (error) {
+    console.error(`[WAITLIST] Failed to offer freed slot: ${error.message}`);
+  }
+}
+
+/**
+ * Initialize waitlist listeners
+ * Call this once during application startup
+ */
+function initWaitlistListeners() {
+  // Cancelled session - its slot is free
+  eventBus.on(SESSION_EVENTS.CANCELLED, (data) => {
+    offerFreedSlot(data.therapistId, data.sessionDate, data.sessionId, data.duration);
+  });
+
+  // Rescheduled session - the original slot is free
+  eventBus.on(SESSION_EVENTS.RESCHEDULED, (data) => {
+    offerFreedSlot(data.therapistId, data.originalDate, data.sessionId, data.duration);
+  });
+
+  console.log('[LISTENERS] Waitlist listeners initialized');
+}
+
+/**
+ * Remove waitlist listeners (useful for testing)
+ */
+function removeWaitlistListeners() {
+  eventBus.removeAllListeners(SESSION_EVENTS.CANCELLED);
+  eventBus.removeAllListeners(SESSION_EVENTS.RESCHEDULED);
+}
+
+module.exports = {
+  initWaitlistListeners,
+  removeWaitlistListeners
+};
@@ -0,0 +1,101 @@
+/**
+ * In-call Chat Tests
+ *
+ * Tests message validation, the file scan applied to shared files and how
+ * stored messages are presented to participants.
+ */
+
+const encryption = require('../utils/encryption');
+const {
+  CALL_CHAT_CONFIG,
+  validateMessageText,
+  sanitizeFileName,
+  scanAttachment,
+  summarizeMessage
+} = require('../services/callChatService');
+
+const PDF = Buffer.concat([Buffer.from('%PDF-1.7\n'), Buffer.alloc(100, 0x20)]);
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00]);
+
+describe('In-call Chat', () => {
+  describe('validateMessageText', () => {
+    test('should accept a message within the length limit', () => {
+      expect(validateMessageText('https://example.com/worksheet')).toEqual([]);
+    });
+
+    test('should reject empty, overlong and non-text messages', () => {
+      expect(validateMessageText('   ')).toEqual(['Message cannot be empty']);
+      expect(validateMessageText('a'.repeat(CALL_CHAT_CONFIG.MAX_MESSAGE_LENGTH + 1)))
+        .toEqual([`Message cannot exceed ${CALL_CHAT_CONFIG.MAX_MESSAGE_LENGTH} characters`]);
+      expect(validateMessageText({ text: 'hi' })).toEqual(['Message must be text']);
+    });
+
+    test('should make text optional alongside a file', () => {
+      expect(validateMessageText(undefined, true)).toEqual([]);
+    });
+  });
+
+  describe('sanitizeFileName', () => {
+    test('should strip paths and unsafe characters', () => {
+      expect(sanitizeFileName('../../etc/passwd')).toBe('passwd');
+      expect(sanitizeFileName('C:\\Users\\me\\My "Plan".pdf')).toBe('My _Plan_.pdf');
+      expect(sanitizeFileName('.hidden.txt')).toBe('hidden.txt');
+      expect(sanitizeFileName('')).toBe('file');
+    });
+  });
+
+  describe('scanAttachment', () => {
+    test('should accept files whose contents match their type', () => {
+      expect(scanAttachment({ fileName: 'worksheet.pdf', mimeType: 'application/pdf', buffer: PDF })).toEqual([]);
+      expect(scanAttachment({ fileName: 'chart.PNG', mimeType: 'image/png', buffer: PNG })).toEqual([]);
+      expect(scanAttachment({ fileName: 'notes.txt', mimeType: 'text/plain', buffer: Buffer.from('Breathing 4-7-8') })).toEqual([]);
+    });
+
+    test('should reject disallowed types', () => {
+      expect(scanAttachment({ fileName: 'setup.exe', mimeType: 'application/x-msdownload', buffer: Buffer.from('MZ') }))
+        .toEqual(['File type not allowed: application/x-msdownload']);
+    });
+
+    test('should reject files disguised as an allowed type', () => {
+      const executable = Buffer.from([0x4d, 0x5a, 0x90, 0x00]);
+      expect(scanAttachment({ fileName: 'worksheet.pdf', mimeType: 'application/pdf', buffer: executable }))
+        .toEqual(['File contents do not match its type']);
+      expect(scanAttachment({ fileName: 'notes.txt', mimeType: 'text/plain', buffer: executable }))
+        .toEqual(['File contents do not match its type']);
+      expect(scanAttachment({ fileName: 'worksheet.exe', mimeType: 'application/pdf', buffer: PDF }))
+        .toEqual(['File extension does not match its type']);
+    });
+
+    test('should reject empty and oversized files', () => {
+      expect(scanAttachment({ fileName: 'a.pdf', mimeType: 'application/pdf', buffer: Buffer.alloc(0) }))
+        .toEqual(['File is empty']);
+
+      const oversized = Buffer.concat([PDF, Buffer.alloc(CALL_CHAT_CONFIG.MAX_ATTACHMENT_BYTES)]);
+      expect(scanAttachment({ fileName: 'a.pdf', mimeType: 'application/pdf', buffer: oversized }))
+        .toEqual(['File exceeds 10 MB']);
+    });
+  });
+
+  describe('summarizeMessage', () => {
+    test('should decrypt the text and hide where the file is stored', () => {
+      const summary = summarizeMessage({
+        _id: 'msg1',
+        sender: 'therapist1',
+        senderRole: 'psychologist',
+        senderName: 'Dr. Wanjiru',
+        text: encryption.encrypt('Here is this week\'s worksheet'),
+        attachment: { fileName: 'worksheet.pdf', mimeType: 'application/pdf', size: 109, storageKey: 'session1/msg1.enc' },
+        sentAt: new Date('2026-10-19T10:00:00Z')
+      });
+
+      expect(summary.text).toBe('Here is this week\'s worksheet');
+      expect(summary.attachment).toEqual({ fileName: 'worksheet.pdf', mimeType: 'application/pdf', size: 109 });
+      expect(summary.resource).toBeNull();
+    });
+
+    test('should cope with text-only and undecryptable messages', () => {
+      expect(summarizeMessage({ _id: 'msg2', text: 'not-encrypted' }))
+        .toMatchObject({ text: '[Encrypted - Unable to decrypt]', attachment: null });
+    });
+  });
+});
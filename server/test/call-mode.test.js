@@ -0,0 +1,156 @@
+/**
+ * Call Mode Tests
+ *
+ * Tests how quality reports are graded, when the degradation ladder moves
+ * a call between modes, and how the modes a call ran in are summarized
+ * for billing and quality reports.
+ */
+
+const {
+  classifyQualityReport,
+  evaluateCallMode,
+  appendModeSegment,
+  summarizeCallModes,
+  buildCallModeReport
+} = require('../services/callModeService');
+
+const GOOD = { packetLoss: 0.2, videoLatency: 60, audioLatency: 60, bandwidth: 2500000, connectionQuality: 'excellent' };
+const POOR = { packetLoss: 9, videoLatency: 420, audioLatency: 420, bandwidth: 400000, connectionQuality: 'poor' };
+
+const repeat = (grade, times) => Array(times).fill(grade);
+const at = (minutes) => new Date(Date.UTC(2026, 9, 19, 10, minutes));
+
+describe('Call Mode', () => {
+  describe('classifyQualityReport', () => {
+    test('should grade clean and struggling connections', () => {
+      expect(classifyQualityReport(GOOD)).toBe('good');
+      expect(classifyQualityReport(POOR)).toBe('poor');
+      expect(classifyQualityReport({ packetLoss: 2.5, videoLatency: 200 })).toBe('fair');
+    });
+
+    test('should treat any one bad measure as poor', () => {
+      expect(classifyQualityReport({ ...GOOD, packetLoss: 6 })).toBe('poor');
+      expect(classifyQualityReport({ ...GOOD, audioLatency: 350 })).toBe('poor');
+      expect(classifyQualityReport({ ...GOOD, bandwidth: 100000 })).toBe('poor');
+      expect(classifyQualityReport({ ...GOOD, connectionQuality: 'offline' })).toBe('poor');
+    });
+
+    test('should ignore bandwidth the browser could not estimate', () => {
+      expect(classifyQualityReport({ ...GOOD, bandwidth: 0 })).toBe('good');
+    });
+  });
+
+  describe('evaluateCallMode', () => {
+    const now = at(30).getTime();
+    const options = { now, phoneBridgeAvailable: true };
+
+    test('should step down one rung after a run of poor reports from anyone', () => {
+      const state = { mode: 'full', grades: { client: repeat('poor', 3), therapist: repeat('good', 6) } };
+      expect(evaluateCallMode(state, options))
+        .toEqual({ mode: 'low_resolution', previousMode: 'full', reason: 'poor_network' });
+
+      expect(evaluateCallMode({ mode: 'video_off', grades: { client: repeat('poor', 3) } }, options).mode)
+        .toBe('audio_only');
+    });
+
+    test('should not react to a single bad report', () => {
+      expect(evaluateCallMode({ mode: 'full', grades: { client: ['good', 'poor', 'poor'] } }, options)).toBeNull();
+    });
+
+    test('should wait out the cooldown after a change', () => {
+      const state = { mode: 'low_resolution', changedAt: now - 5000, grades: { client: repeat('poor', 3) } };
+      expect(evaluateCallMode(state, options)).toBeNull();
+      expect(evaluateCallMode({ ...state, changedAt: now - 20000 }, options).mode).toBe('video_off');
+    });
+
+    test('should only fall back to the phone bridge when one is configured', () => {
+      const state = { mode: 'audio_only', grades: { client: repeat('poor', 3) } };
+      expect(evaluateCallMode(state, options).mode).toBe('phone_bridge');
+      expect(evaluateCallMode(state, { now, phoneBridgeAvailable: false })).toBeNull();
+    });
+
+    test('should step back up once everyone has recovered', () => {
+      const state = {
+        mode: 'video_off',
+        changedAt: now - 90000,
+        grades: { client: repeat('good', 6), therapist: repeat('good', 6) }
+      };
+      expect(evaluateCallMode(state, options))
+        .toEqual({ mode: 'low_resolution', previousMode: 'video_off', reason: 'network_recovered' });
+
+      state.grades.therapist = [...repeat('good', 5), 'fair'];
+      expect(evaluateCallMode(state, options)).toBeNull();
+    });
+
+    test('should stay on the phone bridge until the therapist restores video', () => {
+      const state = { mode: 'phone_bridge', changedAt: now - 600000, grades: { client: repeat('good', 6) } };
+      expect(evaluateCallMode(state, options)).toBeNull();
+    });
+  });
+
+  describe('appendModeSegment', () => {
+    test('should start the timeline in full mode from the call start', () => {
+      const timeline = appendModeSegment([], { mode: 'low_resolution', reason: 'poor_network', at: at(10), callStartedAt: at(0) });
+
+      expect(timeline).toEqual([
+        { mode: 'full', reason: 'call_started', startedAt: at(0), endedAt: at(10) },
+        { mode: 'low_resolution', reason: 'poor_network', startedAt: at(10) }
+      ]);
+    });
+
+    test('should close the open segment without changing the original', () => {
+      const segments = [
+        { mode: 'full', reason: 'call_started', startedAt: at(0), endedAt: at(10) },
+        { mode: 'low_resolution', reason: 'poor_network', startedAt: at(10) }
+      ];
+      const timeline = appendModeSegment(segments, { mode: 'video_off', reason: 'poor_network', at: at(15) });
+
+      expect(timeline[1].endedAt).toEqual(at(15));
+      expect(timeline[2]).toEqual({ mode: 'video_off', reason: 'poor_network', startedAt: at(15) });
+      expect(segments[1].endedAt).toBeUndefined();
+    });
+  });
+
+  describe('summarizeCallModes', () => {
+    test('should bill a call that never degraded as full', () => {
+      const summary = summarizeCallModes([], { startedAt: at(0), endedAt: at(50) });
+
+      expect(summary.primary).toBe('full');
+      expect(summary.lowest).toBe('full');
+      expect(summary.durations.full).toBe(3000);
+    });
+
+    test('should total each mode and pick the one the call mostly ran in', () => {
+      const segments = [
+        { mode: 'full', reason: 'call_started', startedAt: at(0), endedAt: at(10) },
+        { mode: 'low_resolution', reason: 'poor_network', startedAt: at(10), endedAt: at(15) },
+        { mode: 'audio_only', reason: 'poor_network', startedAt: at(15), endedAt: at(20) },
+        { mode: 'low_resolution', reason: 'network_recovered', startedAt: at(20) }
+      ];
+      const summary = summarizeCallModes(segments, { startedAt: at(0), endedAt: at(50) });
+
+      expect(summary.durations).toEqual({ full: 600, low_resolution: 2100, video_off: 0, audio_only: 300, phone_bridge: 0 });
+      expect(summary.primary).toBe('low_resolution');
+      expect(summary.lowest).toBe('audio_only');
+      expect(summary.current).toBe('low_resolution');
+      expect(summary.segments[3].endedAt).toEqual(at(50));
+    });
+  });
+
+  describe('buildCallModeReport', () => {
+    test('should count calls and minutes per mode', () => {
+      const report = buildCallModeReport([
+        { callMode: { primary: 'full', lowest: 'full', durations: { full: 3000 } } },
+        { callMode: { primary: 'audio_only', lowest: 'phone_bridge', durations: { full: 600, audio_only: 1800, phone_bridge: 600 } } },
+        { callMode: { current: 'video_off' } }
+      ]);
+
+      expect(report.totalCalls).toBe(2);
+      expect(report.degradedCalls).toBe(1);
+      expect(report.degradedRate).toBe(0.5);
+      expect(report.callsByPrimaryMode).toMatchObject({ full: 1, audio_only: 1 });
+      expect(report.callsByLowestMode).toMatchObject({ full: 1, phone_bridge: 1 });
+      expect(report.minutesByMode).toEqual({ full: 60, low_resolution: 0, video_off: 0, audio_only: 30, phone_bridge: 10 });
+    });
+  });
+});
@@ -117,6 +117,19 @@ describe('Cancellation Policy Tests', () => {
       expect(result.amount).toBe(0);
       expect(result.percentage).toBe(0);
     });
+
+    test('should restore a package credit only on a full refund', () => {
+      const creditSession = { price: 2500, paymentMethod: 'package_credit' };
+
+      expect(cancellationService.calculateRefundAmount(creditSession, 'client', 50))
+        .toMatchObject({ amount: 2500, percentage: 100 });
+      expect(cancellationService.calculateRefundAmount(creditSession, 'therapist', 10))
+        .toMatchObject({ amount: 2500, percentage: 100 });
+
+      const partial = cancellationService.calculateRefundAmount(creditSession, 'client', 30);
+      expect(partial).toMatchObject({ amount: 0, percentage: 0 });
+      expect(partial.reason).toMatch(/Package credit forfeited/);
+    });
   });
 
   describe('Cancellation Policy Configuration', () => {
@@ -0,0 +1,164 @@
+/**
+ * Clinical Instrument Tests
+ *
+ * Tests PHQ-9 and GAD-7 scoring: completeness checks, severity bands,
+ * subscales, critical-item flags, and that submissions are scored from the
+ * instrument definition rather than the stored Assessment.
+ */
+
+const Assessment = require('../models/Assessment');
+const { INSTRUMENTS } = require('../constants/clinicalInstruments');
+const {
+  clinicalInstrumentService,
+  getSeverityBand,
+  scoreInstrument
+} = require('../services/clinicalInstrumentService');
+
+function answerAll(code, scores) {
+  return INSTRUMENTS[code].items.map((item, index) => ({
+    itemNumber: item.itemNumber,
+    score: Array.isArray(scores) ? scores[index] : scores
+  }));
+}
+
+describe('Clinical Instruments', () => {
+  describe('getSeverityBand', () => {
+    test.each([
+      [0, 'minimal'],
+      [4, 'minimal'],
+      [5, 'mild'],
+      [10, 'moderate'],
+      [15, 'moderately_severe'],
+      [20, 'severe'],
+      [27, 'severe']
+    ])('should map PHQ-9 score %i to %s', (score, severity) => {
+      expect(getSeverityBand('PHQ9', score).severity).toBe(severity);
+    });
+
+    test('should map GAD-7 scores of 15 and above to severe', () => {
+      expect(getSeverityBand('GAD7', 15).severity).toBe('severe');
+      expect(getSeverityBand('GAD7', 21).severity).toBe('severe');
+    });
+
+    test('should reject scores outside the instrument range', () => {
+      expect(() => getSeverityBand('GAD7', 22)).toThrow();
+    });
+  });
+
+  describe('scoreInstrument', () => {
+    test('should total a complete PHQ-9 and band it', () => {
+      const result = scoreInstrument('PHQ9', answerAll('PHQ9', [2, 2, 1, 1, 1, 1, 1, 1, 0]));
+
+      expect(result.totalScore).toBe(10);
+      expect(result.severity).toBe('moderate');
+      expect(result.interpretation).toBe('Moderate depression');
+    });
+
+    test('should compute PHQ-9 subscales and the PHQ-2 screen', () => {
+      const result = scoreInstrument('PHQ9', answerAll('PHQ9', [2, 1, 3, 3, 0, 0, 0, 1, 0]));
+      const subscales = Object.fromEntries(result.subscaleScores.map(s => [s.key, s]));
+
+      expect(subscales.phq2.score).toBe(3);
+      expect(subscales.phq2.positiveScreen).toBe(true);
+      expect(subscales.somatic.score).toBe(7);
+      expect(subscales.cognitiveAffective.score).toBe(3);
+      expect(subscales.somatic.positiveScreen).toBeUndefined();
+    });
+
+    test('should flag PHQ-9 item 9 for review on any positive answer', () => {
+      const result = scoreInstrument('PHQ9', answerAll('PHQ9', [0, 0, 0, 0, 0, 0, 0, 0, 1]));
+
+      expect(result.severity).toBe('minimal');
+      expect(result.requiresReview).toBe(true);
+      expect(result.criticalFlags).toEqual([
+        expect.objectContaining({ itemNumber: 9, score: 1, flag: 'suicidal_ideation' })
+      ]);
+    });
+
+    test('should not flag anything when item 9 is zero', () => {
+      const result = scoreInstrument('PHQ9', answerAll('PHQ9', 3).map(a => (a.itemNumber === 9 ? { ...a, score: 0 } : a)));
+
+      expect(result.criticalFlags).toHaveLength(0);
+      expect(result.requiresReview).toBe(false);
+    });
+
+    test('should score a GAD-7 with the GAD-2 screen', () => {
+      const result = scoreInstrument('GAD7', answerAll('GAD7', 1));
+
+      expect(result.totalScore).toBe(7);
+      expect(result.severity).toBe('mild');
+      expect(result.subscaleScores[0]).toEqual(expect.objectContaining({ key: 'gad2', score: 2, positiveScreen: false }));
+    });
+
+    test('should reject an incomplete submission', () => {
+      const answers = answerAll('GAD7', 1).slice(0, 6);
+
+      expect(() => scoreInstrument('GAD7', answers)).toThrow(/Missing: 7/);
+    });
+
+    test('should reject duplicate items', () => {
+      const answers = [...answerAll('GAD7', 1), { itemNumber: 1, score: 2 }];
+
+      expect(() => scoreInstrument('GAD7', answers)).toThrow(/more than once/);
+    });
+
+    test('should reject scores outside the response scale', () => {
+      const answers = answerAll('GAD7', 1);
+      answers[0].score = 4;
+
+      expect(() => scoreInstrument('GAD7', answers)).toThrow(/Invalid score/);
+    });
+
+    test('should reject an unknown instrument', () => {
+      expect(() => scoreInstrument('BDI', [])).toThrow(/Unknown clinical instrument/);
+    });
+  });
+
+  describe('scoreSubmission', () => {
+    const buildAssessment = (code, editOptions = options => options) => new Assessment({
+      title: INSTRUMENTS[code].title,
+      instrumentCode: code,
+      instrumentVersion: INSTRUMENTS[code].version,
+      questions: INSTRUMENTS[code].items.map(item => ({
+        itemNumber: item.itemNumber,
+        questionText: item.text,
+        options: editOptions(INSTRUMENTS[code].options.map(o => ({ ...o })))
+      }))
+    });
+
+    const pickOption = (assessment, optionText) => assessment.questions.map(question => ({
+      questionId: question._id.toString(),
+      optionId: question.options.find(o => o.optionText === optionText)._id.toString()
+    }));
+
+    test('should ignore scores edited on the stored options', () => {
+      const assessment = buildAssessment('GAD7', options => options.map(o => ({ ...o, score: 0 })));
+
+      const { scoring, processedAnswers } = clinicalInstrumentService.scoreSubmission(
+        assessment, pickOption(assessment, 'Nearly every day')
+      );
+
+      expect(scoring.totalScore).toBe(21);
+      expect(processedAnswers.every(answer => answer.score === 3)).toBe(true);
+    });
+
+    test('should match reworded options by position', () => {
+      const assessment = buildAssessment('GAD7', options => options.map((o, index) => ({
+        ...o,
+        optionText: `Option ${index}`,
+        score: 9
+      })));
+
+      const { scoring } = clinicalInstrumentService.scoreSubmission(assessment, pickOption(assessment, 'Option 1'));
+
+      expect(scoring.totalScore).toBe(7);
+    });
+
+    test('should reject an option the instrument does not have', () => {
+      const assessment = buildAssessment('GAD7', options => [...options, { optionText: 'Every hour', score: 4 }]);
+
+      expect(() => clinicalInstrumentService.scoreSubmission(assessment, pickOption(assessment, 'Every hour')))
+        .toThrow(/Invalid option "Every hour"/);
+    });
+  });
+});
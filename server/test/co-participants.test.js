@@ -0,0 +1,107 @@
+/**
+ * Co-Participant Tests
+ *
+ * Tests co-participant validation on Couples/Family sessions, video room
+ * admission and per-attendee form completion.
+ */
+
+const { CO_PARTICIPANT_CONFIG, validateCoParticipant } = require('../services/coParticipantService');
+const { getMissingForms, summarizeFormCompletion } = require('../services/formCompletionTracker');
+const { canJoinVideoRoom, getSessionAttendees, isCoParticipant } = require('../utils/sessionParticipants');
+
+const partner = { _id: 'client-2', role: 'client' };
+
+const couplesSession = (overrides = {}) => ({
+  sessionType: 'Couples',
+  status: 'Approved',
+  client: 'client-1',
+  psychologist: 'therapist-1',
+  paymentStatus: 'Pending',
+  participants: [],
+  ...overrides
+});
+
+describe('Co-Participants', () => {
+  describe('validateCoParticipant', () => {
+    test('should accept a partner on a Couples session', () => {
+      expect(validateCoParticipant(couplesSession(), partner, 'partner')).toEqual([]);
+    });
+
+    test('should only allow Couples and Family sessions', () => {
+      expect(validateCoParticipant(couplesSession({ sessionType: 'Individual' }), partner))
+        .toEqual(['Co-participants can only be added to Couples or Family sessions']);
+    });
+
+    test('should enforce the per-type limit', () => {
+      const session = couplesSession({
+        participants: [{ client: 'client-3', role: 'co_participant' }]
+      });
+      expect(validateCoParticipant(session, partner)).toEqual(['Couples sessions allow at most 1 co-participant']);
+
+      const family = couplesSession({
+        sessionType: 'Family',
+        participants: Array.from({ length: CO_PARTICIPANT_CONFIG.MAX_CO_PARTICIPANTS.Family }, (_, i) => ({
+          client: `member-${i}`, role: 'co_participant'
+        }))
+      });
+      expect(validateCoParticipant(family, partner)).toEqual(['Family sessions allow at most 5 co-participants']);
+    });
+
+    test('should reject the booking client, duplicates and non-client accounts', () => {
+      expect(validateCoParticipant(couplesSession(), { _id: 'client-1', role: 'client' }))
+        .toContain('The booking client is already part of this session');
+      expect(validateCoParticipant(couplesSession({ participants: [{ client: 'client-2', role: 'co_participant' }] }), partner))
+        .toEqual(['This person is already part of this session']);
+      expect(validateCoParticipant(couplesSession(), { _id: 'therapist-2', role: 'psychologist' }))
+        .toEqual(['Co-participants must have a client account']);
+    });
+
+    test('should reject closed sessions and unknown relationships', () => {
+      const errors = validateCoParticipant(couplesSession({ status: 'Completed' }), partner, 'neighbour');
+      expect(errors).toContain('Cannot change participants of a completed session');
+      expect(errors.some(e => e.startsWith('Relationship must be one of'))).toBe(true);
+    });
+  });
+
+  describe('session attendees', () => {
+    const session = couplesSession({
+      paymentStatus: 'Paid',
+      participants: [{ client: { _id: 'client-2', name: 'Sam' }, role: 'co_participant' }]
+    });
+
+    test('should list the booking client then co-participants', () => {
+      expect(getSessionAttendees(session)).toEqual(['client-1', { _id: 'client-2', name: 'Sam' }]);
+      expect(isCoParticipant(session, 'client-2')).toBe(true);
+      expect(isCoParticipant(session, 'client-1')).toBe(false);
+    });
+
+    test('should admit co-participants on the booking client\'s payment', () => {
+      expect(canJoinVideoRoom(session, 'client-2', 'client')).toEqual({ allowed: true });
+      expect(canJoinVideoRoom({ ...session, paymentStatus: 'Pending' }, 'client-2', 'client').reason)
+        .toBe('payment_not_confirmed');
+      expect(canJoinVideoRoom(session, 'client-9', 'client').reason).toBe('unauthorized');
+    });
+  });
+
+  describe('form completion', () => {
+    test('should list missing forms per attendee', () => {
+      expect(getMissingForms({ agreementComplete: false, intakeFormComplete: true })).toEqual(['Confidentiality Agreement']);
+      expect(getMissingForms({ agreementComplete: true, intakeFormComplete: true })).toEqual([]);
+    });
+
+    test('should only be complete once every attendee has completed each form', () => {
+      const attendees = [
+        { agreementComplete: true, intakeFormComplete: true },
+        { agreementComplete: true, intakeFormComplete: false }
+      ];
+      expect(summarizeFormCompletion(attendees)).toEqual({
+        agreementComplete: true,
+        intakeFormComplete: false,
+        allFormsComplete: false
+      });
+
+      attendees[1].intakeFormComplete = true;
+      expect(summarizeFormCompletion(attendees).allFormsComplete).toBe(true);
+    });
+  });
+});
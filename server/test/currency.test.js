@@ -0,0 +1,111 @@
+/**
+ * Multi-Currency Tests
+ *
+ * Tests conversion and rounding, exchange rate validation, the client's
+ * share in their own currency, card charge and refund amounts and the
+ * original currency columns in accounting exports.
+ */
+
+const {
+  toBase,
+  fromBase,
+  formatMoney,
+  validateExchangeRateData,
+  isRateStale,
+  getLocalShare,
+  getChargeAmount,
+  toChargeCurrency,
+  toSessionBase,
+  describeAmounts
+} = require('../services/currencyService');
+const { generateAccountingExport } = require('../utils/accountingExport');
+
+const usdSession = (overrides = {}) => ({
+  sessionType: 'Individual',
+  price: 3900,
+  paymentMethod: 'stripe',
+  paymentStatus: 'Paid',
+  paymentVerifiedAt: new Date('2026-10-12T09:00:00Z'),
+  clientCurrency: { code: 'USD', standardAmount: 30, amount: 30, exchangeRate: 130, source: 'published' },
+  ...overrides
+});
+
+describe('Multi-Currency', () => {
+  describe('conversion', () => {
+    test('should convert to whole KES and to cents', () => {
+      expect(toBase(30, 129.55)).toBe(3887);
+      expect(fromBase(2500, 129.55, 'USD')).toBe(19.3);
+      expect(fromBase(2500, 129.55, 'KES')).toBe(19);
+    });
+
+    test('should format amounts with the currency decimals', () => {
+      expect(formatMoney(2500)).toBe('KES 2,500');
+      expect(formatMoney(19.3, 'USD')).toBe('USD 19.30');
+    });
+  });
+
+  describe('validateExchangeRateData', () => {
+    test('should accept a foreign currency rate', () => {
+      expect(validateExchangeRateData({ currency: 'USD', rate: 129.55 })).toEqual([]);
+    });
+
+    test('should reject KES, unknown currencies and non-positive rates', () => {
+      expect(validateExchangeRateData({ currency: 'KES', rate: 1 })).toHaveLength(1);
+      expect(validateExchangeRateData({ currency: 'JPY', rate: 0, effectiveFrom: 'soon' })).toHaveLength(3);
+    });
+  });
+
+  describe('isRateStale', () => {
+    test('should flag missing and week-old rates', () => {
+      const now = new Date('2026-10-19T00:00:00Z');
+      expect(isRateStale(null, now)).toBe(true);
+      expect(isRateStale({ effectiveFrom: new Date('2026-10-15T00:00:00Z') }, now)).toBe(false);
+      expect(isRateStale({ effectiveFrom: new Date('2026-10-01T00:00:00Z') }, now)).toBe(true);
+    });
+  });
+
+  describe('getLocalShare', () => {
+    test('should carry KES discounts over in proportion', () => {
+      const quote = { amount: 30, kesAmount: 3900 };
+      expect(getLocalShare(quote, 3900, 'USD')).toBe(30);
+      expect(getLocalShare(quote, 2925, 'USD')).toBe(22.5);
+      expect(getLocalShare(quote, 0, 'USD')).toBe(0);
+    });
+  });
+
+  describe('card charges', () => {
+    test('should charge foreign-currency sessions in their currency', () => {
+      expect(getChargeAmount(usdSession(), 'kes')).toEqual({ amount: 30, currency: 'usd' });
+      expect(getChargeAmount({ price: 2500 }, 'kes')).toEqual({ amount: 2500, currency: 'kes' });
+    });
+
+    test('should refund and record amounts at the locked rate', () => {
+      expect(toChargeCurrency(usdSession(), 3900)).toBe(30);
+      expect(toChargeCurrency(usdSession(), 1950)).toBe(15);
+      expect(toChargeCurrency({ price: 2500 }, 1250)).toBe(1250);
+      expect(toSessionBase(usdSession(), 30, 'usd')).toBe(3900);
+      expect(toSessionBase(usdSession(), 3900, 'kes')).toBe(3900);
+    });
+  });
+
+  describe('describeAmounts', () => {
+    test('should report the original currency with its KES equivalent', () => {
+      expect(describeAmounts(usdSession({ paymentAmount: 3900 }))).toEqual({ currency: 'USD', amount: 30, exchangeRate: 130, kesAmount: 3900 });
+      expect(describeAmounts(usdSession({ paymentMethod: 'mpesa', mpesaAmount: 3900 }))).toMatchObject({ currency: 'KES', amount: 3900 });
+    });
+  });
+
+  describe('generateAccountingExport', () => {
+    test('should list the original currency alongside KES', () => {
+      const csv = generateAccountingExport([usdSession(), usdSession({ clientCurrency: undefined, price: 2500 })], 'generic');
+      const [headers, usdRow, kesRow] = csv.split('\n').map(line => line.split(','));
+      expect(headers.slice(-3)).toEqual(['Original Currency', 'Original Amount', 'Exchange Rate']);
+      expect(usdRow.slice(-3)).toEqual(['USD', '30.00', '130']);
+      expect(usdRow[headers.indexOf('Amount')]).toBe('3900.00');
+      expect(kesRow.slice(-3)).toEqual(['KES', '2500.00', '1']);
+
+      const xero = generateAccountingExport([usdSession()], 'xero');
+      expect(xero).toMatch(/Therapy session - Individual \(USD 30\.00 @ 130\)/);
+    });
+  });
+});
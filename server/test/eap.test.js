@@ -0,0 +1,184 @@
+/**
+ * Corporate EAP Tests
+ *
+ * Tests contract validation, contract-year allowance periods, booking
+ * eligibility, small-count suppression in HR reports and company invoice
+ * lines.
+ */
+
+const {
+  EAP_CONFIG,
+  validateContractData,
+  getAllowancePeriod,
+  getEapBlocker,
+  getSessionsUsed,
+  suppressCount,
+  buildUtilisationReport,
+  buildCompanyInvoiceLines,
+  getPreviousMonth
+} = require('../services/eapService');
+const sessionReportGenerator = require('../utils/sessionReportGenerator');
+
+const contract = (overrides = {}) => ({
+  isActive: true,
+  contractStart: new Date('2026-03-01T00:00:00Z'),
+  contractEnd: new Date('2028-03-01T00:00:00Z'),
+  sessionsPerEmployee: 6,
+  ratePerSession: 3000,
+  sessionTypes: ['Individual'],
+  billingEmail: 'finance@acme.co.ke',
+  ...overrides
+});
+
+describe('Corporate EAP', () => {
+  describe('validateContractData', () => {
+    test('should accept valid terms', () => {
+      expect(validateContractData(contract())).toEqual([]);
+    });
+
+    test('should reject bad allowance, rate, dates and session types', () => {
+      const errors = validateContractData(contract({
+        contractEnd: new Date('2026-01-01T00:00:00Z'),
+        sessionsPerEmployee: 0,
+        ratePerSession: 2500.5,
+        sessionTypes: ['Massage'],
+        billingEmail: 'finance'
+      }));
+      expect(errors).toHaveLength(5);
+    });
+  });
+
+  describe('getAllowancePeriod', () => {
+    test('should reset the allowance on each contract anniversary', () => {
+      expect(getAllowancePeriod(contract(), new Date('2026-10-19T00:00:00Z'))).toEqual({
+        start: new Date('2026-03-01T00:00:00Z'),
+        end: new Date('2027-03-01T00:00:00Z')
+      });
+      expect(getAllowancePeriod(contract(), new Date('2027-02-15T00:00:00Z')).start)
+        .toEqual(new Date('2026-03-01T00:00:00Z'));
+      expect(getAllowancePeriod(contract(), new Date('2027-04-01T00:00:00Z')).start)
+        .toEqual(new Date('2027-03-01T00:00:00Z'));
+    });
+
+    test('should cap the final period at the contract end', () => {
+      const period = getAllowancePeriod(contract({ contractEnd: new Date('2027-09-01T00:00:00Z') }), new Date('2027-05-01T00:00:00Z'));
+      expect(period.end).toEqual(new Date('2027-09-01T00:00:00Z'));
+    });
+
+    test('should return null outside the contract', () => {
+      expect(getAllowancePeriod(contract(), new Date('2026-02-01T00:00:00Z'))).toBeNull();
+      expect(getAllowancePeriod(contract(), new Date('2028-03-01T00:00:00Z'))).toBeNull();
+      expect(getAllowancePeriod({}, new Date())).toBeNull();
+    });
+  });
+
+  describe('getEapBlocker', () => {
+    const company = { eap: contract() };
+    const member = { status: 'active' };
+    const sessionDate = new Date('2026-10-20T09:00:00Z');
+
+    test('should allow an enrolled employee a covered session', () => {
+      expect(getEapBlocker({ company, member, sessionType: 'Individual', sessionDate })).toBeNull();
+    });
+
+    test('should block removed employees, inactive contracts and uncovered sessions', () => {
+      expect(getEapBlocker({ company, member: { status: 'removed' }, sessionType: 'Individual', sessionDate })).toMatch(/not enrolled/);
+      expect(getEapBlocker({ company: { eap: contract({ isActive: false }) }, member, sessionType: 'Individual', sessionDate })).toMatch(/not active/);
+      expect(getEapBlocker({ company, member, sessionType: 'Couples', sessionDate })).toMatch(/does not cover Couples/);
+      expect(getEapBlocker({ company, member, sessionType: 'Individual', sessionDate: new Date('2029-01-01') })).toMatch(/outside/);
+    });
+  });
+
+  describe('getSessionsUsed', () => {
+    test('should read usage for the matching contract year only', () => {
+      const member = { usage: [{ periodStart: new Date('2026-03-01T00:00:00Z'), sessionsUsed: 4 }] };
+      expect(getSessionsUsed(member, new Date('2026-03-01T00:00:00Z'))).toBe(4);
+      expect(getSessionsUsed(member, new Date('2027-03-01T00:00:00Z'))).toBe(0);
+    });
+  });
+
+  describe('buildUtilisationReport', () => {
+    const session = (member, month, overrides = {}) => ({
+      sessionDate: new Date(`2026-${month}-10T09:00:00Z`),
+      sessionType: 'Individual',
+      status: 'Completed',
+      eap: { member: `member-${member}` },
+      ...overrides
+    });
+
+    test('should suppress counts small enough to identify someone', () => {
+      expect(suppressCount(0)).toBe(0);
+      expect(suppressCount(3)).toBe(`<${EAP_CONFIG.MIN_REPORTABLE_COUNT}`);
+      expect(suppressCount(5)).toBe(5);
+
+      const report = buildUtilisationReport(
+        [session(1, '09'), session(1, '10'), session(2, '10', { status: 'Cancelled' })],
+        { enrolledCount: 40, sessionsPerEmployee: 6 }
+      );
+      expect(report).toMatchObject({
+        enrolledEmployees: 40,
+        employeesUsingService: '<5',
+        utilisationRatePercent: null,
+        sessionsBooked: '<5',
+        allowanceUsedPercent: null
+      });
+      expect(report.byMonth).toEqual([{ month: '2026-09', sessions: '<5' }, { month: '2026-10', sessions: '<5' }]);
+    });
+
+    test('should report rates once enough employees use the service', () => {
+      const sessions = [1, 2, 3, 4, 5, 6].flatMap(m => [session(m, '10'), session(m, '09', { status: 'Confirmed' })]);
+      const report = buildUtilisationReport(sessions, { enrolledCount: 40, sessionsPerEmployee: 6 });
+      expect(report).toMatchObject({
+        employeesUsingService: 6,
+        utilisationRatePercent: 15,
+        sessionsBooked: 12,
+        sessionsCompleted: 6,
+        allowanceUsedPercent: 5
+      });
+      expect(JSON.stringify(report)).not.toMatch(/member-/);
+    });
+  });
+
+  describe('buildCompanyInvoiceLines', () => {
+    test('should bill one line per session type at the contract rate', () => {
+      const lines = buildCompanyInvoiceLines(
+        [{ sessionType: 'Individual' }, { sessionType: 'Couples' }, { sessionType: 'Individual' }],
+        3000
+      );
+      expect(lines).toEqual([
+        { description: 'EAP counselling - Couples sessions', quantity: 1, unitPrice: 3000, amount: 3000 },
+        { description: 'EAP counselling - Individual sessions', quantity: 2, unitPrice: 3000, amount: 6000 }
+      ]);
+    });
+  });
+
+  describe('getPreviousMonth', () => {
+    test('should span the whole previous calendar month', () => {
+      const { start, end } = getPreviousMonth(new Date(2026, 0, 1, 6));
+      expect(start).toEqual(new Date(2025, 11, 1));
+      expect(end).toEqual(new Date(2026, 0, 1));
+    });
+  });
+
+  describe('generateInvoice (company)', () => {
+    test('should render a company invoice PDF', async () => {
+      const pdf = await sessionReportGenerator.generateInvoice({
+        invoice: {
+          type: 'company_invoice',
+          number: 'EAP-2026-000001',
+          issuedAt: new Date('2026-10-01T06:00:00Z'),
+          billTo: { name: 'Acme Ltd', email: 'finance@acme.co.ke' },
+          service: { description: 'Employee assistance programme - September 2026' },
+          lines: [{ description: 'EAP counselling - Individual sessions (2 x KES 3,000)', amount: 6000 }],
+          total: 6000,
+          currency: 'KES',
+          taxRate: 0,
+          dueDate: new Date('2026-10-31T06:00:00Z'),
+          status: 'issued'
+        },
+        business: { name: 'Smiling Steps Teletherapy' }
+      });
+      expect(pdf.slice(0, 5).toString()).toBe('%PDF-');
+    });
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Group Session Tests
+ *
+ * Tests group session validation, seat holds, attendance resolution and
+ * per-participant video room admission.
+ */
+
+const {
+  GROUP_SESSION_CONFIG,
+  validateGroupSessionRequest,
+  isReservationExpired,
+  getSeatSummary,
+  resolveAttendance
+} = require('../services/groupSessionService');
+const { canJoinVideoRoom, getParticipant } = require('../utils/sessionParticipants');
+
+const now = new Date('2026-03-02T09:00:00Z');
+const minutesAgo = (minutes) => new Date(now.getTime() - minutes * 60 * 1000);
+
+describe('Group Sessions', () => {
+  describe('validateGroupSessionRequest', () => {
+    test('should accept a valid request', () => {
+      expect(validateGroupSessionRequest({
+        title: 'Grief support circle',
+        sessionDate: '2026-03-10T15:00:00Z',
+        capacity: 8
+      }, now)).toEqual([]);
+    });
+
+    test('should reject past dates and out-of-range capacity', () => {
+      const errors = validateGroupSessionRequest({
+        title: 'Grief support circle',
+        sessionDate: '2026-03-01T15:00:00Z',
+        capacity: GROUP_SESSION_CONFIG.MAX_CAPACITY + 1
+      }, now);
+
+      expect(errors).toContain('Session date must be in the future');
+      expect(errors.some(e => e.startsWith('Capacity must be between'))).toBe(true);
+    });
+
+    test('should require a title', () => {
+      expect(validateGroupSessionRequest({ title: ' ', sessionDate: '2026-03-10T15:00:00Z', capacity: 4 }, now))
+        .toEqual(['Title is required']);
+    });
+  });
+
+  describe('isReservationExpired', () => {
+    test('should release unpaid seats after the hold period', () => {
+      const participant = { status: 'reserved', paymentStatus: 'Pending', reservedAt: minutesAgo(GROUP_SESSION_CONFIG.SEAT_HOLD_MINUTES + 1) };
+      expect(isReservationExpired(participant, now)).toBe(true);
+    });
+
+    test('should keep seats within the hold period or with a payment in flight', () => {
+      expect(isReservationExpired({ status: 'reserved', paymentStatus: 'Pending', reservedAt: minutesAgo(5) }, now)).toBe(false);
+      expect(isReservationExpired({ status: 'reserved', paymentStatus: 'Processing', reservedAt: minutesAgo(90), paymentInitiatedAt: minutesAgo(5) }, now)).toBe(false);
+    });
+
+    test('should release a seat whose payment callback never arrived', () => {
+      const participant = {
+        status: 'reserved',
+        paymentStatus: 'Processing',
+        reservedAt: minutesAgo(90),
+        paymentInitiatedAt: minutesAgo(GROUP_SESSION_CONFIG.PAYMENT_CONFIRMATION_MINUTES + 1)
+      };
+      expect(isReservationExpired(participant, now)).toBe(true);
+    });
+
+    test('should never expire enrolled seats', () => {
+      expect(isReservationExpired({ status: 'enrolled', paymentStatus: 'Paid', reservedAt: minutesAgo(600) }, now)).toBe(false);
+    });
+  });
+
+  describe('getSeatSummary', () => {
+    test('should not count lapsed reservations or cancelled seats as taken', () => {
+      const session = {
+        capacity: 4,
+        participants: [
+          { role: 'group_member', status: 'enrolled', paymentStatus: 'Paid', reservedAt: minutesAgo(120) },
+          { role: 'group_member', status: 'reserved', paymentStatus: 'Pending', reservedAt: minutesAgo(10) },
+          { role: 'group_member', status: 'reserved', paymentStatus: 'Failed', reservedAt: minutesAgo(45) },
+          { role: 'group_member', status: 'cancelled', paymentStatus: 'Paid', reservedAt: minutesAgo(120), refundStatus: 'processing' }
+        ]
+      };
+
+      expect(getSeatSummary(session, now)).toEqual({ capacity: 4, taken: 2, enrolled: 1, remaining: 2 });
+    });
+  });
+
+  describe('resolveAttendance', () => {
+    test('should keep attendance the therapist marked', () => {
+      expect(resolveAttendance({ attendance: 'excused', joinedAt: null })).toBe('excused');
+    });
+
+    test('should infer attendance from joining the video room', () => {
+      expect(resolveAttendance({ attendance: 'pending', joinedAt: minutesAgo(30) })).toBe('attended');
+      expect(resolveAttendance({ attendance: 'pending', joinedAt: null })).toBe('no_show');
+    });
+  });
+
+  describe('canJoinVideoRoom', () => {
+    const groupSession = {
+      sessionType: 'Group',
+      psychologist: 'therapist-1',
+      paymentStatus: 'Pending',
+      participants: [
+        { client: 'client-paid', paymentStatus: 'Paid', agreement: 'agreement-1' },
+        { client: 'client-unsigned', paymentStatus: 'Paid', agreement: null },
+        { client: 'client-unpaid', paymentStatus: 'Processing', agreement: 'agreement-2' },
+        { client: 'client-cancelled', status: 'cancelled', paymentStatus: 'Paid', agreement: 'agreement-3' }
+      ]
+    };
+
+    test('should admit members whose own seat is paid and agreement signed', () => {
+      expect(canJoinVideoRoom(groupSession, 'client-paid', 'client')).toEqual({ allowed: true });
+      expect(canJoinVideoRoom(groupSession, 'client-unpaid', 'client').reason).toBe('payment_not_confirmed');
+      expect(canJoinVideoRoom(groupSession, 'client-unsigned', 'client').reason).toBe('agreement_required');
+      expect(canJoinVideoRoom(groupSession, 'stranger', 'client').reason).toBe('unauthorized');
+      expect(canJoinVideoRoom(groupSession, 'client-cancelled', 'client').reason).toBe('unauthorized');
+    });
+
+    test('should let the therapist open a group room', () => {
+      expect(canJoinVideoRoom(groupSession, 'therapist-1', 'psychologist')).toEqual({ allowed: true });
+    });
+
+    test('should keep one-to-one rules for individual sessions', () => {
+      const session = { sessionType: 'Individual', client: 'client-1', psychologist: 'therapist-1', paymentStatus: 'Confirmed' };
+      expect(canJoinVideoRoom(session, 'client-1', 'client')).toEqual({ allowed: true });
+      expect(canJoinVideoRoom({ ...session, paymentStatus: 'Pending' }, 'client-1', 'client').reason).toBe('payment_not_confirmed');
+      expect(canJoinVideoRoom(session, 'client-2', 'client').reason).toBe('unauthorized');
+    });
+
+    test('should find participants by populated or raw client reference', () => {
+      const session = { participants: [{ client: { _id: 'client-1', name: 'A' } }] };
+      expect(getParticipant(session, 'client-1')).toBe(session.participants[0]);
+    });
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Integration Test Helpers
+ *
+ * App and fixture setup shared by the route-level integration tests: an
+ * Express app with the routers under test mounted, the verified users and
+ * therapist rates most flows start from, and small timing utilities.
+ * Sign tokens with generateToken from utils/auth, passing the user's role.
+ */
+
+const express = require('express');
+const User = require('../../models/User');
+const SessionRate = require('../../models/SessionRate');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Express app with the given routers mounted in order
+ * @param {Object} routes - Mount path -> router
+ * @param {Object} [jsonOptions] - Options for express.json, e.g. a raw body `verify`
+ * @returns {Object} - Express app
+ */
+function createTestApp(routes, jsonOptions = {}) {
+  const app = express();
+  app.use(express.json(jsonOptions));
+  for (const [mountPath, router] of Object.entries(routes)) {
+    app.use(mountPath, router);
+  }
+  return app;
+}
+
+/**
+ * Create a verified user; therapists are also approved
+ * @param {string} role - 'client', 'psychologist' or 'admin'
+ * @param {Object} fields - name, email and any other User fields
+ */
+function createTestUser(role, fields) {
+  return User.create({
+    password: 'TestPass123!',
+    role,
+    isVerified: true,
+    ...(role === 'psychologist' && { approvalStatus: 'approved' }),
+    ...fields
+  });
+}
+
+/**
+ * A therapist's rate for a session type, in effect since yesterday
+ */
+function createSessionRate(therapist, amount, { sessionType = 'Individual', duration = 60, ...fields } = {}) {
+  return SessionRate.create({
+    therapist: therapist._id,
+    sessionType,
+    amount,
+    duration,
+    effectiveFrom: new Date(Date.now() - DAY_MS),
+    createdBy: therapist._id,
+    ...fields
+  });
+}
+
+const daysFromNow = (days) => new Date(Date.now() + days * DAY_MS);
+
+/**
+ * Poll until `check` returns something truthy, for work a route finishes
+ * after it has responded
+ * @returns {Promise<*>} - The first truthy result, or null
+ */
+async function waitFor(check, attempts = 20) {
+  for (let i = 0; i < attempts; i++) {
+    const result = await check();
+    if (result) return result;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  return null;
+}
+
+module.exports = {
+  DAY_MS,
+  createTestApp,
+  createTestUser,
+  createSessionRate,
+  daysFromNow,
+  waitFor
+};
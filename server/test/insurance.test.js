@@ -0,0 +1,151 @@
+/**
+ * Insurance Claim Tests
+ *
+ * Tests billing code validation, service code suggestions, insurance
+ * details, claim status transitions, what makes a session reimbursable and
+ * superbill contents and PDF generation.
+ */
+
+const {
+  normalizeDiagnosisCodes,
+  validateBillingCodes,
+  suggestServiceCode,
+  validateInsuranceDetails,
+  canTransitionClaim,
+  getClaimableAmount,
+  getClaimReadiness,
+  buildSuperbillData,
+  parseMonth
+} = require('../services/insuranceService');
+const sessionReportGenerator = require('../utils/sessionReportGenerator');
+
+const insurance = { provider: 'Jubilee Health', memberNumber: 'JH-12345', policyHolderRelationship: 'self' };
+
+const makeSession = (overrides = {}) => ({
+  _id: 'session-1',
+  status: 'Completed',
+  sessionType: 'Individual',
+  sessionDate: new Date('2026-09-14T09:00:00Z'),
+  bookingReference: 'SS-20260914-ABCD',
+  psychologist: { name: 'Dr. Smith', psychologistDetails: { licenseNumber: 'CPB-0042', licensingBody: 'Counsellors and Psychologists Board' } },
+  price: 2500,
+  sessionRate: 2500,
+  paymentStatus: 'Paid',
+  paymentMethod: 'mpesa',
+  mpesaAmount: 2500,
+  billingCodes: { diagnosisCodes: 'F41.1,F32.0', serviceCode: '90837', modifiers: ['95'], placeOfService: '10' },
+  ...overrides
+});
+
+describe('Insurance Claims', () => {
+  describe('validateBillingCodes', () => {
+    test('should accept ICD-10 diagnoses with a psychotherapy code', () => {
+      expect(normalizeDiagnosisCodes(' f41.1, F41.1 ,f32.0')).toEqual(['F41.1', 'F32.0']);
+      expect(validateBillingCodes({ diagnosisCodes: ['F41.1'], serviceCode: '90837', modifiers: ['95'] })).toEqual([]);
+    });
+
+    test('should reject malformed codes', () => {
+      const errors = validateBillingCodes({ diagnosisCodes: ['ANXIETY', 'U07.1'], serviceCode: '99213', modifiers: ['TELE'] });
+      expect(errors).toEqual([
+        'Invalid ICD-10 code(s): ANXIETY, U07.1',
+        expect.stringMatching(/^Service code must be one of/),
+        'Modifiers must be two-character codes'
+      ]);
+      expect(validateBillingCodes({ diagnosisCodes: [], serviceCode: '90837' })).toEqual(['At least one diagnosis code is required']);
+    });
+  });
+
+  describe('suggestServiceCode', () => {
+    test('should pick the CPT code for the session type and length', () => {
+      expect(suggestServiceCode('Individual', 30)).toBe('90832');
+      expect(suggestServiceCode('Individual', 45)).toBe('90834');
+      expect(suggestServiceCode('Individual', undefined)).toBe('90837');
+      expect(suggestServiceCode('Couples', 75)).toBe('90847');
+      expect(suggestServiceCode('Group', 90)).toBe('90853');
+    });
+  });
+
+  describe('validateInsuranceDetails', () => {
+    test('should need the policy holder when the client is a dependant', () => {
+      expect(validateInsuranceDetails(insurance)).toEqual([]);
+      expect(validateInsuranceDetails({ ...insurance, policyHolderRelationship: 'spouse' }))
+        .toEqual(['Policy holder name and date of birth are required when you are not the policy holder']);
+      expect(validateInsuranceDetails({ provider: '', memberNumber: '' })).toHaveLength(2);
+    });
+  });
+
+  describe('canTransitionClaim', () => {
+    test('should follow submitted -> paid/rejected, with resubmission after rejection', () => {
+      expect(canTransitionClaim(undefined, 'submitted')).toBe(true);
+      expect(canTransitionClaim(undefined, 'paid')).toBe(false);
+      expect(canTransitionClaim('submitted', 'paid')).toBe(true);
+      expect(canTransitionClaim('rejected', 'submitted')).toBe(true);
+      expect(canTransitionClaim('paid', 'rejected')).toBe(false);
+    });
+  });
+
+  describe('getClaimReadiness', () => {
+    test('should mark a paid, coded, completed session reimbursable', () => {
+      expect(getClaimReadiness(makeSession(), insurance)).toEqual({ reimbursable: true, missing: [] });
+    });
+
+    test('should list what is missing', () => {
+      const session = makeSession({ status: 'Confirmed', billingCodes: undefined });
+      expect(getClaimReadiness(session, null).missing).toEqual([
+        'Session not completed yet',
+        'Billing codes from your therapist',
+        'Insurance details on your profile'
+      ]);
+    });
+
+    test('should not let clients claim what someone else paid for', () => {
+      expect(getClaimableAmount(makeSession({ paymentMethod: 'eap' }))).toBe(0);
+      expect(getClaimableAmount(makeSession({ paymentMethod: 'sponsorship', price: 0, mpesaAmount: undefined }))).toBe(0);
+      expect(getClaimableAmount(makeSession({ refundStatus: 'processed', refundAmount: 1000 }))).toBe(1500);
+    });
+  });
+
+  describe('buildSuperbillData', () => {
+    test('should list each session with its codes and the providers', () => {
+      const client = { name: 'Jane Client', email: 'jane@example.com', dateOfBirth: '1990-04-02', insurance };
+      const superbill = buildSuperbillData({
+        reference: 'SB-202609-ABC123',
+        client,
+        sessions: [
+          makeSession({ sessionDate: new Date('2026-09-21T09:00:00Z'), pricing: { standardRate: 3000 }, price: 2000, mpesaAmount: 2000 }),
+          makeSession()
+        ]
+      });
+
+      expect(superbill.insurance).toMatchObject({ provider: 'Jubilee Health', policyHolderName: 'Jane Client', policyHolderDateOfBirth: '1990-04-02' });
+      expect(superbill.providers).toEqual([{ name: 'Dr. Smith', licenseNumber: 'CPB-0042', licensingBody: 'Counsellors and Psychologists Board' }]);
+      expect(superbill.diagnosisCodes).toEqual(['F41.1', 'F32.0']);
+      expect(superbill.lines.map(line => [line.fee, line.amountPaid])).toEqual([[2500, 2500], [3000, 2000]]);
+      expect(superbill).toMatchObject({ totalCharged: 5500, totalPaid: 4500 });
+    });
+  });
+
+  describe('parseMonth', () => {
+    test('should span the calendar month', () => {
+      expect(parseMonth('2026-09')).toEqual({ start: new Date(2026, 8, 1), end: new Date(2026, 9, 1) });
+      expect(() => parseMonth('2026-13')).toThrow('Month must be in YYYY-MM format');
+    });
+  });
+
+  describe('generateSuperbill', () => {
+    test('should render a superbill PDF', async () => {
+      const superbill = buildSuperbillData({
+        reference: 'SB-SS-20260914-ABCD',
+        client: { name: 'Jane Client', email: 'jane@example.com', insurance },
+        sessions: [makeSession()],
+        statementDate: new Date('2026-10-01T00:00:00Z')
+      });
+      const pdf = await sessionReportGenerator.generateSuperbill({
+        superbill,
+        business: { name: 'Smiling Steps Teletherapy' }
+      });
+      expect(Buffer.isBuffer(pdf)).toBe(true);
+      expect(pdf.slice(0, 5).toString()).toBe('%PDF-');
+    });
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Clinical Instrument Seeding Integration Tests
+ *
+ * Seeds the PHQ-9 and GAD-7 assessments the way server startup does and
+ * checks overlapping runs leave one document per instrument, older
+ * versions are replaced, and the public list no longer seeds on read.
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+const Assessment = require('../../models/Assessment');
+const { INSTRUMENTS } = require('../../constants/clinicalInstruments');
+const { clinicalInstrumentService } = require('../../services/clinicalInstrumentService');
+const assessmentsRouter = require('../../routes/assessments');
+
+describe('Clinical Instrument Seeding Integration Tests', () => {
+  beforeAll(async () => {
+    await Assessment.init();
+  });
+
+  test('should seed each instrument once when runs overlap', async () => {
+    await Promise.all([
+      clinicalInstrumentService.ensureInstruments(),
+      clinicalInstrumentService.ensureInstruments(),
+      clinicalInstrumentService.ensureInstruments()
+    ]);
+
+    for (const code of Object.keys(INSTRUMENTS)) {
+      expect(await Assessment.countDocuments({ instrumentCode: code })).toBe(1);
+    }
+  });
+
+  test('should replace an older version of an instrument', async () => {
+    await Assessment.create({
+      title: 'Old PHQ-9',
+      description: 'Earlier wording',
+      instrumentCode: 'PHQ9',
+      instrumentVersion: 0,
+      questions: [{ itemNumber: 1, questionText: 'Old wording', options: [{ optionText: 'No', score: 5 }] }]
+    });
+
+    await clinicalInstrumentService.ensureInstruments();
+
+    const phq9 = await Assessment.findOne({ instrumentCode: 'PHQ9' });
+    expect(phq9.title).toBe(INSTRUMENTS.PHQ9.title);
+    expect(phq9.instrumentVersion).toBe(INSTRUMENTS.PHQ9.version);
+    expect(phq9.questions).toHaveLength(INSTRUMENTS.PHQ9.items.length);
+  });
+
+  test('should list assessments without seeding them', async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/assessments', assessmentsRouter);
+
+    const empty = await request(app).get('/api/assessments').expect(200);
+    expect(empty.body).toHaveLength(0);
+
+    await clinicalInstrumentService.ensureInstruments();
+    const seeded = await request(app).get('/api/assessments').expect(200);
+    expect(seeded.body.map(a => a.instrumentCode).sort()).toEqual(Object.keys(INSTRUMENTS).sort());
+  });
+});
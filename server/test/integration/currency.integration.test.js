@@ -0,0 +1,203 @@
+/**
+ * Multi-Currency Pricing Integration Tests
+ *
+ * Drives the currency routes and foreign-currency bookings end to end: an
+ * admin publishes an exchange rate and enables the currency, clients get
+ * quotes converted from the KES rate or from a rate the therapist published
+ * in that currency, the exchange rate is locked at booking, and earnings
+ * exports report the original currency next to the KES equivalent.
+ */
+
+const request = require('supertest');
+
+jest.mock('../../utils/notificationService', () => ({
+  sendEmail: jest.fn().mockResolvedValue({ success: true }),
+  sendSMS: jest.fn().mockResolvedValue({ success: true }),
+  sendBookingConfirmationNotification: jest.fn().mockResolvedValue({ success: true }),
+  sendSessionRequestNotification: jest.fn().mockResolvedValue({ success: true }),
+  sendSessionApprovalNotification: jest.fn().mockResolvedValue({ success: true })
+}));
+
+const Session = require('../../models/Session');
+
+const currencyRouter = require('../../routes/currency');
+const sessionsRouter = require('../../routes/sessions');
+const sessionRatesRouter = require('../../routes/sessionRates');
+const earningsRouter = require('../../routes/earnings');
+const { generateToken } = require('../../utils/auth');
+const { createTestApp, createTestUser, createSessionRate, DAY_MS } = require('../helpers/integration');
+
+const KES_RATE = 13000;
+
+describe('Multi-Currency Pricing Integration Tests', () => {
+  let app;
+  let therapist, client, admin;
+  let therapistToken, clientToken, adminToken;
+  let bookingCount;
+
+  beforeAll(() => {
+    app = createTestApp({
+      '/api/users/earnings': earningsRouter,
+      '/api/sessions': sessionsRouter,
+      '/api/currency': currencyRouter,
+      '/api': sessionRatesRouter
+    });
+  });
+
+  beforeEach(async () => {
+    bookingCount = 0;
+
+    therapist = await createTestUser('psychologist', {
+      name: 'Dr. Currency Therapist',
+      email: 'currency.therapist@test.com'
+    });
+    client = await createTestUser('client', {
+      name: 'Overseas Client',
+      email: 'currency.client@test.com'
+    });
+    admin = await createTestUser('admin', {
+      name: 'Currency Admin',
+      email: 'currency.admin@test.com'
+    });
+    therapistToken = generateToken(therapist._id, therapist.role);
+    clientToken = generateToken(client._id, client.role);
+    adminToken = generateToken(admin._id, admin.role);
+
+    await createSessionRate(therapist, KES_RATE);
+  });
+
+  const publishRate = (rate, token = adminToken) => request(app)
+    .post('/api/currency/exchange-rates')
+    .set('x-auth-token', token)
+    .send({ currency: 'usd', rate, source: 'Central Bank of Kenya' });
+
+  const enableUsd = async (rate = 130) => {
+    await publishRate(rate).expect(201);
+    await request(app)
+      .put('/api/currency/currencies')
+      .set('x-auth-token', adminToken)
+      .send({ currencies: ['USD'] })
+      .expect(200);
+  };
+
+  const quote = (currency) => request(app)
+    .get('/api/currency/quote')
+    .query({ therapistId: therapist._id.toString(), sessionType: 'Individual', currency })
+    .set('x-auth-token', clientToken);
+
+  // Each booking takes its own slot so they don't conflict
+  const book = (extra) => {
+    const sessionDate = new Date(Date.now() + (7 + bookingCount++) * DAY_MS);
+    sessionDate.setHours(10, 0, 0, 0);
+    return request(app)
+      .post('/api/sessions/request')
+      .set('x-auth-token', clientToken)
+      .send({ psychologistId: therapist._id.toString(), sessionType: 'Individual', sessionDate: sessionDate.toISOString(), ...extra });
+  };
+
+  test('should only offer a currency once an admin has published its rate and enabled it', async () => {
+    await publishRate(130, clientToken).expect(403);
+
+    const early = await request(app)
+      .put('/api/currency/currencies')
+      .set('x-auth-token', adminToken)
+      .send({ currencies: ['USD'] })
+      .expect(400);
+    expect(early.body.error).toBe('Publish an exchange rate for USD before enabling it');
+
+    const unavailable = await quote('USD').expect(400);
+    expect(unavailable.body.error).toBe('Payments in USD are not available');
+
+    await enableUsd();
+
+    const offered = await request(app)
+      .get('/api/currency/currencies')
+      .set('x-auth-token', clientToken)
+      .expect(200);
+    expect(offered.body.currencies).toEqual(['KES', 'USD']);
+    expect(offered.body.rates).toEqual([expect.objectContaining({ currency: 'USD', rate: 130, stale: false })]);
+
+    const converted = await quote('USD').expect(200);
+    expect(converted.body.quote).toMatchObject({ currency: 'USD', amount: 100, kesAmount: KES_RATE, exchangeRate: 130, source: 'converted', duration: 60 });
+
+    await quote('EUR').expect(400);
+  });
+
+  test('should quote the rate a therapist published in the client currency', async () => {
+    await enableUsd();
+
+    await request(app)
+      .post('/api/therapist/rates')
+      .set('x-auth-token', therapistToken)
+      .send({ sessionType: 'Individual', amount: 90, duration: 60, currency: 'USD' })
+      .expect(201);
+
+    const published = await quote('USD').expect(200);
+    expect(published.body.quote).toMatchObject({ amount: 90, kesAmount: 90 * 130, source: 'published' });
+
+    const listed = await request(app)
+      .get(`/api/therapist/${therapist._id}/rates`)
+      .query({ currency: 'USD' })
+      .expect(200);
+    const bySessionType = Object.fromEntries(listed.body.rates.map(rate => [rate.sessionType, rate]));
+    expect(bySessionType.Individual).toMatchObject({ currency: 'USD', amount: 90, source: 'published' });
+    expect(bySessionType.Couples).toMatchObject({ currency: 'USD', source: 'converted' });
+  });
+
+  test('should lock the exchange rate at booking and keep it through approval', async () => {
+    await enableUsd();
+
+    const booked = await book({ currency: 'USD' }).expect(201);
+    expect(booked.body.session.price).toBe(KES_RATE);
+    expect(booked.body.session.clientCurrency).toMatchObject({ code: 'USD', amount: 100, exchangeRate: 130 });
+
+    // A newer rate prices new bookings but leaves this one alone
+    await publishRate(140).expect(201);
+
+    const approved = await request(app)
+      .put(`/api/sessions/${booked.body.session._id}/approve`)
+      .set('x-auth-token', therapistToken)
+      .send({})
+      .expect(200);
+    expect(approved.body.session).toMatchObject({ status: 'Approved', price: KES_RATE });
+    expect(approved.body.session.clientCurrency).toMatchObject({ amount: 100, exchangeRate: 130 });
+    expect(approved.body.session.paymentInstructions).toBe('Pay USD 100.00 by card from your dashboard.');
+
+    const later = await book({ currency: 'USD' }).expect(201);
+    expect(later.body.session.clientCurrency).toMatchObject({ amount: 92.86, exchangeRate: 140 });
+  });
+
+  test('should report the original currency and KES equivalent in earnings exports', async () => {
+    await enableUsd();
+    const booked = await book({ currency: 'USD' }).expect(201);
+
+    // Paid by card in USD and completed
+    const sessionDate = new Date();
+    await Session.updateOne({ _id: booked.body.session._id }, {
+      sessionDate,
+      status: 'Completed',
+      paymentStatus: 'Paid',
+      paymentMethod: 'stripe',
+      paymentAmount: KES_RATE,
+      paymentVerifiedAt: sessionDate,
+      'clientCurrency.amountPaid': 100
+    });
+
+    const range = { startDate: new Date(Date.now() - DAY_MS).toISOString(), endDate: new Date(Date.now() + DAY_MS).toISOString() };
+    const earnings = await request(app)
+      .get('/api/users/earnings')
+      .query(range)
+      .set('x-auth-token', therapistToken)
+      .expect(200);
+    expect(earnings.body.payments[0].original).toEqual({ currency: 'USD', amount: 100, exchangeRate: 130, kesAmount: KES_RATE });
+
+    const exported = await request(app)
+      .get('/api/users/earnings/export')
+      .query(range)
+      .set('x-auth-token', therapistToken)
+      .expect(200);
+    const [header, row] = exported.text.split('\n');
+    expect(header).toContain('Amount (KES),Original Currency,Original Amount,Exchange Rate');
+    expect(row).toContain(`,${KES_RATE},USD,100,130,`);
+  });
+});
@@ -0,0 +1,253 @@
+/**
+ * Employer Assistance Programme Integration Tests
+ *
+ * Drives the company routes and employer-billed bookings end to end: an
+ * admin sets a company's contract, HR enrols employees, employees book
+ * without paying against their yearly allowance, HR sees only anonymised
+ * utilisation, and completed sessions are billed on the monthly invoice.
+ */
+
+const request = require('supertest');
+
+jest.mock('../../utils/notificationService', () => ({
+  sendEmail: jest.fn().mockResolvedValue({ success: true }),
+  sendSMS: jest.fn().mockResolvedValue({ success: true }),
+  sendBookingConfirmationNotification: jest.fn().mockResolvedValue({ success: true }),
+  sendSessionRequestNotification: jest.fn().mockResolvedValue({ success: true }),
+  sendSessionApprovalNotification: jest.fn().mockResolvedValue({ success: true }),
+  sendEapBookingNotification: jest.fn().mockResolvedValue({ success: true }),
+  sendCompanyInvoiceEmail: jest.fn().mockResolvedValue({ success: true })
+}));
+
+const { sendCompanyInvoiceEmail } = require('../../utils/notificationService');
+const Session = require('../../models/Session');
+
+const companyRouter = require('../../routes/company');
+const sessionsRouter = require('../../routes/sessions');
+const cancellationsRouter = require('../../routes/cancellations');
+const { generateToken } = require('../../utils/auth');
+const { createTestApp, createTestUser, createSessionRate, DAY_MS } = require('../helpers/integration');
+
+const STANDARD_RATE = 4000;
+const CONTRACT_RATE = 3500;
+
+describe('Employer Assistance Programme Integration Tests', () => {
+  let app;
+  let therapist, employee, outsider, hrUser, admin;
+  let therapistToken, employeeToken, outsiderToken, hrToken, adminToken;
+  let company;
+  let bookingCount;
+
+  beforeAll(() => {
+    app = createTestApp({
+      '/api/company': companyRouter,
+      '/api/sessions': sessionsRouter,
+      '/api': cancellationsRouter
+    });
+  });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    bookingCount = 0;
+
+    therapist = await createTestUser('psychologist', {
+      name: 'Dr. EAP Therapist',
+      email: 'eap.therapist@test.com'
+    });
+    employee = await createTestUser('client', {
+      name: 'EAP Employee',
+      email: 'Employee@Acme.co.ke'
+    });
+    outsider = await createTestUser('client', {
+      name: 'Not Enrolled',
+      email: 'someone@elsewhere.co.ke'
+    });
+    hrUser = await createTestUser('client', {
+      name: 'Acme HR',
+      email: 'hr@acme.co.ke'
+    });
+    admin = await createTestUser('admin', {
+      name: 'EAP Admin',
+      email: 'eap.admin@test.com'
+    });
+    therapistToken = generateToken(therapist._id, therapist.role);
+    employeeToken = generateToken(employee._id, employee.role);
+    outsiderToken = generateToken(outsider._id, outsider.role);
+    hrToken = generateToken(hrUser._id, hrUser.role);
+    adminToken = generateToken(admin._id, admin.role);
+
+    await createSessionRate(therapist, STANDARD_RATE);
+
+    const created = await request(app)
+      .post('/api/company')
+      .set('x-auth-token', adminToken)
+      .send({ name: 'Acme Kenya Ltd', employeeLimit: 10 })
+      .expect(201);
+    company = created.body.company;
+
+    await request(app)
+      .put(`/api/company/${company._id}/eap`)
+      .set('x-auth-token', adminToken)
+      .send({
+        contractStart: new Date(Date.now() - 60 * DAY_MS).toISOString(),
+        sessionsPerEmployee: 2,
+        ratePerSession: CONTRACT_RATE,
+        billingEmail: 'accounts@acme.co.ke'
+      })
+      .expect(200);
+    await request(app)
+      .post(`/api/company/${company._id}/hr-admins`)
+      .set('x-auth-token', adminToken)
+      .send({ userId: hrUser._id.toString() })
+      .expect(200);
+
+    const enrolled = await request(app)
+      .post(`/api/company/${company._id}/members`)
+      .set('x-auth-token', hrToken)
+      .send({ employees: [{ email: 'employee@acme.co.ke', employeeRef: 'ACME-042' }] })
+      .expect(201);
+    expect(enrolled.body.added).toBe(1);
+  });
+
+  // Each booking takes its own slot so they don't conflict
+  const book = (token, extra = {}) => {
+    const sessionDate = new Date(Date.now() + (7 + bookingCount++) * DAY_MS);
+    sessionDate.setHours(10, 0, 0, 0);
+    return request(app)
+      .post('/api/sessions/request')
+      .set('x-auth-token', token)
+      .send({ psychologistId: therapist._id.toString(), sessionType: 'Individual', sessionDate: sessionDate.toISOString(), billToEmployer: true, ...extra });
+  };
+
+  const approve = (sessionId) => request(app)
+    .put(`/api/sessions/${sessionId}/approve`)
+    .set('x-auth-token', therapistToken)
+    .send({})
+    .expect(200);
+
+  const getCoverage = async () => {
+    const res = await request(app)
+      .get('/api/company/eap/coverage')
+      .set('x-auth-token', employeeToken)
+      .expect(200);
+    return res.body.coverage;
+  };
+
+  test('should confirm employer-covered bookings without payment and draw down the allowance', async () => {
+    await request(app)
+      .put(`/api/company/${company._id}/eap`)
+      .set('x-auth-token', hrToken)
+      .send({ contractStart: new Date().toISOString(), sessionsPerEmployee: 99, ratePerSession: 1, billingEmail: 'hr@acme.co.ke' })
+      .expect(403);
+
+    expect(await getCoverage()).toMatchObject({ sessionsPerYear: 2, sessionsUsed: 0, sessionsRemaining: 2 });
+
+    const first = await book(employeeToken).expect(201);
+    expect(first.body.session.eap).toMatchObject({ company: company._id, status: 'reserved' });
+
+    const approved = await approve(first.body.session._id);
+    expect(approved.body.session).toMatchObject({ status: 'Confirmed', paymentStatus: 'Paid', paymentMethod: 'eap' });
+
+    const second = await book(employeeToken).expect(201);
+    expect(await getCoverage()).toMatchObject({ sessionsUsed: 2, sessionsRemaining: 0 });
+
+    const refused = await book(employeeToken).expect(400);
+    expect(refused.body.msg).toBe('You have used all your employer-covered sessions for this contract year');
+
+    // Cancelling gives the session back to the allowance
+    const cancelled = await request(app)
+      .post(`/api/sessions/${second.body.session._id}/cancel`)
+      .set('x-auth-token', employeeToken)
+      .send({ reason: 'schedule_conflict' })
+      .expect(200);
+    expect(cancelled.body.refundAmount).toBe(0);
+    expect(await getCoverage()).toMatchObject({ sessionsUsed: 1, sessionsRemaining: 1 });
+    await book(employeeToken).expect(201);
+  });
+
+  test('should refuse employer billing to clients who are not enrolled or stack discounts', async () => {
+    const notEnrolled = await book(outsiderToken).expect(400);
+    expect(notEnrolled.body.msg).toBe('You are not enrolled in an employer assistance programme');
+
+    const stacked = await book(employeeToken, { promoCode: 'WELCOME' }).expect(400);
+    expect(stacked.body.msg).toBe('Employer-covered sessions cannot be combined with other discounts');
+
+    const { body } = await request(app)
+      .get('/api/company/eap/coverage')
+      .set('x-auth-token', outsiderToken)
+      .expect(200);
+    expect(body).toMatchObject({ enrolled: false, coverage: null });
+  });
+
+  test('should report anonymised utilisation to HR and bill completed sessions monthly', async () => {
+    const booked = await book(employeeToken).expect(201);
+    await approve(booked.body.session._id);
+
+    // Completed last month
+    const lastMonth = new Date();
+    lastMonth.setDate(1);
+    lastMonth.setMonth(lastMonth.getMonth() - 1);
+    lastMonth.setDate(15);
+    lastMonth.setHours(10, 0, 0, 0);
+    await Session.updateOne({ _id: booked.body.session._id }, { status: 'Completed', sessionDate: lastMonth });
+    const month = `${lastMonth.getFullYear()}-${String(lastMonth.getMonth() + 1).padStart(2, '0')}`;
+
+    const utilisation = await request(app)
+      .get(`/api/company/${company._id}/utilisation`)
+      .set('x-auth-token', hrToken)
+      .expect(200);
+    expect(utilisation.body.report).toMatchObject({
+      enrolledEmployees: 1,
+      employeesUsingService: '<5',
+      sessionsCompleted: '<5',
+      utilisationRatePercent: null
+    });
+    const reportText = JSON.stringify(utilisation.body.report);
+    expect(reportText).not.toContain('employee@acme.co.ke');
+    expect(reportText).not.toContain('EAP Employee');
+    await request(app)
+      .get(`/api/company/${company._id}/utilisation`)
+      .set('x-auth-token', employeeToken)
+      .expect(403);
+
+    await request(app)
+      .post(`/api/company/${company._id}/invoices`)
+      .set('x-auth-token', hrToken)
+      .send({ month })
+      .expect(403);
+    const issued = await request(app)
+      .post(`/api/company/${company._id}/invoices`)
+      .set('x-auth-token', adminToken)
+      .send({ month })
+      .expect(201);
+    expect(issued.body.invoice).toMatchObject({
+      number: `EAP-${new Date().getFullYear()}-000001`,
+      sessionCount: 1,
+      total: CONTRACT_RATE,
+      billTo: { name: 'Acme Kenya Ltd', email: 'accounts@acme.co.ke' }
+    });
+    expect(sendCompanyInvoiceEmail).toHaveBeenCalledTimes(1);
+
+    // Re-running the month returns the same invoice without emailing it again
+    const rerun = await request(app)
+      .post(`/api/company/${company._id}/invoices`)
+      .set('x-auth-token', adminToken)
+      .send({ month })
+      .expect(201);
+    expect(rerun.body.invoice.number).toBe(issued.body.invoice.number);
+    expect(sendCompanyInvoiceEmail).toHaveBeenCalledTimes(1);
+
+    const listed = await request(app)
+      .get(`/api/company/${company._id}/invoices`)
+      .set('x-auth-token', hrToken)
+      .expect(200);
+    expect(listed.body.invoices).toHaveLength(1);
+    expect(listed.body.invoices[0].sessions).toBeUndefined();
+
+    const pdf = await request(app)
+      .get(`/api/company/invoices/${issued.body.invoice._id}/pdf`)
+      .set('x-auth-token', hrToken)
+      .expect(200);
+    expect(pdf.body.slice(0, 5).toString()).toBe('%PDF-');
+  });
+});
@@ -0,0 +1,412 @@
+/**
+ * Group Seat Flow Integration Tests
+ *
+ * Drives the group session routes end to end: a client reserves a seat,
+ * signs the group agreement and pays through M-Pesa, then the seat is
+ * cancelled (by the client or with the whole session) and refunded over
+ * B2C. Also checks seats whose payment callback never arrives are freed
+ * and that single-client cancellation rejects group sessions.
+ */
+
+const request = require('supertest');
+
+jest.mock('../../utils/notificationService', () => ({
+  sendEmail: jest.fn().mockResolvedValue({ success: true }),
+  sendSMS: jest.fn().mockResolvedValue({ success: true }),
+  sendPaymentConfirmationNotification: jest.fn().mockResolvedValue({ success: true })
+}));
+
+jest.mock('../../config/mpesa', () => ({
+  formatPhoneNumber: jest.fn(phone => `254${phone.replace(/\D/g, '').slice(-9)}`),
+  stkPush: jest.fn(),
+  stkQuery: jest.fn(),
+  isB2CConfigured: jest.fn(() => true),
+  b2cPayment: jest.fn().mockResolvedValue({ ConversationID: 'AG_20260301_0001' })
+}));
+
+const mpesaAPI = require('../../config/mpesa');
+const Session = require('../../models/Session');
+const Refund = require('../../models/Refund');
+const { GROUP_SESSION_CONFIG } = require('../../services/groupSessionService');
+
+const groupSessionsRouter = require('../../routes/groupSessions');
+const mpesaRouter = require('../../routes/mpesa');
+const cancellationsRouter = require('../../routes/cancellations');
+const { generateToken } = require('../../utils/auth');
+const { createTestApp, createTestUser, daysFromNow } = require('../helpers/integration');
+
+const SEAT_PRICE = 1500;
+
+const stkCallback = (checkoutRequestID, resultCode = 0) => ({
+  Body: {
+    stkCallback: {
+      MerchantRequestID: `MR-${checkoutRequestID}`,
+      CheckoutRequestID: checkoutRequestID,
+      ResultCode: resultCode,
+      ResultDesc: resultCode === 0 ? 'The service request is processed successfully.' : 'Request cancelled by user',
+      CallbackMetadata: resultCode === 0 ? {
+        Item: [
+          { Name: 'Amount', Value: SEAT_PRICE },
+          { Name: 'MpesaReceiptNumber', Value: `RCP${checkoutRequestID.slice(-4)}` },
+          { Name: 'PhoneNumber', Value: 254712345678 }
+        ]
+      } : undefined
+    }
+  }
+});
+
+const b2cResult = (originatorConversationId, transactionId) => ({
+  Result: {
+    ResultType: 0,
+    ResultCode: 0,
+    ResultDesc: 'The service request is processed successfully.',
+    OriginatorConversationID: originatorConversationId,
+    ConversationID: 'AG_20260301_0001',
+    TransactionID: transactionId
+  }
+});
+
+describe('Group Seat Flow Integration Tests', () => {
+  let app;
+  let therapist, client, otherClient;
+  let therapistToken, clientToken, otherClientToken;
+
+  beforeAll(() => {
+    app = createTestApp({
+      '/api/group-sessions': groupSessionsRouter,
+      '/api/mpesa': mpesaRouter,
+      '/api': cancellationsRouter
+    });
+  });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+
+    therapist = await createTestUser('psychologist', {
+      name: 'Dr. Group Therapist',
+      email: 'group.therapist@test.com',
+      phone: '+254712345679'
+    });
+    client = await createTestUser('client', {
+      name: 'Group Client',
+      email: 'group.client@test.com',
+      phone: '+254712345678'
+    });
+    otherClient = await createTestUser('client', {
+      name: 'Second Client',
+      email: 'second.client@test.com',
+      phone: '+254712345670'
+    });
+
+    therapistToken = generateToken(therapist._id, therapist.role);
+    clientToken = generateToken(client._id, client.role);
+    otherClientToken = generateToken(otherClient._id, otherClient.role);
+  });
+
+  const createGroupSession = (overrides = {}) => Session.create({
+    psychologist: therapist._id,
+    sessionType: 'Group',
+    sessionDate: daysFromNow(5),
+    title: 'Anxiety support circle',
+    capacity: 4,
+    price: SEAT_PRICE,
+    sessionRate: SEAT_PRICE,
+    status: 'Approved',
+    approvedBy: therapist._id,
+    approvedAt: new Date(),
+    isVideoCall: true,
+    ...overrides
+  });
+
+  // Reserve, sign and pay for a seat, then deliver the STK callback
+  const buySeat = async (sessionId, token, checkoutRequestID) => {
+    mpesaAPI.stkPush.mockResolvedValueOnce({ CheckoutRequestID: checkoutRequestID, MerchantRequestID: `MR-${checkoutRequestID}` });
+
+    await request(app).post(`/api/group-sessions/${sessionId}/seats`).set('x-auth-token', token).expect(201);
+    await request(app)
+      .post(`/api/group-sessions/${sessionId}/agreement`)
+      .set('x-auth-token', token)
+      .send({ typedSignature: 'Group Client', signatureConfirmation: true })
+      .expect(201);
+    await request(app)
+      .post(`/api/group-sessions/${sessionId}/pay`)
+      .set('x-auth-token', token)
+      .send({ phoneNumber: '0712345678' })
+      .expect(200);
+    await request(app).post('/api/mpesa/callback').send(stkCallback(checkoutRequestID)).expect(200);
+  };
+
+  test('should reserve, pay for and enrol a seat', async () => {
+    const session = await createGroupSession();
+    mpesaAPI.stkPush.mockResolvedValueOnce({ CheckoutRequestID: 'ws_CO_seat_0001', MerchantRequestID: 'MR-0001' });
+
+    const reserved = await request(app)
+      .post(`/api/group-sessions/${session._id}/seats`)
+      .set('x-auth-token', clientToken)
+      .expect(201);
+    expect(reserved.body.seat.status).toBe('reserved');
+
+    await request(app)
+      .post(`/api/group-sessions/${session._id}/pay`)
+      .set('x-auth-token', clientToken)
+      .send({ phoneNumber: '0712345678' })
+      .expect(400);
+
+    await request(app)
+      .post(`/api/group-sessions/${session._id}/agreement`)
+      .set('x-auth-token', clientToken)
+      .send({ typedSignature: 'Group Client', signatureConfirmation: true })
+      .expect(201);
+
+    const payment = await request(app)
+      .post(`/api/group-sessions/${session._id}/pay`)
+      .set('x-auth-token', clientToken)
+      .send({ phoneNumber: '0712345678' })
+      .expect(200);
+    expect(payment.body.amount).toBe(SEAT_PRICE);
+    expect(mpesaAPI.stkPush).toHaveBeenCalledWith('254712345678', SEAT_PRICE, expect.stringMatching(/^SEAT-/), expect.any(String));
+
+    await request(app).post('/api/mpesa/callback').send(stkCallback('ws_CO_seat_0001')).expect(200);
+
+    const view = await request(app)
+      .get(`/api/group-sessions/${session._id}`)
+      .set('x-auth-token', clientToken)
+      .expect(200);
+    expect(view.body.session.mySeat).toMatchObject({ status: 'enrolled', paymentStatus: 'Paid', mpesaTransactionID: 'RCP0001' });
+    expect(view.body.session.seats).toMatchObject({ taken: 1, enrolled: 1, remaining: 3 });
+  });
+
+  test('should refund every paid seat when the therapist cancels the session', async () => {
+    const session = await createGroupSession();
+    await buySeat(session._id, clientToken, 'ws_CO_seat_0002');
+
+    await request(app)
+      .post(`/api/group-sessions/${session._id}/cancel`)
+      .set('x-auth-token', clientToken)
+      .send({ reason: 'therapist_unavailable' })
+      .expect(403);
+
+    const cancelled = await request(app)
+      .post(`/api/group-sessions/${session._id}/cancel`)
+      .set('x-auth-token', therapistToken)
+      .send({ reason: 'therapist_unavailable' })
+      .expect(200);
+    expect(cancelled.body.status).toBe('Cancelled');
+    expect(cancelled.body.refunds).toEqual([
+      expect.objectContaining({ refundAmount: SEAT_PRICE, refundStatus: 'processing' })
+    ]);
+
+    expect(mpesaAPI.b2cPayment).toHaveBeenCalledTimes(1);
+    const payout = mpesaAPI.b2cPayment.mock.calls[0][0];
+    expect(payout).toMatchObject({ phoneNumber: '254712345678', amount: SEAT_PRICE });
+
+    const refund = await Refund.findOne({ session: session._id });
+    expect(refund).toMatchObject({ kind: 'group_seat', status: 'submitted', amount: SEAT_PRICE });
+    expect(refund.client.toString()).toBe(client._id.toString());
+
+    await request(app)
+      .post('/api/mpesa/b2c/result')
+      .send(b2cResult(payout.originatorConversationId, 'RFD0002'))
+      .expect(200);
+
+    const updated = await Session.findById(session._id);
+    expect(updated.participants[0]).toMatchObject({
+      status: 'cancelled',
+      refundStatus: 'processed',
+      refundTransactionId: 'RFD0002'
+    });
+  });
+
+  test('should refund a paid seat the client cancels under the cancellation policy', async () => {
+    const session = await createGroupSession();
+    await buySeat(session._id, clientToken, 'ws_CO_seat_0003');
+
+    const cancelled = await request(app)
+      .delete(`/api/group-sessions/${session._id}/seats/me`)
+      .set('x-auth-token', clientToken)
+      .expect(200);
+    expect(cancelled.body).toMatchObject({ cancelled: true, refundAmount: SEAT_PRICE, refundPercentage: 100 });
+    expect(mpesaAPI.b2cPayment).toHaveBeenCalledWith(expect.objectContaining({ amount: SEAT_PRICE }));
+
+    // The seat is free again, but the client can't take it back
+    const view = await request(app)
+      .get(`/api/group-sessions/${session._id}`)
+      .set('x-auth-token', therapistToken)
+      .expect(200);
+    expect(view.body.session.seats).toMatchObject({ taken: 0, remaining: 4 });
+
+    await request(app)
+      .post(`/api/group-sessions/${session._id}/seats`)
+      .set('x-auth-token', clientToken)
+      .expect(400);
+  });
+
+  test('should release an unpaid seat without a refund', async () => {
+    const session = await createGroupSession();
+    await request(app).post(`/api/group-sessions/${session._id}/seats`).set('x-auth-token', clientToken).expect(201);
+
+    const released = await request(app)
+      .delete(`/api/group-sessions/${session._id}/seats/me`)
+      .set('x-auth-token', clientToken)
+      .expect(200);
+    expect(released.body).toMatchObject({ released: true });
+    expect(mpesaAPI.b2cPayment).not.toHaveBeenCalled();
+  });
+
+  test('should free a seat whose payment callback never arrived', async () => {
+    const session = await createGroupSession({ capacity: 2 });
+    await request(app).post(`/api/group-sessions/${session._id}/seats`).set('x-auth-token', clientToken).expect(201);
+
+    // A third client fills the session
+    const third = await createTestUser('client', { name: 'Third Client', email: 'third.client@test.com' });
+    await request(app).post(`/api/group-sessions/${session._id}/seats`).set('x-auth-token', generateToken(third._id, third.role)).expect(201);
+
+    // The first client's prompt went out long ago and M-Pesa says it was never paid
+    const stale = new Date(Date.now() - (GROUP_SESSION_CONFIG.PAYMENT_CONFIRMATION_MINUTES + 1) * 60 * 1000);
+    await Session.updateOne(
+      { _id: session._id, 'participants.client': client._id },
+      {
+        $set: {
+          'participants.$.paymentStatus': 'Processing',
+          'participants.$.paymentInitiatedAt': stale,
+          'participants.$.reservedAt': new Date(stale.getTime() - 60 * 60 * 1000),
+          'participants.$.mpesaCheckoutRequestID': 'ws_CO_seat_lost'
+        }
+      }
+    );
+    mpesaAPI.stkQuery.mockResolvedValueOnce({ ResultCode: '1032', ResultDesc: 'Request cancelled by user' });
+
+    await request(app).post(`/api/group-sessions/${session._id}/seats`).set('x-auth-token', otherClientToken).expect(201);
+
+    expect(mpesaAPI.stkQuery).toHaveBeenCalledWith('ws_CO_seat_lost');
+    const updated = await Session.findById(session._id);
+    expect(updated.participants.map(p => p.client.toString()))
+      .toEqual([third._id.toString(), otherClient._id.toString()]);
+  });
+
+  test('should let an admin list, retry and manually record seat refunds', async () => {
+    const admin = await createTestUser('admin', {
+      name: 'Refund Admin',
+      email: 'refund.admin@test.com'
+    });
+    const adminToken = generateToken(admin._id, admin.role);
+
+    const session = await createGroupSession();
+    await buySeat(session._id, clientToken, 'ws_CO_seat_0006');
+    await buySeat(session._id, otherClientToken, 'ws_CO_seat_0007');
+
+    // B2C is down when the session is cancelled, so both seats need an admin
+    mpesaAPI.isB2CConfigured.mockReturnValueOnce(false).mockReturnValueOnce(false);
+    await request(app)
+      .post(`/api/group-sessions/${session._id}/cancel`)
+      .set('x-auth-token', therapistToken)
+      .send({ reason: 'therapist_unavailable' })
+      .expect(200);
+    expect(mpesaAPI.b2cPayment).not.toHaveBeenCalled();
+
+    await request(app).get('/api/admin/refunds/seats/pending').set('x-auth-token', clientToken).expect(403);
+    const pending = await request(app)
+      .get('/api/admin/refunds/seats/pending')
+      .set('x-auth-token', adminToken)
+      .expect(200);
+    expect(pending.body).toHaveLength(2);
+    expect(pending.body[0]).toMatchObject({ sessionId: session._id.toString(), refundStatus: 'pending_manual', refundAmount: SEAT_PRICE });
+
+    const retried = await request(app)
+      .post(`/api/admin/refunds/${session._id}/seats/${client._id}/retry`)
+      .set('x-auth-token', adminToken)
+      .expect(200);
+    expect(retried.body.status).toBe('processing');
+    expect(mpesaAPI.b2cPayment).toHaveBeenCalledTimes(1);
+    expect(mpesaAPI.b2cPayment.mock.calls[0][0]).toMatchObject({ phoneNumber: '254712345678', amount: SEAT_PRICE });
+
+    const recorded = await request(app)
+      .post(`/api/admin/refunds/${session._id}/seats/${otherClient._id}/process`)
+      .set('x-auth-token', adminToken)
+      .send({ transactionId: 'MANUAL0007' })
+      .expect(200);
+    expect(recorded.body.seat).toMatchObject({ refundStatus: 'processed', refundTransactionId: 'MANUAL0007' });
+    const seatRefund = await Refund.findOne({ session: session._id, client: otherClient._id });
+    expect(seatRefund).toMatchObject({ status: 'completed', transactionId: 'MANUAL0007' });
+
+    await request(app)
+      .post(`/api/admin/refunds/${session._id}/seats/${otherClient._id}/retry`)
+      .set('x-auth-token', adminToken)
+      .expect(400);
+    const remaining = await request(app)
+      .get('/api/admin/refunds/seats/pending')
+      .set('x-auth-token', adminToken)
+      .expect(200);
+    expect(remaining.body.map(seat => seat.refundStatus)).toEqual(['processing']);
+  });
+
+  test('should only complete a group session that is still open', async () => {
+    const session = await createGroupSession({ sessionDate: daysFromNow(-1) });
+    await request(app)
+      .post(`/api/group-sessions/${session._id}/cancel`)
+      .set('x-auth-token', therapistToken)
+      .send({ reason: 'therapist_unavailable' })
+      .expect(200);
+
+    const response = await request(app)
+      .post(`/api/group-sessions/${session._id}/complete`)
+      .set('x-auth-token', therapistToken)
+      .expect(400);
+    expect(response.body.error).toBe('Cannot complete a group session in Cancelled status');
+    expect((await Session.findById(session._id)).status).toBe('Cancelled');
+  });
+
+  test('should keep a seat with a payment in flight on complete and refund its late payment', async () => {
+    const session = await createGroupSession();
+    await buySeat(session._id, otherClientToken, 'ws_CO_seat_0005');
+
+    mpesaAPI.stkPush.mockResolvedValueOnce({ CheckoutRequestID: 'ws_CO_seat_late', MerchantRequestID: 'MR-late' });
+    await request(app).post(`/api/group-sessions/${session._id}/seats`).set('x-auth-token', clientToken).expect(201);
+    await request(app)
+      .post(`/api/group-sessions/${session._id}/agreement`)
+      .set('x-auth-token', clientToken)
+      .send({ typedSignature: 'Group Client', signatureConfirmation: true })
+      .expect(201);
+    await request(app)
+      .post(`/api/group-sessions/${session._id}/pay`)
+      .set('x-auth-token', clientToken)
+      .send({ phoneNumber: '0712345678' })
+      .expect(200);
+
+    await Session.updateOne({ _id: session._id }, { sessionDate: daysFromNow(-1) });
+    await request(app)
+      .post(`/api/group-sessions/${session._id}/complete`)
+      .set('x-auth-token', therapistToken)
+      .expect(200);
+
+    const completed = await Session.findById(session._id);
+    expect(completed.status).toBe('Completed');
+    expect(completed.participants.find(p => p.client.toString() === client._id.toString()))
+      .toMatchObject({ status: 'reserved', paymentStatus: 'Processing' });
+
+    // The client paid, but the session closed without them
+    await request(app).post('/api/mpesa/callback').send(stkCallback('ws_CO_seat_late')).expect(200);
+
+    expect(mpesaAPI.b2cPayment).toHaveBeenCalledTimes(1);
+    expect(mpesaAPI.b2cPayment.mock.calls[0][0]).toMatchObject({ phoneNumber: '254712345678', amount: SEAT_PRICE });
+    const refunded = await Session.findById(session._id);
+    expect(refunded.participants.find(p => p.client.toString() === client._id.toString()))
+      .toMatchObject({ status: 'cancelled', paymentStatus: 'Paid', refundAmount: SEAT_PRICE, refundStatus: 'processing' });
+  });
+
+  test('should reject a group session on the single-client cancellation route', async () => {
+    const session = await createGroupSession();
+    await buySeat(session._id, clientToken, 'ws_CO_seat_0004');
+
+    const response = await request(app)
+      .post(`/api/sessions/${session._id}/cancel`)
+      .set('x-auth-token', clientToken)
+      .send({ reason: 'schedule_conflict' })
+      .expect(400);
+    expect(response.body.error).toMatch(/group-sessions/);
+
+    const unchanged = await Session.findById(session._id);
+    expect(unchanged.status).toBe('Approved');
+    expect(mpesaAPI.b2cPayment).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Insurance Claim Integration Tests
+ *
+ * Drives the insurance routes end to end: a client saves their insurer
+ * details, the therapist codes a completed paid session, the client
+ * downloads its superbill and records the claim through submitted, paid
+ * and rejected. Also checks sessions the client didn't pay for are never
+ * reimbursable and diagnosis codes are stored encrypted.
+ */
+
+const request = require('supertest');
+
+const Session = require('../../models/Session');
+const insuranceRouter = require('../../routes/insurance');
+const { generateToken } = require('../../utils/auth');
+const { createTestApp, createTestUser, DAY_MS } = require('../helpers/integration');
+
+const SESSION_PRICE = 4000;
+
+describe('Insurance Claim Integration Tests', () => {
+  let app;
+  let therapist, client, otherClient;
+  let therapistToken, clientToken, otherClientToken;
+
+  beforeAll(() => {
+    app = createTestApp({ '/api/insurance': insuranceRouter });
+  });
+
+  beforeEach(async () => {
+    therapist = await createTestUser('psychologist', {
+      name: 'Dr. Claims Therapist',
+      email: 'claims.therapist@test.com'
+    });
+    client = await createTestUser('client', {
+      name: 'Claims Client',
+      email: 'claims.client@test.com'
+    });
+    otherClient = await createTestUser('client', {
+      name: 'Other Claims Client',
+      email: 'claims.other@test.com'
+    });
+    therapistToken = generateToken(therapist._id, therapist.role);
+    clientToken = generateToken(client._id, client.role);
+    otherClientToken = generateToken(otherClient._id, otherClient.role);
+  });
+
+  const createCompletedSession = (sessionDate, overrides = {}) => Session.create({
+    client: client._id,
+    psychologist: therapist._id,
+    sessionType: 'Individual',
+    sessionDate,
+    status: 'Completed',
+    price: SESSION_PRICE,
+    sessionRate: SESSION_PRICE,
+    paymentStatus: 'Paid',
+    paymentMethod: 'mpesa',
+    mpesaAmount: SESSION_PRICE,
+    mpesaTransactionID: 'QINS1001',
+    paymentVerifiedAt: sessionDate,
+    ...overrides
+  });
+
+  const saveInsurance = () => request(app)
+    .put('/api/insurance/details')
+    .set('x-auth-token', clientToken)
+    .send({ provider: 'Jubilee Insurance', planName: 'Afya Plus', memberNumber: 'JUB-123456' })
+    .expect(200);
+
+  const codeSession = (session, token = therapistToken) => request(app)
+    .put(`/api/insurance/sessions/${session._id}/codes`)
+    .set('x-auth-token', token)
+    .send({ diagnosisCodes: ['f41.1', 'F32.0'], serviceCode: '90837' });
+
+  const updateClaim = (session, body, token = clientToken) => request(app)
+    .put(`/api/insurance/sessions/${session._id}/claim`)
+    .set('x-auth-token', token)
+    .send(body);
+
+  const getClaims = async () => {
+    const res = await request(app)
+      .get('/api/insurance/claims')
+      .set('x-auth-token', clientToken)
+      .expect(200);
+    return res.body;
+  };
+
+  test('should take a coded session from reimbursable to a paid claim', async () => {
+    const session = await createCompletedSession(new Date(Date.now() - 10 * DAY_MS));
+
+    await request(app)
+      .put('/api/insurance/details')
+      .set('x-auth-token', therapistToken)
+      .send({ provider: 'Jubilee Insurance', memberNumber: 'JUB-999' })
+      .expect(403);
+    await saveInsurance();
+
+    const before = await getClaims();
+    expect(before.hasInsurance).toBe(true);
+    expect(before.claims[0]).toMatchObject({ reimbursable: false, missing: ['Billing codes from your therapist'] });
+
+    await codeSession(session, clientToken).expect(403);
+    const coded = await codeSession(session).expect(200);
+    expect(coded.body.codes).toMatchObject({ diagnosisCodes: ['F41.1', 'F32.0'], serviceCode: '90837', modifiers: ['95'] });
+
+    // Diagnosis codes are clinical data and never stored in the clear
+    const stored = await Session.collection.findOne({ _id: session._id });
+    expect(stored.billingCodes.diagnosisCodes).not.toContain('F41.1');
+
+    const ready = await getClaims();
+    expect(ready.claims[0]).toMatchObject({ reimbursable: true, amountPaid: SESSION_PRICE });
+    expect(ready.summary.reimbursable).toBe(1);
+
+    const superbill = await request(app)
+      .get(`/api/insurance/sessions/${session._id}/superbill`)
+      .set('x-auth-token', clientToken)
+      .expect(200);
+    expect(superbill.headers['content-disposition']).toContain(`SB-${session.bookingReference}.pdf`);
+    expect(superbill.body.slice(0, 5).toString()).toBe('%PDF-');
+
+    const early = await updateClaim(session, { status: 'paid', amountReimbursed: 3000 }).expect(400);
+    expect(early.body.error).toBe('Cannot mark a new claim as paid');
+
+    const submitted = await updateClaim(session, { status: 'submitted', claimReference: 'JUB-CLM-77' }).expect(200);
+    expect(submitted.body.claim).toMatchObject({ status: 'submitted', insurer: 'Jubilee Insurance', amountClaimed: SESSION_PRICE });
+
+    const locked = await codeSession(session).expect(400);
+    expect(locked.body.error).toBe('Billing codes cannot change once a claim has been submitted');
+
+    await updateClaim(session, { status: 'paid', amountReimbursed: 3200 }).expect(200);
+    const paid = await getClaims();
+    expect(paid.summary).toMatchObject({ reimbursable: 0, paid: 1, amountReimbursed: 3200 });
+  });
+
+  test('should let a rejected claim be resubmitted and keep claims to the client', async () => {
+    const session = await createCompletedSession(new Date(Date.now() - 10 * DAY_MS));
+    await saveInsurance();
+    await codeSession(session).expect(200);
+
+    await updateClaim(session, { status: 'submitted' }, otherClientToken).expect(403);
+    await updateClaim(session, { status: 'submitted' }).expect(200);
+    const rejected = await updateClaim(session, { status: 'rejected', rejectionReason: 'Pre-authorisation missing' }).expect(200);
+    expect(rejected.body.claim).toMatchObject({ status: 'rejected', rejectionReason: 'Pre-authorisation missing' });
+
+    const resubmitted = await updateClaim(session, { status: 'submitted', claimReference: 'JUB-CLM-78' }).expect(200);
+    expect(resubmitted.body.claim).toMatchObject({ status: 'submitted', claimReference: 'JUB-CLM-78' });
+    expect(resubmitted.body.claim.rejectionReason).toBeUndefined();
+
+    await request(app)
+      .get(`/api/insurance/sessions/${session._id}/superbill`)
+      .set('x-auth-token', otherClientToken)
+      .expect(403);
+  });
+
+  test('should leave sessions the client did not pay for off the claims', async () => {
+    const employerPaid = await createCompletedSession(new Date(Date.now() - 10 * DAY_MS), { paymentMethod: 'eap', mpesaAmount: undefined });
+    await saveInsurance();
+    await codeSession(employerPaid).expect(200);
+
+    const { claims } = await getClaims();
+    expect(claims[0]).toMatchObject({ reimbursable: false, amountPaid: 0, missing: ['No payment by you to claim'] });
+
+    const refused = await updateClaim(employerPaid, { status: 'submitted' }).expect(400);
+    expect(refused.body.error).toBe('Session is not ready to claim: No payment by you to claim');
+  });
+
+  test('should put every reimbursable session in a month on one superbill', async () => {
+    const lastMonth = new Date();
+    lastMonth.setDate(1);
+    lastMonth.setMonth(lastMonth.getMonth() - 1);
+    const month = `${lastMonth.getFullYear()}-${String(lastMonth.getMonth() + 1).padStart(2, '0')}`;
+
+    const first = await createCompletedSession(new Date(lastMonth.getFullYear(), lastMonth.getMonth(), 5, 10));
+    const second = await createCompletedSession(new Date(lastMonth.getFullYear(), lastMonth.getMonth(), 19, 10));
+
+    const noInsurance = await request(app)
+      .get(`/api/insurance/superbills/${month}`)
+      .set('x-auth-token', clientToken)
+      .expect(400);
+    expect(noInsurance.body.error).toBe('Add your insurance details to your profile first');
+
+    await saveInsurance();
+    const uncoded = await request(app)
+      .get(`/api/insurance/superbills/${month}`)
+      .set('x-auth-token', clientToken)
+      .expect(400);
+    expect(uncoded.body.error).toBe('No reimbursable sessions to put on a superbill');
+
+    await codeSession(first).expect(200);
+    await codeSession(second).expect(200);
+    const superbill = await request(app)
+      .get(`/api/insurance/superbills/${month}`)
+      .set('x-auth-token', clientToken)
+      .expect(200);
+    expect(superbill.headers['content-disposition'])
+      .toContain(`SB-${month.replace('-', '')}-${client._id.toString().slice(-6).toUpperCase()}.pdf`);
+    expect(superbill.body.slice(0, 5).toString()).toBe('%PDF-');
+
+    await request(app)
+      .get('/api/insurance/superbills/2026-13')
+      .set('x-auth-token', clientToken)
+      .expect(400);
+  });
+});
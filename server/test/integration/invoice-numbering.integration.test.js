@@ -0,0 +1,119 @@
+/**
+ * Invoice Numbering Integration Tests
+ *
+ * Issues the same receipt from several calls at once and checks only one
+ * document is saved and only one number is taken, so the sequence has no
+ * gaps. Also checks a document its issuing call never numbered is picked
+ * up again once the numbering timeout passes.
+ */
+
+const User = require('../../models/User');
+const Session = require('../../models/Session');
+const Invoice = require('../../models/Invoice');
+const DocumentSequence = require('../../models/DocumentSequence');
+const { invoiceService, INVOICE_CONFIG } = require('../../services/invoiceService');
+
+describe('Invoice Numbering Integration Tests', () => {
+  let client, therapist;
+
+  beforeEach(async () => {
+    therapist = await User.create({
+      name: 'Dr. Receipt Therapist',
+      email: 'receipt.therapist@test.com',
+      password: 'TestPass123!',
+      role: 'psychologist',
+      isVerified: true
+    });
+    client = await User.create({
+      name: 'Receipt Client',
+      email: 'receipt.client@test.com',
+      password: 'TestPass123!',
+      role: 'client',
+      isVerified: true
+    });
+  });
+
+  const createPaidSession = () => Session.create({
+    client: client._id,
+    psychologist: therapist._id,
+    sessionType: 'Individual',
+    sessionDate: new Date(Date.now() + 72 * 60 * 60 * 1000),
+    status: 'Confirmed',
+    price: 2000,
+    paymentStatus: 'Paid',
+    paymentMethod: 'mpesa',
+    mpesaAmount: 2000,
+    mpesaTransactionID: 'QRACE12345',
+    paymentVerifiedAt: new Date()
+  });
+
+  const receiptSequence = () => DocumentSequence.findById(
+    `${INVOICE_CONFIG.RECEIPT_PREFIX}-${new Date().getFullYear()}`
+  );
+
+  test('should take one number when the same receipt is issued concurrently', async () => {
+    const session = await createPaidSession();
+
+    const results = await Promise.all(
+      Array.from({ length: 5 }, () => invoiceService.issueForSession(session._id))
+    );
+
+    const numbers = new Set(results.map(result => result.receipt.number));
+    expect(numbers.size).toBe(1);
+    expect(await Invoice.countDocuments({ session: session._id })).toBe(1);
+    expect((await receiptSequence()).seq).toBe(1);
+  });
+
+  test('should keep receipts for different sessions consecutive', async () => {
+    const first = await createPaidSession();
+    const second = await createPaidSession();
+
+    await Promise.all([
+      invoiceService.issueForSession(first._id),
+      invoiceService.issueForSession(first._id),
+      invoiceService.issueForSession(second._id),
+      invoiceService.issueForSession(second._id)
+    ]);
+
+    const invoices = await Invoice.find({ type: 'receipt' }).sort({ number: 1 });
+    const year = new Date().getFullYear();
+    expect(invoices.map(invoice => invoice.number)).toEqual([`INV-${year}-000001`, `INV-${year}-000002`]);
+  });
+
+  test('should number a document its issuing call left unnumbered', async () => {
+    const session = await createPaidSession();
+    await Invoice.create({
+      type: 'receipt',
+      sourceKey: `session:${session._id}`,
+      session: session._id,
+      client: client._id,
+      total: 2000,
+      issuedAt: new Date(),
+      numberingStartedAt: new Date(Date.now() - INVOICE_CONFIG.NUMBERING_TIMEOUT_MS - 1000)
+    });
+
+    const { receipt } = await invoiceService.issueForSession(session._id);
+
+    expect(receipt.number).toBe(`INV-${new Date().getFullYear()}-000001`);
+    expect(receipt.numberingStartedAt).toBeUndefined();
+    expect(await Invoice.countDocuments({ session: session._id })).toBe(1);
+  });
+
+  test('should not show a document before it is numbered', async () => {
+    const session = await createPaidSession();
+    const pending = await Invoice.create({
+      type: 'receipt',
+      sourceKey: `session:${session._id}`,
+      session: session._id,
+      client: client._id,
+      total: 2000,
+      issuedAt: new Date(),
+      numberingStartedAt: new Date()
+    });
+
+    const user = { id: client._id.toString(), role: 'client' };
+    await expect(invoiceService.getInvoice(user, pending._id)).rejects.toThrow('Invoice not found');
+    const { invoices } = await invoiceService.listAll({ id: 'admin', role: 'admin' });
+    expect(invoices).toHaveLength(0);
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Invoice and Receipt Integration Tests
+ *
+ * Drives the invoice routes end to end over paid M-Pesa sessions: receipts
+ * are numbered in sequence and carry the transaction ID, a processed refund
+ * gets a credit note against its receipt, clients list and download only
+ * their own documents, and issuing is admin-only and idempotent.
+ */
+
+const request = require('supertest');
+
+const Session = require('../../models/Session');
+const Invoice = require('../../models/Invoice');
+const invoicesRouter = require('../../routes/invoices');
+const { generateToken } = require('../../utils/auth');
+const { createTestApp, createTestUser, daysFromNow } = require('../helpers/integration');
+
+const SESSION_PRICE = 3000;
+const YEAR = new Date().getFullYear();
+
+describe('Invoice and Receipt Integration Tests', () => {
+  let app;
+  let therapist, client, otherClient, admin;
+  let clientToken, otherClientToken, adminToken;
+
+  beforeAll(() => {
+    app = createTestApp({ '/api/invoices': invoicesRouter });
+  });
+
+  beforeEach(async () => {
+    therapist = await createTestUser('psychologist', {
+      name: 'Dr. Invoice Therapist',
+      email: 'invoice.therapist@test.com'
+    });
+    client = await createTestUser('client', {
+      name: 'Invoice Client',
+      email: 'invoice.client@test.com'
+    });
+    otherClient = await createTestUser('client', {
+      name: 'Other Invoice Client',
+      email: 'invoice.other@test.com'
+    });
+    admin = await createTestUser('admin', {
+      name: 'Invoice Admin',
+      email: 'invoice.admin@test.com'
+    });
+    clientToken = generateToken(client._id, client.role);
+    otherClientToken = generateToken(otherClient._id, otherClient.role);
+    adminToken = generateToken(admin._id, admin.role);
+  });
+
+  const createPaidSession = (transactionId, overrides = {}) => Session.create({
+    client: client._id,
+    psychologist: therapist._id,
+    sessionType: 'Individual',
+    sessionDate: daysFromNow(5),
+    status: 'Confirmed',
+    price: SESSION_PRICE,
+    paymentStatus: 'Paid',
+    paymentMethod: 'mpesa',
+    mpesaAmount: SESSION_PRICE,
+    mpesaTransactionID: transactionId,
+    paymentVerifiedAt: new Date(),
+    ...overrides
+  });
+
+  const issue = (session, token = adminToken) => request(app)
+    .post(`/api/invoices/sessions/${session._id}`)
+    .set('x-auth-token', token)
+    .send({});
+
+  test('should number receipts in sequence and reissue the same one', async () => {
+    const first = await createPaidSession('QRC1001');
+    const second = await createPaidSession('QRC1002');
+
+    await issue(first, clientToken).expect(403);
+
+    const firstIssued = await issue(first).expect(200);
+    expect(firstIssued.body.receipt).toMatchObject({
+      number: `INV-${YEAR}-000001`,
+      type: 'receipt',
+      total: SESSION_PRICE,
+      therapistName: 'Dr. Invoice Therapist',
+      payment: { method: 'M-Pesa', transactionId: 'QRC1001' }
+    });
+    expect(firstIssued.body.creditNote).toBeNull();
+
+    const secondIssued = await issue(second).expect(200);
+    expect(secondIssued.body.receipt.number).toBe(`INV-${YEAR}-000002`);
+
+    const reissued = await issue(first).expect(200);
+    expect(reissued.body.receipt.number).toBe(`INV-${YEAR}-000001`);
+    expect(await Invoice.countDocuments({ type: 'receipt' })).toBe(2);
+  });
+
+  test('should issue a credit note against the receipt once a refund is processed', async () => {
+    const session = await createPaidSession('QRC2001', {
+      status: 'Cancelled',
+      cancellationReason: 'schedule_conflict',
+      refundStatus: 'processed',
+      refundAmount: SESSION_PRICE / 2,
+      refundPercentage: 50,
+      refundTransactionId: 'RFD2001',
+      refundProcessedAt: new Date()
+    });
+
+    const issued = await issue(session).expect(200);
+    expect(issued.body.creditNote).toMatchObject({
+      number: `CN-${YEAR}-000001`,
+      type: 'credit_note',
+      total: SESSION_PRICE / 2,
+      originalNumber: issued.body.receipt.number,
+      refund: { transactionId: 'RFD2001' }
+    });
+    expect(issued.body.creditNote.lines[0].description).toContain('(50%)');
+
+    await request(app)
+      .get('/api/invoices?type=credit_note')
+      .set('x-auth-token', clientToken)
+      .expect(403);
+    const listed = await request(app)
+      .get('/api/invoices?type=credit_note')
+      .set('x-auth-token', adminToken)
+      .expect(200);
+    expect(listed.body.invoices.map(invoice => invoice.number)).toEqual([`CN-${YEAR}-000001`]);
+  });
+
+  test('should let a client list and download only their own documents', async () => {
+    const session = await createPaidSession('QRC3001');
+
+    // Listing issues any receipt the payment path missed
+    const mine = await request(app)
+      .get('/api/invoices/mine')
+      .set('x-auth-token', clientToken)
+      .expect(200);
+    expect(mine.body.invoices).toHaveLength(1);
+    const receipt = mine.body.invoices[0];
+    expect(receipt).toMatchObject({ number: `INV-${YEAR}-000001`, session: session._id.toString() });
+
+    const pdf = await request(app)
+      .get(`/api/invoices/${receipt._id}/pdf`)
+      .set('x-auth-token', clientToken)
+      .expect(200);
+    expect(pdf.headers['content-type']).toContain('application/pdf');
+    expect(pdf.headers['content-disposition']).toContain(`INV-${YEAR}-000001.pdf`);
+    expect(pdf.body.slice(0, 5).toString()).toBe('%PDF-');
+
+    await request(app)
+      .get(`/api/invoices/${receipt._id}`)
+      .set('x-auth-token', otherClientToken)
+      .expect(403);
+    await request(app)
+      .get(`/api/invoices/${receipt._id}/pdf`)
+      .set('x-auth-token', otherClientToken)
+      .expect(403);
+
+    const others = await request(app)
+      .get('/api/invoices/mine')
+      .set('x-auth-token', otherClientToken)
+      .expect(200);
+    expect(others.body.invoices).toEqual([]);
+  });
+});
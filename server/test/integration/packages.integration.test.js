@@ -0,0 +1,232 @@
+/**
+ * Session Package Integration Tests
+ *
+ * Drives the package routes end to end: a therapist offers a package, a
+ * client buys it over M-Pesa and receives credits, an approved booking
+ * draws one credit, and a fully refunded cancellation gives it back while
+ * a late one forfeits it.
+ */
+
+const request = require('supertest');
+
+jest.mock('../../utils/notificationService', () => ({
+  sendEmail: jest.fn().mockResolvedValue({ success: true }),
+  sendSMS: jest.fn().mockResolvedValue({ success: true }),
+  sendPackageCreditBookingNotification: jest.fn().mockResolvedValue({ success: true }),
+  sendSessionApprovalNotification: jest.fn().mockResolvedValue({ success: true })
+}));
+
+jest.mock('../../config/mpesa', () => ({
+  formatPhoneNumber: jest.fn(phone => `254${phone.replace(/\D/g, '').slice(-9)}`),
+  stkPush: jest.fn(),
+  stkQuery: jest.fn()
+}));
+
+const mpesaAPI = require('../../config/mpesa');
+const Session = require('../../models/Session');
+const ClientPackage = require('../../models/ClientPackage');
+const Invoice = require('../../models/Invoice');
+
+const packagesRouter = require('../../routes/packages');
+const sessionsRouter = require('../../routes/sessions');
+const mpesaRouter = require('../../routes/mpesa');
+const cancellationsRouter = require('../../routes/cancellations');
+const { generateToken } = require('../../utils/auth');
+const { createTestApp, createTestUser, daysFromNow, waitFor } = require('../helpers/integration');
+
+const PACKAGE_PRICE = 6000;
+const PACKAGE_SESSIONS = 3;
+
+const stkCallback = (checkoutRequestID, resultCode = 0) => ({
+  Body: {
+    stkCallback: {
+      MerchantRequestID: `MR-${checkoutRequestID}`,
+      CheckoutRequestID: checkoutRequestID,
+      ResultCode: resultCode,
+      ResultDesc: resultCode === 0 ? 'The service request is processed successfully.' : 'Request cancelled by user',
+      CallbackMetadata: resultCode === 0 ? {
+        Item: [
+          { Name: 'Amount', Value: PACKAGE_PRICE },
+          { Name: 'MpesaReceiptNumber', Value: `PKG${checkoutRequestID.slice(-4)}` },
+          { Name: 'PhoneNumber', Value: 254712345678 }
+        ]
+      } : undefined
+    }
+  }
+});
+
+describe('Session Package Integration Tests', () => {
+  let app;
+  let therapist, client;
+  let therapistToken, clientToken;
+
+  beforeAll(() => {
+    app = createTestApp({
+      '/api/packages': packagesRouter,
+      '/api/sessions': sessionsRouter,
+      '/api/mpesa': mpesaRouter,
+      '/api': cancellationsRouter
+    });
+  });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+
+    therapist = await createTestUser('psychologist', {
+      name: 'Dr. Package Therapist',
+      email: 'package.therapist@test.com'
+    });
+    client = await createTestUser('client', {
+      name: 'Package Client',
+      email: 'package.client@test.com',
+      phone: '+254712345678'
+    });
+
+    therapistToken = generateToken(therapist._id, therapist.role);
+    clientToken = generateToken(client._id, client.role);
+  });
+
+  const createPackage = async () => {
+    const res = await request(app)
+      .post('/api/packages')
+      .set('x-auth-token', therapistToken)
+      .send({ sessionType: 'Individual', name: 'Three-session starter', sessionCount: PACKAGE_SESSIONS, price: PACKAGE_PRICE })
+      .expect(201);
+    return res.body.package;
+  };
+
+  const buyPackage = async (packageId, checkoutRequestID, resultCode = 0) => {
+    mpesaAPI.stkPush.mockResolvedValueOnce({ CheckoutRequestID: checkoutRequestID, MerchantRequestID: `MR-${checkoutRequestID}` });
+    const res = await request(app)
+      .post(`/api/packages/${packageId}/purchase`)
+      .set('x-auth-token', clientToken)
+      .send({ phoneNumber: '0712345678' })
+      .expect(200);
+    await request(app).post('/api/mpesa/callback').send(stkCallback(checkoutRequestID, resultCode)).expect(200);
+    return res.body;
+  };
+
+  const getCredits = async () => {
+    const res = await request(app).get('/api/packages/credits').set('x-auth-token', clientToken).expect(200);
+    return res.body;
+  };
+
+  test('should credit a paid purchase and issue its receipt', async () => {
+    const pkg = await createPackage();
+
+    const purchase = await buyPackage(pkg._id, 'ws_CO_pkg_0001');
+    expect(purchase.amount).toBe(PACKAGE_PRICE);
+    expect(mpesaAPI.stkPush).toHaveBeenCalledWith('254712345678', PACKAGE_PRICE, expect.stringMatching(/^PKG-/), expect.any(String));
+
+    const credits = await getCredits();
+    expect(credits.totalCredits).toBe(PACKAGE_SESSIONS);
+    expect(credits.ledger).toEqual([expect.objectContaining({ type: 'purchase', credits: PACKAGE_SESSIONS })]);
+
+    const receipt = await waitFor(() => Invoice.findOne({
+      sourceKey: `package:${purchase.purchaseId}`,
+      type: 'receipt',
+      number: { $exists: true }
+    }));
+    expect(receipt).not.toBeNull();
+    expect(receipt.total).toBe(PACKAGE_PRICE);
+  });
+
+  test('should not credit a purchase whose payment failed', async () => {
+    const pkg = await createPackage();
+
+    const purchase = await buyPackage(pkg._id, 'ws_CO_pkg_0002', 1032);
+
+    const stored = await ClientPackage.findById(purchase.purchaseId);
+    expect(stored.paymentStatus).toBe('Failed');
+    expect((await getCredits()).totalCredits).toBe(0);
+  });
+
+  test('should pay for an approved booking with a credit and restore it on cancellation', async () => {
+    const pkg = await createPackage();
+    await buyPackage(pkg._id, 'ws_CO_pkg_0003');
+
+    const session = await Session.create({
+      client: client._id,
+      psychologist: therapist._id,
+      sessionType: 'Individual',
+      sessionDate: daysFromNow(5),
+      status: 'Pending Approval',
+      price: 2500
+    });
+
+    const approved = await request(app)
+      .put(`/api/sessions/${session._id}/approve`)
+      .set('x-auth-token', therapistToken)
+      .send({})
+      .expect(200);
+    expect(approved.body.session).toMatchObject({
+      status: 'Confirmed',
+      paymentStatus: 'Paid',
+      paymentMethod: 'package_credit',
+      price: PACKAGE_PRICE / PACKAGE_SESSIONS
+    });
+    expect(approved.body.packageCredit.creditsRemaining).toBe(PACKAGE_SESSIONS - 1);
+
+    await request(app)
+      .post(`/api/sessions/${session._id}/cancel`)
+      .set('x-auth-token', clientToken)
+      .send({ reason: 'schedule_conflict' })
+      .expect(200);
+
+    const credits = await getCredits();
+    expect(credits.totalCredits).toBe(PACKAGE_SESSIONS);
+    expect(credits.ledger.map(entry => entry.type).sort()).toEqual(['consume', 'purchase', 'restore']);
+
+    const cancelled = await Session.findById(session._id);
+    expect(cancelled.packageCredit.restoredAt).toBeDefined();
+  });
+
+  test('should forfeit the credit when a late cancellation earns only a partial refund', async () => {
+    const pkg = await createPackage();
+    await buyPackage(pkg._id, 'ws_CO_pkg_0005');
+
+    const session = await Session.create({
+      client: client._id,
+      psychologist: therapist._id,
+      sessionType: 'Individual',
+      sessionDate: daysFromNow(1.25),
+      status: 'Pending Approval',
+      price: 2500
+    });
+    await request(app)
+      .put(`/api/sessions/${session._id}/approve`)
+      .set('x-auth-token', therapistToken)
+      .send({})
+      .expect(200);
+
+    const res = await request(app)
+      .post(`/api/sessions/${session._id}/cancel`)
+      .set('x-auth-token', clientToken)
+      .send({ reason: 'schedule_conflict' })
+      .expect(200);
+    expect(res.body).toMatchObject({ refundAmount: 0, refundPercentage: 0, refundStatus: 'not_applicable' });
+
+    expect((await getCredits()).totalCredits).toBe(PACKAGE_SESSIONS - 1);
+    const cancelled = await Session.findById(session._id);
+    expect(cancelled.packageCredit.restoredAt).toBeFalsy();
+  });
+
+  test('should refuse a second purchase while the first is still processing', async () => {
+    const pkg = await createPackage();
+    mpesaAPI.stkPush.mockResolvedValueOnce({ CheckoutRequestID: 'ws_CO_pkg_0004', MerchantRequestID: 'MR-0004' });
+
+    await request(app)
+      .post(`/api/packages/${pkg._id}/purchase`)
+      .set('x-auth-token', clientToken)
+      .send({ phoneNumber: '0712345678' })
+      .expect(200);
+    const second = await request(app)
+      .post(`/api/packages/${pkg._id}/purchase`)
+      .set('x-auth-token', clientToken)
+      .send({ phoneNumber: '0712345678' })
+      .expect(409);
+
+    expect(second.body.error).toMatch(/Payment already in progress/);
+    expect(mpesaAPI.stkPush).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * Therapist Payout Integration Tests
+ *
+ * Drives the payout routes end to end: an admin sets a therapist's
+ * commission, runs a batch over completed paid sessions (holding back
+ * those still inside the refund window), marks it paid and exports it.
+ * Also checks a refund opened after drafting, on a session or a group
+ * seat, blocks payment until the batch is cancelled and its sessions
+ * released.
+ */
+
+const request = require('supertest');
+
+const Session = require('../../models/Session');
+const { PAYOUT_CONFIG } = require('../../services/payoutService');
+const payoutsRouter = require('../../routes/payouts');
+const { generateToken } = require('../../utils/auth');
+const { createTestApp, createTestUser, DAY_MS } = require('../helpers/integration');
+
+describe('Therapist Payout Integration Tests', () => {
+  let app;
+  let therapist, client, admin;
+  let therapistToken, adminToken;
+
+  beforeAll(() => {
+    app = createTestApp({ '/api/payouts': payoutsRouter });
+  });
+
+  beforeEach(async () => {
+    therapist = await createTestUser('psychologist', {
+      name: 'Dr. Payout Therapist',
+      email: 'payout.therapist@test.com'
+    });
+    client = await createTestUser('client', {
+      name: 'Payout Client',
+      email: 'payout.client@test.com'
+    });
+    admin = await createTestUser('admin', {
+      name: 'Payout Admin',
+      email: 'payout.admin@test.com'
+    });
+    therapistToken = generateToken(therapist._id, therapist.role);
+    adminToken = generateToken(admin._id, admin.role);
+  });
+
+  const createCompletedSession = (daysAgo, amount, overrides = {}) => Session.create({
+    client: client._id,
+    psychologist: therapist._id,
+    sessionType: 'Individual',
+    sessionDate: new Date(Date.now() - daysAgo * DAY_MS),
+    status: 'Completed',
+    price: amount,
+    paymentStatus: 'Paid',
+    paymentMethod: 'mpesa',
+    mpesaAmount: amount,
+    paymentAmount: amount,
+    paymentVerifiedAt: new Date(Date.now() - daysAgo * DAY_MS),
+    ...overrides
+  });
+
+  const createBatch = () => request(app)
+    .post('/api/payouts/batches')
+    .set('x-auth-token', adminToken)
+    .send({});
+
+  test('should settle sessions past the refund window at the therapist commission', async () => {
+    const settled = await createCompletedSession(PAYOUT_CONFIG.REFUND_WINDOW_DAYS + 3, 3000);
+    await createCompletedSession(PAYOUT_CONFIG.REFUND_WINDOW_DAYS + 2, 2000);
+    const recent = await createCompletedSession(1, 4000);
+
+    await request(app)
+      .put(`/api/payouts/commission/${therapist._id}`)
+      .set('x-auth-token', therapistToken)
+      .send({ commissionRate: 0 })
+      .expect(403);
+    await request(app)
+      .put(`/api/payouts/commission/${therapist._id}`)
+      .set('x-auth-token', adminToken)
+      .send({ commissionRate: 15 })
+      .expect(200);
+
+    const preview = await request(app)
+      .get('/api/payouts/statement')
+      .set('x-auth-token', therapistToken)
+      .expect(200);
+    expect(preview.body.statement).toMatchObject({
+      commissionRate: 15,
+      grossAmount: 5000,
+      commissionAmount: 750,
+      netAmount: 4250,
+      heldBack: { count: 1, amount: 4000 }
+    });
+    expect(preview.body.statement.holds[0]).toMatchObject({ session: recent._id.toString(), reason: 'Inside refund window' });
+
+    const created = await createBatch().expect(201);
+    expect(created.body.batch.totals).toMatchObject({ grossAmount: 5000, commissionAmount: 750, netAmount: 4250, sessionCount: 2, heldBackAmount: 4000 });
+    expect((await Session.findById(settled._id)).payoutBatch.toString()).toBe(created.body.batch._id);
+    expect((await Session.findById(recent._id)).payoutBatch).toBeFalsy();
+
+    // Nothing else is ready until the held-back session leaves the window
+    const empty = await createBatch().expect(400);
+    expect(empty.body.error).toBe('No sessions are ready for payout');
+
+    await request(app)
+      .post(`/api/payouts/batches/${created.body.batch._id}/paid`)
+      .set('x-auth-token', adminToken)
+      .send({ paymentReference: 'BANK-TRF-0001' })
+      .expect(200);
+    expect((await Session.findById(settled._id)).settledAt).toBeDefined();
+
+    const mine = await request(app)
+      .get('/api/payouts/mine')
+      .set('x-auth-token', therapistToken)
+      .expect(200);
+    expect(mine.body.statements).toHaveLength(1);
+    expect(mine.body.statements[0]).toMatchObject({ status: 'paid', paymentReference: 'BANK-TRF-0001' });
+    expect(mine.body.statements[0].statement.netAmount).toBe(4250);
+  });
+
+  test('should block payment while a batched session is being refunded', async () => {
+    const session = await createCompletedSession(PAYOUT_CONFIG.REFUND_WINDOW_DAYS + 3, 3000);
+    const created = await createBatch().expect(201);
+    const batchId = created.body.batch._id;
+
+    await Session.updateOne({ _id: session._id }, { refundStatus: 'processing', refundAmount: 3000 });
+
+    const blocked = await request(app)
+      .post(`/api/payouts/batches/${batchId}/paid`)
+      .set('x-auth-token', adminToken)
+      .send({ paymentReference: 'BANK-TRF-0002' })
+      .expect(400);
+    expect(blocked.body.error).toMatch(/refund in progress/);
+
+    await request(app)
+      .post(`/api/payouts/batches/${batchId}/cancel`)
+      .set('x-auth-token', adminToken)
+      .send({ reason: 'Client refund' })
+      .expect(200);
+    expect((await Session.findById(session._id)).payoutBatch).toBeFalsy();
+
+    // Once fully refunded, the released session leaves nothing to pay out
+    await Session.updateOne({ _id: session._id }, { refundStatus: 'processed', status: 'Cancelled' });
+    await createBatch().expect(400);
+  });
+
+  test('should block payment while a seat of a batched group session is being refunded', async () => {
+    const session = await createCompletedSession(PAYOUT_CONFIG.REFUND_WINDOW_DAYS + 3, 1500, {
+      sessionType: 'Group',
+      client: undefined,
+      capacity: 4,
+      paymentStatus: undefined,
+      mpesaAmount: undefined,
+      paymentAmount: undefined,
+      participants: [{ client: client._id, role: 'group_member', status: 'enrolled', paymentStatus: 'Paid', amount: 1500 }]
+    });
+    const created = await createBatch().expect(201);
+
+    await Session.updateOne(
+      { _id: session._id, 'participants.client': client._id },
+      { $set: { 'participants.$.refundStatus': 'pending_manual', 'participants.$.refundAmount': 1500 } }
+    );
+
+    const blocked = await request(app)
+      .post(`/api/payouts/batches/${created.body.batch._id}/paid`)
+      .set('x-auth-token', adminToken)
+      .send({ paymentReference: 'BANK-TRF-0003' })
+      .expect(400);
+    expect(blocked.body.error).toMatch(/refund in progress/);
+    expect((await Session.findById(session._id)).settledAt).toBeFalsy();
+  });
+
+  test('should export a batch for accounting and keep batches admin-only', async () => {
+    await createCompletedSession(PAYOUT_CONFIG.REFUND_WINDOW_DAYS + 3, 3000);
+    const created = await createBatch().expect(201);
+    const batchId = created.body.batch._id;
+
+    await request(app)
+      .get(`/api/payouts/batches/${batchId}`)
+      .set('x-auth-token', therapistToken)
+      .expect(403);
+
+    const exported = await request(app)
+      .get(`/api/payouts/batches/${batchId}/export?format=generic`)
+      .set('x-auth-token', adminToken)
+      .expect(200);
+    expect(exported.headers['content-disposition']).toContain(`payout_${created.body.batch.reference}_generic`);
+    expect(exported.text).toContain('Dr. Payout Therapist');
+  });
+});
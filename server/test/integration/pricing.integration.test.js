@@ -0,0 +1,181 @@
+/**
+ * Sliding-Scale and Sponsorship Pricing Integration Tests
+ *
+ * Books sessions through the session routes at a therapist's sliding-scale
+ * tier and with a sponsorship fund an admin approved the client for, then
+ * checks approval keeps the agreed price, fully sponsored sessions are
+ * confirmed without payment and declined sessions return the subsidy.
+ */
+
+const request = require('supertest');
+
+jest.mock('../../utils/notificationService', () => ({
+  sendEmail: jest.fn().mockResolvedValue({ success: true }),
+  sendSMS: jest.fn().mockResolvedValue({ success: true }),
+  sendBookingConfirmationNotification: jest.fn().mockResolvedValue({ success: true }),
+  sendBookingConfirmationSMS: jest.fn().mockResolvedValue({ success: true }),
+  sendSessionRequestNotification: jest.fn().mockResolvedValue({ success: true }),
+  sendSessionApprovalNotification: jest.fn().mockResolvedValue({ success: true }),
+  sendSponsoredBookingNotification: jest.fn().mockResolvedValue({ success: true })
+}));
+
+const Session = require('../../models/Session');
+const SponsorshipFund = require('../../models/SponsorshipFund');
+
+const pricingRouter = require('../../routes/pricing');
+const sessionsRouter = require('../../routes/sessions');
+const { generateToken } = require('../../utils/auth');
+const { createTestApp, createTestUser, createSessionRate, DAY_MS } = require('../helpers/integration');
+
+const STANDARD_RATE = 4000;
+
+describe('Sliding-Scale and Sponsorship Pricing Integration Tests', () => {
+  let app;
+  let therapist, client, admin;
+  let therapistToken, clientToken, adminToken;
+  let bookingCount;
+
+  beforeAll(() => {
+    app = createTestApp({
+      '/api/pricing': pricingRouter,
+      '/api/sessions': sessionsRouter
+    });
+  });
+
+  beforeEach(async () => {
+    bookingCount = 0;
+
+    therapist = await createTestUser('psychologist', {
+      name: 'Dr. Pricing Therapist',
+      email: 'pricing.therapist@test.com'
+    });
+    client = await createTestUser('client', {
+      name: 'Pricing Client',
+      email: 'pricing.client@test.com'
+    });
+    admin = await createTestUser('admin', {
+      name: 'Pricing Admin',
+      email: 'pricing.admin@test.com'
+    });
+    therapistToken = generateToken(therapist._id, therapist.role);
+    clientToken = generateToken(client._id, client.role);
+    adminToken = generateToken(admin._id, admin.role);
+
+    await createSessionRate(therapist, STANDARD_RATE);
+  });
+
+  // Each booking takes its own slot so they don't conflict
+  const book = (extra) => {
+    const sessionDate = new Date(Date.now() + (7 + bookingCount++) * DAY_MS);
+    sessionDate.setHours(10, 0, 0, 0);
+    return request(app)
+      .post('/api/sessions/request')
+      .set('x-auth-token', clientToken)
+      .send({ psychologistId: therapist._id.toString(), sessionType: 'Individual', sessionDate: sessionDate.toISOString(), ...extra });
+  };
+
+  const approve = (sessionId) => request(app)
+    .put(`/api/sessions/${sessionId}/approve`)
+    .set('x-auth-token', therapistToken)
+    .send({})
+    .expect(200);
+
+  const createFund = async (terms, contribution) => {
+    const created = await request(app)
+      .post('/api/pricing/funds')
+      .set('x-auth-token', adminToken)
+      .send({ name: 'Community Care Fund', sponsor: 'Nairobi Wellness Trust', sessionTypes: ['Individual'], ...terms })
+      .expect(201);
+    await request(app)
+      .post(`/api/pricing/funds/${created.body.fund._id}/contributions`)
+      .set('x-auth-token', adminToken)
+      .send({ amount: contribution, note: 'Opening grant' })
+      .expect(200);
+    return created.body.fund;
+  };
+
+  const approveClientForFund = async (fundId) => {
+    const applied = await request(app)
+      .post(`/api/pricing/funds/${fundId}/apply`)
+      .set('x-auth-token', clientToken)
+      .send({ statement: 'I am between jobs and cannot afford the full rate.' })
+      .expect(201);
+    await request(app)
+      .put(`/api/pricing/applications/${applied.body.application._id}/review`)
+      .set('x-auth-token', adminToken)
+      .send({ decision: 'approved' })
+      .expect(200);
+  };
+
+  test('should book and approve a session at the sliding-scale tier', async () => {
+    const tooHigh = await request(app)
+      .post('/api/pricing/tiers')
+      .set('x-auth-token', therapistToken)
+      .send({ sessionType: 'Individual', name: 'Standard plus', amount: STANDARD_RATE + 500 })
+      .expect(400);
+    expect(tooHigh.body.error).toMatch(/below the standard rate/);
+
+    const tier = await request(app)
+      .post('/api/pricing/tiers')
+      .set('x-auth-token', therapistToken)
+      .send({ sessionType: 'Individual', name: 'Student', amount: 1500 })
+      .expect(201);
+
+    const booked = await book({ pricingTierId: tier.body.tier._id }).expect(201);
+    expect(booked.body.session.price).toBe(1500);
+    expect(booked.body.session.pricing).toMatchObject({ standardRate: STANDARD_RATE, clientAmount: 1500, tier: { name: 'Student', amount: 1500 } });
+
+    const approved = await approve(booked.body.session._id);
+    expect(approved.body.session).toMatchObject({ status: 'Approved', paymentStatus: 'Pending', price: 1500 });
+    expect(approved.body.session.paymentInstructions).toContain('KSh 1500');
+  });
+
+  test('should refuse a sponsored booking until the client is approved for the fund', async () => {
+    const fund = await createFund({ coveragePercent: 100 }, 10000);
+
+    const refused = await book({ sponsorshipFundId: fund._id }).expect(400);
+    expect(refused.body.msg).toBe('Sponsorship eligibility has not been approved');
+
+    await approveClientForFund(fund._id);
+    const booked = await book({ sponsorshipFundId: fund._id }).expect(201);
+    expect(booked.body.session.price).toBe(0);
+    expect(booked.body.session.pricing.subsidy).toMatchObject({ amount: STANDARD_RATE, status: 'reserved' });
+    expect((await SponsorshipFund.findById(fund._id)).balance).toBe(10000 - STANDARD_RATE);
+
+    const approved = await approve(booked.body.session._id);
+    expect(approved.body.session).toMatchObject({ status: 'Confirmed', paymentStatus: 'Paid', paymentMethod: 'sponsorship' });
+  });
+
+  test('should leave the client share to pay when a fund covers part of the price', async () => {
+    const fund = await createFund({ coveragePercent: 50, maxPerSession: 1500 }, 10000);
+    await approveClientForFund(fund._id);
+
+    const booked = await book({ sponsorshipFundId: fund._id }).expect(201);
+    expect(booked.body.session.price).toBe(STANDARD_RATE - 1500);
+
+    const approved = await approve(booked.body.session._id);
+    expect(approved.body.session).toMatchObject({ status: 'Approved', paymentStatus: 'Pending', price: STANDARD_RATE - 1500 });
+  });
+
+  test('should return the subsidy to the fund when the therapist declines', async () => {
+    const fund = await createFund({ coveragePercent: 100 }, 10000);
+    await approveClientForFund(fund._id);
+    const booked = await book({ sponsorshipFundId: fund._id }).expect(201);
+
+    await request(app)
+      .put(`/api/sessions/${booked.body.session._id}/decline`)
+      .set('x-auth-token', therapistToken)
+      .send({ reason: 'Fully booked that week' })
+      .expect(200);
+
+    expect((await SponsorshipFund.findById(fund._id)).balance).toBe(10000);
+    const declined = await Session.findById(booked.body.session._id);
+    expect(declined.pricing.subsidy.status).toBe('released');
+
+    const ledger = await request(app)
+      .get(`/api/pricing/funds/${fund._id}/ledger`)
+      .set('x-auth-token', adminToken)
+      .expect(200);
+    expect(ledger.body.ledger.map(entry => entry.type).sort()).toEqual(['contribution', 'release', 'reserve']);
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Promo Code Integration Tests
+ *
+ * Issues codes through the promo code routes and applies them to bookings
+ * through the session routes: the discount comes off the locked rate and
+ * survives approval, usage caps hold across clients, cancelling a booking
+ * gives its use back, and a full discount confirms the session unpaid.
+ */
+
+const request = require('supertest');
+
+jest.mock('../../utils/notificationService', () => ({
+  sendEmail: jest.fn().mockResolvedValue({ success: true }),
+  sendSMS: jest.fn().mockResolvedValue({ success: true }),
+  sendBookingConfirmationNotification: jest.fn().mockResolvedValue({ success: true }),
+  sendBookingConfirmationSMS: jest.fn().mockResolvedValue({ success: true }),
+  sendSessionRequestNotification: jest.fn().mockResolvedValue({ success: true }),
+  sendSessionApprovalNotification: jest.fn().mockResolvedValue({ success: true }),
+  sendSponsoredBookingNotification: jest.fn().mockResolvedValue({ success: true })
+}));
+
+const Session = require('../../models/Session');
+const PromoCode = require('../../models/PromoCode');
+
+const promoCodesRouter = require('../../routes/promoCodes');
+const sessionsRouter = require('../../routes/sessions');
+const cancellationsRouter = require('../../routes/cancellations');
+const { generateToken } = require('../../utils/auth');
+const { createTestApp, createTestUser, createSessionRate, DAY_MS } = require('../helpers/integration');
+
+const STANDARD_RATE = 4000;
+
+describe('Promo Code Integration Tests', () => {
+  let app;
+  let therapist, client, otherClient, admin;
+  let therapistToken, clientToken, otherClientToken, adminToken;
+  let bookingCount;
+
+  beforeAll(() => {
+    app = createTestApp({
+      '/api/promo-codes': promoCodesRouter,
+      '/api/sessions': sessionsRouter,
+      '/api': cancellationsRouter
+    });
+  });
+
+  beforeEach(async () => {
+    bookingCount = 0;
+
+    therapist = await createTestUser('psychologist', {
+      name: 'Dr. Promo Therapist',
+      email: 'promo.therapist@test.com'
+    });
+    client = await createTestUser('client', {
+      name: 'Promo Client',
+      email: 'promo.client@test.com'
+    });
+    otherClient = await createTestUser('client', {
+      name: 'Second Promo Client',
+      email: 'promo.second@test.com'
+    });
+    admin = await createTestUser('admin', {
+      name: 'Promo Admin',
+      email: 'promo.admin@test.com'
+    });
+    therapistToken = generateToken(therapist._id, therapist.role);
+    clientToken = generateToken(client._id, client.role);
+    otherClientToken = generateToken(otherClient._id, otherClient.role);
+    adminToken = generateToken(admin._id, admin.role);
+
+    await createSessionRate(therapist, STANDARD_RATE);
+  });
+
+  const createCode = (terms) => request(app)
+    .post('/api/promo-codes')
+    .set('x-auth-token', adminToken)
+    .send(terms);
+
+  // Each booking takes its own slot so they don't conflict
+  const book = (token, code) => {
+    const sessionDate = new Date(Date.now() + (7 + bookingCount++) * DAY_MS);
+    sessionDate.setHours(10, 0, 0, 0);
+    return request(app)
+      .post('/api/sessions/request')
+      .set('x-auth-token', token)
+      .send({ psychologistId: therapist._id.toString(), sessionType: 'Individual', sessionDate: sessionDate.toISOString(), promoCode: code });
+  };
+
+  const validate = (token, code) => request(app)
+    .post('/api/promo-codes/validate')
+    .set('x-auth-token', token)
+    .send({ code, psychologistId: therapist._id.toString(), sessionType: 'Individual' });
+
+  test('should take the discount off the booking and keep it through approval', async () => {
+    await createCode({ code: 'WELCOME', discountType: 'percentage', discountValue: 20 })
+      .set('x-auth-token', clientToken)
+      .expect(403);
+    await createCode({ code: 'welcome', discountType: 'percentage', discountValue: 20, maxDiscount: 1000 }).expect(201);
+    await createCode({ code: 'WELCOME', discountType: 'fixed', discountValue: 500 }).expect(409);
+
+    const preview = await validate(clientToken, 'welcome').expect(200);
+    expect(preview.body.pricing).toMatchObject({ standardRate: STANDARD_RATE, promoCode: 'WELCOME', promoDiscount: 800, clientAmount: 3200 });
+
+    const booked = await book(clientToken, 'welcome').expect(201);
+    expect(booked.body.session.price).toBe(3200);
+    expect(booked.body.session.pricing.discount).toMatchObject({ code: 'WELCOME', amount: 800, status: 'redeemed' });
+
+    const approved = await request(app)
+      .put(`/api/sessions/${booked.body.session._id}/approve`)
+      .set('x-auth-token', therapistToken)
+      .send({})
+      .expect(200);
+    expect(approved.body.session).toMatchObject({ status: 'Approved', paymentStatus: 'Pending', price: 3200 });
+
+    const promo = await PromoCode.findOne({ code: 'WELCOME' });
+    const redemptions = await request(app)
+      .get(`/api/promo-codes/${promo._id}/redemptions`)
+      .set('x-auth-token', adminToken)
+      .expect(200);
+    expect(redemptions.body.totals).toEqual({ activeCount: 1, discountAmount: 800 });
+  });
+
+  test('should enforce the usage cap and return a use when the booking is cancelled', async () => {
+    await createCode({ code: 'LAUNCH', discountType: 'fixed', discountValue: 1000, maxUses: 1 }).expect(201);
+
+    const first = await book(clientToken, 'LAUNCH').expect(201);
+
+    const refused = await validate(otherClientToken, 'LAUNCH').expect(400);
+    expect(refused.body).toMatchObject({ valid: false, error: 'Promo code has been fully redeemed' });
+    await book(otherClientToken, 'LAUNCH').expect(400);
+
+    await request(app)
+      .post(`/api/sessions/${first.body.session._id}/cancel`)
+      .set('x-auth-token', clientToken)
+      .send({ reason: 'schedule_conflict' })
+      .expect(200);
+    expect((await PromoCode.findOne({ code: 'LAUNCH' })).usesCount).toBe(0);
+    expect((await Session.findById(first.body.session._id)).pricing.discount.status).toBe('released');
+
+    const second = await book(otherClientToken, 'LAUNCH').expect(201);
+    expect(second.body.session.price).toBe(STANDARD_RATE - 1000);
+  });
+
+  test('should confirm a fully discounted session without payment', async () => {
+    await createCode({ code: 'FREEFIRST', discountType: 'percentage', discountValue: 100, firstSessionOnly: true }).expect(201);
+
+    const booked = await book(clientToken, 'FREEFIRST').expect(201);
+    expect(booked.body.session.price).toBe(0);
+
+    const approved = await request(app)
+      .put(`/api/sessions/${booked.body.session._id}/approve`)
+      .set('x-auth-token', therapistToken)
+      .send({})
+      .expect(200);
+    expect(approved.body.session).toMatchObject({ status: 'Confirmed', paymentStatus: 'Paid', paymentMethod: 'promo_code' });
+
+    // The client now has a session, so the first-session code no longer applies
+    const refused = await validate(clientToken, 'FREEFIRST').expect(400);
+    expect(refused.body.error).toBe('Promo code is only valid for your first session');
+  });
+});
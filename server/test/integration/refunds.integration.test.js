@@ -0,0 +1,206 @@
+/**
+ * M-Pesa B2C Refund Integration Tests
+ *
+ * Cancels paid M-Pesa sessions through the cancellation routes and drives
+ * the refund through Safaricom's B2C result and timeout callbacks: a
+ * successful payout, a failed one an admin retries, and refunds that are
+ * too large to send automatically.
+ */
+
+const request = require('supertest');
+
+jest.mock('../../utils/notificationService', () => ({
+  sendEmail: jest.fn().mockResolvedValue({ success: true }),
+  sendSMS: jest.fn().mockResolvedValue({ success: true })
+}));
+
+jest.mock('../../config/mpesa', () => ({
+  formatPhoneNumber: jest.fn(phone => `254${phone.replace(/\D/g, '').slice(-9)}`),
+  stkPush: jest.fn(),
+  stkQuery: jest.fn(),
+  isB2CConfigured: jest.fn(() => true),
+  b2cPayment: jest.fn().mockResolvedValue({ ConversationID: 'AG_20260301_0002' })
+}));
+
+const mpesaAPI = require('../../config/mpesa');
+const Session = require('../../models/Session');
+const Refund = require('../../models/Refund');
+const Invoice = require('../../models/Invoice');
+const { REFUND_CONFIG } = require('../../services/refundService');
+
+const mpesaRouter = require('../../routes/mpesa');
+const cancellationsRouter = require('../../routes/cancellations');
+const { generateToken } = require('../../utils/auth');
+const { createTestApp, createTestUser, daysFromNow, waitFor } = require('../helpers/integration');
+
+const SESSION_PRICE = 3000;
+
+const b2cCallback = (originatorConversationId, { resultCode = 0, transactionId } = {}) => ({
+  Result: {
+    ResultType: 0,
+    ResultCode: resultCode,
+    ResultDesc: resultCode === 0 ? 'The service request is processed successfully.' : 'The initiator information is invalid.',
+    OriginatorConversationID: originatorConversationId,
+    ConversationID: 'AG_20260301_0002',
+    TransactionID: transactionId
+  }
+});
+
+describe('M-Pesa B2C Refund Integration Tests', () => {
+  let app;
+  let therapist, client, admin;
+  let clientToken, adminToken;
+
+  beforeAll(() => {
+    app = createTestApp({
+      '/api/mpesa': mpesaRouter,
+      '/api': cancellationsRouter
+    });
+  });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+
+    therapist = await createTestUser('psychologist', {
+      name: 'Dr. Refund Therapist',
+      email: 'refund.therapist@test.com'
+    });
+    client = await createTestUser('client', {
+      name: 'Refund Client',
+      email: 'refund.client@test.com',
+      phone: '254712345678'
+    });
+    admin = await createTestUser('admin', {
+      name: 'Refund Admin',
+      email: 'refund.admin@test.com'
+    });
+    clientToken = generateToken(client._id, client.role);
+    adminToken = generateToken(admin._id, admin.role);
+  });
+
+  const createPaidSession = (price = SESSION_PRICE) => Session.create({
+    client: client._id,
+    psychologist: therapist._id,
+    sessionType: 'Individual',
+    sessionDate: daysFromNow(5),
+    status: 'Confirmed',
+    price,
+    paymentStatus: 'Paid',
+    paymentMethod: 'mpesa',
+    mpesaAmount: price,
+    mpesaTransactionID: 'QPAID12345',
+    paymentVerifiedAt: new Date()
+  });
+
+  const cancel = (session) => request(app)
+    .post(`/api/sessions/${session._id}/cancel`)
+    .set('x-auth-token', clientToken)
+    .send({ reason: 'schedule_conflict' })
+    .expect(200);
+
+  const lastPayout = () => mpesaAPI.b2cPayment.mock.calls[mpesaAPI.b2cPayment.mock.calls.length - 1][0];
+
+  test('should send the refund over B2C and complete it from the result callback', async () => {
+    const session = await createPaidSession();
+
+    const cancelled = await cancel(session);
+    expect(cancelled.body).toMatchObject({ refundAmount: SESSION_PRICE, refundStatus: 'processing' });
+    expect(lastPayout()).toMatchObject({ phoneNumber: '254712345678', amount: SESSION_PRICE });
+
+    const pending = await request(app)
+      .get(`/api/refunds/${session._id}/status`)
+      .set('x-auth-token', clientToken)
+      .expect(200);
+    expect(pending.body).toMatchObject({ status: 'processing', label: 'Refund is being sent to your M-Pesa', method: 'mpesa' });
+
+    await request(app)
+      .post('/api/mpesa/b2c/result')
+      .send(b2cCallback(lastPayout().originatorConversationId, { transactionId: 'RFD1001' }))
+      .expect(200);
+
+    const refunded = await Session.findById(session._id);
+    expect(refunded).toMatchObject({ refundStatus: 'processed', refundTransactionId: 'RFD1001' });
+    const refund = await Refund.findOne({ session: session._id });
+    expect(refund.status).toBe('completed');
+
+    const creditNote = await waitFor(() => Invoice.findOne({ session: session._id, type: 'credit_note', number: { $exists: true } }));
+    expect(creditNote).not.toBeNull();
+  });
+
+  test('should ignore a repeated result callback', async () => {
+    const session = await createPaidSession();
+    await cancel(session);
+    const callback = b2cCallback(lastPayout().originatorConversationId, { transactionId: 'RFD1002' });
+
+    await request(app).post('/api/mpesa/b2c/result').send(callback).expect(200);
+    await request(app).post('/api/mpesa/b2c/result').send(callback).expect(200);
+
+    const refund = await Refund.findOne({ session: session._id });
+    expect(refund.events.filter(event => event.status === 'completed')).toHaveLength(1);
+  });
+
+  test('should hand a failed payout to an admin and resend it on retry', async () => {
+    const session = await createPaidSession();
+    await cancel(session);
+
+    await request(app)
+      .post('/api/mpesa/b2c/result')
+      .send(b2cCallback(lastPayout().originatorConversationId, { resultCode: 2001 }))
+      .expect(200);
+    const failed = await Session.findById(session._id);
+    expect(failed.refundStatus).toBe('pending_manual');
+
+    await request(app)
+      .post(`/api/admin/refunds/${session._id}/retry`)
+      .set('x-auth-token', clientToken)
+      .expect(403);
+    await request(app)
+      .post(`/api/admin/refunds/${session._id}/retry`)
+      .set('x-auth-token', adminToken)
+      .expect(200);
+
+    expect(mpesaAPI.b2cPayment).toHaveBeenCalledTimes(2);
+    expect(lastPayout().originatorConversationId).toMatch(/-2$/);
+
+    await request(app)
+      .post('/api/mpesa/b2c/result')
+      .send(b2cCallback(lastPayout().originatorConversationId, { transactionId: 'RFD1003' }))
+      .expect(200);
+    const refunded = await Session.findById(session._id);
+    expect(refunded).toMatchObject({ refundStatus: 'processed', refundTransactionId: 'RFD1003' });
+  });
+
+  test('should record a queue timeout for reconciliation to resend', async () => {
+    const session = await createPaidSession();
+    await cancel(session);
+
+    await request(app)
+      .post('/api/mpesa/b2c/timeout')
+      .send(b2cCallback(lastPayout().originatorConversationId, { resultCode: 1 }))
+      .expect(200);
+
+    const refund = await Refund.findOne({ session: session._id });
+    expect(refund.status).toBe('timed_out');
+    const status = await request(app)
+      .get(`/api/refunds/${session._id}/status`)
+      .set('x-auth-token', clientToken)
+      .expect(200);
+    expect(status.body.label).toBe('M-Pesa was busy; your refund will be resent shortly');
+  });
+
+  test('should not send refunds above the automatic limit', async () => {
+    const price = REFUND_CONFIG.AUTO_REFUND_MAX_AMOUNT + 1000;
+    const session = await createPaidSession(price);
+
+    const cancelled = await cancel(session);
+
+    expect(cancelled.body.refundStatus).toBe('pending_manual');
+    expect(mpesaAPI.b2cPayment).not.toHaveBeenCalled();
+
+    const pending = await request(app)
+      .get('/api/admin/refunds/pending')
+      .set('x-auth-token', adminToken)
+      .expect(200);
+    expect(JSON.stringify(pending.body)).toContain(session._id.toString());
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Session Series Integration Tests
+ *
+ * Books a recurring series through the session series routes and checks
+ * every occurrence is announced as booked, and that admins can view,
+ * cancel and reschedule a series they don't take part in.
+ */
+
+const request = require('supertest');
+
+jest.mock('../../utils/notificationService', () => ({
+  sendEmail: jest.fn().mockResolvedValue({ success: true }),
+  sendSMS: jest.fn().mockResolvedValue({ success: true }),
+  sendBookingConfirmationNotification: jest.fn().mockResolvedValue({ success: true }),
+  sendSessionRequestNotification: jest.fn().mockResolvedValue({ success: true })
+}));
+
+const Session = require('../../models/Session');
+const SessionSeries = require('../../models/SessionSeries');
+const AvailabilityWindow = require('../../models/AvailabilityWindow');
+const { eventBus, SESSION_EVENTS } = require('../../src/events/eventBus');
+const { reschedulingService } = require('../../services/reschedulingService');
+const sessionSeriesRouter = require('../../routes/sessionSeries');
+const { generateToken } = require('../../utils/auth');
+const { createTestApp, createTestUser, DAY_MS } = require('../helpers/integration');
+
+describe('Session Series Integration Tests', () => {
+  let app;
+  let therapist, client, admin;
+  let clientToken, adminToken;
+  let startDate;
+  let booked;
+  const onBooked = (data) => booked.push(data);
+
+  beforeAll(() => {
+    app = createTestApp({ '/api/session-series': sessionSeriesRouter });
+    eventBus.on(SESSION_EVENTS.BOOKED, onBooked);
+  });
+
+  afterAll(() => {
+    eventBus.off(SESSION_EVENTS.BOOKED, onBooked);
+  });
+
+  beforeEach(async () => {
+    booked = [];
+
+    therapist = await createTestUser('psychologist', {
+      name: 'Dr. Series Therapist',
+      email: 'series.therapist@test.com'
+    });
+    client = await createTestUser('client', {
+      name: 'Series Client',
+      email: 'series.client@test.com'
+    });
+    admin = await createTestUser('admin', {
+      name: 'Series Admin',
+      email: 'series.admin@test.com'
+    });
+    clientToken = generateToken(client._id, client.role);
+    adminToken = generateToken(admin._id, admin.role);
+
+    startDate = new Date(Date.now() + 7 * DAY_MS);
+    startDate.setHours(10, 0, 0, 0);
+    await AvailabilityWindow.create({
+      therapist: therapist._id,
+      dayOfWeek: startDate.getDay(),
+      startTime: '09:00',
+      endTime: '17:00',
+      windowType: 'recurring',
+      isActive: true
+    });
+  });
+
+  const bookSeries = async () => {
+    const res = await request(app)
+      .post('/api/session-series/request')
+      .set('x-auth-token', clientToken)
+      .send({
+        psychologistId: therapist._id.toString(),
+        sessionType: 'Individual',
+        startDate: startDate.toISOString(),
+        frequency: 'weekly',
+        occurrences: 3
+      })
+      .expect(201);
+    return res.body;
+  };
+
+  test('should announce every occurrence as booked', async () => {
+    const { series, sessions } = await bookSeries();
+
+    expect(booked).toHaveLength(3);
+    expect(booked.map(event => event.sessionId).sort()).toEqual(sessions.map(s => s.id).sort());
+    booked.forEach(event => {
+      expect(event.clientId).toBe(client._id.toString());
+      expect(event.therapistId).toBe(therapist._id.toString());
+      expect(event.seriesId).toBe(series._id);
+    });
+  });
+
+  test('should let an admin view and cancel the remaining series', async () => {
+    const { series } = await bookSeries();
+
+    await request(app)
+      .get(`/api/session-series/${series._id}`)
+      .set('x-auth-token', adminToken)
+      .expect(200);
+
+    const res = await request(app)
+      .post(`/api/session-series/${series._id}/cancel`)
+      .set('x-auth-token', adminToken)
+      .send({ scope: 'remaining', reason: 'schedule_conflict' })
+      .expect(200);
+
+    expect(res.body.failures).toEqual([]);
+    expect(res.body.results).toHaveLength(3);
+
+    const sessions = await Session.find({ series: series._id });
+    sessions.forEach(session => {
+      expect(session.status).toBe('Cancelled');
+      expect(session.cancelledBy).toBe('admin');
+    });
+    const updated = await SessionSeries.findById(series._id);
+    expect(updated.status).toBe('cancelled');
+    expect(updated.cancelledBy).toBe('admin');
+  });
+
+  test('should allow an admin to reschedule an occurrence', async () => {
+    const { sessions } = await bookSeries();
+    await Session.updateMany({ _id: { $in: sessions.map(s => s.id) } }, { status: 'Confirmed' });
+
+    const eligibility = await reschedulingService.checkRescheduleEligibility(sessions[0].id, admin._id.toString(), 'admin');
+    expect(eligibility.eligible).toBe(true);
+    expect(eligibility.requestedBy).toBe('admin');
+
+    const notAllowed = await reschedulingService.checkRescheduleEligibility(sessions[0].id, admin._id.toString());
+    expect(notAllowed.eligible).toBe(false);
+  });
+
+  test('should still refuse users outside the series', async () => {
+    const { series } = await bookSeries();
+    const outsider = await createTestUser('client', {
+      name: 'Other Client',
+      email: 'other.client@test.com'
+    });
+
+    const res = await request(app)
+      .post(`/api/session-series/${series._id}/cancel`)
+      .set('x-auth-token', generateToken(outsider._id, outsider.role))
+      .send({ scope: 'remaining', reason: 'schedule_conflict' })
+      .expect(400);
+
+    expect(res.body.error).toBe('Not authorized to view this series');
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * Stripe Card Payment Integration Tests
+ *
+ * Drives the card routes end to end against the local Stripe mock: a
+ * client starts a card payment for an approved session, Stripe's signed
+ * webhook confirms it, and a cancellation refunds the card. Also checks
+ * unsigned webhooks are rejected and failed payments stay unpaid.
+ */
+
+const request = require('supertest');
+const { startStripeMock } = require('../mocks/stripeMock');
+
+jest.mock('../../utils/notificationService', () => ({
+  sendEmail: jest.fn().mockResolvedValue({ success: true }),
+  sendSMS: jest.fn().mockResolvedValue({ success: true }),
+  sendPaymentConfirmationNotification: jest.fn().mockResolvedValue({ success: true }),
+  sendTherapistPaymentNotification: jest.fn().mockResolvedValue({ success: true }),
+  sendPaymentFailureNotification: jest.fn().mockResolvedValue({ success: true })
+}));
+
+const Session = require('../../models/Session');
+const Invoice = require('../../models/Invoice');
+const { generateToken } = require('../../utils/auth');
+const { createTestApp, createTestUser, daysFromNow, waitFor } = require('../helpers/integration');
+
+const WEBHOOK_SECRET = 'whsec_integration_secret';
+const SESSION_PRICE = 2500;
+
+describe('Stripe Card Payment Integration Tests', () => {
+  let mock;
+  let app;
+  let webhookSignature;
+  let therapist, client;
+  let clientToken;
+
+  beforeAll(async () => {
+    mock = await startStripeMock();
+    process.env.STRIPE_SECRET_KEY = 'sk_test_mock';
+    process.env.STRIPE_CURRENCY = 'kes';
+    process.env.STRIPE_WEBHOOK_SECRET = WEBHOOK_SECRET;
+    process.env.STRIPE_API_HOST = '127.0.0.1';
+    process.env.STRIPE_API_PORT = String(mock.port);
+    process.env.STRIPE_API_PROTOCOL = 'http';
+
+    // Loaded after the environment is set: the Stripe client and webhook verifier read it once
+    webhookSignature = require('../../utils/webhookSignature');
+    app = createTestApp({
+      '/api/stripe': require('../../routes/stripe'),
+      '/api': require('../../routes/cancellations')
+    }, {
+      verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/stripe/webhook')) {
+          req.rawBody = buf;
+        }
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await mock.close();
+  });
+
+  beforeEach(async () => {
+    mock.state.requests.length = 0;
+    mock.state.refundStatus = 'succeeded';
+
+    therapist = await createTestUser('psychologist', {
+      name: 'Dr. Card Therapist',
+      email: 'card.therapist@test.com'
+    });
+    client = await createTestUser('client', {
+      name: 'Card Client',
+      email: 'card.client@test.com'
+    });
+    clientToken = generateToken(client._id, client.role);
+  });
+
+  const createApprovedSession = () => Session.create({
+    client: client._id,
+    psychologist: therapist._id,
+    sessionType: 'Individual',
+    sessionDate: daysFromNow(5),
+    status: 'Approved',
+    price: SESSION_PRICE,
+    paymentStatus: 'Pending'
+  });
+
+  const sendWebhook = (event, secret = WEBHOOK_SECRET) => {
+    const body = JSON.stringify(event);
+    return request(app)
+      .post('/api/stripe/webhook')
+      .set('Content-Type', 'application/json')
+      .set('Stripe-Signature', webhookSignature.generateStripeSignature(body, secret))
+      .send(body);
+  };
+
+  const intentEvent = (type, intent) => ({ id: `evt_${type}_${intent.id}`, type, data: { object: intent } });
+
+  const payByCard = async (session) => {
+    const res = await request(app)
+      .post('/api/stripe/create-intent')
+      .set('x-auth-token', clientToken)
+      .send({ sessionId: session._id.toString() })
+      .expect(200);
+    const intent = mock.succeed(res.body.paymentIntentId);
+    await sendWebhook(intentEvent('payment_intent.succeeded', intent)).expect(200);
+    return res.body;
+  };
+
+  test('should confirm a card payment from the signed webhook and issue a receipt', async () => {
+    const session = await createApprovedSession();
+
+    const intent = await payByCard(session);
+    expect(intent).toMatchObject({ amount: SESSION_PRICE, currency: 'kes' });
+    expect(intent.clientSecret).toMatch(/_secret_mock$/);
+
+    const paid = await Session.findById(session._id);
+    expect(paid).toMatchObject({ status: 'Confirmed', paymentStatus: 'Paid', paymentMethod: 'stripe', paymentAmount: SESSION_PRICE });
+    expect(paid.stripeChargeId).toMatch(/^ch_mock_/);
+
+    const receipt = await waitFor(() => Invoice.findOne({ session: session._id, type: 'receipt', number: { $exists: true } }));
+    expect(receipt.total).toBe(SESSION_PRICE);
+  });
+
+  test('should reuse the open payment intent when checkout is retried', async () => {
+    const session = await createApprovedSession();
+
+    const first = await request(app)
+      .post('/api/stripe/create-intent')
+      .set('x-auth-token', clientToken)
+      .send({ sessionId: session._id.toString() })
+      .expect(200);
+    const second = await request(app)
+      .post('/api/stripe/create-intent')
+      .set('x-auth-token', clientToken)
+      .send({ sessionId: session._id.toString() })
+      .expect(200);
+
+    expect(second.body.paymentIntentId).toBe(first.body.paymentIntentId);
+    expect(mock.state.requests.filter(r => r.method === 'POST' && r.path === '/v1/payment_intents')).toHaveLength(1);
+  });
+
+  test('should reject a webhook with the wrong signature', async () => {
+    const session = await createApprovedSession();
+    const res = await request(app)
+      .post('/api/stripe/create-intent')
+      .set('x-auth-token', clientToken)
+      .send({ sessionId: session._id.toString() })
+      .expect(200);
+    const intent = mock.succeed(res.body.paymentIntentId);
+
+    await sendWebhook(intentEvent('payment_intent.succeeded', intent), 'whsec_forged').expect(400);
+
+    const unchanged = await Session.findById(session._id);
+    expect(unchanged.paymentStatus).toBe('Processing');
+  });
+
+  test('should leave the session unpaid when the card is declined', async () => {
+    const session = await createApprovedSession();
+    const res = await request(app)
+      .post('/api/stripe/create-intent')
+      .set('x-auth-token', clientToken)
+      .send({ sessionId: session._id.toString() })
+      .expect(200);
+
+    await sendWebhook(intentEvent('payment_intent.payment_failed', {
+      id: res.body.paymentIntentId,
+      amount_received: 0,
+      last_payment_error: { message: 'Your card was declined.' }
+    })).expect(200);
+
+    const failed = await Session.findById(session._id);
+    expect(failed.status).toBe('Approved');
+    expect(failed.paymentStatus).toBe('Failed');
+    expect(failed.paymentAttempts[failed.paymentAttempts.length - 1].resultDesc).toBe('Your card was declined.');
+  });
+
+  test('should refund the card when a paid session is cancelled', async () => {
+    const session = await createApprovedSession();
+    await payByCard(session);
+
+    const cancelled = await request(app)
+      .post(`/api/sessions/${session._id}/cancel`)
+      .set('x-auth-token', clientToken)
+      .send({ reason: 'schedule_conflict' })
+      .expect(200);
+    expect(cancelled.body).toMatchObject({ refundStatus: 'processed', refundAmount: SESSION_PRICE });
+
+    const refundRequest = mock.state.requests.find(r => r.path === '/v1/refunds');
+    expect(refundRequest.params).toMatchObject({ amount: String(SESSION_PRICE * 100) });
+
+    const refunded = await Session.findById(session._id);
+    expect(refunded.refundStatus).toBe('processed');
+    expect(refunded.refundTransactionId).toMatch(/^re_mock_/);
+  });
+
+  test('should complete a pending card refund from the refund webhook', async () => {
+    const session = await createApprovedSession();
+    await payByCard(session);
+    mock.state.refundStatus = 'pending';
+
+    await request(app)
+      .post(`/api/sessions/${session._id}/cancel`)
+      .set('x-auth-token', clientToken)
+      .send({ reason: 'schedule_conflict' })
+      .expect(200);
+    const pending = await Session.findById(session._id);
+    expect(pending.refundStatus).toBe('processing');
+
+    await sendWebhook({
+      id: 'evt_refund_updated',
+      type: 'refund.updated',
+      data: { object: { id: pending.refundTransactionId, status: 'succeeded', amount: SESSION_PRICE * 100, currency: 'kes' } }
+    }).expect(200);
+
+    const refunded = await Session.findById(session._id);
+    expect(refunded.refundStatus).toBe('processed');
+    const creditNote = await waitFor(() => Invoice.findOne({ session: session._id, type: 'credit_note', number: { $exists: true } }));
+    expect(creditNote).not.toBeNull();
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Waitlist Integration Tests
+ *
+ * Frees a slot by cancelling a longer-than-usual session, checks the
+ * waitlisted client is offered it at that session's length, then claims
+ * the offer through the waitlist routes and checks the new booking is
+ * announced to listeners like any other.
+ */
+
+const request = require('supertest');
+
+jest.mock('../../utils/notificationService', () => ({
+  sendEmail: jest.fn().mockResolvedValue({ success: true }),
+  sendSMS: jest.fn().mockResolvedValue({ success: true })
+}));
+
+const Session = require('../../models/Session');
+const WaitlistEntry = require('../../models/WaitlistEntry');
+const { eventBus, SESSION_EVENTS } = require('../../src/events/eventBus');
+const { initWaitlistListeners, removeWaitlistListeners } = require('../../src/listeners/waitlistListeners');
+const { cancellationService } = require('../../services/cancellationService');
+const waitlistRouter = require('../../routes/waitlist');
+const { generateToken } = require('../../utils/auth');
+const { createTestApp, createTestUser, createSessionRate, waitFor, DAY_MS } = require('../helpers/integration');
+
+const SESSION_MINUTES = 90;
+
+describe('Waitlist Integration Tests', () => {
+  let app;
+  let therapist, bookedClient, waitingClient;
+  let slotDate;
+  let booked;
+  const onBooked = (data) => booked.push(data);
+
+  beforeAll(() => {
+    app = createTestApp({ '/api/waitlist': waitlistRouter });
+    initWaitlistListeners();
+    eventBus.on(SESSION_EVENTS.BOOKED, onBooked);
+  });
+
+  afterAll(() => {
+    removeWaitlistListeners();
+    eventBus.off(SESSION_EVENTS.BOOKED, onBooked);
+  });
+
+  beforeEach(async () => {
+    booked = [];
+
+    therapist = await createTestUser('psychologist', {
+      name: 'Dr. Waitlist Therapist',
+      email: 'waitlist.therapist@test.com'
+    });
+    bookedClient = await createTestUser('client', {
+      name: 'Booked Client',
+      email: 'booked.client@test.com'
+    });
+    waitingClient = await createTestUser('client', {
+      name: 'Waiting Client',
+      email: 'waiting.client@test.com'
+    });
+
+    await createSessionRate(therapist, 3000, { duration: SESSION_MINUTES });
+
+    slotDate = new Date(Date.now() + 7 * DAY_MS);
+    slotDate.setHours(10, 0, 0, 0);
+
+    await WaitlistEntry.create({
+      client: waitingClient._id,
+      therapist: therapist._id,
+      preferences: [{ dayOfWeek: slotDate.getDay(), startTime: '08:00', endTime: '18:00' }]
+    });
+  });
+
+  const cancelBookedSession = async () => {
+    const session = await Session.create({
+      client: bookedClient._id,
+      psychologist: therapist._id,
+      sessionType: 'Individual',
+      sessionDate: slotDate,
+      duration: SESSION_MINUTES,
+      status: 'Cancelled',
+      price: 3000
+    });
+    const populated = await Session.findById(session._id).populate('client psychologist', 'name email');
+    cancellationService.emitSlotReleased(populated, 'client');
+    return session;
+  };
+
+  test('should offer a freed slot at the cancelled session length', async () => {
+    await cancelBookedSession();
+
+    const entry = await waitFor(() => WaitlistEntry.findOne({ client: waitingClient._id, status: 'offered' }));
+
+    expect(entry).not.toBeNull();
+    expect(entry.offer.duration).toBe(SESSION_MINUTES);
+    expect(entry.offer.slotDate).toEqual(slotDate);
+  });
+
+  test('should announce a claimed offer as booked', async () => {
+    await cancelBookedSession();
+    const entry = await waitFor(() => WaitlistEntry.findOne({ client: waitingClient._id, status: 'offered' }));
+
+    const res = await request(app)
+      .post(`/api/waitlist/${entry._id}/claim`)
+      .set('x-auth-token', generateToken(waitingClient._id, waitingClient.role))
+      .expect(200);
+
+    const session = await Session.findById(res.body.session.id);
+    expect(session.duration).toBe(SESSION_MINUTES);
+    expect(booked).toHaveLength(1);
+    expect(booked[0]).toMatchObject({
+      sessionId: session._id.toString(),
+      clientId: waitingClient._id.toString(),
+      therapistId: therapist._id.toString()
+    });
+  });
+});
@@ -0,0 +1,257 @@
+/**
+ * Invoice and Credit Note Tests
+ *
+ * Tests document numbering, which sessions, group seats and package
+ * purchases are due a receipt or credit note, the amounts and lines
+ * printed on them, and PDF generation.
+ */
+
+const {
+  formatDocumentNumber,
+  calculateIncludedTax,
+  getAmountPaid,
+  needsReceipt,
+  needsCreditNote,
+  buildReceiptLines,
+  buildReceiptData,
+  buildCreditNoteData,
+  seatNeedsReceipt,
+  seatNeedsCreditNote,
+  buildSeatReceiptData,
+  buildSeatCreditNoteData,
+  buildPackageReceiptData
+} = require('../services/invoiceService');
+const sessionReportGenerator = require('../utils/sessionReportGenerator');
+
+const makeSession = (overrides = {}) => ({
+  _id: 'session-1',
+  client: { _id: 'client-1', name: 'Jane Client', email: 'jane@example.com' },
+  psychologist: { _id: 'therapist-1', name: 'Dr. Smith' },
+  sessionType: 'Individual',
+  sessionDate: new Date('2026-10-01T09:00:00Z'),
+  bookingReference: 'SS-20261001-ABCD',
+  price: 2000,
+  paymentStatus: 'Paid',
+  paymentMethod: 'mpesa',
+  mpesaAmount: 2000,
+  mpesaTransactionID: 'QJK4ABC123',
+  paymentVerifiedAt: new Date('2026-09-28T10:00:00Z'),
+  ...overrides
+});
+
+describe('Invoices', () => {
+  describe('formatDocumentNumber', () => {
+    test('should zero-pad the sequence within the year', () => {
+      expect(formatDocumentNumber('INV', 2026, 42)).toBe('INV-2026-000042');
+      expect(formatDocumentNumber('CN', 2027, 1)).toBe('CN-2027-000001');
+    });
+  });
+
+  describe('calculateIncludedTax', () => {
+    test('should extract tax from a tax-inclusive total', () => {
+      expect(calculateIncludedTax(1160, 16)).toBe(160);
+      expect(calculateIncludedTax(2000, 0)).toBe(0);
+    });
+  });
+
+  describe('getAmountPaid', () => {
+    test('should use the gateway amount when one was recorded', () => {
+      expect(getAmountPaid(makeSession({ mpesaAmount: 1999 }))).toBe(1999);
+      expect(getAmountPaid(makeSession({ paymentMethod: 'stripe', paymentAmount: 1500, mpesaAmount: undefined }))).toBe(1500);
+      expect(getAmountPaid(makeSession({ paymentMethod: 'manual', mpesaAmount: undefined }))).toBe(2000);
+    });
+  });
+
+  describe('needsReceipt / needsCreditNote', () => {
+    test('should receipt paid sessions but not package credits or free sessions', () => {
+      expect(needsReceipt(makeSession())).toBe(true);
+      expect(needsReceipt(makeSession({ paymentStatus: 'Pending' }))).toBe(false);
+      expect(needsReceipt(makeSession({ paymentMethod: 'package_credit' }))).toBe(false);
+      expect(needsReceipt(makeSession({ paymentMethod: 'promo_code', price: 0, mpesaAmount: undefined }))).toBe(false);
+    });
+
+    test('should issue credit notes only for processed refunds with an amount', () => {
+      expect(needsCreditNote(makeSession({ refundStatus: 'processed', refundAmount: 1000 }))).toBe(true);
+      expect(needsCreditNote(makeSession({ refundStatus: 'processing', refundAmount: 1000 }))).toBe(false);
+      expect(needsCreditNote(makeSession({ refundStatus: 'processed', refundAmount: 0 }))).toBe(false);
+    });
+  });
+
+  describe('buildReceiptLines', () => {
+    test('should itemise tier, promo and sponsorship reductions', () => {
+      const session = makeSession({
+        pricing: {
+          standardRate: 2500,
+          tier: { name: 'Student', amount: 2000 },
+          discount: { code: 'WELCOME20', amount: 400, status: 'redeemed' },
+          subsidy: { fundName: 'Youth Access Fund', amount: 800, status: 'reserved' },
+          clientAmount: 800
+        }
+      });
+      const lines = buildReceiptLines(session, 800);
+      expect(lines).toEqual([
+        { description: 'Individual therapy session', amount: 2500 },
+        { description: 'Sliding-scale rate (Student)', amount: -500 },
+        { description: 'Promo code WELCOME20', amount: -400 },
+        { description: 'Covered by Youth Access Fund', amount: -800 }
+      ]);
+      expect(lines.reduce((sum, line) => sum + line.amount, 0)).toBe(800);
+    });
+
+    test('should fall back to one line when the paid amount differs from the agreed price', () => {
+      const session = makeSession({ pricing: { standardRate: 2500, clientAmount: 2000 } });
+      expect(buildReceiptLines(session, 1900)).toEqual([{ description: 'Individual therapy session', amount: 1900 }]);
+    });
+  });
+
+  describe('buildReceiptData / buildCreditNoteData', () => {
+    test('should snapshot the parties and M-Pesa transaction', () => {
+      const receipt = buildReceiptData(makeSession());
+      expect(receipt).toMatchObject({
+        type: 'receipt',
+        sourceKey: 'session:session-1',
+        client: 'client-1',
+        therapist: 'therapist-1',
+        billTo: { name: 'Jane Client', email: 'jane@example.com' },
+        therapistName: 'Dr. Smith',
+        total: 2000,
+        payment: { method: 'M-Pesa', transactionId: 'QJK4ABC123' }
+      });
+    });
+
+    test('should reference the receipt on the credit note', () => {
+      const session = makeSession({
+        refundStatus: 'processed',
+        refundAmount: 1000,
+        refundPercentage: 50,
+        refundTransactionId: 'RFD123',
+        cancellationReason: 'Schedule conflict'
+      });
+      const receipt = { _id: 'invoice-1', number: 'INV-2026-000007', taxRate: 0, payment: { method: 'M-Pesa' } };
+      const creditNote = buildCreditNoteData(session, receipt);
+      expect(creditNote).toMatchObject({
+        type: 'credit_note',
+        total: 1000,
+        originalInvoice: 'invoice-1',
+        originalNumber: 'INV-2026-000007',
+        refund: { transactionId: 'RFD123', reason: 'Schedule conflict' }
+      });
+      expect(creditNote.lines).toEqual([{ description: 'Refund of individual therapy session (50%)', amount: 1000 }]);
+    });
+  });
+
+  describe('group seats', () => {
+    const groupSession = makeSession({ sessionType: 'Group', client: undefined, cancellationReason: 'Therapist unwell' });
+    const makeSeat = (overrides = {}) => ({
+      client: { _id: 'member-1', name: 'Sam Member', email: 'sam@example.com' },
+      role: 'group_member',
+      status: 'enrolled',
+      paymentStatus: 'Paid',
+      amount: 800,
+      mpesaTransactionID: 'QSEAT123',
+      paidAt: new Date('2026-09-29T08:00:00Z'),
+      ...overrides
+    });
+
+    test('should receipt paid member seats only', () => {
+      expect(seatNeedsReceipt(makeSeat())).toBe(true);
+      expect(seatNeedsReceipt(makeSeat({ paymentStatus: 'Processing' }))).toBe(false);
+      expect(seatNeedsReceipt(makeSeat({ role: 'co_participant' }))).toBe(false);
+      expect(seatNeedsCreditNote(makeSeat({ status: 'cancelled', refundStatus: 'processed', refundAmount: 400 }))).toBe(true);
+      expect(seatNeedsCreditNote(makeSeat({ status: 'cancelled', refundStatus: 'processing', refundAmount: 400 }))).toBe(false);
+    });
+
+    test('should key the receipt to the seat and bill its member', () => {
+      const receipt = buildSeatReceiptData(groupSession, makeSeat());
+      expect(receipt).toMatchObject({
+        type: 'receipt',
+        sourceKey: 'seat:session-1:member-1',
+        session: 'session-1',
+        client: 'member-1',
+        billTo: { name: 'Sam Member', email: 'sam@example.com' },
+        total: 800,
+        payment: { method: 'M-Pesa', transactionId: 'QSEAT123' }
+      });
+      expect(receipt.lines).toEqual([{ description: 'Group therapy session', amount: 800 }]);
+    });
+
+    test('should credit the seat refund against its receipt', () => {
+      const seat = makeSeat({ status: 'cancelled', refundStatus: 'processed', refundAmount: 400, refundPercentage: 50, refundTransactionId: 'RFDSEAT' });
+      const receipt = { _id: 'invoice-2', number: 'INV-2026-000008', taxRate: 0, payment: { method: 'M-Pesa' } };
+      const creditNote = buildSeatCreditNoteData({ ...groupSession, status: 'Confirmed' }, seat, receipt);
+      expect(creditNote).toMatchObject({
+        type: 'credit_note',
+        sourceKey: 'seat:session-1:member-1',
+        total: 400,
+        originalNumber: 'INV-2026-000008',
+        refund: { transactionId: 'RFDSEAT', reason: 'Seat cancelled by client' }
+      });
+      expect(creditNote.lines).toEqual([{ description: 'Refund of group therapy session (50%)', amount: 400 }]);
+
+      const sessionCancelled = buildSeatCreditNoteData({ ...groupSession, status: 'Cancelled' }, seat, receipt);
+      expect(sessionCancelled.refund.reason).toBe('Therapist unwell');
+    });
+  });
+
+  describe('buildPackageReceiptData', () => {
+    test('should key the receipt to the purchase', () => {
+      const receipt = buildPackageReceiptData({
+        _id: 'purchase-1',
+        client: { _id: 'client-1', name: 'Jane Client', email: 'jane@example.com' },
+        therapist: { _id: 'therapist-1', name: 'Dr. Smith' },
+        name: 'Starter bundle',
+        sessionType: 'Individual',
+        sessionsPurchased: 4,
+        pricePaid: 7200,
+        paymentMethod: 'manual',
+        mpesaTransactionID: 'QPKG123',
+        paidAt: new Date('2026-09-30T12:00:00Z')
+      });
+      expect(receipt).toMatchObject({
+        type: 'receipt',
+        sourceKey: 'package:purchase-1',
+        clientPackage: 'purchase-1',
+        client: 'client-1',
+        total: 7200,
+        payment: { method: 'M-Pesa (manual)', transactionId: 'QPKG123' }
+      });
+      expect(receipt.session).toBeUndefined();
+      expect(receipt.lines).toEqual([{ description: 'Starter bundle (4 individual sessions)', amount: 7200 }]);
+    });
+  });
+
+  describe('generateInvoice', () => {
+    test('should render a receipt PDF', async () => {
+      const invoice = {
+        ...buildReceiptData(makeSession()),
+        number: 'INV-2026-000001',
+        issuedAt: new Date('2026-09-28T10:05:00Z'),
+        currency: 'KES'
+      };
+      const pdf = await sessionReportGenerator.generateInvoice({
+        invoice,
+        business: { name: 'Smiling Steps Teletherapy', taxPin: 'P051234567X' }
+      });
+      expect(Buffer.isBuffer(pdf)).toBe(true);
+      expect(pdf.slice(0, 5).toString()).toBe('%PDF-');
+    });
+
+    test('should render a package receipt without session details', async () => {
+      const invoice = {
+        type: 'receipt',
+        clientPackage: 'purchase-1',
+        number: 'INV-2026-000002',
+        issuedAt: new Date('2026-09-30T12:05:00Z'),
+        currency: 'KES',
+        billTo: { name: 'Jane Client', email: 'jane@example.com' },
+        therapistName: 'Dr. Smith',
+        service: { description: 'Starter bundle (4 individual sessions)' },
+        lines: [{ description: 'Starter bundle (4 individual sessions)', amount: 7200 }],
+        total: 7200,
+        payment: { method: 'M-Pesa' }
+      };
+      const pdf = await sessionReportGenerator.generateInvoice({ invoice, business: { name: 'Smiling Steps Teletherapy' } });
+      expect(pdf.slice(0, 5).toString()).toBe('%PDF-');
+    });
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Local Stripe API Mock
+ *
+ * Minimal HTTP stand-in for the Stripe endpoints the card gateway uses
+ * (PaymentIntents and Refunds). Point config/stripe at it with
+ * STRIPE_API_HOST / STRIPE_API_PORT / STRIPE_API_PROTOCOL=http.
+ */
+
+const http = require('http');
+
+function startStripeMock() {
+  const state = {
+    requests: [],
+    paymentIntents: new Map(),
+    refunds: new Map(),
+    idempotent: new Map(),
+    // Set to a status (e.g. 'pending', 'failed') to change new refunds
+    refundStatus: 'succeeded'
+  };
+  let counter = 0;
+
+  const send = (res, status, body) => {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Request-Id', `req_mock_${counter}`);
+    res.end(JSON.stringify(body));
+  };
+
+  const handlers = {
+    'POST /v1/payment_intents': (params) => {
+      const id = `pi_mock_${++counter}`;
+      const intent = {
+        id,
+        object: 'payment_intent',
+        amount: Number(params.amount),
+        amount_received: 0,
+        currency: params.currency,
+        description: params.description,
+        receipt_email: params.receipt_email,
+        metadata: { sessionId: params['metadata[sessionId]'] },
+        client_secret: `${id}_secret_mock`,
+        status: 'requires_payment_method',
+        latest_charge: null
+      };
+      state.paymentIntents.set(id, intent);
+      return [200, intent];
+    },
+    'GET /v1/payment_intents/:id': (params, id) => {
+      const intent = state.paymentIntents.get(id);
+      return intent ? [200, intent] : [404, { error: { type: 'invalid_request_error', message: `No such payment_intent: '${id}'` } }];
+    },
+    'POST /v1/refunds': (params) => {
+      const intent = state.paymentIntents.get(params.payment_intent);
+      if (!intent) {
+        return [400, { error: { type: 'invalid_request_error', message: `No such payment_intent: '${params.payment_intent}'` } }];
+      }
+      const id = `re_mock_${++counter}`;
+      const refund = {
+        id,
+        object: 'refund',
+        amount: params.amount ? Number(params.amount) : intent.amount_received,
+        payment_intent: intent.id,
+        status: state.refundStatus
+      };
+      state.refunds.set(id, refund);
+      return [200, refund];
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const params = Object.fromEntries(new URLSearchParams(body));
+      const url = req.url.split('?')[0];
+      const match = url.match(/^\/v1\/payment_intents\/([^/]+)$/);
+      const key = match ? `${req.method} /v1/payment_intents/:id` : `${req.method} ${url}`;
+      const id = match && match[1];
+      const idempotencyKey = req.headers['idempotency-key'];
+
+      state.requests.push({ method: req.method, path: req.url, params, idempotencyKey });
+
+      if (idempotencyKey && state.idempotent.has(idempotencyKey)) {
+        return send(res, ...state.idempotent.get(idempotencyKey));
+      }
+
+      const handler = handlers[key];
+      const result = handler ? handler(params, id) : [404, { error: { type: 'invalid_request_error', message: `Unrecognized request URL (${key})` } }];
+      if (idempotencyKey && req.method === 'POST') {
+        state.idempotent.set(idempotencyKey, result);
+      }
+      send(res, ...result);
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        port: server.address().port,
+        state,
+        // Simulate Stripe capturing the card payment
+        succeed(paymentIntentId, amountReceived) {
+          const intent = state.paymentIntents.get(paymentIntentId);
+          intent.status = 'succeeded';
+          intent.amount_received = amountReceived !== undefined ? amountReceived : intent.amount;
+          intent.latest_charge = `ch_mock_${++counter}`;
+          return intent;
+        },
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = { startStripeMock };
@@ -0,0 +1,92 @@
+/**
+ * Session Note Template Tests
+ *
+ * Tests field-level validation of structured notes, rendering of
+ * sections into note content, and the signature hash.
+ */
+
+const { NOTE_TEMPLATES } = require('../constants/noteTemplates');
+const {
+  validateNoteSections,
+  renderNoteContent,
+  computeSignatureHash
+} = require('../utils/noteTemplates');
+
+const completeSoap = {
+  subjective: 'Reports sleeping better since last week.',
+  objective: 'Calm, good eye contact, PHQ-9 of 9.',
+  assessment: 'Mood improving; engaging with activation plan.',
+  plan: 'Continue activity scheduling.',
+  riskLevel: 'low'
+};
+
+describe('Session Note Templates', () => {
+  test('should define required sections for every template', () => {
+    for (const template of Object.values(NOTE_TEMPLATES)) {
+      expect(template.sections.some(s => s.required)).toBe(true);
+    }
+  });
+
+  describe('validateNoteSections', () => {
+    test('should accept a complete SOAP note', () => {
+      const result = validateNoteSections('soap', completeSoap);
+
+      expect(result.valid).toBe(true);
+      expect(result.sections.map(s => s.key)).toEqual(['subjective', 'objective', 'assessment', 'plan', 'riskLevel']);
+    });
+
+    test('should report each missing required section', () => {
+      const result = validateNoteSections('dap', { data: 'Client described a difficult week at work.' });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors.map(e => e.field)).toEqual(['assessment', 'plan', 'riskLevel']);
+    });
+
+    test('should validate text length, select options and number ranges', () => {
+      const soap = validateNoteSections('soap', { ...completeSoap, plan: 'Hi', riskLevel: 'extreme' });
+      expect(soap.errors).toEqual([
+        { field: 'plan', message: 'Plan must be at least 5 characters' },
+        { field: 'riskLevel', message: 'Risk level must be one of: none, low, moderate, high' }
+      ]);
+
+      const progress = validateNoteSections('progress', {
+        focus: 'Work stress',
+        progress: 'Using breathing exercises daily.',
+        progressRating: 11,
+        nextSteps: 'Try assertiveness role-play'
+      });
+      expect(progress.errors).toEqual([
+        { field: 'progressRating', message: 'Overall progress (1-10) must be between 1 and 10' }
+      ]);
+    });
+
+    test('should reject sections that are not in the template', () => {
+      const result = validateNoteSections('soap', { ...completeSoap, mood: 'ok' });
+
+      expect(result.errors).toEqual([expect.objectContaining({ field: 'mood' })]);
+    });
+
+    test('should reject unknown templates', () => {
+      expect(validateNoteSections('essay', {}).valid).toBe(false);
+    });
+  });
+
+  describe('renderNoteContent', () => {
+    test('should render sections in template order with labels', () => {
+      const { sections } = validateNoteSections('soap', completeSoap);
+      const content = renderNoteContent('soap', [...sections].reverse());
+
+      expect(content.startsWith('SOAP Note\n\nSubjective:\nReports sleeping better')).toBe(true);
+      expect(content.indexOf('Objective:')).toBeLessThan(content.indexOf('Plan:'));
+    });
+  });
+
+  describe('computeSignatureHash', () => {
+    test('should change when the signed content changes', () => {
+      const base = { noteId: 'n1', content: 'Signed text', signedBy: 'u1', signedAt: new Date('2026-03-01T10:00:00Z') };
+
+      expect(computeSignatureHash(base)).toBe(computeSignatureHash({ ...base }));
+      expect(computeSignatureHash(base)).not.toBe(computeSignatureHash({ ...base, content: 'Edited text' }));
+    });
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Outcome Measurement Tests
+ *
+ * Tests measure scheduling, reliable-change classification and
+ * score trajectories.
+ */
+
+const {
+  isMeasureDue,
+  classifyChange,
+  buildTrend
+} = require('../services/outcomeService');
+
+describe('Outcome Measurement', () => {
+  describe('isMeasureDue', () => {
+    test('should measure every session when N is 1', () => {
+      expect([1, 2, 3].map(n => isMeasureDue(n, 1))).toEqual([true, true, true]);
+    });
+
+    test('should measure the first session and every Nth after it', () => {
+      expect([1, 2, 3, 4, 5, 6, 7].map(n => isMeasureDue(n, 3)))
+        .toEqual([true, false, false, true, false, false, true]);
+    });
+  });
+
+  describe('classifyChange', () => {
+    test('should flag reliable improvement and recovery on PHQ-9', () => {
+      const result = classifyChange('PHQ9', 16, 8);
+
+      expect(result.change).toBe(-8);
+      expect(result.indicator).toBe('reliable_improvement');
+      expect(result.reliablyRecovered).toBe(true);
+    });
+
+    test('should not count a drop below the reliable-change threshold', () => {
+      const result = classifyChange('PHQ9', 12, 8);
+
+      expect(result.indicator).toBe('no_reliable_change');
+      expect(result.reliablyRecovered).toBe(false);
+    });
+
+    test('should flag reliable deterioration on GAD-7', () => {
+      expect(classifyChange('GAD7', 6, 10).indicator).toBe('reliable_deterioration');
+    });
+
+    test('should not call it recovery when the baseline was below caseness', () => {
+      expect(classifyChange('GAD7', 7, 1).reliablyRecovered).toBe(false);
+    });
+  });
+
+  describe('buildTrend', () => {
+    test('should return an empty trend without results', () => {
+      expect(buildTrend('PHQ9', [])).toEqual({ points: [], summary: null });
+    });
+
+    test('should measure each point against the first result', () => {
+      const { points, summary } = buildTrend('PHQ9', [
+        { _id: 'a', totalScore: 18, severity: 'moderately_severe', completedAt: new Date('2026-01-05') },
+        { _id: 'b', totalScore: 14, severity: 'moderate', completedAt: new Date('2026-01-19') },
+        { _id: 'c', totalScore: 7, severity: 'mild', completedAt: new Date('2026-02-02') }
+      ]);
+
+      expect(points.map(p => p.indicator))
+        .toEqual(['baseline', 'no_reliable_change', 'reliable_improvement']);
+      expect(summary).toEqual(expect.objectContaining({
+        baselineScore: 18,
+        latestScore: 7,
+        change: -11,
+        reliablyRecovered: true,
+        measures: 3
+      }));
+    });
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Session Package Tests
+ *
+ * Tests package validation, savings against per-session rates and which
+ * purchases can pay for a booking.
+ */
+
+const {
+  PACKAGE_CONFIG,
+  validatePackageData,
+  calculatePackagePricing,
+  isCreditUsable
+} = require('../services/packageService');
+
+const validPackage = (overrides = {}) => ({
+  sessionType: 'Individual',
+  name: '6-session bundle',
+  sessionCount: 6,
+  price: 15000,
+  ...overrides
+});
+
+describe('Session Packages', () => {
+  describe('validatePackageData', () => {
+    test('should accept valid terms with or without a validity period', () => {
+      expect(validatePackageData(validPackage())).toEqual([]);
+      expect(validatePackageData(validPackage({ validityDays: 90 }))).toEqual([]);
+    });
+
+    test('should enforce the session count range', () => {
+      const message = `Session count must be between ${PACKAGE_CONFIG.MIN_SESSIONS} and ${PACKAGE_CONFIG.MAX_SESSIONS}`;
+      expect(validatePackageData(validPackage({ sessionCount: 1 }))).toEqual([message]);
+      expect(validatePackageData(validPackage({ sessionCount: 25 }))).toEqual([message]);
+      expect(validatePackageData(validPackage({ sessionCount: 4.5 }))).toEqual([message]);
+    });
+
+    test('should require a name, known session type and whole-KES price', () => {
+      const errors = validatePackageData(validPackage({ name: '  ', sessionType: 'Group', price: 99.5 }));
+      expect(errors).toContain('Package name is required');
+      expect(errors).toContain('Price must be a positive whole number of KES');
+      expect(errors.some(e => e.startsWith('Session type must be one of'))).toBe(true);
+    });
+
+    test('should bound the validity period', () => {
+      expect(validatePackageData(validPackage({ validityDays: 7 })))
+        .toEqual(['Validity must be between 30 and 730 days']);
+    });
+  });
+
+  describe('calculatePackagePricing', () => {
+    test('should compare the package with the per-session rate', () => {
+      expect(calculatePackagePricing(validPackage(), 3000)).toEqual({
+        perSessionPrice: 2500,
+        fullPrice: 18000,
+        savings: 3000,
+        discountPercent: 17
+      });
+    });
+
+    test('should not report negative savings or savings without a rate', () => {
+      expect(calculatePackagePricing(validPackage(), 2000).savings).toBe(0);
+      expect(calculatePackagePricing(validPackage(), null)).toEqual({
+        perSessionPrice: 2500,
+        fullPrice: null,
+        savings: 0,
+        discountPercent: 0
+      });
+    });
+  });
+
+  describe('isCreditUsable', () => {
+    const sessionDate = new Date('2026-06-01T10:00:00Z');
+    const purchase = (overrides = {}) => ({
+      paymentStatus: 'Paid',
+      creditsRemaining: 2,
+      expiresAt: new Date('2026-07-01T00:00:00Z'),
+      ...overrides
+    });
+
+    test('should allow paid purchases with credits before expiry', () => {
+      expect(isCreditUsable(purchase(), sessionDate)).toBe(true);
+    });
+
+    test('should reject unpaid, used up or expired purchases', () => {
+      expect(isCreditUsable(purchase({ paymentStatus: 'Pending' }), sessionDate)).toBe(false);
+      expect(isCreditUsable(purchase({ creditsRemaining: 0 }), sessionDate)).toBe(false);
+      expect(isCreditUsable(purchase({ expiresAt: new Date('2026-05-31T00:00:00Z') }), sessionDate)).toBe(false);
+    });
+  });
+});
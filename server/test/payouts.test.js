@@ -0,0 +1,186 @@
+/**
+ * Therapist Payout Tests
+ *
+ * Tests commission rates, what each session contributes to a payout,
+ * refund-window holdbacks, statements and the payout batch exports.
+ */
+
+const {
+  PAYOUT_CONFIG,
+  getCommissionRate,
+  getCollectedAmount,
+  getHoldbackReason,
+  calculateCommission,
+  buildStatement
+} = require('../services/payoutService');
+const { generatePayoutExport } = require('../utils/accountingExport');
+
+const NOW = new Date('2026-03-20T12:00:00Z');
+const daysAgo = (days) => new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000);
+
+let sessionCount = 0;
+const makeSession = (overrides = {}) => ({
+  _id: `session-${++sessionCount}`,
+  sessionType: 'Individual',
+  sessionDate: daysAgo(10),
+  status: 'Completed',
+  price: 2000,
+  paymentStatus: 'Paid',
+  paymentMethod: 'mpesa',
+  refundStatus: 'not_applicable',
+  ...overrides
+});
+
+const therapist = (commissionRate) => ({
+  _id: 'therapist-1',
+  name: 'Dr. Wanjiru',
+  psychologistDetails: commissionRate === undefined ? {} : { commissionRate }
+});
+
+describe('Therapist Payouts', () => {
+  describe('getCommissionRate', () => {
+    test('should use the therapist rate, including zero, or the default', () => {
+      expect(getCommissionRate(therapist(15))).toBe(15);
+      expect(getCommissionRate(therapist(0))).toBe(0);
+      expect(getCommissionRate(therapist())).toBe(PAYOUT_CONFIG.DEFAULT_COMMISSION_PERCENT);
+    });
+  });
+
+  describe('getCollectedAmount', () => {
+    test('should use the amount paid, less processed refunds', () => {
+      expect(getCollectedAmount(makeSession({ paymentAmount: 2500 }))).toBe(2500);
+      expect(getCollectedAmount(makeSession())).toBe(2000);
+      expect(getCollectedAmount(makeSession({
+        status: 'Cancelled',
+        refundStatus: 'processed',
+        refundAmount: 1500
+      }))).toBe(500);
+      expect(getCollectedAmount(makeSession({ paymentStatus: 'Pending' }))).toBe(0);
+    });
+
+    test('should value package sessions at the per-session price unless the credit was restored', () => {
+      const packageCredit = { clientPackage: { perSessionPrice: 1800 } };
+      expect(getCollectedAmount(makeSession({ paymentMethod: 'package_credit', paymentStatus: 'Pending', packageCredit }))).toBe(1800);
+      expect(getCollectedAmount(makeSession({
+        paymentMethod: 'package_credit',
+        packageCredit: { ...packageCredit, restoredAt: daysAgo(1) }
+      }))).toBe(0);
+    });
+
+    test('should include the fund share of sponsored sessions while reserved', () => {
+      const pricing = { subsidy: { amount: 1500, status: 'reserved' }, clientAmount: 500 };
+      expect(getCollectedAmount(makeSession({ price: 500, pricing }))).toBe(2000);
+      expect(getCollectedAmount(makeSession({
+        price: 0,
+        paymentMethod: 'sponsorship',
+        pricing: { subsidy: { amount: 2000, status: 'reserved' }, clientAmount: 0 }
+      }))).toBe(2000);
+      expect(getCollectedAmount(makeSession({ price: 500, pricing: { ...pricing, subsidy: { amount: 1500, status: 'released' } } }))).toBe(500);
+    });
+
+    test('should sum paid seats for group sessions', () => {
+      const session = makeSession({
+        sessionType: 'Group',
+        paymentStatus: 'Pending',
+        participants: [
+          { paymentStatus: 'Paid', amount: 1000 },
+          { paymentStatus: 'Paid', amount: 1000 },
+          { paymentStatus: 'Pending', amount: 1000 }
+        ]
+      });
+      expect(getCollectedAmount(session)).toBe(2000);
+    });
+
+    test('should deduct refunded group seats', () => {
+      const session = makeSession({
+        sessionType: 'Group',
+        paymentStatus: 'Pending',
+        participants: [
+          { paymentStatus: 'Paid', amount: 1000 },
+          { status: 'cancelled', paymentStatus: 'Paid', amount: 1000, refundStatus: 'processed', refundAmount: 750 }
+        ]
+      });
+      expect(getCollectedAmount(session)).toBe(1250);
+    });
+  });
+
+  describe('getHoldbackReason', () => {
+    test('should hold sessions inside the refund window', () => {
+      const recent = makeSession({ sessionDate: daysAgo(PAYOUT_CONFIG.REFUND_WINDOW_DAYS - 1) });
+      expect(getHoldbackReason(recent, NOW)).toBe('Inside refund window');
+      expect(getHoldbackReason(makeSession(), NOW)).toBeNull();
+    });
+
+    test('should time cancelled sessions from the cancellation', () => {
+      const cancelled = makeSession({ status: 'Cancelled', sessionDate: daysAgo(30), cancellationRequestedAt: daysAgo(2) });
+      expect(getHoldbackReason(cancelled, NOW)).toBe('Inside refund window');
+    });
+
+    test('should hold sessions with a refund in flight', () => {
+      expect(getHoldbackReason(makeSession({ refundStatus: 'processing' }), NOW)).toBe('Refund in progress');
+      expect(getHoldbackReason(makeSession({ refundStatus: 'pending_manual' }), NOW)).toBe('Refund in progress');
+      expect(getHoldbackReason(makeSession({ refundStatus: 'denied' }), NOW)).toBeNull();
+    });
+
+    test('should hold group sessions with a seat refund in flight', () => {
+      const session = makeSession({ sessionType: 'Group', participants: [{ paymentStatus: 'Paid', refundStatus: 'processing' }] });
+      expect(getHoldbackReason(session, NOW)).toBe('Refund in progress');
+    });
+  });
+
+  describe('calculateCommission', () => {
+    test('should split the amount and round to cents', () => {
+      expect(calculateCommission(2000, 20)).toEqual({ commissionAmount: 400, netAmount: 1600 });
+      expect(calculateCommission(2555, 12.5)).toEqual({ commissionAmount: 319.38, netAmount: 2235.62 });
+      expect(calculateCommission(2000, 0)).toEqual({ commissionAmount: 0, netAmount: 2000 });
+    });
+  });
+
+  describe('buildStatement', () => {
+    test('should settle eligible sessions and hold back the rest', () => {
+      const statement = buildStatement(therapist(25), [
+        makeSession({ price: 2000 }),
+        makeSession({ price: 3500, sessionType: 'Couples' }),
+        makeSession({ price: 2000, sessionDate: daysAgo(1) }),
+        makeSession({ paymentStatus: 'Pending' })
+      ], NOW);
+
+      expect(statement.lines).toHaveLength(2);
+      expect(statement).toMatchObject({
+        commissionRate: 25,
+        grossAmount: 5500,
+        commissionAmount: 1375,
+        netAmount: 4125,
+        heldBack: { count: 1, amount: 2000 }
+      });
+      expect(statement.holds[0].reason).toBe('Inside refund window');
+    });
+  });
+
+  describe('generatePayoutExport', () => {
+    const batch = {
+      reference: 'PO-20260320-ABC123',
+      periodEnd: NOW,
+      status: 'paid',
+      paymentReference: 'BULK-001',
+      statements: [
+        buildStatement({ ...therapist(20), name: 'Dr. Otieno, PhD' }, [makeSession(), makeSession()], NOW)
+      ]
+    };
+
+    test('should export one generic row per therapist', () => {
+      const rows = generatePayoutExport(batch, 'generic').split('\n');
+      expect(rows).toHaveLength(2);
+      expect(rows[1]).toBe('PO-20260320-ABC123,2026-03-20,"Dr. Otieno, PhD",2,4000.00,20%,800.00,3200.00,0,0.00,KES,paid,BULK-001');
+    });
+
+    test('should book net payouts to therapist fees in the software formats', () => {
+      expect(generatePayoutExport(batch, 'xero')).toContain(',3200.00,5000,Therapist Fees,');
+
+      const iif = generatePayoutExport(batch, 'quickbooks').split('\n');
+      expect(iif).toContain('ENDTRNS');
+      expect(iif.find(line => line.startsWith('SPL\t'))).toContain('Therapist Payouts Payable');
+      expect(iif.find(line => line.startsWith('SPL\t'))).toContain('-3200.00');
+    });
+  });
+});
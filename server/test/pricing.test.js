@@ -0,0 +1,182 @@
+/**
+ * Sliding-Scale and Sponsored Pricing Tests
+ *
+ * Tests tier and fund validation, how much a fund covers, sponsorship
+ * eligibility and the price breakdown kept on a booked session.
+ */
+
+const {
+  validateTierData,
+  validateFundData,
+  calculateSubsidy,
+  getSubsidyBlocker,
+  buildSessionPricing,
+  summarizePricing
+} = require('../services/pricingService');
+
+const makeFund = (overrides = {}) => ({
+  _id: 'fund-1',
+  name: 'Youth Access Fund',
+  coveragePercent: 50,
+  sessionTypes: ['Individual', 'Group'],
+  balance: 100000,
+  isActive: true,
+  ...overrides
+});
+
+const approvedApplication = (overrides = {}) => ({
+  _id: 'application-1',
+  status: 'approved',
+  expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  sessionsUsed: 0,
+  ...overrides
+});
+
+describe('Sliding-Scale and Sponsored Pricing', () => {
+  describe('validateTierData', () => {
+    test('should accept a tier below the standard rate', () => {
+      expect(validateTierData({ sessionType: 'Individual', name: 'Student', amount: 1000 }, 2000)).toEqual([]);
+    });
+
+    test('should reject tiers at or above the standard rate', () => {
+      expect(validateTierData({ sessionType: 'Individual', name: 'Student', amount: 2000 }, 2000))
+        .toContain('Amount must be below the standard rate of KES 2000');
+    });
+
+    test('should require a name, known session type and whole amount', () => {
+      const errors = validateTierData({ sessionType: 'Workshop', name: ' ', amount: 99.5 }, 2000);
+      expect(errors).toHaveLength(3);
+    });
+  });
+
+  describe('validateFundData', () => {
+    test('should accept valid fund terms', () => {
+      expect(validateFundData({ name: 'Youth Access Fund', sponsor: 'Acme Foundation', coveragePercent: 75 })).toEqual([]);
+    });
+
+    test('should reject invalid coverage, caps and session types', () => {
+      const errors = validateFundData({
+        name: 'Fund',
+        sponsor: 'NGO',
+        coveragePercent: 0,
+        maxPerSession: -5,
+        sessionTypes: ['Workshop']
+      });
+      expect(errors).toHaveLength(3);
+    });
+  });
+
+  describe('calculateSubsidy', () => {
+    test('should cover the fund percentage of the price', () => {
+      expect(calculateSubsidy(2000, makeFund())).toBe(1000);
+      expect(calculateSubsidy(2000, makeFund({ coveragePercent: 100 }))).toBe(2000);
+    });
+
+    test('should respect the per-session cap and remaining balance', () => {
+      expect(calculateSubsidy(2000, makeFund({ maxPerSession: 600 }))).toBe(600);
+      expect(calculateSubsidy(2000, makeFund({ balance: 300 }))).toBe(300);
+      expect(calculateSubsidy(2000, makeFund({ balance: 0 }))).toBe(0);
+    });
+  });
+
+  describe('getSubsidyBlocker', () => {
+    test('should allow an approved, current application', () => {
+      expect(getSubsidyBlocker(approvedApplication(), makeFund(), 'Individual')).toBeNull();
+    });
+
+    test('should block unapproved or expired eligibility', () => {
+      expect(getSubsidyBlocker(null, makeFund(), 'Individual')).toBe('Sponsorship eligibility has not been approved');
+      expect(getSubsidyBlocker(approvedApplication({ status: 'pending' }), makeFund(), 'Individual'))
+        .toBe('Sponsorship eligibility has not been approved');
+      expect(getSubsidyBlocker(approvedApplication({ expiresAt: new Date(Date.now() - 1000) }), makeFund(), 'Individual'))
+        .toBe('Sponsorship eligibility has expired');
+    });
+
+    test('should block funds that are inactive, empty or exclude the session type', () => {
+      expect(getSubsidyBlocker(approvedApplication(), makeFund({ isActive: false }), 'Individual')).toBe('Sponsorship fund is not active');
+      expect(getSubsidyBlocker(approvedApplication(), makeFund(), 'Couples')).toBe('Sponsorship fund does not cover Couples sessions');
+      expect(getSubsidyBlocker(approvedApplication(), makeFund({ balance: 0 }), 'Individual')).toBe('Sponsorship fund has no remaining balance');
+    });
+
+    test('should enforce the per-client session limit', () => {
+      expect(getSubsidyBlocker(approvedApplication({ sessionsUsed: 4 }), makeFund({ maxSessionsPerClient: 4 }), 'Individual'))
+        .toBe('Sponsored session limit reached');
+    });
+  });
+
+  describe('buildSessionPricing', () => {
+    test('should apply the fund to the tier price and charge the client the rest', () => {
+      const pricing = buildSessionPricing(2000, {
+        tier: { _id: 'tier-1', name: 'Student', amount: 1200 },
+        fund: makeFund(),
+        application: approvedApplication()
+      });
+      expect(pricing).toEqual({
+        standardRate: 2000,
+        tier: { tier: 'tier-1', name: 'Student', amount: 1200 },
+        subsidy: { fund: 'fund-1', fundName: 'Youth Access Fund', application: 'application-1', amount: 600 },
+        clientAmount: 600
+      });
+    });
+
+    test('should never charge more than the standard rate for a tier', () => {
+      expect(buildSessionPricing(1500, { tier: { _id: 'tier-1', name: 'Student', amount: 1800 } }).clientAmount).toBe(1500);
+    });
+
+    test('should leave nothing to pay when the fund covers everything', () => {
+      const pricing = buildSessionPricing(2000, { fund: makeFund({ coveragePercent: 100 }), application: approvedApplication() });
+      expect(pricing.subsidy.amount).toBe(2000);
+      expect(pricing.clientAmount).toBe(0);
+    });
+
+    test('should take a promo discount off the tier price before the subsidy', () => {
+      const pricing = buildSessionPricing(2000, {
+        tier: { _id: 'tier-1', name: 'Student', amount: 1200 },
+        promo: { _id: 'promo-1', code: 'WELCOME20', discountType: 'percentage', discountValue: 20 },
+        fund: makeFund(),
+        application: approvedApplication()
+      });
+      expect(pricing.discount).toEqual({ promoCode: 'promo-1', code: 'WELCOME20', amount: 240 });
+      expect(pricing.subsidy.amount).toBe(480);
+      expect(pricing.clientAmount).toBe(480);
+    });
+  });
+
+  describe('summarizePricing', () => {
+    test('should break down a sponsored sliding-scale session', () => {
+      const session = {
+        price: 600,
+        pricing: {
+          standardRate: 2000,
+          tier: { name: 'Student', amount: 1200 },
+          subsidy: { fundName: 'Youth Access Fund', amount: 600, status: 'reserved' },
+          clientAmount: 600
+        }
+      };
+      expect(summarizePricing(session)).toEqual({
+        standardRate: 2000,
+        tier: { name: 'Student', amount: 1200 },
+        slidingScaleDiscount: 800,
+        promoCode: null,
+        promoDiscount: 0,
+        sponsorship: { fundName: 'Youth Access Fund', amount: 600 },
+        sponsorshipAmount: 600,
+        clientAmount: 600
+      });
+    });
+
+    test('should describe standard-rate sessions and released subsidies', () => {
+      expect(summarizePricing({ price: 2000, sessionRate: 2000 })).toMatchObject({
+        standardRate: 2000,
+        tier: null,
+        sponsorship: null,
+        clientAmount: 2000
+      });
+      const released = summarizePricing({
+        price: 1000,
+        pricing: { standardRate: 2000, subsidy: { fundName: 'Fund', amount: 1000, status: 'released' }, clientAmount: 1000 }
+      });
+      expect(released.sponsorshipAmount).toBe(0);
+    });
+  });
+});
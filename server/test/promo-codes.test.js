@@ -0,0 +1,118 @@
+/**
+ * Promo Code Tests
+ *
+ * Tests code normalisation, promo term validation, discount amounts and
+ * whether a code can be used for a booking.
+ */
+
+const {
+  normalizeCode,
+  validatePromoData,
+  calculateDiscount,
+  getPromoBlocker
+} = require('../services/promoCodeService');
+
+const makePromo = (overrides = {}) => ({
+  _id: 'promo-1',
+  code: 'WELCOME20',
+  discountType: 'percentage',
+  discountValue: 20,
+  usesCount: 0,
+  therapists: [],
+  sessionTypes: ['Individual', 'Couples', 'Family', 'Group'],
+  isActive: true,
+  ...overrides
+});
+
+const booking = (overrides = {}) => ({
+  therapistId: 'therapist-1',
+  sessionType: 'Individual',
+  ...overrides
+});
+
+describe('Promo Codes', () => {
+  describe('normalizeCode', () => {
+    test('should trim and upper-case codes', () => {
+      expect(normalizeCode('  welcome20 ')).toBe('WELCOME20');
+      expect(normalizeCode(undefined)).toBe('');
+    });
+  });
+
+  describe('validatePromoData', () => {
+    test('should accept valid percentage and fixed codes', () => {
+      expect(validatePromoData({ code: 'welcome20', discountType: 'percentage', discountValue: 20 })).toEqual([]);
+      expect(validatePromoData({ code: 'ACME-500', discountType: 'fixed', discountValue: 500, maxUsesPerClient: 1 })).toEqual([]);
+    });
+
+    test('should reject bad codes and percentages over 100', () => {
+      expect(validatePromoData({ code: 'no spaces!', discountType: 'percentage', discountValue: 150 })).toEqual([
+        'Code must be 3-30 letters, numbers, dashes or underscores',
+        'Percentage discount cannot exceed 100'
+      ]);
+    });
+
+    test('should reject reversed validity windows, bad caps and session types', () => {
+      const errors = validatePromoData({
+        code: 'SPRING',
+        discountType: 'fixed',
+        discountValue: 300,
+        validFrom: '2026-05-01',
+        validUntil: '2026-04-01',
+        maxUses: 0.5,
+        sessionTypes: ['Workshop']
+      });
+      expect(errors).toHaveLength(3);
+    });
+  });
+
+  describe('calculateDiscount', () => {
+    test('should take the percentage off the price', () => {
+      expect(calculateDiscount(2000, makePromo())).toBe(400);
+    });
+
+    test('should cap percentage discounts at maxDiscount', () => {
+      expect(calculateDiscount(5000, makePromo({ discountValue: 50, maxDiscount: 1000 }))).toBe(1000);
+    });
+
+    test('should never discount more than the price', () => {
+      expect(calculateDiscount(400, makePromo({ discountType: 'fixed', discountValue: 500 }))).toBe(400);
+      expect(calculateDiscount(0, makePromo())).toBe(0);
+    });
+  });
+
+  describe('getPromoBlocker', () => {
+    test('should allow an active, unrestricted code', () => {
+      expect(getPromoBlocker(makePromo(), booking())).toBeNull();
+    });
+
+    test('should block unknown, inactive, future and expired codes', () => {
+      const now = new Date('2026-06-15');
+      expect(getPromoBlocker(null, booking())).toBe('Promo code is not valid');
+      expect(getPromoBlocker(makePromo({ isActive: false }), booking())).toBe('Promo code is not valid');
+      expect(getPromoBlocker(makePromo({ validFrom: new Date('2026-07-01') }), booking({ now })))
+        .toBe('Promo code is not active yet');
+      expect(getPromoBlocker(makePromo({ validUntil: new Date('2026-06-01') }), booking({ now })))
+        .toBe('Promo code has expired');
+    });
+
+    test('should enforce total and per-client usage caps', () => {
+      expect(getPromoBlocker(makePromo({ maxUses: 100, usesCount: 100 }), booking()))
+        .toBe('Promo code has been fully redeemed');
+      expect(getPromoBlocker(makePromo({ maxUsesPerClient: 1 }), booking({ clientUses: 1 })))
+        .toBe('You have already used this promo code');
+    });
+
+    test('should restrict first-session codes to new clients', () => {
+      expect(getPromoBlocker(makePromo({ firstSessionOnly: true }), booking({ hasPriorSessions: true })))
+        .toBe('Promo code is only valid for your first session');
+      expect(getPromoBlocker(makePromo({ firstSessionOnly: true }), booking())).toBeNull();
+    });
+
+    test('should enforce therapist and session-type restrictions', () => {
+      expect(getPromoBlocker(makePromo({ therapists: ['therapist-2'] }), booking()))
+        .toBe('Promo code is not valid for this therapist');
+      expect(getPromoBlocker(makePromo({ sessionTypes: ['Individual'] }), booking({ sessionType: 'Couples' })))
+        .toBe('Promo code is not valid for Couples sessions');
+    });
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * M-Pesa B2C Refund Tests
+ *
+ * Tests B2C callback parsing, which refunds can be sent automatically,
+ * what reconciliation does with unfinished refunds and the client timeline.
+ */
+
+const {
+  REFUND_CONFIG,
+  parseB2CResult,
+  getAutoRefundBlocker,
+  getRefundReconciliationAction,
+  buildRefundTimeline
+} = require('../services/refundService');
+
+const NOW = new Date('2026-03-02T12:00:00Z');
+const minutesAgo = (minutes) => new Date(NOW.getTime() - minutes * 60 * 1000);
+
+const makeRefund = (overrides = {}) => ({
+  status: 'submitted',
+  attempts: [{ originatorConversationId: 'RF-1-1', status: 'submitted', submittedAt: minutesAgo(5) }],
+  events: [],
+  updatedAt: minutesAgo(5),
+  ...overrides
+});
+
+describe('M-Pesa B2C Refunds', () => {
+  describe('parseB2CResult', () => {
+    test('should flatten a successful result', () => {
+      const result = parseB2CResult({
+        Result: {
+          ResultType: 0,
+          ResultCode: 0,
+          ResultDesc: 'The service request is processed successfully.',
+          OriginatorConversationID: 'RF-abc-1',
+          ConversationID: 'AG_20260302_0000',
+          TransactionID: 'QKA1B2C3D4',
+          ResultParameters: {
+            ResultParameter: [
+              { Key: 'TransactionAmount', Value: 2500 },
+              { Key: 'TransactionReceipt', Value: 'QKA1B2C3D4' },
+              { Key: 'ReceiverPartyPublicName', Value: '254708374149 - Jane Doe' }
+            ]
+          }
+        }
+      });
+
+      expect(result).toEqual({
+        originatorConversationId: 'RF-abc-1',
+        conversationId: 'AG_20260302_0000',
+        resultCode: 0,
+        resultDesc: 'The service request is processed successfully.',
+        transactionId: 'QKA1B2C3D4',
+        amount: 2500,
+        receiverName: '254708374149 - Jane Doe'
+      });
+    });
+
+    test('should handle failures, a single parameter and empty bodies', () => {
+      const failed = parseB2CResult({
+        Result: {
+          ResultCode: '2001',
+          ResultDesc: 'The initiator information is invalid.',
+          OriginatorConversationID: 'RF-abc-2',
+          ResultParameters: { ResultParameter: { Key: 'TransactionAmount', Value: 100 } }
+        }
+      });
+      expect(failed).toMatchObject({ resultCode: 2001, amount: 100, transactionId: undefined });
+
+      expect(parseB2CResult({})).toMatchObject({ originatorConversationId: undefined, resultCode: undefined });
+      expect(parseB2CResult(undefined).resultCode).toBeUndefined();
+    });
+  });
+
+  describe('getAutoRefundBlocker', () => {
+    test('should allow refunds within the automatic range with a phone number', () => {
+      expect(getAutoRefundBlocker(2500, '254708374149')).toBeNull();
+    });
+
+    test('should block refunds outside the automatic range', () => {
+      expect(getAutoRefundBlocker(REFUND_CONFIG.AUTO_REFUND_MIN_AMOUNT - 1, '254708374149')).toMatch(/processed manually/);
+      expect(getAutoRefundBlocker(REFUND_CONFIG.AUTO_REFUND_MAX_AMOUNT + 1, '254708374149')).toMatch(/admin approval/);
+    });
+
+    test('should block refunds without a phone number', () => {
+      expect(getAutoRefundBlocker(2500, '')).toBe('No phone number available for refund');
+    });
+  });
+
+  describe('getRefundReconciliationAction', () => {
+    test('should resend queue timeouts until the attempt limit', () => {
+      expect(getRefundReconciliationAction(makeRefund({ status: 'timed_out' }), NOW)).toBe('resubmit');
+
+      const attempts = Array.from({ length: REFUND_CONFIG.MAX_RETRY_ATTEMPTS }, (_, i) => ({
+        originatorConversationId: `RF-1-${i + 1}`,
+        status: 'timed_out'
+      }));
+      expect(getRefundReconciliationAction(makeRefund({ status: 'timed_out', attempts }), NOW)).toBe('escalate');
+    });
+
+    test('should escalate submitted refunds with no result instead of resending', () => {
+      const stale = makeRefund({
+        attempts: [{ status: 'submitted', submittedAt: minutesAgo(REFUND_CONFIG.RESULT_TIMEOUT_MINUTES + 1) }]
+      });
+      expect(getRefundReconciliationAction(stale, NOW)).toBe('escalate');
+      expect(getRefundReconciliationAction(makeRefund(), NOW)).toBe('none');
+    });
+
+    test('should escalate refunds stuck in the queue', () => {
+      const stuck = makeRefund({ status: 'queued', attempts: [], updatedAt: minutesAgo(REFUND_CONFIG.RESULT_TIMEOUT_MINUTES + 1) });
+      expect(getRefundReconciliationAction(stuck, NOW)).toBe('escalate');
+      expect(getRefundReconciliationAction({ ...stuck, updatedAt: minutesAgo(1) }, NOW)).toBe('none');
+    });
+
+    test('should leave finished refunds alone', () => {
+      expect(getRefundReconciliationAction(makeRefund({ status: 'completed' }), NOW)).toBe('none');
+      expect(getRefundReconciliationAction(makeRefund({ status: 'pending_manual' }), NOW)).toBe('none');
+    });
+  });
+
+  describe('buildRefundTimeline', () => {
+    test('should list the request followed by the refund events', () => {
+      const timeline = buildRefundTimeline(
+        { cancellationRequestedAt: minutesAgo(30) },
+        makeRefund({
+          events: [
+            { status: 'queued', at: minutesAgo(29) },
+            { status: 'submitted', at: minutesAgo(28) },
+            { status: 'completed', at: minutesAgo(20) }
+          ]
+        })
+      );
+
+      expect(timeline.map(entry => entry.status)).toEqual(['pending', 'queued', 'submitted', 'completed']);
+      expect(timeline[3].label).toBe('Refund sent');
+    });
+
+    test('should fall back to the session for refunds made before refund records', () => {
+      const timeline = buildRefundTimeline({ refundProcessedAt: minutesAgo(10) }, null);
+      expect(timeline).toEqual([{ status: 'processed', label: 'Refund sent', at: minutesAgo(10) }]);
+    });
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Risk Escalation Tests
+ *
+ * Tests risk-signal detection for intake forms, check-ins and
+ * assessment results, and the crisis support shown to clients.
+ */
+
+const {
+  RISK_CONFIG,
+  evaluateIntakeForm,
+  evaluateCheckIn,
+  evaluateAssessmentResult,
+  getAlertLevel,
+  buildCrisisSupport
+} = require('../services/riskEscalationService');
+
+describe('Risk Escalation', () => {
+  describe('evaluateIntakeForm', () => {
+    test('should raise a high signal for reported suicidal thoughts', () => {
+      const signals = evaluateIntakeForm({ suicidalThoughts: true });
+
+      expect(signals).toEqual([expect.objectContaining({ type: 'suicidal_thoughts', level: 'high' })]);
+    });
+
+    test('should find nothing when suicidal thoughts are not reported', () => {
+      expect(evaluateIntakeForm({ suicidalThoughts: false })).toEqual([]);
+    });
+  });
+
+  describe('evaluateCheckIn', () => {
+    test('should raise an elevated signal for very low mood', () => {
+      const signals = evaluateCheckIn({ mood: RISK_CONFIG.LOW_MOOD_THRESHOLD, symptoms: [] });
+
+      expect(signals).toEqual([expect.objectContaining({ type: 'low_mood', level: 'elevated' })]);
+    });
+
+    test('should not flag moods above the threshold', () => {
+      expect(evaluateCheckIn({ mood: RISK_CONFIG.LOW_MOOD_THRESHOLD + 1, symptoms: [] })).toEqual([]);
+    });
+
+    test('should raise a high signal for self-harm symptoms or notes', () => {
+      expect(evaluateCheckIn({ mood: 6, symptoms: ['Self-harm urges'] })[0].type).toBe('self_harm_symptom');
+      expect(evaluateCheckIn({ mood: 6, symptoms: [], notes: 'I keep thinking about suicide' })[0].level).toBe('high');
+    });
+  });
+
+  describe('evaluateAssessmentResult', () => {
+    test('should map a PHQ-9 item 9 flag to a signal by score', () => {
+      const flag = { itemNumber: 9, flag: 'suicidal_ideation', label: 'Thoughts of death or self-harm' };
+
+      expect(evaluateAssessmentResult({ criticalFlags: [{ ...flag, score: 1 }] })[0].level).toBe('elevated');
+      expect(evaluateAssessmentResult({ criticalFlags: [{ ...flag, score: 3 }] })[0].level).toBe('high');
+    });
+
+    test('should ignore results without critical flags', () => {
+      expect(evaluateAssessmentResult({ totalScore: 12 })).toEqual([]);
+    });
+  });
+
+  describe('getAlertLevel', () => {
+    test('should take the highest level among signals', () => {
+      expect(getAlertLevel([{ level: 'elevated' }, { level: 'high' }])).toBe('high');
+      expect(getAlertLevel([{ level: 'elevated' }])).toBe('elevated');
+    });
+  });
+
+  describe('buildCrisisSupport', () => {
+    test('should include crisis-line resources and an urgent message for high risk', () => {
+      const support = buildCrisisSupport('high');
+
+      expect(support.level).toBe('high');
+      expect(support.message).toMatch(/emergency services/);
+      expect(support.resources).toEqual(RISK_CONFIG.CRISIS_RESOURCES);
+    });
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * Session Recording Tests
+ *
+ * Tests who must consent and when recording may start, chunk validation,
+ * signed playback links, encryption of media at rest and secure deletion
+ * of recording files, including the nightly purge of expired recordings.
+ */
+
+jest.mock('../utils/auditLogger', () => ({
+  ...jest.requireActual('../utils/auditLogger'),
+  logRecordingEvent: jest.fn().mockResolvedValue(null)
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const encryption = require('../utils/encryption');
+const { secureDeletionService } = require('../utils/secureDeletion');
+const {
+  validateRecordingRequest,
+  getRequiredConsenters,
+  getConsentState,
+  validateChunk,
+  getRecordingFiles,
+  getRetainUntil,
+  isRecordingAbandoned,
+  createAccessToken,
+  verifyAccessToken,
+  RecordingService
+} = require('../services/recordingService');
+
+const recording = (overrides = {}) => ({
+  _id: 'rec1',
+  status: 'recording',
+  requiredConsents: ['therapist1', 'client1'],
+  consents: [],
+  chunks: [],
+  mimeType: 'video/webm',
+  ...overrides
+});
+
+describe('Session Recording', () => {
+  describe('consent', () => {
+    test('should need the therapist, the client and any co-participants', () => {
+      const session = {
+        psychologist: 'therapist1',
+        client: { _id: 'client1' },
+        participants: [
+          { client: 'partner1', role: 'co_participant' },
+          { client: 'client1', role: 'co_participant' }
+        ]
+      };
+      expect(getRequiredConsenters(session)).toEqual(['therapist1', 'client1', 'partner1']);
+    });
+
+    test('should start only once everyone has consented', () => {
+      const pending = recording({ consents: [{ user: 'therapist1' }] });
+      expect(getConsentState(pending)).toEqual({ consented: ['therapist1'], pending: ['client1'], complete: false });
+
+      const complete = recording({ consents: [{ user: 'therapist1' }, { user: 'client1' }] });
+      expect(getConsentState(complete).complete).toBe(true);
+    });
+
+    test('should count participants who consent at the same time and start once', async () => {
+      const stored = recording({
+        status: 'consent_pending',
+        requiredConsents: ['therapist1', 'client1', 'partner1'],
+        consents: [{ user: 'therapist1' }]
+      });
+      const snapshot = () => ({ ...stored, consents: [...stored.consents] });
+      const session = { client: 'client1', save: jest.fn().mockResolvedValue(null) };
+
+      const service = new RecordingService();
+      service.Session = { findById: jest.fn().mockResolvedValue(session) };
+      service.SessionRecording = {
+        findById: jest.fn(async () => snapshot()),
+        findOneAndUpdate: jest.fn(async (filter, update) => {
+          await new Promise(resolve => setImmediate(resolve));
+          if (stored.status !== filter.status) return null;
+          if (filter['consents.user'] && stored.consents.some(consent => consent.user === filter['consents.user'].$ne)) {
+            return null;
+          }
+          if (update.$push) stored.consents.push(update.$push.consents);
+          if (update.$set) Object.assign(stored, update.$set);
+          return snapshot();
+        })
+      };
+
+      // Both participants loaded the request before either consent was saved
+      const loaded = snapshot();
+      await Promise.all([
+        service.giveConsent('session1', { id: 'client1', role: 'client' }, '127.0.0.1', loaded),
+        service.giveConsent('session1', { id: 'partner1', role: 'client' }, '127.0.0.1', loaded)
+      ]);
+
+      expect(stored.consents.map(consent => consent.user)).toEqual(['therapist1', 'client1', 'partner1']);
+      expect(stored.status).toBe('recording');
+      expect(session.save).toHaveBeenCalledTimes(1);
+
+      const again = await service.giveConsent('session1', { id: 'client1', role: 'client' }, '127.0.0.1', loaded);
+      expect(again.consents).toHaveLength(3);
+    });
+
+    test('should not record group or finished sessions', () => {
+      expect(validateRecordingRequest({ sessionType: 'Individual', status: 'In Progress' })).toEqual([]);
+      expect(validateRecordingRequest({ sessionType: 'Group', status: 'Completed' })).toHaveLength(2);
+    });
+  });
+
+  describe('validateChunk', () => {
+    test('should accept the next chunk of a recording in progress', () => {
+      expect(validateChunk({ sequence: 0, size: 1024, mimeType: 'video/webm;codecs=vp8,opus' }, recording())).toEqual([]);
+    });
+
+    test('should reject duplicate, empty and mismatched chunks', () => {
+      const inProgress = recording({ chunks: [{ sequence: 0, size: 1024 }] });
+      expect(validateChunk({ sequence: 0, size: 1024, mimeType: 'video/webm' }, inProgress))
+        .toEqual(['Chunk 0 has already been uploaded']);
+      expect(validateChunk({ sequence: 1, size: 0, mimeType: 'audio/webm' }, inProgress))
+        .toEqual(['Chunk is empty', 'Chunk media type does not match the recording']);
+    });
+
+    test('should reject chunks unless recording', () => {
+      expect(validateChunk({ sequence: 0, size: 10, mimeType: 'video/webm' }, recording({ status: 'consent_pending' })))
+        .toEqual(['Recording is not in progress']);
+      expect(validateChunk({ sequence: -1, size: 10, mimeType: 'image/png' }, recording())).toHaveLength(2);
+    });
+  });
+
+  describe('access links', () => {
+    const secret = 'test-secret';
+    const expiresAt = new Date('2026-10-19T11:00:00Z');
+    const now = new Date('2026-10-19T10:30:00Z');
+
+    test('should identify the user a link was issued to', () => {
+      const token = createAccessToken({ recordingId: 'rec1', userId: 'client1', expiresAt }, secret);
+      expect(verifyAccessToken(token, 'rec1', secret, now)).toEqual({ userId: 'client1', expiresAt });
+    });
+
+    test('should reject expired, tampered and other recordings\' links', () => {
+      const token = createAccessToken({ recordingId: 'rec1', userId: 'client1', expiresAt }, secret);
+      const [payload, signature] = token.split('.');
+      const forged = Buffer.from('rec1:intruder:1792407600').toString('base64url');
+
+      expect(verifyAccessToken(token, 'rec1', secret, new Date('2026-10-19T11:00:01Z'))).toBeNull();
+      expect(verifyAccessToken(token, 'rec2', secret, now)).toBeNull();
+      expect(verifyAccessToken(`${forged}.${signature}`, 'rec1', secret, now)).toBeNull();
+      expect(verifyAccessToken(`${payload}.`, 'rec1', secret, now)).toBeNull();
+      expect(verifyAccessToken(token, 'rec1', 'other-secret', now)).toBeNull();
+    });
+
+    test('should report a missing recording file instead of streaming it', async () => {
+      const previousSecret = process.env.JWT_SECRET;
+      process.env.JWT_SECRET = secret;
+      const service = new RecordingService();
+      service.Session = {};
+      service.SessionRecording = {
+        findById: jest.fn().mockResolvedValue(recording({ status: 'available', storageKey: 'rec1/missing.enc' }))
+      };
+      const token = createAccessToken({ recordingId: 'rec1', userId: 'client1', expiresAt: new Date(Date.now() + 60000) }, secret);
+
+      await expect(service.openStream('rec1', token, '127.0.0.1')).rejects.toThrow('Recording file not found');
+      if (previousSecret === undefined) delete process.env.JWT_SECRET;
+      else process.env.JWT_SECRET = previousSecret;
+    });
+  });
+
+  describe('encryption at rest', () => {
+    test('should round-trip media chunks and detect tampering', () => {
+      const media = Buffer.from([0x1a, 0x45, 0xdf, 0xa3, 0x00, 0xff]);
+      const encrypted = encryption.encryptBuffer(media);
+
+      expect(encrypted.includes(media)).toBe(false);
+      expect(encryption.decryptBuffer(encrypted)).toEqual(media);
+
+      encrypted[encrypted.length - 1] ^= 0xff;
+      expect(() => encryption.decryptBuffer(encrypted)).toThrow('Failed to decrypt data');
+    });
+
+    test('should stream large files through the same key', async () => {
+      const parts = [Buffer.alloc(1000, 1), Buffer.alloc(1000, 2)];
+      const { iv, cipher } = encryption.createEncryptStream();
+      const encrypted = [];
+      cipher.on('data', data => encrypted.push(data));
+      parts.forEach(part => cipher.write(part));
+      cipher.end();
+      await new Promise(resolve => cipher.on('end', resolve));
+
+      const decipher = encryption.createDecryptStream(iv, cipher.getAuthTag().toString('hex'));
+      const decrypted = [];
+      for await (const data of Readable.from(Buffer.concat(encrypted)).pipe(decipher)) {
+        decrypted.push(data);
+      }
+      expect(Buffer.concat(decrypted)).toEqual(Buffer.concat(parts));
+    });
+  });
+
+  describe('retention', () => {
+    test('should keep recordings for the retention period', () => {
+      expect(getRetainUntil(new Date('2026-10-19T00:00:00Z'), 90)).toEqual(new Date('2027-01-17T00:00:00Z'));
+    });
+
+    test('should treat recordings still active hours after the session ended as abandoned', () => {
+      const session = { sessionDate: new Date('2026-10-19T10:00:00Z'), duration: 60 };
+      expect(isRecordingAbandoned(session, new Date('2026-10-19T16:59:00Z'))).toBe(false);
+      expect(isRecordingAbandoned(session, new Date('2026-10-19T17:00:00Z'))).toBe(true);
+      expect(isRecordingAbandoned(null)).toBe(true);
+    });
+
+    test('should list chunks and the assembled file for deletion', () => {
+      expect(getRecordingFiles(recording({ chunks: [{ sequence: 3 }] }))).toEqual(['rec1/chunk-000003.enc']);
+      expect(getRecordingFiles(recording({ storageKey: 'rec1/recording.enc' }))).toEqual(['rec1/recording.enc']);
+    });
+
+    test('should overwrite and remove files', async () => {
+      const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'recording-')), 'chunk.enc');
+      fs.writeFileSync(filePath, 'media');
+
+      expect(await secureDeletionService.secureDeleteFile(filePath)).toBe(true);
+      expect(fs.existsSync(filePath)).toBe(false);
+      expect(await secureDeletionService.secureDeleteFile(filePath)).toBe(false);
+    });
+
+    test('should only purge recordings on the nightly job', () => {
+      const cron = require('node-cron');
+      const schedule = jest.spyOn(cron, 'schedule').mockReturnValue({ stop: jest.fn() });
+      const purge = jest.spyOn(secureDeletionService, 'purgeExpiredRecordings').mockResolvedValue({ recordingsProcessed: 0, errors: [] });
+      const enforce = jest.spyOn(secureDeletionService, 'enforceRetentionPolicy');
+
+      secureDeletionService.startRecordingPurgeJob();
+      const runJob = schedule.mock.calls[0][1];
+      runJob();
+
+      expect(purge).toHaveBeenCalledTimes(1);
+      expect(enforce).not.toHaveBeenCalled();
+
+      secureDeletionService.stopRecordingPurgeJob();
+      jest.restoreAllMocks();
+    });
+  });
+});
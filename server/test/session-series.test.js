@@ -0,0 +1,129 @@
+/**
+ * Session Series Tests
+ *
+ * Tests recurrence date generation and series request validation
+ * for recurring bookings.
+ */
+
+const {
+  SERIES_CONFIG,
+  generateOccurrenceDates,
+  validateSeriesRequest
+} = require('../services/sessionSeriesService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function futureDate(days) {
+  const date = new Date(Date.now() + days * DAY_MS);
+  date.setHours(10, 0, 0, 0);
+  return date;
+}
+
+describe('Session Series', () => {
+  describe('generateOccurrenceDates', () => {
+    test('should generate weekly occurrences 7 days apart', () => {
+      const start = new Date(2030, 0, 7, 10, 0);
+      const dates = generateOccurrenceDates(start, 'weekly', { occurrences: 4 });
+
+      expect(dates).toHaveLength(4);
+      expect(dates.map(d => d.getDate())).toEqual([7, 14, 21, 28]);
+      dates.forEach(d => expect(d.getHours()).toBe(10));
+    });
+
+    test('should generate biweekly occurrences 14 days apart', () => {
+      const start = new Date(2030, 0, 7, 10, 0);
+      const dates = generateOccurrenceDates(start, 'biweekly', { occurrences: 3 });
+
+      expect(dates.map(d => d.getDate())).toEqual([7, 21, 4]);
+      expect(dates[2].getMonth()).toBe(1);
+    });
+
+    test('should clamp monthly occurrences to the last day of shorter months', () => {
+      const start = new Date(2030, 0, 31, 9, 30);
+      const dates = generateOccurrenceDates(start, 'monthly', { occurrences: 3 });
+
+      expect(dates.map(d => [d.getMonth(), d.getDate()])).toEqual([[0, 31], [1, 28], [2, 31]]);
+    });
+
+    test('should stop at the until date', () => {
+      const start = new Date(2030, 0, 7, 10, 0);
+      const dates = generateOccurrenceDates(start, 'weekly', { until: new Date(2030, 0, 25) });
+
+      expect(dates).toHaveLength(3);
+    });
+
+    test('should never exceed the maximum occurrences', () => {
+      const start = new Date(2030, 0, 7, 10, 0);
+      const dates = generateOccurrenceDates(start, 'weekly', { until: new Date(2040, 0, 1) });
+
+      expect(dates).toHaveLength(SERIES_CONFIG.MAX_OCCURRENCES);
+    });
+  });
+
+  describe('validateSeriesRequest', () => {
+    const base = {
+      psychologistId: '507f1f77bcf86cd799439011',
+      sessionType: 'Individual',
+      frequency: 'weekly'
+    };
+
+    test('should accept a valid occurrence-based request', () => {
+      const result = validateSeriesRequest({ ...base, startDate: futureDate(3), occurrences: 6 });
+
+      expect(result.valid).toBe(true);
+      expect(result.dates).toHaveLength(6);
+    });
+
+    test('should accept a valid until-based request', () => {
+      const result = validateSeriesRequest({ ...base, startDate: futureDate(3), until: futureDate(40) });
+
+      expect(result.valid).toBe(true);
+      expect(result.dates.length).toBeGreaterThanOrEqual(5);
+    });
+
+    test('should reject an unknown frequency', () => {
+      const result = validateSeriesRequest({ ...base, frequency: 'daily', startDate: futureDate(3), occurrences: 4 });
+
+      expect(result.valid).toBe(false);
+      expect(result.error).toMatch(/frequency/);
+    });
+
+    test('should reject a start date in the past', () => {
+      const result = validateSeriesRequest({ ...base, startDate: futureDate(-1), occurrences: 4 });
+
+      expect(result.valid).toBe(false);
+      expect(result.error).toMatch(/future/);
+    });
+
+    test('should require occurrences or until', () => {
+      const result = validateSeriesRequest({ ...base, startDate: futureDate(3) });
+
+      expect(result.valid).toBe(false);
+    });
+
+    test('should reject both occurrences and until', () => {
+      const result = validateSeriesRequest({ ...base, startDate: futureDate(3), occurrences: 4, until: futureDate(40) });
+
+      expect(result.valid).toBe(false);
+    });
+
+    test('should reject fewer than the minimum occurrences', () => {
+      const result = validateSeriesRequest({ ...base, startDate: futureDate(3), occurrences: 1 });
+
+      expect(result.valid).toBe(false);
+    });
+
+    test('should reject an until date that leaves a single occurrence', () => {
+      const result = validateSeriesRequest({ ...base, startDate: futureDate(3), until: futureDate(5) });
+
+      expect(result.valid).toBe(false);
+    });
+
+    test('should reject a series spanning more than the maximum days', () => {
+      const result = validateSeriesRequest({ ...base, frequency: 'monthly', startDate: futureDate(3), occurrences: 12 });
+
+      expect(result.valid).toBe(false);
+      expect(result.error).toMatch(/span/);
+    });
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * Stripe Card Payment Tests
+ *
+ * Tests Stripe webhook signatures and the card paths through paymentService
+ * (initiate, webhook confirmation, refund) against a local Stripe mock.
+ */
+
+const { startStripeMock } = require('./mocks/stripeMock');
+const webhookSignature = require('../utils/webhookSignature');
+
+const SECRET = 'whsec_test_secret';
+
+describe('Stripe Card Payments', () => {
+  let mock;
+  let stripeAPI;
+  let paymentService;
+
+  beforeAll(async () => {
+    mock = await startStripeMock();
+    process.env.STRIPE_SECRET_KEY = 'sk_test_mock';
+    process.env.STRIPE_CURRENCY = 'kes';
+    process.env.STRIPE_API_HOST = '127.0.0.1';
+    process.env.STRIPE_API_PORT = String(mock.port);
+    process.env.STRIPE_API_PROTOCOL = 'http';
+
+    stripeAPI = require('../config/stripe');
+    ({ paymentService } = require('../services/paymentService'));
+  });
+
+  afterAll(async () => {
+    await mock.close();
+  });
+
+  // Stripe calls are idempotent per session, so each case needs its own id
+  let sessionCount = 0;
+  const makeSession = (overrides = {}) => ({
+    _id: `session-${++sessionCount}`,
+    price: 2500,
+    status: 'Approved',
+    paymentStatus: 'Pending',
+    paymentMethod: 'mpesa',
+    paymentAttempts: [],
+    save: jest.fn(async function() { return this; }),
+    ...overrides
+  });
+
+  const intentEvent = (type, intent) => ({ id: `evt_${type}`, type, data: { object: intent } });
+
+  describe('webhook signatures', () => {
+    const body = JSON.stringify({ id: 'evt_1', type: 'payment_intent.succeeded' });
+    const now = 1760000000;
+
+    test('should verify a signature generated for the raw body', () => {
+      const header = webhookSignature.generateStripeSignature(body, SECRET, now);
+      expect(header).toMatch(/^t=1760000000,v1=[0-9a-f]{64}$/);
+      expect(webhookSignature.verifyStripeSignature(Buffer.from(body), header, SECRET, now + 10)).toBe(true);
+    });
+
+    test('should reject a tampered body, wrong secret or missing header', () => {
+      const header = webhookSignature.generateStripeSignature(body, SECRET, now);
+      expect(webhookSignature.verifyStripeSignature(body.replace('evt_1', 'evt_2'), header, SECRET, now)).toBe(false);
+      expect(webhookSignature.verifyStripeSignature(body, header, 'whsec_other', now)).toBe(false);
+      expect(webhookSignature.verifyStripeSignature(body, undefined, SECRET, now)).toBe(false);
+      expect(webhookSignature.verifyStripeSignature(body, header, undefined, now)).toBe(false);
+    });
+
+    test('should reject replayed events outside the tolerance', () => {
+      const header = webhookSignature.generateStripeSignature(body, SECRET, now);
+      expect(webhookSignature.verifyStripeSignature(body, header, SECRET, now + 301)).toBe(false);
+    });
+
+    test('should accept any matching v1 signature during secret rotation', () => {
+      const valid = webhookSignature.generateStripeSignature(body, SECRET, now).split(',')[1];
+      const header = `t=${now},v1=${'0'.repeat(64)},${valid}`;
+      expect(webhookSignature.verifyStripeSignature(body, header, SECRET, now)).toBe(true);
+    });
+  });
+
+  describe('initiatePayment', () => {
+    test('should create a PaymentIntent in minor units and mark the session processing', async () => {
+      const session = makeSession();
+      const { paymentResult } = await paymentService.initiatePayment(session, {
+        method: 'stripe',
+        amount: 2500,
+        clientEmail: 'client@example.com'
+      });
+
+      const request = mock.state.requests.find(r => r.path === '/v1/payment_intents');
+      expect(request.params).toMatchObject({ amount: '250000', currency: 'kes', 'metadata[sessionId]': session._id });
+      expect(request.idempotencyKey).toBe(`session-${session._id}-attempt-1`);
+
+      expect(paymentResult.clientSecret).toBe(`${paymentResult.paymentIntentId}_secret_mock`);
+      expect(session).toMatchObject({
+        paymentMethod: 'stripe',
+        paymentStatus: 'Processing',
+        stripePaymentIntentId: paymentResult.paymentIntentId
+      });
+      expect(session.paymentAttempts[0]).toMatchObject({ status: 'initiated', paymentIntentId: paymentResult.paymentIntentId });
+    });
+
+    test('should reuse an open PaymentIntent on retry', async () => {
+      const session = makeSession();
+      const first = await paymentService.initiatePayment(session, { method: 'stripe', amount: 2500 });
+      const second = await paymentService.initiatePayment(session, { method: 'stripe', amount: 2500 });
+
+      expect(second.reused).toBe(true);
+      expect(second.paymentResult.paymentIntentId).toBe(first.paymentResult.paymentIntentId);
+      expect(session.paymentAttempts).toHaveLength(1);
+    });
+  });
+
+  describe('processCallback', () => {
+    test('should confirm the session when the payment succeeds and ignore duplicates', async () => {
+      const session = makeSession();
+      const { paymentResult } = await paymentService.initiatePayment(session, { method: 'stripe', amount: 2500 });
+      const intent = mock.succeed(paymentResult.paymentIntentId);
+
+      const result = await paymentService.processCallback(session, { gateway: 'stripe', event: intentEvent('payment_intent.succeeded', intent) });
+      expect(result.isDuplicate).toBe(false);
+      expect(session).toMatchObject({ paymentStatus: 'Paid', status: 'Confirmed', paymentAmount: 2500, stripeChargeId: intent.latest_charge });
+
+      const repeat = await paymentService.processCallback(session, { gateway: 'stripe', event: intentEvent('payment_intent.succeeded', intent) });
+      expect(repeat.isDuplicate).toBe(true);
+      expect(session.paymentAttempts.filter(a => a.status === 'success')).toHaveLength(1);
+    });
+
+    test('should not confirm an underpaid intent', async () => {
+      const session = makeSession();
+      const { paymentResult } = await paymentService.initiatePayment(session, { method: 'stripe', amount: 2500 });
+      const intent = mock.succeed(paymentResult.paymentIntentId, 100000);
+
+      const result = await paymentService.processCallback(session, { gateway: 'stripe', event: intentEvent('payment_intent.succeeded', intent) });
+      expect(result.amountMismatch).toBe(true);
+      expect(session.paymentStatus).toBe('Processing');
+    });
+
+    test('should record failures without downgrading a paid session', async () => {
+      const session = makeSession();
+      const { paymentResult } = await paymentService.initiatePayment(session, { method: 'stripe', amount: 2500 });
+      const failed = {
+        ...mock.state.paymentIntents.get(paymentResult.paymentIntentId),
+        last_payment_error: { message: 'Your card was declined.' }
+      };
+
+      await paymentService.processCallback(session, { gateway: 'stripe', event: intentEvent('payment_intent.payment_failed', failed) });
+      expect(session.paymentStatus).toBe('Failed');
+      expect(session.paymentAttempts[1]).toMatchObject({ status: 'failed', resultDesc: 'Your card was declined.' });
+
+      session.paymentStatus = 'Paid';
+      const result = await paymentService.processCallback(session, { gateway: 'stripe', event: intentEvent('payment_intent.payment_failed', failed) });
+      expect(result.isDuplicate).toBe(true);
+      expect(session.paymentStatus).toBe('Paid');
+    });
+
+    test('should ignore events for a superseded PaymentIntent', async () => {
+      const session = makeSession({ stripePaymentIntentId: 'pi_current' });
+      const result = await paymentService.processCallback(session, {
+        gateway: 'stripe',
+        event: intentEvent('payment_intent.succeeded', { id: 'pi_old', amount_received: 250000, currency: 'kes' })
+      });
+      expect(result.isDuplicate).toBe(true);
+      expect(session.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('refundPayment', () => {
+    const paidSession = async () => {
+      const session = makeSession();
+      const { paymentResult } = await paymentService.initiatePayment(session, { method: 'stripe', amount: 2500 });
+      mock.succeed(paymentResult.paymentIntentId);
+      session.paymentStatus = 'Paid';
+      return session;
+    };
+
+    test('should refund the card payment through Stripe', async () => {
+      const session = await paidSession();
+      const result = await paymentService.refundPayment(session, { refundAmount: 1250, reason: 'Cancelled' });
+
+      const request = mock.state.requests.filter(r => r.path === '/v1/refunds').pop();
+      expect(request.params).toMatchObject({ payment_intent: session.stripePaymentIntentId, amount: '125000' });
+      expect(result).toMatchObject({ success: true, status: 'processed', amount: 1250 });
+      expect(session.refundTransactionId).toBe(result.transactionId);
+    });
+
+    test('should leave pending refunds processing and failed refunds for manual handling', async () => {
+      mock.state.refundStatus = 'pending';
+      const pending = await paidSession();
+      expect((await paymentService.refundPayment(pending, { refundAmount: 2500 })).status).toBe('processing');
+
+      mock.state.refundStatus = 'failed';
+      const failed = await paidSession();
+      expect((await paymentService.refundPayment(failed, { refundAmount: 2500 })).status).toBe('pending_manual');
+      mock.state.refundStatus = 'succeeded';
+    });
+  });
+
+  describe('amount conversion', () => {
+    test('should convert to the smallest currency unit', () => {
+      expect(stripeAPI.toMinorUnits(2500, 'kes')).toBe(250000);
+      expect(stripeAPI.toMinorUnits(2500, 'ugx')).toBe(2500);
+      expect(stripeAPI.fromMinorUnits(250000, 'kes')).toBe(2500);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Therapist Matching Tests
+ *
+ * Tests keyword extraction, specialization matching and the
+ * explainable per-therapist score.
+ */
+
+const {
+  MATCHING_CONFIG,
+  tokenize,
+  matchSpecializations,
+  scoreTherapist
+} = require('../services/therapistMatchingService');
+
+const therapist = {
+  psychologistDetails: {
+    specializations: ['Anxiety Disorders', 'Trauma', 'CBT'],
+    languages: ['English', 'Swahili'],
+    therapyTypes: ['Individual', 'Couples'],
+    bio: 'Evidence-based care for adults.'
+  }
+};
+
+describe('Therapist Matching', () => {
+  describe('tokenize', () => {
+    test('should lowercase and drop short and stop words', () => {
+      expect(tokenize('I feel Anxious and have Panic attacks')).toEqual(['anxious', 'panic', 'attacks']);
+    });
+
+    test('should return an empty list for missing text', () => {
+      expect(tokenize(undefined)).toEqual([]);
+    });
+  });
+
+  describe('matchSpecializations', () => {
+    test('should match a specialization through a synonym', () => {
+      expect(matchSpecializations(['Anxiety Disorders', 'Grief'], ['panic', 'sleeping'])).toEqual(['Anxiety Disorders']);
+    });
+
+    test('should match a specialization word directly', () => {
+      expect(matchSpecializations(['Trauma'], ['trauma'])).toEqual(['Trauma']);
+    });
+
+    test('should return nothing when no keyword matches', () => {
+      expect(matchSpecializations(['Addiction'], ['career'])).toEqual([]);
+    });
+  });
+
+  describe('scoreTherapist', () => {
+    test('should give a perfect score when every factor matches', () => {
+      const result = scoreTherapist(therapist, {
+        keywords: ['panic', 'flashbacks'],
+        preferredTherapyType: 'CBT',
+        language: 'swahili',
+        minPrice: 1000,
+        maxPrice: 3000,
+        days: 14
+      }, { rate: { amount: 2000 }, openSlots: MATCHING_CONFIG.TARGET_OPEN_SLOTS });
+
+      expect(result.score).toBe(100);
+      expect(result.factors.map(f => f.factor)).toEqual(['specialization', 'approach', 'language', 'price', 'availability']);
+    });
+
+    test('should explain each factor', () => {
+      const result = scoreTherapist(therapist, {
+        keywords: ['panic'],
+        language: 'French',
+        days: 7
+      }, { openSlots: 0 });
+
+      const reasons = Object.fromEntries(result.factors.map(f => [f.factor, f.reason]));
+      expect(reasons.specialization).toBe('Specializes in Anxiety Disorders');
+      expect(reasons.language).toBe('Does not list French');
+      expect(reasons.availability).toBe('No open slots in the next 7 days');
+    });
+
+    test('should leave out factors the client gave no input for', () => {
+      const result = scoreTherapist(therapist, { keywords: [], days: 14 }, { rate: { amount: 2000 }, openSlots: 2 });
+
+      expect(result.factors.map(f => f.factor)).toEqual(['availability']);
+    });
+
+    test('should ignore format preferences as an approach', () => {
+      const result = scoreTherapist(therapist, { preferredTherapyType: 'Family', days: 14 }, {});
+
+      expect(result.factors).toHaveLength(0);
+      expect(result.score).toBe(0);
+    });
+
+    test('should reduce price points the further a rate is above budget', () => {
+      const near = scoreTherapist(therapist, { maxPrice: 2000, days: 14 }, { rate: { amount: 2200 } });
+      const far = scoreTherapist(therapist, { maxPrice: 2000, days: 14 }, { rate: { amount: 5000 } });
+
+      expect(near.factors[0].points).toBeGreaterThan(far.factors[0].points);
+      expect(far.factors[0].points).toBe(0);
+      expect(near.factors[0].reason).toMatch(/above your budget/);
+    });
+  });
+});
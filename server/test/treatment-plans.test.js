@@ -0,0 +1,101 @@
+/**
+ * Treatment Plan Tests
+ *
+ * Tests goal/problem/intervention reference resolution and the
+ * client-visible plan summary.
+ */
+
+const mongoose = require('mongoose');
+const {
+  TREATMENT_PLAN_CONFIG,
+  resolvePlanReferences,
+  getLatestProgress,
+  toClientSummary
+} = require('../services/treatmentPlanService');
+
+describe('Treatment Plans', () => {
+  describe('resolvePlanReferences', () => {
+    test('should link new goals and interventions by array index', () => {
+      const plan = resolvePlanReferences({
+        problems: [{ description: 'Low mood' }],
+        goals: [{ description: 'Improve mood', measure: 'PHQ-9 below 10', problem: 0 }],
+        interventions: [{ description: 'Behavioural activation', goals: [0] }]
+      });
+
+      expect(plan.problems[0]._id).toBeInstanceOf(mongoose.Types.ObjectId);
+      expect(plan.goals[0].problem).toBe(plan.problems[0]._id);
+      expect(plan.interventions[0].goals).toEqual([plan.goals[0]._id]);
+    });
+
+    test('should keep existing IDs and accept them as references', () => {
+      const problemId = new mongoose.Types.ObjectId();
+      const goalId = new mongoose.Types.ObjectId();
+
+      const plan = resolvePlanReferences({
+        problems: [{ _id: problemId, description: 'Panic attacks' }],
+        goals: [{ _id: goalId, description: 'Fewer attacks', measure: 'Attacks per week', problem: problemId.toString() }],
+        interventions: [{ description: 'Interoceptive exposure', goals: [goalId.toString()] }]
+      });
+
+      expect(plan.goals[0]._id).toBe(goalId);
+      expect(plan.goals[0].problem).toBe(problemId);
+      expect(plan.interventions[0].goals).toEqual([goalId]);
+    });
+
+    test('should reject goals without a measure', () => {
+      expect(() => resolvePlanReferences({ goals: [{ description: 'Feel better' }] }))
+        .toThrow('Each goal needs a description and how it will be measured');
+    });
+
+    test('should reject references to items not in the plan', () => {
+      expect(() => resolvePlanReferences({
+        goals: [{ description: 'Sleep better', measure: 'Hours per night', problem: 2 }]
+      })).toThrow('Unknown problem index 2');
+
+      expect(() => resolvePlanReferences({
+        interventions: [{ description: 'CBT-I', goals: [new mongoose.Types.ObjectId().toString()] }]
+      })).toThrow(/Unknown goal/);
+    });
+
+    test('should cap the number of goals', () => {
+      const goals = Array.from({ length: TREATMENT_PLAN_CONFIG.MAX_GOALS + 1 }, (_, i) => ({
+        description: `Goal ${i}`,
+        measure: 'Self-report'
+      }));
+
+      expect(() => resolvePlanReferences({ goals })).toThrow(/at most/);
+    });
+  });
+
+  describe('getLatestProgress', () => {
+    test('should return the most recent entry or null', () => {
+      expect(getLatestProgress({ progress: [] })).toBeNull();
+      expect(getLatestProgress({ progress: [{ percentComplete: 20 }, { percentComplete: 50 }] }).percentComplete).toBe(50);
+    });
+  });
+
+  describe('toClientSummary', () => {
+    test('should share goals and progress but not clinical detail', () => {
+      const summary = toClientSummary({
+        _id: 'plan1',
+        status: 'active',
+        clientSummary: 'We are working on mood and sleep.',
+        version: 3,
+        problems: [{ description: 'Recurrent depressive episodes' }],
+        interventions: [{ description: 'Behavioural activation' }],
+        goals: [{
+          _id: 'goal1',
+          description: 'Improve mood',
+          measure: 'PHQ-9 below 10',
+          status: 'in_progress',
+          progress: [{ percentComplete: 40, note: 'Avoidance still high at work' }]
+        }]
+      });
+
+      expect(summary.goals).toEqual([expect.objectContaining({ description: 'Improve mood', percentComplete: 40 })]);
+      expect(summary).not.toHaveProperty('problems');
+      expect(summary).not.toHaveProperty('interventions');
+      expect(JSON.stringify(summary)).not.toMatch(/Avoidance/);
+    });
+  });
+});
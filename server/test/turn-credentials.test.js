@@ -0,0 +1,64 @@
+/**
+ * TURN Credential Tests
+ *
+ * Tests credential expiry relative to the scheduled session, the coturn
+ * REST API username and signature, and the missing secret error.
+ */
+
+const crypto = require('crypto');
+const {
+  getCredentialExpiry,
+  buildTurnUsername,
+  getSecretId,
+  generateTurnCredentials
+} = require('../utils/turnCredentials');
+
+const limits = { graceMinutes: 30, minTtlMinutes: 15, maxTtlMinutes: 360 };
+const sessionDate = new Date('2026-10-19T10:00:00Z');
+
+describe('TURN Credentials', () => {
+  describe('getCredentialExpiry', () => {
+    test('should expire shortly after the scheduled end', () => {
+      const now = new Date('2026-10-19T09:55:00Z');
+      expect(getCredentialExpiry({ sessionDate, now, ...limits })).toEqual(new Date('2026-10-19T11:30:00Z'));
+      expect(getCredentialExpiry({ sessionDate, durationMinutes: 90, now, ...limits })).toEqual(new Date('2026-10-19T12:00:00Z'));
+      expect(getCredentialExpiry({ sessionDate, durationMinutes: null, now, ...limits })).toEqual(new Date('2026-10-19T11:30:00Z'));
+    });
+
+    test('should give late joins a minimum lifetime', () => {
+      const now = new Date('2026-10-19T11:25:00.750Z');
+      expect(getCredentialExpiry({ sessionDate, now, ...limits })).toEqual(new Date('2026-10-19T11:40:00Z'));
+    });
+
+    test('should cap credentials fetched well before the session', () => {
+      const now = new Date('2026-10-18T10:00:00Z');
+      expect(getCredentialExpiry({ sessionDate, now, ...limits })).toEqual(new Date('2026-10-18T16:00:00Z'));
+    });
+  });
+
+  describe('generateTurnCredentials', () => {
+    const expiresAt = new Date('2026-10-19T11:30:00Z');
+    const urls = ['turn:turn.example.com:3478?transport=udp'];
+
+    test('should scope the username to the session and participant', () => {
+      expect(buildTurnUsername(expiresAt, 'session1', 'user1')).toBe('1792409400:session1-user1');
+    });
+
+    test('should sign the username with the shared secret', () => {
+      const credentials = generateTurnCredentials({ secret: 's3cret', urls, sessionId: 'session1', userId: 'user1', expiresAt });
+      const expected = crypto.createHmac('sha1', 's3cret').update(credentials.username).digest('base64');
+
+      expect(credentials).toEqual({ urls, username: '1792409400:session1-user1', credential: expected, expiresAt });
+    });
+
+    test('should refuse to issue credentials without a secret', () => {
+      expect(() => generateTurnCredentials({ secret: null, urls, sessionId: 'session1', userId: 'user1', expiresAt }))
+        .toThrow('TURN secret not configured');
+    });
+
+    test('should identify secrets without revealing them', () => {
+      expect(getSecretId('s3cret')).toHaveLength(12);
+      expect(getSecretId('s3cret')).not.toBe(getSecretId('rotated'));
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Video Waiting Room Tests
+ *
+ * Tests the waiting room state and transitions, who hosts the room, the
+ * late and early join rules used for the lobby, and the lobby itself:
+ * waiting, reconnecting, leaving and being admitted.
+ */
+
+const { VIDEO_STATES, VIDEO_TRANSITIONS } = require('../constants/videoStates');
+const { getJoinTiming } = require('../services/edgeCaseHandler');
+const { isSessionHost } = require('../utils/sessionParticipants');
+const {
+  createRoom,
+  addToWaitingRoom,
+  removeFromWaitingRoom,
+  admitFromWaitingRoom,
+  isAdmitted,
+  getWaitingList,
+  getRoomVideoState
+} = require('../utils/waitingRoom');
+
+const waiter = (overrides = {}) => ({
+  socketId: 'socket-client',
+  userId: 'client1',
+  userName: 'Client',
+  userRole: 'client',
+  timing: { allowed: true, status: 'on_time', minutesEarly: 5 },
+  ...overrides
+});
+
+describe('Video Waiting Room', () => {
+  describe('state machine', () => {
+    test('should sit between waiting for participants and active', () => {
+      expect(VIDEO_TRANSITIONS[VIDEO_STATES.WAITING_FOR_PARTICIPANTS]).toContain(VIDEO_STATES.WAITING_ROOM);
+      expect(VIDEO_TRANSITIONS[VIDEO_STATES.WAITING_ROOM]).toEqual(expect.arrayContaining([
+        VIDEO_STATES.ACTIVE,
+        VIDEO_STATES.WAITING_FOR_PARTICIPANTS
+      ]));
+    });
+  });
+
+  describe('isSessionHost', () => {
+    test('should make the therapist and admins hosts', () => {
+      const session = { clientId: 'client1', psychologistId: 'therapist1' };
+      expect(isSessionHost(session, 'therapist1', 'psychologist')).toBe(true);
+      expect(isSessionHost(session, 'admin1', 'admin')).toBe(true);
+      expect(isSessionHost(session, 'client1', 'client')).toBe(false);
+      expect(isSessionHost({ psychologist: { _id: 'therapist1' } }, 'therapist1', 'psychologist')).toBe(true);
+    });
+  });
+
+  describe('getJoinTiming', () => {
+    const sessionDate = new Date('2026-10-19T10:00:00Z');
+
+    test('should count early joins as on time', () => {
+      expect(getJoinTiming(sessionDate, new Date('2026-10-19T09:50:00Z')))
+        .toEqual({ allowed: true, status: 'on_time', minutesEarly: 10 });
+    });
+
+    test('should allow late joins up to the threshold', () => {
+      expect(getJoinTiming(sessionDate, new Date('2026-10-19T10:20:00Z')))
+        .toEqual({ allowed: true, status: 'late_join', minutesLate: 20 });
+    });
+
+    test('should reject joins after the threshold', () => {
+      expect(getJoinTiming(sessionDate, new Date('2026-10-19T10:31:00Z')))
+        .toMatchObject({ allowed: false, status: 'too_late', minutesLate: 31 });
+    });
+  });
+
+  describe('lobby', () => {
+    test('should list waiting clients for the host without socket IDs', () => {
+      const room = createRoom('session1');
+      addToWaitingRoom(room, waiter());
+
+      const [entry] = getWaitingList(room);
+      expect(entry).toMatchObject({ userId: 'client1', userName: 'Client', timing: { status: 'on_time' } });
+      expect(entry.waitingSince).toBeInstanceOf(Date);
+      expect(entry.socketId).toBeUndefined();
+    });
+
+    test('should keep one entry per client across reconnects', () => {
+      const room = createRoom('session1');
+      const first = addToWaitingRoom(room, waiter());
+      addToWaitingRoom(room, waiter({ socketId: 'socket-reconnected' }));
+
+      expect(room.waiting).toHaveLength(1);
+      expect(room.waiting[0].socketId).toBe('socket-reconnected');
+      expect(room.waiting[0].waitingSince).toBe(first.waitingSince);
+    });
+
+    test('should drop clients who leave the lobby', () => {
+      const room = createRoom('session1');
+      addToWaitingRoom(room, waiter());
+
+      expect(removeFromWaitingRoom(room, 'socket-other')).toBeNull();
+      expect(removeFromWaitingRoom(room, 'socket-client')).toMatchObject({ userId: 'client1' });
+      expect(room.waiting).toHaveLength(0);
+    });
+
+    test('should admit waiting clients once', () => {
+      const room = createRoom('session1');
+      addToWaitingRoom(room, waiter());
+
+      expect(admitFromWaitingRoom(room, 'client1')).toMatchObject({ socketId: 'socket-client' });
+      expect(isAdmitted(room, 'client1')).toBe(true);
+      expect(room.waiting).toHaveLength(0);
+      expect(admitFromWaitingRoom(room, 'client1')).toBeNull();
+    });
+  });
+
+  describe('getRoomVideoState', () => {
+    test('should follow the lobby and the call', () => {
+      const room = createRoom('session1');
+      expect(getRoomVideoState(room)).toBe(VIDEO_STATES.WAITING_FOR_PARTICIPANTS);
+
+      addToWaitingRoom(room, waiter());
+      expect(getRoomVideoState(room)).toBe(VIDEO_STATES.WAITING_ROOM);
+
+      admitFromWaitingRoom(room, 'client1');
+      room.callStarted = true;
+      expect(getRoomVideoState(room)).toBe(VIDEO_STATES.ACTIVE);
+    });
+  });
+});
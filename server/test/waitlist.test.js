@@ -0,0 +1,163 @@
+/**
+ * Waitlist Tests
+ *
+ * Tests preference validation, hold expiry, slot matching, and that freed
+ * slots are offered at the length of the session that freed them.
+ */
+
+const { WaitlistService, WAITLIST_CONFIG, waitlistService } = require('../services/waitlistService');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { eventBus, SESSION_EVENTS } = require('../src/events/eventBus');
+const { initWaitlistListeners, removeWaitlistListeners } = require('../src/listeners/waitlistListeners');
+const { cancellationService } = require('../services/cancellationService');
+const { reschedulingService } = require('../services/reschedulingService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Waitlist', () => {
+  const service = new WaitlistService();
+
+  describe('validatePreferences', () => {
+    test('should accept valid time ranges', () => {
+      const result = service.validatePreferences([
+        { dayOfWeek: 1, startTime: '09:00', endTime: '12:00' },
+        { dayOfWeek: 3, startTime: '14:00', endTime: '17:00' }
+      ]);
+
+      expect(result.valid).toBe(true);
+    });
+
+    test('should require at least one range', () => {
+      expect(service.validatePreferences([]).valid).toBe(false);
+      expect(service.validatePreferences(undefined).valid).toBe(false);
+    });
+
+    test('should reject an invalid day of week', () => {
+      const result = service.validatePreferences([{ dayOfWeek: 7, startTime: '09:00', endTime: '12:00' }]);
+
+      expect(result.valid).toBe(false);
+      expect(result.error).toMatch(/dayOfWeek/);
+    });
+
+    test('should reject an end time before the start time', () => {
+      const result = service.validatePreferences([{ dayOfWeek: 1, startTime: '12:00', endTime: '09:00' }]);
+
+      expect(result.valid).toBe(false);
+    });
+
+    test('should reject too many ranges', () => {
+      const prefs = Array.from({ length: WAITLIST_CONFIG.MAX_PREFERENCES + 1 }, () => (
+        { dayOfWeek: 1, startTime: '09:00', endTime: '12:00' }
+      ));
+
+      expect(service.validatePreferences(prefs).valid).toBe(false);
+    });
+  });
+
+  describe('calculateHoldExpiry', () => {
+    test('should hold for the standard period when the slot is far away', () => {
+      const now = new Date(2030, 0, 7, 8, 0);
+      const slot = new Date(now.getTime() + 48 * HOUR_MS);
+
+      const expiry = service.calculateHoldExpiry(slot, now);
+
+      expect(expiry.getTime() - now.getTime()).toBe(WAITLIST_CONFIG.OFFER_HOLD_MINUTES * 60000);
+    });
+
+    test('should end the hold before the slot when it is close', () => {
+      const now = new Date(2030, 0, 7, 8, 0);
+      const slot = new Date(now.getTime() + 4 * HOUR_MS);
+
+      const expiry = service.calculateHoldExpiry(slot, now);
+
+      expect(slot.getTime() - expiry.getTime()).toBe(WAITLIST_CONFIG.MIN_HOURS_BEFORE_SLOT * HOUR_MS);
+    });
+  });
+
+  describe('WaitlistEntry', () => {
+    const entry = new WaitlistEntry({
+      client: '507f1f77bcf86cd799439011',
+      therapist: '507f1f77bcf86cd799439012',
+      preferences: [{ dayOfWeek: 1, startTime: '09:00', endTime: '12:00' }]
+    });
+
+    test('should match a slot inside a preferred range', () => {
+      // Monday 10:00
+      expect(entry.matchesSlot(new Date(2030, 0, 7, 10, 0))).toBe(true);
+    });
+
+    test('should not match a slot that runs past the range', () => {
+      expect(entry.matchesSlot(new Date(2030, 0, 7, 11, 30))).toBe(false);
+    });
+
+    test('should not match a slot on another day', () => {
+      // Tuesday 10:00
+      expect(entry.matchesSlot(new Date(2030, 0, 8, 10, 0))).toBe(false);
+    });
+
+    test('should remember slots it was already offered', () => {
+      const slot = new Date(2030, 0, 7, 10, 0);
+      entry.offerHistory.push({ slotDate: slot, offeredAt: new Date(), outcome: 'declined' });
+
+      expect(entry.wasOffered(slot)).toBe(true);
+      expect(entry.wasOffered(new Date(2030, 0, 14, 10, 0))).toBe(false);
+    });
+  });
+
+  describe('freed slot length', () => {
+    const session = {
+      _id: '507f1f77bcf86cd799439013',
+      psychologist: { _id: '507f1f77bcf86cd799439012' },
+      client: { _id: '507f1f77bcf86cd799439011' },
+      sessionDate: new Date(2030, 0, 7, 10, 0),
+      sessionType: 'Couples',
+      duration: 90
+    };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should include the session length when a slot is released', () => {
+      const emitted = jest.spyOn(eventBus, 'emitEvent').mockImplementation(() => {});
+
+      cancellationService.emitSlotReleased(session, 'client');
+      reschedulingService.emitRescheduled(session, session.sessionDate, new Date(2030, 0, 8, 10, 0));
+
+      expect(emitted).toHaveBeenCalledWith(SESSION_EVENTS.CANCELLED, expect.objectContaining({ duration: 90 }));
+      expect(emitted).toHaveBeenCalledWith(SESSION_EVENTS.RESCHEDULED, expect.objectContaining({ duration: 90 }));
+    });
+
+    test('should offer the slot at the released session length', () => {
+      const handleSlotFreed = jest.spyOn(waitlistService, 'handleSlotFreed').mockResolvedValue(null);
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      initWaitlistListeners();
+
+      try {
+        eventBus.emitEvent(SESSION_EVENTS.CANCELLED, {
+          sessionId: session._id,
+          therapistId: session.psychologist._id,
+          sessionDate: session.sessionDate,
+          duration: 90
+        });
+        eventBus.emitEvent(SESSION_EVENTS.RESCHEDULED, {
+          sessionId: session._id,
+          therapistId: session.psychologist._id,
+          originalDate: session.sessionDate,
+          duration: 45
+        });
+      } finally {
+        removeWaitlistListeners();
+      }
+
+      expect(handleSlotFreed).toHaveBeenCalledWith(session.psychologist._id, session.sessionDate, {
+        duration: 90,
+        sourceSessionId: session._id
+      });
+      expect(handleSlotFreed).toHaveBeenCalledWith(session.psychologist._id, session.sessionDate, {
+        duration: 45,
+        sourceSessionId: session._id
+      });
+    });
+  });
+});
@@ -9,6 +9,7 @@
  */
 
 const moment = require('moment');
+const { describeAmounts, formatMoney } = require('../services/currencyService');
 
 /**
  * Chart of Accounts mapping for therapy business
@@ -33,6 +34,16 @@ const CHART_OF_ACCOUNTS = {
     account: '1210',
     name: 'M-Pesa Clearing Account',
     type: 'Asset'
+  },
+  THERAPIST_PAYABLE: {
+    account: '2100',
+    name: 'Therapist Payouts Payable',
+    type: 'Liability'
+  },
+  THERAPIST_FEES: {
+    account: '5000',
+    name: 'Therapist Fees',
+    type: 'Cost of Goods Sold'
   }
 };
 
@@ -67,7 +78,7 @@ function generateQuickBooksIIF(transactions, options = {}) {
     const date = moment(transaction.paymentVerifiedAt).format('MM/DD/YYYY');
     const amount = parseFloat(transaction.price || 0);
     const docNum = transaction.mpesaTransactionID || `TXN-${index + 1}`;
-    const memo = `Therapy session - ${transaction.sessionType || 'Standard'}`;
+    const memo = describeTransaction(transaction, amount);
     const clientName = transaction.client?.name || 'Unknown Client';
     
     // Revenue entry (Credit)
@@ -117,7 +128,7 @@ function generateXeroCSV(transactions, options = {}) {
     const date = moment(transaction.paymentVerifiedAt).format('YYYY-MM-DD');
     const amount = parseFloat(transaction.price || 0);
     const reference = transaction.mpesaTransactionID || `TXN-${index + 1}`;
-    const description = `Therapy session - ${transaction.sessionType || 'Standard'}`;
+    const description = describeTransaction(transaction, amount);
     const clientName = escapeCSV(transaction.client?.name || 'Unknown Client');
     
     // Revenue entry
@@ -188,7 +199,7 @@ function generateSageCSV(transactions, options = {}) {
     const date = moment(transaction.paymentVerifiedAt).format('DD/MM/YYYY');
     const amount = parseFloat(transaction.price || 0);
     const reference = transaction.mpesaTransactionID || `TXN-${index + 1}`;
-    const details = `Therapy session - ${transaction.sessionType || 'Standard'}`;
+    const details = describeTransaction(transaction, amount);
     const clientRef = transaction.client?.email?.substring(0, 8) || 'CLIENT';
     
     // Revenue entry
@@ -254,7 +265,12 @@ function generateGenericCSV(transactions, options = {}) {
     'Debit',
     'Credit',
     'Processing Fee',
-    'Net Amount'
+    'Net Amount',
+    'Promo Code',
+    'Promo Discount',
+    'Original Currency',
+    'Original Amount',
+    'Exchange Rate'
   ];
   
   let csvRows = [headers.join(',')];
@@ -263,9 +279,13 @@ function generateGenericCSV(transactions, options = {}) {
     if (!includeRefunds && transaction.paymentStatus === 'Refunded') return;
     
     const date = moment(transaction.paymentVerifiedAt).format('YYYY-MM-DD');
+    // price is already net of any promo discount; the discount is listed for reference
     const amount = parseFloat(transaction.price || 0);
     const processingFee = amount * 0.01;
     const netAmount = amount - processingFee;
+    const discount = transaction.pricing?.discount?.status === 'redeemed' ? transaction.pricing.discount : null;
+    // Amounts are KES; foreign-currency payments also list what the client paid
+    const original = getOriginalAmount(transaction, amount);
     
     csvRows.push([
       date,
@@ -284,7 +304,12 @@ function generateGenericCSV(transactions, options = {}) {
       '0.00',
       amount.toFixed(2),
       processingFee.toFixed(2),
-      netAmount.toFixed(2)
+      netAmount.toFixed(2),
+      escapeCSV(discount ? discount.code : ''),
+      (discount ? discount.amount : 0).toFixed(2),
+      original.currency,
+      Number(original.amount).toFixed(2),
+      original.exchangeRate
     ].join(','));
   });
   
@@ -343,6 +368,143 @@ function generateJournalEntries(transactions, options = {}) {
   return journalEntries;
 }
 
+/**
+ * Generate a therapist payout batch export
+ * One entry per therapist statement: the net payout is booked as a therapist
+ * fee against the payouts payable account; the commission stays in revenue.
+ * @param {Object} batch - PayoutBatch document
+ * @param {String} format - Export format (quickbooks, xero, sage, generic)
+ * @returns {String} Formatted export content
+ */
+function generatePayoutExport(batch, format = 'generic') {
+  const statements = batch.statements || [];
+  const reference = batch.reference;
+  const periodEnd = moment(batch.periodEnd);
+  const memo = (statement) => `Therapist payout ${reference} - ${statement.lines.length} session(s) to ${periodEnd.format('YYYY-MM-DD')}`;
+
+  switch (format.toLowerCase()) {
+    case 'quickbooks':
+    case 'qb': {
+      const iifContent = [];
+      iifContent.push('!HDR\tPROD\tVER\tREL\tIIFVER\tDATE\tTIME\tACCNT');
+      iifContent.push('HDR\tSmiling Steps\t2024\tR1\t1\t' + moment().format('MM/DD/YYYY') + '\t' + moment().format('HH:mm:ss') + '\tN');
+      iifContent.push('!ACCNT\tNAME\tACCNTTYPE\tDESC');
+      [CHART_OF_ACCOUNTS.THERAPIST_FEES, CHART_OF_ACCOUNTS.THERAPIST_PAYABLE].forEach(account => {
+        iifContent.push(`ACCNT\t${account.name}\t${account.type}\t${account.name}`);
+      });
+      iifContent.push('!TRNS\tTRNSTYPE\tDATE\tACCNT\tNAME\tCLASS\tAMOUNT\tDOCNUM\tMEMO');
+      iifContent.push('!SPL\tSPLID\tTRNSTYPE\tDATE\tACCNT\tNAME\tCLASS\tAMOUNT\tDOCNUM\tMEMO');
+      iifContent.push('!ENDTRNS');
+
+      const date = periodEnd.format('MM/DD/YYYY');
+      statements.forEach((statement, index) => {
+        const amount = statement.netAmount.toFixed(2);
+        const name = statement.therapistName || 'Unknown Therapist';
+        iifContent.push(`TRNS\tGENERAL JOURNAL\t${date}\t${CHART_OF_ACCOUNTS.THERAPIST_FEES.name}\t${name}\t\t${amount}\t${reference}\t${memo(statement)}`);
+        iifContent.push(`SPL\t${index + 1}\tGENERAL JOURNAL\t${date}\t${CHART_OF_ACCOUNTS.THERAPIST_PAYABLE.name}\t${name}\t\t-${amount}\t${reference}\t${memo(statement)}`);
+        iifContent.push('ENDTRNS');
+      });
+      return iifContent.join('\n');
+    }
+
+    case 'xero': {
+      const csvRows = [[
+        'Date', 'Description', 'Reference', 'Amount', 'Account Code', 'Account Name',
+        'Tax Type', 'Tax Amount', 'Contact Name', 'Invoice Number', 'Region'
+      ].join(',')];
+      statements.forEach(statement => {
+        csvRows.push([
+          periodEnd.format('YYYY-MM-DD'),
+          escapeCSV(memo(statement)),
+          escapeCSV(reference),
+          statement.netAmount.toFixed(2),
+          CHART_OF_ACCOUNTS.THERAPIST_FEES.account,
+          escapeCSV(CHART_OF_ACCOUNTS.THERAPIST_FEES.name),
+          'GST',
+          '0.00',
+          escapeCSV(statement.therapistName || 'Unknown Therapist'),
+          escapeCSV(reference),
+          'Kenya'
+        ].join(','));
+      });
+      return csvRows.join('\n');
+    }
+
+    case 'sage': {
+      const csvRows = [[
+        'Transaction Type', 'Account Reference', 'Nominal Code', 'Date', 'Reference', 'Details',
+        'Net Amount', 'Tax Code', 'Tax Amount', 'Exchange Rate', 'Gross Amount'
+      ].join(',')];
+      statements.forEach(statement => {
+        csvRows.push([
+          'PI', // Purchase Invoice
+          escapeCSV(String(statement.therapist).slice(-8).toUpperCase()),
+          CHART_OF_ACCOUNTS.THERAPIST_FEES.account,
+          periodEnd.format('DD/MM/YYYY'),
+          escapeCSV(reference),
+          escapeCSV(memo(statement)),
+          statement.netAmount.toFixed(2),
+          'T0',
+          '0.00',
+          '1.00',
+          statement.netAmount.toFixed(2)
+        ].join(','));
+      });
+      return csvRows.join('\n');
+    }
+
+    case 'generic':
+    default: {
+      const csvRows = [[
+        'Batch Reference', 'Period End', 'Therapist Name', 'Sessions', 'Gross Amount', 'Commission Rate',
+        'Commission', 'Net Payout', 'Held Back Sessions', 'Held Back Amount', 'Currency', 'Status', 'Payment Reference'
+      ].join(',')];
+      statements.forEach(statement => {
+        csvRows.push([
+          escapeCSV(reference),
+          periodEnd.format('YYYY-MM-DD'),
+          escapeCSV(statement.therapistName || ''),
+          statement.lines.length,
+          statement.grossAmount.toFixed(2),
+          `${statement.commissionRate}%`,
+          statement.commissionAmount.toFixed(2),
+          statement.netAmount.toFixed(2),
+          statement.heldBack ? statement.heldBack.count : 0,
+          (statement.heldBack ? statement.heldBack.amount : 0).toFixed(2),
+          'KES',
+          escapeCSV(batch.status || ''),
+          escapeCSV(batch.paymentReference || '')
+        ].join(','));
+      });
+      return csvRows.join('\n');
+    }
+  }
+}
+
+/**
+ * Currency the client paid in, with the amount and the rate to KES
+ * @param {Object} transaction - Session
+ * @param {number} amount - KES amount exported for the transaction
+ * @returns {Object} - { currency, amount, exchangeRate }
+ */
+function getOriginalAmount(transaction, amount) {
+  const original = describeAmounts(transaction);
+  return original.currency === 'KES'
+    ? { currency: 'KES', amount, exchangeRate: 1 }
+    : { currency: original.currency, amount: original.amount, exchangeRate: original.exchangeRate };
+}
+
+/**
+ * Transaction description, noting the original amount of foreign-currency payments
+ */
+function describeTransaction(transaction, amount) {
+  const description = `Therapy session - ${transaction.sessionType || 'Standard'}`;
+  const original = getOriginalAmount(transaction, amount);
+  return original.currency === 'KES'
+    ? description
+    : `${description} (${formatMoney(original.amount, original.currency)} @ ${original.exchangeRate})`;
+}
+
 /**
  * Helper function to escape CSV values
  */
@@ -417,6 +579,7 @@ function getSupportedFormats() {
 module.exports = {
   generateAccountingExport,
   generateJournalEntries,
+  generatePayoutExport,
   getSupportedFormats,
   CHART_OF_ACCOUNTS
 };
\ No newline at end of file
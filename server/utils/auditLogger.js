@@ -31,7 +31,24 @@ const ACTION_TYPES = {
   VIDEO_CALL_START: 'VIDEO_CALL_START',
   VIDEO_CALL_END: 'VIDEO_CALL_END',
   VIDEO_CALL_JOIN_ATTEMPT: 'VIDEO_CALL_JOIN_ATTEMPT',
-  VIDEO_CALL_SECURITY_VALIDATION: 'VIDEO_CALL_SECURITY_VALIDATION'
+  VIDEO_CALL_SECURITY_VALIDATION: 'VIDEO_CALL_SECURITY_VALIDATION',
+  VIDEO_CALL_TURN_CREDENTIALS: 'VIDEO_CALL_TURN_CREDENTIALS',
+  RECORDING_CONSENT: 'RECORDING_CONSENT',
+  RECORDING_DECLINED: 'RECORDING_DECLINED',
+  RECORDING_STARTED: 'RECORDING_STARTED',
+  RECORDING_STOPPED: 'RECORDING_STOPPED',
+  RECORDING_ACCESS: 'RECORDING_ACCESS',
+  RECORDING_DELETED: 'RECORDING_DELETED',
+  CALL_CHAT_FILE_SHARED: 'CALL_CHAT_FILE_SHARED',
+  CALL_CHAT_FILE_ACCESS: 'CALL_CHAT_FILE_ACCESS',
+  CALL_CHAT_FILE_PROMOTED: 'CALL_CHAT_FILE_PROMOTED',
+  RISK_ALERT_RAISED: 'RISK_ALERT_RAISED',
+  RISK_ALERT_ACKNOWLEDGED: 'RISK_ALERT_ACKNOWLEDGED',
+  RISK_FOLLOW_UP_RECORDED: 'RISK_FOLLOW_UP_RECORDED',
+  RISK_ALERT_RESOLVED: 'RISK_ALERT_RESOLVED',
+  TREATMENT_PLAN_CREATED: 'TREATMENT_PLAN_CREATED',
+  TREATMENT_PLAN_UPDATED: 'TREATMENT_PLAN_UPDATED',
+  TREATMENT_PLAN_VISIBILITY_CHANGED: 'TREATMENT_PLAN_VISIBILITY_CHANGED'
 };
 
 // Previous log hash for tamper-evident chain
@@ -596,6 +613,49 @@ async function logVideoCallSecurityValidation({
   return logEntry;
 }
 
+/**
+ * Log TURN credential issuance
+ * Records relay credentials minted for a video call participant; the
+ * credential itself is never logged
+ * 
+ * Requirements: Video Call Security & Compliance
+ * 
+ * @param {Object} params - TURN credential parameters
+ * @param {string} params.userId - Participant the credentials were issued to
+ * @param {string} params.sessionId - Session ID
+ * @param {string} params.userRole - User role (client, psychologist, admin)
+ * @param {string} params.username - TURN username issued
+ * @param {Date} params.expiresAt - When the credentials expire
+ * @param {string} params.secretId - Identifier of the signing secret
+ * @param {string} params.ipAddress - User's IP address
+ */
+async function logTurnCredentialIssued({
+  userId,
+  sessionId,
+  userRole,
+  username,
+  expiresAt,
+  secretId,
+  ipAddress
+}) {
+  const logEntry = await createAuditLogEntry(ACTION_TYPES.VIDEO_CALL_TURN_CREDENTIALS, {
+    userId,
+    sessionId,
+    action: 'Video call TURN credentials issued',
+    userType: userRole,
+    ipAddress,
+    metadata: {
+      username,
+      expiresAt: new Date(expiresAt).toISOString(),
+      secretId
+    }
+  });
+  
+  console.log('📝 AUDIT LOG [VIDEO_CALL_TURN_CREDENTIALS]:', JSON.stringify(logEntry, null, 2));
+  
+  return logEntry;
+}
+
 /**
  * Log session status change
  * Records transitions in session status for audit trail
@@ -636,6 +696,170 @@ async function logSessionStatusChange({
   return logEntry;
 }
 
+/**
+ * Log a risk alert lifecycle event
+ * Records when a crisis alert is raised, acknowledged, followed up or resolved.
+ * Clinical detail stays on the RiskAlert; only identifiers and outcomes are logged.
+ * 
+ * @param {Object} params - Risk alert event parameters
+ * @param {string} params.actionType - One of the RISK_* action types
+ * @param {string} params.alertId - RiskAlert ID
+ * @param {string} params.clientId - Client the alert concerns
+ * @param {string} params.userId - User performing the action (null for system-raised alerts)
+ * @param {string} params.userRole - Role of user performing the action
+ * @param {string} params.level - Risk level
+ * @param {string} params.previousStatus - Alert status before the action
+ * @param {string} params.newStatus - Alert status after the action
+ * @param {Object} params.metadata - Signal types, follow-up action, etc.
+ */
+async function logRiskAlertEvent({
+  actionType,
+  alertId,
+  clientId,
+  userId = null,
+  userRole = null,
+  level,
+  previousStatus = null,
+  newStatus = null,
+  metadata = {}
+}) {
+  const logEntry = await createAuditLogEntry(actionType, {
+    userId,
+    userType: userRole,
+    targetType: 'RiskAlert',
+    targetId: alertId,
+    previousStatus,
+    newStatus,
+    metadata: { clientId, level, ...metadata },
+    action: `Risk alert (${level}) ${actionType.replace('RISK_', '').toLowerCase().replace(/_/g, ' ')}`
+  });
+  
+  console.log(`📝 AUDIT LOG [${actionType}]:`, JSON.stringify(logEntry, null, 2));
+  
+  return logEntry;
+}
+
+/**
+ * Log a treatment plan change
+ * Records plan creation, new versions and client-visibility changes.
+ * Plan content stays on the TreatmentPlan; only identifiers and versions are logged.
+ * 
+ * @param {Object} params - Treatment plan event parameters
+ * @param {string} params.actionType - One of the TREATMENT_PLAN_* action types
+ * @param {string} params.planId - TreatmentPlan ID (the new version for updates)
+ * @param {string} params.clientId - Client the plan belongs to
+ * @param {string} params.userId - User making the change
+ * @param {string} params.userRole - Role of user making the change
+ * @param {number} params.version - Plan version after the change
+ * @param {string} params.previousStatus - Plan status before the change
+ * @param {string} params.newStatus - Plan status after the change
+ * @param {Object} params.metadata - Additional metadata
+ */
+async function logTreatmentPlanEvent({
+  actionType,
+  planId,
+  clientId,
+  userId,
+  userRole,
+  version,
+  previousStatus = null,
+  newStatus = null,
+  metadata = {}
+}) {
+  const logEntry = await createAuditLogEntry(actionType, {
+    userId,
+    userType: userRole,
+    targetType: 'TreatmentPlan',
+    targetId: planId,
+    previousStatus,
+    newStatus,
+    metadata: { clientId, version, ...metadata },
+    action: `Treatment plan v${version} ${actionType.replace('TREATMENT_PLAN_', '').toLowerCase().replace(/_/g, ' ')}`
+  });
+  
+  console.log(`📝 AUDIT LOG [${actionType}]:`, JSON.stringify(logEntry, null, 2));
+  
+  return logEntry;
+}
+
+/**
+ * Log a session recording event
+ * Records consent, start and stop, every access and deletion. Media never
+ * passes through the audit log; only identifiers are recorded.
+ * 
+ * @param {Object} params - Recording event parameters
+ * @param {string} params.actionType - One of the RECORDING_* action types
+ * @param {string} params.recordingId - SessionRecording ID
+ * @param {string} params.sessionId - Session ID
+ * @param {string} params.userId - User acting (null for system jobs)
+ * @param {string} params.userRole - Role of user acting
+ * @param {string} params.ipAddress - IP address of request
+ * @param {Object} params.metadata - Additional metadata
+ */
+async function logRecordingEvent({
+  actionType,
+  recordingId,
+  sessionId,
+  userId = null,
+  userRole = null,
+  ipAddress = null,
+  metadata = {}
+}) {
+  const logEntry = await createAuditLogEntry(actionType, {
+    userId,
+    userType: userRole,
+    sessionId,
+    targetType: 'SessionRecording',
+    targetId: recordingId,
+    ipAddress,
+    metadata,
+    action: `Session recording ${actionType.replace('RECORDING_', '').toLowerCase()}`
+  });
+  
+  console.log(`📝 AUDIT LOG [${actionType}]:`, JSON.stringify(logEntry, null, 2));
+  
+  return logEntry;
+}
+
+/**
+ * Log a file shared in an in-call chat
+ * Records the upload, every download and promotion to a client resource.
+ * File contents never pass through the audit log.
+ * 
+ * @param {Object} params - Chat file event parameters
+ * @param {string} params.actionType - One of the CALL_CHAT_FILE_* action types
+ * @param {string} params.sessionId - Session ID
+ * @param {string} params.messageId - Chat message the file is attached to
+ * @param {string} params.userId - User acting
+ * @param {string} params.userRole - Role of user acting
+ * @param {string} params.ipAddress - IP address of request
+ * @param {Object} params.metadata - Additional metadata
+ */
+async function logCallChatFileEvent({
+  actionType,
+  sessionId,
+  messageId,
+  userId,
+  userRole,
+  ipAddress = null,
+  metadata = {}
+}) {
+  const logEntry = await createAuditLogEntry(actionType, {
+    userId,
+    userType: userRole,
+    sessionId,
+    targetType: 'Session',
+    targetId: sessionId,
+    ipAddress,
+    metadata: { messageId, ...metadata },
+    action: `In-call chat file ${actionType.replace('CALL_CHAT_FILE_', '').toLowerCase()}`
+  });
+  
+  console.log(`📝 AUDIT LOG [${actionType}]:`, JSON.stringify(logEntry, null, 2));
+  
+  return logEntry;
+}
+
 /**
  * Retrieve audit logs with tamper-evident format
  * Returns logs in a format that can be verified for integrity
@@ -785,7 +1009,12 @@ module.exports = {
   logVideoCallEnd,
   logVideoCallJoinAttempt,
   logVideoCallSecurityValidation,
+  logTurnCredentialIssued,
   logSessionStatusChange,
+  logRiskAlertEvent,
+  logTreatmentPlanEvent,
+  logRecordingEvent,
+  logCallChatFileEvent,
   logAuditEvent,
   retrieveAuditLogs,
   verifyLogIntegrity
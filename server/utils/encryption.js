@@ -94,6 +94,66 @@ class Encryption {
     }
   }
 
+  /**
+   * Encrypt binary data such as a media chunk
+   * @param {Buffer} data - The data to encrypt
+   * @returns {Buffer} - iv (16 bytes) + authTag (16 bytes) + ciphertext
+   */
+  encryptBuffer(data) {
+    if (!data || data.length === 0) {
+      throw new Error('Cannot encrypt empty data');
+    }
+
+    const iv = crypto.randomBytes(16);
+    const cipher = crypto.createCipheriv(this.algorithm, this.keyBuffer, iv);
+    const encrypted = Buffer.concat([cipher.update(data), cipher.final()]);
+
+    return Buffer.concat([iv, cipher.getAuthTag(), encrypted]);
+  }
+
+  /**
+   * Decrypt binary data produced by encryptBuffer
+   * @param {Buffer} data - iv + authTag + ciphertext
+   * @returns {Buffer} - Decrypted data
+   */
+  decryptBuffer(data) {
+    if (!data || data.length <= 32) {
+      throw new Error('Invalid encrypted data format');
+    }
+
+    try {
+      const decipher = crypto.createDecipheriv(this.algorithm, this.keyBuffer, data.subarray(0, 16));
+      decipher.setAuthTag(data.subarray(16, 32));
+      return Buffer.concat([decipher.update(data.subarray(32)), decipher.final()]);
+    } catch (error) {
+      console.error('❌ Decryption error:', error.message);
+      throw new Error('Failed to decrypt data');
+    }
+  }
+
+  /**
+   * Cipher stream for files too large to hold in memory. Read the auth tag
+   * with cipher.getAuthTag() once the stream has ended.
+   * @returns {Object} - { iv (hex), cipher }
+   */
+  createEncryptStream() {
+    const iv = crypto.randomBytes(16);
+    return { iv: iv.toString('hex'), cipher: crypto.createCipheriv(this.algorithm, this.keyBuffer, iv) };
+  }
+
+  /**
+   * Decipher stream for a file written through createEncryptStream; emits
+   * an error at the end if the file has been tampered with
+   * @param {string} iv - IV (hex)
+   * @param {string} authTag - Auth tag (hex)
+   * @returns {Object} - Decipher stream
+   */
+  createDecryptStream(iv, authTag) {
+    const decipher = crypto.createDecipheriv(this.algorithm, this.keyBuffer, Buffer.from(iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(authTag, 'hex'));
+    return decipher;
+  }
+
   /**
    * Mask sensitive data for logging (show only last N characters)
    * @param {string} data - The data to mask
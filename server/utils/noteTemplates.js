@@ -0,0 +1,134 @@
+/**
+ * Session Note Template Utilities
+ *
+ * Field-level validation and rendering for structured session notes,
+ * and the integrity hash recorded when a note is signed.
+ *
+ * @module utils/noteTemplates
+ */
+
+const crypto = require('crypto');
+const { NOTE_TEMPLATE_KEYS, NOTE_TEMPLATES } = require('../constants/noteTemplates');
+
+/**
+ * Get a template definition
+ * @param {string} key - Template key
+ * @returns {Object|null}
+ */
+function getNoteTemplate(key) {
+  return NOTE_TEMPLATES[key] || null;
+}
+
+/**
+ * Validate one field against its section definition
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateField(section, value) {
+  const isEmpty = value === undefined || value === null ||
+    (typeof value === 'string' && value.trim() === '');
+
+  if (isEmpty) {
+    return section.required ? `${section.label} is required` : null;
+  }
+
+  switch (section.type) {
+    case 'text': {
+      if (typeof value !== 'string') return `${section.label} must be text`;
+      const length = value.trim().length;
+      if (section.minLength && length < section.minLength) {
+        return `${section.label} must be at least ${section.minLength} characters`;
+      }
+      if (section.maxLength && length > section.maxLength) {
+        return `${section.label} must be at most ${section.maxLength} characters`;
+      }
+      return null;
+    }
+    case 'select':
+      return section.options.includes(value)
+        ? null
+        : `${section.label} must be one of: ${section.options.join(', ')}`;
+    case 'number': {
+      const number = Number(value);
+      if (!Number.isFinite(number)) return `${section.label} must be a number`;
+      if (number < section.min || number > section.max) {
+        return `${section.label} must be between ${section.min} and ${section.max}`;
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validate submitted sections against a template
+ * @param {string} templateKey - Template key
+ * @param {Object} values - { [sectionKey]: value }
+ * @returns {Object} - { valid, errors: [{ field, message }], sections: [{ key, value }] }
+ */
+function validateNoteSections(templateKey, values = {}) {
+  const template = getNoteTemplate(templateKey);
+  if (!template) {
+    return { valid: false, errors: [{ field: 'template', message: 'Unknown note template' }], sections: [] };
+  }
+
+  const errors = [];
+  const knownKeys = template.sections.map(s => s.key);
+  for (const key of Object.keys(values)) {
+    if (!knownKeys.includes(key)) {
+      errors.push({ field: key, message: `${key} is not a section of the ${template.label} template` });
+    }
+  }
+
+  const sections = [];
+  for (const section of template.sections) {
+    const value = values[section.key];
+    const message = validateField(section, value);
+    if (message) {
+      errors.push({ field: section.key, message });
+    } else if (value !== undefined && value !== null && value !== '') {
+      const normalized = section.type === 'number' ? String(Number(value))
+        : typeof value === 'string' ? value.trim() : value;
+      sections.push({ key: section.key, value: normalized });
+    }
+  }
+
+  return { valid: errors.length === 0, errors, sections };
+}
+
+/**
+ * Render templated sections as the note's text content
+ * @param {string} templateKey - Template key
+ * @param {Array} sections - [{ key, value }] in template order
+ * @returns {string}
+ */
+function renderNoteContent(templateKey, sections) {
+  const template = getNoteTemplate(templateKey);
+  const byKey = Object.fromEntries(sections.map(s => [s.key, s.value]));
+
+  const blocks = template.sections
+    .filter(section => byKey[section.key] !== undefined)
+    .map(section => `${section.label}:\n${byKey[section.key]}`);
+
+  return [`${template.label} Note`, ...blocks].join('\n\n');
+}
+
+/**
+ * Hash of what was signed, so later tampering with a locked note is detectable
+ * @param {Object} params - { noteId, content, signedBy, signedAt }
+ * @returns {string} - SHA-256 hex digest
+ */
+function computeSignatureHash({ noteId, content, signedBy, signedAt }) {
+  return crypto
+    .createHash('sha256')
+    .update([noteId.toString(), content, signedBy.toString(), new Date(signedAt).toISOString()].join('|'))
+    .digest('hex');
+}
+
+module.exports = {
+  NOTE_TEMPLATE_KEYS,
+  getNoteTemplate,
+  validateNoteSections,
+  renderNoteContent,
+  computeSignatureHash
+};
@@ -68,6 +68,7 @@ emailTransporter = initializeEmailTransporter();
  * @param {string} options.subject - Email subject
  * @param {string} options.html - Email HTML content
  * @param {string} options.text - Email plain text content (optional)
+ * @param {Array} options.attachments - Nodemailer attachments (optional)
  */
 const sendEmail = async (options) => {
   if (!emailTransporter) {
@@ -81,7 +82,8 @@ const sendEmail = async (options) => {
       to: options.to,
       subject: options.subject,
       html: options.html,
-      text: options.text || options.html.replace(/<[^>]*>/g, '') // Strip HTML for text version
+      text: options.text || options.html.replace(/<[^>]*>/g, ''), // Strip HTML for text version
+      attachments: options.attachments
     };
 
     const info = await emailTransporter.sendMail(mailOptions);
@@ -257,6 +259,200 @@ const sendPaymentConfirmationNotification = async (session, client, psychologist
   });
 };
 
+/**
+ * Send client confirmation that an approved session was paid with a package credit
+ * @param {Object} session - Session object
+ * @param {Object} client - Client user object
+ * @param {Object} psychologist - Psychologist user object
+ * @param {Object} clientPackage - Package purchase the credit came from
+ */
+const sendPackageCreditBookingNotification = async (session, client, psychologist, clientPackage) => {
+  const sessionDate = new Date(session.sessionDate).toLocaleString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+  const emailHtml = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #4CAF50;">Session Confirmed! ✅</h2>
+      <p>Dear ${client.name},</p>
+      <p>Dr. ${psychologist.name} has approved your session. It has been paid with a credit from your session package, so there is nothing to pay.</p>
+      
+      <div style="background-color: #e8f5e9; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <h3 style="margin-top: 0; color: #2e7d32;">Package Credit</h3>
+        <ul style="list-style: none; padding: 0;">
+          <li><strong>Package:</strong> ${clientPackage.name}</li>
+          <li><strong>Credits Remaining:</strong> ${clientPackage.creditsRemaining} of ${clientPackage.sessionsPurchased}</li>
+          <li><strong>Valid Until:</strong> ${new Date(clientPackage.expiresAt).toLocaleDateString()}</li>
+        </ul>
+      </div>
+
+      <div style="background-color: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <h3 style="margin-top: 0; color: #333;">Session Details</h3>
+        <ul style="list-style: none; padding: 0;">
+          <li><strong>Therapist:</strong> Dr. ${psychologist.name}</li>
+          <li><strong>Session Type:</strong> ${session.sessionType}</li>
+          <li><strong>Date & Time:</strong> ${sessionDate}</li>
+        </ul>
+      </div>
+
+      <p>You'll receive a reminder 24 hours before your session. If you cancel in time for a refund, the credit is returned to your package.</p>
+      
+      <p style="margin-top: 30px;">Best regards,<br>
+      <strong>Smiling Steps Team</strong></p>
+    </div>
+  `;
+
+  return await sendEmail({
+    to: client.email,
+    subject: 'Session Confirmed - Paid with Package Credit | Smiling Steps',
+    html: emailHtml
+  });
+};
+
+/**
+ * Send confirmation for a session fully covered by a sponsorship fund and/or promo code
+ * @param {Object} session - Session object
+ * @param {Object} client - Client user object
+ * @param {Object} psychologist - Psychologist user object
+ */
+const sendSponsoredBookingNotification = async (session, client, psychologist) => {
+  const sessionDate = new Date(session.sessionDate).toLocaleString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+  const subsidy = session.pricing.subsidy && session.pricing.subsidy.amount ? session.pricing.subsidy : null;
+  const discount = session.pricing.discount && session.pricing.discount.amount ? session.pricing.discount : null;
+  const coveredBy = [
+    subsidy && `the ${subsidy.fundName} sponsorship`,
+    discount && `promo code ${discount.code}`
+  ].filter(Boolean).join(' and ');
+
+  const emailHtml = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #4CAF50;">Session Confirmed! ✅</h2>
+      <p>Dear ${client.name},</p>
+      <p>Dr. ${psychologist.name} has approved your session. It is fully covered by ${coveredBy}, so there is nothing to pay.</p>
+      
+      <div style="background-color: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <h3 style="margin-top: 0; color: #333;">Session Details</h3>
+        <ul style="list-style: none; padding: 0;">
+          <li><strong>Therapist:</strong> Dr. ${psychologist.name}</li>
+          <li><strong>Session Type:</strong> ${session.sessionType}</li>
+          <li><strong>Date & Time:</strong> ${sessionDate}</li>
+          ${discount ? `<li><strong>Promo code ${discount.code}:</strong> KES ${discount.amount} off</li>` : ''}
+          ${subsidy ? `<li><strong>Covered by sponsorship:</strong> KES ${subsidy.amount}</li>` : ''}
+        </ul>
+      </div>
+
+      <p>You'll receive a reminder 24 hours before your session. If you can't attend, please cancel${subsidy ? ' so the sponsorship can help someone else' : ''}.</p>
+      
+      <p style="margin-top: 30px;">Best regards,<br>
+      <strong>Smiling Steps Team</strong></p>
+    </div>
+  `;
+
+  return await sendEmail({
+    to: client.email,
+    subject: `Session Confirmed - Covered by ${subsidy ? 'Sponsorship' : 'Promo Code'} | Smiling Steps`,
+    html: emailHtml
+  });
+};
+
+/**
+ * Send confirmation for a session covered by the client's employer assistance programme
+ * @param {Object} session - Session object
+ * @param {Object} client - Client user object
+ * @param {Object} psychologist - Psychologist user object
+ * @param {Object} coverage - eapService.getCoverage() result
+ */
+const sendEapBookingNotification = async (session, client, psychologist, coverage) => {
+  const sessionDate = new Date(session.sessionDate).toLocaleString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+  const emailHtml = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #4CAF50;">Session Confirmed! ✅</h2>
+      <p>Dear ${client.name},</p>
+      <p>Dr. ${psychologist.name} has approved your session. It is covered by your employer's assistance programme, so there is nothing to pay.</p>
+      
+      <div style="background-color: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <h3 style="margin-top: 0; color: #333;">Session Details</h3>
+        <ul style="list-style: none; padding: 0;">
+          <li><strong>Therapist:</strong> Dr. ${psychologist.name}</li>
+          <li><strong>Session Type:</strong> ${session.sessionType}</li>
+          <li><strong>Date & Time:</strong> ${sessionDate}</li>
+          ${coverage ? `<li><strong>Covered sessions left this year:</strong> ${coverage.sessionsRemaining} of ${coverage.sessionsPerYear}</li>` : ''}
+        </ul>
+      </div>
+
+      <p>Your employer only receives anonymous totals. They never see who uses the service or what is discussed.</p>
+      <p>If you can't attend, please cancel so the session is returned to your allowance.</p>
+      
+      <p style="margin-top: 30px;">Best regards,<br>
+      <strong>Smiling Steps Team</strong></p>
+    </div>
+  `;
+
+  return await sendEmail({
+    to: client.email,
+    subject: 'Session Confirmed - Covered by Your Employer | Smiling Steps',
+    html: emailHtml
+  });
+};
+
+/**
+ * Send a monthly EAP invoice to the company's billing contact
+ * @param {Object} invoice - CompanyInvoice document
+ * @param {Buffer} pdf - Rendered invoice
+ */
+const sendCompanyInvoiceEmail = async (invoice, pdf) => {
+  const period = new Date(invoice.periodStart).toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+  const dueDate = new Date(invoice.dueDate).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+
+  const emailHtml = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #663399;">Invoice ${invoice.number}</h2>
+      <p>Dear ${invoice.billTo.contactName || invoice.billTo.name},</p>
+      <p>Please find attached your employee assistance programme invoice for ${period}.</p>
+      
+      <div style="background-color: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <ul style="list-style: none; padding: 0;">
+          <li><strong>Sessions delivered:</strong> ${invoice.sessionCount}</li>
+          <li><strong>Amount due:</strong> ${invoice.currency} ${invoice.total.toLocaleString()}</li>
+          <li><strong>Due date:</strong> ${dueDate}</li>
+        </ul>
+      </div>
+
+      <p>Please quote ${invoice.number} with your payment.</p>
+      
+      <p style="margin-top: 30px;">Best regards,<br>
+      <strong>Smiling Steps Team</strong></p>
+    </div>
+  `;
+
+  return await sendEmail({
+    to: invoice.billTo.email,
+    subject: `Invoice ${invoice.number} - Employee Assistance Programme | Smiling Steps`,
+    html: emailHtml,
+    attachments: [{ filename: `${invoice.number}.pdf`, content: pdf, contentType: 'application/pdf' }]
+  });
+};
+
 /**
  * Send therapist notification about payment received
  * @param {Object} session - Session object
@@ -966,6 +1162,10 @@ module.exports = {
   sendSMS,
   sendSessionApprovalNotification,
   sendPaymentConfirmationNotification,
+  sendPackageCreditBookingNotification,
+  sendSponsoredBookingNotification,
+  sendEapBookingNotification,
+  sendCompanyInvoiceEmail,
   sendTherapistPaymentNotification,
   sendPaymentFailureNotification,
   sendSessionReminderSMS,
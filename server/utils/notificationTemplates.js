@@ -982,6 +982,155 @@ const sessionReminder1HourTherapistSMS = (data) => {
   return `Smiling Steps: Session with ${clientName} in 1 HOUR. Join: ${shortUrl}`;
 };
 
+// ============================================
+// WAITLIST TEMPLATES
+// ============================================
+
+/**
+ * Waitlist slot offer email for client
+ */
+const waitlistOfferClientEmail = (data) => {
+  const {
+    clientName,
+    therapistName,
+    slotDate,
+    expiresAt
+  } = data;
+
+  return {
+    subject: 'A Session Slot Opened Up for You | Smiling Steps',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background-color: #4caf50; color: white; padding: 20px; border-radius: 8px 8px 0 0;">
+          <h1 style="margin: 0; font-size: 24px;">A Slot Is Available</h1>
+        </div>
+        
+        <div style="background-color: #fff; padding: 20px; border: 1px solid #ddd; border-top: none;">
+          <p>Dear ${clientName},</p>
+          <p>Good news! A session slot matching your waitlist preferences has opened up and is being held for you.</p>
+          
+          <div style="background-color: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="margin-top: 0; color: #333;">📅 Offered Slot</h3>
+            <ul style="list-style: none; padding: 0; margin: 0;">
+              <li style="padding: 5px 0;"><strong>Therapist:</strong> Dr. ${therapistName}</li>
+              <li style="padding: 5px 0;"><strong>Date & Time:</strong> ${formatDate(slotDate)}</li>
+            </ul>
+          </div>
+
+          <div style="background-color: #fff3e0; padding: 20px; border-radius: 8px; border-left: 4px solid #ff9800; margin: 20px 0;">
+            <p style="margin: 0;"><strong>This hold expires on ${formatDate(expiresAt)}.</strong></p>
+            <p style="margin: 10px 0 0 0; font-size: 14px; color: #666;">
+              If you don't claim it by then, the slot will be offered to the next person on the waitlist.
+            </p>
+          </div>
+
+          <div style="text-align: center; margin: 20px 0;">
+            <a href="${CLIENT_URL}/dashboard" 
+               style="display: inline-block; background-color: #4caf50; color: white; padding: 12px 30px; text-decoration: none; border-radius: 4px; font-weight: bold;">
+              Claim This Slot
+            </a>
+          </div>
+          
+          <p>Take care,<br><strong>Smiling Steps Team</strong></p>
+        </div>
+      </div>
+    `
+  };
+};
+
+/**
+ * Waitlist slot offer SMS for client
+ */
+const waitlistOfferClientSMS = (data) => {
+  const { therapistName, slotDate, expiresAt } = data;
+  const slotStr = new Date(slotDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+  const expiryStr = new Date(expiresAt).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+  
+  return `Smiling Steps: A slot with Dr. ${therapistName} on ${slotStr} is held for you until ${expiryStr}. Claim it in your dashboard.`;
+};
+
+// ============================================
+// RISK ALERT TEMPLATES
+// ============================================
+// Alerts never include clinical detail - staff review it in the dashboard
+
+const RISK_LEVEL_LABELS = {
+  high: 'HIGH',
+  elevated: 'ELEVATED'
+};
+
+/**
+ * Risk alert email for the assigned therapist or on-call admin
+ */
+const riskAlertStaffEmail = (data) => {
+  const {
+    recipientName,
+    clientName,
+    level,
+    sourceLabel,
+    raisedAt,
+    isAdmin
+  } = data;
+
+  const levelLabel = RISK_LEVEL_LABELS[level] || level;
+  const color = level === 'high' ? '#d32f2f' : '#ff9800';
+
+  return {
+    subject: `${levelLabel} Risk Alert: ${clientName} | Smiling Steps`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background-color: ${color}; color: white; padding: 20px; border-radius: 8px 8px 0 0;">
+          <h1 style="margin: 0; font-size: 24px;">⚠️ ${levelLabel} Risk Alert</h1>
+        </div>
+        
+        <div style="background-color: #fff; padding: 20px; border: 1px solid #ddd; border-top: none;">
+          <p>Dear ${isAdmin ? recipientName : `Dr. ${recipientName}`},</p>
+          <p>A risk signal was detected for ${isAdmin ? 'a client' : 'your client'} and needs your attention.</p>
+          
+          <div style="background-color: #fbe9e7; padding: 20px; border-radius: 8px; border-left: 4px solid ${color}; margin: 20px 0;">
+            <ul style="list-style: none; padding: 0; margin: 0;">
+              <li style="padding: 5px 0;"><strong>Client:</strong> ${clientName}</li>
+              <li style="padding: 5px 0;"><strong>Detected in:</strong> ${sourceLabel}</li>
+              <li style="padding: 5px 0;"><strong>Raised:</strong> ${formatDate(raisedAt)}</li>
+            </ul>
+          </div>
+
+          <p>Please review the alert, acknowledge it and record your follow-up in the dashboard.
+             The client has been shown crisis-line contacts.</p>
+
+          <div style="text-align: center; margin: 20px 0;">
+            <a href="${CLIENT_URL}/dashboard" 
+               style="display: inline-block; background-color: ${color}; color: white; padding: 12px 30px; text-decoration: none; border-radius: 4px; font-weight: bold;">
+              Review Alert
+            </a>
+          </div>
+
+          <p>Best regards,<br><strong>Smiling Steps Team</strong></p>
+        </div>
+      </div>
+    `
+  };
+};
+
+/**
+ * Risk alert SMS for the assigned therapist or on-call admin
+ */
+const riskAlertStaffSMS = (data) => {
+  const { clientName, level } = data;
+  const levelLabel = RISK_LEVEL_LABELS[level] || level;
+  
+  return `Smiling Steps: ${levelLabel} risk alert for ${clientName}. Please review and acknowledge in your dashboard now.`;
+};
+
+/**
+ * Phone bridge SMS when a video call's connection is too poor to continue
+ */
+const phoneBridgeInstructionsSMS = (data) => {
+  const { number, pin } = data;
+  
+  return `Smiling Steps: Your video connection is too weak to continue. Keep your session going by phone: call ${number} and enter PIN ${pin}#.`;
+};
+
 // ============================================
 // MODULE EXPORTS
 // ============================================
@@ -1023,5 +1172,16 @@ module.exports = {
   sessionReminder24HourTherapistEmail,
   sessionReminder1HourTherapistEmail,
   sessionReminder24HourTherapistSMS,
-  sessionReminder1HourTherapistSMS
+  sessionReminder1HourTherapistSMS,
+  
+  // Waitlist templates
+  waitlistOfferClientEmail,
+  waitlistOfferClientSMS,
+  
+  // Risk alert templates
+  riskAlertStaffEmail,
+  riskAlertStaffSMS,
+  
+  // Video call templates
+  phoneBridgeInstructionsSMS
 };
@@ -354,6 +354,74 @@ function generateReconciliationReport(reconciliationData, sessions = []) {
   return csvContent;
 }
 
+/**
+ * Reconcile M-Pesa B2C refunds
+ * Resends refunds whose request timed out in Safaricom's queue, hands
+ * refunds with no result to an admin and flags completed refunds whose
+ * session doesn't show them as processed.
+ */
+async function reconcileRefunds(now = new Date()) {
+  const Refund = require('../models/Refund');
+  const { refundService, getRefundReconciliationAction, getRefundHolder } = require('../services/refundService');
+
+  const summary = {
+    checked: 0,
+    resubmitted: 0,
+    escalated: 0,
+    discrepancies: [],
+    errors: 0,
+    timestamp: now
+  };
+
+  const open = await Refund.find({ status: { $in: ['queued', 'submitted', 'timed_out'] } });
+  for (const refund of open) {
+    summary.checked++;
+    const action = getRefundReconciliationAction(refund, now);
+
+    try {
+      if (action === 'resubmit') {
+        const result = await refundService.resubmitRefund(refund);
+        if (result && result.status === 'processing') summary.resubmitted++;
+        if (result && result.status === 'pending_manual') summary.escalated++;
+      } else if (action === 'escalate') {
+        const result = await refundService.escalateStaleRefund(refund, 'No M-Pesa result received for the refund');
+        if (result) summary.escalated++;
+      }
+    } catch (error) {
+      console.error('❌ Refund reconciliation error:', refund._id, error.message);
+      summary.errors++;
+    }
+  }
+
+  // Completed payouts must be reflected on the session
+  const since = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+  const completed = await Refund.find({ status: 'completed', completedAt: { $gte: since } })
+    .populate('session', 'refundStatus refundTransactionId participants');
+  completed.forEach(refund => {
+    // Group seat refunds are recorded on the seat
+    const holder = refund.session && getRefundHolder(refund.session, refund);
+    if (!holder || holder.refundStatus !== 'processed' ||
+        holder.refundTransactionId !== refund.transactionId) {
+      summary.discrepancies.push({
+        refundId: refund._id,
+        sessionId: refund.session?._id,
+        transactionId: refund.transactionId,
+        sessionRefundStatus: holder?.refundStatus,
+        sessionTransactionId: holder?.refundTransactionId
+      });
+    }
+  });
+
+  console.log('✅ Refund reconciliation complete:', {
+    checked: summary.checked,
+    resubmitted: summary.resubmitted,
+    escalated: summary.escalated,
+    discrepancies: summary.discrepancies.length
+  });
+
+  return summary;
+}
+
 /**
  * Automatic daily reconciliation
  */
@@ -375,6 +443,20 @@ async function performDailyReconciliation() {
     // Log summary
     console.log('📊 Daily Reconciliation Summary:', results.summary);
 
+    try {
+      results.refunds = await reconcileRefunds();
+    } catch (refundError) {
+      console.error('❌ Refund reconciliation failed:', refundError.message);
+    }
+
+    // Receipts and credit notes a payment or refund path failed to issue
+    try {
+      const { invoiceService } = require('../services/invoiceService');
+      results.invoices = await invoiceService.sweepRecentSessions();
+    } catch (invoiceError) {
+      console.error('❌ Invoice sweep failed:', invoiceError.message);
+    }
+
     // Send webhook notification for reconciliation completion
     try {
       const reconciliationWebhook = require('./reconciliationWebhook');
@@ -497,6 +579,7 @@ async function findOrphanedPayments() {
 module.exports = {
   reconcilePayments,
   reconcileSession,
+  reconcileRefunds,
   generateReconciliationReport,
   performDailyReconciliation,
   verifyTransaction,
@@ -11,14 +11,21 @@
  */
 
 const crypto = require('crypto');
-const { logAuditEvent } = require('./auditLogger');
+const fs = require('fs');
+const cron = require('node-cron');
+const { logAuditEvent, logRecordingEvent, ACTION_TYPES } = require('./auditLogger');
 
 const SECURE_DELETION_CONFIG = {
   OVERWRITE_PASSES: 3,
   SOFT_DELETE_RETENTION_DAYS: 30,
   HARD_DELETE_AFTER_DAYS: 90,
   SENSITIVE_FIELDS: ['sessionNotes', 'intakeFormData', 'medications', 'mentalHealthHistory', 'emergencyContact', 'phoneNumber', 'address'],
-  AUDIT_RETENTION_YEARS: 7
+  AUDIT_RETENTION_YEARS: 7,
+  // Session recordings are deleted this long after they are assembled
+  RECORDING_RETENTION_DAYS: parseInt(process.env.RECORDING_RETENTION_DAYS, 10) || 90,
+  // Expired recordings are purged daily at 03:00
+  CRON_RECORDING_PURGE: '0 3 * * *',
+  TIMEZONE: 'Africa/Nairobi'
 };
 
 class SecureDeletionService {
@@ -27,6 +34,8 @@ class SecureDeletionService {
     this.User = null;
     this.IntakeForm = null;
     this.AuditLog = null;
+    this.SessionRecording = null;
+    this.recordingPurgeJob = null;
   }
 
   async initialize() {
@@ -34,6 +43,7 @@ class SecureDeletionService {
     if (!this.User) this.User = require('../models/User');
     try { if (!this.IntakeForm) this.IntakeForm = require('../models/IntakeForm'); } catch (e) {}
     try { if (!this.AuditLog) this.AuditLog = require('../models/AuditLog'); } catch (e) {}
+    if (!this.SessionRecording) this.SessionRecording = require('../models/SessionRecording');
   }
 
   generateOverwriteData(length) {
@@ -57,6 +67,87 @@ class SecureDeletionService {
   }
 
 
+  /**
+   * Overwrite a file with random data before unlinking it
+   * @returns {boolean} - Whether there was a file to delete
+   */
+  async secureDeleteFile(filePath) {
+    let handle;
+    try {
+      handle = await fs.promises.open(filePath, 'r+');
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+
+    try {
+      const { size } = await handle.stat();
+      for (let pass = 0; pass < SECURE_DELETION_CONFIG.OVERWRITE_PASSES; pass++) {
+        await handle.write(crypto.randomBytes(size), 0, size, 0);
+        await handle.sync();
+      }
+    } finally {
+      await handle.close();
+    }
+
+    await fs.promises.unlink(filePath);
+    return true;
+  }
+
+  /**
+   * Securely delete a recording's chunks and assembled file
+   * @returns {number} - Files deleted
+   */
+  async deleteRecordingFiles(recording) {
+    const { recordingService, getRecordingFiles } = require('../services/recordingService');
+    let deleted = 0;
+
+    for (const key of getRecordingFiles(recording)) {
+      if (await this.secureDeleteFile(recordingService.getFilePath(key))) deleted++;
+    }
+    return deleted;
+  }
+
+  /**
+   * Securely delete a recording, unlink it from its session and log it
+   * @param {Object} recording - SessionRecording document
+   * @param {Object} params - { userId, userRole, reason, ipAddress }
+   */
+  async secureDeleteRecording(recording, { userId = null, userRole = null, reason, ipAddress = null }) {
+    await this.initialize();
+    const { recordingService } = require('../services/recordingService');
+
+    const filesDeleted = await this.deleteRecordingFiles(recording);
+    await fs.promises.rm(recordingService.getFilePath(String(recording._id)), { recursive: true, force: true });
+
+    recording.status = 'deleted';
+    recording.deletedAt = new Date();
+    recording.deletionReason = reason;
+    recording.chunks = [];
+    recording.storageKey = undefined;
+    recording.encryptionIv = undefined;
+    recording.encryptionAuthTag = undefined;
+    await recording.save();
+
+    await this.Session.updateOne(
+      { _id: recording.session, recordingUrl: `/api/recordings/${recording._id}/stream` },
+      { $unset: { recordingUrl: 1 } }
+    );
+
+    await logRecordingEvent({
+      actionType: ACTION_TYPES.RECORDING_DELETED,
+      recordingId: recording._id,
+      sessionId: recording.session,
+      userId,
+      userRole,
+      ipAddress,
+      metadata: { reason, filesDeleted }
+    });
+
+    console.log(`🔥 Recording ${recording._id} securely deleted (${reason})`);
+    return recording;
+  }
+
   async softDeleteUser(userId, requestedBy, reason) {
     await this.initialize();
     const user = await this.User.findById(userId);
@@ -172,7 +263,7 @@ class SecureDeletionService {
 
   async enforceRetentionPolicy() {
     await this.initialize();
-    const results = { usersProcessed: 0, sessionsProcessed: 0, errors: [] };
+    const results = { usersProcessed: 0, sessionsProcessed: 0, recordingsProcessed: 0, errors: [] };
     
     const usersToHardDelete = await this.User.find({
       deletionRequested: true,
@@ -209,10 +300,73 @@ class SecureDeletionService {
       }
     }
     
-    console.log(`🧹 Retention policy enforced: ${results.usersProcessed} users, ${results.sessionsProcessed} sessions`);
+    const recordings = await this.purgeExpiredRecordings();
+    results.recordingsProcessed = recordings.recordingsProcessed;
+    results.errors.push(...recordings.errors);
+    
+    console.log(`🧹 Retention policy enforced: ${results.usersProcessed} users, ${results.sessionsProcessed} sessions, ${results.recordingsProcessed} recordings`);
+    return results;
+  }
+
+  /**
+   * Securely delete session recordings past their retention date, along
+   * with the chunks of recordings abandoned after their session ended
+   */
+  async purgeExpiredRecordings() {
+    await this.initialize();
+    const results = { recordingsProcessed: 0, errors: [] };
+
+    const { recordingService } = require('../services/recordingService');
+    const abandoned = await recordingService.closeAbandonedRecordings();
+    if (abandoned > 0) {
+      console.log(`🧹 Closed ${abandoned} abandoned recordings`);
+    }
+
+    const expiredRecordings = await this.SessionRecording.find({
+      status: { $ne: 'deleted' },
+      retainUntil: { $lte: new Date() }
+    });
+
+    for (const recording of expiredRecordings) {
+      try {
+        await this.secureDeleteRecording(recording, { reason: 'retention_policy' });
+        results.recordingsProcessed++;
+      } catch (error) {
+        results.errors.push({ recordingId: recording._id, error: error.message });
+      }
+    }
+
+    if (results.recordingsProcessed > 0) {
+      console.log(`🧹 Purged ${results.recordingsProcessed} expired recordings`);
+    }
     return results;
   }
 
+  /**
+   * Schedule the daily purge of expired recordings. Account hard deletes
+   * and note overwrites stay with enforceRetentionPolicy, run on demand.
+   */
+  startRecordingPurgeJob() {
+    if (this.recordingPurgeJob) return this.recordingPurgeJob;
+
+    this.recordingPurgeJob = cron.schedule(SECURE_DELETION_CONFIG.CRON_RECORDING_PURGE, () => {
+      this.purgeExpiredRecordings().catch(err => console.error('Recording purge job error:', err));
+    }, {
+      scheduled: true,
+      timezone: SECURE_DELETION_CONFIG.TIMEZONE
+    });
+
+    console.log(`✅ Recording purge job started (${SECURE_DELETION_CONFIG.CRON_RECORDING_PURGE})`);
+    return this.recordingPurgeJob;
+  }
+
+  stopRecordingPurgeJob() {
+    if (this.recordingPurgeJob) {
+      this.recordingPurgeJob.stop();
+      this.recordingPurgeJob = null;
+    }
+  }
+
   async cancelDeletionRequest(userId, cancelledBy) {
     await this.initialize();
     const user = await this.User.findById(userId);
@@ -0,0 +1,112 @@
+/**
+ * Session Participant Utilities
+ *
+ * Who attends a session and who may join its video room. One-to-one
+ * sessions admit the booking client once the session is paid, and
+ * Couples/Family sessions also admit the co-participants the booking
+ * covers; group sessions admit each member whose own seat is paid and
+ * whose group agreement is signed.
+ *
+ * @module utils/sessionParticipants
+ */
+
+const PAID_SESSION_STATUSES = ['Confirmed', 'Paid', 'Verified'];
+
+const idOf = (ref) => (ref && ref._id ? ref._id : ref);
+
+/**
+ * Find a user's participant entry on a session
+ * @param {Object} session - Session document
+ * @param {string} userId - User ID
+ * @returns {Object|null}
+ */
+function getParticipant(session, userId) {
+  return (session.participants || []).find(p => String(idOf(p.client)) === String(userId)) || null;
+}
+
+/**
+ * Whether a user is a co-participant on a Couples/Family session
+ * @param {Object} session - Session document
+ * @param {string} userId - User ID
+ * @returns {boolean}
+ */
+function isCoParticipant(session, userId) {
+  const participant = getParticipant(session, userId);
+  return !!participant && participant.role === 'co_participant';
+}
+
+/**
+ * Everyone a one-to-one booking covers: the booking client and any
+ * co-participants
+ * @param {Object} session - Session document
+ * @returns {Array} - Client references (IDs or populated users)
+ */
+function getSessionAttendees(session) {
+  const coParticipants = (session.participants || [])
+    .filter(p => p.role === 'co_participant')
+    .map(p => p.client);
+  return session.client ? [session.client, ...coParticipants] : coParticipants;
+}
+
+/**
+ * Whether a user hosts the session's video room (its therapist or an
+ * admin) and so skips the waiting room and admits others
+ * @param {Object} session - Session document (Mongoose or legacy shape)
+ * @param {string} userId - User ID
+ * @param {string} userRole - User role
+ * @returns {boolean}
+ */
+function isSessionHost(session, userId, userRole) {
+  const psychologistId = session.psychologistId || idOf(session.psychologist);
+  return userRole === 'admin' || String(psychologistId) === String(userId);
+}
+
+/**
+ * Check whether a user may join the session's video room
+ * @param {Object} session - Session document (Mongoose or legacy shape)
+ * @param {string} userId - User ID
+ * @param {string} userRole - User role
+ * @returns {Object} - { allowed, reason?, message? }
+ */
+function canJoinVideoRoom(session, userId, userRole) {
+  const clientId = session.clientId || idOf(session.client);
+
+  if (isSessionHost(session, userId, userRole)) {
+    // Staff can open the room; one-to-one sessions still need payment
+    if (session.sessionType !== 'Group' && !PAID_SESSION_STATUSES.includes(session.paymentStatus)) {
+      return { allowed: false, reason: 'payment_not_confirmed', message: 'Payment must be confirmed before joining' };
+    }
+    return { allowed: true };
+  }
+
+  if (session.sessionType === 'Group') {
+    const participant = getParticipant(session, userId);
+    if (!participant || participant.status === 'cancelled') {
+      return { allowed: false, reason: 'unauthorized', message: 'Unauthorized access to this session' };
+    }
+    if (participant.paymentStatus !== 'Paid') {
+      return { allowed: false, reason: 'payment_not_confirmed', message: 'Your seat must be paid before joining' };
+    }
+    if (!participant.agreement) {
+      return { allowed: false, reason: 'agreement_required', message: 'Sign the group confidentiality agreement before joining' };
+    }
+    return { allowed: true };
+  }
+
+  if (String(clientId) !== String(userId) && !isCoParticipant(session, userId)) {
+    return { allowed: false, reason: 'unauthorized', message: 'Unauthorized access to this session' };
+  }
+  if (!PAID_SESSION_STATUSES.includes(session.paymentStatus)) {
+    return { allowed: false, reason: 'payment_not_confirmed', message: 'Payment must be confirmed before joining' };
+  }
+  return { allowed: true };
+}
+
+module.exports = {
+  PAID_SESSION_STATUSES,
+  getParticipant,
+  isCoParticipant,
+  getSessionAttendees,
+  isSessionHost,
+  canJoinVideoRoom
+};
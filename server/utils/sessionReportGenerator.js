@@ -627,6 +627,397 @@ class SessionReportGenerator {
     }
   }
 
+  /**
+   * Generate a receipt, credit note or company invoice PDF
+   *
+   * @param {Object} options - Document options
+   * @param {Object} options.invoice - Invoice document (receipt, credit note or company_invoice)
+   * @param {Object} options.business - { name, taxPin }
+   * @returns {Promise<Buffer>} - PDF buffer
+   */
+  async generateInvoice(options) {
+    const { invoice, business } = options;
+    const title = { credit_note: 'Credit Note', company_invoice: 'Invoice' }[invoice.type] || 'Receipt';
+
+    return new Promise((resolve, reject) => {
+      try {
+        const doc = new PDFDocument({
+          size: 'A4',
+          margins: { top: 50, bottom: 50, left: 50, right: 50 },
+          info: {
+            Title: `${title} ${invoice.number}`,
+            Author: 'Smiling Steps Teletherapy',
+            Subject: `Therapy Session ${title}`,
+            Keywords: 'therapy, session, receipt, invoice',
+            CreationDate: new Date(invoice.issuedAt)
+          }
+        });
+
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        this._addInvoiceHeader(doc, invoice, title, business);
+        this._addInvoiceParties(doc, invoice);
+        this._addInvoiceLines(doc, invoice);
+        this._addInvoicePayment(doc, invoice);
+        this._addInvoiceFooter(doc, business);
+
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  _addInvoiceHeader(doc, invoice, title, business) {
+    doc.fontSize(24)
+       .fillColor('#663399')
+       .text('Smiling Steps', this.pageMargin, this.pageMargin, { align: 'center' });
+
+    doc.fontSize(12)
+       .fillColor('#666666')
+       .text('Teletherapy Services', { align: 'center' });
+
+    if (business.taxPin) {
+      doc.fontSize(9)
+         .text(`${business.name} | Tax PIN: ${business.taxPin}`, { align: 'center' });
+    }
+
+    doc.moveDown(0.5);
+
+    doc.fontSize(18)
+       .fillColor('#333333')
+       .text(title, { align: 'center' });
+
+    doc.moveDown(0.5);
+
+    doc.fontSize(11)
+       .fillColor('#663399')
+       .text(`No. ${invoice.number}`, { align: 'center' });
+
+    doc.fontSize(10)
+       .fillColor('#999999')
+       .text(`Issued: ${this._formatDateShort(invoice.issuedAt)}`, { align: 'center' });
+
+    doc.moveDown(1.5);
+
+    doc.strokeColor('#663399')
+       .lineWidth(2)
+       .moveTo(this.pageMargin, doc.y)
+       .lineTo(doc.page.width - this.pageMargin, doc.y)
+       .stroke();
+
+    doc.moveDown(1);
+  }
+
+  _addInvoiceParties(doc, invoice) {
+    doc.fontSize(14)
+       .fillColor('#663399')
+       .text('Billed To', this.pageMargin, doc.y, { underline: true });
+
+    doc.moveDown(0.5);
+
+    this._addTable(doc, [
+      ['Name:', invoice.billTo?.name],
+      ['Email:', invoice.billTo?.email]
+    ]);
+    doc.moveDown(1);
+
+    doc.fontSize(14)
+       .fillColor('#663399')
+       .text('Service', this.pageMargin, doc.y, { underline: true });
+
+    doc.moveDown(0.5);
+
+    // Company invoices cover many sessions and never name employees or therapists;
+    // package receipts are for credits, not a dated session
+    let serviceInfo;
+    if (invoice.type === 'company_invoice') {
+      serviceInfo = [['Service:', invoice.service?.description]];
+    } else if (invoice.clientPackage) {
+      serviceInfo = [
+        ['Service:', invoice.service?.description],
+        ['Therapist:', invoice.therapistName]
+      ];
+    } else {
+      serviceInfo = [
+        ['Service:', invoice.service?.description],
+        ['Therapist:', invoice.therapistName],
+        ['Session Date:', this._formatDate(invoice.service?.sessionDate)],
+        ['Booking Reference:', invoice.service?.bookingReference]
+      ];
+    }
+    if (invoice.type === 'credit_note') {
+      serviceInfo.push(['Original Receipt:', invoice.originalNumber]);
+    }
+
+    this._addTable(doc, serviceInfo);
+    doc.moveDown(1);
+  }
+
+  _addInvoiceLines(doc, invoice) {
+    const amountWidth = 120;
+    const descriptionWidth = doc.page.width - (this.pageMargin * 2) - amountWidth;
+    const amountX = this.pageMargin + descriptionWidth;
+    const money = (amount) => `${invoice.currency} ${amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+    doc.fontSize(10)
+       .fillColor('#666666')
+       .text('Description', this.pageMargin, doc.y, { width: descriptionWidth });
+    doc.moveUp()
+       .text('Amount', amountX, doc.y, { width: amountWidth, align: 'right' });
+
+    doc.strokeColor('#cccccc')
+       .lineWidth(0.5)
+       .moveTo(this.pageMargin, doc.y + 2)
+       .lineTo(doc.page.width - this.pageMargin, doc.y + 2)
+       .stroke();
+    doc.moveDown(0.5);
+
+    invoice.lines.forEach(line => {
+      const startY = doc.y;
+      doc.fontSize(10)
+         .fillColor('#333333')
+         .text(line.description, this.pageMargin, startY, { width: descriptionWidth });
+      doc.text(money(line.amount), amountX, startY, { width: amountWidth, align: 'right' });
+      doc.moveDown(0.3);
+    });
+
+    doc.strokeColor('#cccccc')
+       .lineWidth(0.5)
+       .moveTo(this.pageMargin, doc.y)
+       .lineTo(doc.page.width - this.pageMargin, doc.y)
+       .stroke();
+    doc.moveDown(0.5);
+
+    const totalY = doc.y;
+    doc.fontSize(12)
+       .fillColor('#333333')
+       .text({ credit_note: 'Total Refunded', company_invoice: 'Total Due' }[invoice.type] || 'Total Paid', this.pageMargin, totalY, { width: descriptionWidth });
+    doc.text(money(invoice.total), amountX, totalY, { width: amountWidth, align: 'right' });
+
+    doc.fontSize(9)
+       .fillColor('#666666')
+       .text(
+         invoice.taxRate
+           ? `Includes tax at ${invoice.taxRate}%: ${money(invoice.taxAmount)}`
+           : 'Healthcare services - exempt from VAT',
+         this.pageMargin,
+         doc.y + 5
+       );
+
+    doc.moveDown(1.5);
+  }
+
+  _addInvoicePayment(doc, invoice) {
+    doc.fontSize(14)
+       .fillColor('#663399')
+       .text(invoice.type === 'credit_note' ? 'Refund Details' : 'Payment Details', this.pageMargin, doc.y, { underline: true });
+
+    doc.moveDown(0.5);
+
+    if (invoice.type === 'company_invoice') {
+      this._addTable(doc, [
+        ['Due Date:', this._formatDateShort(invoice.dueDate)],
+        ['Status:', invoice.status === 'paid' ? 'Paid' : 'Awaiting payment']
+      ]);
+    } else if (invoice.type === 'credit_note') {
+      this._addTable(doc, [
+        ['Refunded To:', invoice.payment?.method],
+        ['Refund Transaction ID:', invoice.refund?.transactionId],
+        ['Processed:', this._formatDateShort(invoice.refund?.processedAt)],
+        ['Reason:', invoice.refund?.reason]
+      ]);
+    } else {
+      this._addTable(doc, [
+        ['Payment Method:', invoice.payment?.method],
+        ['Transaction ID:', invoice.payment?.transactionId],
+        ['Paid:', this._formatDateShort(invoice.payment?.paidAt)]
+      ]);
+    }
+  }
+
+  _addInvoiceFooter(doc, business) {
+    doc.strokeColor('#663399')
+       .lineWidth(1)
+       .moveTo(this.pageMargin, doc.page.height - 50)
+       .lineTo(doc.page.width - this.pageMargin, doc.page.height - 50)
+       .stroke();
+
+    doc.fontSize(8)
+       .fillColor('#999999')
+       .text(
+         `${business.name} | This is a computer-generated document and needs no signature`,
+         this.pageMargin,
+         doc.page.height - 40,
+         { align: 'center', width: doc.page.width - (this.pageMargin * 2) }
+       );
+  }
+
+  /**
+   * Generate a superbill PDF for a client to submit to their insurer
+   *
+   * @param {Object} options - Document options
+   * @param {Object} options.superbill - insuranceService.buildSuperbillData() result
+   * @param {Object} options.business - { name, taxPin }
+   * @returns {Promise<Buffer>} - PDF buffer
+   */
+  async generateSuperbill(options) {
+    const { superbill, business } = options;
+
+    return new Promise((resolve, reject) => {
+      try {
+        const doc = new PDFDocument({
+          size: 'A4',
+          margins: { top: 50, bottom: 50, left: 50, right: 50 },
+          info: {
+            Title: `Superbill ${superbill.reference}`,
+            Author: 'Smiling Steps Teletherapy',
+            Subject: 'Therapy Superbill for Insurance Reimbursement',
+            Keywords: 'therapy, superbill, insurance, claim',
+            CreationDate: new Date(superbill.statementDate)
+          }
+        });
+
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        this._addInvoiceHeader(doc, { number: superbill.reference, issuedAt: superbill.statementDate }, 'Superbill', business);
+        this._addSuperbillParties(doc, superbill);
+        this._addSuperbillServices(doc, superbill);
+        this._addInvoiceFooter(doc, business);
+
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  _addSuperbillParties(doc, superbill) {
+    const section = (title) => {
+      doc.fontSize(14)
+         .fillColor('#663399')
+         .text(title, this.pageMargin, doc.y, { underline: true });
+      doc.moveDown(0.5);
+    };
+
+    section('Patient');
+    this._addTable(doc, [
+      ['Name:', superbill.patient.name],
+      ['Date of Birth:', superbill.patient.dateOfBirth],
+      ['Address:', superbill.patient.address],
+      ['Email:', superbill.patient.email],
+      ['Phone:', superbill.patient.phone]
+    ]);
+    doc.moveDown(1);
+
+    section('Insurance');
+    this._addTable(doc, [
+      ['Insurer:', superbill.insurance.provider],
+      ['Plan:', superbill.insurance.planName],
+      ['Member Number:', superbill.insurance.memberNumber],
+      ['Group Number:', superbill.insurance.groupNumber],
+      ['Policy Holder:', superbill.insurance.policyHolderName],
+      ['Relationship:', superbill.insurance.policyHolderRelationship],
+      ['Holder Date of Birth:', superbill.insurance.policyHolderDateOfBirth]
+    ]);
+    doc.moveDown(1);
+
+    section(superbill.providers.length > 1 ? 'Providers' : 'Provider');
+    superbill.providers.forEach(provider => {
+      this._addTable(doc, [
+        ['Therapist:', provider.name],
+        ['License Number:', provider.licenseNumber],
+        ['Licensing Body:', provider.licensingBody]
+      ]);
+      doc.moveDown(0.3);
+    });
+    doc.moveDown(0.7);
+
+    section('Diagnoses (ICD-10)');
+    this._addTable(doc, [['Codes:', superbill.diagnosisCodes.join(', ')]]);
+    if (superbill.periodStart) {
+      this._addTable(doc, [['Statement Period:', `${this._formatDateShort(superbill.periodStart)} - ${this._formatDateShort(superbill.periodEnd)}`]]);
+    }
+    doc.moveDown(1);
+  }
+
+  _addSuperbillServices(doc, superbill) {
+    const width = doc.page.width - (this.pageMargin * 2);
+    const columns = [
+      { label: 'Date', width: 0.14 },
+      { label: 'CPT', width: 0.1 },
+      { label: 'Mod', width: 0.07 },
+      { label: 'POS', width: 0.07 },
+      { label: 'Dx', width: 0.18 },
+      { label: 'Provider', width: 0.2 },
+      { label: 'Fee', width: 0.12, align: 'right' },
+      { label: 'Paid', width: 0.12, align: 'right' }
+    ].map(column => ({ ...column, width: column.width * width }));
+    const money = (amount) => amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+    const row = (values, color) => {
+      const startY = doc.y;
+      let x = this.pageMargin;
+      let bottom = startY;
+      values.forEach((value, i) => {
+        doc.fontSize(9)
+           .fillColor(color)
+           .text(value, x, startY, { width: columns[i].width - 4, align: columns[i].align || 'left' });
+        bottom = Math.max(bottom, doc.y);
+        x += columns[i].width;
+      });
+      doc.y = bottom;
+      doc.moveDown(0.3);
+    };
+
+    doc.fontSize(14)
+       .fillColor('#663399')
+       .text(`Services (${superbill.currency})`, this.pageMargin, doc.y, { underline: true });
+    doc.moveDown(0.5);
+
+    row(columns.map(column => column.label), '#666666');
+    superbill.lines.forEach(line => {
+      row([
+        this._formatDateShort(line.serviceDate),
+        line.serviceCode,
+        line.modifiers.join(' '),
+        line.placeOfService,
+        line.diagnosisCodes.join(', '),
+        line.providerName || 'N/A',
+        money(line.fee),
+        money(line.amountPaid)
+      ], '#333333');
+    });
+
+    doc.strokeColor('#cccccc')
+       .lineWidth(0.5)
+       .moveTo(this.pageMargin, doc.y)
+       .lineTo(doc.page.width - this.pageMargin, doc.y)
+       .stroke();
+    doc.moveDown(0.5);
+
+    this._addTable(doc, [
+      ['Total Charged:', `${superbill.currency} ${money(superbill.totalCharged)}`],
+      ['Total Paid by Patient:', `${superbill.currency} ${money(superbill.totalPaid)}`]
+    ]);
+
+    doc.fontSize(9)
+       .fillColor('#666666')
+       .text(
+         'Services were delivered by secure video (place of service 10, modifier 95). ' +
+         'Submit this superbill to your insurer with their claim form; payment has already been made to the provider.',
+         this.pageMargin,
+         doc.y + 10,
+         { width }
+       );
+  }
+
   _formatDateShort(dateString) {
     if (!dateString) return 'N/A';
     const date = new Date(dateString);
@@ -166,11 +166,11 @@ function validateCrossStateSync(paymentState, sessionState, videoState = null) {
   // Session ↔ Video Call Synchronization Rules
   const SESSION_VIDEO_SYNC_RULES = {
     [SESSION_STATES.READY]: {
-      allowedVideoStates: [VIDEO_STATES.NOT_STARTED, VIDEO_STATES.WAITING_FOR_PARTICIPANTS],
+      allowedVideoStates: [VIDEO_STATES.NOT_STARTED, VIDEO_STATES.WAITING_FOR_PARTICIPANTS, VIDEO_STATES.WAITING_ROOM],
       canJoinCall: true
     },
     [SESSION_STATES.IN_PROGRESS]: {
-      allowedVideoStates: [VIDEO_STATES.WAITING_FOR_PARTICIPANTS, VIDEO_STATES.ACTIVE],
+      allowedVideoStates: [VIDEO_STATES.WAITING_FOR_PARTICIPANTS, VIDEO_STATES.WAITING_ROOM, VIDEO_STATES.ACTIVE],
       canJoinCall: true
     },
     [SESSION_STATES.COMPLETED]: {
@@ -34,6 +34,7 @@ const STUCK_RESOLUTION_POLICIES = {
   },
   video: {
     [VIDEO_STATES.WAITING_FOR_PARTICIPANTS]: 'alert_both_participants',
+    [VIDEO_STATES.WAITING_ROOM]: 'alert_therapist', // Client not admitted
     [VIDEO_STATES.ACTIVE]: 'auto_end_call', // Likely forgotten
     [VIDEO_STATES.FAILED]: 'auto_retry'
   }
@@ -68,6 +69,7 @@ const EXPECTED_DURATIONS = {
   video: {
     [VIDEO_STATES.NOT_STARTED]: Infinity,              // Waiting for session to be ready
     [VIDEO_STATES.WAITING_FOR_PARTICIPANTS]: 15,       // 15 minutes for participants to join
+    [VIDEO_STATES.WAITING_ROOM]: 10,                   // 10 minutes for the therapist to admit
     [VIDEO_STATES.ACTIVE]: 90,                         // 90 minutes max call duration
     [VIDEO_STATES.ENDED]: Infinity,                    // Terminal state
     [VIDEO_STATES.FAILED]: 5                           // 5 minutes before retry
@@ -310,6 +312,7 @@ class StuckStateDetector {
       },
       video: {
         [VIDEO_STATES.WAITING_FOR_PARTICIPANTS]: 'Contact participants to join call',
+        [VIDEO_STATES.WAITING_ROOM]: 'Contact therapist to admit the waiting client',
         [VIDEO_STATES.ACTIVE]: 'Check if call is actually active, may need manual end',
         [VIDEO_STATES.FAILED]: 'Investigate technical issues and provide retry option'
       }
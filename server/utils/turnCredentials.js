@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const { SESSION_DURATION_MINUTES } = require('./bookingValidation');
+
+/**
+ * TURN Credential Utility
+ *
+ * Mints time-limited TURN credentials using the coturn REST API scheme
+ * (use-auth-secret): the username is "<expiry unix time>:<label>" and the
+ * password is base64(HMAC-SHA1(shared secret, username)). coturn checks the
+ * signature and rejects the username once its expiry time has passed, so
+ * the shared secret itself never leaves the server.
+ *
+ * @module utils/turnCredentials
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * When a participant's credentials should expire: shortly after the
+ * session's scheduled end, with a floor for late joins and a ceiling for
+ * credentials fetched well before the session
+ * @param {Object} params
+ * @param {Date} params.sessionDate - Scheduled start
+ * @param {number} [params.durationMinutes] - Scheduled length
+ * @param {Date} [params.now]
+ * @param {number} params.graceMinutes
+ * @param {number} params.minTtlMinutes
+ * @param {number} params.maxTtlMinutes
+ * @returns {Date}
+ */
+function getCredentialExpiry({
+  sessionDate,
+  durationMinutes,
+  now = new Date(),
+  graceMinutes,
+  minTtlMinutes,
+  maxTtlMinutes
+}) {
+  // Sessions saved before durations were recorded have none
+  const scheduledEnd = new Date(sessionDate).getTime() + (durationMinutes || SESSION_DURATION_MINUTES) * MINUTE_MS;
+  const expiry = Math.min(
+    Math.max(scheduledEnd + graceMinutes * MINUTE_MS, now.getTime() + minTtlMinutes * MINUTE_MS),
+    now.getTime() + maxTtlMinutes * MINUTE_MS
+  );
+  // coturn compares whole seconds
+  return new Date(Math.floor(expiry / 1000) * 1000);
+}
+
+/**
+ * TURN username scoped to one participant of one session
+ */
+function buildTurnUsername(expiresAt, sessionId, userId) {
+  return `${Math.floor(new Date(expiresAt).getTime() / 1000)}:${sessionId}-${userId}`;
+}
+
+function signTurnUsername(secret, username) {
+  return crypto.createHmac('sha1', secret).update(username).digest('base64');
+}
+
+/**
+ * Short identifier of a secret for logs, so rotations can be traced without
+ * recording the secret
+ */
+function getSecretId(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex').substring(0, 12);
+}
+
+/**
+ * ICE server entry with credentials for one participant of one session
+ * @param {Object} params
+ * @param {string} params.secret - coturn static-auth-secret
+ * @param {Array<string>} params.urls - TURN URLs
+ * @param {string} params.sessionId
+ * @param {string} params.userId
+ * @param {Date} params.expiresAt
+ * @returns {Object} - { urls, username, credential, expiresAt }
+ */
+function generateTurnCredentials({ secret, urls, sessionId, userId, expiresAt }) {
+  if (!secret) {
+    throw new Error('TURN secret not configured');
+  }
+
+  const username = buildTurnUsername(expiresAt, sessionId, userId);
+  return {
+    urls,
+    username,
+    credential: signTurnUsername(secret, username),
+    expiresAt
+  };
+}
+
+module.exports = {
+  getCredentialExpiry,
+  buildTurnUsername,
+  signTurnUsername,
+  getSecretId,
+  generateTurnCredentials
+};
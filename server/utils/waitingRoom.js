@@ -0,0 +1,114 @@
+/**
+ * Video Waiting Room Utilities
+ *
+ * Clients who pass the join checks wait in a lobby on the in-memory room
+ * (see services/videoCallService) until the session host admits them.
+ * Admitted users go straight back into the call if they reconnect.
+ *
+ * @module utils/waitingRoom
+ */
+
+const { VIDEO_STATES } = require('../constants/videoStates');
+
+/**
+ * Empty in-memory room for a session
+ * @param {string} sessionId - Session ID
+ * @param {string} [sessionType] - Session type (group attendance is tracked per member)
+ * @returns {Object}
+ */
+function createRoom(sessionId, sessionType) {
+  return {
+    participants: [],
+    waiting: [],
+    admitted: new Set(),
+    startTime: new Date(),
+    sessionId,
+    sessionType,
+    callStarted: false
+  };
+}
+
+/**
+ * Put a user in the lobby, replacing their entry if they reconnect
+ * @param {Object} room - In-memory room
+ * @param {Object} entry - { socketId, userId, userName, userRole, timing }
+ * @returns {Object} - The waiting entry
+ */
+function addToWaitingRoom(room, entry) {
+  const existing = room.waiting.find(w => String(w.userId) === String(entry.userId));
+  if (existing) {
+    Object.assign(existing, entry);
+    return existing;
+  }
+
+  const waiting = { ...entry, waitingSince: new Date() };
+  room.waiting.push(waiting);
+  return waiting;
+}
+
+/**
+ * Remove whoever is waiting on a socket
+ * @param {Object} room - In-memory room
+ * @param {string} socketId - Socket ID
+ * @returns {Object|null} - The removed entry
+ */
+function removeFromWaitingRoom(room, socketId) {
+  const entry = room.waiting.find(w => w.socketId === socketId);
+  if (!entry) return null;
+  room.waiting = room.waiting.filter(w => w !== entry);
+  return entry;
+}
+
+/**
+ * Move a user from the lobby into the admitted list
+ * @param {Object} room - In-memory room
+ * @param {string} userId - User to admit
+ * @returns {Object|null} - Their waiting entry, or null if they are not waiting
+ */
+function admitFromWaitingRoom(room, userId) {
+  const entry = room.waiting.find(w => String(w.userId) === String(userId));
+  if (!entry) return null;
+  room.waiting = room.waiting.filter(w => w !== entry);
+  room.admitted.add(String(userId));
+  return entry;
+}
+
+function isAdmitted(room, userId) {
+  return room.admitted.has(String(userId));
+}
+
+/**
+ * Who is waiting, as shown to the host (no socket IDs)
+ * @param {Object} room - In-memory room
+ * @returns {Array}
+ */
+function getWaitingList(room) {
+  return room.waiting.map(({ userId, userName, userRole, waitingSince, timing }) => ({
+    userId,
+    userName,
+    userRole,
+    waitingSince,
+    timing
+  }));
+}
+
+/**
+ * Video state of an in-memory room
+ * @param {Object} room - In-memory room
+ * @returns {string} - One of VIDEO_STATES
+ */
+function getRoomVideoState(room) {
+  if (room.callStarted) return VIDEO_STATES.ACTIVE;
+  if (room.waiting.length > 0) return VIDEO_STATES.WAITING_ROOM;
+  return VIDEO_STATES.WAITING_FOR_PARTICIPANTS;
+}
+
+module.exports = {
+  createRoom,
+  addToWaitingRoom,
+  removeFromWaitingRoom,
+  admitFromWaitingRoom,
+  isAdmitted,
+  getWaitingList,
+  getRoomVideoState
+};
@@ -4,7 +4,8 @@ const crypto = require('crypto');
  * Webhook Signature Verification Utility
  * 
  * Provides signature generation and verification for M-Pesa webhook callbacks
- * to ensure callbacks are authentic and from Safaricom.
+ * to ensure callbacks are authentic and from Safaricom, and for Stripe
+ * card payment webhooks (Stripe-Signature header).
  */
 
 class WebhookSignature {
@@ -15,6 +16,10 @@ class WebhookSignature {
     if (!this.webhookSecret) {
       console.warn('⚠️ MPESA_WEBHOOK_SECRET not set. Webhook signature verification disabled.');
     }
+
+    this.stripeWebhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+    // Stripe rejects events signed more than 5 minutes ago
+    this.stripeToleranceSeconds = 300;
   }
 
   /**
@@ -131,6 +136,86 @@ class WebhookSignature {
       next();
     };
   }
+  /**
+   * Generate a Stripe-Signature header value for a raw webhook body
+   * @param {string|Buffer} rawBody - The exact request body Stripe sent
+   * @param {string} secret - Endpoint signing secret (whsec_...)
+   * @param {number} timestamp - Unix seconds
+   * @returns {string} - Header value, e.g. "t=1700000000,v1=abc..."
+   */
+  generateStripeSignature(rawBody, secret = this.stripeWebhookSecret, timestamp = Math.floor(Date.now() / 1000)) {
+    if (!secret) {
+      throw new Error('Stripe webhook secret not configured');
+    }
+
+    const hmac = crypto.createHmac('sha256', secret);
+    hmac.update(`${timestamp}.${rawBody.toString('utf8')}`);
+
+    return `t=${timestamp},v1=${hmac.digest('hex')}`;
+  }
+
+  /**
+   * Verify a Stripe-Signature header
+   * @param {string|Buffer} rawBody - The exact request body Stripe sent
+   * @param {string} header - Stripe-Signature header value
+   * @param {string} secret - Endpoint signing secret
+   * @param {number} now - Unix seconds, for the replay window
+   * @returns {boolean} - True if any v1 signature matches within the tolerance
+   */
+  verifyStripeSignature(rawBody, header, secret = this.stripeWebhookSecret, now = Math.floor(Date.now() / 1000)) {
+    if (!secret) {
+      console.error('❌ STRIPE_WEBHOOK_SECRET not set - rejecting Stripe webhook');
+      return false;
+    }
+
+    if (!header || !rawBody) {
+      console.error('❌ Missing Stripe-Signature header or raw body');
+      return false;
+    }
+
+    // Header format: t=<timestamp>,v1=<signature>[,v1=<signature>...]
+    const parts = header.split(',').map(part => part.split('='));
+    const timestamp = Number((parts.find(([key]) => key === 't') || [])[1]);
+    const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+
+    if (!timestamp || signatures.length === 0) {
+      console.error('❌ Malformed Stripe-Signature header');
+      return false;
+    }
+
+    if (Math.abs(now - timestamp) > this.stripeToleranceSeconds) {
+      console.error('❌ Stripe webhook timestamp outside tolerance');
+      return false;
+    }
+
+    const expected = Buffer.from(
+      this.generateStripeSignature(rawBody, secret, timestamp).split('v1=')[1],
+      'hex'
+    );
+
+    return signatures.some(signature => {
+      const received = Buffer.from(signature, 'hex');
+      return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+    });
+  }
+
+  /**
+   * Express middleware for Stripe webhook signature verification
+   * Requires the raw body on req.rawBody (see express.json verify in index.js)
+   * @returns {Function} - Express middleware function
+   */
+  stripeMiddleware() {
+    return (req, res, next) => {
+      const isValid = this.verifyStripeSignature(req.rawBody, req.header('Stripe-Signature'));
+
+      if (!isValid) {
+        console.error('❌ Stripe webhook signature verification failed - rejecting request');
+        return res.status(400).json({ error: 'Invalid signature' });
+      }
+
+      next();
+    };
+  }
 }
 
 module.exports = new WebhookSignature();